@@ -1,6 +1,50 @@
 /// Data models for admin review management
 library;
 
+/// Photo attached to a review. Admins see every photo, including the ones
+/// they hid; a hidden photo (or any photo of a hidden/deleted review) never
+/// reaches public pages.
+class AdminReviewPhoto {
+  final String id;
+  final String url;
+  final String? previewUrl;
+  final String? thumbnailUrl;
+  final bool isHiddenByAdmin;
+  final String? hiddenReason;
+
+  const AdminReviewPhoto({
+    required this.id,
+    required this.url,
+    this.previewUrl,
+    this.thumbnailUrl,
+    this.isHiddenByAdmin = false,
+    this.hiddenReason,
+  });
+
+  factory AdminReviewPhoto.fromJson(Map<String, dynamic> json) {
+    return AdminReviewPhoto(
+      id: json['id'] as String,
+      url: json['url'] as String,
+      previewUrl: json['preview_url'] as String?,
+      thumbnailUrl: json['thumbnail_url'] as String?,
+      isHiddenByAdmin: json['is_hidden_by_admin'] as bool? ?? false,
+      hiddenReason: json['hidden_reason'] as String?,
+    );
+  }
+
+  AdminReviewPhoto copyWith({bool? isHiddenByAdmin, String? hiddenReason}) {
+    final hidden = isHiddenByAdmin ?? this.isHiddenByAdmin;
+    return AdminReviewPhoto(
+      id: id,
+      url: url,
+      previewUrl: previewUrl,
+      thumbnailUrl: thumbnailUrl,
+      isHiddenByAdmin: hidden,
+      hiddenReason: hidden ? (hiddenReason ?? this.hiddenReason) : null,
+    );
+  }
+}
+
 /// Single review in admin list view
 class AdminReviewItem {
   final String id;
@@ -17,6 +61,7 @@ class AdminReviewItem {
   final bool hasPartnerResponse;
   final String? partnerResponse;
   final DateTime createdAt;
+  final List<AdminReviewPhoto> photos;
 
   const AdminReviewItem({
     required this.id,
@@ -33,6 +78,7 @@ class AdminReviewItem {
     this.hasPartnerResponse = false,
     this.partnerResponse,
     required this.createdAt,
+    this.photos = const [],
   });
 
   factory AdminReviewItem.fromJson(Map<String, dynamic> json) {
@@ -51,6 +97,9 @@ class AdminReviewItem {
       hasPartnerResponse: json['has_partner_response'] as bool? ?? false,
       partnerResponse: json['partner_response'] as String?,
       createdAt: DateTime.parse(json['created_at'] as String),
+      photos: (json['photos'] as List<dynamic>? ?? [])
+          .map((e) => AdminReviewPhoto.fromJson(e as Map<String, dynamic>))
+          .toList(),
     );
   }
 
@@ -61,8 +110,12 @@ class AdminReviewItem {
     return 'Активен';
   }
 
-  /// Copy with updated visibility (for optimistic updates)
-  AdminReviewItem copyWith({bool? isVisible, bool? isDeleted}) {
+  /// Copy with updated visibility or photos (for optimistic updates)
+  AdminReviewItem copyWith({
+    bool? isVisible,
+    bool? isDeleted,
+    List<AdminReviewPhoto>? photos,
+  }) {
     return AdminReviewItem(
       id: id,
       rating: rating,
@@ -78,6 +131,7 @@ class AdminReviewItem {
       hasPartnerResponse: hasPartnerResponse,
       partnerResponse: partnerResponse,
       createdAt: createdAt,
+      photos: photos ?? this.photos,
     );
   }
 }
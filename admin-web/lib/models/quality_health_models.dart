@@ -16,6 +16,83 @@ class AttributeKeyCount {
   }
 }
 
+/// A dish priced far off its city median (price distribution signal).
+class PriceAnomaly {
+  final String establishmentId;
+  final String establishmentName;
+  final String city;
+  final String itemName;
+  final double priceByn;
+  final double cityMedianByn;
+
+  const PriceAnomaly({
+    required this.establishmentId,
+    required this.establishmentName,
+    required this.city,
+    required this.itemName,
+    required this.priceByn,
+    required this.cityMedianByn,
+  });
+
+  factory PriceAnomaly.fromJson(Map<String, dynamic> json) {
+    return PriceAnomaly(
+      establishmentId: json['establishment_id'] as String? ?? '',
+      establishmentName: json['establishment_name'] as String? ?? '',
+      city: json['city'] as String? ?? '',
+      itemName: json['item_name'] as String? ?? '',
+      priceByn: (json['price_byn'] as num?)?.toDouble() ?? 0,
+      cityMedianByn: (json['city_median_byn'] as num?)?.toDouble() ?? 0,
+    );
+  }
+}
+
+/// Current price of a dish in one city (admin price report).
+class CityPriceStat {
+  final String city;
+  final int establishmentCount;
+  final double avgPriceByn;
+  final double medianPriceByn;
+  final double minPriceByn;
+  final double maxPriceByn;
+
+  const CityPriceStat({
+    required this.city,
+    required this.establishmentCount,
+    required this.avgPriceByn,
+    required this.medianPriceByn,
+    required this.minPriceByn,
+    required this.maxPriceByn,
+  });
+
+  factory CityPriceStat.fromJson(Map<String, dynamic> json) {
+    return CityPriceStat(
+      city: json['city'] as String? ?? '',
+      establishmentCount: json['establishment_count'] as int? ?? 0,
+      avgPriceByn: (json['avg_price_byn'] as num?)?.toDouble() ?? 0,
+      medianPriceByn: (json['median_price_byn'] as num?)?.toDouble() ?? 0,
+      minPriceByn: (json['min_price_byn'] as num?)?.toDouble() ?? 0,
+      maxPriceByn: (json['max_price_byn'] as num?)?.toDouble() ?? 0,
+    );
+  }
+}
+
+/// GET /api/v1/admin/menu-items/price-report — a dish's price by city.
+class MenuPriceReport {
+  final String query;
+  final List<CityPriceStat> cities;
+
+  const MenuPriceReport({required this.query, required this.cities});
+
+  factory MenuPriceReport.fromJson(Map<String, dynamic> json) {
+    return MenuPriceReport(
+      query: json['query'] as String? ?? '',
+      cities: (json['cities'] as List<dynamic>? ?? const [])
+          .map((e) => CityPriceStat.fromJson(e as Map<String, dynamic>))
+          .toList(),
+    );
+  }
+}
+
 /// Read-only quality-health snapshot over active establishments.
 class QualityHealthData {
   final String scope;
@@ -46,8 +123,10 @@ class QualityHealthData {
   final int hangingFlagsCount;
   final int hangingAgedOver7d;
 
-  // Price distribution (deferred stub)
+  // Price distribution (dishes far off their city median)
   final String priceDistributionStatus;
+  final int priceAnomalyCount;
+  final List<PriceAnomaly> priceAnomalies;
 
   const QualityHealthData({
     required this.scope,
@@ -66,6 +145,8 @@ class QualityHealthData {
     required this.hangingFlagsCount,
     required this.hangingAgedOver7d,
     required this.priceDistributionStatus,
+    this.priceAnomalyCount = 0,
+    this.priceAnomalies = const [],
   });
 
   factory QualityHealthData.fromJson(Map<String, dynamic> json) {
@@ -77,6 +158,7 @@ class QualityHealthData {
     final flags = json['hanging_flags'] as Map<String, dynamic>? ?? const {};
     final price = json['price_distribution'] as Map<String, dynamic>? ?? const {};
     final keysRaw = census['keys'] as List<dynamic>? ?? const [];
+    final priceSamplesRaw = price['samples'] as List<dynamic>? ?? const [];
 
     return QualityHealthData(
       scope: json['scope'] as String? ?? 'active',
@@ -97,6 +179,10 @@ class QualityHealthData {
       hangingFlagsCount: flags['hanging_count'] as int? ?? 0,
       hangingAgedOver7d: flags['aged_over_7d'] as int? ?? 0,
       priceDistributionStatus: price['status'] as String? ?? 'deferred',
+      priceAnomalyCount: price['anomaly_count'] as int? ?? 0,
+      priceAnomalies: priceSamplesRaw
+          .map((e) => PriceAnomaly.fromJson(e as Map<String, dynamic>))
+          .toList(),
     );
   }
 }
@@ -4,7 +4,10 @@ import 'package:restaurant_guide_admin_web/services/admin_review_service.dart';
 
 /// State management for the Reviews Management screen
 class AdminReviewsProvider extends ChangeNotifier {
-  final AdminReviewService _service = AdminReviewService();
+  final AdminReviewService _service;
+
+  AdminReviewsProvider({AdminReviewService? service})
+      : _service = service ?? AdminReviewService();
 
   // List state
   List<AdminReviewItem> _reviews = [];
@@ -166,6 +169,71 @@ class AdminReviewsProvider extends ChangeNotifier {
     }
   }
 
+  /// Hide one photo of the selected review (optimistic with rollback).
+  /// The review itself stays visible; the hide is audit-logged server-side.
+  Future<bool> hidePhoto(String photoId, String reason) {
+    return _setPhotoHidden(
+      photoId,
+      hidden: true,
+      reason: reason,
+      request: () => _service.hidePhoto(photoId, reason: reason),
+    );
+  }
+
+  /// Show a previously hidden photo of the selected review again.
+  Future<bool> unhidePhoto(String photoId) {
+    return _setPhotoHidden(
+      photoId,
+      hidden: false,
+      request: () => _service.unhidePhoto(photoId),
+    );
+  }
+
+  Future<bool> _setPhotoHidden(
+    String photoId, {
+    required bool hidden,
+    String? reason,
+    required Future<void> Function() request,
+  }) async {
+    if (_selectedId == null) return false;
+
+    _isSubmitting = true;
+    _submitError = null;
+
+    final index = _reviews.indexWhere((r) => r.id == _selectedId);
+    AdminReviewItem? prevReview;
+    if (index >= 0) {
+      prevReview = _reviews[index];
+      final updated = prevReview.copyWith(
+        photos: [
+          for (final photo in prevReview.photos)
+            photo.id == photoId
+                ? photo.copyWith(isHiddenByAdmin: hidden, hiddenReason: reason)
+                : photo,
+        ],
+      );
+      _reviews[index] = updated;
+      _selectedReview = updated;
+    }
+    notifyListeners();
+
+    try {
+      await request();
+      _isSubmitting = false;
+      notifyListeners();
+      return true;
+    } catch (e) {
+      if (index >= 0 && index < _reviews.length && prevReview != null) {
+        _reviews[index] = prevReview;
+        _selectedReview = prevReview;
+      }
+      _isSubmitting = false;
+      _submitError = _extractMessage(e);
+      notifyListeners();
+      return false;
+    }
+  }
+
   // Filter setters
 
   void setStatusFilter(String? status) {
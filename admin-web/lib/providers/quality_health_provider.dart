@@ -1,22 +1,35 @@
 import 'package:flutter/foundation.dart';
 import 'package:restaurant_guide_admin_web/models/quality_health_models.dart';
+import 'package:restaurant_guide_admin_web/services/admin_menu_item_service.dart';
 import 'package:restaurant_guide_admin_web/services/quality_health_service.dart';
 
 /// State for the Quality Health panel (AI-ops Brick-1, Tier-0 immunity, read-only).
 class QualityHealthProvider with ChangeNotifier {
   final QualityHealthService _service;
+  final AdminMenuItemService _menuItemService;
 
   QualityHealthData? _data;
   bool _isLoading = false;
   String? _error;
 
-  QualityHealthProvider({QualityHealthService? service})
-      : _service = service ?? QualityHealthService();
+  MenuPriceReport? _priceReport;
+  bool _isPriceReportLoading = false;
+  String? _priceReportError;
+
+  QualityHealthProvider({
+    QualityHealthService? service,
+    AdminMenuItemService? menuItemService,
+  })  : _service = service ?? QualityHealthService(),
+        _menuItemService = menuItemService ?? AdminMenuItemService();
 
   QualityHealthData? get data => _data;
   bool get isLoading => _isLoading;
   String? get error => _error;
 
+  MenuPriceReport? get priceReport => _priceReport;
+  bool get isPriceReportLoading => _isPriceReportLoading;
+  String? get priceReportError => _priceReportError;
+
   Future<void> load() async {
     _isLoading = true;
     _error = null;
@@ -32,6 +45,29 @@ class QualityHealthProvider with ChangeNotifier {
     }
   }
 
+  /// Price of a dish by city ("капучино" → average per city).
+  Future<void> loadPriceReport(String query, {String? city}) async {
+    final trimmed = query.trim();
+    if (trimmed.length < 2) {
+      _priceReportError = 'Введите хотя бы 2 символа';
+      notifyListeners();
+      return;
+    }
+
+    _isPriceReportLoading = true;
+    _priceReportError = null;
+    notifyListeners();
+
+    try {
+      _priceReport = await _menuItemService.getPriceReport(trimmed, city: city);
+    } catch (e) {
+      _priceReportError = _extractMessage(e);
+    } finally {
+      _isPriceReportLoading = false;
+      notifyListeners();
+    }
+  }
+
   String _extractMessage(Object error) {
     final msg = error.toString();
     if (msg.contains('Connection timeout')) return 'Превышено время ожидания';
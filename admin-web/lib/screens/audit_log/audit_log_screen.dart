@@ -131,6 +131,12 @@ class _AuditLogScreenState extends State<AuditLogScreen> {
                         DropdownMenuItem(
                             value: 'review_delete',
                             child: Text('Удаление отзыва')),
+                        DropdownMenuItem(
+                            value: 'review_photo_hide',
+                            child: Text('Скрытие фото отзыва')),
+                        DropdownMenuItem(
+                            value: 'review_photo_show',
+                            child: Text('Показ фото отзыва')),
                         DropdownMenuItem(
                             value: 'admin_update_coordinates',
                             child: Text('Обновление координат')),
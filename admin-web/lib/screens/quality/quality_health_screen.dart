@@ -8,7 +8,8 @@ import 'package:restaurant_guide_admin_web/widgets/quality/quality_stat_card.dar
 ///
 /// Standing health signals over active establishments: canon/slug reachability,
 /// menu completeness, geo bounds, working-hours sanity, hanging OCR flags, plus an
-/// attribute-key census. Price distribution is deferred to the 500-import.
+/// attribute-key census, dishes priced far off their city median, and a
+/// dish price report by city.
 class QualityHealthScreen extends StatefulWidget {
   const QualityHealthScreen({super.key});
 
@@ -17,6 +18,14 @@ class QualityHealthScreen extends StatefulWidget {
 }
 
 class _QualityHealthScreenState extends State<QualityHealthScreen> {
+  final _priceQueryController = TextEditingController();
+
+  @override
+  void dispose() {
+    _priceQueryController.dispose();
+    super.dispose();
+  }
+
   @override
   void initState() {
     super.initState();
@@ -66,6 +75,8 @@ class _QualityHealthScreenState extends State<QualityHealthScreen> {
                 _buildError(provider)
               else if (provider.data != null)
                 _buildContent(provider.data!),
+              const SizedBox(height: 24),
+              _buildPriceReport(provider),
             ],
           ),
         );
@@ -160,6 +171,12 @@ class _QualityHealthScreenState extends State<QualityHealthScreen> {
         subtitle: 'Позиции меню с sanity_flag без модерации',
         icon: Icons.flag_outlined,
       ),
+      QualityStatCard(
+        title: 'Цены вне медианы',
+        count: d.priceAnomalyCount,
+        subtitle: 'Цена блюда в 3+ раза выше/ниже медианы по городу',
+        icon: Icons.price_change_outlined,
+      ),
       QualityStatCard(
         title: 'Атрибуты: не-объект',
         count: d.nonObjectAttributesCount,
@@ -191,7 +208,7 @@ class _QualityHealthScreenState extends State<QualityHealthScreen> {
         const SizedBox(height: 28),
         _buildCensus(d),
         const SizedBox(height: 24),
-        _buildPriceNote(),
+        _buildPriceAnomalies(d),
       ],
     );
   }
@@ -263,27 +280,169 @@ class _QualityHealthScreenState extends State<QualityHealthScreen> {
     );
   }
 
-  Widget _buildPriceNote() {
+  BoxDecoration get _panelDecoration => BoxDecoration(
+        color: Colors.white,
+        borderRadius: BorderRadius.circular(12),
+        boxShadow: [
+          BoxShadow(
+            color: Colors.black.withValues(alpha: 0.05),
+            blurRadius: 10,
+            offset: const Offset(0, 2),
+          ),
+        ],
+      );
+
+  static String _byn(double value) => '${value.toStringAsFixed(2)} BYN';
+
+  Widget _buildPanelTitle(String title, String subtitle) {
+    return Column(
+      crossAxisAlignment: CrossAxisAlignment.start,
+      children: [
+        Text(
+          title,
+          style: const TextStyle(
+            fontSize: 16,
+            fontWeight: FontWeight.w600,
+            color: Color(0xFF1A1A1A),
+          ),
+        ),
+        const SizedBox(height: 4),
+        Text(
+          subtitle,
+          style: TextStyle(fontSize: 12, color: Colors.grey[600]),
+        ),
+        const SizedBox(height: 16),
+      ],
+    );
+  }
+
+  Widget _buildPriceAnomalies(QualityHealthData d) {
     return Container(
       width: double.infinity,
-      padding: const EdgeInsets.all(16),
-      decoration: BoxDecoration(
-        color: const Color(0xFFFFF7ED),
-        borderRadius: BorderRadius.circular(12),
-        border: Border.all(color: const Color(0x22F06B32)),
-      ),
-      child: Row(
+      padding: const EdgeInsets.all(20),
+      decoration: _panelDecoration,
+      child: Column(
+        crossAxisAlignment: CrossAxisAlignment.start,
         children: [
-          const Icon(Icons.info_outline, size: 20, color: Color(0xFFB45309)),
-          const SizedBox(width: 12),
-          Expanded(
-            child: Text(
-              'Распределение цен — отложено (статистический сигнал; '
-              'подключается на импорте 500 заведений). Абсолютные ценовые '
-              'выбросы уже ловятся при OCR (sanity_flag).',
-              style: TextStyle(fontSize: 13, color: Colors.grey[800]),
+          _buildPanelTitle(
+            'Распределение цен',
+            'Текущие цены из истории цен меню; блюдо сравнивается с медианой '
+                'по городу, если его подают хотя бы 5 заведений',
+          ),
+          if (d.priceAnomalies.isEmpty)
+            Text(
+              'Выбросов не найдено',
+              style: TextStyle(fontSize: 13, color: Colors.grey[500]),
+            )
+          else
+            ...d.priceAnomalies.map(
+              (a) => Padding(
+                padding: const EdgeInsets.only(bottom: 8),
+                child: Row(
+                  children: [
+                    Expanded(
+                      child: Text(
+                        '${a.itemName} · ${a.establishmentName}, ${a.city}',
+                        style: const TextStyle(
+                          fontSize: 13,
+                          color: Color(0xFF374151),
+                        ),
+                      ),
+                    ),
+                    Text(
+                      '${_byn(a.priceByn)} (медиана ${_byn(a.cityMedianByn)})',
+                      style: const TextStyle(
+                        fontSize: 13,
+                        fontWeight: FontWeight.w500,
+                        color: Color(0xFFB45309),
+                      ),
+                    ),
+                  ],
+                ),
+              ),
             ),
+        ],
+      ),
+    );
+  }
+
+  Widget _buildPriceReport(QualityHealthProvider provider) {
+    final report = provider.priceReport;
+
+    void submit() => provider.loadPriceReport(_priceQueryController.text);
+
+    return Container(
+      width: double.infinity,
+      padding: const EdgeInsets.all(20),
+      decoration: _panelDecoration,
+      child: Column(
+        crossAxisAlignment: CrossAxisAlignment.start,
+        children: [
+          _buildPanelTitle(
+            'Цена блюда по городам',
+            'Средняя текущая цена по живым меню: одно значение на заведение',
+          ),
+          Row(
+            children: [
+              Expanded(
+                child: TextField(
+                  controller: _priceQueryController,
+                  decoration: const InputDecoration(
+                    hintText: 'Например, капучино',
+                    isDense: true,
+                    border: OutlineInputBorder(),
+                  ),
+                  onSubmitted: (_) => submit(),
+                ),
+              ),
+              const SizedBox(width: 12),
+              ElevatedButton(
+                onPressed: provider.isPriceReportLoading ? null : submit,
+                child: const Text('Показать'),
+              ),
+            ],
           ),
+          const SizedBox(height: 16),
+          if (provider.isPriceReportLoading)
+            const Center(
+              child: CircularProgressIndicator(color: Color(0xFFF06B32)),
+            )
+          else if (provider.priceReportError != null)
+            Text(
+              provider.priceReportError!,
+              style: TextStyle(fontSize: 13, color: Colors.red[600]),
+            )
+          else if (report != null && report.cities.isEmpty)
+            Text(
+              'Нет цен для «${report.query}»',
+              style: TextStyle(fontSize: 13, color: Colors.grey[500]),
+            )
+          else if (report != null)
+            DataTable(
+              columns: const [
+                DataColumn(label: Text('Город')),
+                DataColumn(label: Text('Заведений'), numeric: true),
+                DataColumn(label: Text('Средняя'), numeric: true),
+                DataColumn(label: Text('Медиана'), numeric: true),
+                DataColumn(label: Text('Мин – макс'), numeric: true),
+              ],
+              rows: report.cities
+                  .map(
+                    (c) => DataRow(
+                      cells: [
+                        DataCell(Text(c.city)),
+                        DataCell(Text('${c.establishmentCount}')),
+                        DataCell(Text(_byn(c.avgPriceByn))),
+                        DataCell(Text(_byn(c.medianPriceByn))),
+                        DataCell(Text(
+                          '${c.minPriceByn.toStringAsFixed(2)} – '
+                          '${_byn(c.maxPriceByn)}',
+                        )),
+                      ],
+                    ),
+                  )
+                  .toList(),
+            ),
         ],
       ),
     );
@@ -541,6 +541,16 @@ class _DetailPanel extends StatelessWidget {
                 ),
               ),
 
+              // Photos (all of them — hidden ones are marked)
+              if (review.photos.isNotEmpty)
+                _DetailSection(
+                  title: 'Фото (${review.photos.length})',
+                  child: _ReviewPhotos(
+                    review: review,
+                    provider: provider,
+                  ),
+                ),
+
               // Author info
               _DetailSection(
                 title: 'Автор',
@@ -778,6 +788,133 @@ class _DetailPanel extends StatelessWidget {
   }
 }
 
+// =============================================================================
+// Review photos — per-photo hide / show
+// =============================================================================
+
+class _ReviewPhotos extends StatelessWidget {
+  final AdminReviewItem review;
+  final AdminReviewsProvider provider;
+
+  const _ReviewPhotos({required this.review, required this.provider});
+
+  @override
+  Widget build(BuildContext context) {
+    return Wrap(
+      spacing: 8,
+      runSpacing: 8,
+      children: [
+        for (final photo in review.photos) _buildTile(context, photo),
+      ],
+    );
+  }
+
+  Widget _buildTile(BuildContext context, AdminReviewPhoto photo) {
+    // A hidden review already hides all its photos, but the per-photo flag
+    // still applies once it is shown again; a deleted review is final.
+    final canModerate = !review.isDeleted && !provider.isSubmitting;
+
+    return Column(
+      mainAxisSize: MainAxisSize.min,
+      children: [
+        Tooltip(
+          message: photo.isHiddenByAdmin
+              ? 'Скрыто: ${photo.hiddenReason ?? 'без причины'}'
+              : 'Открыть фото',
+          child: ClipRRect(
+            borderRadius: BorderRadius.circular(8),
+            child: Opacity(
+              opacity: photo.isHiddenByAdmin ? 0.35 : 1,
+              child: Image.network(
+                photo.thumbnailUrl ?? photo.url,
+                width: 88,
+                height: 88,
+                fit: BoxFit.cover,
+                errorBuilder: (_, __, ___) => Container(
+                  width: 88,
+                  height: 88,
+                  color: Colors.grey[200],
+                  child: Icon(Icons.broken_image, color: Colors.grey[400]),
+                ),
+              ),
+            ),
+          ),
+        ),
+        TextButton(
+          onPressed: !canModerate
+              ? null
+              : () {
+                  if (photo.isHiddenByAdmin) {
+                    provider.unhidePhoto(photo.id);
+                  } else {
+                    _showHidePhotoDialog(context, photo);
+                  }
+                },
+          child: Text(photo.isHiddenByAdmin ? 'Показать' : 'Скрыть'),
+        ),
+      ],
+    );
+  }
+
+  void _showHidePhotoDialog(BuildContext context, AdminReviewPhoto photo) {
+    final reasonController = TextEditingController();
+
+    showDialog(
+      context: context,
+      builder: (dialogContext) {
+        return StatefulBuilder(
+          builder: (dialogContext, setState) {
+            final reason = reasonController.text.trim();
+            return AlertDialog(
+              title: const Text('Скрыть фото?'),
+              content: Column(
+                mainAxisSize: MainAxisSize.min,
+                crossAxisAlignment: CrossAxisAlignment.start,
+                children: [
+                  const Text(
+                    'Фото пропадёт с публичных страниц, отзыв останется. '
+                    'Вы сможете показать его снова.',
+                  ),
+                  const SizedBox(height: 16),
+                  TextField(
+                    controller: reasonController,
+                    onChanged: (_) => setState(() {}),
+                    decoration: InputDecoration(
+                      labelText: 'Причина (обязательно)',
+                      border: OutlineInputBorder(
+                        borderRadius: BorderRadius.circular(8),
+                      ),
+                    ),
+                    maxLines: 2,
+                  ),
+                ],
+              ),
+              actions: [
+                TextButton(
+                  onPressed: () => Navigator.of(dialogContext).pop(),
+                  child: const Text('Отмена'),
+                ),
+                FilledButton(
+                  onPressed: reason.isEmpty
+                      ? null
+                      : () {
+                          Navigator.of(dialogContext).pop();
+                          provider.hidePhoto(photo.id, reason);
+                        },
+                  style: FilledButton.styleFrom(
+                    backgroundColor: const Color(0xFFF57F17),
+                  ),
+                  child: const Text('Скрыть'),
+                ),
+              ],
+            );
+          },
+        );
+      },
+    );
+  }
+}
+
 // =============================================================================
 // Detail Section helper
 // =============================================================================
@@ -1,4 +1,5 @@
 import 'package:restaurant_guide_admin_web/models/flagged_menu_item.dart';
+import 'package:restaurant_guide_admin_web/models/quality_health_models.dart';
 import 'package:restaurant_guide_admin_web/services/api_client.dart';
 
 /// API service for admin moderation of parsed menu items (Segment C).
@@ -7,6 +8,7 @@ import 'package:restaurant_guide_admin_web/services/api_client.dart';
 ///   POST /api/v1/admin/menu-items/:id/hide
 ///   POST /api/v1/admin/menu-items/:id/unhide
 ///   POST /api/v1/admin/menu-items/:id/dismiss-flag
+///   GET  /api/v1/admin/menu-items/price-report
 class AdminMenuItemService {
   final ApiClient _apiClient;
 
@@ -81,4 +83,18 @@ class AdminMenuItemService {
     final data = response.data as Map<String, dynamic>;
     return data['data'] as Map<String, dynamic>;
   }
+
+  /// Current price of a dish by city over live menus (`q` — dish name or
+  /// part of it, at least 2 characters).
+  Future<MenuPriceReport> getPriceReport(String query, {String? city}) async {
+    final response = await _apiClient.get(
+      '/api/v1/admin/menu-items/price-report',
+      queryParameters: {
+        'q': query,
+        if (city != null && city.isNotEmpty) 'city': city,
+      },
+    );
+    final data = response.data as Map<String, dynamic>;
+    return MenuPriceReport.fromJson(data['data'] as Map<String, dynamic>);
+  }
 }
@@ -73,4 +73,19 @@ class AdminReviewService {
       data: data.isNotEmpty ? data : null,
     );
   }
+
+  /// POST /api/v1/admin/reviews/photos/:photoId/hide
+  ///
+  /// Причина обязательна — без неё бэкенд отвечает 400 REASON_REQUIRED.
+  Future<void> hidePhoto(String photoId, {required String reason}) async {
+    await _apiClient.post(
+      '/api/v1/admin/reviews/photos/$photoId/hide',
+      data: {'reason': reason},
+    );
+  }
+
+  /// POST /api/v1/admin/reviews/photos/:photoId/unhide
+  Future<void> unhidePhoto(String photoId) async {
+    await _apiClient.post('/api/v1/admin/reviews/photos/$photoId/unhide');
+  }
 }
@@ -0,0 +1,144 @@
+import 'package:flutter_test/flutter_test.dart';
+import 'package:restaurant_guide_admin_web/models/admin_review_item.dart';
+import 'package:restaurant_guide_admin_web/providers/admin_reviews_provider.dart';
+import 'package:restaurant_guide_admin_web/services/admin_review_service.dart';
+
+/// Fake via `implements` — no mocking framework needed.
+class _FakeReviewService implements AdminReviewService {
+  AdminReviewListResponse listResult = const AdminReviewListResponse(
+    reviews: [],
+    total: 0,
+    page: 1,
+    pages: 1,
+  );
+  final List<String> calls = [];
+  Exception? throwFromPhoto;
+
+  @override
+  Future<AdminReviewListResponse> getReviews({
+    int page = 1,
+    int perPage = 20,
+    String? status,
+    int? rating,
+    String? search,
+    String? sort,
+    DateTime? from,
+    DateTime? to,
+  }) async =>
+      listResult;
+
+  @override
+  Future<void> toggleVisibility(String id) async => calls.add('toggle:$id');
+
+  @override
+  Future<void> deleteReview(String id, {String? reason}) async =>
+      calls.add('delete:$id');
+
+  @override
+  Future<void> hidePhoto(String photoId, {required String reason}) async {
+    if (throwFromPhoto != null) throw throwFromPhoto!;
+    calls.add('hide:$photoId:$reason');
+  }
+
+  @override
+  Future<void> unhidePhoto(String photoId) async {
+    if (throwFromPhoto != null) throw throwFromPhoto!;
+    calls.add('unhide:$photoId');
+  }
+}
+
+void main() {
+  group('AdminReviewItem.fromJson photos', () {
+    test('parses photos with moderation flags; missing list is empty', () {
+      final item = AdminReviewItem.fromJson({
+        'id': 'r-1',
+        'rating': 5,
+        'created_at': '2026-10-01T10:00:00.000Z',
+        'photos': [
+          {
+            'id': 'p-1',
+            'url': 'https://res.cloudinary.com/full.jpg',
+            'thumbnail_url': 'https://res.cloudinary.com/thumb.jpg',
+            'is_hidden_by_admin': true,
+            'hidden_reason': 'Реклама',
+          },
+        ],
+      });
+
+      expect(item.photos.single.isHiddenByAdmin, true);
+      expect(item.photos.single.hiddenReason, 'Реклама');
+      expect(
+        AdminReviewItem.fromJson({
+          'id': 'r-2',
+          'created_at': '2026-10-01T10:00:00.000Z',
+        }).photos,
+        isEmpty,
+      );
+    });
+  });
+
+  group('AdminReviewsProvider photo moderation', () {
+    late _FakeReviewService fake;
+    late AdminReviewsProvider provider;
+
+    setUp(() async {
+      fake = _FakeReviewService();
+      fake.listResult = AdminReviewListResponse(
+        reviews: [
+          AdminReviewItem(
+            id: 'r-1',
+            rating: 4,
+            createdAt: DateTime(2026, 10, 1),
+            photos: const [
+              AdminReviewPhoto(id: 'p-1', url: 'https://img/1.jpg'),
+              AdminReviewPhoto(
+                id: 'p-2',
+                url: 'https://img/2.jpg',
+                isHiddenByAdmin: true,
+                hiddenReason: 'Спам',
+              ),
+            ],
+          ),
+        ],
+        total: 1,
+        page: 1,
+        pages: 1,
+      );
+      provider = AdminReviewsProvider(service: fake);
+      await provider.loadReviews();
+      provider.selectReview('r-1');
+    });
+
+    test('hidePhoto marks the photo hidden with the reason', () async {
+      final ok = await provider.hidePhoto('p-1', 'Не по теме');
+
+      expect(ok, true);
+      expect(fake.calls, ['hide:p-1:Не по теме']);
+      final photo = provider.selectedReview!.photos.first;
+      expect(photo.isHiddenByAdmin, true);
+      expect(photo.hiddenReason, 'Не по теме');
+      expect(provider.reviews.first.photos.first.isHiddenByAdmin, true);
+    });
+
+    test('unhidePhoto shows the photo again and clears the reason', () async {
+      await provider.unhidePhoto('p-2');
+
+      expect(fake.calls, ['unhide:p-2']);
+      final photo = provider.selectedReview!.photos.last;
+      expect(photo.isHiddenByAdmin, false);
+      expect(photo.hiddenReason, isNull);
+    });
+
+    test('a failed request rolls the photo back and reports an error',
+        () async {
+      fake.throwFromPhoto = Exception('HTTP 404');
+
+      final ok = await provider.hidePhoto('p-1', 'Спам');
+
+      expect(ok, false);
+      expect(provider.selectedReview!.photos.first.isHiddenByAdmin, false);
+      expect(provider.submitError, 'Отзыв не найден');
+      expect(provider.isSubmitting, false);
+    });
+  });
+}
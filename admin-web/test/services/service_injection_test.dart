@@ -182,6 +182,38 @@ void main() {
       expect(sent.queryParameters.containsKey('period'), isFalse);
     });
 
+    test('getPriceReport шлёт q и city и разбирает города', () async {
+      final adapter = _StubAdapter(
+        (_) => _json({
+          'success': true,
+          'data': {
+            'query': 'капучино',
+            'cities': [
+              {
+                'city': 'Минск',
+                'establishment_count': 12,
+                'avg_price_byn': 6.85,
+                'median_price_byn': 6.5,
+                'min_price_byn': 4,
+                'max_price_byn': 11.2,
+              },
+            ],
+          },
+        }),
+      );
+
+      final service = AdminMenuItemService.withClient(stubClient(adapter));
+      final report = await service.getPriceReport('капучино', city: 'Минск');
+
+      expect(report.query, 'капучино');
+      expect(report.cities.single.establishmentCount, 12);
+      expect(report.cities.single.minPriceByn, 4.0);
+
+      final sent = adapter.requests.single;
+      expect(sent.path, '/api/v1/admin/menu-items/price-report');
+      expect(sent.queryParameters, {'q': 'капучино', 'city': 'Минск'});
+    });
+
     test('ошибка сервера доходит до вызывающего человеческим текстом',
         () async {
       final adapter = _StubAdapter(
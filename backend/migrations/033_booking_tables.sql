@@ -0,0 +1,56 @@
+-- Migration 033: Booking tables inventory + seating duration
+--
+-- Lets partners describe their seating (tables/zones, seat counts, which
+-- tables can be pushed together) so booking creation/confirmation can check
+-- that a time slot still has room for the party.
+--
+-- Capacity model:
+--   * A booking occupies seats for [booking_time, booking_time + duration).
+--   * duration is captured per booking at creation (bookings.duration_minutes)
+--     from booking_settings.seating_duration_minutes, so changing the setting
+--     later never re-shapes bookings that already exist. NULL (legacy rows)
+--     falls back to the current setting.
+--   * An establishment with no active booking_tables rows keeps the pre-033
+--     behaviour (no capacity check) — opt-in per partner.
+--
+-- Rollback: 033_rollback_booking_tables.sql. Idempotent.
+
+BEGIN;
+
+-- =====================================================
+-- 1. Table inventory (many rows per establishment)
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS booking_tables (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    establishment_id UUID NOT NULL REFERENCES establishments(id) ON DELETE CASCADE,
+    label VARCHAR(50) NOT NULL,
+    zone VARCHAR(50),
+    seats INTEGER NOT NULL CHECK (seats BETWEEN 1 AND 50),
+    is_combinable BOOLEAN NOT NULL DEFAULT FALSE,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(establishment_id, label)
+);
+
+CREATE INDEX IF NOT EXISTS idx_booking_tables_establishment
+ON booking_tables(establishment_id) WHERE is_active = TRUE;
+
+-- =====================================================
+-- 2. Seating duration (settings default + per-booking snapshot)
+-- =====================================================
+
+ALTER TABLE booking_settings
+ADD COLUMN IF NOT EXISTS seating_duration_minutes INTEGER NOT NULL DEFAULT 120
+    CHECK (seating_duration_minutes IN (60, 90, 120, 150, 180, 240));
+
+ALTER TABLE bookings
+ADD COLUMN IF NOT EXISTS duration_minutes INTEGER
+    CHECK (duration_minutes IS NULL OR duration_minutes > 0);
+
+-- Capacity lookups: active bookings of one establishment around one date
+CREATE INDEX IF NOT EXISTS idx_bookings_establishment_date
+ON bookings(establishment_id, booking_date) WHERE status IN ('pending', 'confirmed');
+
+COMMIT;
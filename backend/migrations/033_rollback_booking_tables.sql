@@ -0,0 +1,15 @@
+-- Rollback for Migration 033: drop booking table inventory + seating duration
+--
+-- Idempotent via IF EXISTS — safe to re-run.
+
+BEGIN;
+
+DROP INDEX IF EXISTS idx_bookings_establishment_date;
+
+ALTER TABLE bookings DROP COLUMN IF EXISTS duration_minutes;
+
+ALTER TABLE booking_settings DROP COLUMN IF EXISTS seating_duration_minutes;
+
+DROP TABLE IF EXISTS booking_tables;
+
+COMMIT;
@@ -0,0 +1,58 @@
+-- Migration 034: Booking lifecycle worker state
+--
+-- Supports the scheduled lifecycle worker (services/bookingLifecycleWorker.js)
+-- that replaces read-triggered expiry as the owner of booking transitions:
+--   * pending past expires_at      → expired  (+ notify user and partner)
+--   * confirmed, starting soon     → reminder notification to the guest
+--   * confirmed, seating finished  → awaiting_outcome (partner marks
+--                                    completed / no_show)
+--
+-- Claim-before-notify: the worker stamps expiry_notified_at / reminder_sent_at
+-- in the same UPDATE that selects the rows, so a crash or a second worker can
+-- never deliver the same notification twice (at-most-once delivery).
+--
+-- Backfill: bookings that expired before this migration are stamped as
+-- already notified — the first worker tick must not flood users with
+-- notifications about long-gone requests.
+--
+-- Rollback: 034_rollback_booking_lifecycle.sql. Idempotent.
+
+BEGIN;
+
+-- =====================================================
+-- 1. New status: awaiting_outcome
+-- =====================================================
+
+ALTER TABLE bookings DROP CONSTRAINT IF EXISTS bookings_status_check;
+
+ALTER TABLE bookings ADD CONSTRAINT bookings_status_check
+    CHECK (status IN ('pending', 'confirmed', 'awaiting_outcome', 'declined',
+                      'cancelled', 'expired', 'no_show', 'completed'));
+
+-- =====================================================
+-- 2. Notification claim stamps
+-- =====================================================
+
+ALTER TABLE bookings
+ADD COLUMN IF NOT EXISTS expiry_notified_at TIMESTAMP;
+
+ALTER TABLE bookings
+ADD COLUMN IF NOT EXISTS reminder_sent_at TIMESTAMP;
+
+UPDATE bookings
+SET expiry_notified_at = updated_at
+WHERE status = 'expired' AND expiry_notified_at IS NULL;
+
+-- =====================================================
+-- 3. Worker scan indexes
+-- =====================================================
+
+-- Expired bookings still owed a notification
+CREATE INDEX IF NOT EXISTS idx_bookings_expired_unnotified
+ON bookings(expires_at) WHERE status = 'expired' AND expiry_notified_at IS NULL;
+
+-- Confirmed bookings by start (reminders + awaiting_outcome sweep)
+CREATE INDEX IF NOT EXISTS idx_bookings_confirmed_start
+ON bookings(booking_date, booking_time) WHERE status = 'confirmed';
+
+COMMIT;
@@ -0,0 +1,22 @@
+-- Rollback for Migration 034: booking lifecycle worker state
+--
+-- awaiting_outcome rows are returned to 'confirmed' before the status CHECK
+-- is narrowed back, otherwise the constraint cannot be re-added.
+-- Idempotent via IF EXISTS — safe to re-run.
+
+BEGIN;
+
+DROP INDEX IF EXISTS idx_bookings_confirmed_start;
+DROP INDEX IF EXISTS idx_bookings_expired_unnotified;
+
+ALTER TABLE bookings DROP COLUMN IF EXISTS reminder_sent_at;
+ALTER TABLE bookings DROP COLUMN IF EXISTS expiry_notified_at;
+
+UPDATE bookings SET status = 'confirmed' WHERE status = 'awaiting_outcome';
+
+ALTER TABLE bookings DROP CONSTRAINT IF EXISTS bookings_status_check;
+
+ALTER TABLE bookings ADD CONSTRAINT bookings_status_check
+    CHECK (status IN ('pending', 'confirmed', 'declined', 'cancelled', 'expired', 'no_show', 'completed'));
+
+COMMIT;
@@ -0,0 +1,41 @@
+-- Migration 035: Per-establishment booking reminders + reconfirmation
+--
+-- Moves the reminder lead time from a global worker setting
+-- (BOOKING_REMINDER_HOURS) to booking_settings, and adds an optional
+-- day-before "please reconfirm" request: the guest confirms or cancels from
+-- the notification, and the partner sees who reconfirmed before service.
+--
+--   * reminder_hours_before = 0 disables reminders for the establishment.
+--   * reconfirm_enabled is opt-in; requests go out 24h before the booking
+--     (bookingService RECONFIRM_LEAD_HOURS) and only for bookings made
+--     before that window opened.
+--   * Unanswered requests change nothing — the booking stays confirmed.
+--
+-- Rollback: 035_rollback_booking_reminders.sql. Idempotent.
+
+BEGIN;
+
+-- =====================================================
+-- 1. Settings
+-- =====================================================
+
+ALTER TABLE booking_settings
+ADD COLUMN IF NOT EXISTS reminder_hours_before INTEGER NOT NULL DEFAULT 3
+    CHECK (reminder_hours_before IN (0, 1, 2, 3, 6, 12, 24));
+
+ALTER TABLE booking_settings
+ADD COLUMN IF NOT EXISTS reconfirm_enabled BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- =====================================================
+-- 2. Reconfirmation state on bookings
+-- =====================================================
+
+-- Claim stamp (at-most-once request, same pattern as reminder_sent_at)
+ALTER TABLE bookings
+ADD COLUMN IF NOT EXISTS reconfirm_requested_at TIMESTAMP;
+
+-- Set when the guest taps "confirm" on the request
+ALTER TABLE bookings
+ADD COLUMN IF NOT EXISTS reconfirmed_at TIMESTAMP;
+
+COMMIT;
@@ -0,0 +1,12 @@
+-- Rollback for Migration 035: booking reminders + reconfirmation
+-- Idempotent via IF EXISTS — safe to re-run.
+
+BEGIN;
+
+ALTER TABLE bookings DROP COLUMN IF EXISTS reconfirmed_at;
+ALTER TABLE bookings DROP COLUMN IF EXISTS reconfirm_requested_at;
+
+ALTER TABLE booking_settings DROP COLUMN IF EXISTS reconfirm_enabled;
+ALTER TABLE booking_settings DROP COLUMN IF EXISTS reminder_hours_before;
+
+COMMIT;
@@ -0,0 +1,60 @@
+-- Migration 036: Booking waitlist
+--
+-- Guests whose slot was full (SLOT_FULL) or whose request was declined for
+-- lack of space can wait for a time window on a given date. When a booking
+-- in that window is cancelled or expires, the oldest matching entry gets an
+-- offer: the freed slot is held for them for a short claim window
+-- (bookingService WAITLIST_CLAIM_MINUTES). Claiming creates a regular
+-- pending booking; an unclaimed offer expires and passes to the next entry.
+--
+-- Status machine:
+--   waiting → offered → claimed
+--                     → expired (offer not claimed; slot passes on)
+--   waiting → expired (date passed)
+--   waiting | offered → cancelled (guest left the waitlist)
+--
+-- Rollback: 036_rollback_booking_waitlist.sql. Idempotent.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS booking_waitlist (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    establishment_id UUID NOT NULL REFERENCES establishments(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    booking_date DATE NOT NULL,
+    time_from TIME NOT NULL,
+    time_to TIME NOT NULL,
+    guest_count INTEGER NOT NULL CHECK (guest_count >= 1),
+    contact_phone VARCHAR(20) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'waiting'
+        CHECK (status IN ('waiting', 'offered', 'claimed', 'expired', 'cancelled')),
+    -- Filled when an offer is made: the freed slot and the seats it held
+    offered_time TIME,
+    offered_seats INTEGER,
+    offered_at TIMESTAMP,
+    offer_expires_at TIMESTAMP,
+    claimed_booking_id UUID REFERENCES bookings(id) ON DELETE SET NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    CHECK (time_from <= time_to)
+);
+
+-- One open entry per guest per establishment and date
+CREATE UNIQUE INDEX IF NOT EXISTS idx_booking_waitlist_open_per_user
+ON booking_waitlist(establishment_id, user_id, booking_date)
+WHERE status IN ('waiting', 'offered');
+
+-- FIFO lookup when a slot frees up
+CREATE INDEX IF NOT EXISTS idx_booking_waitlist_waiting
+ON booking_waitlist(establishment_id, booking_date, created_at)
+WHERE status = 'waiting';
+
+-- Offer expiry sweep + capacity holds
+CREATE INDEX IF NOT EXISTS idx_booking_waitlist_offered
+ON booking_waitlist(offer_expires_at)
+WHERE status = 'offered';
+
+CREATE INDEX IF NOT EXISTS idx_booking_waitlist_user
+ON booking_waitlist(user_id, created_at DESC);
+
+COMMIT;
@@ -0,0 +1,8 @@
+-- Rollback for Migration 036: booking waitlist
+-- Idempotent via IF EXISTS — safe to re-run.
+
+BEGIN;
+
+DROP TABLE IF EXISTS booking_waitlist;
+
+COMMIT;
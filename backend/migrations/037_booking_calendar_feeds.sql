@@ -0,0 +1,21 @@
+-- Migration 037: Booking calendar feeds
+--
+-- Partners can subscribe their calendar app (Google / Apple / Outlook) to a
+-- read-only iCal feed of an establishment's bookings. Calendar apps cannot
+-- send our JWT, so the feed URL carries a secret token instead. Only the
+-- SHA-256 hash of the token is stored; rotating replaces it (old URL stops
+-- working immediately), deleting the row disables the feed.
+--
+-- One feed per establishment.
+--
+-- Rollback: 037_rollback_booking_calendar_feeds.sql. Idempotent.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS booking_calendar_feeds (
+    establishment_id UUID PRIMARY KEY REFERENCES establishments(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+COMMIT;
@@ -0,0 +1,8 @@
+-- Rollback for Migration 037: booking calendar feeds
+-- Idempotent via IF EXISTS — safe to re-run.
+
+BEGIN;
+
+DROP TABLE IF EXISTS booking_calendar_feeds;
+
+COMMIT;
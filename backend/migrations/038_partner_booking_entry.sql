@@ -0,0 +1,48 @@
+-- Migration 038: Partner-entered bookings and walk-ins
+--
+-- Reservations taken by phone and guests who walk in never reached the
+-- system, so capacity checks and analytics undercounted. Partners can now
+-- record both in the same bookings table and status machine:
+--
+--   * source = 'app'     — made by a signed-in guest (user_id required)
+--   * source = 'partner' — entered by the partner for a phone/in-person
+--                          reservation; no user account, guest_name +
+--                          contact_phone instead; created as 'confirmed'
+--   * source = 'walk_in' — party seated without a reservation; created as
+--                          'confirmed' for the current time (holds seats
+--                          for the seating window), then completed by the
+--                          lifecycle worker instead of awaiting an outcome
+--
+-- Guest-facing flows (reminders, reconfirm requests) skip rows without a
+-- user_id — there is nobody in the app to notify.
+--
+-- Rollback: 038_rollback_partner_booking_entry.sql. The rollback deletes
+-- partner/walk-in rows, since they cannot satisfy user_id NOT NULL.
+
+BEGIN;
+
+ALTER TABLE bookings
+ADD COLUMN IF NOT EXISTS source VARCHAR(20) NOT NULL DEFAULT 'app'
+    CHECK (source IN ('app', 'partner', 'walk_in'));
+
+ALTER TABLE bookings
+ADD COLUMN IF NOT EXISTS guest_name VARCHAR(100);
+
+-- Partner who entered the row (NULL for app bookings)
+ALTER TABLE bookings
+ADD COLUMN IF NOT EXISTS created_by UUID REFERENCES users(id) ON DELETE SET NULL;
+
+ALTER TABLE bookings ALTER COLUMN user_id DROP NOT NULL;
+ALTER TABLE bookings ALTER COLUMN contact_phone DROP NOT NULL;
+
+-- App bookings belong to a user; partner-side rows never do
+ALTER TABLE bookings DROP CONSTRAINT IF EXISTS bookings_source_user_check;
+ALTER TABLE bookings ADD CONSTRAINT bookings_source_user_check
+    CHECK ((source = 'app') = (user_id IS NOT NULL));
+
+-- Only walk-ins may omit a phone
+ALTER TABLE bookings DROP CONSTRAINT IF EXISTS bookings_contact_phone_check;
+ALTER TABLE bookings ADD CONSTRAINT bookings_contact_phone_check
+    CHECK (source = 'walk_in' OR contact_phone IS NOT NULL);
+
+COMMIT;
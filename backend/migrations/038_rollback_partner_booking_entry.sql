@@ -0,0 +1,18 @@
+-- Rollback for Migration 038: partner-entered bookings and walk-ins
+-- Deletes partner/walk-in rows (they have no user_id). Idempotent.
+
+BEGIN;
+
+ALTER TABLE bookings DROP CONSTRAINT IF EXISTS bookings_contact_phone_check;
+ALTER TABLE bookings DROP CONSTRAINT IF EXISTS bookings_source_user_check;
+
+DELETE FROM bookings WHERE source <> 'app';
+
+ALTER TABLE bookings ALTER COLUMN contact_phone SET NOT NULL;
+ALTER TABLE bookings ALTER COLUMN user_id SET NOT NULL;
+
+ALTER TABLE bookings DROP COLUMN IF EXISTS created_by;
+ALTER TABLE bookings DROP COLUMN IF EXISTS guest_name;
+ALTER TABLE bookings DROP COLUMN IF EXISTS source;
+
+COMMIT;
@@ -0,0 +1,36 @@
+-- Migration 039: Booking modifications (reschedule / change party size)
+--
+-- A guest can change the date, time or guest count of a pending or confirmed
+-- booking instead of cancelling and re-booking. The change goes through the
+-- same validation as a new booking; a small change to a confirmed booking
+-- (same day, shifted by at most bookingService AUTO_CONFIRM_MAX_SHIFT_MINUTES,
+-- party not growing) stays confirmed, anything else returns the booking to
+-- 'pending' for the partner to approve.
+--
+-- booking_changes keeps one row per applied change (before / after), shown to
+-- both the guest and the partner, and caps how often a booking can be changed.
+--
+-- Rollback: 039_rollback_booking_changes.sql. Idempotent.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS booking_changes (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    booking_id UUID NOT NULL REFERENCES bookings(id) ON DELETE CASCADE,
+    changed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    previous_date DATE NOT NULL,
+    previous_time TIME NOT NULL,
+    previous_guest_count INTEGER NOT NULL,
+    previous_status VARCHAR(20) NOT NULL,
+    new_date DATE NOT NULL,
+    new_time TIME NOT NULL,
+    new_guest_count INTEGER NOT NULL CHECK (new_guest_count >= 1),
+    -- Status the booking was left in: confirmed = auto-confirmed small change
+    new_status VARCHAR(20) NOT NULL CHECK (new_status IN ('pending', 'confirmed')),
+    created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_booking_changes_booking
+ON booking_changes(booking_id, created_at);
+
+COMMIT;
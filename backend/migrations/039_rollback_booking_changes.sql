@@ -0,0 +1,8 @@
+-- Rollback for Migration 039: booking modifications
+-- Idempotent via IF EXISTS — safe to re-run.
+
+BEGIN;
+
+DROP TABLE IF EXISTS booking_changes;
+
+COMMIT;
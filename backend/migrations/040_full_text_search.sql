@@ -0,0 +1,52 @@
+-- Migration 040: Full-text search with Russian morphology and typo tolerance
+--
+-- Replaces the plain ILIKE '%term%' text search in searchService with:
+--   - Russian stemming via tsvector ("пиццерии" finds "Пиццерия")
+--   - pg_trgm word similarity for typos ("сушы бар" finds "Суши Бар")
+--   - menu item names, so a dish query finds the establishment serving it
+--
+-- No stored tsvector column: establishments rows are returned as e.* by many
+-- queries, and a column would leak into partner/admin payloads. Instead an
+-- IMMUTABLE document function is indexed by expression; searchService calls
+-- the same function so the planner can use the index.
+--
+-- Weights: name A, categories + cuisines B, description C.
+--
+-- pg_trgm is already enabled by migration 024.
+--
+-- Rollback: 040_rollback_full_text_search.sql. Idempotent.
+
+BEGIN;
+
+-- 1. Search document for an establishment. array_to_string is only STABLE in
+-- general (anyarray output functions), but for varchar[] it is deterministic,
+-- so declaring the wrapper IMMUTABLE is safe and allows the expression index.
+CREATE OR REPLACE FUNCTION establishment_search_document(
+    p_name TEXT,
+    p_description TEXT,
+    p_categories VARCHAR[],
+    p_cuisines VARCHAR[]
+) RETURNS tsvector
+LANGUAGE sql IMMUTABLE PARALLEL SAFE AS $$
+    SELECT
+        setweight(to_tsvector('russian', COALESCE(p_name, '')), 'A')
+        || setweight(to_tsvector('russian',
+            COALESCE(array_to_string(p_categories, ' '), '') || ' '
+            || COALESCE(array_to_string(p_cuisines, ' '), '')), 'B')
+        || setweight(to_tsvector('russian', COALESCE(p_description, '')), 'C')
+$$;
+
+CREATE INDEX IF NOT EXISTS idx_establishments_search_document
+    ON establishments USING gin (
+        establishment_search_document(name, description, categories, cuisines)
+    );
+
+-- 2. Typo-tolerant match on establishment names
+CREATE INDEX IF NOT EXISTS idx_establishments_name_trgm
+    ON establishments USING gin (name gin_trgm_ops);
+
+-- 3. Stemmed match on menu item names (trigram index already exists: 024)
+CREATE INDEX IF NOT EXISTS idx_menu_items_name_tsv
+    ON menu_items USING gin (to_tsvector('russian', item_name));
+
+COMMIT;
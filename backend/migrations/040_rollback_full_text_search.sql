@@ -0,0 +1,12 @@
+-- Rollback for Migration 040: full-text search
+-- Idempotent via IF EXISTS — safe to re-run.
+-- pg_trgm stays installed (owned by migration 024).
+
+BEGIN;
+
+DROP INDEX IF EXISTS idx_menu_items_name_tsv;
+DROP INDEX IF EXISTS idx_establishments_name_trgm;
+DROP INDEX IF EXISTS idx_establishments_search_document;
+DROP FUNCTION IF EXISTS establishment_search_document(TEXT, TEXT, VARCHAR[], VARCHAR[]);
+
+COMMIT;
@@ -0,0 +1,8 @@
+-- Rollback for Migration 041: search events
+-- Idempotent via IF EXISTS — safe to re-run.
+
+BEGIN;
+
+DROP TABLE IF EXISTS search_events;
+
+COMMIT;
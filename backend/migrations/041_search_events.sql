@@ -0,0 +1,43 @@
+-- Migration 041: Search events (search analytics)
+--
+-- One row per executed search — smart search (POST /search/smart) and the
+-- regular list search (GET /search/establishments), first page only so
+-- paging through results does not count as new searches.
+--
+-- Stores the query text, the parsed intent (smart search), a coordinate-free
+-- summary of the applied filters, the result count and the fallback / cache
+-- flags. The client reports the first result the user opened for the event
+-- (clicked_*), which drives click-through in /admin/analytics/search.
+--
+-- No user_id and no coordinates: the table answers "what do people search
+-- for that we fail to answer", not "who searched for what".
+--
+-- Rollback: 041_rollback_search_events.sql. Idempotent.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS search_events (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    source VARCHAR(20) NOT NULL CHECK (source IN ('smart', 'list')),
+    query_text VARCHAR(200),
+    -- Lowercased, trimmed, whitespace-collapsed query_text; grouping key for reports
+    normalized_query VARCHAR(200),
+    intent JSONB,
+    filters JSONB NOT NULL DEFAULT '{}'::jsonb,
+    result_count INTEGER NOT NULL DEFAULT 0 CHECK (result_count >= 0),
+    is_fallback BOOLEAN NOT NULL DEFAULT false,
+    is_cached BOOLEAN NOT NULL DEFAULT false,
+    clicked_establishment_id UUID REFERENCES establishments(id) ON DELETE SET NULL,
+    clicked_position INTEGER CHECK (clicked_position >= 1),
+    clicked_at TIMESTAMP,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_search_events_created
+ON search_events(created_at);
+
+CREATE INDEX IF NOT EXISTS idx_search_events_query
+ON search_events(normalized_query, created_at)
+WHERE normalized_query IS NOT NULL;
+
+COMMIT;
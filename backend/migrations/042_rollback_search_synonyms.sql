@@ -0,0 +1,9 @@
+-- Rollback for Migration 042: search synonyms
+-- Idempotent via IF EXISTS — safe to re-run. The pre-042 code carries its own
+-- hard-coded synonym map, so dropping the table loses only admin additions.
+
+BEGIN;
+
+DROP TABLE IF EXISTS search_synonyms;
+
+COMMIT;
@@ -0,0 +1,62 @@
+-- Migration 042: Search synonyms (admin-managed)
+--
+-- Replaces the SEARCH_SYNONYMS source constant in searchService.js: a search
+-- term (one word or a phrase — "бизнес-ланч", "шаурма на углях") expands the
+-- text search to establishments of the listed categories / cuisines. Managed
+-- under /api/v1/admin/search/synonyms, cached in-process by
+-- searchSynonymService.
+--
+-- term is stored normalized (lowercase, ё → е, single spaces), so the unique
+-- index also rejects case / spacing duplicates.
+--
+-- Seeds the entries of the former constant so search behaviour is unchanged
+-- after the deploy.
+--
+-- Rollback: 042_rollback_search_synonyms.sql. Idempotent.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS search_synonyms (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    term VARCHAR(100) NOT NULL,
+    categories VARCHAR(50)[] NOT NULL DEFAULT '{}',
+    cuisines VARCHAR(50)[] NOT NULL DEFAULT '{}',
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    CONSTRAINT search_synonyms_expands_to_something
+        CHECK (cardinality(categories) + cardinality(cuisines) > 0)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_search_synonyms_term
+ON search_synonyms(term);
+
+INSERT INTO search_synonyms (term, categories, cuisines) VALUES
+    ('пицца',          '{Пиццерия}',              '{Итальянская}'),
+    ('пиццу',          '{Пиццерия}',              '{Итальянская}'),
+    ('паста',          '{Ресторан}',              '{Итальянская}'),
+    ('суши',           '{}',                      '{Японская,Азиатская}'),
+    ('ролл',           '{}',                      '{Японская,Азиатская}'),
+    ('роллы',          '{}',                      '{Японская,Азиатская}'),
+    ('бургер',         '{Фаст-фуд}',              '{Американская}'),
+    ('бургеры',        '{Фаст-фуд}',              '{Американская}'),
+    ('хинкали',        '{}',                      '{Грузинская}'),
+    ('хачапури',       '{}',                      '{Грузинская}'),
+    ('шашлык',         '{}',                      '{Грузинская}'),
+    ('лапша',          '{}',                      '{Азиатская}'),
+    ('рамен',          '{}',                      '{Японская,Азиатская}'),
+    ('вок',            '{}',                      '{Азиатская}'),
+    ('стейк',          '{Ресторан}',              '{Американская,Европейская}'),
+    ('кофе',           '{Кофейня}',               '{}'),
+    ('торт',           '{Кондитерская}',          '{}'),
+    ('выпечка',        '{Пекарня,Кондитерская}',  '{}'),
+    ('пиво',           '{Бар,Паб}',               '{}'),
+    ('коктейль',       '{Бар}',                   '{}'),
+    ('кальян',         '{Кальянная}',             '{}'),
+    ('драники',        '{}',                      '{Народная}'),
+    ('веган',          '{}',                      '{Вегетарианская}'),
+    ('вегетарианское', '{}',                      '{Вегетарианская}')
+ON CONFLICT (term) DO NOTHING;
+
+COMMIT;
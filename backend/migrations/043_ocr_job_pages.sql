@@ -0,0 +1,44 @@
+-- Migration 043: Page-level OCR sub-jobs
+--
+-- An ocr_jobs row covers a whole media item, so on the vision path one
+-- unreadable page used to fail the entire menu, and PDFs whose page count
+-- pdf-parse could not report were capped at 2 pages. Each page now gets an
+-- ocr_job_pages row with its own attempts and status; ocrService merges the
+-- items of the done pages (de-duplicated across pages) and reports partial
+-- success in ocr_jobs.result_summary.
+--
+-- Pages are processed inside the run of their parent job (which holds the
+-- job-level lock), so there is no separate 'processing' status: a page is
+-- 'pending' until it succeeds or exhausts max_attempts.
+--
+-- ocr_jobs.page_count carries the page count Cloudinary reports at PDF upload,
+-- used when pdf-parse cannot read the file. NULL for photos and legacy jobs.
+--
+-- Rollback: 043_rollback_ocr_job_pages.sql. Idempotent.
+
+BEGIN;
+
+ALTER TABLE ocr_jobs
+    ADD COLUMN IF NOT EXISTS page_count INT;
+
+CREATE TABLE IF NOT EXISTS ocr_job_pages (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    job_id UUID NOT NULL REFERENCES ocr_jobs(id) ON DELETE CASCADE,
+    page_number INT NOT NULL,
+    image_url TEXT NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    attempts INT NOT NULL DEFAULT 0,
+    max_attempts INT NOT NULL DEFAULT 3,
+    error_message TEXT,
+    raw_text TEXT,
+    confidence DECIMAL(3,2),
+    items JSONB,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP,
+    CONSTRAINT chk_ocr_job_pages_status
+        CHECK (status IN ('pending', 'done', 'failed')),
+    CONSTRAINT uq_ocr_job_pages_job_page
+        UNIQUE (job_id, page_number)
+);
+
+COMMIT;
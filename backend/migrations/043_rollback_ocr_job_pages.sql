@@ -0,0 +1,12 @@
+-- Rollback for Migration 043: page-level OCR sub-jobs
+-- Idempotent via IF EXISTS — safe to re-run. Finished jobs keep their
+-- result_summary; only the per-page breakdown is lost.
+
+BEGIN;
+
+DROP TABLE IF EXISTS ocr_job_pages;
+
+ALTER TABLE ocr_jobs
+    DROP COLUMN IF EXISTS page_count;
+
+COMMIT;
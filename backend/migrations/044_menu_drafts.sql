@@ -0,0 +1,46 @@
+-- Migration 044: OCR menu drafts (partner review before publishing)
+--
+-- ocrService used to replace menu_items for the media as soon as a job
+-- finished, so sanity-flagged prices went public before anyone looked at
+-- them. A finished job now stages its items in a draft instead: one
+-- menu_drafts row per media (a newer OCR run replaces the older draft) with
+-- its items in menu_draft_items. The partner reviews the diff against the
+-- live items and publishes (accepting, editing or rejecting items in bulk)
+-- or discards the draft; only publishing touches menu_items.
+--
+-- A draft with zero items is legal — it stages "this media has no items any
+-- more", which the diff shows as every live item removed.
+--
+-- Rollback: 044_rollback_menu_drafts.sql. Idempotent.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS menu_drafts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    establishment_id UUID NOT NULL REFERENCES establishments(id) ON DELETE CASCADE,
+    media_id UUID NOT NULL REFERENCES establishment_media(id) ON DELETE CASCADE,
+    ocr_job_id UUID REFERENCES ocr_jobs(id) ON DELETE SET NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT uq_menu_drafts_media UNIQUE (media_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_menu_drafts_establishment
+    ON menu_drafts(establishment_id);
+
+CREATE TABLE IF NOT EXISTS menu_draft_items (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    draft_id UUID NOT NULL REFERENCES menu_drafts(id) ON DELETE CASCADE,
+    item_name VARCHAR(255) NOT NULL,
+    price_byn DECIMAL(10,2),
+    category_raw VARCHAR(100),
+    confidence DECIMAL(3,2),
+    sanity_flag JSONB,
+    position INT NOT NULL DEFAULT 0,
+    CONSTRAINT chk_menu_draft_items_confidence
+        CHECK (confidence IS NULL OR (confidence >= 0.00 AND confidence <= 1.00))
+);
+
+CREATE INDEX IF NOT EXISTS idx_menu_draft_items_draft
+    ON menu_draft_items(draft_id, position);
+
+COMMIT;
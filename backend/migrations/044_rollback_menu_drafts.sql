@@ -0,0 +1,10 @@
+-- Rollback for Migration 044: OCR menu drafts
+-- Idempotent via IF EXISTS — safe to re-run. Unpublished drafts are lost;
+-- live menu_items are untouched.
+
+BEGIN;
+
+DROP TABLE IF EXISTS menu_draft_items;
+DROP TABLE IF EXISTS menu_drafts;
+
+COMMIT;
@@ -0,0 +1,51 @@
+-- Migration 045: Manually authored menus and named menu sections
+--
+-- menu_items only ever came from OCR, so media_id was NOT NULL and an
+-- establishment without a menu photo / PDF could not have a menu at all.
+-- Partners can now type their menu:
+--   - menu_items.source: 'ocr' (pipeline output, tied to a media) or
+--     'manual' (partner-authored, media_id NULL). OCR re-runs only ever
+--     replace source='ocr' rows of their media (menuItemModel.replaceForMedia).
+--   - menu_sections: named, ordered groups per establishment ("Супы",
+--     "Напитки"). menu_items.section_id places a manual item in a section;
+--     deleting a section leaves its items unsectioned (SET NULL).
+--
+-- Existing rows are all OCR output — the 'ocr' default backfills them.
+--
+-- Rollback: 045_rollback_manual_menu_sections.sql. Idempotent.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS menu_sections (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    establishment_id UUID NOT NULL REFERENCES establishments(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    position INT NOT NULL DEFAULT 0,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT uq_menu_sections_establishment_name
+        UNIQUE (establishment_id, name)
+);
+
+CREATE INDEX IF NOT EXISTS idx_menu_sections_establishment
+    ON menu_sections(establishment_id, position);
+
+ALTER TABLE menu_items
+    ALTER COLUMN media_id DROP NOT NULL;
+
+ALTER TABLE menu_items
+    ADD COLUMN IF NOT EXISTS source VARCHAR(10) NOT NULL DEFAULT 'ocr';
+
+ALTER TABLE menu_items
+    ADD COLUMN IF NOT EXISTS section_id UUID REFERENCES menu_sections(id) ON DELETE SET NULL;
+
+ALTER TABLE menu_items
+    DROP CONSTRAINT IF EXISTS chk_menu_items_source;
+ALTER TABLE menu_items
+    ADD CONSTRAINT chk_menu_items_source
+        CHECK (source IN ('ocr', 'manual') AND (source = 'manual' OR media_id IS NOT NULL));
+
+CREATE INDEX IF NOT EXISTS idx_menu_items_section
+    ON menu_items(section_id);
+
+COMMIT;
@@ -0,0 +1,25 @@
+-- Rollback for Migration 045: manual menus and menu sections
+-- Idempotent via IF EXISTS — safe to re-run. Manually authored items have no
+-- media and cannot satisfy the restored NOT NULL, so they are deleted.
+
+BEGIN;
+
+DELETE FROM menu_items WHERE media_id IS NULL;
+
+DROP INDEX IF EXISTS idx_menu_items_section;
+
+ALTER TABLE menu_items
+    DROP CONSTRAINT IF EXISTS chk_menu_items_source;
+
+ALTER TABLE menu_items
+    DROP COLUMN IF EXISTS section_id;
+
+ALTER TABLE menu_items
+    DROP COLUMN IF EXISTS source;
+
+ALTER TABLE menu_items
+    ALTER COLUMN media_id SET NOT NULL;
+
+DROP TABLE IF EXISTS menu_sections;
+
+COMMIT;
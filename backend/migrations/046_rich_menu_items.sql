@@ -0,0 +1,53 @@
+-- Migration 046: Rich menu items — description, portion, dietary tags, photo, availability
+--
+-- A menu item was a name and a price. Adds what a real menu shows:
+--   - description      — composition / short text printed under the name
+--   - portion_size +   — portion as printed ("250 г", "0,5 л" → 500 ml);
+--     portion_unit       'g' or 'ml', both NULL when unknown
+--   - dietary_tags     — controlled vocabulary (constants/menuItemVocab.js):
+--                        vegetarian, vegan, gluten_free, lactose_free, spicy,
+--                        contains_nuts
+--   - photo_media_id   — dish photo, an establishment_media row of type
+--                        'dishes' of the same establishment (checked in the
+--                        service); SET NULL when the photo is deleted
+--   - is_available     — FALSE = temporarily off the menu ("стоп-лист")
+--
+-- menu_draft_items gets the fields the OCR structurer can read off a menu
+-- (description, portion) so they survive review and publish.
+--
+-- Rollback: 046_rollback_rich_menu_items.sql. Idempotent.
+
+BEGIN;
+
+ALTER TABLE menu_items
+    ADD COLUMN IF NOT EXISTS description VARCHAR(1000),
+    ADD COLUMN IF NOT EXISTS portion_size NUMERIC(7, 1),
+    ADD COLUMN IF NOT EXISTS portion_unit VARCHAR(2),
+    ADD COLUMN IF NOT EXISTS dietary_tags TEXT[] NOT NULL DEFAULT '{}',
+    ADD COLUMN IF NOT EXISTS photo_media_id UUID REFERENCES establishment_media(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS is_available BOOLEAN NOT NULL DEFAULT TRUE;
+
+ALTER TABLE menu_items
+    DROP CONSTRAINT IF EXISTS chk_menu_items_portion;
+ALTER TABLE menu_items
+    ADD CONSTRAINT chk_menu_items_portion
+        CHECK ((portion_size IS NULL AND portion_unit IS NULL)
+            OR (portion_size > 0 AND portion_unit IN ('g', 'ml')));
+
+ALTER TABLE menu_items
+    DROP CONSTRAINT IF EXISTS chk_menu_items_dietary_tags;
+ALTER TABLE menu_items
+    ADD CONSTRAINT chk_menu_items_dietary_tags
+        CHECK (dietary_tags <@ ARRAY['vegetarian', 'vegan', 'gluten_free', 'lactose_free',
+                                     'spicy', 'contains_nuts']::TEXT[]);
+
+CREATE INDEX IF NOT EXISTS idx_menu_items_photo_media
+    ON menu_items(photo_media_id)
+    WHERE photo_media_id IS NOT NULL;
+
+ALTER TABLE menu_draft_items
+    ADD COLUMN IF NOT EXISTS description VARCHAR(1000),
+    ADD COLUMN IF NOT EXISTS portion_size NUMERIC(7, 1),
+    ADD COLUMN IF NOT EXISTS portion_unit VARCHAR(2);
+
+COMMIT;
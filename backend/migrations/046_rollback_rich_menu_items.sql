@@ -0,0 +1,25 @@
+-- Rollback for Migration 046: rich menu items
+-- Idempotent via IF EXISTS — safe to re-run.
+
+BEGIN;
+
+ALTER TABLE menu_draft_items
+    DROP COLUMN IF EXISTS portion_unit,
+    DROP COLUMN IF EXISTS portion_size,
+    DROP COLUMN IF EXISTS description;
+
+DROP INDEX IF EXISTS idx_menu_items_photo_media;
+
+ALTER TABLE menu_items
+    DROP CONSTRAINT IF EXISTS chk_menu_items_dietary_tags,
+    DROP CONSTRAINT IF EXISTS chk_menu_items_portion;
+
+ALTER TABLE menu_items
+    DROP COLUMN IF EXISTS is_available,
+    DROP COLUMN IF EXISTS photo_media_id,
+    DROP COLUMN IF EXISTS dietary_tags,
+    DROP COLUMN IF EXISTS portion_unit,
+    DROP COLUMN IF EXISTS portion_size,
+    DROP COLUMN IF EXISTS description;
+
+COMMIT;
@@ -0,0 +1,60 @@
+-- Migration 047: Menu price history
+--
+-- menu_items only holds today's price: an OCR publish replaces the rows of
+-- its media (menuItemModel.replaceForMedia) and a partner edit overwrites
+-- price_byn, so the previous price survived only inside a sanity_flag.
+-- menu_price_history keeps one row per observed price change of a dish:
+--   - keyed by establishment + normalized_name (lowercase, trimmed, collapsed
+--     whitespace — utils/menuItemName.js), so a dish keeps its history
+--     across OCR runs, manual edits and menu file imports;
+--   - a row is written only when the price differs from the last recorded
+--     one; previous_price_byn is NULL for the first observation;
+--   - source: 'ocr' (published OCR draft), 'manual' (partner create/edit),
+--     'import' (menu file import).
+--
+-- Backfill: the current price of every priced item becomes its first
+-- observation, dated by the item's created_at.
+--
+-- Rollback: 047_rollback_menu_price_history.sql. Idempotent.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS menu_price_history (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    establishment_id UUID NOT NULL REFERENCES establishments(id) ON DELETE CASCADE,
+    normalized_name VARCHAR(255) NOT NULL,
+    item_name VARCHAR(255) NOT NULL,
+    price_byn DECIMAL(10, 2) NOT NULL,
+    previous_price_byn DECIMAL(10, 2),
+    source VARCHAR(10) NOT NULL,
+    recorded_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT chk_menu_price_history_source
+        CHECK (source IN ('ocr', 'manual', 'import'))
+);
+
+-- Latest price of a dish (recordPrices, partner history).
+CREATE INDEX IF NOT EXISTS idx_menu_price_history_item
+    ON menu_price_history(establishment_id, normalized_name, recorded_at DESC);
+
+-- Dish lookup across establishments (admin price report: "капучино").
+CREATE INDEX IF NOT EXISTS idx_menu_price_history_name_trgm
+    ON menu_price_history USING gin (normalized_name gin_trgm_ops);
+
+INSERT INTO menu_price_history
+    (establishment_id, normalized_name, item_name, price_byn, source, recorded_at)
+SELECT DISTINCT ON (mi.establishment_id, n.normalized_name)
+       mi.establishment_id, n.normalized_name, mi.item_name, mi.price_byn,
+       mi.source, mi.created_at
+FROM menu_items mi
+CROSS JOIN LATERAL (
+    SELECT lower(btrim(regexp_replace(mi.item_name, '\s+', ' ', 'g'))) AS normalized_name
+) n
+WHERE mi.price_byn IS NOT NULL
+  AND NOT EXISTS (
+      SELECT 1 FROM menu_price_history h
+      WHERE h.establishment_id = mi.establishment_id
+        AND h.normalized_name = n.normalized_name
+  )
+ORDER BY mi.establishment_id, n.normalized_name, mi.position, mi.created_at;
+
+COMMIT;
@@ -0,0 +1,8 @@
+-- Rollback for Migration 047: menu price history
+-- Idempotent via IF EXISTS — safe to re-run.
+
+BEGIN;
+
+DROP TABLE IF EXISTS menu_price_history;
+
+COMMIT;
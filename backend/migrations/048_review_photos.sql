@@ -0,0 +1,34 @@
+-- Migration 048: Review photos
+--
+-- A review was a rating and text. review_photos holds the photos a user
+-- attaches to a review (reviewService.createReview, up to MAX_REVIEW_PHOTOS),
+-- uploaded to Cloudinary like establishment media — url / preview_url /
+-- thumbnail_url are the three delivery renditions (generateAllResolutions).
+--
+-- Visibility follows the review: a photo is public only while its review is
+-- visible and not deleted (reviewPhotoModel joins reviews), so hiding or
+-- deleting a review hides its photos without touching these rows.
+-- is_hidden_by_admin hides a single photo of an otherwise visible review
+-- (admin photo moderation, audit-logged).
+--
+-- Rollback: 048_rollback_review_photos.sql. Idempotent.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS review_photos (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    review_id UUID NOT NULL REFERENCES reviews(id) ON DELETE CASCADE,
+    url TEXT NOT NULL,
+    preview_url TEXT NOT NULL,
+    thumbnail_url TEXT NOT NULL,
+    position SMALLINT NOT NULL DEFAULT 0,
+    is_hidden_by_admin BOOLEAN NOT NULL DEFAULT FALSE,
+    hidden_reason VARCHAR(500),
+    hidden_at TIMESTAMP,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_review_photos_review
+    ON review_photos(review_id, position);
+
+COMMIT;
@@ -0,0 +1,8 @@
+-- Rollback for Migration 048: review photos
+-- Idempotent via IF EXISTS — safe to re-run.
+
+BEGIN;
+
+DROP TABLE IF EXISTS review_photos;
+
+COMMIT;
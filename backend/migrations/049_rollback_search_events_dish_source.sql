@@ -0,0 +1,13 @@
+-- Rollback for Migration 049: dish-search source for search events
+-- Folds dish-search rows back into 'list'. Idempotent.
+
+BEGIN;
+
+ALTER TABLE search_events DROP CONSTRAINT IF EXISTS search_events_source_check;
+
+UPDATE search_events SET source = 'list' WHERE source = 'dish';
+
+ALTER TABLE search_events ADD CONSTRAINT search_events_source_check
+    CHECK (source IN ('smart', 'list'));
+
+COMMIT;
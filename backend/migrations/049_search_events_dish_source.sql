@@ -0,0 +1,15 @@
+-- Migration 049: Dish-search source for search events
+--
+-- Dish search (GET /search/dishes) was recorded as source 'list', mixing
+-- "which dish do people look for" into the establishment list numbers.
+-- It gets its own source value, 'dish'.
+--
+-- Rollback: 049_rollback_search_events_dish_source.sql. Idempotent.
+
+BEGIN;
+
+ALTER TABLE search_events DROP CONSTRAINT IF EXISTS search_events_source_check;
+ALTER TABLE search_events ADD CONSTRAINT search_events_source_check
+    CHECK (source IN ('smart', 'list', 'dish'));
+
+COMMIT;
@@ -18,6 +18,10 @@
  *
  * Model override mechanics: `model` is passed straight into the request body,
  * so no env mutation, no child processes, zero diff in backend/src/.
+ *
+ * Local candidates call the production tesseractOcrAdapter and
+ * ruleBasedStructurer directly — they have no usage block to lose, so only
+ * the latency is measured here.
  */
 
 import { readFileSync } from 'fs';
@@ -31,6 +35,8 @@ import {
   STRUCTURER_SYSTEM_PROMPT,
   ResponseSchema,
 } from '../../src/services/ocr/llmStructurer.js';
+import * as tesseractOcrAdapter from '../../src/services/ocr/tesseractOcrAdapter.js';
+import * as ruleBasedStructurer from '../../src/services/ocr/ruleBasedStructurer.js';
 
 const TRANSIENT_RETRIES = 1;
 const RETRY_DELAY_MS = 2000;
@@ -181,3 +187,37 @@ export async function structureText(rawText, model) {
 
   return { items: validated.data.items, parseOk: true, zodOk: true, zodError: null, usage, ms };
 }
+
+/**
+ * Local Tesseract OCR — same result shape as visionExtract, usage always null.
+ * The adapter's real mean word confidence stands in for the heuristic.
+ *
+ * @param {string[]} imageDataUris
+ * @returns {Promise<{ rawText, confidenceHeuristic, usage, ms }>}
+ */
+export async function localExtract(imageDataUris) {
+  const startedAt = Date.now();
+  const { rawText, confidenceOverall } = await tesseractOcrAdapter.extractFromImages(imageDataUris);
+  return { rawText, confidenceHeuristic: confidenceOverall, usage: null, ms: Date.now() - startedAt };
+}
+
+/**
+ * Rule-based structurer — same result shape as structureText. Its items are
+ * ItemSchema-validated one by one, so parse/schema failures cannot occur.
+ *
+ * @param {string} rawText
+ * @returns {Promise<{ items, parseOk, zodOk, zodError, usage, ms }>}
+ */
+export async function localStructure(rawText) {
+  if (!rawText || rawText.trim().length === 0) {
+    return { items: [], parseOk: true, zodOk: true, zodError: null, usage: null, ms: null };
+  }
+  const startedAt = Date.now();
+  const items = await ruleBasedStructurer.structureMenu(rawText);
+  return { items, parseOk: true, zodOk: true, zodError: null, usage: null, ms: Date.now() - startedAt };
+}
+
+/** Release the local Tesseract worker so the process can exit. */
+export async function shutdownLocal() {
+  await tesseractOcrAdapter.terminate();
+}
@@ -7,18 +7,25 @@
  * dumps + SUMMARY.md for the empirical AI_OCR_MODEL choice BEFORE the pilot
  * import drains with the winner.
  *
+ * Local engine candidates (--engines) run alongside the models: Tesseract OCR
+ * with the rule-based structurer (fully offline, free) or with AI_OCR_MODEL as
+ * the structurer — the data for choosing OCR_ENGINE / OCR_STRUCTURER.
+ *
  * No database access of any kind — file dumps only. Production untouched.
  *
  * Usage:
  *   node scripts/ocr-benchmark/index.js --photos=<dir>                    # flat folder of images
  *   node scripts/ocr-benchmark/index.js --media-root=<dir>                # seed-import contract (<stable_id>/menu/*)
  *   node scripts/ocr-benchmark/index.js --photos=<dir> --models=a,b,c --limit=3
+ *   node scripts/ocr-benchmark/index.js --photos=<dir> --engines=tesseract+rules,tesseract+llm
+ *   node scripts/ocr-benchmark/index.js --photos=<dir> --models=none --engines=tesseract+rules   # no key needed
  *   node scripts/ocr-benchmark/index.js --list-models                     # catalog verification only, no key needed
  *
  * Flags:
  *   --photos=<dir>      flat folder of menu images (jpg/jpeg/png/webp)
  *   --media-root=<dir>  seed-import media root; only <stable_id>/menu/* is read
- *   --models=a,b,c      override the default candidate set
+ *   --models=a,b,c      override the default candidate set (none = local candidates only)
+ *   --engines=a+b,…     add local candidates <engine>+<structurer>: tesseract+rules, tesseract+llm
  *   --limit=N           cap the number of photos (smoke runs)
  *   --out=<dir>         output dir (default: scripts/ocr-benchmark/runs/<timestamp>)
  *   --list-models       verify candidates against the OpenRouter catalog and exit
@@ -35,9 +42,12 @@ const __dirname = dirname(fileURLToPath(import.meta.url));
 // overwrites vars already present in the environment.
 dotenv.config({ path: join(__dirname, '../../.env') });
 
-import { DEFAULT_MODELS, fetchCatalog, verifyModels, computeCostUsd } from './models.js';
+import { getOcrConfig } from '../../src/config/openrouter.js';
+import { DEFAULT_MODELS, fetchCatalog, verifyModels, computeCostUsd, parseLocalCandidates } from './models.js';
 import { discoverPhotos } from './discover.js';
-import { toDataUri, visionExtract, structureText } from './caller.js';
+import {
+  toDataUri, visionExtract, structureText, localExtract, localStructure, shutdownLocal,
+} from './caller.js';
 import { writeManifest, writeDump, writeResults, buildSummary, writeSummary } from './report.js';
 import { check as sanityCheck } from '../../src/services/ocr/sanityChecker.js';
 
@@ -71,24 +81,46 @@ async function main() {
   let requestedModels = DEFAULT_MODELS;
   if (args.models !== undefined) {
     if (args.models === true) fail('--models requires a value: --models=id1,id2,…');
-    requestedModels = String(args.models).split(',').map((s) => s.trim()).filter(Boolean);
-    if (requestedModels.length === 0) fail('--models is empty');
+    requestedModels = args.models === 'none'
+      ? []
+      : String(args.models).split(',').map((s) => s.trim()).filter(Boolean);
+    if (requestedModels.length === 0 && args.models !== 'none') fail('--models is empty');
+  }
+
+  let localCandidates = [];
+  if (args.engines !== undefined) {
+    if (args.engines === true) fail('--engines requires a value: --engines=tesseract+rules,tesseract+llm');
+    const { candidates, invalid } = parseLocalCandidates(args.engines);
+    if (invalid.length) fail(`unknown --engines entries: ${invalid.join(', ')} (expected tesseract+rules or tesseract+llm)`);
+    localCandidates = candidates;
   }
+  // Structurer model for <engine>+llm candidates — the one production would use
+  const llmModel = getOcrConfig().model;
+  const needsLlm = localCandidates.some((c) => c.structurer === 'llm');
 
   // ── Catalog verification (also serves --list-models) ──────────────────────
-  console.log('Verifying candidates against the OpenRouter catalog…');
-  const catalog = await fetchCatalog();
-  if (!catalog) {
-    console.warn('⚠ OpenRouter catalog unreachable — running unverified, cost fallback unavailable.');
+  let usable = [];
+  let skipped = [];
+  let llmPricing = null;
+  if (requestedModels.length > 0 || needsLlm) {
+    console.log('Verifying candidates against the OpenRouter catalog…');
+    const catalog = await fetchCatalog();
+    if (!catalog) {
+      console.warn('⚠ OpenRouter catalog unreachable — running unverified, cost fallback unavailable.');
+    }
+    ({ usable, skipped } = verifyModels(requestedModels, catalog));
+    llmPricing = catalog?.get(llmModel)?.pricing || null;
   }
-  const { usable, skipped } = verifyModels(requestedModels, catalog);
   for (const s of skipped) console.warn(`⚠ skipping ${s.id}: ${s.reason}`);
   for (const u of usable) {
     const price = u.pricing ? `$${u.pricing.prompt}/tok in, $${u.pricing.completion}/tok out` : 'pricing unknown';
     console.log(`  ✔ ${u.id} (${price})`);
   }
+  for (const c of localCandidates) {
+    console.log(`  ✔ ${c.id} (local${c.structurer === 'llm' ? `, structurer ${llmModel}` : ', free'})`);
+  }
   if (args['list-models']) return;
-  if (usable.length === 0) fail('no usable candidate models');
+  if (usable.length === 0 && localCandidates.length === 0) fail('no usable candidates');
 
   // ── Inputs ─────────────────────────────────────────────────────────────────
   const mediaRoot = args['media-root'] ? resolve(String(args['media-root'])) : undefined;
@@ -97,7 +129,7 @@ async function main() {
   if (mediaRoot && !existsSync(mediaRoot)) fail(`--media-root not found: ${mediaRoot}`);
   if (photosDir && !existsSync(photosDir)) fail(`--photos not found: ${photosDir}`);
 
-  if (!process.env.OPENROUTER_API_KEY) {
+  if ((usable.length > 0 || needsLlm) && !process.env.OPENROUTER_API_KEY) {
     fail('OPENROUTER_API_KEY is empty — set it in backend/.env (a local/dev key is fine; the harness never touches prod)');
   }
 
@@ -110,7 +142,8 @@ async function main() {
   const units = allUnits.slice(0, limit);
   for (const w of warnings) console.warn(`⚠ ${w}`);
   if (units.length === 0) fail('no benchmark photos found');
-  console.log(`Photos: ${units.length}${allUnits.length !== units.length ? ` (of ${allUnits.length}, --limit)` : ''} · Models: ${usable.length} · Calls ≈ ${units.length * usable.length * 2}`);
+  const apiCallsPerPhoto = usable.length * 2 + localCandidates.filter((c) => c.structurer === 'llm').length;
+  console.log(`Photos: ${units.length}${allUnits.length !== units.length ? ` (of ${allUnits.length}, --limit)` : ''} · Models: ${usable.length} · Local: ${localCandidates.length} · Calls ≈ ${units.length * apiCallsPerPhoto}`);
 
   // ── Run ────────────────────────────────────────────────────────────────────
   const startedAt = runTimestamp();
@@ -119,11 +152,14 @@ async function main() {
     console.warn('⚠ --out already contains dumps from a previous run — stale dumps will sit beside fresh ones unless every model×photo pair is regenerated. Prefer a clean dir.');
   }
   const pricingByModel = new Map(usable.map((u) => [u.id, u.pricing]));
-  const models = usable.map((u) => u.id);
+  const localById = new Map(localCandidates.map((c) => [c.id, c]));
+  for (const c of localCandidates) pricingByModel.set(c.id, c.structurer === 'llm' ? llmPricing : null);
+  const models = [...usable.map((u) => u.id), ...localCandidates.map((c) => c.id)];
 
   writeManifest(runDir, {
     startedAt,
     models,
+    localStructurerModel: needsLlm ? llmModel : null,
     skippedModels: skipped,
     photos: units.map((u) => ({ id: u.id, bytes: u.bytes })),
     sources: { mediaRoot: mediaRoot || null, photosDir: photosDir || null },
@@ -131,6 +167,7 @@ async function main() {
 
   const results = [];
   for (const model of models) {
+    const local = localById.get(model);
     console.log(`\n=== ${model} ===`);
     for (const unit of units) {
       const result = {
@@ -145,7 +182,7 @@ async function main() {
       try {
         const dataUri = toDataUri(unit.abspath, unit.mime);
 
-        const vision = await visionExtract([dataUri], model);
+        const vision = local ? await localExtract([dataUri]) : await visionExtract([dataUri], model);
         result.vision = {
           ms: vision.ms,
           usage: vision.usage,
@@ -154,7 +191,10 @@ async function main() {
           rawText: vision.rawText,
         };
 
-        const structured = await structureText(vision.rawText, model);
+        let structured;
+        if (!local) structured = await structureText(vision.rawText, model);
+        else if (local.structurer === 'rules') structured = await localStructure(vision.rawText);
+        else structured = await structureText(vision.rawText, llmModel);
         result.structurer = {
           ms: structured.ms,
           usage: structured.usage,
@@ -171,11 +211,14 @@ async function main() {
         const visionCost = computeCostUsd(vision.usage, pricing);
         const structCost = computeCostUsd(structured.usage, pricing);
         const costs = [visionCost, structCost].filter((c) => c != null);
+        let costUsd = costs.length ? costs.reduce((a, b) => a + b, 0) : null;
+        // Fully local candidates are free by construction, not "unknown"
+        if (local?.structurer === 'rules') costUsd = 0;
         result.metrics = {
           itemsCount: result.items.length,
           needsCaution,
           empty: result.items.length === 0,
-          costUsd: costs.length ? costs.reduce((a, b) => a + b, 0) : null,
+          costUsd,
         };
       } catch (e) {
         result.error = e.message;
@@ -206,6 +249,8 @@ async function main() {
     }
   }
 
+  if (localCandidates.length) await shutdownLocal();
+
   // ── Artifacts ──────────────────────────────────────────────────────────────
   writeResults(runDir, results);
   const summaryMd = buildSummary(
@@ -214,6 +259,7 @@ async function main() {
       photoCount: units.length,
       sources: [mediaRoot && `media-root: ${mediaRoot}`, photosDir && `photos: ${photosDir}`].filter(Boolean),
       skippedModels: skipped,
+      localStructurerModel: needsLlm ? llmModel : null,
       warnings,
     },
     models,
@@ -11,8 +11,18 @@
  * model names are the most perishable part of the AI stack, so existence,
  * vision input and response_format support are checked per run, never
  * assumed. A failing candidate is skipped and reported, not fatal.
+ *
+ * Local candidates (--engines=tesseract+rules,tesseract+llm) run the
+ * pluggable pipeline stages from src/services/ocr/ocrEngines.js next to the
+ * models: local Tesseract OCR, structured by the rule-based parser or by the
+ * configured AI_OCR_MODEL. They need no catalog entry.
  */
 
+import { OCR_STRUCTURERS } from '../../src/config/ocr.js';
+
+/** Local OCR engines a candidate can start with (vision_llm is what --models covers). */
+export const LOCAL_ENGINES = ['tesseract'];
+
 export const DEFAULT_MODELS = [
   'google/gemini-2.5-flash-lite', // baseline — current prod fallback (never deliberately chosen for OCR)
   'google/gemini-2.5-flash',
@@ -101,3 +111,23 @@ export function computeCostUsd(usage, pricing) {
   if (Number.isNaN(promptRate) || Number.isNaN(completionRate)) return null;
   return (usage.prompt_tokens || 0) * promptRate + (usage.completion_tokens || 0) * completionRate;
 }
+
+/**
+ * Parse --engines into local candidates, `<engine>+<structurer>` each.
+ *
+ * @param {string} spec - e.g. 'tesseract+rules,tesseract+llm'
+ * @returns {{ candidates: Array<{id, engine, structurer}>, invalid: string[] }}
+ */
+export function parseLocalCandidates(spec) {
+  const candidates = [];
+  const invalid = [];
+  for (const id of String(spec).split(',').map((s) => s.trim().toLowerCase()).filter(Boolean)) {
+    const [engine, structurer] = id.split('+');
+    if (!LOCAL_ENGINES.includes(engine) || !OCR_STRUCTURERS.includes(structurer)) {
+      invalid.push(id);
+    } else if (!candidates.some((c) => c.id === id)) {
+      candidates.push({ id, engine, structurer });
+    }
+  }
+  return { candidates, invalid };
+}
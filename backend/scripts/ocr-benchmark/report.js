@@ -1,5 +1,5 @@
 /**
- * Run artifacts — per model × photo JSON dumps + a Coordinator-facing
+ * Run artifacts — per candidate (model or local engine) × photo JSON dumps + a Coordinator-facing
  * SUMMARY.md (Russian: the Coordinator is the reader, and the double-verify
  * step in BENCHMARK_BRIEF is their visual pass over these dumps).
  *
@@ -77,8 +77,8 @@ function aggregate(model, rows) {
 /**
  * Build SUMMARY.md.
  *
- * @param {object} meta - { startedAt, photoCount, sources, skippedModels, warnings }
- * @param {string[]} models - usable model ids, run order
+ * @param {object} meta - { startedAt, photoCount, sources, skippedModels, localStructurerModel, warnings }
+ * @param {string[]} models - usable candidate ids (models, then local engines), run order
  * @param {object[]} results - flat per unit × model result objects
  */
 export function buildSummary(meta, models, results) {
@@ -89,7 +89,10 @@ export function buildSummary(meta, models, results) {
   lines.push(`# OCR Benchmark — ${meta.startedAt}`);
   lines.push('');
   lines.push(`Фото: **${meta.photoCount}** (${meta.sources.join('; ')})`);
-  lines.push(`Модели: ${models.map((m) => `\`${m}\``).join(', ')}`);
+  lines.push(`Кандидаты: ${models.map((m) => `\`${m}\``).join(', ')}`);
+  if (meta.localStructurerModel) {
+    lines.push(`Структуратор локальных кандидатов \`*+llm\`: \`${meta.localStructurerModel}\` (AI_OCR_MODEL)`);
+  }
   if (meta.skippedModels.length) {
     lines.push(`Пропущены при верификации по каталогу: ${meta.skippedModels.map((s) => `\`${s.id}\` (${s.reason})`).join('; ')}`);
   }
@@ -100,9 +103,9 @@ export function buildSummary(meta, models, results) {
   }
   lines.push('');
 
-  lines.push('## Сводка по моделям');
+  lines.push('## Сводка по кандидатам');
   lines.push('');
-  lines.push('| Модель | Меню OK | Ошибки | Позиций всего | Ср. позиций/меню | Пустые | JSON-fail | needs_caution | Токены in/out | Стоимость | Ср. vision, мс | Ср. structurer, мс |');
+  lines.push('| Кандидат | Меню OK | Ошибки | Позиций всего | Ср. позиций/меню | Пустые | JSON-fail | needs_caution | Токены in/out | Стоимость | Ср. vision, мс | Ср. structurer, мс |');
   lines.push('|---|---|---|---|---|---|---|---|---|---|---|---|');
   for (const model of models) {
     const a = aggregate(model, byModel.get(model));
@@ -142,7 +145,7 @@ export function buildSummary(meta, models, results) {
   lines.push('Для каждого меню откройте фото рядом с дампами `dumps/<модель>/<меню>.json` и сверьте:');
   lines.push('выдуманные позиции, перевранные цены, битую кириллицу, потерянные разделы.');
   lines.push('');
-  lines.push('| Меню | Модель | Галлюцинации / цены / кириллица — заметки |');
+  lines.push('| Меню | Кандидат | Галлюцинации / цены / кириллица — заметки |');
   lines.push('|---|---|---|');
   for (const unit of units) {
     for (const model of models) {
@@ -157,6 +160,10 @@ export function buildSummary(meta, models, results) {
   lines.push('доли галлюцинаций, та важнее стоимости и скорости. Победитель → `AI_OCR_MODEL`');
   lines.push('в Railway backend env → redeploy → пилот-импорт дренируется уже выбранной моделью.');
   lines.push('');
+  lines.push('Локальные кандидаты (`tesseract+rules`, `tesseract+llm`) — данные для `OCR_ENGINE` /');
+  lines.push('`OCR_STRUCTURER`: если `tesseract+rules` близок к лучшей модели, его можно ставить');
+  lines.push('основным или резервом (`OCR_ENGINE=vision_llm,tesseract`, `OCR_STRUCTURER=llm,rules`).');
+  lines.push('');
 
   return lines.join('\n');
 }
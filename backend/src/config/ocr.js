@@ -0,0 +1,70 @@
+/**
+ * OCR Engine Configuration
+ *
+ * Selects which OCR engine (image → raw text) and which structurer (raw text →
+ * menu items) the menu pipeline runs. Each setting is an ordered fallback
+ * chain: the next entry is tried when the previous one throws, e.g.
+ * OCR_ENGINE=vision_llm,tesseract keeps parsing menus with the local engine
+ * while OpenRouter is down.
+ *
+ * Defaults keep the OpenRouter pipeline when an API key is configured and
+ * switch to the fully local pipeline (Tesseract + rule-based structurer)
+ * without one — offline and dev environments parse menus out of the box.
+ */
+
+import logger from '../utils/logger.js';
+import { getOcrConfig } from './openrouter.js';
+
+/** Image → raw text engines (services/ocr/ocrEngines.js registry keys). */
+export const OCR_ENGINES = ['vision_llm', 'tesseract'];
+
+/** Raw text → menu items structurers. */
+export const OCR_STRUCTURERS = ['llm', 'rules'];
+
+/**
+ * Parse a comma-separated chain, dropping unknown names with a warning.
+ *
+ * @param {string|undefined} value - Env var value
+ * @param {string[]} allowed - Known names
+ * @param {string} envName - For the warning
+ * @returns {string[]} Deduplicated chain, empty when unset or nothing valid
+ */
+const parseChain = (value, allowed, envName) => {
+  const names = String(value || '')
+    .split(',')
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  const unknown = names.filter((name) => !allowed.includes(name));
+  if (unknown.length > 0) {
+    logger.warn(`Ignoring unknown ${envName} entries`, { unknown, allowed });
+  }
+
+  return [...new Set(names.filter((name) => allowed.includes(name)))];
+};
+
+/**
+ * Get the OCR engine configuration. Reads env vars lazily (after dotenv).
+ *
+ * @returns {{
+ *   engines: string[],
+ *   structurers: string[],
+ *   tesseract: { lang: string, langPath: string|undefined, cachePath: string|undefined }
+ * }}
+ */
+export const getOcrEngineConfig = () => {
+  const hasOpenRouter = !!getOcrConfig().apiKey;
+
+  const engines = parseChain(process.env.OCR_ENGINE, OCR_ENGINES, 'OCR_ENGINE');
+  const structurers = parseChain(process.env.OCR_STRUCTURER, OCR_STRUCTURERS, 'OCR_STRUCTURER');
+
+  return {
+    engines: engines.length > 0 ? engines : [hasOpenRouter ? 'vision_llm' : 'tesseract'],
+    structurers: structurers.length > 0 ? structurers : [hasOpenRouter ? 'llm' : 'rules'],
+    tesseract: {
+      lang: process.env.TESSERACT_LANG || 'rus+eng',
+      langPath: process.env.TESSERACT_LANG_PATH || undefined,
+      cachePath: process.env.TESSERACT_CACHE_PATH || undefined,
+    },
+  };
+};
@@ -0,0 +1,158 @@
+/**
+ * Gazetteer — bundled districts, streets, metro stations and landmarks for
+ * the cities in CITY_BOUNDS (establishmentService.js).
+ *
+ * Smart search resolves `intent.location` phrases ("на Немиге", "у метро
+ * Уручье", "возле Национальной библиотеки") against this list into a
+ * coordinate + radius for searchByRadius. No live geocoder at query time —
+ * the data ships with the code and is reviewed like code.
+ *
+ * Entry shape:
+ *   name     — display name (nominative)
+ *   city     — canonical Cyrillic city (CITY_BOUNDS key; 'Могилев' without ё,
+ *              as in urlSlugs CANONICAL_CITY_BY_SLUG)
+ *   type     — 'metro' | 'district' | 'street' | 'landmark'
+ *   aliases  — extra spellings/abbreviations; word forms are handled by the
+ *              resolver's stemming, so only base forms are listed
+ *   lat/lon + radiusKm — centroid and search radius, OR
+ *   bounds   — { latMin, latMax, lonMin, lonMax } for areas and long avenues
+ *              (the resolver turns it into the enclosing centroid + radius)
+ *
+ * A unit test asserts every entry lies inside its city's CITY_BOUNDS.
+ */
+
+const metro = (name, lat, lon, aliases = []) => ({
+  name, city: 'Минск', type: 'metro', aliases, lat, lon, radiusKm: 1,
+});
+
+export const GAZETTEER = Object.freeze([
+  // ---------------------------------------------------------------- Минск: metro
+  // Московская линия
+  metro('Малиновка', 53.8497, 27.4750),
+  metro('Петровщина', 53.8642, 27.4858),
+  metro('Михалово', 53.8770, 27.4970),
+  metro('Грушевка', 53.8866, 27.5147),
+  metro('Институт культуры', 53.8855, 27.5386),
+  metro('Площадь Ленина', 53.8939, 27.5483),
+  metro('Октябрьская', 53.9019, 27.5616),
+  metro('Площадь Победы', 53.9085, 27.5750),
+  metro('Площадь Якуба Коласа', 53.9150, 27.5830, ['Якуба Коласа']),
+  metro('Академия наук', 53.9219, 27.5996),
+  metro('Парк Челюскинцев', 53.9240, 27.6139),
+  metro('Московская', 53.9279, 27.6277),
+  metro('Восток', 53.9346, 27.6513),
+  metro('Борисовский тракт', 53.9385, 27.6660),
+  metro('Уручье', 53.9452, 27.6878),
+  // Автозаводская линия
+  metro('Каменная Горка', 53.9067, 27.4378),
+  metro('Кунцевщина', 53.9063, 27.4540),
+  metro('Спортивная', 53.9085, 27.4800),
+  metro('Пушкинская', 53.9090, 27.4957),
+  metro('Молодёжная', 53.9064, 27.5221),
+  metro('Фрунзенская', 53.9053, 27.5394),
+  metro('Немига', 53.9056, 27.5537),
+  metro('Купаловская', 53.9015, 27.5610),
+  metro('Первомайская', 53.8938, 27.5703),
+  metro('Пролетарская', 53.8897, 27.5857),
+  metro('Тракторный завод', 53.8895, 27.6150),
+  metro('Партизанская', 53.8756, 27.6295),
+  metro('Автозаводская', 53.8688, 27.6476),
+  metro('Могилёвская', 53.8617, 27.6744),
+  // Зеленолужская линия
+  metro('Ковальская Слобода', 53.8775, 27.5493),
+  metro('Вокзальная', 53.8905, 27.5487),
+  metro('Площадь Франтишка Богушевича', 53.8960, 27.5380, ['Площадь Богушевича']),
+  metro('Юбилейная площадь', 53.9055, 27.5391),
+
+  // ------------------------------------------------------------- Минск: districts
+  { name: 'Центральный район', city: 'Минск', type: 'district', aliases: ['центр'],
+    bounds: { latMin: 53.895, latMax: 53.935, lonMin: 27.500, lonMax: 27.580 } },
+  { name: 'Советский район', city: 'Минск', type: 'district', aliases: [],
+    bounds: { latMin: 53.905, latMax: 53.955, lonMin: 27.570, lonMax: 27.640 } },
+  { name: 'Первомайский район', city: 'Минск', type: 'district', aliases: [],
+    bounds: { latMin: 53.920, latMax: 53.975, lonMin: 27.620, lonMax: 27.720 } },
+  { name: 'Партизанский район', city: 'Минск', type: 'district', aliases: [],
+    bounds: { latMin: 53.860, latMax: 53.905, lonMin: 27.580, lonMax: 27.660 } },
+  { name: 'Заводской район', city: 'Минск', type: 'district', aliases: [],
+    bounds: { latMin: 53.830, latMax: 53.885, lonMin: 27.620, lonMax: 27.720 } },
+  { name: 'Ленинский район', city: 'Минск', type: 'district', aliases: [],
+    bounds: { latMin: 53.830, latMax: 53.895, lonMin: 27.540, lonMax: 27.630 } },
+  { name: 'Октябрьский район', city: 'Минск', type: 'district', aliases: [],
+    bounds: { latMin: 53.830, latMax: 53.890, lonMin: 27.470, lonMax: 27.560 } },
+  { name: 'Московский район', city: 'Минск', type: 'district', aliases: [],
+    bounds: { latMin: 53.840, latMax: 53.900, lonMin: 27.410, lonMax: 27.520 } },
+  { name: 'Фрунзенский район', city: 'Минск', type: 'district', aliases: [],
+    bounds: { latMin: 53.885, latMax: 53.935, lonMin: 27.400, lonMax: 27.520 } },
+  { name: 'Верхний город', city: 'Минск', type: 'district', aliases: [],
+    lat: 53.9040, lon: 27.5568, radiusKm: 0.6 },
+  { name: 'Троицкое предместье', city: 'Минск', type: 'district', aliases: ['Троицкое'],
+    lat: 53.9079, lon: 27.5545, radiusKm: 0.5 },
+  { name: 'Зелёный Луг', city: 'Минск', type: 'district', aliases: [],
+    lat: 53.9450, lon: 27.6300, radiusKm: 1.5 },
+
+  // --------------------------------------------------------------- Минск: streets
+  { name: 'Немига', city: 'Минск', type: 'street', aliases: ['улица Немига'],
+    lat: 53.9035, lon: 27.5540, radiusKm: 0.7 },
+  { name: 'Зыбицкая', city: 'Минск', type: 'street', aliases: ['улица Зыбицкая'],
+    lat: 53.9057, lon: 27.5575, radiusKm: 0.5 },
+  { name: 'Октябрьская улица', city: 'Минск', type: 'street', aliases: ['улица Октябрьская'],
+    lat: 53.8935, lon: 27.5700, radiusKm: 0.6 },
+  { name: 'улица Карла Маркса', city: 'Минск', type: 'street', aliases: ['Карла Маркса'],
+    lat: 53.8985, lon: 27.5550, radiusKm: 0.8 },
+  { name: 'проспект Независимости', city: 'Минск', type: 'street',
+    aliases: ['пр-т Независимости', 'пр. Независимости', 'Независимости'],
+    bounds: { latMin: 53.893, latMax: 53.945, lonMin: 27.545, lonMax: 27.690 } },
+  { name: 'проспект Победителей', city: 'Минск', type: 'street',
+    aliases: ['пр-т Победителей', 'пр. Победителей', 'Победителей'],
+    bounds: { latMin: 53.905, latMax: 53.955, lonMin: 27.430, lonMax: 27.560 } },
+
+  // ------------------------------------------------------------- Минск: landmarks
+  { name: 'Национальная библиотека', city: 'Минск', type: 'landmark', aliases: ['библиотека'],
+    lat: 53.9312, lon: 27.6460, radiusKm: 1 },
+  { name: 'Ратуша', city: 'Минск', type: 'landmark', aliases: [],
+    lat: 53.9040, lon: 27.5568, radiusKm: 0.7 },
+  { name: 'Минск-Арена', city: 'Минск', type: 'landmark', aliases: ['Минск Арена'],
+    lat: 53.9361, lon: 27.4811, radiusKm: 1.5 },
+  { name: 'Парк Горького', city: 'Минск', type: 'landmark', aliases: [],
+    lat: 53.9037, lon: 27.5726, radiusKm: 0.8 },
+  { name: 'Железнодорожный вокзал', city: 'Минск', type: 'landmark', aliases: ['вокзал', 'жд вокзал'],
+    lat: 53.8907, lon: 27.5508, radiusKm: 0.8 },
+
+  // ------------------------------------------------------------------- Гродно
+  { name: 'Советская площадь', city: 'Гродно', type: 'landmark', aliases: ['центр'],
+    lat: 53.6779, lon: 23.8293, radiusKm: 0.8 },
+  { name: 'Советская улица', city: 'Гродно', type: 'street', aliases: ['улица Советская', 'Советская'],
+    lat: 53.6800, lon: 23.8330, radiusKm: 0.6 },
+  { name: 'Старый замок', city: 'Гродно', type: 'landmark', aliases: ['Новый замок'],
+    lat: 53.6770, lon: 23.8240, radiusKm: 0.6 },
+
+  // -------------------------------------------------------------------- Брест
+  { name: 'Брестская крепость', city: 'Брест', type: 'landmark', aliases: ['крепость'],
+    lat: 52.0830, lon: 23.6560, radiusKm: 1.5 },
+  { name: 'Советская улица', city: 'Брест', type: 'street', aliases: ['улица Советская', 'Советская', 'центр'],
+    lat: 52.0930, lon: 23.6880, radiusKm: 0.8 },
+
+  // ------------------------------------------------------------------- Гомель
+  { name: 'Гомельский дворцово-парковый ансамбль', city: 'Гомель', type: 'landmark',
+    aliases: ['Гомельский парк', 'дворец Румянцевых'], lat: 52.4225, lon: 31.0150, radiusKm: 1 },
+  { name: 'Советская улица', city: 'Гомель', type: 'street', aliases: ['улица Советская', 'Советская', 'центр'],
+    lat: 52.4310, lon: 30.9930, radiusKm: 1 },
+
+  // ------------------------------------------------------------------ Витебск
+  { name: 'улица Суворова', city: 'Витебск', type: 'street', aliases: ['Суворова', 'центр'],
+    lat: 55.1940, lon: 30.2050, radiusKm: 0.6 },
+  { name: 'Летний амфитеатр', city: 'Витебск', type: 'landmark', aliases: ['амфитеатр'],
+    lat: 55.1920, lon: 30.2090, radiusKm: 0.6 },
+
+  // ------------------------------------------------------------------ Могилёв
+  { name: 'Ленинская улица', city: 'Могилев', type: 'street', aliases: ['улица Ленинская', 'Ленинская', 'центр'],
+    lat: 53.8980, lon: 30.3370, radiusKm: 0.8 },
+  { name: 'Площадь Славы', city: 'Могилев', type: 'landmark', aliases: [],
+    lat: 53.8965, lon: 30.3360, radiusKm: 0.6 },
+
+  // ----------------------------------------------------------------- Бобруйск
+  { name: 'Социалистическая улица', city: 'Бобруйск', type: 'street',
+    aliases: ['улица Социалистическая', 'Социалистическая', 'центр'], lat: 53.1400, lon: 29.2270, radiusKm: 0.8 },
+  { name: 'Бобруйская крепость', city: 'Бобруйск', type: 'landmark', aliases: ['крепость'],
+    lat: 53.1480, lon: 29.2480, radiusKm: 1 },
+].map((entry) => Object.freeze(entry)));
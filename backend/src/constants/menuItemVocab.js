@@ -0,0 +1,27 @@
+/**
+ * Menu Item Vocabulary — dietary tags and portion units.
+ *
+ * Mirrors the CHECK constraints of migration 046 (menu_items.dietary_tags,
+ * menu_items.portion_unit); validators and the web/mobile labels key off
+ * these exact values.
+ */
+
+/**
+ * Dietary and allergen tags a partner can put on a menu item.
+ */
+export const DIETARY_TAGS = Object.freeze([
+  'vegetarian',
+  'vegan',
+  'gluten_free',
+  'lactose_free',
+  'spicy',
+  'contains_nuts',
+]);
+
+/**
+ * Portion units: grams for food, millilitres for drinks. Menus printing
+ * "кг" / "л" are converted on the way in.
+ */
+export const PORTION_UNITS = Object.freeze(['g', 'ml']);
+
+export const MAX_DESCRIPTION_LENGTH = 1000;
@@ -9,6 +9,7 @@
  *   POST /api/v1/admin/menu-items/:id/unhide
  *   POST /api/v1/admin/menu-items/:id/dismiss-flag
  *   GET  /api/v1/admin/menu-items/flagged
+ *   GET  /api/v1/admin/menu-items/price-report
  */
 
 import * as adminService from '../services/adminService.js';
@@ -110,3 +111,19 @@ export const listFlaggedMenuItems = asyncHandler(async (req, res) => {
     meta: result.meta,
   });
 });
+
+/**
+ * GET /api/v1/admin/menu-items/price-report
+ * Query: ?q=капучино&city=Минск
+ */
+export const getMenuPriceReport = asyncHandler(async (req, res) => {
+  const report = await adminService.getMenuPriceReport({
+    query: req.query.q,
+    city: req.query.city,
+  });
+
+  res.status(200).json({
+    success: true,
+    data: report,
+  });
+});
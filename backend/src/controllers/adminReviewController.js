@@ -8,6 +8,8 @@
  *   GET  /api/v1/admin/reviews                    — list all reviews (admin view)
  *   POST /api/v1/admin/reviews/:id/toggle-visibility — toggle review visibility
  *   POST /api/v1/admin/reviews/:id/delete         — soft-delete review
+ *   POST /api/v1/admin/reviews/photos/:photoId/hide   — hide one review photo
+ *   POST /api/v1/admin/reviews/photos/:photoId/unhide — show it again
  */
 
 import * as adminReviewService from '../services/adminReviewService.js';
@@ -119,3 +121,60 @@ export const deleteReview = asyncHandler(async (req, res) => {
     data: { message: 'Review deleted successfully' },
   });
 });
+
+/**
+ * POST /api/v1/admin/reviews/photos/:photoId/hide
+ *
+ * Hides a single photo of a review from public pages.
+ * Writes audit_log entry (review_photo_hide).
+ * Body: { reason: "string" } (required)
+ */
+export const hidePhoto = asyncHandler(async (req, res) => {
+  const { photoId } = req.params;
+  const adminUserId = req.user.userId;
+  const { reason } = req.body || {};
+
+  const result = await adminReviewService.hidePhoto(photoId, adminUserId, reason, {
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent'),
+  });
+
+  logger.info('Admin hid review photo', {
+    adminId: adminUserId,
+    photoId,
+    reviewId: result.review_id,
+    endpoint: 'POST /api/v1/admin/reviews/photos/:photoId/hide',
+  });
+
+  res.status(200).json({
+    success: true,
+    data: result,
+  });
+});
+
+/**
+ * POST /api/v1/admin/reviews/photos/:photoId/unhide
+ *
+ * Reverses a photo hide. Writes audit_log entry (review_photo_show).
+ */
+export const unhidePhoto = asyncHandler(async (req, res) => {
+  const { photoId } = req.params;
+  const adminUserId = req.user.userId;
+
+  const result = await adminReviewService.unhidePhoto(photoId, adminUserId, {
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent'),
+  });
+
+  logger.info('Admin unhid review photo', {
+    adminId: adminUserId,
+    photoId,
+    reviewId: result.review_id,
+    endpoint: 'POST /api/v1/admin/reviews/photos/:photoId/unhide',
+  });
+
+  res.status(200).json({
+    success: true,
+    data: result,
+  });
+});
@@ -9,6 +9,8 @@
  *   GET /api/v1/admin/analytics/users             — user registration & role analytics
  *   GET /api/v1/admin/analytics/establishments    — establishment pipeline analytics
  *   GET /api/v1/admin/analytics/reviews           — review activity & rating analytics
+ *   GET /api/v1/admin/analytics/search            — search volume, rates, top queries
+ *   GET /api/v1/admin/analytics/search/zero-results — queries that found nothing
  */
 
 import * as analyticsService from '../services/analyticsService.js';
@@ -25,6 +27,11 @@ const extractPeriodParams = (query) => ({
   to: query.to || null,
 });
 
+/**
+ * Extract list size for query reports: ?limit=1..100, default 20.
+ */
+const extractLimit = (query) => Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), 100);
+
 /**
  * GET /api/v1/admin/analytics/overview
  *
@@ -115,3 +122,50 @@ export const getReviewsAnalytics = asyncHandler(async (req, res) => {
     data,
   });
 });
+
+/**
+ * GET /api/v1/admin/analytics/search
+ *
+ * Search analytics: timeline, zero-result / fallback / cache rates,
+ * click-through, top queries (?limit=).
+ */
+export const getSearchAnalytics = asyncHandler(async (req, res) => {
+  const periodParams = extractPeriodParams(req.query);
+  const limit = extractLimit(req.query);
+
+  const data = await analyticsService.getSearchAnalytics({ ...periodParams, limit });
+
+  logger.info('Admin fetched search analytics', {
+    adminId: req.user.userId,
+    period: periodParams.period,
+    endpoint: 'GET /api/v1/admin/analytics/search',
+  });
+
+  res.status(200).json({
+    success: true,
+    data,
+  });
+});
+
+/**
+ * GET /api/v1/admin/analytics/search/zero-results
+ *
+ * Queries that returned nothing, most frequent first (?limit=).
+ */
+export const getZeroResultSearches = asyncHandler(async (req, res) => {
+  const periodParams = extractPeriodParams(req.query);
+  const limit = extractLimit(req.query);
+
+  const data = await analyticsService.getZeroResultSearches({ ...periodParams, limit });
+
+  logger.info('Admin fetched zero-result searches', {
+    adminId: req.user.userId,
+    period: periodParams.period,
+    endpoint: 'GET /api/v1/admin/analytics/search/zero-results',
+  });
+
+  res.status(200).json({
+    success: true,
+    data,
+  });
+});
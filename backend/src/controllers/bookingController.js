@@ -2,11 +2,16 @@
  * Booking Controller
  *
  * HTTP handlers for booking endpoints, split by audience:
- * - Partner: list, confirm, decline, no-show, complete
- * - User: create, list, cancel
+ * - Partner: list, confirm, decline, no-show, complete, phone bookings,
+ *   walk-ins, cancel partner-entered bookings
+ * - User: create, list, cancel, reconfirm, waitlist (join, list, leave, claim)
+ * - Public: availability (slot picker)
+ * - Calendar: single-booking .ics (user), feed management (partner),
+ *   token-authorised feed (calendar apps)
  */
 
 import * as BookingService from '../services/bookingService.js';
+import * as BookingCalendarService from '../services/bookingCalendarService.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 import logger from '../utils/logger.js';
 
@@ -37,12 +42,14 @@ export const getPartnerBookings = asyncHandler(async (req, res) => {
 
 /**
  * PUT /api/v1/partner/bookings/:establishmentId/:bookingId/confirm
+ * Body (optional): { force: true } — confirm even when the slot is over capacity.
  */
 export const confirmBooking = asyncHandler(async (req, res) => {
   const partnerId = req.user.userId;
   const { establishmentId, bookingId } = req.params;
+  const force = req.body?.force === true;
 
-  const booking = await BookingService.confirmBooking(bookingId, partnerId, establishmentId);
+  const booking = await BookingService.confirmBooking(bookingId, partnerId, establishmentId, { force });
 
   logger.info('Booking confirmed via API', {
     bookingId,
@@ -108,6 +115,99 @@ export const markCompleted = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * POST /api/v1/partner/bookings/:establishmentId
+ * Enter a phone reservation (no guest account) — created confirmed.
+ * Body: { date, time, guest_count, guest_name, contact_phone, comment?, force? }
+ */
+export const createPartnerBooking = asyncHandler(async (req, res) => {
+  const partnerId = req.user.userId;
+  const { establishmentId } = req.params;
+  const {
+    date,
+    time,
+    guest_count: guestCount,
+    guest_name: guestName,
+    contact_phone: contactPhone,
+    comment,
+    force,
+  } = req.body;
+
+  const booking = await BookingService.createPartnerBooking(establishmentId, partnerId, {
+    date,
+    time,
+    guestCount: guestCount !== undefined ? Number(guestCount) : undefined,
+    guestName,
+    contactPhone,
+    comment,
+  }, { force: force === true });
+
+  res.status(201).json({
+    success: true,
+    data: booking,
+  });
+});
+
+/**
+ * POST /api/v1/partner/bookings/:establishmentId/walk-ins
+ * Record a party seated without a reservation.
+ * Body: { guest_count, guest_name?, contact_phone?, comment? }
+ */
+export const recordWalkIn = asyncHandler(async (req, res) => {
+  const partnerId = req.user.userId;
+  const { establishmentId } = req.params;
+  const {
+    guest_count: guestCount,
+    guest_name: guestName,
+    contact_phone: contactPhone,
+    comment,
+  } = req.body;
+
+  const booking = await BookingService.recordWalkIn(establishmentId, partnerId, {
+    guestCount: guestCount !== undefined ? Number(guestCount) : undefined,
+    guestName,
+    contactPhone,
+    comment,
+  });
+
+  res.status(201).json({
+    success: true,
+    data: booking,
+  });
+});
+
+/**
+ * PUT /api/v1/partner/bookings/:establishmentId/:bookingId/cancel
+ * Cancel a partner-entered booking.
+ */
+export const cancelPartnerBooking = asyncHandler(async (req, res) => {
+  const partnerId = req.user.userId;
+  const { establishmentId, bookingId } = req.params;
+
+  const booking = await BookingService.cancelPartnerBooking(bookingId, partnerId, establishmentId);
+
+  res.status(200).json({
+    success: true,
+    data: booking,
+  });
+});
+
+/**
+ * GET /api/v1/partner/bookings/:establishmentId/:bookingId/changes
+ * Change history of a booking (guest reschedules / party size changes).
+ */
+export const getPartnerBookingChanges = asyncHandler(async (req, res) => {
+  const partnerId = req.user.userId;
+  const { establishmentId, bookingId } = req.params;
+
+  const changes = await BookingService.getPartnerBookingChanges(bookingId, partnerId, establishmentId);
+
+  res.status(200).json({
+    success: true,
+    data: changes,
+  });
+});
+
 // ============================================================================
 // User endpoints
 // ============================================================================
@@ -177,3 +277,269 @@ export const cancelBooking = asyncHandler(async (req, res) => {
     data: booking,
   });
 });
+
+/**
+ * PUT /api/v1/bookings/:bookingId/reconfirm
+ * Guest answers the day-before "please reconfirm" request.
+ */
+export const reconfirmBooking = asyncHandler(async (req, res) => {
+  const userId = req.user.userId;
+  const { bookingId } = req.params;
+
+  const booking = await BookingService.reconfirmBooking(bookingId, userId);
+
+  res.status(200).json({
+    success: true,
+    data: booking,
+  });
+});
+
+/**
+ * PUT /api/v1/bookings/:bookingId/modify
+ * Change date, time and/or guest count. Omitted fields keep their value.
+ */
+export const modifyBooking = asyncHandler(async (req, res) => {
+  const userId = req.user.userId;
+  const { bookingId } = req.params;
+  const { date, time, guestCount } = req.body;
+
+  const booking = await BookingService.modifyBooking(bookingId, userId, { date, time, guestCount });
+
+  res.status(200).json({
+    success: true,
+    data: booking,
+  });
+});
+
+/**
+ * GET /api/v1/bookings/:bookingId/changes
+ * Change history of one of the user's bookings.
+ */
+export const getBookingChanges = asyncHandler(async (req, res) => {
+  const userId = req.user.userId;
+  const { bookingId } = req.params;
+
+  const changes = await BookingService.getBookingChanges(bookingId, userId);
+
+  res.status(200).json({
+    success: true,
+    data: changes,
+  });
+});
+
+// ============================================================================
+// Waitlist endpoints (user)
+// ============================================================================
+
+/**
+ * POST /api/v1/bookings/waitlist
+ * Join the waitlist for a time window on a date.
+ */
+export const joinWaitlist = asyncHandler(async (req, res) => {
+  const userId = req.user.userId;
+  const {
+    establishmentId,
+    date,
+    timeFrom,
+    timeTo,
+    guestCount,
+    contactPhone,
+  } = req.body;
+
+  const entry = await BookingService.joinWaitlist(userId, {
+    establishmentId,
+    date,
+    timeFrom,
+    timeTo,
+    guestCount: guestCount ? parseInt(guestCount, 10) : undefined,
+    contactPhone,
+  });
+
+  res.status(201).json({
+    success: true,
+    data: entry,
+  });
+});
+
+/**
+ * GET /api/v1/bookings/waitlist/my
+ * List current user's waitlist entries.
+ */
+export const getUserWaitlist = asyncHandler(async (req, res) => {
+  const userId = req.user.userId;
+
+  const entries = await BookingService.getUserWaitlist(userId);
+
+  res.status(200).json({
+    success: true,
+    data: entries,
+  });
+});
+
+/**
+ * PUT /api/v1/bookings/waitlist/:entryId/cancel
+ * Leave the waitlist.
+ */
+export const leaveWaitlist = asyncHandler(async (req, res) => {
+  const userId = req.user.userId;
+  const { entryId } = req.params;
+
+  const entry = await BookingService.leaveWaitlist(entryId, userId);
+
+  res.status(200).json({
+    success: true,
+    data: entry,
+  });
+});
+
+/**
+ * POST /api/v1/bookings/waitlist/:entryId/claim
+ * Claim a waitlist offer — creates a pending booking for the offered slot.
+ */
+export const claimWaitlistOffer = asyncHandler(async (req, res) => {
+  const userId = req.user.userId;
+  const { entryId } = req.params;
+
+  const booking = await BookingService.claimWaitlistOffer(entryId, userId);
+
+  logger.info('Waitlist offer claimed via API', {
+    entryId,
+    bookingId: booking.id,
+    userId,
+  });
+
+  res.status(201).json({
+    success: true,
+    data: booking,
+  });
+});
+
+// ============================================================================
+// Calendar (iCal) endpoints
+// ============================================================================
+
+const ICS_CONTENT_TYPE = 'text/calendar; charset=utf-8';
+
+/**
+ * Absolute feed URL as calendar apps must call it. Built from the request
+ * (trust proxy is on, so protocol/host reflect the public origin).
+ */
+const buildFeedUrl = (req, establishmentId, token) =>
+  `${req.protocol}://${req.get('host')}/api/v1/partner/bookings/${establishmentId}/calendar.ics?token=${token}`;
+
+/**
+ * GET /api/v1/bookings/:bookingId/ics
+ * Download one of the user's bookings as an .ics file.
+ */
+export const downloadBookingIcs = asyncHandler(async (req, res) => {
+  const userId = req.user.userId;
+  const { bookingId } = req.params;
+
+  const ics = await BookingCalendarService.getBookingIcs(bookingId, userId);
+
+  res.set({
+    'Content-Type': ICS_CONTENT_TYPE,
+    'Content-Disposition': `attachment; filename="booking-${bookingId}.ics"`,
+    'Cache-Control': 'no-store',
+  });
+  res.status(200).send(ics);
+});
+
+/**
+ * GET /api/v1/partner/bookings/:establishmentId/calendar-feed
+ * Whether the establishment's calendar feed is enabled.
+ */
+export const getCalendarFeed = asyncHandler(async (req, res) => {
+  const partnerId = req.user.userId;
+  const { establishmentId } = req.params;
+
+  const feed = await BookingCalendarService.getFeedStatus(establishmentId, partnerId);
+
+  res.status(200).json({
+    success: true,
+    data: feed,
+  });
+});
+
+/**
+ * POST /api/v1/partner/bookings/:establishmentId/calendar-feed
+ * Enable the feed or rotate its token. The URL is only returned here.
+ */
+export const rotateCalendarFeed = asyncHandler(async (req, res) => {
+  const partnerId = req.user.userId;
+  const { establishmentId } = req.params;
+
+  const { token, created_at: createdAt } = await BookingCalendarService.rotateFeedToken(
+    establishmentId,
+    partnerId,
+  );
+
+  logger.info('Booking calendar feed token issued', { establishmentId, partnerId });
+
+  res.status(201).json({
+    success: true,
+    data: {
+      enabled: true,
+      created_at: createdAt,
+      url: buildFeedUrl(req, establishmentId, token),
+    },
+  });
+});
+
+/**
+ * DELETE /api/v1/partner/bookings/:establishmentId/calendar-feed
+ * Disable the feed (its URL stops working).
+ */
+export const revokeCalendarFeed = asyncHandler(async (req, res) => {
+  const partnerId = req.user.userId;
+  const { establishmentId } = req.params;
+
+  await BookingCalendarService.revokeFeed(establishmentId, partnerId);
+
+  logger.info('Booking calendar feed revoked', { establishmentId, partnerId });
+
+  res.status(200).json({
+    success: true,
+    data: { enabled: false },
+  });
+});
+
+/**
+ * GET /api/v1/partner/bookings/:establishmentId/calendar.ics?token=...
+ * Read-only feed for calendar subscriptions. Authorised by the token only.
+ */
+export const getCalendarFeedIcs = asyncHandler(async (req, res) => {
+  const { establishmentId } = req.params;
+  const { token } = req.query;
+
+  const ics = await BookingCalendarService.getFeedIcs(establishmentId, token);
+
+  res.set({
+    'Content-Type': ICS_CONTENT_TYPE,
+    'Cache-Control': 'no-store',
+  });
+  res.status(200).send(ics);
+});
+
+// ============================================================================
+// Public endpoints
+// ============================================================================
+
+/**
+ * GET /api/v1/establishments/:id/availability?date=YYYY-MM-DD&guests=N
+ * Bookable time slots for one day. No authentication.
+ */
+export const getAvailability = asyncHandler(async (req, res) => {
+  const { id: establishmentId } = req.params;
+  const { date, guests } = req.query;
+
+  const availability = await BookingService.getAvailability(establishmentId, {
+    date,
+    guests: guests !== undefined ? Number(guests) : undefined,
+  });
+
+  res.status(200).json({
+    success: true,
+    data: availability,
+  });
+});
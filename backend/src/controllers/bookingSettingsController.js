@@ -37,6 +37,9 @@ export const activate = asyncHandler(async (req, res) => {
     confirmation_timeout_hours,
     max_days_ahead,
     min_hours_before,
+    seating_duration_minutes,
+    reminder_hours_before,
+    reconfirm_enabled,
   } = req.body;
 
   const settings = await BookingSettingsService.activate(establishmentId, partnerId, {
@@ -44,6 +47,9 @@ export const activate = asyncHandler(async (req, res) => {
     confirmationTimeoutHours: confirmation_timeout_hours,
     maxDaysAhead: max_days_ahead,
     minHoursBefore: min_hours_before,
+    seatingDurationMinutes: seating_duration_minutes,
+    reminderHoursBefore: reminder_hours_before,
+    reconfirmEnabled: reconfirm_enabled,
   });
 
   logger.info('Booking settings activated via API', {
@@ -70,6 +76,9 @@ export const updateSettings = asyncHandler(async (req, res) => {
     confirmation_timeout_hours,
     max_days_ahead,
     min_hours_before,
+    seating_duration_minutes,
+    reminder_hours_before,
+    reconfirm_enabled,
   } = req.body;
 
   const settings = await BookingSettingsService.updateSettings(establishmentId, partnerId, {
@@ -77,6 +86,9 @@ export const updateSettings = asyncHandler(async (req, res) => {
     confirmationTimeoutHours: confirmation_timeout_hours,
     maxDaysAhead: max_days_ahead,
     minHoursBefore: min_hours_before,
+    seatingDurationMinutes: seating_duration_minutes,
+    reminderHoursBefore: reminder_hours_before,
+    reconfirmEnabled: reconfirm_enabled,
   });
 
   res.status(200).json({
@@ -106,3 +118,85 @@ export const deactivate = asyncHandler(async (req, res) => {
     data: settings,
   });
 });
+
+// ============================================================================
+// Table inventory
+// ============================================================================
+
+/**
+ * GET /api/v1/partner/booking-settings/:establishmentId/tables
+ * List tables (active and inactive).
+ */
+export const listTables = asyncHandler(async (req, res) => {
+  const partnerId = req.user.userId;
+  const { establishmentId } = req.params;
+
+  const tables = await BookingSettingsService.listTables(establishmentId, partnerId);
+
+  res.status(200).json({
+    success: true,
+    data: tables,
+  });
+});
+
+/**
+ * POST /api/v1/partner/booking-settings/:establishmentId/tables
+ * Add a table.
+ */
+export const createTable = asyncHandler(async (req, res) => {
+  const partnerId = req.user.userId;
+  const { establishmentId } = req.params;
+  const { label, zone, seats, is_combinable, is_active } = req.body;
+
+  const table = await BookingSettingsService.createTable(establishmentId, partnerId, {
+    label,
+    zone,
+    seats,
+    isCombinable: is_combinable,
+    isActive: is_active,
+  });
+
+  res.status(201).json({
+    success: true,
+    data: table,
+  });
+});
+
+/**
+ * PUT /api/v1/partner/booking-settings/:establishmentId/tables/:tableId
+ * Update a table (partial).
+ */
+export const updateTable = asyncHandler(async (req, res) => {
+  const partnerId = req.user.userId;
+  const { establishmentId, tableId } = req.params;
+  const { label, zone, seats, is_combinable, is_active } = req.body;
+
+  const table = await BookingSettingsService.updateTable(establishmentId, partnerId, tableId, {
+    label,
+    zone,
+    seats,
+    isCombinable: is_combinable,
+    isActive: is_active,
+  });
+
+  res.status(200).json({
+    success: true,
+    data: table,
+  });
+});
+
+/**
+ * DELETE /api/v1/partner/booking-settings/:establishmentId/tables/:tableId
+ * Remove a table.
+ */
+export const deleteTable = asyncHandler(async (req, res) => {
+  const partnerId = req.user.userId;
+  const { establishmentId, tableId } = req.params;
+
+  await BookingSettingsService.deleteTable(establishmentId, partnerId, tableId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Table deleted',
+  });
+});
@@ -4,14 +4,48 @@
  * HTTP handlers for partner-scoped menu-item endpoints (Segment B).
  *
  *   GET   /api/v1/partner/establishments/:id/menu-items
+ *   POST  /api/v1/partner/establishments/:id/menu-items
+ *   PUT   /api/v1/partner/establishments/:id/menu-items/order
  *   PATCH /api/v1/partner/menu-items/:id
+ *   DELETE /api/v1/partner/menu-items/:id
  *   POST  /api/v1/partner/establishments/:id/retry-ocr
+ *   GET   /api/v1/partner/establishments/:id/menu-drafts
+ *   POST  /api/v1/partner/establishments/:id/menu-drafts/:draftId/publish
+ *   DELETE /api/v1/partner/establishments/:id/menu-drafts/:draftId
+ *   GET|POST /api/v1/partner/establishments/:id/menu-sections
+ *   PUT   /api/v1/partner/establishments/:id/menu-sections/order
+ *   PATCH|DELETE /api/v1/partner/establishments/:id/menu-sections/:sectionId
+ *   GET   /api/v1/partner/establishments/:id/menu/export
+ *   POST  /api/v1/partner/establishments/:id/menu/import
+ *   GET   /api/v1/partner/establishments/:id/menu/price-history
  */
 
+import path from 'path';
 import * as partnerMenuItemService from '../services/partnerMenuItemService.js';
-import { asyncHandler } from '../middleware/errorHandler.js';
+import * as partnerMenuDraftService from '../services/partnerMenuDraftService.js';
+import * as partnerMenuSectionService from '../services/partnerMenuSectionService.js';
+import * as partnerMenuImportService from '../services/partnerMenuImportService.js';
+import { AppError, asyncHandler } from '../middleware/errorHandler.js';
 import logger from '../utils/logger.js';
 
+/** Menu item fields accepted from the body of create / inline-edit requests. */
+const MENU_ITEM_BODY_FIELDS = [
+  'item_name',
+  'price_byn',
+  'category_raw',
+  'section_id',
+  'description',
+  'portion_size',
+  'portion_unit',
+  'dietary_tags',
+  'photo_media_id',
+  'is_available',
+];
+
+const pickMenuItemFields = (body = {}) => Object.fromEntries(
+  MENU_ITEM_BODY_FIELDS.map((field) => [field, body[field]]),
+);
+
 export const listMenuItems = asyncHandler(async (req, res) => {
   const establishmentId = req.params.id;
   const partnerId = req.user.userId;
@@ -24,16 +58,30 @@ export const listMenuItems = asyncHandler(async (req, res) => {
   });
 });
 
-export const updateMenuItem = asyncHandler(async (req, res) => {
-  const menuItemId = req.params.id;
+export const createMenuItem = asyncHandler(async (req, res) => {
+  const establishmentId = req.params.id;
   const partnerId = req.user.userId;
-  const { item_name, price_byn, category_raw } = req.body;
+  const created = await partnerMenuItemService.createMenuItem(
+    partnerId,
+    establishmentId,
+    pickMenuItemFields(req.body || {}),
+  );
 
-  const updated = await partnerMenuItemService.updateMenuItem(partnerId, menuItemId, {
-    item_name,
-    price_byn,
-    category_raw,
+  res.status(201).json({
+    success: true,
+    data: created,
+    message: 'Menu item created',
   });
+});
+
+export const updateMenuItem = asyncHandler(async (req, res) => {
+  const menuItemId = req.params.id;
+  const partnerId = req.user.userId;
+  const updated = await partnerMenuItemService.updateMenuItem(
+    partnerId,
+    menuItemId,
+    pickMenuItemFields(req.body),
+  );
 
   logger.info('Partner updated menu item', {
     partnerId,
@@ -48,6 +96,31 @@ export const updateMenuItem = asyncHandler(async (req, res) => {
   });
 });
 
+export const deleteMenuItem = asyncHandler(async (req, res) => {
+  const menuItemId = req.params.id;
+  const partnerId = req.user.userId;
+
+  await partnerMenuItemService.deleteMenuItem(partnerId, menuItemId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Menu item deleted',
+  });
+});
+
+export const reorderMenuItems = asyncHandler(async (req, res) => {
+  const establishmentId = req.params.id;
+  const partnerId = req.user.userId;
+  const { items } = req.body || {};
+
+  const data = await partnerMenuItemService.reorderMenuItems(partnerId, establishmentId, items);
+
+  res.status(200).json({
+    success: true,
+    data,
+  });
+});
+
 export const retryOcr = asyncHandler(async (req, res) => {
   const establishmentId = req.params.id;
   const partnerId = req.user.userId;
@@ -67,3 +140,182 @@ export const retryOcr = asyncHandler(async (req, res) => {
     message: `Enqueued ${result.enqueuedJobs} OCR job(s)`,
   });
 });
+
+export const listMenuDrafts = asyncHandler(async (req, res) => {
+  const establishmentId = req.params.id;
+  const partnerId = req.user.userId;
+
+  const drafts = await partnerMenuDraftService.listDrafts(partnerId, establishmentId);
+
+  res.status(200).json({
+    success: true,
+    data: drafts,
+  });
+});
+
+export const publishMenuDraft = asyncHandler(async (req, res) => {
+  const { id: establishmentId, draftId } = req.params;
+  const partnerId = req.user.userId;
+  const { reject_item_ids, edits, keep_item_ids } = req.body || {};
+
+  const result = await partnerMenuDraftService.publishDraft(partnerId, establishmentId, draftId, {
+    rejectItemIds: reject_item_ids,
+    edits,
+    keepItemIds: keep_item_ids,
+  });
+
+  logger.info('Partner published menu draft', {
+    partnerId,
+    establishmentId,
+    draftId,
+    endpoint: 'POST /api/v1/partner/establishments/:id/menu-drafts/:draftId/publish',
+  });
+
+  res.status(200).json({
+    success: true,
+    data: result,
+    message: `Published ${result.published} menu item(s)`,
+  });
+});
+
+export const discardMenuDraft = asyncHandler(async (req, res) => {
+  const { id: establishmentId, draftId } = req.params;
+  const partnerId = req.user.userId;
+
+  await partnerMenuDraftService.discardDraft(partnerId, establishmentId, draftId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Menu draft discarded',
+  });
+});
+
+export const listMenuSections = asyncHandler(async (req, res) => {
+  const establishmentId = req.params.id;
+  const partnerId = req.user.userId;
+
+  const sections = await partnerMenuSectionService.listSections(partnerId, establishmentId);
+
+  res.status(200).json({
+    success: true,
+    data: sections,
+  });
+});
+
+export const createMenuSection = asyncHandler(async (req, res) => {
+  const establishmentId = req.params.id;
+  const partnerId = req.user.userId;
+  const { name } = req.body || {};
+
+  const section = await partnerMenuSectionService.createSection(partnerId, establishmentId, name);
+
+  res.status(201).json({
+    success: true,
+    data: section,
+    message: 'Menu section created',
+  });
+});
+
+export const renameMenuSection = asyncHandler(async (req, res) => {
+  const { id: establishmentId, sectionId } = req.params;
+  const partnerId = req.user.userId;
+  const { name } = req.body || {};
+
+  const section = await partnerMenuSectionService.renameSection(
+    partnerId,
+    establishmentId,
+    sectionId,
+    name,
+  );
+
+  res.status(200).json({
+    success: true,
+    data: section,
+    message: 'Menu section updated',
+  });
+});
+
+export const deleteMenuSection = asyncHandler(async (req, res) => {
+  const { id: establishmentId, sectionId } = req.params;
+  const partnerId = req.user.userId;
+
+  await partnerMenuSectionService.deleteSection(partnerId, establishmentId, sectionId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Menu section deleted',
+  });
+});
+
+export const reorderMenuSections = asyncHandler(async (req, res) => {
+  const establishmentId = req.params.id;
+  const partnerId = req.user.userId;
+  const { section_ids } = req.body || {};
+
+  const sections = await partnerMenuSectionService.reorderSections(
+    partnerId,
+    establishmentId,
+    section_ids,
+  );
+
+  res.status(200).json({
+    success: true,
+    data: sections,
+  });
+});
+
+export const exportMenu = asyncHandler(async (req, res) => {
+  const establishmentId = req.params.id;
+  const partnerId = req.user.userId;
+  const format = req.query.format || 'csv';
+
+  const file = await partnerMenuImportService.exportMenu(partnerId, establishmentId, format);
+
+  res.set({
+    'Content-Type': file.contentType,
+    'Content-Disposition': `attachment; filename="${file.filename}"`,
+    'Cache-Control': 'no-store',
+  });
+  res.status(200).send(file.content);
+});
+
+export const importMenu = asyncHandler(async (req, res) => {
+  const establishmentId = req.params.id;
+  const partnerId = req.user.userId;
+
+  if (!req.file) {
+    throw new AppError('Menu file is required (multipart field "file")', 400, 'FILE_REQUIRED');
+  }
+  const format = req.query.format
+    || path.extname(req.file.originalname).slice(1).toLowerCase();
+  const dryRun = ['true', '1'].includes(String(req.query.dry_run ?? req.body?.dry_run));
+
+  const result = await partnerMenuImportService.importMenu(partnerId, establishmentId, {
+    content: req.file.buffer.toString('utf8'),
+    format,
+    dryRun,
+  });
+
+  res.status(200).json({
+    success: true,
+    data: result,
+    message: dryRun ? 'Menu import preview' : 'Menu imported',
+  });
+});
+
+export const getPriceHistory = asyncHandler(async (req, res) => {
+  const establishmentId = req.params.id;
+  const partnerId = req.user.userId;
+
+  const result = await partnerMenuItemService.getPriceHistory(partnerId, establishmentId, {
+    itemName: req.query.item_name,
+    page: parseInt(req.query.page, 10) || 1,
+    perPage: parseInt(req.query.per_page, 10) || 50,
+  });
+
+  res.status(200).json({
+    success: true,
+    data: result.items,
+    meta: result.meta,
+  });
+});
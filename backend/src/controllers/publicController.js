@@ -17,6 +17,7 @@ import {
   categorySlugToCyrillic,
   cuisineSlugToCyrillic,
 } from '../constants/urlSlugs.js';
+import { resolveOpenAtQuery } from '../utils/openingHours.js';
 
 /**
  * Parse a comma-separated or array query parameter into a trimmed string array,
@@ -57,6 +58,7 @@ const translateSlugList = (slugs, translator, label) => {
  * internally. Query params (all optional):
  *   city, category, cuisines[], priceRange[], minRating,
  *   hours_filter (until_22 | until_morning | 24_hours — unknown soft-ignored),
+ *   open_now ("true"), open_at (ISO datetime, Europe/Minsk — invalid → 422, as on /map),
  *   features[] (9 attribute keys: delivery|wifi|terrace|parking|live_music|
  *     kids_zone|banquet|pets_allowed|smoking — unknown soft-ignored),
  *   search, sort_by, limit (default 20, max 100), page (default 1)
@@ -69,6 +71,8 @@ export const listPublicEstablishments = asyncHandler(async (req, res) => {
     priceRange: priceRangeRaw,
     minRating: minRatingRaw,
     hours_filter: hoursFilterRaw,
+    open_now: openNowRaw,
+    open_at: openAtRaw,
     features: featuresRaw,
     search,
     sort_by: sortBy,
@@ -107,6 +111,15 @@ export const listPublicEstablishments = asyncHandler(async (req, res) => {
     ? hoursFilterRaw
     : undefined;
 
+  // open_now / open_at: unlike the facet params above, open_at is a free-form
+  // datetime the catalog never puts in its own URLs, so a bad value is a client
+  // error — 422, the same as /map.
+  const openAtQuery = resolveOpenAtQuery({ openNow: openNowRaw, openAt: openAtRaw });
+  if (openAtQuery.invalid) {
+    throw new AppError('open_at must be a valid ISO datetime', 422, 'VALIDATION_ERROR');
+  }
+  const openAt = openAtQuery.moment;
+
   const minRating = minRatingRaw ? parseFloat(minRatingRaw) : null;
   if (minRating !== null && (isNaN(minRating) || minRating < 1 || minRating > 5)) {
     throw new AppError('minRating must be between 1 and 5', 422, 'VALIDATION_ERROR');
@@ -143,6 +156,7 @@ export const listPublicEstablishments = asyncHandler(async (req, res) => {
     priceRange,
     minRating,
     hoursFilter,
+    openAt,
     features,
     sortBy,
     search: search ? String(search).trim() : null,
@@ -171,6 +185,8 @@ export const mapPublicEstablishments = asyncHandler(async (req, res) => {
     priceRange: priceRangeRaw,
     minRating: minRatingRaw,
     hours_filter: hoursFilter,
+    open_now: openNowRaw,
+    open_at: openAtRaw,
     search,
     limit: limitRaw,
     neLat,
@@ -216,6 +232,11 @@ export const mapPublicEstablishments = asyncHandler(async (req, res) => {
     }
   }
 
+  const openAtQuery = resolveOpenAtQuery({ openNow: openNowRaw, openAt: openAtRaw });
+  if (openAtQuery.invalid) {
+    throw new AppError('open_at must be a valid ISO datetime', 422, 'VALIDATION_ERROR');
+  }
+
   const limit = parseInt(limitRaw, 10) || 200;
 
   // Optional geographic bounds — all four corners together, or none. Present →
@@ -250,6 +271,7 @@ export const mapPublicEstablishments = asyncHandler(async (req, res) => {
     priceRange,
     minRating,
     hoursFilter,
+    openAt: openAtQuery.moment,
     search: search ? String(search).trim() : null,
     limit,
     bounds,
@@ -348,6 +370,30 @@ export const getPublicReviews = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * GET /api/v1/public/establishments/by-slug/:slug/similar
+ *
+ * "Похожие заведения" rail for an establishment by slug.
+ * Query params: limit (default 8, max 20).
+ */
+export const getPublicSimilarEstablishments = asyncHandler(async (req, res) => {
+  const { slug } = req.params;
+  const { limit: limitRaw } = req.query;
+
+  if (!slug || typeof slug !== 'string' || slug.trim().length === 0) {
+    throw new AppError('Slug is required', 400, 'VALIDATION_ERROR');
+  }
+
+  const limit = Math.min(Math.max(parseInt(limitRaw, 10) || 8, 1), 20);
+
+  const result = await publicService.getSimilarEstablishments(slug, { limit });
+
+  res.status(200).json({
+    success: true,
+    data: result,
+  });
+});
+
 /**
  * GET /api/v1/public/metadata
  *
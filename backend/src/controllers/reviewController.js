@@ -32,7 +32,7 @@ import logger from '../utils/logger.js';
  * simply extracts data and formats the response.
  */
 export const createReview = asyncHandler(async (req, res) => {
-  // Extract review data from request body
+  // Extract review data from request body; photos arrive as multipart files
   const { establishmentId, rating, content } = req.body;
 
   // Get authenticated user ID from JWT token (set by authenticate middleware)
@@ -45,6 +45,7 @@ export const createReview = asyncHandler(async (req, res) => {
     establishment_id: establishmentId,
     rating,
     content,
+    photos: req.files,
   });
 
   // Log successful review creation for monitoring
@@ -5,7 +5,10 @@
  */
 
 import * as searchService from '../services/searchService.js';
+import * as searchEventService from '../services/searchEventService.js';
+import * as personalizationService from '../services/personalizationService.js';
 import { AppError } from '../middleware/errorHandler.js';
+import { resolveOpenAtQuery } from '../utils/openingHours.js';
 
 /**
  * Search establishments by radius (or without location)
@@ -21,6 +24,14 @@ import { AppError } from '../middleware/errorHandler.js';
  * - minRating (optional): Minimum rating (1-5)
  * - limit (optional): Results per page (default: 20, max: 100)
  * - offset (optional): Pagination offset (default: 0)
+ * - open_now (optional): "true" — only establishments open right now (Europe/Minsk)
+ * - open_at (optional): ISO datetime — only establishments open at that moment
+ * - sort_by (optional): rating (default), distance, price_asc, price_desc, or
+ *   for_you — personalized for a signed-in user (optionalAuth), each result
+ *   then carries personalization_score and explanation
+ *
+ * First-page requests are recorded as search events; their response carries
+ * `searchEventId` for POST /api/v1/analytics/search-click.
  */
 export async function searchEstablishments(req, res, next) {
   try {
@@ -39,6 +50,8 @@ export async function searchEstablishments(req, res, next) {
       offset,
       sort_by,
       hours_filter,
+      open_now,
+      open_at,
       features,
       search,
     } = req.query;
@@ -129,44 +142,194 @@ export async function searchEstablishments(req, res, next) {
       throw new AppError(`Invalid hours_filter. Must be one of: ${validHoursFilters.join(', ')}`, 422, 'VALIDATION_ERROR');
     }
 
+    // Validate open_now / open_at (weekday + time resolved in Europe/Minsk)
+    const openAt = resolveOpenAtQuery({ openNow: open_now, openAt: open_at });
+    if (openAt.invalid) {
+      throw new AppError('open_at must be a valid ISO datetime', 422, 'VALIDATION_ERROR');
+    }
+
+    const filters = {
+      city,
+      categories: categoryList,
+      cuisines: cuisineList,
+      priceRange: priceRangeList,
+      minRating: minRatingValue,
+      limit: limitValue,
+      offset: finalOffset,
+      page: finalPage,
+      sortBy: sort_by,
+      hoursFilter: hours_filter,
+      openAt: openAt.moment,
+      features: featuresList,
+      search: search?.trim() || null,
+    };
+
     // Execute search - with or without coordinates
     let result;
+    let searchParams = filters;
     if (hasCoordinates) {
       // Search with distance calculation
-      result = await searchService.searchByRadius({
+      searchParams = {
+        ...filters,
         latitude: lat,
         longitude: lon,
         radius: radiusKm,
         maxDistance: maxDistanceKm,
-        city,
-        categories: categoryList,
-        cuisines: cuisineList,
-        priceRange: priceRangeList,
-        minRating: minRatingValue,
-        limit: limitValue,
-        offset: finalOffset,
-        page: finalPage,
-        sortBy: sort_by,
-        hoursFilter: hours_filter,
-        features: featuresList,
-        search: search?.trim() || null,
-      });
+      };
+    }
+    const runSearch = hasCoordinates
+      ? searchService.searchByRadius
+      : searchService.searchWithoutLocation;
+
+    if (sort_by === personalizationService.FOR_YOU_SORT) {
+      // Opt-in personalized ranking; anonymous users get the rating order
+      result = await personalizationService.searchForYou(
+        runSearch,
+        searchParams,
+        req.user?.userId || null,
+      );
     } else {
-      // Search without coordinates - no distance filtering/sorting
-      result = await searchService.searchWithoutLocation({
-        city,
-        categories: categoryList,
-        cuisines: cuisineList,
-        priceRange: priceRangeList,
-        minRating: minRatingValue,
-        limit: limitValue,
-        offset: finalOffset,
-        page: finalPage,
-        sortBy: sort_by,
-        hoursFilter: hours_filter,
-        features: featuresList,
-        search: search?.trim() || null,
-      });
+      result = await runSearch(searchParams);
+    }
+
+    // Analytics: first page only, so paging does not count as new searches
+    if (finalOffset === 0) {
+      result = {
+        ...result,
+        searchEventId: searchEventService.recordSearchEvent({
+          source: 'list',
+          query: filters.search,
+          filters: searchParams,
+          resultCount: result.pagination?.total || 0,
+        }),
+      };
+    }
+
+    res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Search dishes: matched menu items grouped by establishment
+ * GET /api/v1/search/dishes
+ *
+ * Query Parameters:
+ * - q (required): Dish text, e.g. "цезарь" (2+ characters)
+ * - max_price (optional): Budget in BYN; an active promotion price counts
+ * - latitude / longitude (optional): Enables distance and the radius filter
+ * - radius (optional): Search radius in km (default: 10) - only used with coordinates
+ * - city (optional): City filter
+ * - categories / cuisines (optional): Comma-separated filters
+ * - sort_by (optional): relevance (default), price_asc, distance, rating
+ * - open_now / open_at (optional): Same as /search/establishments
+ * - page (optional): Page number (default: 1)
+ * - limit (optional): Establishments per page (default: 20, max: 100)
+ *
+ * First-page requests are recorded as search events, like the list search.
+ */
+export async function searchDishes(req, res, next) {
+  try {
+    const {
+      q,
+      max_price,
+      latitude,
+      longitude,
+      radius,
+      city,
+      categories,
+      cuisines,
+      sort_by,
+      open_now,
+      open_at,
+      page,
+      limit,
+    } = req.query;
+
+    const dish = typeof q === 'string' ? q.trim() : '';
+    if (!dish) {
+      throw new AppError('q is required', 422, 'VALIDATION_ERROR');
+    }
+
+    if ((latitude && !longitude) || (!latitude && longitude)) {
+      throw new AppError('Both latitude and longitude must be provided together', 422, 'VALIDATION_ERROR');
+    }
+    const lat = latitude ? parseFloat(latitude) : null;
+    const lon = longitude ? parseFloat(longitude) : null;
+    if ((lat !== null && isNaN(lat)) || (lon !== null && isNaN(lon))) {
+      throw new AppError('Invalid coordinates', 422, 'VALIDATION_ERROR');
+    }
+
+    const radiusKm = radius ? parseFloat(radius) : 10;
+    if (radius && isNaN(radiusKm)) {
+      throw new AppError('Invalid radius', 422, 'VALIDATION_ERROR');
+    }
+
+    const priceMaxByn = max_price ? parseFloat(max_price) : null;
+    if (max_price && isNaN(priceMaxByn)) {
+      throw new AppError('Invalid max_price', 422, 'VALIDATION_ERROR');
+    }
+
+    if (sort_by && !searchService.DISH_SORT_OPTIONS.includes(sort_by)) {
+      throw new AppError(`Invalid sort_by. Must be one of: ${searchService.DISH_SORT_OPTIONS.join(', ')}`, 422, 'VALIDATION_ERROR');
+    }
+
+    const categoryList = categories
+      ? (Array.isArray(categories) ? categories : categories.split(',')).map(c => c.trim()).filter(Boolean)
+      : null;
+
+    const cuisineList = cuisines
+      ? (Array.isArray(cuisines) ? cuisines : cuisines.split(',')).map(c => c.trim()).filter(Boolean)
+      : null;
+
+    const limitValue = limit ? parseInt(limit, 10) : 20;
+    if (isNaN(limitValue) || limitValue < 1) {
+      throw new AppError('Invalid limit parameter', 422, 'VALIDATION_ERROR');
+    }
+
+    const pageValue = page ? parseInt(page, 10) : 1;
+    if (isNaN(pageValue) || pageValue < 1) {
+      throw new AppError('Page must be a positive integer', 422, 'VALIDATION_ERROR');
+    }
+
+    const openAt = resolveOpenAtQuery({ openNow: open_now, openAt: open_at });
+    if (openAt.invalid) {
+      throw new AppError('open_at must be a valid ISO datetime', 422, 'VALIDATION_ERROR');
+    }
+
+    const searchParams = {
+      dish,
+      priceMaxByn,
+      latitude: lat,
+      longitude: lon,
+      radius: radiusKm,
+      city: city || null,
+      categories: categoryList,
+      cuisines: cuisineList,
+      openAt: openAt.moment,
+      sortBy: sort_by || 'relevance',
+      limit: limitValue,
+      offset: (pageValue - 1) * limitValue,
+      page: pageValue,
+    };
+
+    let result = await searchService.searchDishes(searchParams);
+
+    // Analytics: first page only, so paging does not count as new searches
+    if (pageValue === 1) {
+      result = {
+        ...result,
+        searchEventId: searchEventService.recordSearchEvent({
+          source: 'dish',
+          query: dish,
+          filters: searchParams,
+          resultCount: result.pagination?.total || 0,
+        }),
+      };
     }
 
     res.status(200).json({
@@ -191,6 +354,7 @@ export async function searchEstablishments(req, res, next) {
  * - cuisines (optional): Comma-separated cuisines
  * - priceRange (optional): Price range ($, $$, $$$, $$$$)
  * - minRating (optional): Minimum rating (1-5)
+ * - open_now / open_at (optional): Same as /search/establishments
  * - limit (optional): Results limit (default: 100, max: 500)
  */
 export async function searchMap(req, res, next) {
@@ -209,6 +373,8 @@ export async function searchMap(req, res, next) {
       priceRange,
       minRating,
       hours_filter,
+      open_now,
+      open_at,
       limit,
       search,
     } = req.query;
@@ -255,6 +421,12 @@ export async function searchMap(req, res, next) {
       throw new AppError(`Invalid hours_filter. Must be one of: ${validHoursFilters.join(', ')}`, 422, 'VALIDATION_ERROR');
     }
 
+    // Validate open_now / open_at (weekday + time resolved in Europe/Minsk)
+    const openAt = resolveOpenAtQuery({ openNow: open_now, openAt: open_at });
+    if (openAt.invalid) {
+      throw new AppError('open_at must be a valid ISO datetime', 422, 'VALIDATION_ERROR');
+    }
+
     // Execute bounds search
     const result = await searchService.searchByBounds({
       ...bounds,
@@ -263,6 +435,7 @@ export async function searchMap(req, res, next) {
       priceRange: priceRangeList,
       minRating: minRatingValue,
       hoursFilter: hours_filter,
+      openAt: openAt.moment,
       limit: limitValue,
       search: search?.trim() || null,
     });
@@ -276,6 +449,38 @@ export async function searchMap(req, res, next) {
   }
 }
 
+/**
+ * Record the result a user opened from a search
+ * POST /api/v1/analytics/search-click
+ *
+ * Body: { searchEventId: UUID, establishmentId: UUID, position?: number (1-based) }
+ * Public fire-and-forget tracking — unknown events and repeat clicks are
+ * accepted silently.
+ */
+export async function trackSearchClick(req, res, next) {
+  try {
+    const { searchEventId, establishmentId, position } = req.body || {};
+
+    if (!searchEventId || !establishmentId) {
+      throw new AppError('searchEventId and establishmentId are required', 400, 'VALIDATION_ERROR');
+    }
+
+    const parsedPosition = position != null ? parseInt(position, 10) : null;
+    if (parsedPosition !== null && (isNaN(parsedPosition) || parsedPosition < 1)) {
+      throw new AppError('position must be a positive integer', 400, 'VALIDATION_ERROR');
+    }
+
+    await searchEventService.recordClick(searchEventId, establishmentId, parsedPosition);
+
+    res.status(200).json({
+      success: true,
+      data: { message: 'Search click recorded' },
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
 /**
  * Get establishment by ID (public)
  * GET /api/v1/search/establishments/:id
@@ -319,7 +524,9 @@ export async function searchHealth(req, res, next) {
 
 export default {
   searchEstablishments,
+  searchDishes,
   searchMap,
+  trackSearchClick,
   getEstablishmentById,
   searchHealth,
 };
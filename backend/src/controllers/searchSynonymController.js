@@ -0,0 +1,96 @@
+/**
+ * Search Synonym Controller
+ *
+ * HTTP handlers for admin management of search synonyms.
+ * Thin layer: extracts request data, delegates to searchSynonymService, formats response.
+ *
+ * Endpoints:
+ *   GET    /api/v1/admin/search/synonyms
+ *   POST   /api/v1/admin/search/synonyms
+ *   PATCH  /api/v1/admin/search/synonyms/:id
+ *   DELETE /api/v1/admin/search/synonyms/:id
+ */
+
+import * as searchSynonymService from '../services/searchSynonymService.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import logger from '../utils/logger.js';
+
+/**
+ * GET /api/v1/admin/search/synonyms
+ */
+export const listSynonyms = asyncHandler(async (req, res) => {
+  const synonyms = await searchSynonymService.listSynonyms();
+
+  res.status(200).json({
+    success: true,
+    data: synonyms,
+  });
+});
+
+/**
+ * POST /api/v1/admin/search/synonyms
+ * Body: { term: string, categories?: string[], cuisines?: string[], is_active?: boolean }
+ */
+export const createSynonym = asyncHandler(async (req, res) => {
+  const synonym = await searchSynonymService.createSynonym(req.body, {
+    adminUserId: req.user.userId,
+    ipAddress: req.ip,
+    userAgent: req.headers['user-agent'],
+  });
+
+  logger.info('Admin created search synonym', {
+    adminId: req.user.userId,
+    synonymId: synonym.id,
+    endpoint: 'POST /api/v1/admin/search/synonyms',
+  });
+
+  res.status(201).json({
+    success: true,
+    data: synonym,
+  });
+});
+
+/**
+ * PATCH /api/v1/admin/search/synonyms/:id
+ * Body: any of { term, categories, cuisines, is_active }
+ */
+export const updateSynonym = asyncHandler(async (req, res) => {
+  const synonym = await searchSynonymService.updateSynonym(req.params.id, req.body, {
+    adminUserId: req.user.userId,
+    ipAddress: req.ip,
+    userAgent: req.headers['user-agent'],
+  });
+
+  logger.info('Admin updated search synonym', {
+    adminId: req.user.userId,
+    synonymId: synonym.id,
+    endpoint: 'PATCH /api/v1/admin/search/synonyms/:id',
+  });
+
+  res.status(200).json({
+    success: true,
+    data: synonym,
+  });
+});
+
+/**
+ * DELETE /api/v1/admin/search/synonyms/:id
+ */
+export const deleteSynonym = asyncHandler(async (req, res) => {
+  const result = await searchSynonymService.deleteSynonym(req.params.id, {
+    adminUserId: req.user.userId,
+    ipAddress: req.ip,
+    userAgent: req.headers['user-agent'],
+  });
+
+  logger.info('Admin deleted search synonym', {
+    adminId: req.user.userId,
+    synonymId: result.id,
+    endpoint: 'DELETE /api/v1/admin/search/synonyms/:id',
+  });
+
+  res.status(200).json({
+    success: true,
+    data: result,
+  });
+});
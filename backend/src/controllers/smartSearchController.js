@@ -107,6 +107,9 @@ export async function smartSearch(req, res, next) {
         establishments: result.results,
         pagination: result.pagination,
         fallback: result.fallback,
+        location: result.location,
+        mode: result.mode,
+        searchEventId: result.searchEventId,
       },
     });
   } catch (error) {
@@ -1,8 +1,8 @@
 /**
  * File Upload Middleware
  *
- * Configures multer for handling file uploads (avatars, images).
- * Files are stored in backend/uploads/ with unique filenames.
+ * Configures multer for handling file uploads (avatars, images, menu files).
+ * Images are stored on disk with unique filenames; menu files stay in memory.
  */
 
 import multer from 'multer';
@@ -10,6 +10,7 @@ import path from 'path';
 import { randomUUID } from 'crypto';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
+import fsPromises from 'fs/promises';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -68,4 +69,63 @@ export const uploadAvatar = multer({
   },
 }).single('avatar');
 
+/** Most photos a review can carry (reviewService enforces the same limit). */
+export const MAX_REVIEW_PHOTOS = 5;
+
+/** Largest review photo in bytes (reviewService enforces the same limit). */
+export const MAX_REVIEW_PHOTO_BYTES = 5 * 1024 * 1024; // 5MB
+
+/**
+ * Review photo upload middleware — up to MAX_REVIEW_PHOTOS images in field
+ * "photos", max 5MB each, stored in the same temp directory as avatars until
+ * they are transferred to Cloudinary. Requests that are not multipart pass
+ * through untouched, so a text-only review can still be sent as JSON.
+ */
+export const uploadReviewPhotos = multer({
+  storage: avatarStorage,
+  fileFilter: imageFilter,
+  limits: {
+    fileSize: MAX_REVIEW_PHOTO_BYTES,
+    files: MAX_REVIEW_PHOTOS,
+  },
+}).array('photos', MAX_REVIEW_PHOTOS);
+
+/**
+ * Delete the temp files multer stored for a request (best-effort).
+ *
+ * @param {Array<{ path?: string }>} [files] - req.files
+ */
+export const removeTempFiles = (files = []) => {
+  for (const file of files) {
+    if (file.path) fsPromises.unlink(file.path).catch(() => {});
+  }
+};
+
+/** Menu file extensions accepted by the partner menu import (menuFileContract formats). */
+const MENU_FILE_EXTENSIONS = ['.csv', '.json'];
+
+/**
+ * File filter — only .csv / .json menu files. Checked by extension: browsers
+ * and spreadsheet apps report CSV under several different MIME types.
+ */
+const menuFileFilter = (req, file, cb) => {
+  if (MENU_FILE_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
+    cb(null, true);
+  } else {
+    cb(new Error('INVALID_FILE_TYPE'), false);
+  }
+};
+
+/**
+ * Menu file upload middleware — single file in field "file", max 1MB, kept
+ * in memory (req.file.buffer): it is parsed right away and never stored.
+ */
+export const uploadMenuFile = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: menuFileFilter,
+  limits: {
+    fileSize: 1024 * 1024, // 1MB
+  },
+}).single('file');
+
 export { UPLOADS_ROOT };
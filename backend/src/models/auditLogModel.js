@@ -272,9 +272,14 @@ export const getAuditLogEntries = async (filters = {}, limit = 20, offset = 0) =
         WHEN al.action = 'review_hide' AND al.entity_type = 'review' THEN 'Скрыт отзыв'
         WHEN al.action = 'review_show' AND al.entity_type = 'review' THEN 'Показан отзыв'
         WHEN al.action = 'review_delete' AND al.entity_type = 'review' THEN 'Удалён отзыв'
+        WHEN al.action = 'review_photo_hide' AND al.entity_type = 'review_photo' THEN 'Скрыто фото отзыва'
+        WHEN al.action = 'review_photo_show' AND al.entity_type = 'review_photo' THEN 'Показано фото отзыва'
         WHEN al.action = 'admin_update_coordinates' AND al.entity_type = 'establishment' THEN 'Координаты обновлены'
         WHEN al.action = 'claim_establishment' AND al.entity_type = 'establishment' THEN 'Заведение передано партнёру'
         WHEN al.action = 'upgrade_user_to_partner' AND al.entity_type = 'user' THEN 'Пользователь повышен до партнёра'
+        WHEN al.action = 'search_synonym_create' AND al.entity_type = 'search_synonym' THEN 'Добавлен синоним поиска'
+        WHEN al.action = 'search_synonym_update' AND al.entity_type = 'search_synonym' THEN 'Изменён синоним поиска'
+        WHEN al.action = 'search_synonym_delete' AND al.entity_type = 'search_synonym' THEN 'Удалён синоним поиска'
         ELSE al.action || ' (' || al.entity_type || ')'
       END as summary,
       CASE
@@ -0,0 +1,82 @@
+/**
+ * Booking Calendar Feed Model
+ *
+ * Data access for booking_calendar_feeds (see migration 037). Stores only the
+ * SHA-256 hash of each feed token — the plain token is shown to the partner once.
+ *
+ * Tables: booking_calendar_feeds
+ */
+
+import pool from '../config/database.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Get the feed for an establishment.
+ *
+ * @param {string} establishmentId
+ * @returns {object|null} { establishment_id, token_hash, created_at }
+ */
+export const getByEstablishmentId = async (establishmentId) => {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM booking_calendar_feeds WHERE establishment_id = $1',
+      [establishmentId],
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error getting booking calendar feed', {
+      error: error.message,
+      establishmentId,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Create the feed or replace its token (rotation).
+ *
+ * @param {string} establishmentId
+ * @param {string} tokenHash - hex SHA-256 of the new token
+ * @returns {object} feed row
+ */
+export const upsert = async (establishmentId, tokenHash) => {
+  const query = `
+    INSERT INTO booking_calendar_feeds (establishment_id, token_hash)
+    VALUES ($1, $2)
+    ON CONFLICT (establishment_id)
+    DO UPDATE SET token_hash = EXCLUDED.token_hash, created_at = NOW()
+    RETURNING *
+  `;
+  try {
+    const result = await pool.query(query, [establishmentId, tokenHash]);
+    return result.rows[0];
+  } catch (error) {
+    logger.error('Error upserting booking calendar feed', {
+      error: error.message,
+      establishmentId,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Disable the feed.
+ *
+ * @param {string} establishmentId
+ * @returns {boolean} true if a feed was removed
+ */
+export const remove = async (establishmentId) => {
+  try {
+    const result = await pool.query(
+      'DELETE FROM booking_calendar_feeds WHERE establishment_id = $1',
+      [establishmentId],
+    );
+    return result.rowCount > 0;
+  } catch (error) {
+    logger.error('Error deleting booking calendar feed', {
+      error: error.message,
+      establishmentId,
+    });
+    throw error;
+  }
+};
@@ -2,10 +2,14 @@
  * Booking Model
  *
  * CRUD operations for the bookings table.
- * Implements lazy expiry: every read method expires pending bookings
- * past their deadline before returning results.
  *
- * Tables: bookings
+ * Expiry ownership: the lifecycle worker (services/bookingLifecycleWorker.js)
+ * expires bookings on time and notifies both sides. Lazy expiry stays on every
+ * read as a consistency guard — a read between worker ticks never shows a
+ * stale 'pending'; the worker still picks those rows up for notification via
+ * expiry_notified_at.
+ *
+ * Tables: bookings, booking_changes (modification history)
  */
 
 import pool from '../config/database.js';
@@ -20,8 +24,10 @@ import logger from '../utils/logger.js';
  * Scoped to a single establishment or globally.
  *
  * @param {string|null} establishmentId - scope to establishment, or null for global
+ * @param {import('pg').PoolClient} [client] - Optional DB client for transaction support
  */
-const expirePendingBookings = async (establishmentId = null) => {
+const expirePendingBookings = async (establishmentId = null, client) => {
+  const queryExecutor = client || pool;
   try {
     const query = establishmentId
       ? `UPDATE bookings SET status = 'expired', updated_at = NOW()
@@ -31,7 +37,7 @@ const expirePendingBookings = async (establishmentId = null) => {
          WHERE status = 'pending' AND expires_at < NOW()`;
 
     const params = establishmentId ? [establishmentId] : [];
-    const result = await pool.query(query, params);
+    const result = await queryExecutor.query(query, params);
 
     if (result.rowCount > 0) {
       logger.info('Lazy expiry: expired pending bookings', {
@@ -72,17 +78,230 @@ const expirePendingBookingsForUser = async (userId) => {
   }
 };
 
+// ============================================================================
+// Lifecycle worker sweeps (claim-before-notify)
+// ============================================================================
+
+// booking_date + booking_time is Minsk wall-clock; NOW() is stored/compared as
+// naive UTC (see analyticsModel getModerationCounts). Converting in SQL keeps
+// the comparison independent of the server/session time zone.
+const BOOKING_START_UTC = "((b.booking_date + b.booking_time) AT TIME ZONE 'Europe/Minsk') AT TIME ZONE 'UTC'";
+const NOW_UTC = "(NOW() AT TIME ZONE 'UTC')";
+
+/**
+ * Expire every pending booking past its deadline (global sweep).
+ *
+ * @returns {number} rows expired
+ */
+export const expireDuePending = async () => {
+  try {
+    const result = await pool.query(
+      `UPDATE bookings SET status = 'expired', updated_at = NOW()
+       WHERE status = 'pending' AND expires_at < NOW()`,
+    );
+    return result.rowCount;
+  } catch (error) {
+    logger.error('Error expiring due pending bookings', { error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Claim expired bookings whose expiry has not been notified yet.
+ * Covers rows expired by the worker AND by lazy expiry on reads.
+ *
+ * @param {number} [limit=100]
+ * @returns {Array} claimed rows + establishment_name, partner_id
+ */
+export const claimExpiredForNotification = async (limit = 100) => {
+  const query = `
+    WITH due AS (
+      SELECT id FROM bookings
+      WHERE status = 'expired' AND expiry_notified_at IS NULL
+      ORDER BY expires_at
+      LIMIT $1
+      FOR UPDATE SKIP LOCKED
+    )
+    UPDATE bookings b
+    SET expiry_notified_at = NOW()
+    FROM due, establishments e
+    WHERE b.id = due.id AND e.id = b.establishment_id
+    RETURNING b.*, e.name AS establishment_name, e.partner_id
+  `;
+  try {
+    const result = await pool.query(query, [limit]);
+    return result.rows;
+  } catch (error) {
+    logger.error('Error claiming expired bookings for notification', { error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Claim confirmed bookings starting within their establishment's reminder
+ * lead time (booking_settings.reminder_hours_before, 0 = off) that have not
+ * been reminded yet. Bookings already started, and partner-entered rows
+ * (no app user to remind), are never claimed.
+ *
+ * @param {number} [limit=100]
+ * @returns {Array} claimed rows + establishment_name
+ */
+export const claimDueReminders = async (limit = 100) => {
+  const query = `
+    WITH due AS (
+      SELECT b.id FROM bookings b
+      JOIN booking_settings s ON s.establishment_id = b.establishment_id
+      WHERE b.status = 'confirmed'
+        AND b.reminder_sent_at IS NULL
+        AND b.user_id IS NOT NULL
+        AND s.reminder_hours_before > 0
+        AND ${BOOKING_START_UTC} > ${NOW_UTC}
+        AND ${BOOKING_START_UTC} <= ${NOW_UTC} + s.reminder_hours_before * INTERVAL '1 hour'
+      ORDER BY b.booking_date, b.booking_time
+      LIMIT $1
+      FOR UPDATE OF b SKIP LOCKED
+    )
+    UPDATE bookings b
+    SET reminder_sent_at = NOW()
+    FROM due, establishments e
+    WHERE b.id = due.id AND e.id = b.establishment_id
+    RETURNING b.*, e.name AS establishment_name
+  `;
+  try {
+    const result = await pool.query(query, [limit]);
+    return result.rows;
+  } catch (error) {
+    logger.error('Error claiming due booking reminders', { error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Claim confirmed bookings owed a "please reconfirm" request: establishment
+ * opted in (reconfirm_enabled), start within leadHours, and the booking was
+ * made before that window opened (a guest who booked an hour ago is not
+ * asked to reconfirm). Partner-entered rows have no app user and are skipped.
+ *
+ * @param {number} leadHours
+ * @param {number} [limit=100]
+ * @returns {Array} claimed rows + establishment_name
+ */
+export const claimDueReconfirmRequests = async (leadHours, limit = 100) => {
+  const query = `
+    WITH due AS (
+      SELECT b.id FROM bookings b
+      JOIN booking_settings s ON s.establishment_id = b.establishment_id
+      WHERE b.status = 'confirmed'
+        AND b.reconfirm_requested_at IS NULL
+        AND b.user_id IS NOT NULL
+        AND s.reconfirm_enabled = TRUE
+        AND ${BOOKING_START_UTC} > ${NOW_UTC}
+        AND ${BOOKING_START_UTC} <= ${NOW_UTC} + $1 * INTERVAL '1 hour'
+        AND b.created_at < ${BOOKING_START_UTC} - $1 * INTERVAL '1 hour'
+      ORDER BY b.booking_date, b.booking_time
+      LIMIT $2
+      FOR UPDATE OF b SKIP LOCKED
+    )
+    UPDATE bookings b
+    SET reconfirm_requested_at = NOW()
+    FROM due, establishments e
+    WHERE b.id = due.id AND e.id = b.establishment_id
+    RETURNING b.*, e.name AS establishment_name
+  `;
+  try {
+    const result = await pool.query(query, [leadHours, limit]);
+    return result.rows;
+  } catch (error) {
+    logger.error('Error claiming booking reconfirm requests', { error: error.message, leadHours });
+    throw error;
+  }
+};
+
+/**
+ * Move confirmed bookings whose seating window has ended to 'awaiting_outcome'.
+ * Walk-ins are left to completePastWalkIns.
+ * Window = start + duration_minutes (snapshot) or the establishment's current
+ * seating_duration_minutes, or 120 minutes for pre-033 settings.
+ *
+ * @param {number} [limit=100]
+ * @returns {Array} updated rows + establishment_name, partner_id
+ */
+export const markPastConfirmedAwaitingOutcome = async (limit = 100) => {
+  const query = `
+    WITH due AS (
+      SELECT b.id FROM bookings b
+      LEFT JOIN booking_settings s ON s.establishment_id = b.establishment_id
+      WHERE b.status = 'confirmed'
+        AND b.source <> 'walk_in'
+        AND ${BOOKING_START_UTC}
+            + make_interval(mins => COALESCE(b.duration_minutes, s.seating_duration_minutes, 120))
+            < ${NOW_UTC}
+      ORDER BY b.booking_date, b.booking_time
+      LIMIT $1
+      FOR UPDATE OF b SKIP LOCKED
+    )
+    UPDATE bookings b
+    SET status = 'awaiting_outcome', updated_at = NOW()
+    FROM due, establishments e
+    WHERE b.id = due.id AND e.id = b.establishment_id
+    RETURNING b.*, e.name AS establishment_name, e.partner_id
+  `;
+  try {
+    const result = await pool.query(query, [limit]);
+    return result.rows;
+  } catch (error) {
+    logger.error('Error moving past bookings to awaiting_outcome', { error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Complete walk-ins whose seating window has ended. The party was seated
+ * when it was recorded, so there is no outcome to ask the partner about.
+ *
+ * @param {number} [limit=100]
+ * @returns {number} rows completed
+ */
+export const completePastWalkIns = async (limit = 100) => {
+  const query = `
+    WITH due AS (
+      SELECT b.id FROM bookings b
+      WHERE b.status = 'confirmed'
+        AND b.source = 'walk_in'
+        AND ${BOOKING_START_UTC} + make_interval(mins => COALESCE(b.duration_minutes, 120))
+            < ${NOW_UTC}
+      LIMIT $1
+      FOR UPDATE OF b SKIP LOCKED
+    )
+    UPDATE bookings b
+    SET status = 'completed', updated_at = NOW()
+    FROM due
+    WHERE b.id = due.id
+  `;
+  try {
+    const result = await pool.query(query, [limit]);
+    return result.rowCount;
+  } catch (error) {
+    logger.error('Error completing past walk-ins', { error: error.message });
+    throw error;
+  }
+};
+
 // ============================================================================
 // Write Operations
 // ============================================================================
 
 /**
  * Create a new booking.
+ * App bookings start 'pending'; partner-entered rows (source 'partner' /
+ * 'walk_in', no userId) are created 'confirmed' with guestName instead.
  *
  * @param {object} data
+ * @param {import('pg').PoolClient} [client] - Optional DB client for transaction support
  * @returns {object} created booking row
  */
-export const create = async (data) => {
+export const create = async (data, client) => {
+  const queryExecutor = client || pool;
   const {
     establishmentId,
     userId,
@@ -92,27 +311,40 @@ export const create = async (data) => {
     comment,
     contactPhone,
     expiresAt,
+    durationMinutes,
+    status = 'pending',
+    confirmedAt,
+    source = 'app',
+    guestName,
+    createdBy,
   } = data;
 
   const query = `
     INSERT INTO bookings (
       establishment_id, user_id, booking_date, booking_time,
-      guest_count, comment, contact_phone, expires_at
+      guest_count, comment, contact_phone, expires_at, duration_minutes,
+      status, confirmed_at, source, guest_name, created_by
     )
-    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
     RETURNING *
   `;
 
   try {
-    const result = await pool.query(query, [
+    const result = await queryExecutor.query(query, [
       establishmentId,
-      userId,
+      userId || null,
       bookingDate,
       bookingTime,
       guestCount,
       comment || null,
-      contactPhone,
+      contactPhone || null,
       expiresAt,
+      durationMinutes || null,
+      status,
+      confirmedAt || null,
+      source,
+      guestName || null,
+      createdBy || null,
     ]);
     return result.rows[0];
   } catch (error) {
@@ -130,9 +362,11 @@ export const create = async (data) => {
  *
  * @param {string} bookingId
  * @param {object} updates - { status, declineReason?, confirmedAt?, cancelledAt? }
+ * @param {import('pg').PoolClient} [client] - Optional DB client for transaction support
  * @returns {object|null} updated booking row
  */
-export const updateStatus = async (bookingId, updates) => {
+export const updateStatus = async (bookingId, updates, client) => {
+  const queryExecutor = client || pool;
   const { status, declineReason, confirmedAt, cancelledAt } = updates;
 
   const setClauses = ['status = $2', 'updated_at = NOW()'];
@@ -165,7 +399,7 @@ export const updateStatus = async (bookingId, updates) => {
   `;
 
   try {
-    const result = await pool.query(query, params);
+    const result = await queryExecutor.query(query, params);
     return result.rows[0] || null;
   } catch (error) {
     logger.error('Error updating booking status', {
@@ -177,6 +411,184 @@ export const updateStatus = async (bookingId, updates) => {
   }
 };
 
+/**
+ * Record the guest's reconfirmation. Only a still-confirmed booking with an
+ * open request matches, so a double tap is a no-op.
+ *
+ * @param {string} bookingId
+ * @returns {object|null} updated row, or null if nothing to reconfirm
+ */
+export const markReconfirmed = async (bookingId) => {
+  const query = `
+    UPDATE bookings
+    SET reconfirmed_at = NOW(), updated_at = NOW()
+    WHERE id = $1
+      AND status = 'confirmed'
+      AND reconfirm_requested_at IS NOT NULL
+      AND reconfirmed_at IS NULL
+    RETURNING *
+  `;
+  try {
+    const result = await pool.query(query, [bookingId]);
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error marking booking reconfirmed', {
+      error: error.message,
+      bookingId,
+    });
+    throw error;
+  }
+};
+
+// applyModification's statements, on the caller's transaction
+const writeModification = async (client, bookingId, change) => {
+  const {
+    expectedStatus,
+    changedBy,
+    bookingDate,
+    bookingTime,
+    guestCount,
+    durationMinutes,
+    status,
+    expiresAt,
+    rescheduled,
+  } = change;
+
+  try {
+    const previous = await client.query(
+      `SELECT booking_date, booking_time, guest_count, status
+       FROM bookings
+       WHERE id = $1 AND status = $2
+         AND (status <> 'pending' OR expires_at > NOW())
+       FOR UPDATE`,
+      [bookingId, expectedStatus],
+    );
+    if (previous.rows.length === 0) {
+      return null;
+    }
+
+    const result = await client.query(
+      `UPDATE bookings
+       SET booking_date = $2,
+           booking_time = $3,
+           guest_count = $4,
+           duration_minutes = $5,
+           status = $6,
+           expires_at = $7,
+           confirmed_at = CASE WHEN $6 = 'confirmed' THEN confirmed_at END,
+           reminder_sent_at = CASE WHEN $8 THEN NULL ELSE reminder_sent_at END,
+           reconfirm_requested_at = CASE WHEN $8 THEN NULL ELSE reconfirm_requested_at END,
+           reconfirmed_at = CASE WHEN $8 THEN NULL ELSE reconfirmed_at END,
+           updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [bookingId, bookingDate, bookingTime, guestCount, durationMinutes, status, expiresAt, rescheduled],
+    );
+
+    const before = previous.rows[0];
+    await client.query(
+      `INSERT INTO booking_changes (
+         booking_id, changed_by,
+         previous_date, previous_time, previous_guest_count, previous_status,
+         new_date, new_time, new_guest_count, new_status
+       )
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+      [
+        bookingId,
+        changedBy,
+        before.booking_date,
+        before.booking_time,
+        before.guest_count,
+        before.status,
+        bookingDate,
+        bookingTime,
+        guestCount,
+        status,
+      ],
+    );
+
+    return result.rows[0];
+  } catch (error) {
+    logger.error('Error applying booking modification', {
+      error: error.message,
+      bookingId,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Apply a guest's change of date / time / guest count and record it in
+ * booking_changes, in one transaction.
+ *
+ * The update only matches while the booking is still in expectedStatus (and,
+ * for pending, not yet past its deadline), so a partner decision or the expiry
+ * sweep landing in between wins and nothing is written. A new date or time
+ * clears the reminder / reconfirmation stamps so they are sent again for the
+ * new slot.
+ *
+ * @param {string} bookingId
+ * @param {object} change - { expectedStatus, changedBy, bookingDate, bookingTime,
+ *   guestCount, durationMinutes, status, expiresAt, rescheduled }
+ * @param {import('pg').PoolClient} [client] - Caller's transaction; without one
+ *   the change runs in its own
+ * @returns {object|null} updated booking row, or null if the booking moved on
+ */
+export const applyModification = async (bookingId, change, client) => {
+  if (client) {
+    return writeModification(client, bookingId, change);
+  }
+
+  const ownClient = await pool.connect();
+  try {
+    await ownClient.query('BEGIN');
+    const updated = await writeModification(ownClient, bookingId, change);
+    await ownClient.query(updated ? 'COMMIT' : 'ROLLBACK');
+    return updated;
+  } catch (error) {
+    await ownClient.query('ROLLBACK');
+    throw error;
+  } finally {
+    ownClient.release();
+  }
+};
+
+/**
+ * Run a capacity check and the write it guards in one transaction, serialized
+ * per establishment and booking date with transaction-scoped advisory locks,
+ * so two requests cannot both see the last free table and both take it.
+ *
+ * Capacity windows span midnight (getForCapacityWindow reads the day before
+ * and after), so the lock is taken for the booking date and the next day, in
+ * that order: any two bookings whose windows overlap share a locked day, and
+ * the fixed order keeps lockers from deadlocking.
+ *
+ * @param {string} establishmentId
+ * @param {string|Date} bookingDate - "YYYY-MM-DD" or a pg DATE value
+ * @param {Function} callback - async (client) => result
+ * @returns {Promise<any>} Result of callback
+ */
+export const withSlotLock = async (establishmentId, bookingDate, callback) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    for (const dayOffset of [0, 1]) {
+      await client.query(
+        'SELECT pg_advisory_xact_lock(hashtext($1::text), ($2::date - make_date(2000, 1, 1)) + $3)',
+        [establishmentId, bookingDate, dayOffset],
+      );
+    }
+    const result = await callback(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
 // ============================================================================
 // Read Operations (with lazy expiry)
 // ============================================================================
@@ -189,10 +601,12 @@ export const updateStatus = async (bookingId, updates) => {
  */
 export const getById = async (bookingId) => {
   const query = `
-    SELECT b.*, e.name AS establishment_name, u.name AS user_name, u.phone AS user_phone
+    SELECT b.*, e.name AS establishment_name, e.address AS establishment_address,
+           e.city AS establishment_city, COALESCE(u.name, b.guest_name) AS user_name,
+           u.phone AS user_phone
     FROM bookings b
     JOIN establishments e ON b.establishment_id = e.id
-    JOIN users u ON b.user_id = u.id
+    LEFT JOIN users u ON b.user_id = u.id
     WHERE b.id = $1
   `;
   try {
@@ -209,6 +623,7 @@ export const getById = async (bookingId) => {
 
 /**
  * Get bookings for an establishment (partner view), with optional status filter.
+ * Partner-entered rows have no user; user_name falls back to guest_name.
  * Applies lazy expiry before reading.
  *
  * @param {string} establishmentId
@@ -237,9 +652,9 @@ export const getByEstablishmentId = async (establishmentId, options = {}) => {
   `;
 
   const dataQuery = `
-    SELECT b.*, u.name AS user_name, u.phone AS user_phone
+    SELECT b.*, COALESCE(u.name, b.guest_name) AS user_name, u.phone AS user_phone
     FROM bookings b
-    JOIN users u ON b.user_id = u.id
+    LEFT JOIN users u ON b.user_id = u.id
     ${whereClause}
     ORDER BY b.created_at DESC
     LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
@@ -325,6 +740,45 @@ export const getActiveCountForUser = async (userId) => {
   }
 };
 
+/**
+ * Establishments the user actually visited: completed bookings grouped by
+ * establishment, most recent first. Used by for_you personalization.
+ *
+ * @param {string} userId
+ * @param {number} limit - Max establishments
+ * @returns {Promise<Array<{ establishment_id: string, name: string, categories: string[],
+ *   cuisines: string[], price_range: string|null, visit_count: number }>>}
+ */
+export const getCompletedVisitsByUser = async (userId, limit = 100) => {
+  const query = `
+    SELECT
+      e.id AS establishment_id,
+      e.name,
+      e.categories,
+      e.cuisines,
+      e.price_range,
+      COUNT(*)::int AS visit_count,
+      MAX(b.booking_date) AS last_visit_date
+    FROM bookings b
+    JOIN establishments e ON b.establishment_id = e.id
+    WHERE b.user_id = $1 AND b.status = 'completed'
+    GROUP BY e.id
+    ORDER BY last_visit_date DESC, e.id
+    LIMIT $2
+  `;
+
+  try {
+    const result = await pool.query(query, [userId, limit]);
+    return result.rows;
+  } catch (error) {
+    logger.error('Error getting completed visits for user', {
+      error: error.message,
+      userId,
+    });
+    throw error;
+  }
+};
+
 /**
  * Check if user has an active booking at a specific establishment.
  * Used for the 1-per-establishment limit.
@@ -356,3 +810,129 @@ export const getActiveForEstablishmentAndUser = async (userId, establishmentId)
     throw error;
   }
 };
+
+/**
+ * Get bookings that may hold seats around a date (capacity check).
+ * Covers the day before and after so overnight windows are seen from both sides.
+ * Applies lazy expiry before reading.
+ *
+ * @param {string} establishmentId
+ * @param {string} bookingDate - "YYYY-MM-DD"
+ * @param {object} [options] - { statuses?, excludeBookingId?, client? (transaction) }
+ * @returns {Array} rows { id, booking_time, guest_count, duration_minutes, day_offset }
+ *   day_offset is booking_date minus bookingDate in days (-1, 0 or 1)
+ */
+export const getForCapacityWindow = async (establishmentId, bookingDate, options = {}) => {
+  const { statuses = ['pending', 'confirmed'], excludeBookingId = null, client } = options;
+  const queryExecutor = client || pool;
+
+  await expirePendingBookings(establishmentId, client);
+
+  const query = `
+    SELECT id, booking_time, guest_count, duration_minutes,
+           (booking_date - $2::date) AS day_offset
+    FROM bookings
+    WHERE establishment_id = $1
+      AND booking_date BETWEEN $2::date - 1 AND $2::date + 1
+      AND status = ANY($3)
+      AND ($4::uuid IS NULL OR id <> $4::uuid)
+  `;
+
+  try {
+    const result = await queryExecutor.query(query, [establishmentId, bookingDate, statuses, excludeBookingId]);
+    return result.rows;
+  } catch (error) {
+    logger.error('Error getting bookings for capacity window', {
+      error: error.message,
+      establishmentId,
+      bookingDate,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Bookings for an establishment's iCal feed, from a date onward.
+ * All statuses are returned — cancelled/declined rows must stay in the feed
+ * so subscribed calendars strike the event instead of keeping a stale copy.
+ * Applies lazy expiry before reading.
+ *
+ * @param {string} establishmentId
+ * @param {object} [options] - { fromDate ("YYYY-MM-DD", Minsk), limit? }
+ * @returns {Array} booking rows with user_name, user_phone
+ */
+export const getForCalendarFeed = async (establishmentId, options = {}) => {
+  await expirePendingBookings(establishmentId);
+
+  const { fromDate, limit = 1000 } = options;
+
+  const query = `
+    SELECT b.*, COALESCE(u.name, b.guest_name) AS user_name, u.phone AS user_phone
+    FROM bookings b
+    LEFT JOIN users u ON b.user_id = u.id
+    WHERE b.establishment_id = $1
+      AND b.booking_date >= $2::date
+    ORDER BY b.booking_date, b.booking_time
+    LIMIT $3
+  `;
+
+  try {
+    const result = await pool.query(query, [establishmentId, fromDate, limit]);
+    return result.rows;
+  } catch (error) {
+    logger.error('Error getting bookings for calendar feed', {
+      error: error.message,
+      establishmentId,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Change history of a booking, oldest first.
+ *
+ * @param {string} bookingId
+ * @returns {Array} booking_changes rows
+ */
+export const getChanges = async (bookingId) => {
+  const query = `
+    SELECT id, previous_date, previous_time, previous_guest_count, previous_status,
+           new_date, new_time, new_guest_count, new_status, created_at
+    FROM booking_changes
+    WHERE booking_id = $1
+    ORDER BY created_at
+  `;
+
+  try {
+    const result = await pool.query(query, [bookingId]);
+    return result.rows;
+  } catch (error) {
+    logger.error('Error getting booking changes', {
+      error: error.message,
+      bookingId,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Count changes already applied to a booking (per-booking change limit).
+ *
+ * @param {string} bookingId
+ * @returns {number}
+ */
+export const countChanges = async (bookingId) => {
+  try {
+    const result = await pool.query(
+      'SELECT COUNT(*)::int AS count FROM booking_changes WHERE booking_id = $1',
+      [bookingId],
+    );
+    return result.rows[0].count;
+  } catch (error) {
+    logger.error('Error counting booking changes', {
+      error: error.message,
+      bookingId,
+    });
+    throw error;
+  }
+};
@@ -38,7 +38,8 @@ export const getByEstablishmentId = async (establishmentId, client) => {
 /**
  * Create or update booking settings (UPSERT).
  *
- * @param {object} data - { establishmentId, maxGuestsPerBooking, confirmationTimeoutHours, maxDaysAhead, minHoursBefore }
+ * @param {object} data - { establishmentId, maxGuestsPerBooking, confirmationTimeoutHours, maxDaysAhead, minHoursBefore,
+ *   seatingDurationMinutes, reminderHoursBefore, reconfirmEnabled }
  * @param {object} [client] - optional DB client for transactions
  * @returns {object} upserted row
  */
@@ -51,14 +52,18 @@ export const createOrUpdate = async (data, client) => {
     confirmationTimeoutHours = 4,
     maxDaysAhead = 7,
     minHoursBefore = 2,
+    seatingDurationMinutes = 120,
+    reminderHoursBefore = 3,
+    reconfirmEnabled = false,
   } = data;
 
   const query = `
     INSERT INTO booking_settings (
       establishment_id, is_enabled, max_guests_per_booking,
-      confirmation_timeout_hours, max_days_ahead, min_hours_before
+      confirmation_timeout_hours, max_days_ahead, min_hours_before,
+      seating_duration_minutes, reminder_hours_before, reconfirm_enabled
     )
-    VALUES ($1, $2, $3, $4, $5, $6)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
     ON CONFLICT (establishment_id)
     DO UPDATE SET
       is_enabled = $2,
@@ -66,6 +71,9 @@ export const createOrUpdate = async (data, client) => {
       confirmation_timeout_hours = $4,
       max_days_ahead = $5,
       min_hours_before = $6,
+      seating_duration_minutes = $7,
+      reminder_hours_before = $8,
+      reconfirm_enabled = $9,
       updated_at = NOW()
     RETURNING *
   `;
@@ -78,6 +86,9 @@ export const createOrUpdate = async (data, client) => {
       confirmationTimeoutHours,
       maxDaysAhead,
       minHoursBefore,
+      seatingDurationMinutes,
+      reminderHoursBefore,
+      reconfirmEnabled,
     ]);
     return result.rows[0];
   } catch (error) {
@@ -0,0 +1,156 @@
+/**
+ * Booking Table Model
+ *
+ * CRUD operations for the booking_tables table (partner seating inventory).
+ * Rows are scoped to an establishment; every write is keyed by
+ * (id, establishment_id) so a table id from another establishment never matches.
+ *
+ * Tables: booking_tables
+ */
+
+import pool from '../config/database.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Get tables for an establishment.
+ *
+ * @param {string} establishmentId - UUID
+ * @param {object} [options] - { activeOnly?, client? (transaction) }
+ * @returns {Array} table rows ordered by zone, label
+ */
+export const getByEstablishmentId = async (establishmentId, options = {}) => {
+  const { activeOnly = false, client } = options;
+  const queryExecutor = client || pool;
+  const query = `
+    SELECT * FROM booking_tables
+    WHERE establishment_id = $1
+    ${activeOnly ? 'AND is_active = TRUE' : ''}
+    ORDER BY zone NULLS FIRST, label
+  `;
+  try {
+    const result = await queryExecutor.query(query, [establishmentId]);
+    return result.rows;
+  } catch (error) {
+    logger.error('Error getting booking tables', {
+      error: error.message,
+      establishmentId,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Create a table.
+ *
+ * @param {object} data - { establishmentId, label, zone, seats, isCombinable, isActive }
+ * @returns {object} created row
+ */
+export const create = async (data) => {
+  const {
+    establishmentId,
+    label,
+    zone,
+    seats,
+    isCombinable = false,
+    isActive = true,
+  } = data;
+
+  const query = `
+    INSERT INTO booking_tables (
+      establishment_id, label, zone, seats, is_combinable, is_active
+    )
+    VALUES ($1, $2, $3, $4, $5, $6)
+    RETURNING *
+  `;
+
+  try {
+    const result = await pool.query(query, [
+      establishmentId,
+      label,
+      zone || null,
+      seats,
+      isCombinable,
+      isActive,
+    ]);
+    return result.rows[0];
+  } catch (error) {
+    logger.error('Error creating booking table', {
+      error: error.message,
+      establishmentId,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Update a table (partial).
+ *
+ * @param {string} tableId
+ * @param {string} establishmentId
+ * @param {object} updates - { label?, zone?, seats?, isCombinable?, isActive? }
+ * @returns {object|null} updated row, or null if not found for this establishment
+ */
+export const update = async (tableId, establishmentId, updates) => {
+  const columnMap = {
+    label: 'label',
+    zone: 'zone',
+    seats: 'seats',
+    isCombinable: 'is_combinable',
+    isActive: 'is_active',
+  };
+
+  const setClauses = ['updated_at = NOW()'];
+  const params = [tableId, establishmentId];
+  let paramIndex = 3;
+
+  for (const [key, column] of Object.entries(columnMap)) {
+    if (updates[key] !== undefined) {
+      setClauses.push(`${column} = $${paramIndex}`);
+      params.push(updates[key]);
+      paramIndex++;
+    }
+  }
+
+  const query = `
+    UPDATE booking_tables
+    SET ${setClauses.join(', ')}
+    WHERE id = $1 AND establishment_id = $2
+    RETURNING *
+  `;
+
+  try {
+    const result = await pool.query(query, params);
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error updating booking table', {
+      error: error.message,
+      tableId,
+      establishmentId,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Delete a table.
+ *
+ * @param {string} tableId
+ * @param {string} establishmentId
+ * @returns {boolean} true if a row was deleted
+ */
+export const remove = async (tableId, establishmentId) => {
+  try {
+    const result = await pool.query(
+      'DELETE FROM booking_tables WHERE id = $1 AND establishment_id = $2',
+      [tableId, establishmentId],
+    );
+    return result.rowCount > 0;
+  } catch (error) {
+    logger.error('Error deleting booking table', {
+      error: error.message,
+      tableId,
+      establishmentId,
+    });
+    throw error;
+  }
+};
@@ -0,0 +1,368 @@
+/**
+ * Booking Waitlist Model
+ *
+ * Data access for booking_waitlist (see migration 036 for the status machine).
+ * Offer/expiry transitions are single claim-style UPDATEs
+ * (FOR UPDATE SKIP LOCKED), so concurrent cancels or worker instances never
+ * hand the same freed slot to two guests.
+ *
+ * Tables: booking_waitlist
+ */
+
+import pool from '../config/database.js';
+import logger from '../utils/logger.js';
+
+const OPEN_STATUSES = ['waiting', 'offered'];
+
+// ============================================================================
+// Write Operations
+// ============================================================================
+
+/**
+ * Add a guest to the waitlist.
+ *
+ * @param {object} data - { establishmentId, userId, bookingDate, timeFrom, timeTo, guestCount, contactPhone }
+ * @returns {object} created row
+ */
+export const create = async (data) => {
+  const {
+    establishmentId,
+    userId,
+    bookingDate,
+    timeFrom,
+    timeTo,
+    guestCount,
+    contactPhone,
+  } = data;
+
+  const query = `
+    INSERT INTO booking_waitlist (
+      establishment_id, user_id, booking_date, time_from, time_to,
+      guest_count, contact_phone
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING *
+  `;
+
+  try {
+    const result = await pool.query(query, [
+      establishmentId,
+      userId,
+      bookingDate,
+      timeFrom,
+      timeTo,
+      guestCount,
+      contactPhone,
+    ]);
+    return result.rows[0];
+  } catch (error) {
+    logger.error('Error creating waitlist entry', {
+      error: error.message,
+      establishmentId,
+      userId,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Leave the waitlist. Only open entries (waiting / offered) can be cancelled.
+ *
+ * @param {string} entryId
+ * @returns {object|null} updated row, or null if the entry is no longer open
+ */
+export const cancel = async (entryId) => {
+  const query = `
+    UPDATE booking_waitlist
+    SET status = 'cancelled', updated_at = NOW()
+    WHERE id = $1 AND status = ANY($2)
+    RETURNING *
+  `;
+  try {
+    const result = await pool.query(query, [entryId, OPEN_STATUSES]);
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error cancelling waitlist entry', {
+      error: error.message,
+      entryId,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Offer a freed slot to the oldest waiting entry whose window covers the
+ * slot time and whose party fits into the freed seats. The offer holds the
+ * party's seats (offered_seats = guest_count), not everything that was freed.
+ *
+ * @param {object} params
+ * @param {string} params.establishmentId
+ * @param {string} params.bookingDate - "YYYY-MM-DD"
+ * @param {string} params.bookingTime - freed slot time
+ * @param {number} params.seats - seats the freed booking held
+ * @param {number} params.claimMinutes - how long the offer holds the slot
+ * @returns {object|null} offered row + establishment_name, or null if nobody matches
+ */
+export const offerNext = async ({ establishmentId, bookingDate, bookingTime, seats, claimMinutes }) => {
+  const query = `
+    WITH next AS (
+      SELECT id FROM booking_waitlist
+      WHERE establishment_id = $1
+        AND booking_date = $2
+        AND status = 'waiting'
+        AND time_from <= $3::time
+        AND time_to >= $3::time
+        AND guest_count <= $4
+      ORDER BY created_at
+      LIMIT 1
+      FOR UPDATE SKIP LOCKED
+    )
+    UPDATE booking_waitlist w
+    SET status = 'offered',
+        offered_time = $3::time,
+        offered_seats = w.guest_count,
+        offered_at = NOW(),
+        offer_expires_at = NOW() + $5 * INTERVAL '1 minute',
+        updated_at = NOW()
+    FROM next, establishments e
+    WHERE w.id = next.id AND e.id = w.establishment_id
+    RETURNING w.*, e.name AS establishment_name
+  `;
+  try {
+    const result = await pool.query(query, [
+      establishmentId,
+      bookingDate,
+      bookingTime,
+      seats,
+      claimMinutes,
+    ]);
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error offering waitlist slot', {
+      error: error.message,
+      establishmentId,
+      bookingDate,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Mark an offered entry as claimed by the booking created from it.
+ *
+ * @param {string} entryId
+ * @param {string} bookingId
+ * @returns {object|null} updated row
+ */
+export const markClaimed = async (entryId, bookingId) => {
+  const query = `
+    UPDATE booking_waitlist
+    SET status = 'claimed', claimed_booking_id = $2, updated_at = NOW()
+    WHERE id = $1 AND status = 'offered'
+    RETURNING *
+  `;
+  try {
+    const result = await pool.query(query, [entryId, bookingId]);
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error marking waitlist entry claimed', {
+      error: error.message,
+      entryId,
+      bookingId,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Expire offers whose claim window has passed (worker sweep).
+ * Returned rows carry the slot so it can be offered to the next entry.
+ *
+ * @param {number} [limit=100]
+ * @returns {Array} expired rows
+ */
+export const expireDueOffers = async (limit = 100) => {
+  const query = `
+    WITH due AS (
+      SELECT id FROM booking_waitlist
+      WHERE status = 'offered' AND offer_expires_at < NOW()
+      ORDER BY offer_expires_at
+      LIMIT $1
+      FOR UPDATE SKIP LOCKED
+    )
+    UPDATE booking_waitlist w
+    SET status = 'expired', updated_at = NOW()
+    FROM due
+    WHERE w.id = due.id
+    RETURNING w.*
+  `;
+  try {
+    const result = await pool.query(query, [limit]);
+    return result.rows;
+  } catch (error) {
+    logger.error('Error expiring waitlist offers', { error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Expire waiting entries whose date has passed (Minsk calendar day).
+ *
+ * @returns {number} rows expired
+ */
+export const expireStaleWaiting = async () => {
+  try {
+    const result = await pool.query(
+      `UPDATE booking_waitlist SET status = 'expired', updated_at = NOW()
+       WHERE status = 'waiting'
+         AND booking_date < (NOW() AT TIME ZONE 'Europe/Minsk')::date`,
+    );
+    return result.rowCount;
+  } catch (error) {
+    logger.error('Error expiring stale waitlist entries', { error: error.message });
+    throw error;
+  }
+};
+
+// ============================================================================
+// Read Operations
+// ============================================================================
+
+/**
+ * Get waitlist entry by ID.
+ *
+ * @param {string} entryId
+ * @returns {object|null} row + establishment_name
+ */
+export const getById = async (entryId) => {
+  const query = `
+    SELECT w.*, e.name AS establishment_name
+    FROM booking_waitlist w
+    JOIN establishments e ON w.establishment_id = e.id
+    WHERE w.id = $1
+  `;
+  try {
+    const result = await pool.query(query, [entryId]);
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error getting waitlist entry by id', {
+      error: error.message,
+      entryId,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Get a user's waitlist entries, newest first.
+ *
+ * @param {string} userId
+ * @returns {Array}
+ */
+export const getByUserId = async (userId) => {
+  const query = `
+    SELECT w.*, e.name AS establishment_name, e.address AS establishment_address
+    FROM booking_waitlist w
+    JOIN establishments e ON w.establishment_id = e.id
+    WHERE w.user_id = $1
+    ORDER BY w.created_at DESC
+    LIMIT 50
+  `;
+  try {
+    const result = await pool.query(query, [userId]);
+    return result.rows;
+  } catch (error) {
+    logger.error('Error getting waitlist entries by user', {
+      error: error.message,
+      userId,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Count a user's open (waiting / offered) entries.
+ *
+ * @param {string} userId
+ * @returns {number}
+ */
+export const countOpenForUser = async (userId) => {
+  const query = `
+    SELECT COUNT(*)::int AS count
+    FROM booking_waitlist
+    WHERE user_id = $1 AND status = ANY($2)
+  `;
+  try {
+    const result = await pool.query(query, [userId, OPEN_STATUSES]);
+    return result.rows[0].count;
+  } catch (error) {
+    logger.error('Error counting open waitlist entries', {
+      error: error.message,
+      userId,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Get the user's open entry for an establishment and date, if any.
+ *
+ * @param {string} userId
+ * @param {string} establishmentId
+ * @param {string} bookingDate
+ * @returns {object|null}
+ */
+export const getOpenForUser = async (userId, establishmentId, bookingDate) => {
+  const query = `
+    SELECT * FROM booking_waitlist
+    WHERE user_id = $1 AND establishment_id = $2 AND booking_date = $3
+      AND status = ANY($4)
+    LIMIT 1
+  `;
+  try {
+    const result = await pool.query(query, [userId, establishmentId, bookingDate, OPEN_STATUSES]);
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error getting open waitlist entry for user', {
+      error: error.message,
+      userId,
+      establishmentId,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Live offers around a date — each holds its freed seats until claimed or
+ * expired. Same shape as bookingModel.getForCapacityWindow (day_offset).
+ *
+ * @param {string} establishmentId
+ * @param {string} bookingDate - "YYYY-MM-DD"
+ * @param {string|null} [excludeEntryId] - the offer being claimed
+ * @param {import('pg').PoolClient} [client] - Optional DB client for transaction support
+ * @returns {Array<{ id, offered_time, offered_seats, day_offset }>}
+ */
+export const getActiveOffers = async (establishmentId, bookingDate, excludeEntryId = null, client) => {
+  const queryExecutor = client || pool;
+  const query = `
+    SELECT id, offered_time, offered_seats,
+           (booking_date - $2::date) AS day_offset
+    FROM booking_waitlist
+    WHERE establishment_id = $1
+      AND booking_date BETWEEN $2::date - 1 AND $2::date + 1
+      AND status = 'offered'
+      AND offer_expires_at > NOW()
+      AND ($3::uuid IS NULL OR id <> $3::uuid)
+  `;
+  try {
+    const result = await queryExecutor.query(query, [establishmentId, bookingDate, excludeEntryId]);
+    return result.rows;
+  } catch (error) {
+    logger.error('Error getting active waitlist offers', {
+      error: error.message,
+      establishmentId,
+      bookingDate,
+    });
+    throw error;
+  }
+};
@@ -0,0 +1,176 @@
+/**
+ * Menu Draft Model
+ *
+ * Staged OCR results awaiting partner review. A finished OCR job writes its
+ * items here instead of menu_items; nothing is public until the partner
+ * publishes the draft (menuItemModel.replaceForMedia with draftId, which
+ * deletes the draft in the same transaction) or discards it.
+ *
+ * Tables: menu_drafts (one per media — a newer OCR run replaces the older
+ * draft) and menu_draft_items (CASCADE from the draft).
+ */
+
+import pool from '../config/database.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Build multi-row INSERT VALUES clause + params for draft items.
+ *
+ * @param {Object[]} items - Items with sanity_flag applied
+ * @param {string} draftId - UUID
+ * @returns {{ valuesClause: string, params: Array }}
+ */
+const buildDraftItemsFragment = (items, draftId) => {
+  const params = [];
+  const valueRows = [];
+
+  items.forEach((item, idx) => {
+    const base = params.length + 1;
+    params.push(
+      draftId,
+      item.item_name,
+      item.price_byn ?? null,
+      item.category_raw ?? null,
+      item.confidence ?? null,
+      item.sanity_flag ? JSON.stringify(item.sanity_flag) : null,
+      item.position ?? idx,
+      item.description ?? null,
+      item.portion_size ?? null,
+      item.portion_unit ?? null,
+    );
+    valueRows.push(
+      `($${base}, $${base + 1}, $${base + 2}, $${base + 3}, ` +
+      `$${base + 4}, $${base + 5}::jsonb, $${base + 6}, $${base + 7}, $${base + 8}, $${base + 9})`,
+    );
+  });
+
+  return { valuesClause: valueRows.join(',\n  '), params };
+};
+
+/**
+ * Stage OCR items for a media, replacing any earlier draft of that media.
+ * Single transaction — the partner never sees a half-written draft.
+ *
+ * @param {Object} params
+ * @param {string} params.establishmentId - UUID
+ * @param {string} params.mediaId - UUID
+ * @param {string|null} params.ocrJobId - UUID of the job that produced the items
+ * @param {Object[]} params.items - Items with sanity_flag applied (may be empty)
+ * @returns {Promise<{ draft: Object, items: Object[] }>}
+ */
+export const replaceDraftForMedia = async ({ establishmentId, mediaId, ocrJobId, items }) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    await client.query('DELETE FROM menu_drafts WHERE media_id = $1', [mediaId]);
+
+    const draftResult = await client.query(
+      `INSERT INTO menu_drafts (establishment_id, media_id, ocr_job_id)
+       VALUES ($1, $2, $3)
+       RETURNING *`,
+      [establishmentId, mediaId, ocrJobId ?? null],
+    );
+    const draft = draftResult.rows[0];
+
+    let insertedItems = [];
+    if (items && items.length > 0) {
+      const { valuesClause, params } = buildDraftItemsFragment(items, draft.id);
+      const itemsResult = await client.query(
+        `INSERT INTO menu_draft_items (
+           draft_id, item_name, price_byn, category_raw, confidence, sanity_flag, position,
+           description, portion_size, portion_unit
+         )
+         VALUES ${valuesClause}
+         RETURNING *`,
+        params,
+      );
+      insertedItems = itemsResult.rows;
+    }
+
+    await client.query('COMMIT');
+
+    logger.info('Menu draft staged for media', {
+      draftId: draft.id,
+      mediaId,
+      establishmentId,
+      itemCount: insertedItems.length,
+    });
+
+    return { draft, items: insertedItems };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Failed to stage menu draft for media', {
+      mediaId,
+      error: error.message,
+    });
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Attach items (ordered by position) to draft rows.
+ *
+ * @param {Object[]} drafts - menu_drafts rows
+ * @returns {Promise<Object[]>} Drafts with an `items` array each
+ */
+const withItems = async (drafts) => {
+  if (drafts.length === 0) return [];
+
+  const result = await pool.query(
+    `SELECT * FROM menu_draft_items
+     WHERE draft_id = ANY($1::uuid[])
+     ORDER BY position ASC, item_name ASC`,
+    [drafts.map((draft) => draft.id)],
+  );
+
+  return drafts.map((draft) => ({
+    ...draft,
+    items: result.rows.filter((item) => item.draft_id === draft.id),
+  }));
+};
+
+/**
+ * All pending drafts of an establishment, newest first, with their items.
+ *
+ * @param {string} establishmentId - UUID
+ * @returns {Promise<Object[]>}
+ */
+export const getByEstablishmentId = async (establishmentId) => {
+  const result = await pool.query(
+    `SELECT d.*, m.file_type AS media_file_type, m.type AS media_type, m.url AS media_url
+     FROM menu_drafts d
+     JOIN establishment_media m ON m.id = d.media_id
+     WHERE d.establishment_id = $1
+     ORDER BY d.created_at DESC`,
+    [establishmentId],
+  );
+  return withItems(result.rows);
+};
+
+/**
+ * Find a draft by ID, with its items.
+ *
+ * @param {string} id - UUID
+ * @returns {Promise<Object|null>}
+ */
+export const findById = async (id) => {
+  const result = await pool.query('SELECT * FROM menu_drafts WHERE id = $1', [id]);
+  if (result.rows.length === 0) return null;
+  const [draft] = await withItems(result.rows);
+  return draft;
+};
+
+/**
+ * Discard a draft (items CASCADE). Live menu_items are untouched.
+ *
+ * @param {string} id - UUID
+ * @returns {Promise<boolean>} True if a draft was deleted
+ */
+export const deleteById = async (id) => {
+  const result = await pool.query('DELETE FROM menu_drafts WHERE id = $1', [id]);
+  return result.rowCount > 0;
+};
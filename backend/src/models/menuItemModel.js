@@ -8,30 +8,59 @@
  * Key design: establishment_id is denormalized from establishment_media for
  * direct JOIN in Smart Search without traversing the media table.
  *
- * Ownership: items belong to a specific media_id. Replacing the OCR result
- * for a media (re-run) happens via replaceForMedia in a single transaction
- * so search results never observe a partial state.
+ * Ownership: OCR items (source='ocr') belong to a specific media_id.
+ * Publishing a reviewed OCR draft for a media (menuDraftModel) happens via
+ * replaceForMedia in a single transaction so search results never observe a
+ * partial state. Manually authored items (source='manual', media_id NULL,
+ * optional section_id → menu_sections) are never touched by replaceForMedia.
+ *
+ * Price history: the transactional writers (replaceForMedia,
+ * replaceManualMenu) record new prices in menu_price_history in the same
+ * transaction; single-item writes are recorded by partnerMenuItemService.
  */
 
 import pool from '../config/database.js';
 import logger from '../utils/logger.js';
+import * as MenuPriceHistoryModel from './menuPriceHistoryModel.js';
 
 /**
- * Fields writable via createMany / replaceForMedia.
+ * Item columns written by createMany / replaceForMedia, in INSERT order
+ * (after establishment_id, media_id). `cast` is appended to the placeholder.
  */
-const WRITABLE_FIELDS = [
-  'item_name',
-  'price_byn',
-  'category_raw',
-  'confidence',
-  'sanity_flag',
-  'position',
+const INSERT_COLUMNS = [
+  { name: 'item_name', value: (item) => item.item_name },
+  { name: 'price_byn', value: (item) => item.price_byn ?? null },
+  { name: 'category_raw', value: (item) => item.category_raw ?? null },
+  { name: 'confidence', value: (item) => item.confidence ?? null },
+  {
+    name: 'sanity_flag',
+    value: (item) => (item.sanity_flag ? JSON.stringify(item.sanity_flag) : null),
+    cast: '::jsonb',
+  },
+  { name: 'position', value: (item, idx) => item.position ?? idx },
+  { name: 'description', value: (item) => item.description ?? null },
+  { name: 'portion_size', value: (item) => item.portion_size ?? null },
+  { name: 'portion_unit', value: (item) => item.portion_unit ?? null },
+  { name: 'dietary_tags', value: (item) => item.dietary_tags ?? [], cast: '::text[]' },
+  { name: 'photo_media_id', value: (item) => item.photo_media_id ?? null },
+  { name: 'is_available', value: (item) => item.is_available ?? true },
 ];
 
+/**
+ * Fields writable via createMany / replaceForMedia.
+ */
+const WRITABLE_FIELDS = INSERT_COLUMNS.map((column) => column.name);
+
+const INSERT_COLUMN_LIST = [
+  'establishment_id',
+  'media_id',
+  ...WRITABLE_FIELDS,
+].join(', ');
+
 /**
  * Build multi-row INSERT VALUES clause + params array.
  *
- * @param {Object[]} items - Items with fields from WRITABLE_FIELDS
+ * @param {Object[]} items - Items with fields from INSERT_COLUMNS
  * @param {string} establishmentId - UUID
  * @param {string} mediaId - UUID
  * @returns {{ valuesClause: string, params: Array }} SQL fragment and params
@@ -41,24 +70,19 @@ const buildBulkInsertFragment = (items, establishmentId, mediaId) => {
   const valueRows = [];
 
   items.forEach((item, idx) => {
-    const rowParams = [
-      establishmentId,
-      mediaId,
-      item.item_name,
-      item.price_byn ?? null,
-      item.category_raw ?? null,
-      item.confidence ?? null,
-      item.sanity_flag ? JSON.stringify(item.sanity_flag) : null,
-      item.position ?? idx,
-    ];
+    const placeholders = [];
+    const push = (value, cast = '') => {
+      params.push(value);
+      placeholders.push(`$${params.length}${cast}`);
+    };
 
-    const base = params.length + 1;
-    params.push(...rowParams);
+    push(establishmentId);
+    push(mediaId);
+    for (const column of INSERT_COLUMNS) {
+      push(column.value(item, idx), column.cast);
+    }
 
-    valueRows.push(
-      `($${base}, $${base + 1}, $${base + 2}, $${base + 3}, ` +
-      `$${base + 4}, $${base + 5}, $${base + 6}::jsonb, $${base + 7})`,
-    );
+    valueRows.push(`(${placeholders.join(', ')})`);
   });
 
   return {
@@ -87,10 +111,7 @@ export const createMany = async ({ establishmentId, mediaId, items }) => {
   const { valuesClause, params } = buildBulkInsertFragment(items, establishmentId, mediaId);
 
   const query = `
-    INSERT INTO menu_items (
-      establishment_id, media_id, item_name, price_byn,
-      category_raw, confidence, sanity_flag, position
-    )
+    INSERT INTO menu_items (${INSERT_COLUMN_LIST})
     VALUES ${valuesClause}
     RETURNING *
   `;
@@ -117,24 +138,70 @@ export const deleteByMediaId = async (mediaId) => {
 /**
  * Get all menu items for an establishment.
  *
+ * Items in a section come first, in section order; unsectioned items (all
+ * OCR output) follow. Each row carries section_name (NULL when unsectioned)
+ * and photo_url / photo_thumbnail_url of its dish photo (NULL without one).
+ *
  * @param {string} establishmentId - UUID
  * @param {Object} options
  * @param {boolean} options.includeHidden - If true, include items hidden by admin (admin/partner view)
- * @returns {Promise<Object[]>} Menu items ordered by position
+ * @returns {Promise<Object[]>} Menu items ordered by section, then position
  */
 export const getByEstablishmentId = async (establishmentId, { includeHidden = false } = {}) => {
-  const query = includeHidden
-    ? `SELECT * FROM menu_items
-       WHERE establishment_id = $1
-       ORDER BY position ASC, item_name ASC`
-    : `SELECT * FROM menu_items
-       WHERE establishment_id = $1 AND is_hidden_by_admin = FALSE
-       ORDER BY position ASC, item_name ASC`;
+  const hiddenFilter = includeHidden ? '' : 'AND mi.is_hidden_by_admin = FALSE';
+  const query = `
+    SELECT mi.*, s.name AS section_name,
+           pm.url AS photo_url, pm.thumbnail_url AS photo_thumbnail_url
+    FROM menu_items mi
+    LEFT JOIN menu_sections s ON s.id = mi.section_id
+    LEFT JOIN establishment_media pm ON pm.id = mi.photo_media_id
+    WHERE mi.establishment_id = $1 ${hiddenFilter}
+    ORDER BY s.position ASC NULLS LAST, mi.position ASC, mi.item_name ASC
+  `;
 
   const result = await pool.query(query, [establishmentId]);
   return result.rows;
 };
 
+/**
+ * Insert one manually authored item (source='manual', no media). Appended
+ * at the end of its section (or of the unsectioned items).
+ *
+ * @param {Object} params
+ * @param {string} params.establishmentId - UUID
+ * @param {Object} params.item - { item_name, price_byn?, category_raw?, section_id?,
+ *   description?, portion_size?, portion_unit?, dietary_tags?, photo_media_id?, is_available? }
+ * @returns {Promise<Object>} Inserted row
+ */
+export const createManual = async ({ establishmentId, item }) => {
+  const result = await pool.query(
+    `INSERT INTO menu_items (
+       establishment_id, media_id, source, section_id, item_name, price_byn, category_raw,
+       description, portion_size, portion_unit, dietary_tags, photo_media_id, is_available,
+       position
+     )
+     SELECT $1, NULL, 'manual', $2, $3, $4, $5, $6, $7, $8, $9::text[], $10, $11,
+            COALESCE(MAX(position) + 1, 0)
+     FROM menu_items
+     WHERE establishment_id = $1 AND section_id IS NOT DISTINCT FROM $2
+     RETURNING *`,
+    [
+      establishmentId,
+      item.section_id ?? null,
+      item.item_name,
+      item.price_byn ?? null,
+      item.category_raw ?? null,
+      item.description ?? null,
+      item.portion_size ?? null,
+      item.portion_unit ?? null,
+      item.dietary_tags ?? [],
+      item.photo_media_id ?? null,
+      item.is_available ?? true,
+    ],
+  );
+  return result.rows[0];
+};
+
 /**
  * Find a single menu item by ID.
  *
@@ -167,6 +234,13 @@ export const updateById = async (id, updates) => {
     'is_hidden_by_admin',
     'hidden_reason',
     'position',
+    'section_id',
+    'description',
+    'portion_size',
+    'portion_unit',
+    'dietary_tags',
+    'photo_media_id',
+    'is_available',
   ];
 
   const setClauses = [];
@@ -205,10 +279,60 @@ export const updateById = async (id, updates) => {
 };
 
 /**
- * Atomically replace all menu items for a media file.
+ * Delete a single menu item.
+ *
+ * @param {string} id - UUID
+ * @returns {Promise<boolean>} True if a row was deleted
+ */
+export const deleteById = async (id) => {
+  const result = await pool.query('DELETE FROM menu_items WHERE id = $1', [id]);
+  return result.rowCount > 0;
+};
+
+/**
+ * Bulk reorder / move items of one establishment in a single statement.
+ * Entries without a `section_id` key keep their section; `section_id: null`
+ * moves the item out of its section.
+ *
+ * @param {string} establishmentId - UUID
+ * @param {Array<{ id: string, position: number, section_id?: string|null }>} entries
+ * @returns {Promise<Object[]>} Updated rows
+ */
+export const reorder = async (establishmentId, entries) => {
+  if (!entries || entries.length === 0) return [];
+
+  const result = await pool.query(
+    `UPDATE menu_items mi
+     SET position = v.position,
+         section_id = CASE WHEN v.move_section THEN v.section_id ELSE mi.section_id END,
+         updated_at = NOW()
+     FROM unnest($2::uuid[], $3::int[], $4::uuid[], $5::boolean[])
+       AS v(id, position, section_id, move_section)
+     WHERE mi.id = v.id AND mi.establishment_id = $1
+     RETURNING mi.*`,
+    [
+      establishmentId,
+      entries.map((entry) => entry.id),
+      entries.map((entry) => entry.position),
+      entries.map((entry) => entry.section_id ?? null),
+      entries.map((entry) => entry.section_id !== undefined),
+    ],
+  );
+  return result.rows;
+};
+
+/**
+ * Atomically replace the OCR menu items for a media file.
  *
- * Single transaction: SELECT previous items (for sanity comparison by caller) →
- * DELETE existing items for this media → INSERT new items.
+ * Single transaction: claim the published draft (if any) → SELECT previous
+ * items (for sanity comparison by caller) → DELETE existing items for this
+ * media → INSERT new items → record changed prices in menu_price_history.
+ * Only source='ocr' rows are read or deleted — manually authored items are
+ * never overwritten.
+ *
+ * The draft is claimed first with DELETE ... RETURNING: if it is already gone
+ * (an OCR re-run replaced it, or a double submit published it) nothing is
+ * written and null is returned, so stale draft items never go live.
  *
  * Search results will never observe a partial state because the whole replacement
  * is one transaction and the GIN trigram index is consistent on commit.
@@ -217,32 +341,58 @@ export const updateById = async (id, updates) => {
  * @param {string} params.establishmentId - UUID
  * @param {string} params.mediaId - UUID
  * @param {Object[]} params.newItems - New items to insert
- * @returns {Promise<{previousItems: Object[], newItems: Object[]}>}
- *          previousItems for sanity check delta comparison; newItems with generated IDs
+ * @param {string[]} [params.keepItemIds=[]] - Live items of this media to keep
+ *        as they are (partner kept them although the new OCR run lost them)
+ * @param {string} [params.draftId] - Published menu_drafts row, deleted in the
+ *        same transaction
+ * @returns {Promise<{previousItems: Object[], newItems: Object[]}|null>}
+ *          previousItems for sanity check delta comparison; newItems with generated IDs.
+ *          null if draftId was given and the draft no longer exists
  */
-export const replaceForMedia = async ({ establishmentId, mediaId, newItems }) => {
+export const replaceForMedia = async ({
+  establishmentId,
+  mediaId,
+  newItems,
+  keepItemIds = [],
+  draftId,
+}) => {
   const client = await pool.connect();
 
   try {
     await client.query('BEGIN');
 
+    if (draftId) {
+      const draftResult = await client.query(
+        'DELETE FROM menu_drafts WHERE id = $1 RETURNING id',
+        [draftId],
+      );
+      if (draftResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        logger.warn('Menu draft gone before publish', { mediaId, draftId });
+        return null;
+      }
+    }
+
     const prevResult = await client.query(
-      'SELECT * FROM menu_items WHERE media_id = $1 ORDER BY position ASC',
+      `SELECT * FROM menu_items
+       WHERE media_id = $1 AND source = 'ocr'
+       ORDER BY position ASC`,
       [mediaId],
     );
     const previousItems = prevResult.rows;
 
-    await client.query('DELETE FROM menu_items WHERE media_id = $1', [mediaId]);
+    await client.query(
+      `DELETE FROM menu_items
+       WHERE media_id = $1 AND source = 'ocr' AND NOT (id = ANY($2::uuid[]))`,
+      [mediaId, keepItemIds],
+    );
 
     let insertedItems = [];
     if (newItems && newItems.length > 0) {
       const { valuesClause, params } = buildBulkInsertFragment(newItems, establishmentId, mediaId);
 
       const insertQuery = `
-        INSERT INTO menu_items (
-          establishment_id, media_id, item_name, price_byn,
-          category_raw, confidence, sanity_flag, position
-        )
+        INSERT INTO menu_items (${INSERT_COLUMN_LIST})
         VALUES ${valuesClause}
         RETURNING *
       `;
@@ -251,6 +401,11 @@ export const replaceForMedia = async ({ establishmentId, mediaId, newItems }) =>
       insertedItems = insertResult.rows;
     }
 
+    await MenuPriceHistoryModel.recordPrices(
+      { establishmentId, items: insertedItems, source: 'ocr' },
+      client,
+    );
+
     await client.query('COMMIT');
 
     logger.info('Menu items replaced for media', {
@@ -258,6 +413,7 @@ export const replaceForMedia = async ({ establishmentId, mediaId, newItems }) =>
       establishmentId,
       previousCount: previousItems.length,
       newCount: insertedItems.length,
+      keptCount: keepItemIds.length,
     });
 
     return {
@@ -276,6 +432,134 @@ export const replaceForMedia = async ({ establishmentId, mediaId, newItems }) =>
   }
 };
 
+/** Item fields a menu file import may set (menuFileContract columns minus section). */
+const IMPORT_FIELDS = [
+  'item_name',
+  'price_byn',
+  'description',
+  'portion_size',
+  'portion_unit',
+  'dietary_tags',
+  'is_available',
+];
+
+/**
+ * Atomically replace the manually authored menu of an establishment with an
+ * imported menu file.
+ *
+ * Single transaction: upsert the file's sections (position = list index) and
+ * drop the others → delete manual items missing from the file → update
+ * matched items in place (ids, dish photos and any field the file does not
+ * carry survive) → insert new ones → record changed prices. OCR items are
+ * never read or written.
+ *
+ * @param {Object} params
+ * @param {string} params.establishmentId - UUID
+ * @param {string[]} params.sections - Section names in display order
+ * @param {Array<{ id?: string, section: string|null, position: number, fields: Object }>}
+ *        params.items - Items in file order; `id` set for existing items to update
+ * @param {string[]} params.deleteIds - Existing manual items to delete
+ * @returns {Promise<{ inserted: number, updated: number, deleted: number }>}
+ */
+export const replaceManualMenu = async ({
+  establishmentId,
+  sections,
+  items,
+  deleteIds,
+}) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const sectionIds = new Map();
+    for (const [position, name] of sections.entries()) {
+      const result = await client.query(
+        `INSERT INTO menu_sections (establishment_id, name, position)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (establishment_id, name)
+         DO UPDATE SET position = EXCLUDED.position, updated_at = NOW()
+         RETURNING id`,
+        [establishmentId, name, position],
+      );
+      sectionIds.set(name, result.rows[0].id);
+    }
+    await client.query(
+      `DELETE FROM menu_sections
+       WHERE establishment_id = $1 AND NOT (name = ANY($2::text[]))`,
+      [establishmentId, sections],
+    );
+
+    const deleteResult = await client.query(
+      `DELETE FROM menu_items
+       WHERE establishment_id = $1 AND source = 'manual' AND id = ANY($2::uuid[])`,
+      [establishmentId, deleteIds],
+    );
+
+    let inserted = 0;
+    let updated = 0;
+    for (const { id, section, position, fields } of items) {
+      const values = [section === null ? null : sectionIds.get(section), position];
+      const columns = ['section_id', 'position'];
+      for (const field of IMPORT_FIELDS) {
+        if (fields[field] !== undefined) {
+          columns.push(field);
+          values.push(fields[field]);
+        }
+      }
+
+      if (id) {
+        const setClauses = columns.map((column, idx) => `${column} = $${idx + 1}`);
+        await client.query(
+          `UPDATE menu_items
+           SET ${setClauses.join(', ')}, sanity_flag = NULL, updated_at = NOW()
+           WHERE id = $${values.length + 1} AND establishment_id = $${values.length + 2}
+             AND source = 'manual'`,
+          [...values, id, establishmentId],
+        );
+        updated += 1;
+      } else {
+        const placeholders = values.map((_, idx) => `$${idx + 3}`);
+        await client.query(
+          `INSERT INTO menu_items (establishment_id, media_id, source, ${columns.join(', ')})
+           VALUES ($1, NULL, $2, ${placeholders.join(', ')})`,
+          [establishmentId, 'manual', ...values],
+        );
+        inserted += 1;
+      }
+    }
+
+    await MenuPriceHistoryModel.recordPrices({
+      establishmentId,
+      items: items
+        .filter(({ fields }) => fields.price_byn !== undefined)
+        .map(({ fields }) => fields),
+      source: 'import',
+    }, client);
+
+    await client.query('COMMIT');
+
+    logger.info('Manual menu replaced from import', {
+      establishmentId,
+      sectionCount: sections.length,
+      inserted,
+      updated,
+      deleted: deleteResult.rowCount,
+    });
+
+    return { inserted, updated, deleted: deleteResult.rowCount };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Failed to replace manual menu from import', {
+      establishmentId,
+      error: error.message,
+    });
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
 /**
  * List items with a non-null sanity_flag, JOINed with parent establishment
  * (name, city, status) for the admin "Подозрительные позиции меню" dashboard.
@@ -0,0 +1,194 @@
+/**
+ * Menu Price History Model
+ *
+ * Observed price changes of dishes, per establishment and normalized item
+ * name (utils/menuItemName.js), across OCR runs, manual edits and menu file
+ * imports. A row is only written when the price differs from the last one
+ * recorded for the dish; previous_price_byn is NULL for the first sighting.
+ *
+ * Table: menu_price_history (migration 047).
+ *
+ * Names shared by two live items of one establishment (e.g. "Чай" in two
+ * sections) share one history; within a batch the first item wins.
+ */
+
+import pool from '../config/database.js';
+import { normalizeItemName, normalizedNameSql } from '../utils/menuItemName.js';
+
+/**
+ * CTE body: the current price of every dish that is on a live (active,
+ * non-hidden) menu — the latest history row per establishment + name, with
+ * the establishment's name and city. Shared by the admin price report and
+ * the quality-health price anomaly signal.
+ */
+export const CURRENT_PRICES_SQL = `
+  SELECT DISTINCT ON (h.establishment_id, h.normalized_name)
+         h.establishment_id, h.normalized_name, h.item_name, h.price_byn,
+         e.name AS establishment_name, e.city
+  FROM menu_price_history h
+  JOIN establishments e ON e.id = h.establishment_id AND e.status = 'active'
+  WHERE EXISTS (
+    SELECT 1 FROM menu_items mi
+    WHERE mi.establishment_id = h.establishment_id
+      AND mi.is_hidden_by_admin = FALSE
+      AND ${normalizedNameSql('mi.item_name')} = h.normalized_name
+  )
+  ORDER BY h.establishment_id, h.normalized_name, h.recorded_at DESC
+`;
+
+/**
+ * Record the prices of a batch of items; only prices that differ from the
+ * dish's last recorded price produce a row. Items without a price are
+ * ignored.
+ *
+ * @param {Object} params
+ * @param {string} params.establishmentId - UUID
+ * @param {Array<{ item_name: string, price_byn: number|string|null }>} params.items
+ * @param {'ocr'|'manual'|'import'} params.source
+ * @param {import('pg').PoolClient} [client] - Optional DB client for transaction support
+ * @returns {Promise<Object[]>} Inserted history rows
+ */
+export const recordPrices = async ({ establishmentId, items, source }, client) => {
+  const queryExecutor = client || pool;
+
+  const byName = new Map();
+  for (const item of items) {
+    if (item.price_byn === null || item.price_byn === undefined || !item.item_name) continue;
+    const normalizedName = normalizeItemName(item.item_name);
+    if (!byName.has(normalizedName)) {
+      byName.set(normalizedName, { itemName: item.item_name.trim(), price: item.price_byn });
+    }
+  }
+  if (byName.size === 0) return [];
+
+  const entries = [...byName.entries()];
+  const result = await queryExecutor.query(
+    `INSERT INTO menu_price_history
+       (establishment_id, normalized_name, item_name, price_byn, previous_price_byn, source)
+     SELECT $1, v.normalized_name, v.item_name, v.price_byn, latest.price_byn, $5
+     FROM unnest($2::text[], $3::text[], $4::numeric[]) AS v(normalized_name, item_name, price_byn)
+     LEFT JOIN LATERAL (
+       SELECT h.price_byn
+       FROM menu_price_history h
+       WHERE h.establishment_id = $1 AND h.normalized_name = v.normalized_name
+       ORDER BY h.recorded_at DESC
+       LIMIT 1
+     ) latest ON TRUE
+     WHERE latest.price_byn IS DISTINCT FROM v.price_byn
+     RETURNING *`,
+    [
+      establishmentId,
+      entries.map(([normalizedName]) => normalizedName),
+      entries.map(([, { itemName }]) => itemName),
+      entries.map(([, { price }]) => price),
+      source,
+    ],
+  );
+  return result.rows;
+};
+
+/**
+ * Price history of an establishment, newest first.
+ *
+ * @param {string} establishmentId - UUID
+ * @param {Object} [options]
+ * @param {string} [options.normalizedName] - Only this dish
+ * @param {boolean} [options.changesOnly=false] - Skip first sightings
+ * @param {number} [options.limit=50]
+ * @param {number} [options.offset=0]
+ * @returns {Promise<{ items: Object[], total: number }>}
+ */
+export const getByEstablishmentId = async (establishmentId, {
+  normalizedName,
+  changesOnly = false,
+  limit = 50,
+  offset = 0,
+} = {}) => {
+  const conditions = ['establishment_id = $1'];
+  const values = [establishmentId];
+  if (normalizedName) {
+    values.push(normalizedName);
+    conditions.push(`normalized_name = $${values.length}`);
+  }
+  if (changesOnly) conditions.push('previous_price_byn IS NOT NULL');
+  const whereClause = conditions.join(' AND ');
+
+  const [countResult, dataResult] = await Promise.all([
+    pool.query(`SELECT COUNT(*) AS total FROM menu_price_history WHERE ${whereClause}`, values),
+    pool.query(
+      `SELECT * FROM menu_price_history
+       WHERE ${whereClause}
+       ORDER BY recorded_at DESC
+       LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+      [...values, limit, offset],
+    ),
+  ]);
+
+  return {
+    items: dataResult.rows,
+    total: parseInt(countResult.rows[0].total, 10),
+  };
+};
+
+/**
+ * The most recent price change of each dish of an establishment — dishes
+ * whose latest row is a first sighting have none.
+ *
+ * @param {string} establishmentId - UUID
+ * @returns {Promise<Object[]>} One row per changed dish
+ */
+export const getLatestChanges = async (establishmentId) => {
+  const result = await pool.query(
+    `SELECT * FROM (
+       SELECT DISTINCT ON (normalized_name) *
+       FROM menu_price_history
+       WHERE establishment_id = $1
+       ORDER BY normalized_name, recorded_at DESC
+     ) latest
+     WHERE previous_price_byn IS NOT NULL`,
+    [establishmentId],
+  );
+  return result.rows;
+};
+
+/**
+ * Current price of a dish by city, over live menus: one price per
+ * establishment (the average of its matching dishes, so "капучино" and
+ * "капучино большой" count once), then averaged per city.
+ *
+ * @param {Object} params
+ * @param {string} params.query - Dish name or part of it ("капучино")
+ * @param {string} [params.city] - Only this city
+ * @returns {Promise<Object[]>} { city, establishment_count, avg_price_byn,
+ *   median_price_byn, min_price_byn, max_price_byn }, most establishments first
+ */
+export const getCityPriceReport = async ({ query, city }) => {
+  const pattern = `%${normalizeItemName(query).replace(/[\\%_]/g, '\\$&')}%`;
+  const values = [pattern];
+  let cityFilter = '';
+  if (city) {
+    values.push(city);
+    cityFilter = `AND city = $${values.length}`;
+  }
+
+  const result = await pool.query(
+    `WITH current_prices AS (${CURRENT_PRICES_SQL}),
+     per_establishment AS (
+       SELECT establishment_id, city, AVG(price_byn) AS price_byn
+       FROM current_prices
+       WHERE normalized_name LIKE $1 ${cityFilter}
+       GROUP BY establishment_id, city
+     )
+     SELECT city,
+            COUNT(*)::int AS establishment_count,
+            ROUND(AVG(price_byn), 2) AS avg_price_byn,
+            ROUND(percentile_cont(0.5) WITHIN GROUP (ORDER BY price_byn)::numeric, 2) AS median_price_byn,
+            ROUND(MIN(price_byn), 2) AS min_price_byn,
+            ROUND(MAX(price_byn), 2) AS max_price_byn
+     FROM per_establishment
+     GROUP BY city
+     ORDER BY establishment_count DESC, city ASC`,
+    values,
+  );
+  return result.rows;
+};
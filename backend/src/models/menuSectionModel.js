@@ -0,0 +1,111 @@
+/**
+ * Menu Section Model
+ *
+ * Named, partner-ordered groups of manually authored menu items ("Супы",
+ * "Десерты"). Independent of media: deleting a section keeps its items
+ * (menu_items.section_id ON DELETE SET NULL).
+ *
+ * Table: menu_sections, UNIQUE (establishment_id, name).
+ */
+
+import pool from '../config/database.js';
+
+/**
+ * All sections of an establishment in display order, with item counts.
+ *
+ * @param {string} establishmentId - UUID
+ * @returns {Promise<Object[]>}
+ */
+export const getByEstablishmentId = async (establishmentId) => {
+  const result = await pool.query(
+    `SELECT s.*, COUNT(mi.id)::int AS item_count
+     FROM menu_sections s
+     LEFT JOIN menu_items mi ON mi.section_id = s.id
+     WHERE s.establishment_id = $1
+     GROUP BY s.id
+     ORDER BY s.position ASC, s.created_at ASC`,
+    [establishmentId],
+  );
+  return result.rows;
+};
+
+/**
+ * Find a section by ID.
+ *
+ * @param {string} id - UUID
+ * @returns {Promise<Object|null>}
+ */
+export const findById = async (id) => {
+  const result = await pool.query('SELECT * FROM menu_sections WHERE id = $1', [id]);
+  return result.rows[0] || null;
+};
+
+/**
+ * Create a section at the end of the establishment's section list.
+ * A duplicate name surfaces as pg 23505 (409 via errorHandler).
+ *
+ * @param {Object} params
+ * @param {string} params.establishmentId - UUID
+ * @param {string} params.name - Trimmed section name
+ * @returns {Promise<Object>} Inserted row
+ */
+export const create = async ({ establishmentId, name }) => {
+  const result = await pool.query(
+    `INSERT INTO menu_sections (establishment_id, name, position)
+     SELECT $1, $2, COALESCE(MAX(position) + 1, 0)
+     FROM menu_sections
+     WHERE establishment_id = $1
+     RETURNING *`,
+    [establishmentId, name],
+  );
+  return result.rows[0];
+};
+
+/**
+ * Rename a section.
+ *
+ * @param {string} id - UUID
+ * @param {string} name - Trimmed section name
+ * @returns {Promise<Object|null>} Updated row, or null if not found
+ */
+export const rename = async (id, name) => {
+  const result = await pool.query(
+    `UPDATE menu_sections
+     SET name = $2, updated_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [id, name],
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Delete a section. Its items stay on the menu, unsectioned.
+ *
+ * @param {string} id - UUID
+ * @returns {Promise<boolean>} True if a row was deleted
+ */
+export const deleteById = async (id) => {
+  const result = await pool.query('DELETE FROM menu_sections WHERE id = $1', [id]);
+  return result.rowCount > 0;
+};
+
+/**
+ * Set section order: position = index in sectionIds. Single statement, so
+ * the list never shows a half-applied order.
+ *
+ * @param {string} establishmentId - UUID
+ * @param {string[]} sectionIds - Every section of the establishment, in order
+ * @returns {Promise<Object[]>} Updated rows
+ */
+export const reorder = async (establishmentId, sectionIds) => {
+  const result = await pool.query(
+    `UPDATE menu_sections s
+     SET position = v.ord - 1, updated_at = NOW()
+     FROM unnest($2::uuid[]) WITH ORDINALITY AS v(id, ord)
+     WHERE s.id = v.id AND s.establishment_id = $1
+     RETURNING s.*`,
+    [establishmentId, sectionIds],
+  );
+  return result.rows;
+};
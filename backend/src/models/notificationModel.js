@@ -31,6 +31,11 @@ const CATEGORY_TYPES = {
     'booking_declined',
     'booking_expired',
     'booking_cancelled',
+    'booking_modified',
+    'booking_reminder',
+    'booking_reconfirm_request',
+    'booking_needs_outcome',
+    'waitlist_offer',
   ],
   promotions: [
     'promotion_new',
@@ -8,6 +8,10 @@
  * Status flow: pending → processing → (done | failed)
  * Retry: markFailed returns job to 'pending' if attempts < max_attempts (default 3),
  *        otherwise transitions to 'failed' permanently.
+ *
+ * Table: ocr_job_pages (migration 043)
+ * Page-level sub-tasks of a vision job, processed inside the parent job's run.
+ * Status flow: pending → (done | failed), attempts counted per page.
  */
 
 import pool from '../config/database.js';
@@ -23,9 +27,10 @@ import logger from '../utils/logger.js';
  * @param {Object} params
  * @param {string} params.establishmentId - UUID
  * @param {string} params.mediaId - UUID of establishment_media row
+ * @param {number} [params.pageCount] - PDF page count reported by Cloudinary at upload
  * @returns {Promise<Object>} Job row (either newly created or pre-existing active)
  */
-export const enqueue = async ({ establishmentId, mediaId }) => {
+export const enqueue = async ({ establishmentId, mediaId, pageCount = null }) => {
   const existing = await pool.query(
     `SELECT * FROM ocr_jobs
      WHERE media_id = $1 AND status IN ('pending', 'processing')
@@ -44,10 +49,10 @@ export const enqueue = async ({ establishmentId, mediaId }) => {
   }
 
   const result = await pool.query(
-    `INSERT INTO ocr_jobs (establishment_id, media_id, status, attempts)
-     VALUES ($1, $2, 'pending', 0)
+    `INSERT INTO ocr_jobs (establishment_id, media_id, status, attempts, page_count)
+     VALUES ($1, $2, 'pending', 0, $3)
      RETURNING *`,
-    [establishmentId, mediaId],
+    [establishmentId, mediaId, pageCount],
   );
 
   logger.info('OCR job enqueued', {
@@ -191,3 +196,103 @@ export const hasCompletedJobForMedia = async (mediaId) => {
   );
   return result.rowCount > 0;
 };
+
+// ============================================================================
+// Page-level sub-tasks (ocr_job_pages)
+// ============================================================================
+
+/**
+ * Create the page sub-tasks of a job. Idempotent — a retried job run calls it
+ * again and keeps the existing pages (with their status and attempts).
+ *
+ * @param {string} jobId - UUID
+ * @param {string[]} imageUrls - One image URL per page, in page order
+ * @returns {Promise<Object[]>} All pages of the job, by page_number
+ */
+export const ensurePages = async (jobId, imageUrls) => {
+  if (imageUrls.length > 0) {
+    const valueRows = imageUrls.map((_, idx) => `($1, ${idx + 1}, $${idx + 2})`);
+    await pool.query(
+      `INSERT INTO ocr_job_pages (job_id, page_number, image_url)
+       VALUES ${valueRows.join(', ')}
+       ON CONFLICT (job_id, page_number) DO NOTHING`,
+      [jobId, ...imageUrls],
+    );
+  }
+
+  return getPages(jobId);
+};
+
+/**
+ * Get the page sub-tasks of a job.
+ *
+ * @param {string} jobId - UUID
+ * @returns {Promise<Object[]>} Pages by page_number
+ */
+export const getPages = async (jobId) => {
+  const result = await pool.query(
+    `SELECT * FROM ocr_job_pages
+     WHERE job_id = $1
+     ORDER BY page_number ASC`,
+    [jobId],
+  );
+  return result.rows;
+};
+
+/**
+ * Mark a page as successfully processed and keep its structured items, so a
+ * retried job run merges them without calling the OCR provider again.
+ *
+ * @param {string} pageId - UUID
+ * @param {Object} result
+ * @param {string} result.rawText - OCR output of the page
+ * @param {number|null} result.confidence - Page-level OCR confidence
+ * @param {Object[]} result.items - Structured items of the page
+ * @returns {Promise<Object|null>} Updated page row or null if not found
+ */
+export const markPageDone = async (pageId, { rawText, confidence, items }) => {
+  const result = await pool.query(
+    `UPDATE ocr_job_pages
+     SET status = 'done',
+         attempts = attempts + 1,
+         raw_text = $2,
+         confidence = $3,
+         items = $4::jsonb,
+         error_message = NULL,
+         completed_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [pageId, rawText, confidence, JSON.stringify(items)],
+  );
+
+  return result.rows[0] || null;
+};
+
+/**
+ * Record a failed page attempt. The page stays 'pending' for the next job run
+ * while attempts < max_attempts, otherwise it is failed permanently.
+ *
+ * @param {string} pageId - UUID
+ * @param {string} errorMessage - Human-readable failure reason
+ * @returns {Promise<Object|null>} Updated page row or null if not found
+ */
+export const markPageFailed = async (pageId, errorMessage) => {
+  const result = await pool.query(
+    `UPDATE ocr_job_pages
+     SET attempts = attempts + 1,
+         status = CASE
+           WHEN attempts + 1 >= max_attempts THEN 'failed'
+           ELSE 'pending'
+         END,
+         error_message = $2,
+         completed_at = CASE
+           WHEN attempts + 1 >= max_attempts THEN NOW()
+           ELSE NULL
+         END
+     WHERE id = $1
+     RETURNING *`,
+    [pageId, errorMessage],
+  );
+
+  return result.rows[0] || null;
+};
@@ -3,7 +3,8 @@
  *
  * Read-only aggregate queries that lift the seed-import Acceptance criteria into a
  * standing health signal: canon/slug-reachability, menu completeness, geo bounds,
- * working-hours sanity, attribute-key census, and hanging OCR flags.
+ * working-hours sanity, attribute-key census, hanging OCR flags, and dish
+ * prices far off their city median.
  *
  * Zero LLM, zero writes, zero new tables (CAT-F-3 heterogeneity). All signals are
  * scoped to status='active' — the live public surface the sitemap/catalog expose
@@ -13,7 +14,8 @@
  * their single sources of truth (urlSlugs.js, establishmentService.js), never
  * duplicated — so the monitor can never silently diverge from what it measures.
  *
- * Tables queried: establishments, establishment_media, menu_items, ocr_jobs.
+ * Tables queried: establishments, establishment_media, menu_items, ocr_jobs,
+ * menu_price_history.
  */
 
 import pool from '../config/database.js';
@@ -26,6 +28,7 @@ import {
 } from '../constants/urlSlugs.js';
 import { BELARUS_BOUNDS, validateCityCoordinates } from '../services/establishmentService.js';
 import { checkWorkingHours } from '../utils/workingHoursSanity.js';
+import { CURRENT_PRICES_SQL } from './menuPriceHistoryModel.js';
 
 // Bound the per-signal sample lists returned for admin drill-down.
 const SAMPLE_LIMIT = 25;
@@ -121,6 +124,7 @@ export const getOffCanonCounts = async () => {
  * menu_items AND no in-flight OCR job — OCR has drained and produced nothing. A
  * 0-item OCR marks the job 'done', so only this anti-join catches it; the in-flight
  * guard suppresses transient false positives during the import window.
+ * A non-empty menu draft is not "nothing" either — it waits for partner review.
  * B2: OCR job health — failed / stuck (pending after a first attempt).
  */
 export const getMenuCompleteness = async () => {
@@ -136,6 +140,11 @@ export const getMenuCompleteness = async () => {
       AND NOT EXISTS (
         SELECT 1 FROM menu_items mi WHERE mi.establishment_id = e.id
       )
+      AND NOT EXISTS (
+        SELECT 1 FROM menu_drafts d
+        JOIN menu_draft_items di ON di.draft_id = d.id
+        WHERE d.establishment_id = e.id
+      )
       AND NOT EXISTS (
         SELECT 1 FROM ocr_jobs j
         WHERE j.establishment_id = e.id AND j.status IN ('pending', 'processing')
@@ -327,15 +336,55 @@ export const getHangingFlags = async () => {
 };
 
 // ============================================================================
-// G — price distribution anomalies (STATISTICAL — deferred stub)
+// G — price distribution anomalies (menu_price_history)
 // ============================================================================
 
+// A dish needs this many establishments in a city before its median means anything.
+const PRICE_PEER_MIN = 5;
+// Current price this many times above / below the city median = anomaly.
+const PRICE_OUTLIER_RATIO = 3;
+
 /**
- * Statistical signal deferred to the real-500 import (statistics need a population).
- * Absolute per-item price outliers are already caught at OCR time by sanity_flag.
- * Stubbed so the response contract stays stable.
+ * Dishes priced far off their city median: current prices (latest
+ * menu_price_history row of dishes on live menus — the same set the admin
+ * price report uses) grouped by city + normalized name, groups with at least
+ * PRICE_PEER_MIN establishments, prices beyond PRICE_OUTLIER_RATIO × median
+ * either way. Complements the per-item absolute thresholds of sanity_flag:
+ * 25 BYN is a sane price, but not for a cappuccino.
  */
-export const getPriceDistributionAnomalies = async () => ({
-  status: 'deferred',
-  reason: 'statistical signal — wire at real-500 import',
-});
+export const getPriceDistributionAnomalies = async () => {
+  const query = `
+    WITH current_prices AS (${CURRENT_PRICES_SQL}),
+    peers AS (
+      SELECT city, normalized_name,
+             percentile_cont(0.5) WITHIN GROUP (ORDER BY price_byn) AS median_price
+      FROM current_prices
+      GROUP BY city, normalized_name
+      HAVING COUNT(*) >= $1
+    )
+    SELECT cp.establishment_id, cp.establishment_name, cp.city, cp.item_name,
+           cp.price_byn, ROUND(p.median_price::numeric, 2) AS city_median_byn
+    FROM current_prices cp
+    JOIN peers p ON p.city = cp.city AND p.normalized_name = cp.normalized_name
+    WHERE p.median_price > 0
+      AND (cp.price_byn > p.median_price * $2 OR cp.price_byn < p.median_price / $2)
+    ORDER BY GREATEST(cp.price_byn / p.median_price, p.median_price / NULLIF(cp.price_byn, 0)) DESC
+  `;
+  try {
+    const { rows } = await pool.query(query, [PRICE_PEER_MIN, PRICE_OUTLIER_RATIO]);
+    return {
+      status: 'active',
+      peer_min: PRICE_PEER_MIN,
+      outlier_ratio: PRICE_OUTLIER_RATIO,
+      anomaly_count: rows.length,
+      samples: rows.slice(0, SAMPLE_LIMIT).map((row) => ({
+        ...row,
+        price_byn: parseFloat(row.price_byn),
+        city_median_byn: parseFloat(row.city_median_byn),
+      })),
+    };
+  } catch (error) {
+    logger.error('Error computing price distribution anomalies', { error: error.message });
+    throw error;
+  }
+};
@@ -21,10 +21,12 @@ import logger from '../utils/logger.js';
  * @param {string} reviewData.establishment_id - UUID of the establishment being reviewed
  * @param {number} reviewData.rating - Rating from 1 to 5
  * @param {string} reviewData.content - Review text content (1-1000 characters)
+ * @param {import('pg').PoolClient} [client] - Optional DB client for transaction support
  * @returns {Promise<Object>} The created review object with all database fields
  * @throws {Error} If database operation fails
  */
-export const createReview = async (reviewData) => {
+export const createReview = async (reviewData, client) => {
+  const queryExecutor = client || pool;
   const { user_id, establishment_id, rating, content } = reviewData;
 
   const query = `
@@ -43,7 +45,7 @@ export const createReview = async (reviewData) => {
   const values = [user_id, establishment_id, rating, content];
 
   try {
-    const result = await pool.query(query, values);
+    const result = await queryExecutor.query(query, values);
     logger.info('Review created', {
       reviewId: result.rows[0].id,
       userId: user_id,
@@ -324,6 +326,43 @@ export const countReviewsByUser = async (userId, includeDeleted = false) => {
   }
 };
 
+/**
+ * The user's ratings with the rated establishment's vocabulary, newest first.
+ * Used by for_you personalization; hidden and deleted reviews are excluded.
+ *
+ * @param {string} userId - UUID of the user
+ * @param {number} limit - Max reviews
+ * @returns {Promise<Array<{ establishment_id: string, rating: number, name: string,
+ *   categories: string[], cuisines: string[], price_range: string|null }>>}
+ */
+export const findRatingsByUser = async (userId, limit = 100) => {
+  const query = `
+    SELECT
+      r.establishment_id,
+      r.rating,
+      e.name,
+      e.categories,
+      e.cuisines,
+      e.price_range
+    FROM reviews r
+    JOIN establishments e ON r.establishment_id = e.id
+    WHERE r.user_id = $1 AND r.is_deleted = false AND r.is_visible = true
+    ORDER BY r.created_at DESC
+    LIMIT $2
+  `;
+
+  try {
+    const result = await pool.query(query, [userId, limit]);
+    return result.rows;
+  } catch (error) {
+    logger.error('Error finding ratings by user', {
+      error: error.message,
+      userId,
+    });
+    throw error;
+  }
+};
+
 /**
  * Check if a user has already reviewed a specific establishment
  * 
@@ -0,0 +1,142 @@
+/**
+ * Review Photo Model
+ *
+ * Photos attached to reviews (reviewService.createReview), stored in
+ * Cloudinary; rows hold the three delivery renditions.
+ *
+ * Table: review_photos (migration 048).
+ *
+ * Public reads (getVisibleByReviewIds) join the parent review and return a
+ * photo only while the review is visible and not deleted and the photo itself
+ * is not hidden by an admin — hiding or deleting a review hides its photos
+ * without a second write.
+ */
+
+import pool from '../config/database.js';
+
+const PHOTO_COLUMNS = `p.id, p.review_id, p.url, p.preview_url, p.thumbnail_url, p.position,
+  p.is_hidden_by_admin, p.hidden_reason, p.hidden_at, p.created_at`;
+
+/**
+ * Insert the photos of a review in the given order.
+ *
+ * @param {string} reviewId - UUID
+ * @param {Array<{ url: string, preview_url: string, thumbnail_url: string }>} photos
+ * @param {import('pg').PoolClient} [client] - Optional DB client for transaction support
+ * @returns {Promise<Object[]>} Inserted rows, by position
+ */
+export const createPhotos = async (reviewId, photos, client) => {
+  const queryExecutor = client || pool;
+  if (photos.length === 0) return [];
+
+  const result = await queryExecutor.query(
+    `INSERT INTO review_photos (review_id, url, preview_url, thumbnail_url, position)
+     SELECT $1, v.url, v.preview_url, v.thumbnail_url, v.position
+     FROM unnest($2::text[], $3::text[], $4::text[], $5::smallint[])
+       AS v(url, preview_url, thumbnail_url, position)
+     RETURNING *`,
+    [
+      reviewId,
+      photos.map((photo) => photo.url),
+      photos.map((photo) => photo.preview_url),
+      photos.map((photo) => photo.thumbnail_url),
+      photos.map((_, index) => index),
+    ],
+  );
+  return result.rows.sort((a, b) => a.position - b.position);
+};
+
+/**
+ * Publicly visible photos of the given reviews.
+ *
+ * @param {string[]} reviewIds - UUIDs
+ * @returns {Promise<Object[]>} Rows ordered by review and position
+ */
+export const getVisibleByReviewIds = async (reviewIds) => {
+  if (reviewIds.length === 0) return [];
+
+  const result = await pool.query(
+    `SELECT ${PHOTO_COLUMNS}
+     FROM review_photos p
+     JOIN reviews r ON r.id = p.review_id
+     WHERE p.review_id = ANY($1::uuid[])
+       AND r.is_visible = TRUE
+       AND r.is_deleted = FALSE
+       AND p.is_hidden_by_admin = FALSE
+     ORDER BY p.review_id, p.position`,
+    [reviewIds],
+  );
+  return result.rows;
+};
+
+/**
+ * All photos of the given reviews, admin-hidden ones included (admin list).
+ *
+ * @param {string[]} reviewIds - UUIDs
+ * @returns {Promise<Object[]>} Rows ordered by review and position
+ */
+export const getByReviewIds = async (reviewIds) => {
+  if (reviewIds.length === 0) return [];
+
+  const result = await pool.query(
+    `SELECT ${PHOTO_COLUMNS}
+     FROM review_photos p
+     WHERE p.review_id = ANY($1::uuid[])
+     ORDER BY p.review_id, p.position`,
+    [reviewIds],
+  );
+  return result.rows;
+};
+
+/**
+ * Find a photo by ID.
+ *
+ * @param {string} photoId - UUID
+ * @returns {Promise<Object|null>} Photo row or null
+ */
+export const findById = async (photoId) => {
+  const result = await pool.query(
+    `SELECT ${PHOTO_COLUMNS}
+     FROM review_photos p
+     WHERE p.id = $1`,
+    [photoId],
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Hide a photo (with the admin's reason) or show it again.
+ *
+ * @param {string} photoId - UUID
+ * @param {Object} params
+ * @param {boolean} params.hidden
+ * @param {string|null} [params.reason] - Stored when hiding, cleared when showing
+ * @returns {Promise<Object|null>} Updated row or null if not found
+ */
+export const setHidden = async (photoId, { hidden, reason = null }) => {
+  const result = await pool.query(
+    `UPDATE review_photos
+     SET is_hidden_by_admin = $2,
+         hidden_reason = CASE WHEN $2 THEN $3 ELSE NULL END,
+         hidden_at = CASE WHEN $2 THEN CURRENT_TIMESTAMP ELSE NULL END
+     WHERE id = $1
+     RETURNING *`,
+    [photoId, hidden, reason],
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Group photo rows by review_id.
+ *
+ * @param {Object[]} rows
+ * @returns {Map<string, Object[]>}
+ */
+export const groupByReviewId = (rows) => {
+  const grouped = new Map();
+  for (const row of rows) {
+    if (!grouped.has(row.review_id)) grouped.set(row.review_id, []);
+    grouped.get(row.review_id).push(row);
+  }
+  return grouped;
+};
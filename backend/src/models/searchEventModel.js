@@ -0,0 +1,208 @@
+/**
+ * Search Event Model
+ *
+ * Data access for the search_events table (migration 041): one row per
+ * executed search, plus the admin analytics aggregations over it.
+ *
+ * Writes never throw — a failed analytics insert must not fail the search
+ * that produced it (same contract as partnerAnalyticsModel.trackCall).
+ */
+
+import pool from '../config/database.js';
+import logger from '../utils/logger.js';
+
+// ============================================================================
+// Event Tracking
+// ============================================================================
+
+/**
+ * Insert one search event.
+ *
+ * @param {object} event
+ * @param {string} event.id - UUID generated by the caller (returned to the client before the insert lands)
+ * @param {'smart'|'list'|'dish'} event.source
+ * @param {string|null} event.queryText
+ * @param {string|null} event.normalizedQuery
+ * @param {object|null} event.intent - Parsed smart-search intent
+ * @param {object} event.filters - Coordinate-free filter summary
+ * @param {number} event.resultCount
+ * @param {boolean} event.isFallback
+ * @param {boolean} event.isCached
+ */
+export const insertSearchEvent = async (event) => {
+  const query = `
+    INSERT INTO search_events (
+      id, source, query_text, normalized_query, intent, filters,
+      result_count, is_fallback, is_cached
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+  `;
+  try {
+    await pool.query(query, [
+      event.id,
+      event.source,
+      event.queryText,
+      event.normalizedQuery,
+      event.intent ? JSON.stringify(event.intent) : null,
+      JSON.stringify(event.filters || {}),
+      event.resultCount,
+      event.isFallback,
+      event.isCached,
+    ]);
+  } catch (error) {
+    logger.error('Error inserting search event', {
+      error: error.message,
+      source: event.source,
+    });
+  }
+};
+
+/**
+ * Record the result the user opened from a search. Only the first click
+ * counts — later clicks on the same event are ignored.
+ *
+ * @param {string} eventId - search_events.id
+ * @param {string} establishmentId - UUID
+ * @param {number|null} position - 1-based position in the result list
+ * @returns {Promise<boolean>} true when the click was recorded
+ */
+export const recordClick = async (eventId, establishmentId, position) => {
+  const query = `
+    UPDATE search_events
+    SET clicked_establishment_id = $2,
+        clicked_position = $3,
+        clicked_at = NOW()
+    WHERE id = $1 AND clicked_at IS NULL
+  `;
+  try {
+    const result = await pool.query(query, [eventId, establishmentId, position]);
+    return result.rowCount > 0;
+  } catch (error) {
+    logger.error('Error recording search click', {
+      error: error.message,
+      eventId,
+    });
+    return false;
+  }
+};
+
+// ============================================================================
+// Admin Analytics
+// ============================================================================
+
+/**
+ * Event counts within a date range: totals, zero-result, smart-search
+ * fallback / cache hits and clicks.
+ */
+export const getSearchTotals = async (startDate, endDate) => {
+  const query = `
+    SELECT
+      COUNT(*)::int AS total,
+      COUNT(*) FILTER (WHERE result_count = 0)::int AS zero_result,
+      COUNT(*) FILTER (WHERE source = 'smart')::int AS smart_total,
+      COUNT(*) FILTER (WHERE source = 'smart' AND is_fallback)::int AS smart_fallback,
+      COUNT(*) FILTER (WHERE source = 'smart' AND is_cached)::int AS smart_cached,
+      COUNT(*) FILTER (WHERE result_count > 0)::int AS with_results,
+      COUNT(*) FILTER (WHERE clicked_at IS NOT NULL)::int AS clicked,
+      COALESCE(AVG(clicked_position)::DECIMAL(5,2), 0) AS avg_click_position
+    FROM search_events
+    WHERE created_at >= $1 AND created_at < $2
+  `;
+  try {
+    const result = await pool.query(query, [startDate, endDate]);
+    return result.rows[0];
+  } catch (error) {
+    logger.error('Error getting search totals', { error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Search timeline grouped by date/week/month, with the zero-result share.
+ *
+ * @param {Date} startDate
+ * @param {Date} endDate
+ * @param {string} truncTo - 'day', 'week', or 'month'
+ */
+export const getSearchTimeline = async (startDate, endDate, truncTo = 'day') => {
+  const truncExpr = truncTo === 'day'
+    ? 'DATE(created_at)'
+    : `DATE(DATE_TRUNC('${truncTo}', created_at))`;
+
+  const query = `
+    SELECT ${truncExpr} AS date,
+           COUNT(*)::int AS count,
+           COUNT(*) FILTER (WHERE result_count = 0)::int AS zero_result_count
+    FROM search_events
+    WHERE created_at >= $1 AND created_at < $2
+    GROUP BY date
+    ORDER BY date
+  `;
+  try {
+    const result = await pool.query(query, [startDate, endDate]);
+    return result.rows;
+  } catch (error) {
+    logger.error('Error getting search timeline', { error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Most frequent queries with result and click stats.
+ * Filter-only searches (no query text) are not included.
+ */
+export const getTopQueries = async (startDate, endDate, limit) => {
+  // AT TIME ZONE 'UTC': naive timestamp column, see analyticsModel.getModerationCounts
+  const query = `
+    SELECT
+      normalized_query AS query,
+      COUNT(*)::int AS searches,
+      ROUND(AVG(result_count))::int AS avg_results,
+      COUNT(*) FILTER (WHERE result_count = 0)::int AS zero_result_count,
+      COUNT(*) FILTER (WHERE clicked_at IS NOT NULL)::int AS clicks,
+      MAX(created_at) AT TIME ZONE 'UTC' AS last_searched_at
+    FROM search_events
+    WHERE created_at >= $1 AND created_at < $2
+      AND normalized_query IS NOT NULL
+    GROUP BY normalized_query
+    ORDER BY searches DESC, query
+    LIMIT $3
+  `;
+  try {
+    const result = await pool.query(query, [startDate, endDate, limit]);
+    return result.rows;
+  } catch (error) {
+    logger.error('Error getting top search queries', { error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * Queries that returned nothing, most frequent first. The latest parsed
+ * intent shows what smart search understood — the starting point for a
+ * synonym or a gazetteer entry.
+ */
+export const getZeroResultQueries = async (startDate, endDate, limit) => {
+  const query = `
+    SELECT
+      normalized_query AS query,
+      COUNT(*)::int AS searches,
+      COUNT(*) FILTER (WHERE is_fallback)::int AS fallback_count,
+      (ARRAY_AGG(intent ORDER BY created_at DESC) FILTER (WHERE intent IS NOT NULL))[1] AS last_intent,
+      MAX(created_at) AT TIME ZONE 'UTC' AS last_searched_at
+    FROM search_events
+    WHERE created_at >= $1 AND created_at < $2
+      AND normalized_query IS NOT NULL
+      AND result_count = 0
+    GROUP BY normalized_query
+    ORDER BY searches DESC, last_searched_at DESC
+    LIMIT $3
+  `;
+  try {
+    const result = await pool.query(query, [startDate, endDate, limit]);
+    return result.rows;
+  } catch (error) {
+    logger.error('Error getting zero-result search queries', { error: error.message });
+    throw error;
+  }
+};
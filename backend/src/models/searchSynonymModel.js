@@ -0,0 +1,119 @@
+/**
+ * Search Synonym Model
+ *
+ * Data access for the search_synonyms table (migration 042): admin-managed
+ * search terms that expand text search to categories / cuisines.
+ */
+
+import pool from '../config/database.js';
+import logger from '../utils/logger.js';
+
+const COLUMNS = `
+  id, term, categories, cuisines, is_active, created_by, created_at, updated_at
+`;
+
+/**
+ * List synonyms ordered by term.
+ *
+ * @param {{ activeOnly?: boolean }} [options]
+ * @returns {Promise<Array<object>>}
+ */
+export const listSynonyms = async ({ activeOnly = false } = {}) => {
+  const query = `
+    SELECT ${COLUMNS}
+    FROM search_synonyms
+    ${activeOnly ? 'WHERE is_active = true' : ''}
+    ORDER BY term
+  `;
+  try {
+    const result = await pool.query(query);
+    return result.rows;
+  } catch (error) {
+    logger.error('Error listing search synonyms', { error: error.message });
+    throw error;
+  }
+};
+
+/**
+ * @param {string} id - UUID
+ * @returns {Promise<object|null>}
+ */
+export const findSynonymById = async (id) => {
+  const query = `SELECT ${COLUMNS} FROM search_synonyms WHERE id = $1`;
+  try {
+    const result = await pool.query(query, [id]);
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error finding search synonym', { error: error.message, id });
+    throw error;
+  }
+};
+
+/**
+ * Insert a synonym. A duplicate term raises pg 23505 (→ 409 in errorHandler).
+ *
+ * @param {{ term: string, categories: string[], cuisines: string[], isActive: boolean, createdBy: string }} data
+ * @returns {Promise<object>}
+ */
+export const createSynonym = async ({ term, categories, cuisines, isActive, createdBy }) => {
+  const query = `
+    INSERT INTO search_synonyms (term, categories, cuisines, is_active, created_by)
+    VALUES ($1, $2, $3, $4, $5)
+    RETURNING ${COLUMNS}
+  `;
+  try {
+    const result = await pool.query(query, [term, categories, cuisines, isActive, createdBy]);
+    return result.rows[0];
+  } catch (error) {
+    logger.error('Error creating search synonym', { error: error.message, term });
+    throw error;
+  }
+};
+
+/**
+ * Update a synonym; fields left undefined keep their value.
+ *
+ * @param {string} id - UUID
+ * @param {{ term?: string, categories?: string[], cuisines?: string[], isActive?: boolean }} data
+ * @returns {Promise<object|null>} Updated row, null if not found
+ */
+export const updateSynonym = async (id, { term, categories, cuisines, isActive }) => {
+  const query = `
+    UPDATE search_synonyms
+    SET term = COALESCE($2, term),
+        categories = COALESCE($3, categories),
+        cuisines = COALESCE($4, cuisines),
+        is_active = COALESCE($5, is_active),
+        updated_at = NOW()
+    WHERE id = $1
+    RETURNING ${COLUMNS}
+  `;
+  try {
+    const result = await pool.query(query, [
+      id,
+      term ?? null,
+      categories ?? null,
+      cuisines ?? null,
+      isActive ?? null,
+    ]);
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error updating search synonym', { error: error.message, id });
+    throw error;
+  }
+};
+
+/**
+ * @param {string} id - UUID
+ * @returns {Promise<object|null>} Deleted row, null if not found
+ */
+export const deleteSynonym = async (id) => {
+  const query = `DELETE FROM search_synonyms WHERE id = $1 RETURNING ${COLUMNS}`;
+  try {
+    const result = await pool.query(query, [id]);
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error deleting search synonym', { error: error.message, id });
+    throw error;
+  }
+};
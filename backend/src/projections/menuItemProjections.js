@@ -8,6 +8,9 @@
  *
  * Excluded fields (NEVER appear in public projection output):
  *   - media_id (internal FK to source PDF)
+ *   - photo_media_id (internal FK — the photo is emitted as photo { url,
+ *     thumbnail_url } from the columns MenuItemModel.getByEstablishmentId joins)
+ *   - source / section_id (authoring metadata)
  *   - sanity_flag (admin-only OCR quality metadata; surfaced only as derived
  *     quality_tier — see below)
  *   - is_hidden_by_admin (filter flag, items already filtered upstream)
@@ -25,6 +28,9 @@
  *     indicator on 'needs_caution' items; structured-data emitters (JSON-LD)
  *     should include only 'clean' items.
  *
+ * category_raw carries the partner's section name for manually authored items
+ * in a section (menu_sections), so consumers group by one field either way.
+ *
  * Callers must ensure is_hidden_by_admin=FALSE filtering at query layer
  * (per MenuItemModel.getByEstablishmentId({ includeHidden: false })).
  */
@@ -46,7 +52,17 @@ export const toPublicMenuItem = (item) => {
     price_byn: item.price_byn !== null && item.price_byn !== undefined
       ? parseFloat(item.price_byn)
       : null,
-    category_raw: item.category_raw,
+    category_raw: item.section_name ?? item.category_raw,
+    description: item.description ?? null,
+    portion_size: item.portion_size !== null && item.portion_size !== undefined
+      ? parseFloat(item.portion_size)
+      : null,
+    portion_unit: item.portion_unit ?? null,
+    dietary_tags: Array.isArray(item.dietary_tags) ? item.dietary_tags : [],
+    photo: item.photo_url
+      ? { url: item.photo_url, thumbnail_url: item.photo_thumbnail_url ?? item.photo_url }
+      : null,
+    is_available: item.is_available !== false,
     position: typeof item.position === 'number' ? item.position : 0,
     quality_tier: item.sanity_flag != null ? 'needs_caution' : 'clean',
   };
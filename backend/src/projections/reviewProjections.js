@@ -11,8 +11,23 @@
  *   - partner_responder_id (leaks partner user UUID)
  *   - user_id (replaced by author.id which is the same value, but the
  *     wrapper shape is the public contract)
+ *   - photo moderation fields (is_hidden_by_admin, hidden_reason) — only
+ *     visible photos reach the projection
  */
 
+/**
+ * Public shape of a review photo: the three Cloudinary renditions.
+ *
+ * @param {Object} photo
+ * @returns {Object} { id, url, preview_url, thumbnail_url }
+ */
+const toPublicReviewPhoto = (photo) => ({
+  id: photo.id,
+  url: photo.url,
+  preview_url: photo.preview_url,
+  thumbnail_url: photo.thumbnail_url,
+});
+
 /**
  * Convert raw review row (from reviewService.getEstablishmentReviews shape)
  * to public projection.
@@ -55,6 +70,7 @@ export const toPublicReview = (review) => {
     created_at: review.created_at,
     updated_at: review.updated_at,
     author,
+    photos: (review.photos || []).map(toPublicReviewPhoto),
   };
 };
 
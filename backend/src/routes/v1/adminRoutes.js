@@ -17,6 +17,7 @@ import * as adminReviewController from '../../controllers/adminReviewController.
 import * as adminMenuItemController from '../../controllers/adminMenuItemController.js';
 import * as qualityHealthController from '../../controllers/qualityHealthController.js';
 import * as badgesController from '../../controllers/badgesController.js';
+import * as searchSynonymController from '../../controllers/searchSynonymController.js';
 import { validateLogin } from '../../validators/authValidation.js';
 import { createRateLimiter } from '../../middleware/rateLimiter.js';
 import { authenticate, authorize } from '../../middleware/auth.js';
@@ -306,6 +307,33 @@ router.get(
   analyticsController.getReviewsAnalytics,
 );
 
+/**
+ * GET /api/v1/admin/analytics/search
+ *
+ * Search analytics: volume timeline, zero-result / fallback / cache rates,
+ * click-through and top queries.
+ * Query: ?period=30d&limit=20
+ */
+router.get(
+  '/analytics/search',
+  authenticate,
+  authorize(['admin']),
+  analyticsController.getSearchAnalytics,
+);
+
+/**
+ * GET /api/v1/admin/analytics/search/zero-results
+ *
+ * Queries that returned no results, most frequent first.
+ * Query: ?period=30d&limit=20
+ */
+router.get(
+  '/analytics/search/zero-results',
+  authenticate,
+  authorize(['admin']),
+  analyticsController.getZeroResultSearches,
+);
+
 // ============================================================================
 // Segment E: Reviews Management
 // ============================================================================
@@ -352,6 +380,32 @@ router.post(
   adminReviewController.deleteReview,
 );
 
+/**
+ * POST /api/v1/admin/reviews/photos/:photoId/hide
+ *
+ * Hide one photo of a review from public pages (the review stays visible).
+ * Body: { reason: "string" } (required)
+ * Writes audit_log entry.
+ */
+router.post(
+  '/reviews/photos/:photoId/hide',
+  authenticate,
+  authorize(['admin']),
+  adminReviewController.hidePhoto,
+);
+
+/**
+ * POST /api/v1/admin/reviews/photos/:photoId/unhide
+ *
+ * Reverse a prior photo hide. Writes audit_log entry.
+ */
+router.post(
+  '/reviews/photos/:photoId/unhide',
+  authenticate,
+  authorize(['admin']),
+  adminReviewController.unhidePhoto,
+);
+
 // ============================================================================
 // Segment B: Menu-item moderation (Smart Search Этап 2)
 // ============================================================================
@@ -369,6 +423,19 @@ router.get(
   adminMenuItemController.listFlaggedMenuItems,
 );
 
+/**
+ * GET /api/v1/admin/menu-items/price-report
+ *
+ * Current price of a dish by city across live menus, from the menu price
+ * history. Query: ?q=капучино (required, ≥ 2 chars) &city=Минск
+ */
+router.get(
+  '/menu-items/price-report',
+  authenticate,
+  authorize(['admin']),
+  adminMenuItemController.getMenuPriceReport,
+);
+
 /**
  * POST /api/v1/admin/menu-items/:id/hide
  *
@@ -461,4 +528,58 @@ router.get(
   badgesController.getBadges,
 );
 
+// ============================================================================
+// Segment H: Search synonyms
+// ============================================================================
+
+/**
+ * GET /api/v1/admin/search/synonyms
+ *
+ * All search synonyms (inactive included), ordered by term.
+ */
+router.get(
+  '/search/synonyms',
+  authenticate,
+  authorize(['admin']),
+  searchSynonymController.listSynonyms,
+);
+
+/**
+ * POST /api/v1/admin/search/synonyms
+ *
+ * Create a synonym: a word or phrase that widens text search to categories /
+ * cuisines. Takes effect without a deploy; audit-logged.
+ * Body: { term: string, categories?: string[], cuisines?: string[], is_active?: boolean }
+ */
+router.post(
+  '/search/synonyms',
+  authenticate,
+  authorize(['admin']),
+  searchSynonymController.createSynonym,
+);
+
+/**
+ * PATCH /api/v1/admin/search/synonyms/:id
+ *
+ * Update any of term / categories / cuisines / is_active. Audit-logged.
+ */
+router.patch(
+  '/search/synonyms/:id',
+  authenticate,
+  authorize(['admin']),
+  searchSynonymController.updateSynonym,
+);
+
+/**
+ * DELETE /api/v1/admin/search/synonyms/:id
+ *
+ * Delete a synonym (is_active=false keeps it for later). Audit-logged.
+ */
+router.delete(
+  '/search/synonyms/:id',
+  authenticate,
+  authorize(['admin']),
+  searchSynonymController.deleteSynonym,
+);
+
 export default router;
@@ -5,22 +5,66 @@
  *
  * Partner routes (under /api/v1/partner/bookings/:establishmentId):
  *   GET    /                          — list bookings (status filter)
+ *   POST   /                          — enter a phone reservation (created confirmed)
+ *   POST   /walk-ins                  — record a walk-in party
  *   PUT    /:bookingId/confirm        — confirm booking
  *   PUT    /:bookingId/decline        — decline booking
  *   PUT    /:bookingId/no-show        — mark no-show
  *   PUT    /:bookingId/complete       — mark completed
+ *   PUT    /:bookingId/cancel         — cancel a partner-entered booking
+ *   GET    /:bookingId/changes        — booking change history
+ *   GET    /calendar-feed             — calendar feed status
+ *   POST   /calendar-feed             — enable feed / rotate token (returns URL once)
+ *   DELETE /calendar-feed             — disable feed
+ *
+ * Calendar feed (under /api/v1/partner/bookings/:establishmentId, no session):
+ *   GET    /calendar.ics?token=...    — read-only iCal feed for calendar apps
  *
  * User routes (under /api/v1/bookings):
  *   POST   /                          — create booking
  *   GET    /my                        — list user's bookings
  *   PUT    /:bookingId/cancel         — cancel booking
+ *   PUT    /:bookingId/reconfirm      — answer a day-before reconfirm request
+ *   PUT    /:bookingId/modify         — change date / time / guest count
+ *   GET    /:bookingId/changes        — booking change history
+ *   GET    /:bookingId/ics            — download booking as .ics
+ *   POST   /waitlist                  — join waitlist (date + time window)
+ *   GET    /waitlist/my               — list user's waitlist entries
+ *   PUT    /waitlist/:entryId/cancel  — leave waitlist
+ *   POST   /waitlist/:entryId/claim   — claim an offered slot (creates booking)
+ *
+ * Public route (mounted directly in v1/index.js):
+ *   GET    /api/v1/establishments/:id/availability — bookable slots for a day
  *
  * Partner routes require partner auth. User routes require user auth.
+ * The calendar feed is authorised by its URL token alone, so it lives on its
+ * own router mounted ahead of the partner router.
  */
 
 import express from 'express';
 import * as BookingController from '../../controllers/bookingController.js';
 import { authenticate, authorize } from '../../middleware/auth.js';
+import { createRateLimiter } from '../../middleware/rateLimiter.js';
+
+// ============================================================================
+// Partner calendar feed (token-authorised)
+// ============================================================================
+
+export const partnerBookingFeedRouter = express.Router();
+
+// Calendar apps poll every few minutes to hours; this only stops token guessing
+// and runaway clients.
+const calendarFeedLimiter = createRateLimiter({
+  limit: 120,
+  windowSeconds: 3600,
+  keyPrefix: 'calendar-feed',
+});
+
+partnerBookingFeedRouter.get(
+  '/:establishmentId/calendar.ics',
+  calendarFeedLimiter,
+  BookingController.getCalendarFeedIcs,
+);
 
 // ============================================================================
 // Partner booking routes
@@ -36,6 +80,16 @@ partnerBookingRouter.get(
   BookingController.getPartnerBookings,
 );
 
+partnerBookingRouter.post(
+  '/:establishmentId',
+  BookingController.createPartnerBooking,
+);
+
+partnerBookingRouter.post(
+  '/:establishmentId/walk-ins',
+  BookingController.recordWalkIn,
+);
+
 partnerBookingRouter.put(
   '/:establishmentId/:bookingId/confirm',
   BookingController.confirmBooking,
@@ -56,6 +110,31 @@ partnerBookingRouter.put(
   BookingController.markCompleted,
 );
 
+partnerBookingRouter.put(
+  '/:establishmentId/:bookingId/cancel',
+  BookingController.cancelPartnerBooking,
+);
+
+partnerBookingRouter.get(
+  '/:establishmentId/:bookingId/changes',
+  BookingController.getPartnerBookingChanges,
+);
+
+partnerBookingRouter.get(
+  '/:establishmentId/calendar-feed',
+  BookingController.getCalendarFeed,
+);
+
+partnerBookingRouter.post(
+  '/:establishmentId/calendar-feed',
+  BookingController.rotateCalendarFeed,
+);
+
+partnerBookingRouter.delete(
+  '/:establishmentId/calendar-feed',
+  BookingController.revokeCalendarFeed,
+);
+
 // ============================================================================
 // User booking routes
 // ============================================================================
@@ -78,3 +157,43 @@ userBookingRouter.put(
   '/:bookingId/cancel',
   BookingController.cancelBooking,
 );
+
+userBookingRouter.put(
+  '/:bookingId/reconfirm',
+  BookingController.reconfirmBooking,
+);
+
+userBookingRouter.put(
+  '/:bookingId/modify',
+  BookingController.modifyBooking,
+);
+
+userBookingRouter.get(
+  '/:bookingId/changes',
+  BookingController.getBookingChanges,
+);
+
+userBookingRouter.get(
+  '/:bookingId/ics',
+  BookingController.downloadBookingIcs,
+);
+
+userBookingRouter.post(
+  '/waitlist',
+  BookingController.joinWaitlist,
+);
+
+userBookingRouter.get(
+  '/waitlist/my',
+  BookingController.getUserWaitlist,
+);
+
+userBookingRouter.put(
+  '/waitlist/:entryId/cancel',
+  BookingController.leaveWaitlist,
+);
+
+userBookingRouter.post(
+  '/waitlist/:entryId/claim',
+  BookingController.claimWaitlistOffer,
+);
@@ -6,6 +6,10 @@
  *   POST   /api/v1/partner/booking-settings/:establishmentId/activate     — activate booking
  *   PUT    /api/v1/partner/booking-settings/:establishmentId              — update settings
  *   POST   /api/v1/partner/booking-settings/:establishmentId/deactivate   — deactivate booking
+ *   GET    /api/v1/partner/booking-settings/:establishmentId/tables                — list tables
+ *   POST   /api/v1/partner/booking-settings/:establishmentId/tables                — add table
+ *   PUT    /api/v1/partner/booking-settings/:establishmentId/tables/:tableId       — update table
+ *   DELETE /api/v1/partner/booking-settings/:establishmentId/tables/:tableId       — remove table
  *
  * All endpoints require authentication and partner role.
  * Ownership verified at the service layer.
@@ -45,4 +49,28 @@ router.post(
   BookingSettingsController.deactivate,
 );
 
+// GET /:establishmentId/tables — list table inventory
+router.get(
+  '/:establishmentId/tables',
+  BookingSettingsController.listTables,
+);
+
+// POST /:establishmentId/tables — add table
+router.post(
+  '/:establishmentId/tables',
+  BookingSettingsController.createTable,
+);
+
+// PUT /:establishmentId/tables/:tableId — update table
+router.put(
+  '/:establishmentId/tables/:tableId',
+  BookingSettingsController.updateTable,
+);
+
+// DELETE /:establishmentId/tables/:tableId — remove table
+router.delete(
+  '/:establishmentId/tables/:tableId',
+  BookingSettingsController.deleteTable,
+);
+
 export default router;
@@ -20,6 +20,7 @@ import * as partnerMenuItemController from '../../controllers/partnerMenuItemCon
 import { authenticate, authorize } from '../../middleware/auth.js';
 import { validate } from '../../middleware/errorHandler.js';
 import { createRateLimiter } from '../../middleware/rateLimiter.js';
+import { uploadMenuFile } from '../../middleware/upload.js';
 import mediaRoutes from './mediaRoutes.js';
 
 // 5 OCR retries per partner per day — protects OpenRouter quota against abuse.
@@ -231,6 +232,137 @@ router.get(
   partnerMenuItemController.listMenuItems,
 );
 
+/**
+ * POST /api/v1/partner/establishments/:id/menu-items
+ *
+ * Add a menu item by hand (no menu file). Body: item_name, price_byn?,
+ * category_raw?, section_id?, description?, portion_size? + portion_unit?
+ * ('g' | 'ml'), dietary_tags?, photo_media_id? (a 'dishes' photo),
+ * is_available?. Manual items survive OCR re-runs.
+ */
+router.post(
+  '/:id/menu-items',
+  authorize(['partner']),
+  partnerMenuItemController.createMenuItem,
+);
+
+/**
+ * PUT /api/v1/partner/establishments/:id/menu-items/order
+ *
+ * Bulk reorder. Body: items [{ id, position, section_id? }] — a section_id
+ * key (manual items only) also moves the item; null takes it out of its
+ * section. Returns the updated menu list.
+ */
+router.put(
+  '/:id/menu-items/order',
+  authorize(['partner']),
+  partnerMenuItemController.reorderMenuItems,
+);
+
+/**
+ * GET  /api/v1/partner/establishments/:id/menu-sections
+ * POST /api/v1/partner/establishments/:id/menu-sections
+ *
+ * List sections (display order, with item_count) / create one at the end.
+ * Body for POST: name (unique per establishment — 409 on duplicate).
+ */
+router.get(
+  '/:id/menu-sections',
+  authorize(['partner']),
+  partnerMenuItemController.listMenuSections,
+);
+router.post(
+  '/:id/menu-sections',
+  authorize(['partner']),
+  partnerMenuItemController.createMenuSection,
+);
+
+/**
+ * PUT /api/v1/partner/establishments/:id/menu-sections/order
+ *
+ * Body: section_ids — every section of the establishment, in the new order.
+ */
+router.put(
+  '/:id/menu-sections/order',
+  authorize(['partner']),
+  partnerMenuItemController.reorderMenuSections,
+);
+
+/**
+ * PATCH  /api/v1/partner/establishments/:id/menu-sections/:sectionId
+ * DELETE /api/v1/partner/establishments/:id/menu-sections/:sectionId
+ *
+ * Rename (body: name) / delete a section. Deleting keeps its items, unsectioned.
+ */
+router.patch(
+  '/:id/menu-sections/:sectionId',
+  authorize(['partner']),
+  partnerMenuItemController.renameMenuSection,
+);
+router.delete(
+  '/:id/menu-sections/:sectionId',
+  authorize(['partner']),
+  partnerMenuItemController.deleteMenuSection,
+);
+
+/**
+ * GET /api/v1/partner/establishments/:id/menu/export?format=csv|json
+ *
+ * Download the menu as a file (menuFileContract; csv is ';'-delimited with a
+ * BOM so ru-locale Excel opens it directly). Defaults to csv.
+ */
+router.get(
+  '/:id/menu/export',
+  authorize(['partner']),
+  partnerMenuItemController.exportMenu,
+);
+
+/**
+ * POST /api/v1/partner/establishments/:id/menu/import?dry_run=true
+ *
+ * Replace the manually authored menu with a menu file. multipart/form-data,
+ * field "file" (.csv / .json, max 1MB); format from the extension unless
+ * ?format= is given. With dry_run the diff (and any row errors) is returned
+ * and nothing changes.
+ */
+router.post(
+  '/:id/menu/import',
+  authorize(['partner']),
+  (req, res, next) => {
+    uploadMenuFile(req, res, (err) => {
+      if (err) {
+        if (err.code === 'LIMIT_FILE_SIZE') {
+          return res.status(400).json({
+            success: false,
+            error: { code: 'FILE_TOO_LARGE', message: 'Menu file must be under 1MB' },
+          });
+        }
+        if (err.message === 'INVALID_FILE_TYPE') {
+          return res.status(400).json({
+            success: false,
+            error: { code: 'INVALID_FILE_TYPE', message: 'Only .csv and .json menu files are allowed' },
+          });
+        }
+        return next(err);
+      }
+      next();
+    });
+  },
+  partnerMenuItemController.importMenu,
+);
+
+/**
+ * GET /api/v1/partner/establishments/:id/menu/price-history
+ *
+ * Recorded price changes across OCR runs, manual edits and imports, newest
+ * first. Query: ?item_name=Капучино (full history of one dish), page, per_page.
+ */
+router.get(
+  '/:id/menu/price-history',
+  authorize(['partner']),
+  partnerMenuItemController.getPriceHistory,
+);
+
 /**
  * POST /api/v1/partner/establishments/:id/retry-ocr
  *
@@ -244,6 +376,42 @@ router.post(
   partnerMenuItemController.retryOcr,
 );
 
+/**
+ * GET /api/v1/partner/establishments/:id/menu-drafts
+ *
+ * OCR results awaiting review, one draft per menu media, each with its diff
+ * against the live items (added / price_changed / unchanged, plus removed).
+ */
+router.get(
+  '/:id/menu-drafts',
+  authorize(['partner']),
+  partnerMenuItemController.listMenuDrafts,
+);
+
+/**
+ * POST /api/v1/partner/establishments/:id/menu-drafts/:draftId/publish
+ *
+ * Make the draft the live menu of its media. Body (all optional — empty body
+ * accepts everything): reject_item_ids, edits [{ id, item_name?, price_byn?,
+ * category_raw? }], keep_item_ids (live items from `removed` to keep).
+ */
+router.post(
+  '/:id/menu-drafts/:draftId/publish',
+  authorize(['partner']),
+  partnerMenuItemController.publishMenuDraft,
+);
+
+/**
+ * DELETE /api/v1/partner/establishments/:id/menu-drafts/:draftId
+ *
+ * Reject the whole draft; the live menu stays as it is.
+ */
+router.delete(
+  '/:id/menu-drafts/:draftId',
+  authorize(['partner']),
+  partnerMenuItemController.discardMenuDraft,
+);
+
 /**
  * Mount media routes (Phase Two integration)
  * 
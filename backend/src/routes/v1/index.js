@@ -40,21 +40,23 @@ import partnerAnalyticsRoutes from './partnerAnalyticsRoutes.js';
 import promotionRoutes from './promotionRoutes.js';
 import bookingSettingsRoutes from './bookingSettingsRoutes.js';
 import partnerMenuItemRoutes from './partnerMenuItemRoutes.js';
-import { partnerBookingRouter, userBookingRouter } from './bookingRoutes.js';
+import { partnerBookingFeedRouter, partnerBookingRouter, userBookingRouter } from './bookingRoutes.js';
 import { trackCall, trackPromotionView } from '../../controllers/partnerAnalyticsController.js';
+import { getAvailability } from '../../controllers/bookingController.js';
+import { trackSearchClick } from '../../controllers/searchController.js';
 import { createRateLimiter } from '../../middleware/rateLimiter.js';
 
 const router = express.Router();
 
 /**
- * Shared per-IP budget for the two unauthenticated analytics writes (OSB-P5).
+ * Shared per-IP budget for the unauthenticated analytics writes (OSB-P5).
  *
- * One limiter instance on both routes = one Redis budget (the key carries
- * prefix+IP, not the path), so a counter-inflation script cannot double its
+ * One limiter instance on all these routes = one Redis budget (the key carries
+ * prefix+IP, not the path), so a counter-inflation script cannot multiply its
  * rate by alternating endpoints. 60/hour/IP is ~20× the legitimate ceiling
- * (a person taps «позвонить» or opens promo sheets a handful of times an
- * hour), while cutting the inflation potential of the global 300/hour bucket
- * by 5× on these counters. Both mobile call sites are fire-and-forget
+ * (a person taps «позвонить», opens promo sheets or search results a handful
+ * of times an hour), while cutting the inflation potential of the global
+ * 300/hour bucket by 5× on these counters. All call sites are fire-and-forget
  * (.ignore() / .catchError), so a 429 is invisible to users.
  */
 const analyticsWriteLimiter = createRateLimiter({
@@ -63,6 +65,17 @@ const analyticsWriteLimiter = createRateLimiter({
   keyPrefix: 'analytics-write',
 });
 
+/**
+ * Public availability limiter: 60 requests per minute per IP.
+ * Each request loads tables, bookings and waitlist offers for the day; a slot
+ * picker re-queries as the guest changes date or party size, far below this.
+ */
+const availabilityLimiter = createRateLimiter({
+  limit: 60,
+  windowSeconds: 60,
+  keyPrefix: 'availability',
+});
+
 /**
  * GET /api/v1/health
  * 
@@ -288,6 +301,15 @@ router.use('/notifications', notificationRoutes);
  */
 router.post('/establishments/:id/track-call', analyticsWriteLimiter, trackCall);
 
+/**
+ * GET /api/v1/establishments/:id/availability?date=YYYY-MM-DD&guests=N
+ *
+ * Public slot picker for the mobile/web booking forms. No authentication —
+ * returns the same verdict createBooking would reach for each 30-minute slot
+ * (working/special hours, min_hours_before, seated capacity).
+ */
+router.get('/establishments/:id/availability', availabilityLimiter, getAvailability);
+
 /**
  * POST /api/v1/analytics/promotion-view
  *
@@ -297,6 +319,15 @@ router.post('/establishments/:id/track-call', analyticsWriteLimiter, trackCall);
  */
 router.post('/analytics/promotion-view', analyticsWriteLimiter, trackPromotionView);
 
+/**
+ * POST /api/v1/analytics/search-click
+ *
+ * Public endpoint for reporting which result a user opened from a search
+ * (click-through in /admin/analytics/search). Fire-and-forget tracking.
+ * Body: { searchEventId: UUID, establishmentId: UUID, position?: number }
+ */
+router.post('/analytics/search-click', analyticsWriteLimiter, trackSearchClick);
+
 /**
  * /api/v1/partner/analytics/*
  *
@@ -322,7 +353,8 @@ router.use('/partner/promotions', promotionRoutes);
  * /api/v1/partner/menu-items/*
  *
  * Partner operations on parsed menu items (Segment B):
- * - PATCH /partner/menu-items/:id — inline edit (item_name, price_byn, category_raw)
+ * - PATCH /partner/menu-items/:id — inline edit (item_name, price_byn, category_raw, section_id)
+ * - DELETE /partner/menu-items/:id — delete a manually added item
  */
 router.use('/partner/menu-items', partnerMenuItemRoutes);
 
@@ -334,6 +366,8 @@ router.use('/partner/menu-items', partnerMenuItemRoutes);
  * - POST /partner/booking-settings/:id/activate — activate booking
  * - PUT /partner/booking-settings/:id — update settings
  * - POST /partner/booking-settings/:id/deactivate — deactivate booking
+ * - GET/POST /partner/booking-settings/:id/tables — table inventory
+ * - PUT/DELETE /partner/booking-settings/:id/tables/:tableId — edit/remove table
  */
 router.use('/partner/booking-settings', bookingSettingsRoutes);
 
@@ -342,11 +376,20 @@ router.use('/partner/booking-settings', bookingSettingsRoutes);
  *
  * Partner booking management endpoints (all require partner auth):
  * - GET /partner/bookings/:establishmentId — list bookings
- * - PUT /partner/bookings/:establishmentId/:bookingId/confirm — confirm
+ * - POST /partner/bookings/:establishmentId — enter a phone reservation (guest name + phone, created confirmed)
+ * - POST /partner/bookings/:establishmentId/walk-ins — record a walk-in party
+ * - PUT /partner/bookings/:establishmentId/:bookingId/confirm — confirm (body.force overrides capacity)
  * - PUT /partner/bookings/:establishmentId/:bookingId/decline — decline
  * - PUT /partner/bookings/:establishmentId/:bookingId/no-show — mark no-show
  * - PUT /partner/bookings/:establishmentId/:bookingId/complete — mark completed
+ * - PUT /partner/bookings/:establishmentId/:bookingId/cancel — cancel a partner-entered booking
+ * - GET /partner/bookings/:establishmentId/:bookingId/changes — booking change history
+ * - GET/POST/DELETE /partner/bookings/:establishmentId/calendar-feed — iCal feed status / enable-rotate / disable
+ *
+ * Token-authorised (no session, mounted first so partner auth does not apply):
+ * - GET /partner/bookings/:establishmentId/calendar.ics?token=... — iCal feed
  */
+router.use('/partner/bookings', partnerBookingFeedRouter);
 router.use('/partner/bookings', partnerBookingRouter);
 
 /**
@@ -356,6 +399,12 @@ router.use('/partner/bookings', partnerBookingRouter);
  * - POST /bookings — create booking
  * - GET /bookings/my — list user's bookings
  * - PUT /bookings/:bookingId/cancel — cancel booking
+ * - PUT /bookings/:bookingId/reconfirm — answer a day-before reconfirm request
+ * - PUT /bookings/:bookingId/modify — change date / time / guest count (may return to pending)
+ * - GET /bookings/:bookingId/changes — booking change history
+ * - GET /bookings/:bookingId/ics — download booking as .ics
+ * - POST /bookings/waitlist, GET /bookings/waitlist/my — join / list waitlist
+ * - PUT /bookings/waitlist/:entryId/cancel, POST /bookings/waitlist/:entryId/claim — leave / claim offer
  */
 router.use('/bookings', userBookingRouter);
 
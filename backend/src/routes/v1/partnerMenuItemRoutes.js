@@ -6,7 +6,7 @@
  * which establishment they belong to; ownership is enforced in the service layer.
  *
  * Endpoints here handle menu-item-level routes. Establishment-scoped menu
- * endpoints (list, retry-ocr) live in establishmentRoutes.js.
+ * endpoints (list, create, reorder, sections, retry-ocr) live in establishmentRoutes.js.
  */
 
 import express from 'express';
@@ -21,7 +21,9 @@ router.use(authenticate);
  * PATCH /api/v1/partner/menu-items/:id
  *
  * Inline-edit a parsed menu item. Body may include item_name, price_byn,
- * category_raw. Clears sanity_flag on success — partner vouches for the values.
+ * category_raw, description, portion_size + portion_unit, dietary_tags,
+ * photo_media_id, is_available, and (manual items only) section_id. Clears
+ * sanity_flag on success — partner vouches for the values.
  */
 router.patch(
   '/:id',
@@ -29,4 +31,15 @@ router.patch(
   partnerMenuItemController.updateMenuItem,
 );
 
+/**
+ * DELETE /api/v1/partner/menu-items/:id
+ *
+ * Delete a manually added item. OCR items → 409 MENU_ITEM_NOT_MANUAL.
+ */
+router.delete(
+  '/:id',
+  authorize(['partner']),
+  partnerMenuItemController.deleteMenuItem,
+);
+
 export default router;
@@ -39,7 +39,8 @@ router.get('/metadata', publicController.getPublicMetadata);
  * (deferred to Brief 3+).
  *
  * Query params: city, category, cuisines[], priceRange[], minRating,
- * hours_filter, search, limit (default 200, max 500).
+ * hours_filter, open_now, open_at (ISO datetime, 422 when invalid), search,
+ * limit (default 200, max 500).
  *
  * MUST be defined before /:slug-style routes to avoid 'map' matching as a slug.
  */
@@ -80,13 +81,27 @@ router.get(
   publicController.getPublicReviews,
 );
 
+/**
+ * GET /api/v1/public/establishments/by-slug/:slug/similar
+ *
+ * "Похожие заведения": active establishments in the same city sharing
+ * categories / cuisines, scored by canon-field overlap, price tier, shared
+ * menu items and distance. Each listing carries a `similarity` breakdown.
+ *
+ * Query params: limit (default 8, max 20).
+ */
+router.get(
+  '/establishments/by-slug/:slug/similar',
+  publicController.getPublicSimilarEstablishments,
+);
+
 /**
  * GET /api/v1/public/establishments/by-slug/:slug
  *
  * Single establishment by slug. Strict status='active'; 404 otherwise.
  * Side effect: increments view_count (preserves legacy /search/:id behaviour).
  *
- * NOTE: must come AFTER the more-specific by-slug/:slug/{menu-items,reviews}
+ * NOTE: must come AFTER the more-specific by-slug/:slug/{menu-items,reviews,similar}
  * routes above. Express matches top-down — generic by-slug last.
  */
 router.get(
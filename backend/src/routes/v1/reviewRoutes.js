@@ -15,6 +15,11 @@ import * as ReviewController from '../../controllers/reviewController.js';
 import * as ReviewValidation from '../../validators/reviewValidation.js';
 import { authenticate, authorize } from '../../middleware/auth.js';
 import { validate } from '../../middleware/errorHandler.js';
+import {
+  MAX_REVIEW_PHOTOS,
+  removeTempFiles,
+  uploadReviewPhotos,
+} from '../../middleware/upload.js';
 
 const router = express.Router();
 
@@ -50,12 +55,46 @@ router.get(
  * The controller extracts data and calls service layer.
  * The service layer enforces business rules and coordinates operations.
  * 
+ * Accepts JSON, or multipart/form-data with the same fields plus up to
+ * MAX_REVIEW_PHOTOS images in field "photos" (JPEG/PNG/WebP, max 5MB each).
+ * Temp files are removed once the response is sent, whatever the outcome.
+ *
  * Protected: Yes (requires authentication)
  * Rate Limited: Yes (10 reviews per day enforced in service layer)
  */
 router.post(
   '/',
   authenticate,
+  (req, res, next) => {
+    uploadReviewPhotos(req, res, (err) => {
+      res.on('finish', () => removeTempFiles(req.files));
+      if (err) {
+        if (err.code === 'LIMIT_FILE_SIZE') {
+          return res.status(400).json({
+            success: false,
+            error: { code: 'FILE_TOO_LARGE', message: 'Each photo must be under 5MB' },
+          });
+        }
+        if (err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE') {
+          return res.status(400).json({
+            success: false,
+            error: {
+              code: 'TOO_MANY_PHOTOS',
+              message: `A review can have at most ${MAX_REVIEW_PHOTOS} photos`,
+            },
+          });
+        }
+        if (err.message === 'INVALID_FILE_TYPE') {
+          return res.status(400).json({
+            success: false,
+            error: { code: 'INVALID_FILE_TYPE', message: 'Only JPEG, PNG and WebP images are allowed' },
+          });
+        }
+        return next(err);
+      }
+      next();
+    });
+  },
   ReviewValidation.validateCreateReview,
   validate,
   ReviewController.createReview,
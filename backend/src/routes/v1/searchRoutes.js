@@ -8,6 +8,7 @@ import express from 'express';
 import * as searchController from '../../controllers/searchController.js';
 import * as smartSearchController from '../../controllers/smartSearchController.js';
 import { createRateLimiter } from '../../middleware/rateLimiter.js';
+import { optionalAuth } from '../../middleware/auth.js';
 
 const router = express.Router();
 
@@ -45,14 +46,42 @@ router.get('/health', searchController.searchHealth);
  * - minRating (optional): Minimum average rating (1-5)
  * - limit (optional): Results per page (default: 20, max: 100)
  * - offset (optional): Pagination offset (default: 0)
+ * - sort_by (optional): rating, distance, price_asc, price_desc, for_you
  *
  * Response includes:
  * - establishments: Array of establishment objects with distance
  * - pagination: Total count and pagination metadata
  *
- * Results are ordered by distance (closest first), then by rating
+ * Results are ordered by distance (closest first), then by rating.
+ * sort_by=for_you re-ranks the top candidates for the signed-in user
+ * (optionalAuth: a bearer token is read when present, never required);
+ * results then carry personalization_score and explanation, and the response
+ * carries `personalized`.
  */
-router.get('/establishments', searchController.searchEstablishments);
+router.get('/establishments', optionalAuth, searchController.searchEstablishments);
+
+/**
+ * GET /api/v1/search/dishes
+ *
+ * Dish search: the matched menu items themselves, grouped by establishment
+ * Public endpoint - no authentication required
+ *
+ * Query Parameters:
+ * - q (required): Dish text (e.g. "цезарь")
+ * - max_price (optional): Budget in BYN (regular or active promotion price)
+ * - latitude / longitude / radius (optional): Distance and radius filter
+ * - city, categories, cuisines, open_now, open_at (optional): Establishment filters
+ * - sort_by (optional): relevance (default), price_asc, distance, rating
+ * - page / limit (optional): Pagination over establishments
+ *
+ * Response includes:
+ * - establishments: Establishment listings, each with dishes[] (best match
+ *   first: item_name, price_byn, discount_price_byn, effective_price_byn,
+ *   promotion_id, promotion_title, similarity), dish_count and min_price_byn
+ * - pagination: Pagination metadata
+ * - searchEventId: Id for POST /analytics/search-click (first page only)
+ */
+router.get('/dishes', searchController.searchDishes);
 
 /**
  * GET /api/v1/search/establishments/:id
@@ -114,6 +143,12 @@ router.get('/map', searchController.searchMap);
  * - establishments: Array of matching establishments
  * - pagination: Pagination metadata
  * - fallback: Boolean indicating if ILIKE fallback was used
+ * - location: Gazetteer place the query's location resolved to
+ *   ({ name, type, city }) or null
+ * - mode: 'dishes' when the query named a dish (establishments then carry
+ *   dishes[], dish_count and min_price_byn as in GET /search/dishes),
+ *   otherwise 'establishments'
+ * - searchEventId: Id for POST /analytics/search-click (null beyond page 1)
  */
 router.post('/smart', smartSearchLimiter, smartSearchController.smartSearch);
 
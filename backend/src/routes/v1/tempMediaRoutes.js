@@ -117,6 +117,7 @@ const validateTempUpload = [
  * - url: Full resolution Cloudinary URL
  * - thumbnail_url: Thumbnail resolution URL
  * - preview_url: Preview resolution URL
+ * - pages: Page count (PDF only)
  *
  * Protected: Yes (user or partner role required)
  */
@@ -205,6 +206,8 @@ router.post(
             preview_url: previewUrl,
             public_id: pdfUploadResult.public_id,
             file_type: 'pdf',
+            // Echoed back in menu_pdfs[] so the OCR job knows the page count
+            pages: pdfUploadResult.pages,
           },
         });
       }
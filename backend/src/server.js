@@ -11,6 +11,8 @@ import { rateLimiter } from './middleware/rateLimiter.js';
 import { errorHandler, notFoundHandler } from './middleware/errorHandler.js';
 import { UPLOADS_ROOT } from './middleware/upload.js';
 import * as ocrJobPoller from './services/ocr/ocrJobPoller.js';
+import * as ocrEngines from './services/ocr/ocrEngines.js';
+import * as bookingLifecycleWorker from './services/bookingLifecycleWorker.js';
 
 // Load environment variables from .env file
 dotenv.config();
@@ -144,6 +146,12 @@ const gracefulShutdown = async (signal) => {
       // Stop OCR poller — waits for in-flight job to finish before closing DB
       await ocrJobPoller.stop();
 
+      // Release the local OCR worker (no-op if Tesseract never ran)
+      await ocrEngines.shutdown();
+
+      // Stop booking lifecycle worker — same contract, waits for in-flight sweep
+      await bookingLifecycleWorker.stop();
+
       // Close database connection pool
       await closePool();
 
@@ -199,6 +207,9 @@ const startServer = async () => {
     // Start OCR background poller (processes pending menu OCR jobs)
     ocrJobPoller.start();
 
+    // Start booking lifecycle worker (expiry, reminders, awaiting_outcome)
+    bookingLifecycleWorker.start();
+
     // Start HTTP server
     server.listen(PORT, () => {
       logger.info(`Server listening on port ${PORT}`, {
@@ -2,8 +2,13 @@
  * Admin Review Service
  *
  * Business logic for admin review management.
- * Orchestrates review listing, visibility toggling, and deletion
- * with audit log writes for accountability.
+ * Orchestrates review listing, visibility toggling, deletion and photo
+ * moderation with audit log writes for accountability.
+ *
+ * Review photos follow their review: public reads only return photos of
+ * visible, non-deleted reviews (reviewPhotoModel.getVisibleByReviewIds), so
+ * toggleVisibility / deleteReview hide the photos too. hidePhoto hides a
+ * single photo of a review that stays visible.
  *
  * Architecture: Controller → Service → Model
  * Segment E: Utility Screens
@@ -11,6 +16,7 @@
 
 import * as AdminReviewModel from '../models/adminReviewModel.js';
 import * as ReviewModel from '../models/reviewModel.js';
+import * as ReviewPhotoModel from '../models/reviewPhotoModel.js';
 import * as AuditLogModel from '../models/auditLogModel.js';
 import * as NotificationService from './notificationService.js';
 import { AppError } from '../middleware/errorHandler.js';
@@ -19,6 +25,9 @@ import logger from '../utils/logger.js';
 /**
  * Get paginated admin reviews with filters
  *
+ * Every review carries all of its photos (admin-hidden ones included, with
+ * is_hidden_by_admin / hidden_reason) for the moderation screen.
+ *
  * @param {Object} params
  * @returns {Promise<Object>} { reviews, meta }
  */
@@ -54,8 +63,15 @@ export const getReviews = async ({
       AdminReviewModel.countAdminReviews(filters),
     ]);
 
+    const photosByReview = ReviewPhotoModel.groupByReviewId(
+      await ReviewPhotoModel.getByReviewIds(reviews.map((review) => review.id)),
+    );
+
     return {
-      reviews,
+      reviews: reviews.map((review) => ({
+        ...review,
+        photos: photosByReview.get(review.id) || [],
+      })),
       meta: {
         total,
         page: Math.max(page, 1),
@@ -76,7 +92,8 @@ export const getReviews = async ({
 };
 
 /**
- * Toggle review visibility and write audit log
+ * Toggle review visibility and write audit log. The review's photos are
+ * hidden/shown with it.
  *
  * @param {string} reviewId
  * @param {string} adminUserId - UUID of admin performing the action
@@ -131,7 +148,8 @@ export const toggleVisibility = async (reviewId, adminUserId, { ipAddress, userA
 };
 
 /**
- * Soft-delete a review, update establishment aggregates, write audit log
+ * Soft-delete a review, update establishment aggregates, write audit log.
+ * The review's photos disappear with it.
  *
  * @param {string} reviewId
  * @param {string} adminUserId
@@ -210,3 +228,118 @@ export const deleteReview = async (reviewId, adminUserId, reason, { ipAddress, u
     );
   }
 };
+
+/**
+ * Hide a single review photo (moderator action) and write audit log.
+ *
+ * @param {string} photoId
+ * @param {string} adminUserId
+ * @param {string} reason - Required
+ * @returns {Promise<Object>} Updated review_photos row
+ * @throws {AppError} 400 REASON_REQUIRED / REVIEW_PHOTO_ALREADY_HIDDEN, 404 REVIEW_PHOTO_NOT_FOUND
+ */
+export const hidePhoto = async (photoId, adminUserId, reason, { ipAddress, userAgent } = {}) => {
+  if (!reason || !reason.trim()) {
+    throw new AppError('Hide reason is required', 400, 'REASON_REQUIRED');
+  }
+
+  try {
+    const photo = await ReviewPhotoModel.findById(photoId);
+
+    if (!photo) {
+      throw new AppError('Review photo not found', 404, 'REVIEW_PHOTO_NOT_FOUND');
+    }
+
+    if (photo.is_hidden_by_admin) {
+      throw new AppError(
+        'Review photo is already hidden',
+        400,
+        'REVIEW_PHOTO_ALREADY_HIDDEN',
+      );
+    }
+
+    const updated = await ReviewPhotoModel.setHidden(photoId, { hidden: true, reason: reason.trim() });
+
+    // Non-blocking audit log write
+    AuditLogModel.createAuditLog({
+      user_id: adminUserId,
+      action: 'review_photo_hide',
+      entity_type: 'review_photo',
+      entity_id: photoId,
+      old_data: { is_hidden_by_admin: false, review_id: photo.review_id },
+      new_data: { is_hidden_by_admin: true, reason: reason.trim() },
+      ip_address: ipAddress,
+      user_agent: userAgent,
+    });
+
+    return updated;
+  } catch (error) {
+    if (error.code) throw error; // Re-throw AppError
+    logger.error('Error in hidePhoto service', {
+      error: error.message,
+      photoId,
+    });
+    throw new AppError(
+      'Failed to hide review photo',
+      500,
+      'REVIEW_PHOTO_HIDE_FAILED',
+    );
+  }
+};
+
+/**
+ * Show a previously hidden review photo again and write audit log.
+ *
+ * @param {string} photoId
+ * @param {string} adminUserId
+ * @returns {Promise<Object>} Updated review_photos row
+ * @throws {AppError} 400 REVIEW_PHOTO_NOT_HIDDEN, 404 REVIEW_PHOTO_NOT_FOUND
+ */
+export const unhidePhoto = async (photoId, adminUserId, { ipAddress, userAgent } = {}) => {
+  try {
+    const photo = await ReviewPhotoModel.findById(photoId);
+
+    if (!photo) {
+      throw new AppError('Review photo not found', 404, 'REVIEW_PHOTO_NOT_FOUND');
+    }
+
+    if (!photo.is_hidden_by_admin) {
+      throw new AppError(
+        'Review photo is not hidden',
+        400,
+        'REVIEW_PHOTO_NOT_HIDDEN',
+      );
+    }
+
+    const updated = await ReviewPhotoModel.setHidden(photoId, { hidden: false });
+
+    // Non-blocking audit log write
+    AuditLogModel.createAuditLog({
+      user_id: adminUserId,
+      action: 'review_photo_show',
+      entity_type: 'review_photo',
+      entity_id: photoId,
+      old_data: {
+        is_hidden_by_admin: true,
+        reason: photo.hidden_reason,
+        review_id: photo.review_id,
+      },
+      new_data: { is_hidden_by_admin: false },
+      ip_address: ipAddress,
+      user_agent: userAgent,
+    });
+
+    return updated;
+  } catch (error) {
+    if (error.code) throw error; // Re-throw AppError
+    logger.error('Error in unhidePhoto service', {
+      error: error.message,
+      photoId,
+    });
+    throw new AppError(
+      'Failed to show review photo',
+      500,
+      'REVIEW_PHOTO_SHOW_FAILED',
+    );
+  }
+};
@@ -11,6 +11,7 @@
 import * as EstablishmentModel from '../models/establishmentModel.js';
 import * as MediaModel from '../models/mediaModel.js';
 import * as MenuItemModel from '../models/menuItemModel.js';
+import * as MenuPriceHistoryModel from '../models/menuPriceHistoryModel.js';
 import * as OcrJobModel from '../models/ocrJobModel.js';
 import * as PartnerDocumentsModel from '../models/partnerDocumentsModel.js';
 import * as AuditLogModel from '../models/auditLogModel.js';
@@ -1448,3 +1449,40 @@ export const getFlaggedMenuItems = async ({ page = 1, perPage = 20, reason } = {
     },
   };
 };
+
+const MIN_PRICE_QUERY_LENGTH = 2;
+
+/**
+ * Platform-wide price of a dish by city ("average cappuccino in Минск"),
+ * from the current prices in menu_price_history over live menus.
+ *
+ * @param {Object} params
+ * @param {string} params.query - Dish name or part of it
+ * @param {string} [params.city] - Only this city
+ * @returns {Promise<{ query: string, cities: Object[] }>}
+ * @throws {AppError} 422 VALIDATION_ERROR on a missing / too short query
+ */
+export const getMenuPriceReport = async ({ query, city } = {}) => {
+  const trimmed = typeof query === 'string' ? query.trim() : '';
+  if (trimmed.length < MIN_PRICE_QUERY_LENGTH) {
+    throw new AppError(
+      `q must be at least ${MIN_PRICE_QUERY_LENGTH} characters`,
+      422,
+      'VALIDATION_ERROR',
+    );
+  }
+
+  const rows = await MenuPriceHistoryModel.getCityPriceReport({ query: trimmed, city });
+
+  return {
+    query: trimmed,
+    cities: rows.map((row) => ({
+      city: row.city,
+      establishment_count: row.establishment_count,
+      avg_price_byn: parseFloat(row.avg_price_byn),
+      median_price_byn: parseFloat(row.median_price_byn),
+      min_price_byn: parseFloat(row.min_price_byn),
+      max_price_byn: parseFloat(row.max_price_byn),
+    })),
+  };
+};
@@ -7,10 +7,12 @@
  * - Date gap filling for continuous chart series
  * - Percentage change calculation with null-safe division
  *
- * Read-only — queries existing tables, creates no new data.
+ * Read-only — queries existing tables, creates no new data. Search analytics
+ * read search_events, written by searchEventService.
  */
 
 import * as AnalyticsModel from '../models/analyticsModel.js';
+import * as SearchEventModel from '../models/searchEventModel.js';
 import { AppError } from '../middleware/errorHandler.js';
 import logger from '../utils/logger.js';
 
@@ -132,6 +134,14 @@ export const fillDateGaps = (data, startDate, endDate, aggregation, extraFields
   return result;
 };
 
+/**
+ * Share of `part` in `total` as a 0..1 ratio, 0 when total is 0.
+ */
+export const computeRate = (part, total) => {
+  if (!total) return 0;
+  return parseFloat((part / total).toFixed(4));
+};
+
 /**
  * Format date as YYYY-MM-DD string
  */
@@ -338,3 +348,85 @@ export const getReviewsAnalytics = async ({ period, from, to }) => {
     throw new AppError('Failed to fetch reviews analytics', 500, 'REVIEWS_ANALYTICS_FAILED');
   }
 };
+
+/**
+ * Search analytics: volume, zero-result / fallback / cache rates,
+ * click-through and the most frequent queries.
+ * GET /api/v1/admin/analytics/search
+ *
+ * click_through_rate counts only searches that returned something — a
+ * zero-result search cannot be clicked and is already in zero_result_rate.
+ * fallback_rate and cache_hit_rate are over smart searches only.
+ */
+export const getSearchAnalytics = async ({ period, from, to, limit }) => {
+  const { startDate, endDate, prevStart, prevEnd } = parsePeriod(period, from, to);
+  const aggregation = getAggregationType(startDate, endDate);
+
+  try {
+    const [totals, prevTotals, timelineRaw, topQueries] = await Promise.all([
+      SearchEventModel.getSearchTotals(startDate, endDate),
+      SearchEventModel.getSearchTotals(prevStart, prevEnd),
+      SearchEventModel.getSearchTimeline(startDate, endDate, aggregation),
+      SearchEventModel.getTopQueries(startDate, endDate, limit),
+    ]);
+
+    const search_timeline = fillDateGaps(
+      timelineRaw, startDate, endDate, aggregation, ['zero_result_count'],
+    );
+
+    return {
+      search_timeline,
+      total: totals.total,
+      change_percent: computeChangePercent(totals.total, prevTotals.total),
+      zero_result_count: totals.zero_result,
+      zero_result_rate: computeRate(totals.zero_result, totals.total),
+      smart_search: {
+        total: totals.smart_total,
+        fallback_count: totals.smart_fallback,
+        fallback_rate: computeRate(totals.smart_fallback, totals.smart_total),
+        cache_hit_rate: computeRate(totals.smart_cached, totals.smart_total),
+      },
+      clicks: {
+        total: totals.clicked,
+        click_through_rate: computeRate(totals.clicked, totals.with_results),
+        avg_position: parseFloat(totals.avg_click_position),
+      },
+      top_queries: topQueries.map((row) => ({
+        ...row,
+        click_through_rate: computeRate(row.clicks, row.searches - row.zero_result_count),
+        last_searched_at: new Date(row.last_searched_at).toISOString(),
+      })),
+      aggregation,
+    };
+  } catch (error) {
+    logger.error('Error in getSearchAnalytics', { error: error.message });
+    throw new AppError('Failed to fetch search analytics', 500, 'SEARCH_ANALYTICS_FAILED');
+  }
+};
+
+/**
+ * Queries that returned no results, most frequent first — the worklist for
+ * synonyms and gazetteer entries.
+ * GET /api/v1/admin/analytics/search/zero-results
+ */
+export const getZeroResultSearches = async ({ period, from, to, limit }) => {
+  const { startDate, endDate } = parsePeriod(period, from, to);
+
+  try {
+    const rows = await SearchEventModel.getZeroResultQueries(startDate, endDate, limit);
+
+    return {
+      queries: rows.map((row) => ({
+        ...row,
+        last_searched_at: new Date(row.last_searched_at).toISOString(),
+      })),
+      period: {
+        from: formatDate(startDate),
+        to: formatDate(new Date(endDate.getTime() - 1)),
+      },
+    };
+  } catch (error) {
+    logger.error('Error in getZeroResultSearches', { error: error.message });
+    throw new AppError('Failed to fetch zero-result searches', 500, 'ZERO_RESULT_SEARCHES_FAILED');
+  }
+};
@@ -0,0 +1,228 @@
+/**
+ * Booking Calendar Service
+ *
+ * iCalendar export of bookings (utils/ical.js does the formatting):
+ *   - single booking .ics for the guest who made it
+ *   - per-establishment read-only feed for partners, authorised by a secret
+ *     token in the URL (calendar apps cannot send a JWT)
+ *
+ * Events keep a stable UID and a SEQUENCE derived from updated_at, so when a
+ * booking is cancelled or declined the next download / feed refresh replaces
+ * the event with a STATUS:CANCELLED copy.
+ */
+
+import { createHash, randomBytes, timingSafeEqual } from 'crypto';
+import * as BookingModel from '../models/bookingModel.js';
+import * as BookingCalendarFeedModel from '../models/bookingCalendarFeedModel.js';
+import * as EstablishmentModel from '../models/establishmentModel.js';
+import * as PartnerAnalyticsModel from '../models/partnerAnalyticsModel.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { buildCalendar, buildEvent } from '../utils/ical.js';
+
+// Fallback for bookings created before migration 033 (no duration_minutes)
+const DEFAULT_DURATION_MINUTES = 120;
+
+// How far back the partner feed reaches; older bookings drop out of it
+const FEED_PAST_DAYS = 30;
+
+const STATUS_LABELS = {
+  pending: 'ожидает подтверждения',
+  confirmed: 'подтверждено',
+  awaiting_outcome: 'ожидает отметки',
+  completed: 'визит состоялся',
+  no_show: 'гость не пришёл',
+  declined: 'отклонено',
+  cancelled: 'отменено',
+  expired: 'истекло',
+};
+
+// Partner-entered rows are marked so the partner can tell them from app bookings
+const SOURCE_LABELS = {
+  partner: 'по телефону',
+  walk_in: 'без брони',
+};
+
+const hashToken = (token) => createHash('sha256').update(token).digest('hex');
+
+/**
+ * "YYYY-MM-DD" of the Minsk calendar day `days` before today.
+ * Minsk is UTC+3 all year, so shifting the UTC clock is exact.
+ */
+const minskDateDaysAgo = (days) => {
+  const shifted = new Date(Date.now() + 3 * 60 * 60 * 1000 - days * 24 * 60 * 60 * 1000);
+  return shifted.toISOString().slice(0, 10);
+};
+
+const verifyOwnership = async (establishmentId, partnerId) => {
+  const owned = await PartnerAnalyticsModel.verifyOwnership(establishmentId, partnerId);
+  if (!owned) {
+    throw new AppError('Establishment not found or not owned by you', 403, 'FORBIDDEN');
+  }
+};
+
+const eventTiming = (booking) => ({
+  id: booking.id,
+  date: booking.booking_date,
+  time: booking.booking_time,
+  durationMinutes: booking.duration_minutes || DEFAULT_DURATION_MINUTES,
+  status: booking.status,
+  createdAt: booking.created_at,
+  updatedAt: booking.updated_at,
+});
+
+/**
+ * Event as the guest sees it: where and for how many.
+ */
+const buildGuestEvent = (booking) => {
+  const descriptionLines = [
+    `Гостей: ${booking.guest_count}`,
+    `Статус: ${STATUS_LABELS[booking.status] || booking.status}`,
+  ];
+  if (booking.decline_reason) {
+    descriptionLines.push(`Причина: ${booking.decline_reason}`);
+  }
+
+  return buildEvent({
+    ...eventTiming(booking),
+    summary: `Бронирование: ${booking.establishment_name}`,
+    description: descriptionLines.join('\n'),
+    location: [booking.establishment_address, booking.establishment_city]
+      .filter(Boolean)
+      .join(', '),
+  });
+};
+
+/**
+ * Event as the partner sees it: who, how many, how to reach them.
+ */
+const buildPartnerEvent = (booking) => {
+  const descriptionLines = [
+    `Гость: ${booking.user_name || '—'}`,
+    `Телефон: ${booking.contact_phone || booking.user_phone || '—'}`,
+    `Статус: ${STATUS_LABELS[booking.status] || booking.status}`,
+  ];
+  if (SOURCE_LABELS[booking.source]) {
+    descriptionLines.push(`Источник: ${SOURCE_LABELS[booking.source]}`);
+  }
+  if (booking.comment) {
+    descriptionLines.push(`Комментарий: ${booking.comment}`);
+  }
+
+  return buildEvent({
+    ...eventTiming(booking),
+    summary: `${booking.user_name || 'Гость'}, ${booking.guest_count} чел.`,
+    description: descriptionLines.join('\n'),
+  });
+};
+
+// ============================================================================
+// Single booking (guest)
+// ============================================================================
+
+/**
+ * Build the .ics for one of the user's bookings.
+ *
+ * @param {string} bookingId
+ * @param {string} userId
+ * @returns {Promise<string>} .ics body
+ */
+export const getBookingIcs = async (bookingId, userId) => {
+  const booking = await BookingModel.getById(bookingId);
+  if (!booking) {
+    throw new AppError('Booking not found', 404, 'NOT_FOUND');
+  }
+  if (booking.user_id !== userId) {
+    throw new AppError('This booking does not belong to you', 403, 'FORBIDDEN');
+  }
+
+  return buildCalendar({ events: [buildGuestEvent(booking)] });
+};
+
+// ============================================================================
+// Partner feed
+// ============================================================================
+
+/**
+ * Whether the establishment has a feed. The token itself is never returned here.
+ *
+ * @param {string} establishmentId
+ * @param {string} partnerId
+ * @returns {Promise<{ enabled: boolean, created_at: Date|null }>}
+ */
+export const getFeedStatus = async (establishmentId, partnerId) => {
+  await verifyOwnership(establishmentId, partnerId);
+  const feed = await BookingCalendarFeedModel.getByEstablishmentId(establishmentId);
+  return {
+    enabled: Boolean(feed),
+    created_at: feed ? feed.created_at : null,
+  };
+};
+
+/**
+ * Create the feed, or rotate its token (the previous URL stops working).
+ * The plain token is returned only here.
+ *
+ * @param {string} establishmentId
+ * @param {string} partnerId
+ * @returns {Promise<{ token: string, created_at: Date }>}
+ */
+export const rotateFeedToken = async (establishmentId, partnerId) => {
+  await verifyOwnership(establishmentId, partnerId);
+  const token = randomBytes(32).toString('hex');
+  const feed = await BookingCalendarFeedModel.upsert(establishmentId, hashToken(token));
+  return { token, created_at: feed.created_at };
+};
+
+/**
+ * Disable the feed.
+ *
+ * @param {string} establishmentId
+ * @param {string} partnerId
+ */
+export const revokeFeed = async (establishmentId, partnerId) => {
+  await verifyOwnership(establishmentId, partnerId);
+  const removed = await BookingCalendarFeedModel.remove(establishmentId);
+  if (!removed) {
+    throw new AppError('Calendar feed is not enabled', 404, 'NOT_FOUND');
+  }
+};
+
+/**
+ * Build the feed for a token-bearing request (no user session).
+ * An unknown establishment, a disabled feed and a wrong token all answer 404,
+ * so the endpoint does not reveal which establishments have feeds.
+ *
+ * @param {string} establishmentId
+ * @param {string} token - plain token from the feed URL
+ * @returns {Promise<string>} .ics body
+ */
+export const getFeedIcs = async (establishmentId, token) => {
+  const notFound = new AppError('Calendar feed not found', 404, 'NOT_FOUND');
+
+  if (typeof token !== 'string' || token.length === 0) {
+    throw notFound;
+  }
+
+  const feed = await BookingCalendarFeedModel.getByEstablishmentId(establishmentId);
+  if (!feed) {
+    throw notFound;
+  }
+
+  const expected = Buffer.from(feed.token_hash, 'hex');
+  const actual = Buffer.from(hashToken(token), 'hex');
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+    throw notFound;
+  }
+
+  const [establishment, bookings] = await Promise.all([
+    EstablishmentModel.findEstablishmentById(establishmentId, true),
+    BookingModel.getForCalendarFeed(establishmentId, {
+      fromDate: minskDateDaysAgo(FEED_PAST_DAYS),
+    }),
+  ]);
+
+  return buildCalendar({
+    name: `Бронирования — ${establishment?.name || 'заведение'}`,
+    events: bookings.map(buildPartnerEvent),
+  });
+};
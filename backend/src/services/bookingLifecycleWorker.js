@@ -0,0 +1,127 @@
+/**
+ * Booking Lifecycle Worker
+ *
+ * Background loop that drives time-based booking transitions, so they happen
+ * on time instead of as a side effect of someone reading the bookings list:
+ *   1. pending past expires_at → expired, notify user + partner, offer the
+ *      freed slot to the waitlist; unclaimed waitlist offers pass to the next guest
+ *   2. confirmed, starting within the establishment's reminder lead time
+ *      (booking_settings.reminder_hours_before) → remind the guest
+ *   3. confirmed, starting tomorrow, establishment opted into reconfirmation
+ *      → ask the guest to reconfirm or cancel
+ *   4. confirmed, seating window over → awaiting_outcome, ask the partner
+ *
+ * Each sweep is a claim-style UPDATE (FOR UPDATE SKIP LOCKED), so running
+ * several instances never double-notifies. Sweeps are isolated: a failure in
+ * one is logged and the next still runs.
+ *
+ * Lifecycle (same contract as ocr/ocrJobPoller.js):
+ *   - start() begins the interval
+ *   - stop() stops new ticks and waits for the current one (if any) to finish
+ *
+ * The worker must NOT start in NODE_ENV=test — tests call tick() or the
+ * bookingService sweeps directly to avoid timing dependencies.
+ */
+
+import logger from '../utils/logger.js';
+import * as BookingService from './bookingService.js';
+
+const DEFAULT_INTERVAL_MS = 60000;
+
+let intervalId = null;
+let currentRunPromise = null;
+
+/**
+ * Run one sweep, logging (not throwing) its failure.
+ */
+const runSweep = async (name, sweep) => {
+  try {
+    await sweep();
+  } catch (error) {
+    logger.error(`Booking worker: ${name} sweep failed`, { error: error.message });
+  }
+};
+
+/**
+ * Run all sweeps once. Safe to call concurrently — the early-return when
+ * currentRunPromise is set prevents overlapping runs.
+ *
+ * @returns {Promise<void>}
+ */
+const tick = async () => {
+  if (currentRunPromise) {
+    return;
+  }
+
+  currentRunPromise = (async () => {
+    await runSweep('expiry', () => BookingService.processExpiredBookings());
+    await runSweep('waitlist', () => BookingService.processWaitlist());
+    await runSweep('reminders', () => BookingService.processBookingReminders());
+    await runSweep('reconfirm', () => BookingService.processReconfirmRequests());
+    await runSweep('outcome', () => BookingService.processPastBookings());
+  })().finally(() => {
+    currentRunPromise = null;
+  });
+
+  await currentRunPromise;
+};
+
+/**
+ * Start the interval. Idempotent — calling start() twice has no effect.
+ *
+ * @param {Object} options
+ * @param {number} options.intervalMs - Tick interval (default from BOOKING_WORKER_INTERVAL_MS env or 60000)
+ */
+export const start = ({ intervalMs } = {}) => {
+  if (intervalId !== null) {
+    logger.warn('Booking worker already running — start() ignored');
+    return;
+  }
+
+  const envInterval = parseInt(process.env.BOOKING_WORKER_INTERVAL_MS || '', 10);
+  const resolvedInterval = intervalMs
+    || (Number.isFinite(envInterval) && envInterval > 0 ? envInterval : DEFAULT_INTERVAL_MS);
+
+  intervalId = setInterval(() => {
+    tick().catch((error) => {
+      logger.error('Booking worker: tick error', { error: error.message });
+    });
+  }, resolvedInterval);
+
+  logger.info('Booking worker started', { intervalMs: resolvedInterval });
+};
+
+/**
+ * Stop the worker. Waits for the in-flight run (if any) to finish.
+ * Called during graceful shutdown.
+ *
+ * @returns {Promise<void>}
+ */
+export const stop = async () => {
+  if (intervalId !== null) {
+    clearInterval(intervalId);
+    intervalId = null;
+    logger.info('Booking worker interval cleared');
+  }
+
+  if (currentRunPromise) {
+    logger.info('Booking worker: waiting for in-flight run to complete');
+    try {
+      await currentRunPromise;
+    } catch (_err) {
+      // Errors already logged inside runSweep()
+    }
+  }
+};
+
+/**
+ * Introspection helper for tests and diagnostics.
+ *
+ * @returns {{ running: boolean, busy: boolean }}
+ */
+export const status = () => ({
+  running: intervalId !== null,
+  busy: currentRunPromise !== null,
+});
+
+export { DEFAULT_INTERVAL_MS, tick };
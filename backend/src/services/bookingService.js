@@ -3,18 +3,31 @@
  *
  * Business logic for booking lifecycle:
  * create → confirm/decline/expire → cancel/no_show/complete
+ * (confirmed → awaiting_outcome once the seating window has passed, via the worker)
+ * Reminders and day-before reconfirm requests are sent by the same worker.
+ * Waitlist: cancelled / declined / expired slots are offered to waiting guests
+ * (waiting → offered → claimed | expired).
+ * Guests can change date / time / party size (modifyBooking); large changes go
+ * back to pending for the partner, every change is kept in booking_changes.
+ * Partner-entered bookings (phone reservations, walk-ins) share the table and
+ * status machine; they start 'confirmed' and have no app user.
  *
- * Validates: user limits, establishment settings, working hours, time constraints.
+ * Validates: user limits, establishment settings, working hours, time constraints,
+ * seated capacity (when the partner has described their tables). A capacity
+ * check and the write it guards share one BookingModel.withSlotLock transaction.
  * Integrates: notifications (non-blocking), analytics tracking.
  */
 
 import * as BookingModel from '../models/bookingModel.js';
 import * as BookingSettingsModel from '../models/bookingSettingsModel.js';
+import * as BookingTableModel from '../models/bookingTableModel.js';
+import * as BookingWaitlistModel from '../models/bookingWaitlistModel.js';
 import * as EstablishmentModel from '../models/establishmentModel.js';
 import * as PartnerAnalyticsModel from '../models/partnerAnalyticsModel.js';
 import * as NotificationService from './notificationService.js';
 import { AppError } from '../middleware/errorHandler.js';
 import logger from '../utils/logger.js';
+import { checkCapacity, timeToMinutes } from '../utils/tableAllocation.js';
 
 // ============================================================================
 // Working hours validation (handles both string and object formats)
@@ -63,51 +76,209 @@ const parseDayHours = (workingHours, dayKey) => {
   return { isOpen: false, open: null, close: null };
 };
 
+/**
+ * Resolve the hours that apply on a specific date.
+ * special_hours (holiday overrides) is keyed by ISO date "YYYY-MM-DD" and uses
+ * the same per-day formats as working_hours; a matching key wins over the weekday.
+ *
+ * @param {object} establishment - row with working_hours / special_hours JSONB
+ * @param {string} bookingDate - "YYYY-MM-DD"
+ * @param {string} dayKey - e.g. "monday"
+ * @returns {{ isOpen: boolean, open: string|null, close: string|null }}
+ */
+const resolveDayHours = (establishment, bookingDate, dayKey) => {
+  const special = establishment.special_hours;
+  const dateKey = String(bookingDate).slice(0, 10);
+  if (special && typeof special === 'object' && special[dateKey] !== undefined) {
+    return parseDayHours(special, dateKey);
+  }
+  return parseDayHours(establishment.working_hours, dayKey);
+};
+
 /**
  * Check if a time string "HH:MM" falls within open-close range.
+ * Closing time itself is outside the range (the availability grid relies on this).
  */
 const isTimeWithinRange = (time, open, close) => {
   if (!open || !close) return true; // No hours specified = accept
-  return time >= open && time <= close;
+  return time >= open && time < close;
+};
+
+/**
+ * Validate a booking date against today and max_days_ahead.
+ *
+ * @param {string} bookingDate - "YYYY-MM-DD"
+ * @param {object} settings - booking_settings row
+ * @returns {Date} local-midnight date
+ */
+const validateBookingDate = (bookingDate, settings) => {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  const bDate = new Date(bookingDate);
+  bDate.setHours(0, 0, 0, 0);
+
+  if (bDate < today) {
+    throw new AppError('Дата бронирования не может быть в прошлом', 400, 'INVALID_DATE');
+  }
+
+  const maxDate = new Date(today);
+  maxDate.setDate(maxDate.getDate() + settings.max_days_ahead);
+  if (bDate > maxDate) {
+    throw new AppError(
+      `Бронирование возможно не более чем на ${settings.max_days_ahead} дней вперёд`,
+      400,
+      'DATE_TOO_FAR',
+    );
+  }
+
+  return bDate;
 };
 
 // ============================================================================
-// Booking CRUD
+// Capacity check (table inventory)
 // ============================================================================
 
+// Fallback when settings predate migration 033
+const DEFAULT_SEATING_DURATION_MINUTES = 120;
+
 /**
- * Create a new booking.
+ * Normalize a booking_date value to "YYYY-MM-DD".
+ * pg returns DATE columns as a local-midnight Date; request bodies carry strings.
+ */
+const toDateString = (value) => {
+  if (value instanceof Date) {
+    const yyyy = value.getFullYear();
+    const mm = String(value.getMonth() + 1).padStart(2, '0');
+    const dd = String(value.getDate()).padStart(2, '0');
+    return `${yyyy}-${mm}-${dd}`;
+  }
+  return String(value).slice(0, 10);
+};
+
+/**
+ * Load the active tables and seat-holding bookings around a date, in the shape
+ * checkCapacity expects. One load serves any number of slot checks on that date.
+ * With holdWaitlistOffers, live waitlist offers hold their freed seats too.
  *
- * Validates all constraints from the directive:
- * - user authorized, has phone
- * - booking_enabled for establishment
- * - guest_count <= max_guests_per_booking
- * - booking_date within max_days_ahead
- * - booking_time within working_hours
- * - min_hours_before respected
- * - user active bookings < 2
- * - user has no active booking at this establishment
+ * @returns {Promise<{ tables: Array, bookings: Array }|null>} null when no active tables
  */
-export const createBooking = async (userId, data) => {
-  const {
+const loadCapacityContext = async ({
+  establishmentId,
+  bookingDate,
+  defaultDurationMinutes,
+  statuses,
+  excludeBookingId,
+  holdWaitlistOffers = false,
+  excludeWaitlistEntryId = null,
+  client,
+}) => {
+  const tables = await BookingTableModel.getByEstablishmentId(establishmentId, { activeOnly: true, client });
+  if (tables.length === 0) {
+    return null;
+  }
+
+  const rows = await BookingModel.getForCapacityWindow(
     establishmentId,
-    date: bookingDate,
-    time: bookingTime,
-    guestCount,
-    comment,
-    contactPhone,
-  } = data;
+    toDateString(bookingDate),
+    { statuses, excludeBookingId, client },
+  );
 
-  // 1. Validate required fields
-  if (!establishmentId || !bookingDate || !bookingTime || !guestCount || !contactPhone) {
-    throw new AppError(
-      'Необходимо заполнить все обязательные поля',
-      400,
-      'VALIDATION_ERROR',
+  const bookings = rows.map((row) => ({
+    startMinutes: row.day_offset * 24 * 60 + timeToMinutes(row.booking_time),
+    durationMinutes: row.duration_minutes || defaultDurationMinutes,
+    guestCount: row.guest_count,
+  }));
+
+  if (holdWaitlistOffers) {
+    const offers = await BookingWaitlistModel.getActiveOffers(
+      establishmentId,
+      toDateString(bookingDate),
+      excludeWaitlistEntryId,
+      client,
     );
+    for (const offer of offers) {
+      bookings.push({
+        startMinutes: offer.day_offset * 24 * 60 + timeToMinutes(offer.offered_time),
+        durationMinutes: defaultDurationMinutes,
+        guestCount: offer.offered_seats,
+      });
+    }
+  }
+
+  return { tables, bookings };
+};
+
+/**
+ * Check whether a party fits into the establishment's seating for a time slot.
+ * No active tables configured → capacity is not modelled and the slot always fits.
+ *
+ * @param {object} params
+ * @param {string} params.establishmentId
+ * @param {string|Date} params.bookingDate
+ * @param {string} params.bookingTime - "HH:MM" or "HH:MM:SS"
+ * @param {number} params.guestCount
+ * @param {number} params.durationMinutes - seating duration of the requested party
+ * @param {number} [params.defaultDurationMinutes] - for existing bookings without a snapshot
+ * @param {string[]} [params.statuses] - booking statuses that hold seats
+ * @param {string} [params.excludeBookingId] - the booking being re-checked
+ * @param {boolean} [params.holdWaitlistOffers] - count seats held by live waitlist offers
+ * @param {string} [params.excludeWaitlistEntryId] - the offer being claimed
+ * @param {import('pg').PoolClient} [params.client] - the BookingModel.withSlotLock
+ *   transaction the guarded write runs in
+ * @returns {Promise<{ checked: boolean, fits: boolean, totalSeats: number|null }>}
+ */
+export const checkSlotCapacity = async ({
+  establishmentId,
+  bookingDate,
+  bookingTime,
+  guestCount,
+  durationMinutes,
+  defaultDurationMinutes = durationMinutes,
+  statuses = ['pending', 'confirmed'],
+  excludeBookingId = null,
+  holdWaitlistOffers = true,
+  excludeWaitlistEntryId = null,
+  client,
+}) => {
+  const context = await loadCapacityContext({
+    establishmentId,
+    bookingDate,
+    defaultDurationMinutes,
+    statuses,
+    excludeBookingId,
+    holdWaitlistOffers,
+    excludeWaitlistEntryId,
+    client,
+  });
+  if (!context) {
+    return { checked: false, fits: true, totalSeats: null };
   }
 
-  // 2. Get establishment and verify booking is enabled
+  const { fits, totalSeats } = checkCapacity({
+    ...context,
+    startMinutes: timeToMinutes(bookingTime),
+    durationMinutes,
+    guestCount,
+  });
+
+  return { checked: true, fits, totalSeats };
+};
+
+// ============================================================================
+// Booking CRUD
+// ============================================================================
+
+/**
+ * Slot checks shared by createBooking and modifyBooking: establishment active,
+ * booking enabled, guest count, date window, working hours (or special_hours),
+ * min_hours_before.
+ *
+ * @param {string} establishmentId
+ * @param {object} slot - { bookingDate: "YYYY-MM-DD", bookingTime: "HH:MM", guestCount }
+ * @returns {Promise<{ establishment: object, settings: object, now: Date }>}
+ */
+const validateBookingSlot = async (establishmentId, { bookingDate, bookingTime, guestCount }) => {
+  // Get establishment and verify booking is enabled
   const establishment = await EstablishmentModel.findEstablishmentById(establishmentId);
   if (!establishment) {
     throw new AppError('Заведение не найдено', 404, 'NOT_FOUND');
@@ -116,13 +287,13 @@ export const createBooking = async (userId, data) => {
     throw new AppError('Заведение неактивно', 400, 'ESTABLISHMENT_NOT_ACTIVE');
   }
 
-  // 3. Get booking settings
+  // Get booking settings
   const settings = await BookingSettingsModel.getByEstablishmentId(establishmentId);
   if (!settings || !settings.is_enabled) {
     throw new AppError('Бронирование недоступно для этого заведения', 400, 'BOOKING_NOT_ENABLED');
   }
 
-  // 4. Validate guest count
+  // Validate guest count
   if (guestCount < 1 || guestCount > settings.max_guests_per_booking) {
     throw new AppError(
       `Количество гостей должно быть от 1 до ${settings.max_guests_per_booking}`,
@@ -131,30 +302,13 @@ export const createBooking = async (userId, data) => {
     );
   }
 
-  // 5. Validate booking date (within max_days_ahead)
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
-  const bDate = new Date(bookingDate);
-  bDate.setHours(0, 0, 0, 0);
-
-  if (bDate < today) {
-    throw new AppError('Дата бронирования не может быть в прошлом', 400, 'INVALID_DATE');
-  }
-
-  const maxDate = new Date(today);
-  maxDate.setDate(maxDate.getDate() + settings.max_days_ahead);
-  if (bDate > maxDate) {
-    throw new AppError(
-      `Бронирование возможно не более чем на ${settings.max_days_ahead} дней вперёд`,
-      400,
-      'DATE_TOO_FAR',
-    );
-  }
+  // Validate booking date (within max_days_ahead)
+  const bDate = validateBookingDate(bookingDate, settings);
 
-  // 6. Validate booking time within working hours
+  // Validate booking time within working hours (special_hours override the weekday)
   const dayOfWeek = bDate.getDay(); // 0=Sun
   const dayKey = DAY_KEYS[dayOfWeek];
-  const dayHours = parseDayHours(establishment.working_hours, dayKey);
+  const dayHours = resolveDayHours(establishment, bookingDate, dayKey);
 
   if (!dayHours.isOpen) {
     throw new AppError('Заведение не работает в выбранный день', 400, 'CLOSED_DAY');
@@ -168,7 +322,7 @@ export const createBooking = async (userId, data) => {
     );
   }
 
-  // 7. Validate min_hours_before
+  // Validate min_hours_before
   const now = new Date();
   const bookingDateTime = new Date(`${bookingDate}T${bookingTime}:00`);
   const hoursUntilBooking = (bookingDateTime - now) / (1000 * 60 * 60);
@@ -181,6 +335,52 @@ export const createBooking = async (userId, data) => {
     );
   }
 
+  return { establishment, settings, now };
+};
+
+/**
+ * Create a new booking.
+ *
+ * Validates all constraints from the directive:
+ * - user authorized, has phone
+ * - booking_enabled for establishment
+ * - guest_count <= max_guests_per_booking
+ * - booking_date within max_days_ahead
+ * - booking_time within working_hours (or special_hours for that date)
+ * - min_hours_before respected
+ * - user active bookings < 2
+ * - user has no active booking at this establishment
+ * - a table (or combinable tables) is free for the seating duration
+ *   (seats held by other guests' live waitlist offers count as taken)
+ *
+ * @param {object} [options] - { waitlistEntryId? } — claiming this offer; its own hold is ignored
+ */
+export const createBooking = async (userId, data, options = {}) => {
+  const {
+    establishmentId,
+    date: bookingDate,
+    time: bookingTime,
+    guestCount,
+    comment,
+    contactPhone,
+  } = data;
+
+  // 1. Validate required fields
+  if (!establishmentId || !bookingDate || !bookingTime || !guestCount || !contactPhone) {
+    throw new AppError(
+      'Необходимо заполнить все обязательные поля',
+      400,
+      'VALIDATION_ERROR',
+    );
+  }
+
+  // 2–7. Establishment, settings, guest count, date, working hours, lead time
+  const { establishment, settings, now } = await validateBookingSlot(establishmentId, {
+    bookingDate,
+    bookingTime,
+    guestCount,
+  });
+
   // 8. Check user limits
   const activeCount = await BookingModel.getActiveCountForUser(userId);
   if (activeCount >= 2) {
@@ -204,24 +404,47 @@ export const createBooking = async (userId, data) => {
   }
 
   // 9. Calculate expires_at
+  const durationMinutes = settings.seating_duration_minutes || DEFAULT_SEATING_DURATION_MINUTES;
   const expiresAt = new Date(now.getTime() + settings.confirmation_timeout_hours * 60 * 60 * 1000);
 
-  // 10. Create booking
-  const booking = await BookingModel.create({
-    establishmentId,
-    userId,
-    bookingDate,
-    bookingTime,
-    guestCount,
-    comment,
-    contactPhone,
-    expiresAt,
+  // 10–11. Check seated capacity and create the booking under the slot lock
+  //    (pending requests hold seats too, so the partner is never asked to
+  //    confirm two parties into the same table)
+  const booking = await BookingModel.withSlotLock(establishmentId, bookingDate, async (client) => {
+    const capacity = await checkSlotCapacity({
+      establishmentId,
+      bookingDate,
+      bookingTime,
+      guestCount,
+      durationMinutes,
+      excludeWaitlistEntryId: options.waitlistEntryId || null,
+      client,
+    });
+    if (!capacity.fits) {
+      throw new AppError(
+        'На выбранное время нет свободных столов. Выберите другое время.',
+        409,
+        'SLOT_FULL',
+      );
+    }
+
+    return BookingModel.create({
+      establishmentId,
+      userId,
+      bookingDate,
+      bookingTime,
+      guestCount,
+      comment,
+      contactPhone,
+      expiresAt,
+      durationMinutes,
+    }, client);
   });
 
-  // 11. Track analytics (non-blocking)
+  // 12. Track analytics (non-blocking)
   PartnerAnalyticsModel.trackBookingRequest(establishmentId).catch(() => {});
 
-  // 12. Notify partner (non-blocking)
+  // 13. Notify partner (non-blocking)
   NotificationService.notifyBookingReceived(
     establishment.partner_id,
     {
@@ -246,8 +469,14 @@ export const createBooking = async (userId, data) => {
 /**
  * Confirm a booking (partner action).
  * Transition: pending → confirmed
+ *
+ * Re-checks capacity against already-confirmed bookings. When the slot is full
+ * the partner gets CAPACITY_EXCEEDED and may retry with options.force — they
+ * know their floor better than the inventory (extra chairs, a table freeing early).
+ *
+ * @param {object} [options] - { force? }
  */
-export const confirmBooking = async (bookingId, partnerId, establishmentId) => {
+export const confirmBooking = async (bookingId, partnerId, establishmentId, options = {}) => {
   const booking = await BookingModel.getById(bookingId);
   if (!booking) {
     throw new AppError('Booking not found', 404, 'NOT_FOUND');
@@ -259,11 +488,43 @@ export const confirmBooking = async (bookingId, partnerId, establishmentId) => {
     throw new AppError(`Cannot confirm booking with status '${booking.status}'`, 400, 'INVALID_STATUS');
   }
 
-  const updated = await BookingModel.updateStatus(bookingId, {
-    status: 'confirmed',
-    confirmedAt: new Date(),
+  const settings = await BookingSettingsModel.getByEstablishmentId(establishmentId);
+  const defaultDurationMinutes = settings?.seating_duration_minutes || DEFAULT_SEATING_DURATION_MINUTES;
+  const bookingDate = toDateString(booking.booking_date);
+  const { capacity, updated } = await BookingModel.withSlotLock(establishmentId, bookingDate, async (client) => {
+    const slotCapacity = await checkSlotCapacity({
+      establishmentId,
+      bookingDate,
+      bookingTime: booking.booking_time,
+      guestCount: booking.guest_count,
+      durationMinutes: booking.duration_minutes || defaultDurationMinutes,
+      defaultDurationMinutes,
+      statuses: ['confirmed'],
+      excludeBookingId: bookingId,
+      holdWaitlistOffers: false,
+      client,
+    });
+
+    if (!slotCapacity.fits && !options.force) {
+      throw new AppError(
+        'Not enough free tables for this time slot. Confirm with force to override.',
+        409,
+        'CAPACITY_EXCEEDED',
+      );
+    }
+
+    const confirmed = await BookingModel.updateStatus(bookingId, {
+      status: 'confirmed',
+      confirmedAt: new Date(),
+    }, client);
+    return { capacity: slotCapacity, updated: confirmed };
   });
 
+  if (!capacity.fits) {
+    logger.warn('Booking confirmed over capacity (forced by partner)', { bookingId, establishmentId });
+    updated.capacity_exceeded = true;
+  }
+
   // Track analytics (non-blocking)
   PartnerAnalyticsModel.trackBookingConfirmed(establishmentId).catch(() => {});
 
@@ -319,6 +580,11 @@ export const declineBooking = async (bookingId, partnerId, establishmentId, reas
     reason.trim(),
   ).catch(() => {});
 
+  // Seats the pending request held go to the waitlist (non-blocking)
+  offerFreedSlot(booking).catch((error) => {
+    logger.error('Waitlist offer after decline failed', { error: error.message, bookingId });
+  });
+
   logger.info('Booking declined', { bookingId, establishmentId, reason });
   return updated;
 };
@@ -360,63 +626,1062 @@ export const cancelBooking = async (bookingId, userId) => {
     ).catch(() => {});
   }
 
+  // Hand the freed slot to the waitlist (non-blocking)
+  offerFreedSlot(booking).catch((error) => {
+    logger.error('Waitlist offer after cancel failed', { error: error.message, bookingId });
+  });
+
   logger.info('Booking cancelled by user', { bookingId, userId });
   return updated;
 };
 
 /**
- * Mark booking as no-show (partner action).
- * Transition: confirmed → no_show
+ * Guest answers a "please reconfirm" request with "I'm coming".
+ * Declining is a regular cancelBooking. Repeating the call is harmless.
  */
-export const markNoShow = async (bookingId, partnerId, establishmentId) => {
+export const reconfirmBooking = async (bookingId, userId) => {
   const booking = await BookingModel.getById(bookingId);
   if (!booking) {
     throw new AppError('Booking not found', 404, 'NOT_FOUND');
   }
-  if (booking.establishment_id !== establishmentId) {
-    throw new AppError('Booking does not belong to this establishment', 403, 'FORBIDDEN');
+  if (booking.user_id !== userId) {
+    throw new AppError('This booking does not belong to you', 403, 'FORBIDDEN');
   }
   if (booking.status !== 'confirmed') {
-    throw new AppError(`Cannot mark no-show for booking with status '${booking.status}'`, 400, 'INVALID_STATUS');
+    throw new AppError(`Cannot reconfirm booking with status '${booking.status}'`, 400, 'INVALID_STATUS');
+  }
+  if (!booking.reconfirm_requested_at) {
+    throw new AppError('Reconfirmation was not requested for this booking', 400, 'RECONFIRM_NOT_REQUESTED');
+  }
+  if (booking.reconfirmed_at) {
+    return booking;
   }
 
-  const updated = await BookingModel.updateStatus(bookingId, { status: 'no_show' });
-  logger.info('Booking marked as no-show', { bookingId, establishmentId });
-  return updated;
+  const updated = await BookingModel.markReconfirmed(bookingId);
+
+  logger.info('Booking reconfirmed by user', { bookingId, userId });
+  return updated || booking;
 };
 
+// ============================================================================
+// Modification (reschedule / change party size)
+// ============================================================================
+
+// Statuses a guest can still change
+const MODIFIABLE_STATUSES = ['pending', 'confirmed'];
+// Changes per booking; past this the guest has to book again
+const MAX_BOOKING_CHANGES = 3;
+// A confirmed booking moved by at most this much on the same day stays confirmed
+const AUTO_CONFIRM_MAX_SHIFT_MINUTES = 30;
+
 /**
- * Mark booking as completed (partner action).
- * Transition: confirmed → completed
+ * Small change: same day, shifted by at most AUTO_CONFIRM_MAX_SHIFT_MINUTES,
+ * party not growing. The partner already agreed to roughly this visit.
  */
-export const markCompleted = async (bookingId, partnerId, establishmentId) => {
+const isSmallChange = (previous, next) =>
+  previous.date === next.date
+  && Math.abs(timeToMinutes(next.time) - timeToMinutes(previous.time)) <= AUTO_CONFIRM_MAX_SHIFT_MINUTES
+  && next.guestCount <= previous.guestCount;
+
+/**
+ * Change the date, time and/or guest count of a booking (user action).
+ * Omitted fields keep their current value.
+ *
+ * Re-runs createBooking's slot validation and capacity check (the booking's
+ * own seats excluded); the per-user limits do not apply — the booking is
+ * already counted. The current slot must also still be outside min_hours_before.
+ *
+ * A small change (isSmallChange) to a confirmed booking stays confirmed;
+ * anything else, and any change to a pending request, goes back to 'pending'
+ * with a fresh confirmation deadline. Both sides are notified, the change is
+ * recorded in the booking's history, and seats the old slot no longer needs
+ * are offered to the waitlist.
+ *
+ * @param {string} bookingId
+ * @param {string} userId
+ * @param {object} data - { date?, time?, guestCount? }
+ * @returns {Promise<object>} updated booking with auto_confirmed flag
+ */
+export const modifyBooking = async (bookingId, userId, data) => {
   const booking = await BookingModel.getById(bookingId);
   if (!booking) {
     throw new AppError('Booking not found', 404, 'NOT_FOUND');
   }
-  if (booking.establishment_id !== establishmentId) {
-    throw new AppError('Booking does not belong to this establishment', 403, 'FORBIDDEN');
+  if (booking.user_id !== userId) {
+    throw new AppError('This booking does not belong to you', 403, 'FORBIDDEN');
   }
-  if (booking.status !== 'confirmed') {
-    throw new AppError(`Cannot complete booking with status '${booking.status}'`, 400, 'INVALID_STATUS');
+  if (!MODIFIABLE_STATUSES.includes(booking.status)) {
+    throw new AppError(`Cannot modify booking with status '${booking.status}'`, 400, 'INVALID_STATUS');
   }
 
-  const updated = await BookingModel.updateStatus(bookingId, { status: 'completed' });
-  logger.info('Booking marked as completed', { bookingId, establishmentId });
+  const previous = {
+    date: toDateString(booking.booking_date),
+    time: String(booking.booking_time).slice(0, 5),
+    guestCount: booking.guest_count,
+  };
+  const next = {
+    date: data.date ?? previous.date,
+    time: data.time ?? previous.time,
+    guestCount: data.guestCount ?? previous.guestCount,
+  };
+
+  if (
+    !DATE_PATTERN.test(String(next.date))
+    || !TIME_PATTERN.test(String(next.time))
+    || !Number.isInteger(next.guestCount)
+  ) {
+    throw new AppError('Укажите дату (ГГГГ-ММ-ДД), время (ЧЧ:ММ) и количество гостей', 400, 'VALIDATION_ERROR');
+  }
+
+  const rescheduled = next.date !== previous.date || next.time !== previous.time;
+  if (!rescheduled && next.guestCount === previous.guestCount) {
+    throw new AppError('Новые параметры совпадают с текущими', 400, 'NO_CHANGES');
+  }
+
+  const changeCount = await BookingModel.countChanges(bookingId);
+  if (changeCount >= MAX_BOOKING_CHANGES) {
+    throw new AppError(
+      `Бронирование можно изменить не более ${MAX_BOOKING_CHANGES} раз`,
+      400,
+      'TOO_MANY_CHANGES',
+    );
+  }
+
+  const establishmentId = booking.establishment_id;
+  const { establishment, settings, now } = await validateBookingSlot(establishmentId, {
+    bookingDate: next.date,
+    bookingTime: next.time,
+    guestCount: next.guestCount,
+  });
+
+  const hoursUntilCurrent = (new Date(`${previous.date}T${previous.time}:00`) - now) / (1000 * 60 * 60);
+  if (hoursUntilCurrent < settings.min_hours_before) {
+    throw new AppError(
+      `Изменить бронирование можно не позднее чем за ${settings.min_hours_before} ч. до визита`,
+      400,
+      'TOO_LATE',
+    );
+  }
+
+  const durationMinutes = settings.seating_duration_minutes || DEFAULT_SEATING_DURATION_MINUTES;
+  const autoConfirmed = booking.status === 'confirmed' && isSmallChange(previous, next);
+  const updated = await BookingModel.withSlotLock(establishmentId, next.date, async (client) => {
+    const capacity = await checkSlotCapacity({
+      establishmentId,
+      bookingDate: next.date,
+      bookingTime: next.time,
+      guestCount: next.guestCount,
+      durationMinutes,
+      excludeBookingId: bookingId,
+      client,
+    });
+    if (!capacity.fits) {
+      throw new AppError(
+        'На выбранное время нет свободных столов. Выберите другое время.',
+        409,
+        'SLOT_FULL',
+      );
+    }
+
+    const modified = await BookingModel.applyModification(bookingId, {
+      expectedStatus: booking.status,
+      changedBy: userId,
+      bookingDate: next.date,
+      bookingTime: next.time,
+      guestCount: next.guestCount,
+      durationMinutes,
+      status: autoConfirmed ? 'confirmed' : 'pending',
+      expiresAt: autoConfirmed
+        ? booking.expires_at
+        : new Date(now.getTime() + settings.confirmation_timeout_hours * 60 * 60 * 1000),
+      rescheduled,
+    }, client);
+    if (!modified) {
+      throw new AppError('Booking was updated in the meantime, reload and try again', 409, 'BOOKING_CHANGED');
+    }
+    return modified;
+  });
+  updated.auto_confirmed = autoConfirmed;
+
+  // Notify both sides (non-blocking)
+  const notification = {
+    id: bookingId,
+    establishment_name: booking.establishment_name,
+    previous_date: previous.date,
+    previous_time: previous.time,
+    booking_date: next.date,
+    booking_time: next.time,
+    guest_count: next.guestCount,
+  };
+  if (establishment.partner_id) {
+    NotificationService.notifyBookingModified(
+      establishment.partner_id,
+      notification,
+      establishmentId,
+      { autoConfirmed },
+    ).catch(() => {});
+  }
+  NotificationService.notifyBookingModificationResult(
+    userId,
+    notification,
+    establishmentId,
+    { autoConfirmed },
+  ).catch(() => {});
+
+  // Seats the old slot no longer holds go to the waitlist (non-blocking)
+  const freedSeats = rescheduled ? previous.guestCount : previous.guestCount - next.guestCount;
+  if (freedSeats > 0) {
+    offerFreedSlot({ ...booking, guest_count: freedSeats }).catch((error) => {
+      logger.error('Waitlist offer after modification failed', { error: error.message, bookingId });
+    });
+  }
+
+  logger.info('Booking modified by user', {
+    bookingId,
+    userId,
+    status: updated.status,
+    autoConfirmed,
+  });
   return updated;
 };
 
 /**
- * Get bookings for an establishment (partner view).
+ * Change history of one of the user's bookings.
  */
-export const getPartnerBookings = async (establishmentId, partnerId, options = {}) => {
-  // Ownership verified by controller middleware
-  return BookingModel.getByEstablishmentId(establishmentId, options);
+export const getBookingChanges = async (bookingId, userId) => {
+  const booking = await BookingModel.getById(bookingId);
+  if (!booking) {
+    throw new AppError('Booking not found', 404, 'NOT_FOUND');
+  }
+  if (booking.user_id !== userId) {
+    throw new AppError('This booking does not belong to you', 403, 'FORBIDDEN');
+  }
+  return BookingModel.getChanges(bookingId);
 };
 
 /**
- * Get bookings for a user.
+ * Change history of a booking at the partner's establishment.
  */
-export const getUserBookings = async (userId) => {
-  return BookingModel.getByUserId(userId);
+export const getPartnerBookingChanges = async (bookingId, partnerId, establishmentId) => {
+  await verifyPartnerOwnership(establishmentId, partnerId);
+
+  const booking = await BookingModel.getById(bookingId);
+  if (!booking) {
+    throw new AppError('Booking not found', 404, 'NOT_FOUND');
+  }
+  if (booking.establishment_id !== establishmentId) {
+    throw new AppError('Booking does not belong to this establishment', 403, 'FORBIDDEN');
+  }
+  return BookingModel.getChanges(bookingId);
+};
+
+// Statuses a partner can record a visit outcome from
+const OUTCOME_SOURCE_STATUSES = ['confirmed', 'awaiting_outcome'];
+
+/**
+ * Mark booking as no-show (partner action).
+ * Transition: confirmed | awaiting_outcome → no_show
+ */
+export const markNoShow = async (bookingId, partnerId, establishmentId) => {
+  const booking = await BookingModel.getById(bookingId);
+  if (!booking) {
+    throw new AppError('Booking not found', 404, 'NOT_FOUND');
+  }
+  if (booking.establishment_id !== establishmentId) {
+    throw new AppError('Booking does not belong to this establishment', 403, 'FORBIDDEN');
+  }
+  if (!OUTCOME_SOURCE_STATUSES.includes(booking.status)) {
+    throw new AppError(`Cannot mark no-show for booking with status '${booking.status}'`, 400, 'INVALID_STATUS');
+  }
+
+  const updated = await BookingModel.updateStatus(bookingId, { status: 'no_show' });
+  logger.info('Booking marked as no-show', { bookingId, establishmentId });
+  return updated;
+};
+
+/**
+ * Mark booking as completed (partner action).
+ * Transition: confirmed | awaiting_outcome → completed
+ */
+export const markCompleted = async (bookingId, partnerId, establishmentId) => {
+  const booking = await BookingModel.getById(bookingId);
+  if (!booking) {
+    throw new AppError('Booking not found', 404, 'NOT_FOUND');
+  }
+  if (booking.establishment_id !== establishmentId) {
+    throw new AppError('Booking does not belong to this establishment', 403, 'FORBIDDEN');
+  }
+  if (!OUTCOME_SOURCE_STATUSES.includes(booking.status)) {
+    throw new AppError(`Cannot complete booking with status '${booking.status}'`, 400, 'INVALID_STATUS');
+  }
+
+  const updated = await BookingModel.updateStatus(bookingId, { status: 'completed' });
+  logger.info('Booking marked as completed', { bookingId, establishmentId });
+  return updated;
+};
+
+// ============================================================================
+// Partner-entered bookings (phone reservations, walk-ins)
+// ============================================================================
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const MAX_PARTNER_GUEST_COUNT = 100;
+const MAX_GUEST_NAME_LENGTH = 100; // bookings.guest_name VARCHAR(100)
+const MAX_CONTACT_PHONE_LENGTH = 20; // bookings.contact_phone VARCHAR(20)
+
+/**
+ * Current Minsk wall-clock date and minute.
+ *
+ * @returns {{ date: string, time: string }} "YYYY-MM-DD", "HH:MM"
+ */
+const minskNow = () => {
+  const parts = new Intl.DateTimeFormat('en-CA', {
+    timeZone: 'Europe/Minsk',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(new Date());
+  const get = (type) => parts.find((p) => p.type === type).value;
+  return {
+    date: `${get('year')}-${get('month')}-${get('day')}`,
+    time: `${get('hour')}:${get('minute')}`,
+  };
+};
+
+const verifyPartnerOwnership = async (establishmentId, partnerId) => {
+  const owned = await PartnerAnalyticsModel.verifyOwnership(establishmentId, partnerId);
+  if (!owned) {
+    throw new AppError('Establishment not found or not owned by you', 403, 'FORBIDDEN');
+  }
+};
+
+/**
+ * Validate the guest fields shared by phone bookings and walk-ins.
+ * Phone and name are optional for walk-ins.
+ */
+const validatePartnerGuest = ({ guestCount, guestName, contactPhone }, { requireContact }) => {
+  if (!Number.isInteger(guestCount) || guestCount < 1 || guestCount > MAX_PARTNER_GUEST_COUNT) {
+    throw new AppError(
+      `guest_count must be an integer between 1 and ${MAX_PARTNER_GUEST_COUNT}`,
+      400,
+      'VALIDATION_ERROR',
+    );
+  }
+
+  if (guestName !== undefined && guestName !== null
+    && (typeof guestName !== 'string' || guestName.trim().length > MAX_GUEST_NAME_LENGTH)) {
+    throw new AppError(
+      `guest_name must be a string of at most ${MAX_GUEST_NAME_LENGTH} characters`,
+      400,
+      'VALIDATION_ERROR',
+    );
+  }
+
+  if (contactPhone !== undefined && contactPhone !== null
+    && (typeof contactPhone !== 'string' || contactPhone.trim().length > MAX_CONTACT_PHONE_LENGTH)) {
+    throw new AppError(
+      `contact_phone must be a string of at most ${MAX_CONTACT_PHONE_LENGTH} characters`,
+      400,
+      'VALIDATION_ERROR',
+    );
+  }
+
+  if (requireContact && (!guestName?.trim() || !contactPhone?.trim())) {
+    throw new AppError('guest_name and contact_phone are required', 400, 'VALIDATION_ERROR');
+  }
+};
+
+/**
+ * Create a booking on behalf of a guest who reserved by phone (partner action).
+ * No user account: the guest is identified by name + phone. The booking is
+ * created 'confirmed' and counts towards capacity and analytics like an app
+ * booking the partner confirmed.
+ *
+ * Working hours and booking-window settings are not enforced — the partner
+ * may seat guests whenever they choose. Capacity is checked against confirmed
+ * bookings (as confirmBooking does); options.force overrides a full slot.
+ *
+ * @param {string} establishmentId
+ * @param {string} partnerId
+ * @param {object} data - { date, time, guestCount, guestName, contactPhone, comment }
+ * @param {object} [options] - { force? }
+ * @returns {object} created booking row (+ capacity_exceeded when forced)
+ */
+export const createPartnerBooking = async (establishmentId, partnerId, data, options = {}) => {
+  const {
+    date: bookingDate,
+    time: bookingTime,
+    guestCount,
+    guestName,
+    contactPhone,
+    comment,
+  } = data;
+
+  await verifyPartnerOwnership(establishmentId, partnerId);
+
+  if (typeof bookingDate !== 'string' || !DATE_PATTERN.test(bookingDate)
+    || typeof bookingTime !== 'string' || !TIME_PATTERN.test(bookingTime)) {
+    throw new AppError('date (YYYY-MM-DD) and time (HH:MM) are required', 400, 'VALIDATION_ERROR');
+  }
+  validatePartnerGuest({ guestCount, guestName, contactPhone }, { requireContact: true });
+
+  const now = minskNow();
+  if (`${bookingDate} ${bookingTime}` < `${now.date} ${now.time}`) {
+    throw new AppError('Booking time is in the past', 400, 'INVALID_DATE');
+  }
+
+  const settings = await BookingSettingsModel.getByEstablishmentId(establishmentId);
+  const durationMinutes = settings?.seating_duration_minutes || DEFAULT_SEATING_DURATION_MINUTES;
+  const { capacity, booking } = await BookingModel.withSlotLock(establishmentId, bookingDate, async (client) => {
+    const slotCapacity = await checkSlotCapacity({
+      establishmentId,
+      bookingDate,
+      bookingTime,
+      guestCount,
+      durationMinutes,
+      statuses: ['confirmed'],
+      client,
+    });
+
+    if (!slotCapacity.fits && !options.force) {
+      throw new AppError(
+        'Not enough free tables for this time slot. Create with force to override.',
+        409,
+        'CAPACITY_EXCEEDED',
+      );
+    }
+
+    const confirmedAt = new Date();
+    const created = await BookingModel.create({
+      establishmentId,
+      bookingDate,
+      bookingTime,
+      guestCount,
+      comment,
+      contactPhone: contactPhone.trim(),
+      expiresAt: confirmedAt,
+      durationMinutes,
+      status: 'confirmed',
+      confirmedAt,
+      source: 'partner',
+      guestName: guestName.trim(),
+      createdBy: partnerId,
+    }, client);
+    return { capacity: slotCapacity, booking: created };
+  });
+
+  if (!capacity.fits) {
+    logger.warn('Partner booking created over capacity (forced)', { bookingId: booking.id, establishmentId });
+    booking.capacity_exceeded = true;
+  }
+
+  // Track analytics (non-blocking) — a request that is confirmed on entry
+  PartnerAnalyticsModel.trackBookingRequest(establishmentId).catch(() => {});
+  PartnerAnalyticsModel.trackBookingConfirmed(establishmentId).catch(() => {});
+
+  logger.info('Partner booking created', { bookingId: booking.id, establishmentId, partnerId });
+  return booking;
+};
+
+/**
+ * Record a walk-in party seated now (partner action).
+ * Stored as a 'confirmed' booking at the current Minsk time so it holds seats
+ * for the seating window; the lifecycle worker then completes it. Never
+ * rejected for capacity — the guests are already seated — but the response
+ * flags capacity_exceeded when the inventory says the room is over-full.
+ *
+ * @param {string} establishmentId
+ * @param {string} partnerId
+ * @param {object} data - { guestCount, guestName?, contactPhone?, comment? }
+ * @returns {object} created booking row (+ capacity_exceeded)
+ */
+export const recordWalkIn = async (establishmentId, partnerId, data) => {
+  const { guestCount, guestName, contactPhone, comment } = data;
+
+  await verifyPartnerOwnership(establishmentId, partnerId);
+  validatePartnerGuest({ guestCount, guestName, contactPhone }, { requireContact: false });
+
+  const { date: bookingDate, time: bookingTime } = minskNow();
+  const settings = await BookingSettingsModel.getByEstablishmentId(establishmentId);
+  const durationMinutes = settings?.seating_duration_minutes || DEFAULT_SEATING_DURATION_MINUTES;
+  const { capacity, booking } = await BookingModel.withSlotLock(establishmentId, bookingDate, async (client) => {
+    const slotCapacity = await checkSlotCapacity({
+      establishmentId,
+      bookingDate,
+      bookingTime,
+      guestCount,
+      durationMinutes,
+      statuses: ['confirmed'],
+      client,
+    });
+
+    const confirmedAt = new Date();
+    const created = await BookingModel.create({
+      establishmentId,
+      bookingDate,
+      bookingTime,
+      guestCount,
+      comment,
+      contactPhone: contactPhone?.trim() || null,
+      expiresAt: confirmedAt,
+      durationMinutes,
+      status: 'confirmed',
+      confirmedAt,
+      source: 'walk_in',
+      guestName: guestName?.trim() || null,
+      createdBy: partnerId,
+    }, client);
+    return { capacity: slotCapacity, booking: created };
+  });
+
+  if (!capacity.fits) {
+    logger.warn('Walk-in recorded over capacity', { bookingId: booking.id, establishmentId });
+    booking.capacity_exceeded = true;
+  }
+
+  // Track analytics (non-blocking)
+  PartnerAnalyticsModel.trackBookingRequest(establishmentId).catch(() => {});
+  PartnerAnalyticsModel.trackBookingConfirmed(establishmentId).catch(() => {});
+
+  logger.info('Walk-in recorded', { bookingId: booking.id, establishmentId, partnerId });
+  return booking;
+};
+
+/**
+ * Cancel a partner-entered booking (the phone guest called to cancel).
+ * Transition: confirmed → cancelled. App bookings are cancelled by their
+ * guest (or declined while pending), never by the partner.
+ */
+export const cancelPartnerBooking = async (bookingId, partnerId, establishmentId) => {
+  await verifyPartnerOwnership(establishmentId, partnerId);
+
+  const booking = await BookingModel.getById(bookingId);
+  if (!booking) {
+    throw new AppError('Booking not found', 404, 'NOT_FOUND');
+  }
+  if (booking.establishment_id !== establishmentId) {
+    throw new AppError('Booking does not belong to this establishment', 403, 'FORBIDDEN');
+  }
+  if (booking.source === 'app') {
+    throw new AppError('Only partner-entered bookings can be cancelled by the partner', 400, 'NOT_PARTNER_BOOKING');
+  }
+  if (booking.status !== 'confirmed') {
+    throw new AppError(`Cannot cancel booking with status '${booking.status}'`, 400, 'INVALID_STATUS');
+  }
+
+  const updated = await BookingModel.updateStatus(bookingId, {
+    status: 'cancelled',
+    cancelledAt: new Date(),
+  });
+
+  // Hand the freed slot to the waitlist (non-blocking)
+  offerFreedSlot(booking).catch((error) => {
+    logger.error('Waitlist offer after partner cancel failed', { error: error.message, bookingId });
+  });
+
+  logger.info('Partner booking cancelled', { bookingId, establishmentId, partnerId });
+  return updated;
+};
+
+/**
+ * Get bookings for an establishment (partner view).
+ */
+export const getPartnerBookings = async (establishmentId, partnerId, options = {}) => {
+  // Ownership verified by controller middleware
+  return BookingModel.getByEstablishmentId(establishmentId, options);
+};
+
+/**
+ * Get bookings for a user.
+ */
+export const getUserBookings = async (userId) => {
+  return BookingModel.getByUserId(userId);
+};
+
+// ============================================================================
+// Lifecycle sweeps (driven by bookingLifecycleWorker)
+// ============================================================================
+
+// "Please reconfirm" requests go out the day before the booking
+const RECONFIRM_LEAD_HOURS = 24;
+
+/**
+ * Expire overdue pending bookings and notify both sides about every expired
+ * booking not yet notified (including ones expired lazily on read).
+ *
+ * @returns {Promise<{ expired: number, notified: number }>}
+ */
+export const processExpiredBookings = async () => {
+  const expired = await BookingModel.expireDuePending();
+  const claimed = await BookingModel.claimExpiredForNotification();
+
+  for (const booking of claimed) {
+    NotificationService.notifyBookingExpired(
+      booking.user_id,
+      booking.partner_id,
+      booking,
+      booking.establishment_id,
+    ).catch(() => {});
+
+    await offerFreedSlot(booking).catch((error) => {
+      logger.error('Waitlist offer after expiry failed', { error: error.message, bookingId: booking.id });
+    });
+  }
+
+  if (expired > 0 || claimed.length > 0) {
+    logger.info('Lifecycle: expired pending bookings', { expired, notified: claimed.length });
+  }
+  return { expired, notified: claimed.length };
+};
+
+/**
+ * Send reminders for confirmed bookings starting within each establishment's
+ * reminder_hours_before.
+ *
+ * @returns {Promise<{ reminded: number }>}
+ */
+export const processBookingReminders = async () => {
+  const claimed = await BookingModel.claimDueReminders();
+
+  for (const booking of claimed) {
+    NotificationService.notifyBookingReminder(
+      booking.user_id,
+      booking,
+      booking.establishment_id,
+    ).catch(() => {});
+  }
+
+  if (claimed.length > 0) {
+    logger.info('Lifecycle: booking reminders sent', { reminded: claimed.length });
+  }
+  return { reminded: claimed.length };
+};
+
+/**
+ * Ask guests to reconfirm tomorrow's bookings (establishments with
+ * reconfirm_enabled). The guest answers via reconfirmBooking or cancelBooking.
+ *
+ * @returns {Promise<{ requested: number }>}
+ */
+export const processReconfirmRequests = async () => {
+  const claimed = await BookingModel.claimDueReconfirmRequests(RECONFIRM_LEAD_HOURS);
+
+  for (const booking of claimed) {
+    NotificationService.notifyBookingReconfirmRequest(
+      booking.user_id,
+      booking,
+      booking.establishment_id,
+    ).catch(() => {});
+  }
+
+  if (claimed.length > 0) {
+    logger.info('Lifecycle: reconfirm requests sent', { requested: claimed.length });
+  }
+  return { requested: claimed.length };
+};
+
+/**
+ * Move confirmed bookings whose seating window has passed to awaiting_outcome
+ * and ask the partner to record completed / no-show (walk-ins are completed
+ * by the same sweep, without asking).
+ *
+ * @returns {Promise<{ awaitingOutcome: number }>}
+ */
+export const processPastBookings = async () => {
+  const moved = await BookingModel.markPastConfirmedAwaitingOutcome();
+
+  for (const booking of moved) {
+    NotificationService.notifyBookingNeedsOutcome(
+      booking.partner_id,
+      booking,
+      booking.establishment_id,
+    ).catch(() => {});
+  }
+
+  if (moved.length > 0) {
+    logger.info('Lifecycle: bookings awaiting outcome', { awaitingOutcome: moved.length });
+  }
+
+  const walkInsCompleted = await BookingModel.completePastWalkIns();
+  if (walkInsCompleted > 0) {
+    logger.info('Lifecycle: walk-ins completed', { walkInsCompleted });
+  }
+
+  return { awaitingOutcome: moved.length };
+};
+
+// ============================================================================
+// Waitlist (full or declined slots)
+// ============================================================================
+
+// How long a freed slot is held for the offered guest
+const WAITLIST_CLAIM_MINUTES = 30;
+// Open (waiting / offered) entries per user
+const MAX_OPEN_WAITLIST_ENTRIES = 3;
+
+/**
+ * Offer a freed slot (cancelled / expired booking, or an unclaimed offer) to
+ * the next matching waitlist entry and notify that guest.
+ * Slots that can no longer be booked (inside min_hours_before) are not offered.
+ *
+ * @param {object} booking - { establishment_id, booking_date, booking_time, guest_count }
+ * @returns {Promise<object|null>} offered entry, or null
+ */
+export const offerFreedSlot = async (booking) => {
+  const settings = await BookingSettingsModel.getByEstablishmentId(booking.establishment_id);
+  if (!settings || !settings.is_enabled) {
+    return null;
+  }
+
+  const bookingDate = toDateString(booking.booking_date);
+  const bookingTime = String(booking.booking_time).slice(0, 5);
+  const hoursUntilSlot = (new Date(`${bookingDate}T${bookingTime}:00`) - new Date()) / (1000 * 60 * 60);
+  if (hoursUntilSlot < settings.min_hours_before) {
+    return null;
+  }
+
+  const entry = await BookingWaitlistModel.offerNext({
+    establishmentId: booking.establishment_id,
+    bookingDate,
+    bookingTime,
+    seats: booking.guest_count,
+    claimMinutes: WAITLIST_CLAIM_MINUTES,
+  });
+  if (!entry) {
+    return null;
+  }
+
+  NotificationService.notifyWaitlistOffer(
+    entry.user_id,
+    entry,
+    entry.establishment_id,
+  ).catch(() => {});
+
+  logger.info('Waitlist slot offered', {
+    entryId: entry.id,
+    establishmentId: entry.establishment_id,
+    bookingDate,
+    bookingTime,
+  });
+  return entry;
+};
+
+/**
+ * Join the waitlist for a time window on a date.
+ *
+ * Validates like createBooking where it applies (establishment active,
+ * booking enabled, guest count, date range) plus:
+ * - time_from <= time_to, both "HH:MM"
+ * - one open entry per establishment and date
+ * - at most MAX_OPEN_WAITLIST_ENTRIES open entries
+ * - no active booking at this establishment already
+ */
+export const joinWaitlist = async (userId, data) => {
+  const {
+    establishmentId,
+    date: bookingDate,
+    timeFrom,
+    timeTo,
+    guestCount,
+    contactPhone,
+  } = data;
+
+  if (!establishmentId || !bookingDate || !timeFrom || !timeTo || !guestCount || !contactPhone) {
+    throw new AppError(
+      'Необходимо заполнить все обязательные поля',
+      400,
+      'VALIDATION_ERROR',
+    );
+  }
+
+  if (!TIME_PATTERN.test(timeFrom) || !TIME_PATTERN.test(timeTo) || timeFrom > timeTo) {
+    throw new AppError('Некорректный интервал времени', 400, 'INVALID_TIME_WINDOW');
+  }
+
+  const establishment = await EstablishmentModel.findEstablishmentById(establishmentId);
+  if (!establishment) {
+    throw new AppError('Заведение не найдено', 404, 'NOT_FOUND');
+  }
+  if (establishment.status !== 'active') {
+    throw new AppError('Заведение неактивно', 400, 'ESTABLISHMENT_NOT_ACTIVE');
+  }
+
+  const settings = await BookingSettingsModel.getByEstablishmentId(establishmentId);
+  if (!settings || !settings.is_enabled) {
+    throw new AppError('Бронирование недоступно для этого заведения', 400, 'BOOKING_NOT_ENABLED');
+  }
+
+  if (guestCount < 1 || guestCount > settings.max_guests_per_booking) {
+    throw new AppError(
+      `Количество гостей должно быть от 1 до ${settings.max_guests_per_booking}`,
+      400,
+      'INVALID_GUEST_COUNT',
+    );
+  }
+
+  validateBookingDate(bookingDate, settings);
+
+  const existingEntry = await BookingWaitlistModel.getOpenForUser(userId, establishmentId, bookingDate);
+  if (existingEntry) {
+    throw new AppError(
+      'Вы уже в листе ожидания этого заведения на эту дату',
+      400,
+      'DUPLICATE_WAITLIST',
+    );
+  }
+
+  const openCount = await BookingWaitlistModel.countOpenForUser(userId);
+  if (openCount >= MAX_OPEN_WAITLIST_ENTRIES) {
+    throw new AppError(
+      `Можно стоять не более чем в ${MAX_OPEN_WAITLIST_ENTRIES} листах ожидания одновременно`,
+      400,
+      'MAX_WAITLIST_REACHED',
+    );
+  }
+
+  const existingBooking = await BookingModel.getActiveForEstablishmentAndUser(userId, establishmentId);
+  if (existingBooking) {
+    throw new AppError(
+      'У вас уже есть активное бронирование в этом заведении',
+      400,
+      'DUPLICATE_BOOKING',
+    );
+  }
+
+  const entry = await BookingWaitlistModel.create({
+    establishmentId,
+    userId,
+    bookingDate,
+    timeFrom,
+    timeTo,
+    guestCount,
+    contactPhone,
+  });
+
+  logger.info('Waitlist entry created', { entryId: entry.id, establishmentId, userId });
+  return entry;
+};
+
+/**
+ * Get user's waitlist entries.
+ */
+export const getUserWaitlist = async (userId) => {
+  return BookingWaitlistModel.getByUserId(userId);
+};
+
+/**
+ * Leave the waitlist (user action). An entry holding an offer releases the
+ * slot to the next guest.
+ */
+export const leaveWaitlist = async (entryId, userId) => {
+  const entry = await BookingWaitlistModel.getById(entryId);
+  if (!entry) {
+    throw new AppError('Waitlist entry not found', 404, 'NOT_FOUND');
+  }
+  if (entry.user_id !== userId) {
+    throw new AppError('This waitlist entry does not belong to you', 403, 'FORBIDDEN');
+  }
+
+  const cancelled = await BookingWaitlistModel.cancel(entryId);
+  if (!cancelled) {
+    throw new AppError(`Cannot leave waitlist entry with status '${entry.status}'`, 400, 'INVALID_STATUS');
+  }
+
+  if (entry.status === 'offered') {
+    offerFreedSlot({
+      establishment_id: entry.establishment_id,
+      booking_date: entry.booking_date,
+      booking_time: entry.offered_time,
+      guest_count: entry.offered_seats,
+    }).catch((error) => {
+      logger.error('Waitlist re-offer after leave failed', { error: error.message, entryId });
+    });
+  }
+
+  logger.info('Waitlist entry cancelled by user', { entryId, userId });
+  return cancelled;
+};
+
+/**
+ * Claim a waitlist offer: creates a regular (pending) booking for the offered
+ * slot through createBooking, so every booking rule still applies. The
+ * offer's own seat hold is ignored during the capacity check.
+ *
+ * @returns {Promise<object>} created booking
+ */
+export const claimWaitlistOffer = async (entryId, userId) => {
+  const entry = await BookingWaitlistModel.getById(entryId);
+  if (!entry) {
+    throw new AppError('Waitlist entry not found', 404, 'NOT_FOUND');
+  }
+  if (entry.user_id !== userId) {
+    throw new AppError('This waitlist entry does not belong to you', 403, 'FORBIDDEN');
+  }
+  if (entry.status !== 'offered') {
+    throw new AppError(`Cannot claim waitlist entry with status '${entry.status}'`, 400, 'INVALID_STATUS');
+  }
+  if (new Date(entry.offer_expires_at) <= new Date()) {
+    throw new AppError('Время на подтверждение предложения истекло', 400, 'OFFER_EXPIRED');
+  }
+
+  const booking = await createBooking(
+    userId,
+    {
+      establishmentId: entry.establishment_id,
+      date: toDateString(entry.booking_date),
+      time: String(entry.offered_time).slice(0, 5),
+      guestCount: entry.guest_count,
+      contactPhone: entry.contact_phone,
+    },
+    { waitlistEntryId: entry.id },
+  );
+
+  await BookingWaitlistModel.markClaimed(entry.id, booking.id);
+
+  logger.info('Waitlist offer claimed', { entryId, bookingId: booking.id, userId });
+  return booking;
+};
+
+/**
+ * Worker sweep: expire waiting entries for past dates and unclaimed offers;
+ * each expired offer's slot passes to the next guest in line.
+ *
+ * @returns {Promise<{ expiredEntries: number, expiredOffers: number, reoffered: number }>}
+ */
+export const processWaitlist = async () => {
+  const expiredEntries = await BookingWaitlistModel.expireStaleWaiting();
+  const expiredOffers = await BookingWaitlistModel.expireDueOffers();
+
+  let reoffered = 0;
+  for (const offer of expiredOffers) {
+    const next = await offerFreedSlot({
+      establishment_id: offer.establishment_id,
+      booking_date: offer.booking_date,
+      booking_time: offer.offered_time,
+      guest_count: offer.offered_seats,
+    }).catch((error) => {
+      logger.error('Waitlist re-offer failed', { error: error.message, entryId: offer.id });
+      return null;
+    });
+    if (next) reoffered++;
+  }
+
+  if (expiredEntries > 0 || expiredOffers.length > 0) {
+    logger.info('Lifecycle: waitlist sweep', {
+      expiredEntries,
+      expiredOffers: expiredOffers.length,
+      reoffered,
+    });
+  }
+  return { expiredEntries, expiredOffers: expiredOffers.length, reoffered };
+};
+
+// ============================================================================
+// Availability (public slot picker)
+// ============================================================================
+
+// Slot grid for the picker
+const SLOT_STEP_MINUTES = 30;
+
+const minutesToTime = (minutes) =>
+  `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+/**
+ * Compute bookable time slots for one day.
+ *
+ * Applies the same rules as createBooking (settings, working/special hours,
+ * min_hours_before, seated capacity) so every slot marked available is one
+ * createBooking would accept — per-user limits excepted (public endpoint).
+ *
+ * Slots run on a 30-minute grid over the day, keeping the times
+ * isTimeWithinRange accepts — from opening time up to (not including) closing time.
+ *
+ * @param {string} establishmentId
+ * @param {object} params - { date: "YYYY-MM-DD", guests: number }
+ * @returns {Promise<object>} { date, guests, is_open, open, close, seating_duration_minutes, slots }
+ *   slots: [{ time: "HH:MM", available: boolean, reason: null|'too_soon'|'full' }]
+ */
+export const getAvailability = async (establishmentId, { date, guests }) => {
+  if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(new Date(date).getTime())) {
+    throw new AppError('Параметр date должен быть в формате YYYY-MM-DD', 400, 'VALIDATION_ERROR');
+  }
+
+  const establishment = await EstablishmentModel.findEstablishmentById(establishmentId);
+  if (!establishment) {
+    throw new AppError('Заведение не найдено', 404, 'NOT_FOUND');
+  }
+  if (establishment.status !== 'active') {
+    throw new AppError('Заведение неактивно', 400, 'ESTABLISHMENT_NOT_ACTIVE');
+  }
+
+  const settings = await BookingSettingsModel.getByEstablishmentId(establishmentId);
+  if (!settings || !settings.is_enabled) {
+    throw new AppError('Бронирование недоступно для этого заведения', 400, 'BOOKING_NOT_ENABLED');
+  }
+
+  const guestCount = guests ?? 1;
+  if (!Number.isInteger(guestCount) || guestCount < 1 || guestCount > settings.max_guests_per_booking) {
+    throw new AppError(
+      `Количество гостей должно быть от 1 до ${settings.max_guests_per_booking}`,
+      400,
+      'INVALID_GUEST_COUNT',
+    );
+  }
+
+  const bDate = validateBookingDate(date, settings);
+  const dayHours = resolveDayHours(establishment, date, DAY_KEYS[bDate.getDay()]);
+  const durationMinutes = settings.seating_duration_minutes || DEFAULT_SEATING_DURATION_MINUTES;
+
+  const result = {
+    date,
+    guests: guestCount,
+    is_open: dayHours.isOpen,
+    open: dayHours.open,
+    close: dayHours.close,
+    seating_duration_minutes: durationMinutes,
+    slots: [],
+  };
+
+  if (!dayHours.isOpen) {
+    return result;
+  }
+
+  const context = await loadCapacityContext({
+    establishmentId,
+    bookingDate: date,
+    defaultDurationMinutes: durationMinutes,
+    statuses: ['pending', 'confirmed'],
+    excludeBookingId: null,
+    holdWaitlistOffers: true,
+  });
+
+  const now = new Date();
+
+  for (let minutes = 0; minutes < 24 * 60; minutes += SLOT_STEP_MINUTES) {
+    const time = minutesToTime(minutes);
+    if (!isTimeWithinRange(time, dayHours.open, dayHours.close)) {
+      continue;
+    }
+    const hoursUntil = (new Date(`${date}T${time}:00`) - now) / (1000 * 60 * 60);
+
+    let reason = null;
+    if (hoursUntil < settings.min_hours_before) {
+      reason = 'too_soon';
+    } else if (context && !checkCapacity({
+      ...context,
+      startMinutes: minutes,
+      durationMinutes,
+      guestCount,
+    }).fits) {
+      reason = 'full';
+    }
+
+    result.slots.push({ time, available: reason === null, reason });
+  }
+
+  return result;
 };
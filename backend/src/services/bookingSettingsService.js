@@ -4,9 +4,11 @@
  * Business logic for booking settings management.
  * activate/deactivate use transactions to keep booking_settings.is_enabled
  * and establishments.booking_enabled in sync.
+ * Also owns the table inventory (booking_tables) used by the capacity check.
  */
 
 import * as BookingSettingsModel from '../models/bookingSettingsModel.js';
+import * as BookingTableModel from '../models/bookingTableModel.js';
 import { getClient } from '../config/database.js';
 import { AppError } from '../middleware/errorHandler.js';
 import * as PartnerAnalyticsModel from '../models/partnerAnalyticsModel.js';
@@ -16,12 +18,26 @@ import logger from '../utils/logger.js';
 const ALLOWED_TIMEOUT_HOURS = [2, 4, 6];
 const ALLOWED_MAX_DAYS_AHEAD = [0, 1, 3, 7, 14, 30];
 const ALLOWED_MIN_HOURS_BEFORE = [1, 2, 3, 6, 12, 24];
+const ALLOWED_SEATING_DURATION_MINUTES = [60, 90, 120, 150, 180, 240];
+const ALLOWED_REMINDER_HOURS_BEFORE = [0, 1, 2, 3, 6, 12, 24]; // 0 = reminders off
+
+// Table inventory limits (mirror booking_tables CHECK / VARCHAR sizes)
+const MAX_TABLE_SEATS = 50;
+const MAX_TABLE_LABEL_LENGTH = 50;
 
 /**
  * Validate settings fields.
  */
 const validateSettings = (data) => {
-  const { maxGuestsPerBooking, confirmationTimeoutHours, maxDaysAhead, minHoursBefore } = data;
+  const {
+    maxGuestsPerBooking,
+    confirmationTimeoutHours,
+    maxDaysAhead,
+    minHoursBefore,
+    seatingDurationMinutes,
+    reminderHoursBefore,
+    reconfirmEnabled,
+  } = data;
 
   if (maxGuestsPerBooking !== undefined && maxGuestsPerBooking < 1) {
     throw new AppError('max_guests_per_booking must be >= 1', 400, 'VALIDATION_ERROR');
@@ -50,6 +66,69 @@ const validateSettings = (data) => {
       'VALIDATION_ERROR',
     );
   }
+
+  if (
+    seatingDurationMinutes !== undefined
+    && !ALLOWED_SEATING_DURATION_MINUTES.includes(seatingDurationMinutes)
+  ) {
+    throw new AppError(
+      `seating_duration_minutes must be one of: ${ALLOWED_SEATING_DURATION_MINUTES.join(', ')}`,
+      400,
+      'VALIDATION_ERROR',
+    );
+  }
+
+  if (reminderHoursBefore !== undefined && !ALLOWED_REMINDER_HOURS_BEFORE.includes(reminderHoursBefore)) {
+    throw new AppError(
+      `reminder_hours_before must be one of: ${ALLOWED_REMINDER_HOURS_BEFORE.join(', ')}`,
+      400,
+      'VALIDATION_ERROR',
+    );
+  }
+
+  if (reconfirmEnabled !== undefined && typeof reconfirmEnabled !== 'boolean') {
+    throw new AppError('reconfirm_enabled must be a boolean', 400, 'VALIDATION_ERROR');
+  }
+};
+
+/**
+ * Validate table fields. `partial` skips the required-field checks (update).
+ */
+const validateTable = (data, { partial = false } = {}) => {
+  const { label, zone, seats, isCombinable, isActive } = data;
+
+  if (!partial || label !== undefined) {
+    if (typeof label !== 'string' || !label.trim() || label.trim().length > MAX_TABLE_LABEL_LENGTH) {
+      throw new AppError(
+        `label is required (max ${MAX_TABLE_LABEL_LENGTH} characters)`,
+        400,
+        'VALIDATION_ERROR',
+      );
+    }
+  }
+
+  if (zone !== undefined && zone !== null
+    && (typeof zone !== 'string' || zone.trim().length > MAX_TABLE_LABEL_LENGTH)) {
+    throw new AppError(
+      `zone must be a string (max ${MAX_TABLE_LABEL_LENGTH} characters)`,
+      400,
+      'VALIDATION_ERROR',
+    );
+  }
+
+  if (!partial || seats !== undefined) {
+    if (!Number.isInteger(seats) || seats < 1 || seats > MAX_TABLE_SEATS) {
+      throw new AppError(`seats must be an integer from 1 to ${MAX_TABLE_SEATS}`, 400, 'VALIDATION_ERROR');
+    }
+  }
+
+  if (isCombinable !== undefined && typeof isCombinable !== 'boolean') {
+    throw new AppError('is_combinable must be a boolean', 400, 'VALIDATION_ERROR');
+  }
+
+  if (isActive !== undefined && typeof isActive !== 'boolean') {
+    throw new AppError('is_active must be a boolean', 400, 'VALIDATION_ERROR');
+  }
 };
 
 /**
@@ -83,6 +162,9 @@ export const activate = async (establishmentId, partnerId, settings = {}) => {
     confirmationTimeoutHours: settings.confirmationTimeoutHours ?? 4,
     maxDaysAhead: settings.maxDaysAhead ?? 7,
     minHoursBefore: settings.minHoursBefore ?? 2,
+    seatingDurationMinutes: settings.seatingDurationMinutes ?? 120,
+    reminderHoursBefore: settings.reminderHoursBefore ?? 3,
+    reconfirmEnabled: settings.reconfirmEnabled ?? false,
   };
 
   validateSettings(data);
@@ -180,6 +262,9 @@ export const updateSettings = async (establishmentId, partnerId, updates) => {
     confirmationTimeoutHours: updates.confirmationTimeoutHours ?? existing.confirmation_timeout_hours,
     maxDaysAhead: updates.maxDaysAhead ?? existing.max_days_ahead,
     minHoursBefore: updates.minHoursBefore ?? existing.min_hours_before,
+    seatingDurationMinutes: updates.seatingDurationMinutes ?? existing.seating_duration_minutes,
+    reminderHoursBefore: updates.reminderHoursBefore ?? existing.reminder_hours_before,
+    reconfirmEnabled: updates.reconfirmEnabled ?? existing.reconfirm_enabled,
   };
 
   validateSettings(data);
@@ -187,6 +272,95 @@ export const updateSettings = async (establishmentId, partnerId, updates) => {
   return BookingSettingsModel.createOrUpdate(data);
 };
 
+// ============================================================================
+// Table inventory
+// ============================================================================
+
+/**
+ * List all tables (active and inactive) for an establishment.
+ *
+ * @param {string} establishmentId
+ * @param {string} partnerId
+ * @returns {Array}
+ */
+export const listTables = async (establishmentId, partnerId) => {
+  await verifyOwnership(establishmentId, partnerId);
+  return BookingTableModel.getByEstablishmentId(establishmentId);
+};
+
+/**
+ * Add a table to the inventory.
+ * Duplicate labels within one establishment surface as 409 via the UNIQUE constraint.
+ *
+ * @param {string} establishmentId
+ * @param {string} partnerId
+ * @param {object} data - { label, zone?, seats, isCombinable?, isActive? }
+ * @returns {object} created table
+ */
+export const createTable = async (establishmentId, partnerId, data) => {
+  await verifyOwnership(establishmentId, partnerId);
+  validateTable(data);
+
+  const table = await BookingTableModel.create({
+    establishmentId,
+    label: data.label.trim(),
+    zone: data.zone ? data.zone.trim() : null,
+    seats: data.seats,
+    isCombinable: data.isCombinable ?? false,
+    isActive: data.isActive ?? true,
+  });
+
+  logger.info('Booking table created', { establishmentId, partnerId, tableId: table.id });
+  return table;
+};
+
+/**
+ * Update a table (partial).
+ *
+ * @param {string} establishmentId
+ * @param {string} partnerId
+ * @param {string} tableId
+ * @param {object} updates - { label?, zone?, seats?, isCombinable?, isActive? }
+ * @returns {object} updated table
+ */
+export const updateTable = async (establishmentId, partnerId, tableId, updates) => {
+  await verifyOwnership(establishmentId, partnerId);
+  validateTable(updates, { partial: true });
+
+  const table = await BookingTableModel.update(tableId, establishmentId, {
+    label: updates.label !== undefined ? updates.label.trim() : undefined,
+    zone: updates.zone !== undefined ? (updates.zone ? updates.zone.trim() : null) : undefined,
+    seats: updates.seats,
+    isCombinable: updates.isCombinable,
+    isActive: updates.isActive,
+  });
+
+  if (!table) {
+    throw new AppError('Table not found', 404, 'NOT_FOUND');
+  }
+
+  return table;
+};
+
+/**
+ * Remove a table from the inventory.
+ * Existing bookings are untouched — they reference seats, not specific tables.
+ *
+ * @param {string} establishmentId
+ * @param {string} partnerId
+ * @param {string} tableId
+ */
+export const deleteTable = async (establishmentId, partnerId, tableId) => {
+  await verifyOwnership(establishmentId, partnerId);
+
+  const deleted = await BookingTableModel.remove(tableId, establishmentId);
+  if (!deleted) {
+    throw new AppError('Table not found', 404, 'NOT_FOUND');
+  }
+
+  logger.info('Booking table deleted', { establishmentId, partnerId, tableId });
+};
+
 /**
  * Verify that establishment belongs to partner.
  */
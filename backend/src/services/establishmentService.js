@@ -441,16 +441,20 @@ export const createEstablishment = async (partnerId, establishmentData) => {
       // Fire-and-forget: enqueue OCR jobs for newly persisted PDF menus.
       // Temp uploads do not create establishment_media rows; they are materialised here
       // at registration finalization, so this is the earliest valid enqueue point.
-      for (const record of pdfRecords) {
+      // The temp-upload response carries Cloudinary's page count (`pages`);
+      // passed on so the vision path knows the page count up front.
+      pdfRecords.forEach((record, index) => {
+        const { pages } = menu_pdfs[index];
         OcrJobModel.enqueue({
           establishmentId: establishment.id,
           mediaId: record.id,
+          pageCount: Number.isInteger(pages) && pages > 0 ? pages : null,
         }).catch((err) => logger.error('Failed to enqueue OCR job on registration finalize', {
           error: err.message,
           mediaId: record.id,
           establishmentId: establishment.id,
         }));
-      }
+      });
     }
 
     // Save legal fields to partner_documents if provided
@@ -169,7 +169,11 @@ export const uploadMedia = async (partnerId, establishmentId, file, metadata) =>
 
       // Fire-and-forget OCR job enqueue. Idempotency in OcrJobModel.enqueue
       // ensures a retry on the same media does not create duplicates.
-      OcrJobModel.enqueue({ establishmentId, mediaId: pdfRecord.id })
+      OcrJobModel.enqueue({
+        establishmentId,
+        mediaId: pdfRecord.id,
+        pageCount: pdfUploadResult.pages,
+      })
         .catch((err) => logger.error('Failed to enqueue OCR job after PDF upload', {
           error: err.message,
           mediaId: pdfRecord.id,
@@ -0,0 +1,295 @@
+/**
+ * Menu File Contract
+ *
+ * The CSV / JSON shape of a partner's menu for import and export
+ * (partnerMenuImportService). Strict in the same way as the seed-import
+ * contract (scripts/seed-import/contract.js): an exact column whitelist, a
+ * closed set of boolean tokens, `|` as the multi-value separator — a value
+ * the contract does not recognise is an error in the file, never something
+ * the importer silently coerces.
+ *
+ * CSV: one row per item, header row required, ',' or ';' delimited.
+ *   item_name;section;price_byn;description;portion_size;portion_unit;dietary_tags;is_available
+ *   Борщ;Супы;12,50;Со сметаной;300;g;gluten_free;да
+ *
+ * JSON: { "items": [ { "item_name": "Борщ", "section": "Супы", "price_byn": 12.5, ... } ] }
+ *   with the same keys, typed values (number / string / array / boolean).
+ *
+ * Row errors are collected, not fail-fast, and reported as "row N: ..." —
+ * N is the spreadsheet row for CSV (header = row 1) and the 1-based position
+ * in `items` for JSON. Structural problems (unparseable file, bad header,
+ * too many rows) throw 422 INVALID_MENU_FILE instead.
+ *
+ * Pure functions, no I/O.
+ */
+
+import { parseCsv, stringifyCsv } from '../utils/csv.js';
+import { normalizeMenuItemFields } from './menuItemFields.js';
+import { DIETARY_TAGS } from '../constants/menuItemVocab.js';
+import { normalizeItemName } from '../utils/menuItemName.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+export const MENU_FILE_FORMATS = ['csv', 'json'];
+
+export const REQUIRED_COLUMNS = ['item_name'];
+
+export const OPTIONAL_COLUMNS = [
+  'section',
+  'price_byn',
+  'description',
+  'portion_size',
+  'portion_unit',
+  'dietary_tags',
+  'is_available',
+];
+
+/** Every column, in export order. */
+export const ALL_COLUMNS = [...REQUIRED_COLUMNS, ...OPTIONAL_COLUMNS];
+
+/** Multi-value separator inside dietary_tags cells. NOT ';' (ru-Excel field delimiter). */
+export const MULTIVALUE_SEP = '|';
+
+/**
+ * is_available cell tokens (casefolded + trimmed). Same whitelist as the
+ * seed-import contract, except that an empty cell means "available".
+ */
+export const BOOL_TRUE_TOKENS = new Set(['1', 'да', 'true', 'yes', 'y', '+', 'х', 'x', 'v']);
+export const BOOL_FALSE_TOKENS = new Set(['0', 'нет', 'false', 'no', 'n', '-']);
+
+export const MAX_IMPORT_ROWS = 1000;
+export const MAX_SECTION_LENGTH = 100;
+
+const PRICE_PATTERN = /^\d+([.,]\d{1,2})?$/;
+const PORTION_PATTERN = /^\d+([.,]\d)?$/;
+
+const fileError = (message) => new AppError(message, 422, 'INVALID_MENU_FILE');
+
+/**
+ * Case- and whitespace-insensitive identity of an item within a menu:
+ * the same dish name in two sections is two items.
+ *
+ * @param {string|null} section
+ * @param {string} itemName
+ * @returns {string}
+ */
+export const itemKey = (section, itemName) => [
+  (section ?? '').trim().toLowerCase(),
+  normalizeItemName(itemName),
+].join('\u0000');
+
+const checkColumns = (columns, where) => {
+  const unknown = columns.filter((column) => !ALL_COLUMNS.includes(column));
+  if (unknown.length > 0) {
+    throw fileError(`${where}: unknown column(s) ${unknown.join(', ')}; allowed: ${ALL_COLUMNS.join(', ')}`);
+  }
+  const missing = REQUIRED_COLUMNS.filter((column) => !columns.includes(column));
+  if (missing.length > 0) {
+    throw fileError(`${where}: missing required column(s) ${missing.join(', ')}`);
+  }
+};
+
+/**
+ * CSV cells → typed item fields. Only columns present in the header are set.
+ * Cell-level problems are pushed to `problems`.
+ */
+const fromCsvCells = (cells, problems) => {
+  const fields = {};
+  const text = (column) => cells[column].trim();
+
+  if ('item_name' in cells) fields.item_name = cells.item_name;
+  if ('section' in cells) fields.section = text('section') || null;
+  if ('description' in cells) fields.description = text('description') || null;
+
+  if ('price_byn' in cells) {
+    const raw = text('price_byn');
+    if (raw === '') fields.price_byn = null;
+    else if (PRICE_PATTERN.test(raw)) fields.price_byn = Number(raw.replace(',', '.'));
+    else problems.push(`price_byn "${raw}" is not a price (e.g. 12.50 or 12,50)`);
+  }
+
+  if ('portion_size' in cells) {
+    const raw = text('portion_size');
+    if (raw === '') fields.portion_size = null;
+    else if (PORTION_PATTERN.test(raw)) fields.portion_size = Number(raw.replace(',', '.'));
+    else problems.push(`portion_size "${raw}" is not a number`);
+  }
+  if ('portion_unit' in cells) fields.portion_unit = text('portion_unit') || null;
+
+  if ('dietary_tags' in cells) {
+    fields.dietary_tags = text('dietary_tags')
+      .split(MULTIVALUE_SEP)
+      .map((tag) => tag.trim())
+      .filter(Boolean);
+  }
+
+  if ('is_available' in cells) {
+    const token = text('is_available').toLowerCase();
+    if (token === '' || BOOL_TRUE_TOKENS.has(token)) fields.is_available = true;
+    else if (BOOL_FALSE_TOKENS.has(token)) fields.is_available = false;
+    else problems.push(`is_available "${cells.is_available}" is not a yes/no value`);
+  }
+
+  return fields;
+};
+
+/** JSON values are typed already; check the types the normalizer does not. */
+const fromJsonObject = (raw, problems) => {
+  const fields = { ...raw };
+  const checkType = (key, ok, expected) => {
+    if (fields[key] !== undefined && fields[key] !== null && !ok(fields[key])) {
+      problems.push(`${key} must be ${expected}`);
+      delete fields[key];
+    }
+  };
+  checkType('section', (v) => typeof v === 'string', 'a string or null');
+  checkType('price_byn', (v) => typeof v === 'number', 'a number or null');
+  checkType('portion_size', (v) => typeof v === 'number', 'a number or null');
+  checkType('portion_unit', (v) => typeof v === 'string', 'a string or null');
+  if (typeof fields.section === 'string') fields.section = fields.section.trim() || null;
+  if (fields.dietary_tags === null) fields.dietary_tags = [];
+  if (fields.is_available === null) fields.is_available = true;
+  return fields;
+};
+
+/**
+ * Domain validation shared by both formats. Returns the normalized item, or
+ * null after pushing the problem.
+ */
+const validateItem = (fields, problems) => {
+  const { section, ...itemFields } = fields;
+  if (section !== undefined && section !== null && section.length > MAX_SECTION_LENGTH) {
+    problems.push(`section must be up to ${MAX_SECTION_LENGTH} characters`);
+  }
+  if (Array.isArray(itemFields.dietary_tags)) {
+    const unknown = itemFields.dietary_tags.filter((tag) => !DIETARY_TAGS.includes(tag));
+    if (unknown.length > 0) {
+      problems.push(`unknown dietary tag(s) ${unknown.join(', ')}; allowed: ${DIETARY_TAGS.join(', ')}`);
+      delete itemFields.dietary_tags;
+    }
+  }
+  if (problems.length > 0) return null;
+
+  try {
+    const item = normalizeMenuItemFields(itemFields);
+    if (section !== undefined) item.section = section;
+    return item;
+  } catch (err) {
+    if (!(err instanceof AppError)) throw err;
+    problems.push(err.message);
+    return null;
+  }
+};
+
+const readRows = (content, format) => {
+  if (format === 'csv') {
+    let parsed;
+    try {
+      parsed = parseCsv(content);
+    } catch (err) {
+      throw fileError(err.message);
+    }
+    const duplicated = parsed.headers.filter((h, idx) => parsed.headers.indexOf(h) !== idx);
+    if (duplicated.length > 0) {
+      throw fileError(`header: duplicate column(s) ${[...new Set(duplicated)].join(', ')}`);
+    }
+    checkColumns(parsed.headers, 'header');
+    return parsed.rows.map((cells, idx) => ({ row: idx + 2, raw: cells }));
+  }
+
+  let document;
+  try {
+    document = JSON.parse(content);
+  } catch (err) {
+    throw fileError(`invalid JSON: ${err.message}`);
+  }
+  if (!document || typeof document !== 'object' || !Array.isArray(document.items)) {
+    throw fileError('JSON menu must be an object with an "items" array');
+  }
+  return document.items.map((raw, idx) => ({ row: idx + 1, raw }));
+};
+
+/**
+ * Parse and validate a menu file.
+ *
+ * Items only carry the fields the file provides: a CSV without a
+ * dietary_tags column yields items without dietary_tags, so the importer can
+ * leave that field of existing items alone.
+ *
+ * @param {string} content - File text (a leading BOM is fine)
+ * @param {'csv'|'json'} format
+ * @returns {{ items: Array<{ row: number, item: Object }>, errors: string[] }}
+ *   items in file order (empty when there are errors)
+ * @throws {AppError} 422 INVALID_MENU_FILE on structural problems
+ */
+export const parseMenuFile = (content, format) => {
+  if (!MENU_FILE_FORMATS.includes(format)) {
+    throw fileError(`format must be one of: ${MENU_FILE_FORMATS.join(', ')}`);
+  }
+  if (typeof content !== 'string' || content.trim().length === 0) {
+    throw fileError('Menu file is empty');
+  }
+
+  const rows = readRows(content, format);
+  if (rows.length === 0) throw fileError('Menu file has no items');
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw fileError(`Menu file has ${rows.length} items; the limit is ${MAX_IMPORT_ROWS}`);
+  }
+
+  const items = [];
+  const errors = [];
+  const firstRowByKey = new Map();
+
+  for (const { row, raw } of rows) {
+    const problems = [];
+    let fields = null;
+
+    if (format === 'csv') {
+      fields = fromCsvCells(raw, problems);
+    } else if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      problems.push('item must be an object');
+    } else {
+      const unknown = Object.keys(raw).filter((key) => !ALL_COLUMNS.includes(key));
+      if (unknown.length > 0) {
+        problems.push(`unknown key(s) ${unknown.join(', ')}`);
+      } else if (raw.item_name === undefined) {
+        problems.push('item_name is required');
+      } else {
+        fields = fromJsonObject(raw, problems);
+      }
+    }
+
+    const item = fields && validateItem(fields, problems);
+    if (item) {
+      const key = itemKey(item.section, item.item_name);
+      if (firstRowByKey.has(key)) {
+        problems.push(`duplicates row ${firstRowByKey.get(key)} (same item_name in the same section)`);
+      } else {
+        firstRowByKey.set(key, row);
+        items.push({ row, item });
+      }
+    }
+
+    for (const problem of problems) errors.push(`row ${row}: ${problem}`);
+  }
+
+  return { items: errors.length > 0 ? [] : items, errors };
+};
+
+/**
+ * Serialize menu items to a file parseMenuFile accepts.
+ *
+ * @param {Object[]} items - Export rows keyed by ALL_COLUMNS
+ * @param {'csv'|'json'} format
+ * @returns {string}
+ */
+export const serializeMenuFile = (items, format) => {
+  if (format === 'json') {
+    return JSON.stringify({ items }, null, 2);
+  }
+  return stringifyCsv(ALL_COLUMNS, items.map((item) => ({
+    ...item,
+    price_byn: item.price_byn === null ? '' : item.price_byn.toFixed(2),
+    dietary_tags: item.dietary_tags.join(MULTIVALUE_SEP),
+    is_available: item.is_available ? 'да' : 'нет',
+  })));
+};
@@ -0,0 +1,101 @@
+/**
+ * Menu Item Field Normalization
+ *
+ * Shared validation of partner-supplied menu item fields, used by manual
+ * authoring / inline edits (partnerMenuItemService) and by draft edits
+ * (partnerMenuDraftService). Only fields present in the input are checked;
+ * the caller decides which fields it accepts.
+ *
+ * Error codes: INVALID_PRICE for price_byn, the caller's `errorCode` for
+ * everything else (VALIDATION_ERROR / INVALID_DRAFT_EDIT).
+ */
+
+import {
+  DIETARY_TAGS,
+  PORTION_UNITS,
+  MAX_DESCRIPTION_LENGTH,
+} from '../constants/menuItemVocab.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+export const MAX_NAME_LENGTH = 255;
+export const MAX_CATEGORY_LENGTH = 100;
+const MAX_PORTION_SIZE = 100000;
+
+/**
+ * Validate and normalize the provided fields. Returns a new object; names
+ * and descriptions are trimmed (empty description → null), prices become
+ * numbers and dietary tags are de-duplicated.
+ *
+ * @param {Object} fields - Subset of item_name, price_byn, category_raw,
+ *   description, portion_size, portion_unit, dietary_tags, is_available
+ * @param {Object} [options]
+ * @param {string} [options.errorCode='VALIDATION_ERROR']
+ * @returns {Object} Normalized fields
+ * @throws {AppError} 422
+ */
+export const normalizeMenuItemFields = (fields, { errorCode = 'VALIDATION_ERROR' } = {}) => {
+  const fail = (message) => new AppError(message, 422, errorCode);
+  const out = { ...fields };
+
+  if (out.item_name !== undefined) {
+    if (typeof out.item_name !== 'string' || out.item_name.trim().length === 0
+      || out.item_name.trim().length > MAX_NAME_LENGTH) {
+      throw fail(`item_name must be a non-empty string up to ${MAX_NAME_LENGTH} characters`);
+    }
+    out.item_name = out.item_name.trim();
+  }
+
+  if (out.price_byn !== undefined && out.price_byn !== null) {
+    const price = Number(out.price_byn);
+    if (!Number.isFinite(price) || price < 0) {
+      throw new AppError('price_byn must be a non-negative number', 422, 'INVALID_PRICE');
+    }
+    out.price_byn = price;
+  }
+
+  if (out.category_raw !== undefined && out.category_raw !== null
+    && (typeof out.category_raw !== 'string' || out.category_raw.length > MAX_CATEGORY_LENGTH)) {
+    throw fail(`category_raw must be a string up to ${MAX_CATEGORY_LENGTH} characters`);
+  }
+
+  if (out.description !== undefined && out.description !== null) {
+    if (typeof out.description !== 'string' || out.description.trim().length > MAX_DESCRIPTION_LENGTH) {
+      throw fail(`description must be a string up to ${MAX_DESCRIPTION_LENGTH} characters`);
+    }
+    out.description = out.description.trim() || null;
+  }
+
+  if (out.portion_size !== undefined || out.portion_unit !== undefined) {
+    const size = out.portion_size ?? null;
+    const unit = out.portion_unit ?? null;
+    if ((size === null) !== (unit === null)) {
+      throw fail('portion_size and portion_unit must be set (or cleared) together');
+    }
+    if (size !== null) {
+      const amount = Number(size);
+      if (!Number.isFinite(amount) || amount <= 0 || amount > MAX_PORTION_SIZE) {
+        throw fail('portion_size must be a positive number');
+      }
+      if (!PORTION_UNITS.includes(unit)) {
+        throw fail(`portion_unit must be one of: ${PORTION_UNITS.join(', ')}`);
+      }
+      out.portion_size = amount;
+    }
+    out.portion_size = out.portion_size ?? null;
+    out.portion_unit = unit;
+  }
+
+  if (out.dietary_tags !== undefined) {
+    if (!Array.isArray(out.dietary_tags)
+      || out.dietary_tags.some((tag) => !DIETARY_TAGS.includes(tag))) {
+      throw fail(`dietary_tags must be an array of: ${DIETARY_TAGS.join(', ')}`);
+    }
+    out.dietary_tags = [...new Set(out.dietary_tags)];
+  }
+
+  if (out.is_available !== undefined && typeof out.is_available !== 'boolean') {
+    throw fail('is_available must be a boolean');
+  }
+
+  return out;
+};
@@ -33,6 +33,11 @@ const TITLES = {
   booking_declined: 'Бронь отклонена',
   booking_expired: 'Бронь истекла',
   booking_cancelled: 'Бронь отменена',
+  booking_modified: 'Бронь изменена',
+  booking_reminder: 'Напоминание о брони',
+  booking_reconfirm_request: 'Подтвердите визит',
+  booking_needs_outcome: 'Отметьте визит гостя',
+  waitlist_offer: 'Освободилось место',
   promotion_new: 'Новая акция',
   menu_parsed: 'Меню распознано',
   menu_item_hidden_by_admin: 'Позиция меню скрыта модератором',
@@ -578,6 +583,231 @@ export const notifyBookingCancelled = async (partnerId, bookingData, establishme
   }
 };
 
+/**
+ * Tell the partner a guest changed their booking.
+ * autoConfirmed — small change, booking stays confirmed; otherwise the booking
+ * is back to pending and waits for the partner's decision.
+ *
+ * @param {string} partnerId
+ * @param {object} bookingData - { id, establishment_name, previous_date, previous_time,
+ *   booking_date, booking_time, guest_count }
+ * @param {string} establishmentId
+ * @param {object} options - { autoConfirmed }
+ */
+export const notifyBookingModified = async (partnerId, bookingData, establishmentId, { autoConfirmed }) => {
+  try {
+    const name = bookingData.establishment_name || 'Заведение';
+    const before = formatBookingDateTime(bookingData.previous_date, bookingData.previous_time);
+    const after = formatBookingDateTime(bookingData.booking_date, bookingData.booking_time);
+    const change = `${before.date} ${before.time} → ${after.date} ${after.time}, ${bookingData.guest_count} гост.`;
+    const message = autoConfirmed
+      ? `Гость изменил бронь в «${name}»: ${change}. Бронь остаётся подтверждённой`
+      : `Гость просит изменить бронь в «${name}»: ${change}. Подтвердите или отклоните`;
+    await NotificationModel.create({
+      userId: partnerId,
+      type: 'booking_modified',
+      title: TITLES.booking_modified,
+      message,
+      establishmentId,
+    });
+
+    PushService.sendPush(partnerId, {
+      title: TITLES.booking_modified,
+      message,
+      data: { type: 'booking_modified', establishmentId, bookingId: bookingData.id },
+    }).catch((err) => logger.error('Push failed for booking modified', { error: err.message }));
+  } catch (error) {
+    logger.error('Failed to create booking modified notification', {
+      error: error.message,
+      partnerId,
+      establishmentId,
+    });
+  }
+};
+
+/**
+ * Tell the guest how their change landed: accepted right away, or sent to
+ * the establishment for approval. No push — the guest just made the change.
+ *
+ * @param {string} userId
+ * @param {object} bookingData - same shape as notifyBookingModified
+ * @param {string} establishmentId
+ * @param {object} options - { autoConfirmed }
+ */
+export const notifyBookingModificationResult = async (userId, bookingData, establishmentId, { autoConfirmed }) => {
+  try {
+    const name = bookingData.establishment_name || 'Заведение';
+    const { date, time } = formatBookingDateTime(bookingData.booking_date, bookingData.booking_time);
+    const message = autoConfirmed
+      ? `Бронь в «${name}» изменена: ${date} ${time}, ${bookingData.guest_count} гост.`
+      : `Запрос на изменение брони в «${name}» (${date} ${time}, ${bookingData.guest_count} гост.) отправлен заведению`;
+    await NotificationModel.create({
+      userId,
+      type: 'booking_modified',
+      title: TITLES.booking_modified,
+      message,
+      establishmentId,
+    });
+  } catch (error) {
+    logger.error('Failed to create booking modification result notification', {
+      error: error.message,
+      userId,
+      establishmentId,
+    });
+  }
+};
+
+/**
+ * Remind user about an upcoming confirmed booking.
+ * Called from the lifecycle worker (bookingService.processBookingReminders).
+ *
+ * @param {string} userId
+ * @param {object} bookingData
+ * @param {string} establishmentId
+ */
+export const notifyBookingReminder = async (userId, bookingData, establishmentId) => {
+  try {
+    const name = bookingData.establishment_name || 'Заведение';
+    const { date, time } = formatBookingDateTime(bookingData.booking_date, bookingData.booking_time);
+    const message = `Ждём вас в «${name}» — ${date} ${time}, ${bookingData.guest_count} гост.`;
+    await NotificationModel.create({
+      userId,
+      type: 'booking_reminder',
+      title: TITLES.booking_reminder,
+      message,
+      establishmentId,
+    });
+
+    PushService.sendPush(userId, {
+      title: TITLES.booking_reminder,
+      message,
+      data: { type: 'booking_reminder', establishmentId, bookingId: bookingData.id },
+    }).catch((err) => logger.error('Push failed for booking reminder', { error: err.message }));
+  } catch (error) {
+    logger.error('Failed to create booking reminder notification', {
+      error: error.message,
+      userId,
+      establishmentId,
+    });
+  }
+};
+
+/**
+ * Ask the guest to reconfirm tomorrow's booking.
+ * Called from the lifecycle worker (bookingService.processReconfirmRequests).
+ *
+ * Push data carries bookingId + action so the app can offer
+ * "Приду" (PUT /bookings/:id/reconfirm) and "Отменить" (PUT /bookings/:id/cancel).
+ *
+ * @param {string} userId
+ * @param {object} bookingData
+ * @param {string} establishmentId
+ */
+export const notifyBookingReconfirmRequest = async (userId, bookingData, establishmentId) => {
+  try {
+    const name = bookingData.establishment_name || 'Заведение';
+    const { date, time } = formatBookingDateTime(bookingData.booking_date, bookingData.booking_time);
+    const message = `Вы придёте в «${name}» ${date} в ${time}? Подтвердите или отмените бронь`;
+    await NotificationModel.create({
+      userId,
+      type: 'booking_reconfirm_request',
+      title: TITLES.booking_reconfirm_request,
+      message,
+      establishmentId,
+    });
+
+    PushService.sendPush(userId, {
+      title: TITLES.booking_reconfirm_request,
+      message,
+      data: {
+        type: 'booking_reconfirm_request',
+        establishmentId,
+        bookingId: bookingData.id,
+        action: 'reconfirm',
+      },
+    }).catch((err) => logger.error('Push failed for booking reconfirm request', { error: err.message }));
+  } catch (error) {
+    logger.error('Failed to create booking reconfirm request notification', {
+      error: error.message,
+      userId,
+      establishmentId,
+    });
+  }
+};
+
+/**
+ * Ask partner to record the outcome (completed / no-show) of a past booking.
+ * Called from the lifecycle worker (bookingService.processPastBookings).
+ *
+ * No push — non-urgent, partner sees it on next cabinet open.
+ *
+ * @param {string} partnerId
+ * @param {object} bookingData
+ * @param {string} establishmentId
+ */
+export const notifyBookingNeedsOutcome = async (partnerId, bookingData, establishmentId) => {
+  try {
+    const name = bookingData.establishment_name || 'Заведение';
+    const { date, time } = formatBookingDateTime(bookingData.booking_date, bookingData.booking_time);
+    await NotificationModel.create({
+      userId: partnerId,
+      type: 'booking_needs_outcome',
+      title: TITLES.booking_needs_outcome,
+      message: `Бронь в «${name}» (${date} ${time}) завершилась — отметьте, пришёл ли гость`,
+      establishmentId,
+    });
+  } catch (error) {
+    logger.error('Failed to create booking needs-outcome notification', {
+      error: error.message,
+      partnerId,
+      establishmentId,
+    });
+  }
+};
+
+/**
+ * Offer a freed slot to a waitlisted guest.
+ * Called from bookingService.offerFreedSlot.
+ *
+ * Push data carries waitlistEntryId + action so the app can claim the offer
+ * (POST /bookings/waitlist/:entryId/claim) straight from the notification.
+ *
+ * @param {string} userId
+ * @param {object} entryData - waitlist row + establishment_name
+ * @param {string} establishmentId
+ */
+export const notifyWaitlistOffer = async (userId, entryData, establishmentId) => {
+  try {
+    const name = entryData.establishment_name || 'Заведение';
+    const { date, time } = formatBookingDateTime(entryData.booking_date, entryData.offered_time);
+    const message = `В «${name}» освободилось место на ${date} ${time}. Успейте забронировать — место удерживается недолго`;
+    await NotificationModel.create({
+      userId,
+      type: 'waitlist_offer',
+      title: TITLES.waitlist_offer,
+      message,
+      establishmentId,
+    });
+
+    PushService.sendPush(userId, {
+      title: TITLES.waitlist_offer,
+      message,
+      data: {
+        type: 'waitlist_offer',
+        establishmentId,
+        waitlistEntryId: entryData.id,
+        action: 'claim',
+      },
+    }).catch((err) => logger.error('Push failed for waitlist offer', { error: err.message }));
+  } catch (error) {
+    logger.error('Failed to create waitlist offer notification', {
+      error: error.message,
+      userId,
+      establishmentId,
+    });
+  }
+};
+
 // ============================================================================
 // Promotion notification helpers (NON-BLOCKING)
 // ============================================================================
@@ -641,7 +871,8 @@ export const notifyPromotionNew = async (establishmentId, promotionTitle) => {
 // ============================================================================
 
 /**
- * Notify partner that OCR has parsed their establishment's menu.
+ * Notify partner that OCR has parsed their establishment's menu and the
+ * result waits as a draft for their review (partnerMenuDraftService).
  * Called from ocrService.processJob on successful completion.
  *
  * Per directive: no push (non-urgent event, partner will see on next cabinet open).
@@ -656,7 +887,7 @@ export const notifyMenuParsed = async (establishmentId, menuItemsCount) => {
 
     const name = establishment.name || 'Заведение';
     const count = Number.isFinite(menuItemsCount) ? menuItemsCount : 0;
-    const message = `Меню «${name}» распознано — ${count} позиций`;
+    const message = `Меню «${name}» распознано — ${count} позиций ждут проверки перед публикацией`;
 
     await NotificationModel.create({
       userId: establishment.partner_id,
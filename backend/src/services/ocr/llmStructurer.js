@@ -10,6 +10,7 @@
 import { z } from 'zod';
 import logger from '../../utils/logger.js';
 import { getOcrConfig } from '../../config/openrouter.js';
+import { PORTION_UNITS, MAX_DESCRIPTION_LENGTH } from '../../constants/menuItemVocab.js';
 
 const STRUCTURER_SYSTEM_PROMPT = `You convert raw menu text into structured JSON.
 
@@ -20,6 +21,9 @@ Output ONLY a JSON object with this exact shape, no prose:
       "item_name": string,           // exact dish/drink name from menu
       "price_byn": number | null,    // price in Belarusian rubles, null if not stated (e.g. "seasonal")
       "category_raw": string | null, // original section heading (e.g. "Горячие блюда", "Напитки"), null if none
+      "description": string | null,  // composition / text printed with the dish, null if none
+      "portion_size": number | null, // printed portion amount, converted to grams or millilitres
+      "portion_unit": "g" | "ml" | null, // unit of portion_size; null together with portion_size
       "confidence": number           // 0.00-1.00, how confident you are this is a real menu position
     }
   ]
@@ -29,17 +33,29 @@ Rules:
 - item_name is required and must be the dish name, not a description
 - price_byn must be a number (no currency symbol). If menu shows "15 руб" → 15. If "по сезону" or missing → null.
 - category_raw preserves the original section header verbatim
+- description only when the menu prints one (ingredients, "подаётся с ..."); never write your own
+- portion_size: "250 г" → 250 "g"; "0,5 л" → 500 "ml"; "150/30 г" → 180 "g"; "1 кг" → 1000 "g". Pieces ("6 шт") or no portion → null
 - Skip lines that are not menu items (addresses, phone numbers, hours, promotional text)
 - Do not invent items. If the text is gibberish, return {"items": []}`;
 
 const REQUEST_TIMEOUT_MS = 60000;
 
+// description / portion_* default to null so responses from prompts that
+// predate them (benchmark fixtures, older models) still validate. A portion
+// missing either half is dropped as a whole.
 const ItemSchema = z.object({
   item_name: z.string().min(1).max(255),
   price_byn: z.number().nullable(),
   category_raw: z.string().max(100).nullable(),
+  description: z.string().max(MAX_DESCRIPTION_LENGTH).nullable().default(null),
+  portion_size: z.number().positive().nullable().default(null),
+  portion_unit: z.enum(PORTION_UNITS).nullable().default(null),
   confidence: z.number().min(0).max(1),
-});
+}).transform((item) => (
+  item.portion_size == null || item.portion_unit == null
+    ? { ...item, portion_size: null, portion_unit: null }
+    : item
+));
 
 const ResponseSchema = z.object({
   items: z.array(ItemSchema),
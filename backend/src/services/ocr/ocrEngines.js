@@ -0,0 +1,127 @@
+/**
+ * OCR Engine Registry
+ *
+ * The two pluggable stages of the menu pipeline behind one interface each:
+ *
+ *   OCR engine  — extractFromImages(imageUrls) → { rawText, confidenceOverall }
+ *     vision_llm  visionOcrAdapter (OpenRouter vision model)
+ *     tesseract   tesseractOcrAdapter (local, rus+eng)
+ *
+ *   Structurer  — structureMenu(rawText) → items[] (llmStructurer.ItemSchema)
+ *     llm         llmStructurer (OpenRouter, JSON mode)
+ *     rules       ruleBasedStructurer (local, line patterns)
+ *
+ * The active chains come from config/ocr.js (OCR_ENGINE / OCR_STRUCTURER).
+ * Each call walks its chain and returns the first success, tagged with the
+ * implementation that produced it; when every entry fails the errors are
+ * combined into one, so ocrService's page / job retry logic is unchanged.
+ */
+
+import logger from '../../utils/logger.js';
+import { getOcrEngineConfig } from '../../config/ocr.js';
+import * as visionOcrAdapter from './visionOcrAdapter.js';
+import * as tesseractOcrAdapter from './tesseractOcrAdapter.js';
+import * as llmStructurer from './llmStructurer.js';
+import * as ruleBasedStructurer from './ruleBasedStructurer.js';
+
+/**
+ * @typedef {Object} OcrEngine
+ * @property {(imageUrls: string[]) => Promise<{ rawText: string, confidenceOverall: number }>} extractFromImages
+ */
+
+/**
+ * @typedef {Object} MenuStructurer
+ * @property {(rawText: string) => Promise<Object[]>} structureMenu
+ */
+
+/** @type {Record<string, OcrEngine>} */
+const ENGINES = {
+  vision_llm: visionOcrAdapter,
+  tesseract: tesseractOcrAdapter,
+};
+
+/** @type {Record<string, MenuStructurer>} */
+const STRUCTURERS = {
+  llm: llmStructurer,
+  rules: ruleBasedStructurer,
+};
+
+/**
+ * Run `call` for each implementation in the chain until one succeeds.
+ *
+ * @param {string[]} chain - Implementation names, in order
+ * @param {Record<string, Object>} registry
+ * @param {(impl: Object) => Promise<*>} call
+ * @param {string} stage - For logs and the combined error
+ * @returns {Promise<{ name: string, result: * }>}
+ */
+const runChain = async (chain, registry, call, stage) => {
+  const errors = [];
+
+  for (const name of chain) {
+    try {
+      const result = await call(registry[name]);
+      return { name, result };
+    } catch (error) {
+      errors.push(`${name}: ${error.message}`);
+      if (errors.length < chain.length) {
+        logger.warn(`OCR ${stage} failed, falling back`, { failed: name, error: error.message });
+      }
+    }
+  }
+
+  throw new Error(errors.length === 1 ? errors[0] : `All OCR ${stage}s failed — ${errors.join('; ')}`);
+};
+
+/**
+ * Extract raw text from images with the configured engine chain. An engine
+ * that returns no text counts as failed, so the next one gets a chance.
+ *
+ * @param {string[]} imageUrls
+ * @param {Object} [options]
+ * @param {string[]} [options.engines] - Override the configured chain (benchmark)
+ * @returns {Promise<{ rawText: string, confidenceOverall: number, engine: string }>}
+ */
+export const extractFromImages = async (imageUrls, { engines } = {}) => {
+  const chain = engines || getOcrEngineConfig().engines;
+
+  const { name, result } = await runChain(chain, ENGINES, async (engine) => {
+    const extracted = await engine.extractFromImages(imageUrls);
+    if (!extracted.rawText || extracted.rawText.trim().length === 0) {
+      throw new Error('OCR produced empty text');
+    }
+    return extracted;
+  }, 'engine');
+
+  return { ...result, engine: name };
+};
+
+/**
+ * Structure raw text into menu items with the configured structurer chain.
+ *
+ * @param {string} rawText
+ * @param {Object} [options]
+ * @param {string[]} [options.structurers] - Override the configured chain (benchmark)
+ * @returns {Promise<{ items: Object[], structurer: string }>}
+ */
+export const structureMenu = async (rawText, { structurers } = {}) => {
+  const chain = structurers || getOcrEngineConfig().structurers;
+
+  const { name, result } = await runChain(
+    chain,
+    STRUCTURERS,
+    (structurer) => structurer.structureMenu(rawText),
+    'structurer',
+  );
+
+  return { items: result, structurer: name };
+};
+
+/**
+ * Release engine resources (the local Tesseract worker). Graceful shutdown.
+ *
+ * @returns {Promise<void>}
+ */
+export const shutdown = async () => {
+  await tesseractOcrAdapter.terminate();
+};
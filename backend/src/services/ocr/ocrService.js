@@ -6,9 +6,15 @@
  *   2. For PDFs: try pdf-parse text extraction; if no usable text layer, fall back
  *      to vision OCR on each page via Cloudinary pg_N URLs
  *   3. For photos (file_type='image' with type='menu'): go directly to vision OCR
- *   4. Run the LLM structurer on raw text → array of menu items
- *   5. Run sanity checker with previous items as context (delta comparison)
- *   6. Transactionally replace menu_items for this media
+ *   4. Run the structurer on raw text → array of menu items. OCR engine and
+ *      structurer are pluggable (ocrEngines.js: OpenRouter LLM or local
+ *      Tesseract / rule-based, chosen by config/ocr.js). On the vision
+ *      path steps 2-4 run per page (ocr_job_pages, own attempts and status) and
+ *      the page results are merged with de-duplication across pages
+ *   5. Run sanity checker with the live items as context (delta comparison)
+ *   6. Stage the items as the media's menu draft (menuDraftModel) — nothing goes
+ *      public until the partner reviews the diff and publishes
+ *      (partnerMenuDraftService)
  *   7. Mark job done (with result_summary) or failed (with retry logic)
  *   8. Notify partner via notifyMenuParsed (fire-and-forget, Segment B)
  */
@@ -16,47 +22,100 @@
 import logger from '../../utils/logger.js';
 import * as ocrJobModel from '../../models/ocrJobModel.js';
 import * as menuItemModel from '../../models/menuItemModel.js';
+import * as menuDraftModel from '../../models/menuDraftModel.js';
 import * as MediaModel from '../../models/mediaModel.js';
 import * as NotificationService from '../notificationService.js';
 import * as pdfTextExtractor from './pdfTextExtractor.js';
-import * as visionOcrAdapter from './visionOcrAdapter.js';
-import * as llmStructurer from './llmStructurer.js';
+import * as ocrEngines from './ocrEngines.js';
 import * as sanityChecker from './sanityChecker.js';
 import { generatePdfPageImageUrl } from '../../config/cloudinary.js';
 
 /**
- * Maximum pages to send to vision OCR when pdf-parse failed entirely and we can't
- * determine the real page count. Phase 1 safety valve — prevents runaway cost on
- * corrupted PDFs. Real page count from pdf-parse metadata is preferred.
+ * Upper bound of pages OCR'd per PDF — a cost safety valve against runaway
+ * vision spend on corrupted or non-menu PDFs. Real menus run 10-20 pages.
  */
-const VISION_FALLBACK_PAGE_LIMIT = 2;
+const MAX_PDF_PAGES = 40;
 
 /**
- * Build the list of image URLs to send to vision OCR, given a PDF media record.
+ * Timeout per pg_N HEAD request while probing the page count. A render that
+ * does not answer in time counts as the end of the document.
+ */
+const PAGE_PROBE_TIMEOUT_MS = 5000;
+
+/**
+ * Build the list of image URLs to send to vision OCR, one per PDF page.
  *
  * @param {Object} media - establishment_media row (file_type='pdf')
- * @param {number} knownPageCount - Page count from pdf-parse metadata, or 0 if unknown
+ * @param {number} pageCount - Resolved page count (see resolvePdfPageCount)
  * @returns {string[]} Image URLs
  */
-const buildPdfPageUrls = (media, knownPageCount) => {
-  const pageCount = knownPageCount > 0
-    ? knownPageCount
-    : VISION_FALLBACK_PAGE_LIMIT;
+const buildPdfPageUrls = (media, pageCount) => {
+  const count = Math.min(Math.max(pageCount, 1), MAX_PDF_PAGES);
 
   const urls = [];
-  for (let page = 1; page <= pageCount; page++) {
+  for (let page = 1; page <= count; page++) {
     urls.push(generatePdfPageImageUrl(media.url, page));
   }
   return urls;
 };
 
 /**
- * Extract raw text from a media record by choosing the right strategy.
+ * Count PDF pages by probing Cloudinary pg_N renders — the last resort when
+ * neither pdf-parse nor the upload metadata know the page count. A page past
+ * the end of the document does not render (non-2xx). Each request is bounded
+ * by PAGE_PROBE_TIMEOUT_MS.
+ *
+ * @param {Object} media - establishment_media row (file_type='pdf')
+ * @returns {Promise<number>} Page count, 0 if even the first page does not render
+ */
+const probePdfPageCount = async (media) => {
+  let count = 0;
+  while (count < MAX_PDF_PAGES) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), PAGE_PROBE_TIMEOUT_MS);
+
+    let response;
+    try {
+      response = await fetch(generatePdfPageImageUrl(media.url, count + 1), {
+        method: 'HEAD',
+        signal: controller.signal,
+      });
+    } catch (_error) {
+      break;
+    } finally {
+      clearTimeout(timeoutId);
+    }
+    if (!response.ok) break;
+    count++;
+  }
+  return count;
+};
+
+/**
+ * Resolve the page count of a PDF for the vision path, most reliable source first:
+ * pdf-parse metadata, then the Cloudinary upload metadata stored on the job,
+ * then probing page renders.
+ *
+ * @param {Object} media - establishment_media row
+ * @param {Object} job - ocr_jobs row
+ * @param {Object|null} parseResult - pdfTextExtractor result, null if pdf-parse failed
+ * @returns {Promise<number>}
+ */
+const resolvePdfPageCount = async (media, job, parseResult) => {
+  if (parseResult?.pageCount > 0) return parseResult.pageCount;
+  if (job.page_count > 0) return job.page_count;
+  return probePdfPageCount(media);
+};
+
+/**
+ * Plan the extraction for a media record: either the whole-document PDF text
+ * layer, or a list of page images for page-level vision OCR.
  *
  * @param {Object} media - establishment_media row
- * @returns {Promise<{ rawText: string, confidenceOverall: number | null, strategy: string }>}
+ * @param {Object} job - ocr_jobs row
+ * @returns {Promise<{ strategy: string, rawText?: string, pageCount?: number, imageUrls?: string[] }>}
  */
-const extractRawText = async (media) => {
+const planExtraction = async (media, job) => {
   if (media.file_type === 'pdf') {
     let parseResult = null;
     try {
@@ -70,41 +129,133 @@ const extractRawText = async (media) => {
 
     if (parseResult && parseResult.hasTextLayer) {
       return {
-        rawText: parseResult.text,
-        confidenceOverall: 0.95,
         strategy: 'pdf_text_layer',
+        rawText: parseResult.text,
+        pageCount: parseResult.pageCount,
       };
     }
 
-    const pageUrls = buildPdfPageUrls(media, parseResult?.pageCount || 0);
-    const visionResult = await visionOcrAdapter.extractFromImages(pageUrls);
+    const pageCount = await resolvePdfPageCount(media, job, parseResult);
     return {
-      rawText: visionResult.rawText,
-      confidenceOverall: visionResult.confidenceOverall,
       strategy: parseResult ? 'vision_pdf_fallback' : 'vision_pdf_no_metadata',
+      imageUrls: buildPdfPageUrls(media, pageCount),
     };
   }
 
   if (media.file_type === 'image') {
-    const visionResult = await visionOcrAdapter.extractFromImages([media.url]);
-    return {
-      rawText: visionResult.rawText,
-      confidenceOverall: visionResult.confidenceOverall,
-      strategy: 'vision_image',
-    };
+    return { strategy: 'vision_image', imageUrls: [media.url] };
   }
 
   throw new Error(`Unsupported file_type for OCR: ${media.file_type}`);
 };
 
+/**
+ * Run OCR + structuring for every pending page of a job. Each page is
+ * attempted once per job run; done pages from earlier runs are kept as is.
+ *
+ * @param {Object} job - ocr_jobs row
+ * @param {string[]} imageUrls - One image URL per page
+ * @param {{ engines: Set<string>, structurers: Set<string> }} used - Collects
+ *   the implementations that produced this run's pages
+ * @returns {Promise<Object[]>} All pages of the job after this run
+ */
+const processPages = async (job, imageUrls, used) => {
+  const pages = await ocrJobModel.ensurePages(job.id, imageUrls);
+
+  const processed = [];
+  for (const page of pages) {
+    if (page.status !== 'pending') {
+      processed.push(page);
+      continue;
+    }
+
+    try {
+      const ocrResult = await ocrEngines.extractFromImages([page.image_url]);
+      const { items, structurer } = await ocrEngines.structureMenu(ocrResult.rawText);
+      used.engines.add(ocrResult.engine);
+      used.structurers.add(structurer);
+
+      processed.push(await ocrJobModel.markPageDone(page.id, {
+        rawText: ocrResult.rawText,
+        confidence: ocrResult.confidenceOverall,
+        items,
+      }));
+    } catch (error) {
+      logger.warn('OCR page failed', {
+        jobId: job.id,
+        pageNumber: page.page_number,
+        error: error.message,
+      });
+      processed.push(await ocrJobModel.markPageFailed(page.id, error.message));
+    }
+  }
+
+  return processed;
+};
+
+/**
+ * Normalized dedupe key: same normalization as sanityChecker's price map,
+ * plus the price — "Пиво 0,5" at 6 and at 9 BYN are different positions.
+ */
+const itemKey = (item) => [
+  item.item_name.toLowerCase().trim().replace(/\s+/g, ' '),
+  item.price_byn == null ? '' : Number(item.price_byn),
+].join('|');
+
+/**
+ * Merge the items of done pages in page order, dropping repeats across pages
+ * (running headers, a section continued on the next page, a page photographed
+ * twice). Of two duplicates the more confident one wins, at the first one's place.
+ *
+ * @param {Object[]} pages - ocr_job_pages rows
+ * @returns {{ items: Object[], duplicatesRemoved: number }}
+ */
+const mergePageItems = (pages) => {
+  const merged = new Map();
+  let duplicatesRemoved = 0;
+
+  const donePages = pages
+    .filter((page) => page.status === 'done')
+    .sort((a, b) => a.page_number - b.page_number);
+
+  for (const page of donePages) {
+    for (const item of page.items || []) {
+      const key = itemKey(item);
+      const existing = merged.get(key);
+      if (!existing) {
+        merged.set(key, item);
+        continue;
+      }
+      duplicatesRemoved++;
+      if (Number(item.confidence ?? 0) > Number(existing.confidence ?? 0)) {
+        merged.set(key, item);
+      }
+    }
+  }
+
+  return { items: [...merged.values()], duplicatesRemoved };
+};
+
 /**
  * Compute result_summary metadata for admin observability.
  *
  * @param {Object[]} items - Items with sanity_flag applied
  * @param {string} strategy - Which extraction path was used
+ * @param {Object} [pageStats] - Page-level outcome
+ * @param {number} [pageStats.pagesTotal]
+ * @param {Object[]} [pageStats.failedPages] - { page, error } of pages without items
+ * @param {number} [pageStats.duplicatesRemoved]
+ * @param {string[]} [pageStats.engines] - OCR engines used by this run
+ * @param {string[]} [pageStats.structurers] - Structurers used by this run
  * @returns {Object}
  */
-const buildResultSummary = (items, strategy) => {
+const buildResultSummary = (items, strategy, {
+  pagesTotal = 1,
+  failedPages = [],
+  duplicatesRemoved = 0,
+  engines = [],
+  structurers = [],
+} = {}) => {
   const totalCount = items.length;
   const flaggedCount = items.filter((it) => it.sanity_flag !== null).length;
 
@@ -117,9 +268,76 @@ const buildResultSummary = (items, strategy) => {
 
   return {
     strategy,
+    engines,
+    structurers,
     items_count: totalCount,
     flagged_count: flaggedCount,
     confidence_avg: confidenceAvg,
+    pages_total: pagesTotal,
+    pages_done: pagesTotal - failedPages.length,
+    pages_failed: failedPages,
+    duplicates_removed: duplicatesRemoved,
+    partial: failedPages.length > 0,
+  };
+};
+
+/**
+ * Extract structured items for a job: one pass over the PDF text layer, or
+ * page-level vision OCR with merge.
+ *
+ * Vision path outcome:
+ *   - some pages still retryable and the job has attempts left → throws, the job
+ *     is re-queued and the next run only redoes those pages
+ *   - no page produced items → throws (job failed / retried as before)
+ *   - otherwise → the merged items of the done pages; failed pages are
+ *     reported in the summary (partial success)
+ *
+ * @param {Object} job - ocr_jobs row
+ * @param {Object} media - establishment_media row
+ * @returns {Promise<{ rawItems: Object[], strategy: string, pageStats: Object }>}
+ */
+const extractItems = async (job, media) => {
+  const plan = await planExtraction(media, job);
+
+  if (plan.rawText !== undefined) {
+    if (plan.rawText.trim().length === 0) {
+      throw new Error(`OCR produced empty text via strategy=${plan.strategy}`);
+    }
+    const { items, structurer } = await ocrEngines.structureMenu(plan.rawText);
+    return {
+      rawItems: items,
+      strategy: plan.strategy,
+      pageStats: { pagesTotal: plan.pageCount || 1, structurers: [structurer] },
+    };
+  }
+
+  const used = { engines: new Set(), structurers: new Set() };
+  const pages = await processPages(job, plan.imageUrls, used);
+  const unfinished = pages.filter((page) => page.status !== 'done');
+  const canRetry = job.attempts < job.max_attempts;
+
+  if (canRetry && unfinished.some((page) => page.status === 'pending')) {
+    throw new Error(
+      `${unfinished.length} of ${pages.length} pages failed, retrying: ${unfinished[0].error_message}`,
+    );
+  }
+  if (unfinished.length === pages.length) {
+    throw new Error(
+      `All ${pages.length} pages failed via strategy=${plan.strategy}: ${unfinished[0]?.error_message}`,
+    );
+  }
+
+  const { items, duplicatesRemoved } = mergePageItems(pages);
+  return {
+    rawItems: items,
+    strategy: plan.strategy,
+    pageStats: {
+      pagesTotal: pages.length,
+      failedPages: unfinished.map((page) => ({ page: page.page_number, error: page.error_message })),
+      duplicatesRemoved,
+      engines: [...used.engines],
+      structurers: [...used.structurers],
+    },
   };
 };
 
@@ -127,7 +345,10 @@ const buildResultSummary = (items, strategy) => {
  * Run the full OCR pipeline for a job. Called by the poller after pickNextPending,
  * or directly in tests.
  *
- * On success: marks job 'done' and persists menu_items.
+ * On success: marks job 'done' and stages the items as a menu draft for
+ * partner review (live menu_items are untouched). A vision job whose
+ * pages partly failed for good still succeeds with the other pages' items —
+ * result_summary.partial / pages_failed report the gap.
  * On any exception: marks job 'failed' (with retry if attempts < max_attempts).
  *
  * @param {string} jobId - UUID of a job in 'processing' status
@@ -146,20 +367,13 @@ export const processJob = async (jobId) => {
       throw new Error(`Media not found: ${job.media_id}`);
     }
 
-    const { rawText, strategy } = await extractRawText(media);
-
-    if (!rawText || rawText.trim().length === 0) {
-      throw new Error(`OCR produced empty text via strategy=${strategy}`);
-    }
-
-    const rawItems = await llmStructurer.structureMenu(rawText);
+    const { rawItems, strategy, pageStats } = await extractItems(job, media);
 
     if (rawItems.length === 0) {
-      logger.warn('LLM structurer returned 0 items', {
+      logger.warn('Structurer returned 0 items', {
         jobId,
         mediaId: media.id,
         strategy,
-        rawTextLength: rawText.length,
       });
     }
 
@@ -170,13 +384,14 @@ export const processJob = async (jobId) => {
 
     const flaggedItems = sanityChecker.check(rawItems, previousForThisMedia);
 
-    await menuItemModel.replaceForMedia({
+    const { draft } = await menuDraftModel.replaceDraftForMedia({
       establishmentId: job.establishment_id,
       mediaId: job.media_id,
-      newItems: flaggedItems,
+      ocrJobId: jobId,
+      items: flaggedItems,
     });
 
-    const summary = buildResultSummary(flaggedItems, strategy);
+    const summary = { ...buildResultSummary(flaggedItems, strategy, pageStats), draft_id: draft.id };
 
     await ocrJobModel.markDone(jobId, summary);
 
@@ -208,4 +423,11 @@ export const processJob = async (jobId) => {
   }
 };
 
-export { buildPdfPageUrls, buildResultSummary, VISION_FALLBACK_PAGE_LIMIT };
+export {
+  buildPdfPageUrls,
+  buildResultSummary,
+  mergePageItems,
+  probePdfPageCount,
+  MAX_PDF_PAGES,
+  PAGE_PROBE_TIMEOUT_MS,
+};
@@ -0,0 +1,204 @@
+/**
+ * Rule-Based Structurer
+ *
+ * Converts raw menu text into menu items without an LLM — the local
+ * counterpart of llmStructurer (same output shape, validated with the same
+ * ItemSchema). Handles the common printed-menu layout, one position per line
+ * with the price at the end:
+ *
+ *   Борщ украинский ........ 12,50 руб
+ *   Салат «Цезарь» 250 г — 14 BYN
+ *   Драники со сметаной 9.90
+ *
+ * A line with letters but no price becomes the current section heading
+ * (category_raw). A priced line that starts in lowercase continues the dish
+ * name wrapped from the line above. A portion printed after the name
+ * ("250 г", "0,5 л") becomes portion_size / portion_unit. Addresses, phones, hours and links are
+ * skipped. Confidence reflects how explicit the price notation was, so bare
+ * "name 12" guesses land below sanityChecker's MIN_CONFIDENCE and get flagged
+ * for review.
+ */
+
+import logger from '../../utils/logger.js';
+import { ItemSchema } from './llmStructurer.js';
+
+/** Confidence by price notation: leaders / currency, dash or decimals, bare integer. */
+const CONFIDENCE_EXPLICIT = 0.85;
+const CONFIDENCE_DASH = 0.75;
+const CONFIDENCE_BARE = 0.6;
+
+const MAX_NAME_LENGTH = 255;
+const MAX_CATEGORY_LENGTH = 100;
+const MAX_HEADING_LENGTH = 60;
+
+const PRICE_LINE = new RegExp(
+  '^(?<name>.+?)' +
+  '(?<sep>\\s*[.·…_]{2,}\\s*|\\s*[-–—:]\\s*|\\s+)' +
+  '(?<price>\\d{1,4}(?:[.,]\\d{1,2})?)' +
+  '\\s*(?<currency>бел\\.?\\s*руб(?:\\.|лей|ля)?|руб(?:\\.|лей|ля)?|р\\.|р|byn|br)?\\.?$',
+  'iu',
+);
+
+const NO_PRICE_LINE = /^(?<name>.+?)[\s.·…_–—-]+(?:по сезону|сезонная цена|по запросу)$/iu;
+
+/** Trailing portion size: "300 г", "150/30 гр.", "0,5 л", "6 шт" */
+const TRAILING_PORTION = /\s+(?<amounts>\d+(?:[.,]\d+)?(?:\/\d+(?:[.,]\d+)?)*)\s*(?<unit>г|гр|кг|мл|л|шт)\.?$/iu;
+
+/** Printed unit → [portion_unit, multiplier]. Pieces ("шт") carry no portion. */
+const PORTION_UNIT_MAP = {
+  г: ['g', 1],
+  гр: ['g', 1],
+  кг: ['g', 1000],
+  мл: ['ml', 1],
+  л: ['ml', 1000],
+};
+
+const SKIP_LINE = [
+  /\d{1,2}:\d{2}/, // opening hours
+  /\+?\d[\d\s()-]{7,}\d/, // phone numbers
+  /(^|\s)(ул|пр|пр-т|пер|тел)\.\s/iu, // address / phone prefixes
+  /www\.|https?:\/\/|@/i,
+  /^-{2,}\s*PAGE\s+\d+\s*-{2,}$/i, // vision/tesseract page markers
+];
+
+const HAS_LETTER = /\p{L}/u;
+const STARTS_LOWERCASE = /^\p{Ll}/u;
+
+const cleanName = (name) => name
+  .replace(TRAILING_PORTION, '')
+  .replace(/[\s.·…_:–—-]+$/u, '')
+  .trim();
+
+/**
+ * Read the printed portion off the end of a dish name. "150/30 г" (dish /
+ * sauce) is summed.
+ *
+ * @param {string} name - Raw name part of a menu line
+ * @returns {{ portion_size: number|null, portion_unit: string|null }}
+ */
+export const parsePortion = (name) => {
+  const match = TRAILING_PORTION.exec(name);
+  const unit = match && PORTION_UNIT_MAP[match.groups.unit.toLowerCase()];
+  if (!unit) return { portion_size: null, portion_unit: null };
+
+  const [portionUnit, multiplier] = unit;
+  const total = match.groups.amounts
+    .split('/')
+    .reduce((sum, amount) => sum + Number(amount.replace(',', '.')), 0);
+  const size = Math.round(total * multiplier * 10) / 10;
+  return size > 0
+    ? { portion_size: size, portion_unit: portionUnit }
+    : { portion_size: null, portion_unit: null };
+};
+
+const isHeadingStyle = (line) => line.endsWith(':') || line === line.toUpperCase();
+
+/**
+ * Parse one line into a menu position, or null when it carries no price.
+ *
+ * @param {string} line - Single trimmed line
+ * @returns {{ item_name: string, price_byn: number|null, portion_size: number|null,
+ *   portion_unit: string|null, confidence: number }|null}
+ */
+export const parseMenuLine = (line) => {
+  const priced = PRICE_LINE.exec(line);
+  if (priced) {
+    const name = cleanName(priced.groups.name);
+    if (!HAS_LETTER.test(name)) return null;
+
+    const { sep, currency } = priced.groups;
+    let confidence = CONFIDENCE_BARE;
+    if (currency || /[.·…_]{2,}/.test(sep)) {
+      confidence = CONFIDENCE_EXPLICIT;
+    } else if (/[-–—:]/.test(sep) || /[.,]/.test(priced.groups.price)) {
+      confidence = CONFIDENCE_DASH;
+    }
+
+    return {
+      item_name: name,
+      price_byn: Number(priced.groups.price.replace(',', '.')),
+      ...parsePortion(priced.groups.name.replace(/[\s.·…_:–—-]+$/u, '')),
+      confidence,
+    };
+  }
+
+  const unpriced = NO_PRICE_LINE.exec(line);
+  if (unpriced) {
+    const name = cleanName(unpriced.groups.name);
+    if (!HAS_LETTER.test(name)) return null;
+    return {
+      item_name: name,
+      price_byn: null,
+      ...parsePortion(unpriced.groups.name),
+      confidence: CONFIDENCE_DASH,
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Structure raw menu text into validated items.
+ *
+ * Async for interface parity with llmStructurer.structureMenu.
+ *
+ * @param {string} rawText - OCR output
+ * @returns {Promise<Object[]>} Array of validated items (may be empty)
+ */
+export const structureMenu = async (rawText) => {
+  if (!rawText || rawText.trim().length === 0) {
+    return [];
+  }
+
+  const items = [];
+  let category = null;
+  let previousCategory = null;
+  // Last text line, if it was a plain (non heading-styled) one — a candidate
+  // for the first half of a wrapped dish name.
+  let wrappedName = null;
+
+  for (const rawLine of rawText.split(/\r?\n/)) {
+    const line = rawLine.replace(/\s+/g, ' ').trim();
+    if (!line || SKIP_LINE.some((pattern) => pattern.test(line))) {
+      continue;
+    }
+
+    const parsed = parseMenuLine(line);
+    if (!parsed) {
+      if (HAS_LETTER.test(line) && line.length <= MAX_HEADING_LENGTH) {
+        previousCategory = category;
+        category = line.replace(/:$/, '').trim().slice(0, MAX_CATEGORY_LENGTH);
+        wrappedName = isHeadingStyle(line) ? null : line;
+      }
+      continue;
+    }
+
+    let itemName = parsed.item_name;
+    if (wrappedName && STARTS_LOWERCASE.test(itemName)) {
+      itemName = `${wrappedName} ${itemName}`;
+      category = previousCategory;
+    }
+    wrappedName = null;
+
+    const item = ItemSchema.safeParse({
+      item_name: itemName.slice(0, MAX_NAME_LENGTH),
+      price_byn: parsed.price_byn,
+      category_raw: category,
+      portion_size: parsed.portion_size,
+      portion_unit: parsed.portion_unit,
+      confidence: parsed.confidence,
+    });
+    if (item.success) {
+      items.push(item.data);
+    }
+  }
+
+  logger.debug('Rule-based structuring complete', {
+    rawTextLength: rawText.length,
+    itemCount: items.length,
+  });
+
+  return items;
+};
+
+export { PRICE_LINE, CONFIDENCE_EXPLICIT, CONFIDENCE_DASH, CONFIDENCE_BARE };
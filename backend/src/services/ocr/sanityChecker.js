@@ -16,6 +16,8 @@
  * to env vars or per-establishment overrides.
  */
 
+import { normalizeItemName } from '../../utils/menuItemName.js';
+
 const MIN_PRICE_BYN = 0.50;
 const MAX_PRICE_BYN = 1000.00;
 const MIN_CONFIDENCE = 0.70;
@@ -23,7 +25,6 @@ const MAX_PRICE_DELTA_RATIO = 3.00; // 300% — a 10 BYN item becoming 40 BYN tr
 
 /**
  * Build a Map<normalized_name, price_byn> from previous items for delta lookup.
- * Normalization: lowercase + trim + collapse whitespace.
  *
  * @param {Object[]} previousItems
  * @returns {Map<string, number>}
@@ -34,7 +35,7 @@ const buildPreviousPriceMap = (previousItems) => {
 
   for (const item of previousItems) {
     if (!item.item_name || item.price_byn == null) continue;
-    const key = item.item_name.toLowerCase().trim().replace(/\s+/g, ' ');
+    const key = normalizeItemName(item.item_name);
     // Numeric fields may come back as strings from pg — normalize to Number.
     map.set(key, Number(item.price_byn));
   }
@@ -74,7 +75,7 @@ const checkItem = (item, previousPriceMap) => {
   }
 
   if (price != null && item.item_name) {
-    const key = item.item_name.toLowerCase().trim().replace(/\s+/g, ' ');
+    const key = normalizeItemName(item.item_name);
     const previousPrice = previousPriceMap.get(key);
     if (previousPrice != null && previousPrice > 0) {
       const ratio = Math.max(price / previousPrice, previousPrice / price);
@@ -118,4 +119,5 @@ export {
   MAX_PRICE_DELTA_RATIO,
   checkItem,
   buildPreviousPriceMap,
+  normalizeItemName,
 };
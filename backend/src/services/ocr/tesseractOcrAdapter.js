@@ -0,0 +1,101 @@
+/**
+ * Tesseract OCR Adapter
+ *
+ * Local OCR engine — no network call to an AI provider. Runs tesseract.js
+ * (WebAssembly build of Tesseract) with Russian + English language data, so
+ * menus still get parsed offline, in dev without an OpenRouter key, or as the
+ * fallback when the provider is down (see config/ocr.js).
+ *
+ * Language data: by default tesseract.js downloads rus/eng traineddata once
+ * and caches it (TESSERACT_CACHE_PATH). For fully offline hosts, put the
+ * *.traineddata.gz files in a local directory and point TESSERACT_LANG_PATH
+ * at it.
+ *
+ * One worker is created lazily and reused across jobs (worker start-up and
+ * language loading dominate the cost of a single page); terminate() releases
+ * it on graceful shutdown.
+ */
+
+import Tesseract from 'tesseract.js';
+import logger from '../../utils/logger.js';
+import { getOcrEngineConfig } from '../../config/ocr.js';
+
+let workerPromise = null;
+
+/**
+ * Get (or start) the shared Tesseract worker.
+ *
+ * @returns {Promise<Object>} tesseract.js worker
+ */
+const getWorker = () => {
+  if (!workerPromise) {
+    const { tesseract } = getOcrEngineConfig();
+    workerPromise = Tesseract.createWorker(tesseract.lang, Tesseract.OEM.LSTM_ONLY, {
+      langPath: tesseract.langPath,
+      cachePath: tesseract.cachePath,
+    }).catch((error) => {
+      // Let the next call retry the start-up (e.g. language data download failed)
+      workerPromise = null;
+      throw error;
+    });
+  }
+  return workerPromise;
+};
+
+/**
+ * Extract text from a set of image URLs with local Tesseract. Same contract as
+ * visionOcrAdapter.extractFromImages: multiple images are separated by
+ * "--- PAGE N ---" markers.
+ *
+ * @param {string[]} imageUrls - Image URLs (Cloudinary pg_N pages or photos) or data: URIs
+ * @returns {Promise<{ rawText: string, confidenceOverall: number }>}
+ * @throws {Error} on image download or recognition failure
+ */
+export const extractFromImages = async (imageUrls) => {
+  if (!imageUrls || imageUrls.length === 0) {
+    throw new Error('extractFromImages: imageUrls is empty');
+  }
+
+  const worker = await getWorker();
+
+  const texts = [];
+  const confidences = [];
+  for (const url of imageUrls) {
+    const { data } = await worker.recognize(url);
+    texts.push(data.text || '');
+    // Tesseract reports mean word confidence on a 0-100 scale
+    confidences.push(Number(data.confidence) || 0);
+  }
+
+  const rawText = texts.length === 1
+    ? texts[0]
+    : texts.map((text, idx) => `--- PAGE ${idx + 1} ---\n${text}`).join('\n');
+  const confidenceOverall = Number(
+    (confidences.reduce((a, b) => a + b, 0) / confidences.length / 100).toFixed(2),
+  );
+
+  logger.debug('Tesseract OCR complete', {
+    imagesCount: imageUrls.length,
+    rawTextLength: rawText.length,
+    confidenceOverall,
+  });
+
+  return { rawText, confidenceOverall };
+};
+
+/**
+ * Release the shared worker. No-op when it was never started.
+ *
+ * @returns {Promise<void>}
+ */
+export const terminate = async () => {
+  if (!workerPromise) return;
+  const pending = workerPromise;
+  workerPromise = null;
+  try {
+    const worker = await pending;
+    await worker.terminate();
+  } catch (error) {
+    logger.warn('Tesseract worker terminate failed', { error: error.message });
+  }
+};
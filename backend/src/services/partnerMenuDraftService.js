@@ -0,0 +1,330 @@
+/**
+ * Partner Menu-Draft Service
+ *
+ * Review-and-approve step for OCR results (Segment B). ocrService stages each
+ * finished job as a menu draft per media; the partner sees it as a diff
+ * against the live items of that media and then, in bulk:
+ *   - listDrafts:    GET    /partner/establishments/:id/menu-drafts
+ *   - publishDraft:  POST   /partner/establishments/:id/menu-drafts/:draftId/publish
+ *                    (accept everything, minus rejected items, with edits applied,
+ *                    keeping chosen live items the new run lost)
+ *   - discardDraft:  DELETE /partner/establishments/:id/menu-drafts/:draftId
+ *
+ * Diff semantics reuse sanityChecker's name normalization and previous-price
+ * map, so "price changed" here means the same thing as in price_delta_anomaly.
+ *
+ * Ownership invariant: every entry point verifies the establishment belongs to
+ * the calling partner and the draft belongs to the establishment.
+ */
+
+import * as MenuDraftModel from '../models/menuDraftModel.js';
+import * as MenuItemModel from '../models/menuItemModel.js';
+import * as EstablishmentModel from '../models/establishmentModel.js';
+import { buildPreviousPriceMap, normalizeItemName } from './ocr/sanityChecker.js';
+import { normalizeMenuItemFields } from './menuItemFields.js';
+import { AppError } from '../middleware/errorHandler.js';
+import logger from '../utils/logger.js';
+
+const EDITABLE_FIELDS = [
+  'item_name',
+  'price_byn',
+  'category_raw',
+  'description',
+  'portion_size',
+  'portion_unit',
+];
+
+/**
+ * Attributes the partner sets on live items and OCR never reads off a menu.
+ * Carried over from the matched live item on publish, so re-running OCR does
+ * not wipe tags, dish photos or the stop-list.
+ */
+const PARTNER_OWNED_FIELDS = ['dietary_tags', 'photo_media_id', 'is_available'];
+
+const toPrice = (value) => (value == null ? null : Number(value));
+
+/**
+ * Diff draft items against the live items of the same media.
+ *
+ * Matching is by normalized item name. Each draft item gets `change`:
+ *   added          — no live item with that name
+ *   price_changed  — live item exists, price differs (previous_price_byn set)
+ *   unchanged      — live item exists with the same price
+ * Live items with no draft counterpart are returned as `removed`.
+ *
+ * @param {Object[]} draftItems - menu_draft_items rows
+ * @param {Object[]} liveItems - menu_items rows of the draft's media
+ * @returns {{ items: Object[], removed: Object[], counts: Object }}
+ */
+export const buildMenuDiff = (draftItems, liveItems) => {
+  const priceMap = buildPreviousPriceMap(liveItems);
+  const liveByName = new Map();
+  for (const live of liveItems) {
+    const key = normalizeItemName(live.item_name);
+    if (!liveByName.has(key)) liveByName.set(key, live);
+  }
+
+  const matchedNames = new Set();
+  const items = draftItems.map((item) => {
+    const key = normalizeItemName(item.item_name);
+    const live = liveByName.get(key);
+    if (!live) {
+      return { ...item, change: 'added', live_item_id: null, previous_price_byn: null };
+    }
+
+    matchedNames.add(key);
+    const previousPrice = priceMap.has(key) ? priceMap.get(key) : null;
+    const changed = previousPrice !== toPrice(item.price_byn);
+    return {
+      ...item,
+      change: changed ? 'price_changed' : 'unchanged',
+      live_item_id: live.id,
+      previous_price_byn: previousPrice,
+    };
+  });
+
+  const removed = liveItems.filter((live) => !matchedNames.has(normalizeItemName(live.item_name)));
+
+  const count = (change) => items.filter((item) => item.change === change).length;
+  return {
+    items,
+    removed,
+    counts: {
+      added: count('added'),
+      price_changed: count('price_changed'),
+      unchanged: count('unchanged'),
+      removed: removed.length,
+      flagged: items.filter((item) => item.sanity_flag != null).length,
+    },
+  };
+};
+
+const assertOwner = async (partnerId, establishmentId) => {
+  const isOwner = await EstablishmentModel.checkOwnership(establishmentId, partnerId);
+  if (!isOwner) {
+    throw new AppError(
+      'Establishment not found or access denied',
+      404,
+      'ESTABLISHMENT_NOT_FOUND',
+    );
+  }
+};
+
+const getOwnedDraft = async (establishmentId, draftId) => {
+  const draft = await MenuDraftModel.findById(draftId);
+  if (!draft || draft.establishment_id !== establishmentId) {
+    throw new AppError('Menu draft not found', 404, 'MENU_DRAFT_NOT_FOUND');
+  }
+  return draft;
+};
+
+const liveItemsForMedia = async (establishmentId, mediaId) => {
+  const liveItems = await MenuItemModel.getByEstablishmentId(establishmentId, {
+    includeHidden: true,
+  });
+  return liveItems.filter((item) => item.media_id === mediaId);
+};
+
+/**
+ * Shape a draft for the partner: header fields plus the diff.
+ */
+const toDraftView = (draft, liveItems) => {
+  const { items, ...header } = draft;
+  return { ...header, ...buildMenuDiff(items, liveItems) };
+};
+
+/**
+ * List pending OCR drafts of an establishment owned by the partner, each with
+ * its diff against the live items of the same media.
+ *
+ * @param {string} partnerId - UUID
+ * @param {string} establishmentId - UUID
+ * @returns {Promise<Object[]>} Drafts, newest first
+ */
+export const listDrafts = async (partnerId, establishmentId) => {
+  await assertOwner(partnerId, establishmentId);
+
+  const [drafts, liveItems] = await Promise.all([
+    MenuDraftModel.getByEstablishmentId(establishmentId),
+    MenuItemModel.getByEstablishmentId(establishmentId, { includeHidden: true }),
+  ]);
+
+  return drafts.map((draft) => toDraftView(
+    draft,
+    liveItems.filter((item) => item.media_id === draft.media_id),
+  ));
+};
+
+/**
+ * Validate one partner edit of a draft item.
+ *
+ * @param {Object} edit - { id, item_name?, price_byn?, category_raw?, description?,
+ *   portion_size?, portion_unit? }
+ * @returns {Object} Only the editable fields that were provided
+ * @throws {AppError} 422 INVALID_DRAFT_EDIT
+ */
+const normalizeEdit = (edit) => {
+  const fields = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (edit[field] !== undefined) fields[field] = edit[field];
+  }
+  if (Object.keys(fields).length === 0) {
+    throw new AppError(
+      `Edit of draft item ${edit.id} has no editable fields (${EDITABLE_FIELDS.join(', ')})`,
+      422,
+      'INVALID_DRAFT_EDIT',
+    );
+  }
+
+  return normalizeMenuItemFields(fields, { errorCode: 'INVALID_DRAFT_EDIT' });
+};
+
+const assertIdsIn = (ids, allowed, field) => {
+  if (!Array.isArray(ids)) {
+    throw new AppError(`${field} must be an array`, 422, 'INVALID_DRAFT_DECISION');
+  }
+  const unknown = ids.filter((id) => !allowed.has(id));
+  if (unknown.length > 0) {
+    throw new AppError(
+      `${field} contains ids outside this draft: ${unknown.join(', ')}`,
+      422,
+      'INVALID_DRAFT_DECISION',
+    );
+  }
+};
+
+/**
+ * Publish a draft: its items (minus rejected ones, with edits applied) become
+ * the live menu of the media in one transaction, and the draft is deleted.
+ * Live items the new OCR run lost are removed unless listed in keepItemIds.
+ *
+ * Edited items have sanity_flag cleared — like an inline edit, the partner
+ * vouches for the values. Accepted unedited items keep their flag, so the
+ * admin "suspicious items" queue still sees them. Items matching a live item
+ * keep its partner-owned attributes (PARTNER_OWNED_FIELDS), and its
+ * description / portion when the new run did not read one.
+ *
+ * @param {string} partnerId - UUID
+ * @param {string} establishmentId - UUID
+ * @param {string} draftId - UUID
+ * @param {Object} decisions
+ * @param {string[]} [decisions.rejectItemIds=[]] - Draft items to drop
+ * @param {Object[]} [decisions.edits=[]] - [{ id, ...EDITABLE_FIELDS }]
+ * @param {string[]} [decisions.keepItemIds=[]] - Live items from `removed` to keep
+ * @returns {Promise<{ published: number, rejected: number, edited: number, kept: number, removed: number }>}
+ * @throws {AppError} 409 MENU_DRAFT_STALE if the draft was replaced or
+ *         published after it was read
+ */
+export const publishDraft = async (partnerId, establishmentId, draftId, {
+  rejectItemIds = [],
+  edits = [],
+  keepItemIds = [],
+} = {}) => {
+  await assertOwner(partnerId, establishmentId);
+  const draft = await getOwnedDraft(establishmentId, draftId);
+  const liveItems = await liveItemsForMedia(establishmentId, draft.media_id);
+  const { items: diffItems, removed } = buildMenuDiff(draft.items, liveItems);
+  const liveById = new Map(liveItems.map((live) => [live.id, live]));
+  const liveByDraftItemId = new Map(diffItems.map((item) => [item.id, liveById.get(item.live_item_id)]));
+
+  const draftItemIds = new Set(draft.items.map((item) => item.id));
+  assertIdsIn(rejectItemIds, draftItemIds, 'reject_item_ids');
+  assertIdsIn(keepItemIds, new Set(removed.map((item) => item.id)), 'keep_item_ids');
+  const keepIds = [...new Set(keepItemIds)];
+  if (!Array.isArray(edits)) {
+    throw new AppError('edits must be an array', 422, 'INVALID_DRAFT_DECISION');
+  }
+  assertIdsIn(edits.map((edit) => edit?.id), draftItemIds, 'edits');
+
+  const rejected = new Set(rejectItemIds);
+  const editsById = new Map();
+  for (const edit of edits) {
+    if (rejected.has(edit.id)) {
+      throw new AppError(
+        `Draft item ${edit.id} is both edited and rejected`,
+        422,
+        'INVALID_DRAFT_DECISION',
+      );
+    }
+    editsById.set(edit.id, normalizeEdit(edit));
+  }
+
+  const newItems = draft.items
+    .filter((item) => !rejected.has(item.id))
+    .map((item, idx) => {
+      const edit = editsById.get(item.id);
+      const live = liveByDraftItemId.get(item.id);
+      const keepLivePortion = item.portion_size == null && live?.portion_size != null;
+      return {
+        item_name: item.item_name,
+        price_byn: item.price_byn,
+        category_raw: item.category_raw,
+        confidence: item.confidence,
+        sanity_flag: item.sanity_flag,
+        description: item.description ?? live?.description ?? null,
+        portion_size: keepLivePortion ? live.portion_size : item.portion_size ?? null,
+        portion_unit: keepLivePortion ? live.portion_unit : item.portion_unit ?? null,
+        ...(live ? Object.fromEntries(PARTNER_OWNED_FIELDS.map((field) => [field, live[field]])) : {}),
+        ...edit,
+        ...(edit ? { sanity_flag: null } : {}),
+        position: idx,
+      };
+    });
+
+  const replaced = await MenuItemModel.replaceForMedia({
+    establishmentId,
+    mediaId: draft.media_id,
+    newItems,
+    keepItemIds: keepIds,
+    draftId: draft.id,
+  });
+  if (!replaced) {
+    // Replaced by an OCR re-run or already published since it was read above
+    throw new AppError(
+      'Menu draft has changed since it was loaded, reload it',
+      409,
+      'MENU_DRAFT_STALE',
+    );
+  }
+
+  const result = {
+    published: newItems.length,
+    rejected: rejected.size,
+    edited: editsById.size,
+    kept: keepIds.length,
+    removed: removed.length - keepIds.length,
+  };
+
+  logger.info('Partner published menu draft', {
+    partnerId,
+    establishmentId,
+    draftId,
+    mediaId: draft.media_id,
+    ...result,
+  });
+
+  return result;
+};
+
+/**
+ * Discard a draft without touching the live menu.
+ *
+ * @param {string} partnerId - UUID
+ * @param {string} establishmentId - UUID
+ * @param {string} draftId - UUID
+ * @returns {Promise<void>}
+ */
+export const discardDraft = async (partnerId, establishmentId, draftId) => {
+  await assertOwner(partnerId, establishmentId);
+  const draft = await getOwnedDraft(establishmentId, draftId);
+
+  await MenuDraftModel.deleteById(draft.id);
+
+  logger.info('Partner discarded menu draft', {
+    partnerId,
+    establishmentId,
+    draftId,
+    mediaId: draft.media_id,
+    itemCount: draft.items.length,
+  });
+};
@@ -0,0 +1,265 @@
+/**
+ * Partner Menu Import / Export Service
+ *
+ * Menu files for partners whose menu already lives in a POS or spreadsheet
+ * (Segment B). Format: menuFileContract (CSV or JSON).
+ *   - exportMenu: GET  /partner/establishments/:id/menu/export?format=csv|json
+ *   - importMenu: POST /partner/establishments/:id/menu/import[?dry_run=true]
+ *
+ * An import replaces the manually authored menu (source='manual' items and
+ * menu sections) — the same items partnerMenuItemService lets a partner type
+ * by hand. Items are matched to the current menu by section + name
+ * (menuFileContract.itemKey): matched items are updated in place, so their
+ * dish photos and anything the file has no column for survive; manual items
+ * missing from the file are removed. OCR items follow their menu file and
+ * are never changed by an import — rows that match one are skipped.
+ *
+ * Every import is previewed first: the diff (added / changed / unchanged /
+ * removed / skipped) is computed the same way for a dry run and for the real
+ * thing, and a file with any row error is rejected as a whole.
+ */
+
+import * as MenuItemModel from '../models/menuItemModel.js';
+import * as MenuSectionModel from '../models/menuSectionModel.js';
+import * as EstablishmentModel from '../models/establishmentModel.js';
+import {
+  MENU_FILE_FORMATS,
+  itemKey,
+  parseMenuFile,
+  serializeMenuFile,
+} from './menuFileContract.js';
+import { AppError } from '../middleware/errorHandler.js';
+import logger from '../utils/logger.js';
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+};
+
+/** Fields compared for the "changed" diff; list order is the diff order. */
+const DIFF_FIELDS = [
+  'item_name',
+  'price_byn',
+  'description',
+  'portion_size',
+  'portion_unit',
+  'dietary_tags',
+  'is_available',
+];
+
+const assertOwner = async (partnerId, establishmentId) => {
+  const isOwner = await EstablishmentModel.checkOwnership(establishmentId, partnerId);
+  if (!isOwner) {
+    throw new AppError(
+      'Establishment not found or access denied',
+      404,
+      'ESTABLISHMENT_NOT_FOUND',
+    );
+  }
+};
+
+const assertFormat = (format) => {
+  if (!MENU_FILE_FORMATS.includes(format)) {
+    throw new AppError(
+      `format must be one of: ${MENU_FILE_FORMATS.join(', ')}`,
+      422,
+      'INVALID_MENU_FILE',
+    );
+  }
+};
+
+const toNumber = (value) => (value === null || value === undefined ? null : parseFloat(value));
+
+/** A menu_items row in menu-file shape (NUMERIC columns arrive as strings). */
+const toFileItem = (row) => ({
+  item_name: row.item_name,
+  section: row.section_name ?? row.category_raw ?? null,
+  price_byn: toNumber(row.price_byn),
+  description: row.description ?? null,
+  portion_size: toNumber(row.portion_size),
+  portion_unit: row.portion_unit ?? null,
+  dietary_tags: row.dietary_tags ?? [],
+  is_available: row.is_available ?? true,
+});
+
+const sameValue = (a, b) => (Array.isArray(a) || Array.isArray(b)
+  ? [...(a ?? [])].sort().join('|') === [...(b ?? [])].sort().join('|')
+  : (a ?? null) === (b ?? null));
+
+/**
+ * Match parsed file items against the current menu.
+ *
+ * @param {Array<{ row: number, item: Object }>} fileItems - parseMenuFile output
+ * @param {Object[]} currentItems - MenuItemModel.getByEstablishmentId rows (incl. hidden)
+ * @param {Object[]} currentSections - MenuSectionModel.getByEstablishmentId rows
+ * @returns {Object} { diff, plan } — diff for the partner, plan for replaceManualMenu
+ */
+export const buildImportDiff = (fileItems, currentItems, currentSections) => {
+  const manualByKey = new Map();
+  const ocrByKey = new Map();
+  for (const row of currentItems) {
+    const target = row.source === 'manual' ? manualByKey : ocrByKey;
+    const key = itemKey(row.section_name ?? row.category_raw, row.item_name);
+    if (!target.has(key)) target.set(key, row);
+  }
+
+  // File sections take the spelling of an existing section that differs only
+  // in case, so "супы" does not become a second "Супы".
+  const sectionNames = new Map(currentSections.map((s) => [s.name.toLowerCase(), s.name]));
+  const sections = [];
+  const canonicalSection = (name) => {
+    if (name === null || name === undefined) return null;
+    const lower = name.toLowerCase();
+    if (!sectionNames.has(lower)) sectionNames.set(lower, name);
+    const canonical = sectionNames.get(lower);
+    if (!sections.includes(canonical)) sections.push(canonical);
+    return canonical;
+  };
+
+  const diff = { added: [], changed: [], unchanged: [], removed: [], skipped: [] };
+  const planItems = [];
+  const matchedIds = new Set();
+  const nextPosition = new Map();
+
+  for (const { row, item } of fileItems) {
+    const { section: rawSection, ...fields } = item;
+    const key = itemKey(rawSection, fields.item_name);
+
+    const ocrItem = ocrByKey.get(key);
+    if (ocrItem && !manualByKey.has(key)) {
+      diff.skipped.push({ row, id: ocrItem.id, item_name: ocrItem.item_name });
+      continue;
+    }
+
+    const section = canonicalSection(rawSection);
+    const position = nextPosition.get(section) ?? 0;
+    nextPosition.set(section, position + 1);
+
+    const existing = manualByKey.get(key);
+    if (!existing) {
+      diff.added.push({ row, section, ...fields });
+      planItems.push({ section, position, fields });
+      continue;
+    }
+
+    matchedIds.add(existing.id);
+    const before = toFileItem(existing);
+    const changes = {};
+    for (const field of DIFF_FIELDS) {
+      if (fields[field] !== undefined && !sameValue(before[field], fields[field])) {
+        changes[field] = { from: before[field], to: fields[field] };
+      }
+    }
+    if (Object.keys(changes).length > 0) {
+      diff.changed.push({ row, id: existing.id, item_name: fields.item_name, section, changes });
+    } else {
+      diff.unchanged.push({ row, id: existing.id, item_name: fields.item_name, section });
+    }
+    planItems.push({ id: existing.id, section, position, fields });
+  }
+
+  const deleteIds = [];
+  for (const row of currentItems) {
+    if (row.source === 'manual' && !matchedIds.has(row.id)) {
+      deleteIds.push(row.id);
+      diff.removed.push({ id: row.id, item_name: row.item_name, section: row.section_name ?? null });
+    }
+  }
+
+  const existingSectionNames = currentSections.map((s) => s.name);
+  diff.sections = {
+    added: sections.filter((name) => !existingSectionNames.includes(name)),
+    removed: existingSectionNames.filter((name) => !sections.includes(name)),
+  };
+
+  return {
+    diff,
+    plan: { sections, items: planItems, deleteIds },
+  };
+};
+
+const countDiff = (diff) => ({
+  added: diff.added.length,
+  changed: diff.changed.length,
+  unchanged: diff.unchanged.length,
+  removed: diff.removed.length,
+  skipped: diff.skipped.length,
+});
+
+/**
+ * Export the partner-visible menu (manual and OCR items, admin-hidden ones
+ * excluded) as a menu file. OCR items carry their category as section.
+ *
+ * @param {string} partnerId - UUID
+ * @param {string} establishmentId - UUID
+ * @param {'csv'|'json'} format
+ * @returns {Promise<{ content: string, contentType: string, filename: string }>}
+ */
+export const exportMenu = async (partnerId, establishmentId, format) => {
+  await assertOwner(partnerId, establishmentId);
+  assertFormat(format);
+
+  const rows = await MenuItemModel.getByEstablishmentId(establishmentId, { includeHidden: false });
+
+  return {
+    content: serializeMenuFile(rows.map(toFileItem), format),
+    contentType: CONTENT_TYPES[format],
+    filename: `menu-${establishmentId}.${format}`,
+  };
+};
+
+/**
+ * Import a menu file: validate it, diff it against the current menu and —
+ * unless dryRun — replace the manual menu with it in one transaction.
+ *
+ * A dry run always answers 200 with the row errors (if any) so the partner
+ * can fix the file; a real import of a file with errors is refused with
+ * 422 INVALID_MENU_ROWS (details.errors) and changes nothing.
+ *
+ * @param {string} partnerId - UUID
+ * @param {string} establishmentId - UUID
+ * @param {Object} params
+ * @param {string} params.content - File text
+ * @param {'csv'|'json'} params.format
+ * @param {boolean} [params.dryRun=false]
+ * @returns {Promise<{ dry_run: boolean, valid: boolean, errors: string[],
+ *   diff: Object|null, counts: Object|null }>}
+ * @throws {AppError} 422 INVALID_MENU_FILE / INVALID_MENU_ROWS
+ */
+export const importMenu = async (partnerId, establishmentId, { content, format, dryRun = false }) => {
+  await assertOwner(partnerId, establishmentId);
+  assertFormat(format);
+
+  const { items, errors } = parseMenuFile(content, format);
+  if (errors.length > 0) {
+    if (dryRun) {
+      return { dry_run: true, valid: false, errors, diff: null, counts: null };
+    }
+    throw new AppError(
+      `Menu file has ${errors.length} invalid row(s); nothing was imported`,
+      422,
+      'INVALID_MENU_ROWS',
+      { errors },
+    );
+  }
+
+  const [currentItems, currentSections] = await Promise.all([
+    MenuItemModel.getByEstablishmentId(establishmentId, { includeHidden: true }),
+    MenuSectionModel.getByEstablishmentId(establishmentId),
+  ]);
+  const { diff, plan } = buildImportDiff(items, currentItems, currentSections);
+  const counts = countDiff(diff);
+
+  if (!dryRun) {
+    await MenuItemModel.replaceManualMenu({ establishmentId, ...plan });
+
+    logger.info('Partner imported menu file', {
+      partnerId,
+      establishmentId,
+      format,
+      ...counts,
+    });
+  }
+
+  return { dry_run: dryRun, valid: true, errors: [], diff, counts };
+};
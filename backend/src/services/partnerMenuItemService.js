@@ -3,20 +3,154 @@
  *
  * Business logic for partner operations on parsed menu items (Segment B):
  *   - listMenuItems:    GET /partner/establishments/:id/menu-items
+ *   - createMenuItem:   POST /partner/establishments/:id/menu-items (manual item)
  *   - updateMenuItem:   PATCH /partner/menu-items/:id (inline editing)
+ *   - deleteMenuItem:   DELETE /partner/menu-items/:id (manual items only)
+ *   - reorderMenuItems: PUT /partner/establishments/:id/menu-items/order
+ *   - getPriceHistory:  GET /partner/establishments/:id/menu/price-history
  *   - retryOcr:         POST /partner/establishments/:id/retry-ocr
  *
+ * Manual vs OCR items: OCR items (source='ocr') are owned by their media and
+ * rewritten on every published OCR run, so they can be edited and reordered
+ * but not deleted or put into sections. Manually authored items
+ * (source='manual') have no media and survive any OCR re-run.
+ *
+ * Price history: manual creates and inline edits record the new price in
+ * menu_price_history (OCR publishes and file imports record theirs inside
+ * their own transaction, see menuItemModel). listMenuItems attaches each
+ * dish's latest price change so the partner sees "12 → 14 BYN".
+ *
  * Ownership invariant: every entry point verifies that the menu item (or its
  * establishment) belongs to the calling partner before mutating or returning data.
  */
 
 import * as MenuItemModel from '../models/menuItemModel.js';
+import * as MenuSectionModel from '../models/menuSectionModel.js';
+import * as MenuPriceHistoryModel from '../models/menuPriceHistoryModel.js';
 import * as EstablishmentModel from '../models/establishmentModel.js';
 import * as MediaModel from '../models/mediaModel.js';
 import * as OcrJobModel from '../models/ocrJobModel.js';
+import { normalizeMenuItemFields } from './menuItemFields.js';
+import { normalizeItemName } from '../utils/menuItemName.js';
 import { AppError } from '../middleware/errorHandler.js';
 import logger from '../utils/logger.js';
 
+const MAX_REORDER_ENTRIES = 500;
+const MAX_HISTORY_PAGE = 100;
+
+/** Item fields a partner sets directly (create and inline edit). */
+const PARTNER_FIELDS = [
+  'item_name',
+  'price_byn',
+  'category_raw',
+  'description',
+  'portion_size',
+  'portion_unit',
+  'dietary_tags',
+  'photo_media_id',
+  'is_available',
+];
+
+const assertOwner = async (partnerId, establishmentId) => {
+  const isOwner = await EstablishmentModel.checkOwnership(establishmentId, partnerId);
+  if (!isOwner) {
+    throw new AppError(
+      'Establishment not found or access denied',
+      404,
+      'ESTABLISHMENT_NOT_FOUND',
+    );
+  }
+};
+
+const getOwnedItem = async (partnerId, menuItemId) => {
+  const existing = await MenuItemModel.findById(menuItemId);
+  if (!existing) {
+    throw new AppError('Menu item not found', 404, 'MENU_ITEM_NOT_FOUND');
+  }
+
+  const isOwner = await EstablishmentModel.checkOwnership(
+    existing.establishment_id,
+    partnerId,
+  );
+  if (!isOwner) {
+    throw new AppError(
+      'Menu item not found or access denied',
+      404,
+      'MENU_ITEM_NOT_FOUND',
+    );
+  }
+  return existing;
+};
+
+/**
+ * Check that a dish photo referenced in a request body is a 'dishes' media
+ * of the establishment. null (no photo) is always valid.
+ *
+ * @throws {AppError} 422 INVALID_DISH_PHOTO
+ */
+const assertDishPhotoOf = async (establishmentId, mediaId) => {
+  if (mediaId === null) return;
+  const media = typeof mediaId === 'string'
+    ? await MediaModel.findMediaById(mediaId)
+    : null;
+  if (!media || media.establishment_id !== establishmentId || media.type !== 'dishes') {
+    throw new AppError(
+      'photo_media_id must reference a dish photo (media type "dishes") of this establishment',
+      422,
+      'INVALID_DISH_PHOTO',
+    );
+  }
+};
+
+/**
+ * Check that a section referenced in a request body belongs to the
+ * establishment. null (no section) is always valid.
+ *
+ * @throws {AppError} 422 INVALID_MENU_SECTION
+ */
+const assertSectionOf = async (establishmentId, sectionId) => {
+  if (sectionId === null) return;
+  const section = typeof sectionId === 'string'
+    ? await MenuSectionModel.findById(sectionId)
+    : null;
+  if (!section || section.establishment_id !== establishmentId) {
+    throw new AppError(
+      'section_id does not reference a menu section of this establishment',
+      422,
+      'INVALID_MENU_SECTION',
+    );
+  }
+};
+
+const assertManual = (item, action) => {
+  if (item.source !== 'manual') {
+    throw new AppError(
+      `Only manually added menu items can be ${action}; OCR items follow their menu file`,
+      409,
+      'MENU_ITEM_NOT_MANUAL',
+    );
+  }
+};
+
+/**
+ * Record a partner-set price. History is secondary to the edit itself, so a
+ * failure is logged and swallowed rather than failing the request.
+ */
+const recordManualPrice = async (item) => {
+  try {
+    await MenuPriceHistoryModel.recordPrices({
+      establishmentId: item.establishment_id,
+      items: [item],
+      source: 'manual',
+    });
+  } catch (err) {
+    logger.error('Failed to record menu price history', {
+      error: err.message,
+      menuItemId: item.id,
+    });
+  }
+};
+
 /**
  * List parsed menu items for an establishment owned by the partner.
  *
@@ -24,55 +158,96 @@ import logger from '../utils/logger.js';
  * Partners see only non-hidden items; no UI indication of hidden state.
  * Rationale: platform owns content quality; hiding is not the partner's concern.
  *
+ * Each item carries `price_change` — { previous_price_byn, price_byn,
+ * changed_at } of the dish's latest recorded change, or null.
+ *
  * @param {string} partnerId - UUID
  * @param {string} establishmentId - UUID
  * @returns {Promise<Object[]>} Non-hidden menu items ordered by position
  */
 export const listMenuItems = async (partnerId, establishmentId) => {
-  const isOwner = await EstablishmentModel.checkOwnership(establishmentId, partnerId);
-  if (!isOwner) {
-    throw new AppError(
-      'Establishment not found or access denied',
-      404,
-      'ESTABLISHMENT_NOT_FOUND',
-    );
+  await assertOwner(partnerId, establishmentId);
+
+  const [items, changes] = await Promise.all([
+    MenuItemModel.getByEstablishmentId(establishmentId, { includeHidden: false }),
+    MenuPriceHistoryModel.getLatestChanges(establishmentId),
+  ]);
+  const changeByName = new Map(changes.map((change) => [change.normalized_name, change]));
+
+  return items.map((item) => {
+    const change = changeByName.get(normalizeItemName(item.item_name));
+    return {
+      ...item,
+      price_change: change
+        ? {
+          previous_price_byn: change.previous_price_byn,
+          price_byn: change.price_byn,
+          changed_at: change.recorded_at,
+        }
+        : null,
+    };
+  });
+};
+
+/**
+ * Add a menu item by hand, independent of any menu file. Appended at the end
+ * of its section.
+ *
+ * @param {string} partnerId - UUID
+ * @param {string} establishmentId - UUID
+ * @param {Object} fields - { item_name, price_byn?, category_raw?, section_id?, description?,
+ *   portion_size?, portion_unit?, dietary_tags?, photo_media_id?, is_available? }
+ * @returns {Promise<Object>} Created menu item
+ */
+export const createMenuItem = async (partnerId, establishmentId, fields) => {
+  await assertOwner(partnerId, establishmentId);
+
+  if (fields.item_name === undefined) {
+    throw new AppError('item_name is required', 422, 'VALIDATION_ERROR');
+  }
+  const provided = {};
+  for (const field of PARTNER_FIELDS) {
+    if (fields[field] !== undefined) provided[field] = fields[field];
   }
+  const item = {
+    ...normalizeMenuItemFields(provided),
+    section_id: fields.section_id ?? null,
+  };
+  await assertSectionOf(establishmentId, item.section_id);
+  await assertDishPhotoOf(establishmentId, item.photo_media_id ?? null);
 
-  return MenuItemModel.getByEstablishmentId(establishmentId, { includeHidden: false });
+  const created = await MenuItemModel.createManual({ establishmentId, item });
+  await recordManualPrice(created);
+
+  logger.info('Partner created menu item', {
+    menuItemId: created.id,
+    partnerId,
+    establishmentId,
+    sectionId: item.section_id,
+  });
+
+  return created;
 };
 
 /**
  * Inline-edit a menu item the partner owns.
  *
- * Allowed fields: item_name, price_byn, category_raw.
+ * Allowed fields: item_name, price_byn, category_raw, description,
+ * portion_size + portion_unit, dietary_tags, photo_media_id, is_available;
+ * section_id (manual items only — null takes the item out of its section).
  * Side effect: sanity_flag is cleared (partner accepts responsibility for values).
  * is_hidden_by_admin is untouched — only admin can toggle that.
  *
  * @param {string} partnerId - UUID
  * @param {string} menuItemId - UUID
- * @param {Object} updates - { item_name?, price_byn?, category_raw? }
+ * @param {Object} updates - Any of the allowed fields
  * @returns {Promise<Object>} Updated menu item
  */
 export const updateMenuItem = async (partnerId, menuItemId, updates) => {
-  const existing = await MenuItemModel.findById(menuItemId);
-  if (!existing) {
-    throw new AppError('Menu item not found', 404, 'MENU_ITEM_NOT_FOUND');
-  }
-
-  const isOwner = await EstablishmentModel.checkOwnership(
-    existing.establishment_id,
-    partnerId,
-  );
-  if (!isOwner) {
-    throw new AppError(
-      'Menu item not found or access denied',
-      404,
-      'MENU_ITEM_NOT_FOUND',
-    );
-  }
+  const existing = await getOwnedItem(partnerId, menuItemId);
 
-  const partnerAllowed = ['item_name', 'price_byn', 'category_raw'];
-  const filteredUpdates = {};
+  const partnerAllowed = [...PARTNER_FIELDS, 'section_id'];
+  let filteredUpdates = {};
   for (const field of partnerAllowed) {
     if (updates[field] !== undefined) {
       filteredUpdates[field] = updates[field];
@@ -81,28 +256,28 @@ export const updateMenuItem = async (partnerId, menuItemId, updates) => {
 
   if (Object.keys(filteredUpdates).length === 0) {
     throw new AppError(
-      'No editable fields provided (item_name, price_byn, category_raw)',
+      `No editable fields provided (${partnerAllowed.join(', ')})`,
       400,
       'NO_FIELDS_TO_UPDATE',
     );
   }
 
-  // Validate price if provided: must be non-negative number
-  if (filteredUpdates.price_byn !== undefined && filteredUpdates.price_byn !== null) {
-    const price = Number(filteredUpdates.price_byn);
-    if (!Number.isFinite(price) || price < 0) {
-      throw new AppError(
-        'price_byn must be a non-negative number',
-        422,
-        'INVALID_PRICE',
-      );
-    }
+  filteredUpdates = normalizeMenuItemFields(filteredUpdates);
+  if (filteredUpdates.section_id !== undefined) {
+    assertManual(existing, 'moved between sections');
+    await assertSectionOf(existing.establishment_id, filteredUpdates.section_id);
+  }
+  if (filteredUpdates.photo_media_id !== undefined) {
+    await assertDishPhotoOf(existing.establishment_id, filteredUpdates.photo_media_id);
   }
 
   // Partner edit implies they vouch for the values — clear sanity_flag.
   filteredUpdates.sanity_flag = null;
 
   const updated = await MenuItemModel.updateById(menuItemId, filteredUpdates);
+  if (filteredUpdates.price_byn !== undefined || filteredUpdates.item_name !== undefined) {
+    await recordManualPrice(updated);
+  }
 
   logger.info('Partner edited menu item', {
     menuItemId,
@@ -113,6 +288,144 @@ export const updateMenuItem = async (partnerId, menuItemId, updates) => {
   return updated;
 };
 
+/**
+ * Delete a manually added menu item. OCR items are refused — they would come
+ * back with the next OCR run; the partner rejects them in the draft instead.
+ *
+ * @param {string} partnerId - UUID
+ * @param {string} menuItemId - UUID
+ * @returns {Promise<void>}
+ */
+export const deleteMenuItem = async (partnerId, menuItemId) => {
+  const existing = await getOwnedItem(partnerId, menuItemId);
+  assertManual(existing, 'deleted');
+
+  await MenuItemModel.deleteById(menuItemId);
+
+  logger.info('Partner deleted menu item', {
+    menuItemId,
+    partnerId,
+    establishmentId: existing.establishment_id,
+  });
+};
+
+/**
+ * Bulk reorder and move items between sections.
+ *
+ * Each entry sets an item's position; a `section_id` key (manual items only)
+ * also moves it — null takes it out of its section. Items not listed keep
+ * their position. Applied in one statement.
+ *
+ * @param {string} partnerId - UUID
+ * @param {string} establishmentId - UUID
+ * @param {Array<{ id: string, position: number, section_id?: string|null }>} entries
+ * @returns {Promise<Object[]>} The partner's menu list after the change
+ * @throws {AppError} 422 INVALID_MENU_ORDER / INVALID_MENU_SECTION, 409 MENU_ITEM_NOT_MANUAL
+ */
+export const reorderMenuItems = async (partnerId, establishmentId, entries) => {
+  await assertOwner(partnerId, establishmentId);
+
+  if (!Array.isArray(entries) || entries.length === 0 || entries.length > MAX_REORDER_ENTRIES) {
+    throw new AppError(
+      `items must be a non-empty array of up to ${MAX_REORDER_ENTRIES} entries`,
+      422,
+      'INVALID_MENU_ORDER',
+    );
+  }
+
+  const items = await MenuItemModel.getByEstablishmentId(establishmentId, {
+    includeHidden: true,
+  });
+  const itemsById = new Map(items.map((item) => [item.id, item]));
+  const seen = new Set();
+  const sectionIds = new Set();
+
+  for (const entry of entries) {
+    const item = itemsById.get(entry?.id);
+    if (!item || seen.has(entry.id)) {
+      throw new AppError(
+        `items contains an unknown or repeated menu item id: ${entry?.id}`,
+        422,
+        'INVALID_MENU_ORDER',
+      );
+    }
+    seen.add(entry.id);
+    if (!Number.isInteger(entry.position) || entry.position < 0) {
+      throw new AppError(
+        'position must be a non-negative integer',
+        422,
+        'INVALID_MENU_ORDER',
+      );
+    }
+    if (entry.section_id !== undefined) {
+      assertManual(item, 'moved between sections');
+      if (entry.section_id !== null) sectionIds.add(entry.section_id);
+    }
+  }
+
+  for (const sectionId of sectionIds) {
+    await assertSectionOf(establishmentId, sectionId);
+  }
+
+  await MenuItemModel.reorder(
+    establishmentId,
+    entries.map(({ id, position, section_id: sectionId }) => ({
+      id,
+      position,
+      ...(sectionId !== undefined ? { section_id: sectionId } : {}),
+    })),
+  );
+
+  logger.info('Partner reordered menu items', {
+    partnerId,
+    establishmentId,
+    count: entries.length,
+    moved: entries.filter((entry) => entry.section_id !== undefined).length,
+  });
+
+  return MenuItemModel.getByEstablishmentId(establishmentId, { includeHidden: false });
+};
+
+/**
+ * Price history of the partner's menu, newest first. With itemName, the full
+ * history of that dish (first sighting included); without, only the price
+ * changes across the whole menu.
+ *
+ * @param {string} partnerId - UUID
+ * @param {string} establishmentId - UUID
+ * @param {Object} [options]
+ * @param {string} [options.itemName] - Dish name, matched like OCR runs match it
+ * @param {number} [options.page=1]
+ * @param {number} [options.perPage=50] - Capped at MAX_HISTORY_PAGE
+ * @returns {Promise<{ items: Object[], meta: Object }>}
+ */
+export const getPriceHistory = async (partnerId, establishmentId, {
+  itemName,
+  page = 1,
+  perPage = 50,
+} = {}) => {
+  await assertOwner(partnerId, establishmentId);
+
+  const effectivePerPage = Math.min(Math.max(perPage, 1), MAX_HISTORY_PAGE);
+  const effectivePage = Math.max(page, 1);
+  const { items, total } = await MenuPriceHistoryModel.getByEstablishmentId(establishmentId, {
+    normalizedName: itemName ? normalizeItemName(itemName) : undefined,
+    changesOnly: !itemName,
+    limit: effectivePerPage,
+    offset: (effectivePage - 1) * effectivePerPage,
+  });
+
+  return {
+    items,
+    meta: {
+      total,
+      page: effectivePage,
+      per_page: effectivePerPage,
+      pages: Math.ceil(total / effectivePerPage),
+    },
+  };
+};
+
 /**
  * Re-run OCR for all OCR-eligible menu media of an establishment owned by the
  * partner: PDF menus plus menu photos (vision_image strategy).
@@ -129,14 +442,7 @@ export const updateMenuItem = async (partnerId, menuItemId, updates) => {
  * @returns {Promise<{enqueuedJobs: number, totalPdfs: number}>}
  */
 export const retryOcr = async (partnerId, establishmentId) => {
-  const isOwner = await EstablishmentModel.checkOwnership(establishmentId, partnerId);
-  if (!isOwner) {
-    throw new AppError(
-      'Establishment not found or access denied',
-      404,
-      'ESTABLISHMENT_NOT_FOUND',
-    );
-  }
+  await assertOwner(partnerId, establishmentId);
 
   const eligibleMedia = await MediaModel.getOcrEligibleMedia(establishmentId);
   if (eligibleMedia.length === 0) {
@@ -0,0 +1,156 @@
+/**
+ * Partner Menu-Section Service
+ *
+ * Named sections for manually authored menu items (Segment B):
+ *   - listSections:    GET    /partner/establishments/:id/menu-sections
+ *   - createSection:   POST   /partner/establishments/:id/menu-sections
+ *   - renameSection:   PATCH  /partner/establishments/:id/menu-sections/:sectionId
+ *   - deleteSection:   DELETE /partner/establishments/:id/menu-sections/:sectionId
+ *   - reorderSections: PUT    /partner/establishments/:id/menu-sections/order
+ *
+ * Section names are unique per establishment (pg 23505 → 409 via errorHandler).
+ * Deleting a section keeps its items on the menu, unsectioned.
+ */
+
+import * as MenuSectionModel from '../models/menuSectionModel.js';
+import * as EstablishmentModel from '../models/establishmentModel.js';
+import { AppError } from '../middleware/errorHandler.js';
+import logger from '../utils/logger.js';
+
+const MAX_SECTION_NAME_LENGTH = 100;
+
+const assertOwner = async (partnerId, establishmentId) => {
+  const isOwner = await EstablishmentModel.checkOwnership(establishmentId, partnerId);
+  if (!isOwner) {
+    throw new AppError(
+      'Establishment not found or access denied',
+      404,
+      'ESTABLISHMENT_NOT_FOUND',
+    );
+  }
+};
+
+const getOwnedSection = async (establishmentId, sectionId) => {
+  const section = await MenuSectionModel.findById(sectionId);
+  if (!section || section.establishment_id !== establishmentId) {
+    throw new AppError('Menu section not found', 404, 'MENU_SECTION_NOT_FOUND');
+  }
+  return section;
+};
+
+const normalizeName = (name) => {
+  if (typeof name !== 'string' || name.trim().length === 0
+    || name.trim().length > MAX_SECTION_NAME_LENGTH) {
+    throw new AppError(
+      `name must be a non-empty string up to ${MAX_SECTION_NAME_LENGTH} characters`,
+      422,
+      'VALIDATION_ERROR',
+    );
+  }
+  return name.trim();
+};
+
+/**
+ * Sections of an establishment in display order, with item counts.
+ *
+ * @param {string} partnerId - UUID
+ * @param {string} establishmentId - UUID
+ * @returns {Promise<Object[]>}
+ */
+export const listSections = async (partnerId, establishmentId) => {
+  await assertOwner(partnerId, establishmentId);
+  return MenuSectionModel.getByEstablishmentId(establishmentId);
+};
+
+/**
+ * Create a section at the end of the list.
+ *
+ * @param {string} partnerId - UUID
+ * @param {string} establishmentId - UUID
+ * @param {string} name
+ * @returns {Promise<Object>} Created section
+ */
+export const createSection = async (partnerId, establishmentId, name) => {
+  await assertOwner(partnerId, establishmentId);
+
+  const section = await MenuSectionModel.create({
+    establishmentId,
+    name: normalizeName(name),
+  });
+
+  logger.info('Partner created menu section', {
+    partnerId,
+    establishmentId,
+    sectionId: section.id,
+  });
+
+  return section;
+};
+
+/**
+ * Rename a section.
+ *
+ * @param {string} partnerId - UUID
+ * @param {string} establishmentId - UUID
+ * @param {string} sectionId - UUID
+ * @param {string} name
+ * @returns {Promise<Object>} Updated section
+ */
+export const renameSection = async (partnerId, establishmentId, sectionId, name) => {
+  await assertOwner(partnerId, establishmentId);
+  await getOwnedSection(establishmentId, sectionId);
+
+  return MenuSectionModel.rename(sectionId, normalizeName(name));
+};
+
+/**
+ * Delete a section; its items become unsectioned.
+ *
+ * @param {string} partnerId - UUID
+ * @param {string} establishmentId - UUID
+ * @param {string} sectionId - UUID
+ * @returns {Promise<void>}
+ */
+export const deleteSection = async (partnerId, establishmentId, sectionId) => {
+  await assertOwner(partnerId, establishmentId);
+  await getOwnedSection(establishmentId, sectionId);
+
+  await MenuSectionModel.deleteById(sectionId);
+
+  logger.info('Partner deleted menu section', {
+    partnerId,
+    establishmentId,
+    sectionId,
+  });
+};
+
+/**
+ * Set section order. sectionIds must list every section of the
+ * establishment exactly once, so a stale client cannot silently drop one.
+ *
+ * @param {string} partnerId - UUID
+ * @param {string} establishmentId - UUID
+ * @param {string[]} sectionIds - All section ids, in the new order
+ * @returns {Promise<Object[]>} Sections in the new order
+ * @throws {AppError} 422 INVALID_SECTION_ORDER
+ */
+export const reorderSections = async (partnerId, establishmentId, sectionIds) => {
+  await assertOwner(partnerId, establishmentId);
+
+  const sections = await MenuSectionModel.getByEstablishmentId(establishmentId);
+  const known = new Set(sections.map((section) => section.id));
+  const valid = Array.isArray(sectionIds)
+    && sectionIds.length === known.size
+    && new Set(sectionIds).size === sectionIds.length
+    && sectionIds.every((id) => known.has(id));
+  if (!valid) {
+    throw new AppError(
+      'section_ids must list every menu section of this establishment exactly once',
+      422,
+      'INVALID_SECTION_ORDER',
+    );
+  }
+
+  await MenuSectionModel.reorder(establishmentId, sectionIds);
+  return MenuSectionModel.getByEstablishmentId(establishmentId);
+};
@@ -0,0 +1,383 @@
+/**
+ * Personalization Service
+ *
+ * Opt-in `sort_by=for_you` ranking for the establishment list search. The
+ * SQL search still selects and pre-orders candidates (Bayesian rating); the
+ * first FOR_YOU_CANDIDATE_POOL of them are re-ranked here for the signed-in
+ * user, and positions past the pool keep the SQL order.
+ *
+ * Taste profile sources: favorites, the user's review ratings and completed
+ * bookings. Each source establishment gets a weight (favorite +3, rating
+ * relative to 3 stars, +1 per completed visit up to 3); the weight flows to its
+ * categories, cuisines and price tier, normalized to [-1, 1] per dimension.
+ *
+ * scoreEstablishment() is a pure function of (establishment, profile), so the
+ * ranking is deterministic and testable without a database. Every ranked
+ * result carries an `explanation` ("Потому что вам нравится «X»") naming the
+ * strongest signal behind it.
+ */
+
+import * as FavoriteModel from '../models/favoriteModel.js';
+import * as ReviewModel from '../models/reviewModel.js';
+import * as BookingModel from '../models/bookingModel.js';
+import { BAYESIAN_PRIOR_COUNT, BAYESIAN_PRIOR_RATING } from './searchService.js';
+import logger from '../utils/logger.js';
+
+/** Sort value that opts into personalized ranking. */
+export const FOR_YOU_SORT = 'for_you';
+
+/** Candidates re-ranked per request (the searchByRadius page-size cap). */
+export const FOR_YOU_CANDIDATE_POOL = 100;
+
+/** Max rows read per signal source. */
+const MAX_SIGNALS = 100;
+
+/** Source establishment weights. */
+const FAVORITE_WEIGHT = 3;
+const VISIT_WEIGHT = 1;
+const MAX_COUNTED_VISITS = 3;
+const NEUTRAL_RATING = 3;
+
+/** Score component weights. */
+const SCORE_WEIGHTS = {
+  quality: 1,
+  cuisine: 1.5,
+  category: 1,
+  price: 0.5,
+  favorite: 0.5,
+  visited: 0.25,
+  disliked: -2,
+  distancePerKm: -0.05,
+};
+
+/** Distance beyond this many km costs no extra score. */
+const MAX_PENALIZED_DISTANCE_KM = 20;
+
+// ============================================================================
+// Taste profile
+// ============================================================================
+
+/**
+ * Add weight to a key of an affinity map.
+ */
+const addAffinity = (map, key, weight) => {
+  if (!key) return;
+  map.set(key, (map.get(key) || 0) + weight);
+};
+
+/**
+ * Scale an affinity map to [-1, 1] by its largest absolute weight.
+ */
+const normalizeAffinity = (map) => {
+  const max = Math.max(0, ...[...map.values()].map(Math.abs));
+  if (max === 0) return new Map();
+  return new Map([...map].map(([key, value]) => [key, value / max]));
+};
+
+/**
+ * Build a taste profile from the user's signals.
+ *
+ * Every signal row carries the source establishment's vocabulary:
+ * { establishment_id, name, categories, cuisines, price_range } plus, for
+ * reviews, `rating` and, for visits, `visit_count`.
+ *
+ * @param {{ favorites?: object[], ratings?: object[], visits?: object[] }} signals
+ * @returns {{ sources: Map<string, object>, categories: Map<string, number>,
+ *   cuisines: Map<string, number>, priceRanges: Map<string, number>, isEmpty: boolean }}
+ */
+export const buildTasteProfile = ({ favorites = [], ratings = [], visits = [] } = {}) => {
+  const sources = new Map();
+
+  const sourceFor = (row) => {
+    if (!sources.has(row.establishment_id)) {
+      sources.set(row.establishment_id, {
+        id: row.establishment_id,
+        name: row.name,
+        categories: row.categories || [],
+        cuisines: row.cuisines || [],
+        price_range: row.price_range || null,
+        weight: 0,
+        favorite: false,
+        rating: null,
+        visits: 0,
+      });
+    }
+    return sources.get(row.establishment_id);
+  };
+
+  for (const row of favorites) {
+    const source = sourceFor(row);
+    source.favorite = true;
+    source.weight += FAVORITE_WEIGHT;
+  }
+
+  for (const row of ratings) {
+    const source = sourceFor(row);
+    source.rating = Number(row.rating);
+    source.weight += source.rating - NEUTRAL_RATING;
+  }
+
+  for (const row of visits) {
+    const source = sourceFor(row);
+    source.visits = Number(row.visit_count) || 0;
+    source.weight += VISIT_WEIGHT * Math.min(source.visits, MAX_COUNTED_VISITS);
+  }
+
+  const categories = new Map();
+  const cuisines = new Map();
+  const priceRanges = new Map();
+  for (const source of sources.values()) {
+    if (source.weight === 0) continue;
+    source.categories.forEach((c) => addAffinity(categories, c, source.weight));
+    source.cuisines.forEach((c) => addAffinity(cuisines, c, source.weight));
+    addAffinity(priceRanges, source.price_range, source.weight);
+  }
+
+  return {
+    sources,
+    categories: normalizeAffinity(categories),
+    cuisines: normalizeAffinity(cuisines),
+    priceRanges: normalizeAffinity(priceRanges),
+    isEmpty: sources.size === 0,
+  };
+};
+
+/**
+ * Load the signed-in user's taste profile.
+ *
+ * @param {string} userId
+ * @returns {Promise<object>} buildTasteProfile() result
+ */
+export const getTasteProfile = async (userId) => {
+  const [favorites, ratings, visits] = await Promise.all([
+    FavoriteModel.getUserFavorites(userId, { limit: MAX_SIGNALS }),
+    ReviewModel.findRatingsByUser(userId, MAX_SIGNALS),
+    BookingModel.getCompletedVisitsByUser(userId, MAX_SIGNALS),
+  ]);
+
+  return buildTasteProfile({
+    favorites: favorites.map((f) => ({
+      establishment_id: f.establishment_id,
+      name: f.establishment_name,
+      categories: f.establishment_categories,
+      cuisines: f.establishment_cuisines,
+      price_range: f.establishment_price_range,
+    })),
+    ratings,
+    visits,
+  });
+};
+
+// ============================================================================
+// Scoring
+// ============================================================================
+
+/**
+ * Strongest affinity among the values: the best liked one, otherwise the
+ * least disliked one; 0 when the profile knows none of them.
+ */
+const affinityOf = (values, map) => {
+  const known = (values || []).filter((v) => map.has(v)).map((v) => map.get(v));
+  if (known.length === 0) return 0;
+  const best = Math.max(...known);
+  return best > 0 ? best : Math.min(...known);
+};
+
+/**
+ * Bayesian weighted rating scaled to 0–1 (same prior as the SQL rating sort).
+ */
+const qualityOf = (establishment) => {
+  const count = Number(establishment.review_count) || 0;
+  const average = Number(establishment.average_rating) || 0;
+  const weighted = (count * average + BAYESIAN_PRIOR_COUNT * BAYESIAN_PRIOR_RATING)
+    / (count + BAYESIAN_PRIOR_COUNT);
+  return weighted / 5;
+};
+
+/**
+ * How a liked source establishment is described in an explanation.
+ */
+const describeSource = (source) => {
+  if (source.favorite) {
+    return { type: 'similar_to_favorite', text: `Потому что вам нравится «${source.name}»` };
+  }
+  if (source.rating != null && source.rating > NEUTRAL_RATING) {
+    return { type: 'similar_to_rated', text: `Потому что вы высоко оценили «${source.name}»` };
+  }
+  return { type: 'similar_to_visited', text: `Потому что вы были в «${source.name}»` };
+};
+
+/**
+ * Pick the explanation for an establishment: its own favorite / visit status,
+ * else the highest-weighted liked establishment sharing a cuisine or category
+ * (ties by name), else the preferred cuisine.
+ */
+const explain = (establishment, profile, cuisineAffinity) => {
+  const own = profile.sources.get(establishment.id);
+  if (own?.favorite) {
+    return { type: 'favorite', text: 'В вашем избранном', source: null };
+  }
+  if (own && own.visits > 0 && own.weight > 0) {
+    return { type: 'visited', text: 'Вы уже бывали здесь', source: null };
+  }
+
+  const cuisines = new Set(establishment.cuisines || []);
+  const categories = new Set(establishment.categories || []);
+  let best = null;
+  for (const source of profile.sources.values()) {
+    if (source.id === establishment.id || source.weight <= 0) continue;
+    const shares = source.cuisines.some((c) => cuisines.has(c))
+      || source.categories.some((c) => categories.has(c));
+    if (!shares) continue;
+    if (!best
+      || source.weight > best.weight
+      || (source.weight === best.weight && source.name.localeCompare(best.name) < 0)) {
+      best = source;
+    }
+  }
+  if (best) {
+    return { ...describeSource(best), source: { id: best.id, name: best.name } };
+  }
+
+  if (cuisineAffinity > 0) {
+    const cuisine = [...cuisines]
+      .filter((c) => profile.cuisines.get(c) > 0)
+      .sort((a, b) => profile.cuisines.get(b) - profile.cuisines.get(a) || a.localeCompare(b))[0];
+    return { type: 'preferred_cuisine', text: `Вы часто выбираете кухню: ${cuisine}`, source: null };
+  }
+
+  return null;
+};
+
+/**
+ * Score one establishment for a profile. Pure and deterministic.
+ *
+ * score = quality + cuisine/category/price affinity + own history
+ *         − distance penalty (when distance_km is known)
+ *
+ * @param {object} establishment - Public listing projection
+ * @param {object} profile - buildTasteProfile() result
+ * @returns {{ score: number, explanation: { type: string, text: string,
+ *   source: { id: string, name: string }|null }|null }}
+ */
+export const scoreEstablishment = (establishment, profile) => {
+  const cuisine = affinityOf(establishment.cuisines, profile.cuisines);
+  const category = affinityOf(establishment.categories, profile.categories);
+  const price = affinityOf([establishment.price_range], profile.priceRanges);
+  const own = profile.sources.get(establishment.id);
+
+  let score = SCORE_WEIGHTS.quality * qualityOf(establishment)
+    + SCORE_WEIGHTS.cuisine * cuisine
+    + SCORE_WEIGHTS.category * category
+    + SCORE_WEIGHTS.price * price;
+
+  if (own) {
+    if (own.weight < 0) score += SCORE_WEIGHTS.disliked;
+    if (own.favorite) score += SCORE_WEIGHTS.favorite;
+    if (own.visits > 0) score += SCORE_WEIGHTS.visited;
+  }
+
+  if (establishment.distance_km != null) {
+    score += SCORE_WEIGHTS.distancePerKm
+      * Math.min(Number(establishment.distance_km), MAX_PENALIZED_DISTANCE_KM);
+  }
+
+  return {
+    score: Math.round(score * 10000) / 10000,
+    explanation: own && own.weight < 0 ? null : explain(establishment, profile, cuisine),
+  };
+};
+
+/**
+ * Re-rank establishments for a profile: score descending, original position
+ * as the tiebreaker. Each result gains `personalization_score` and
+ * `explanation`.
+ *
+ * @param {object[]} establishments
+ * @param {object} profile
+ * @returns {object[]}
+ */
+export const rankForProfile = (establishments, profile) => {
+  return establishments
+    .map((establishment, index) => ({
+      establishment,
+      index,
+      ...scoreEstablishment(establishment, profile),
+    }))
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map(({ establishment, score, explanation }) => ({
+      ...establishment,
+      personalization_score: score,
+      explanation,
+    }));
+};
+
+// ============================================================================
+// Search
+// ============================================================================
+
+/**
+ * Run a list search with for_you ranking.
+ *
+ * Anonymous users, users without any history and profile load failures get
+ * the plain rating order with `personalized: false` — personalization must
+ * never break search.
+ *
+ * @param {Function} search - searchService.searchByRadius or searchWithoutLocation
+ * @param {object} params - Search params (limit/offset/page as requested)
+ * @param {string|null} userId - Signed-in user, if any
+ * @returns {Promise<object>} { establishments, pagination, personalized }
+ */
+export const searchForYou = async (search, params, userId) => {
+  const { limit = 20, offset = 0 } = params;
+  const baseParams = { ...params, sortBy: 'rating' };
+
+  let profile = null;
+  if (userId) {
+    try {
+      profile = await getTasteProfile(userId);
+    } catch (error) {
+      logger.warn('Taste profile unavailable, searching without personalization', {
+        error: error.message,
+      });
+    }
+  }
+
+  // Pages past the candidate pool keep the SQL order
+  if (!profile || profile.isEmpty || offset >= FOR_YOU_CANDIDATE_POOL) {
+    const result = await search(baseParams);
+    return { ...result, personalized: false };
+  }
+
+  const pool = await search({ ...baseParams, limit: FOR_YOU_CANDIDATE_POOL, offset: 0, page: 1 });
+  const ranked = rankForProfile(pool.establishments, profile);
+  let establishments = ranked.slice(offset, offset + limit);
+
+  // A page straddling the pool boundary continues with SQL-ordered results
+  const end = offset + limit;
+  if (end > FOR_YOU_CANDIDATE_POOL && pool.pagination.total > FOR_YOU_CANDIDATE_POOL) {
+    const rest = await search({
+      ...baseParams,
+      limit: end - FOR_YOU_CANDIDATE_POOL,
+      offset: FOR_YOU_CANDIDATE_POOL,
+    });
+    establishments = establishments.concat(rest.establishments);
+  }
+
+  const { total } = pool.pagination;
+  const page = params.page || 1;
+  const totalPages = Math.ceil(total / limit);
+
+  return {
+    establishments,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages,
+      hasNext: page < totalPages,
+      hasPrevious: page > 1,
+    },
+    personalized: true,
+  };
+};
@@ -56,6 +56,7 @@ import logger from '../utils/logger.js';
  * @param {string[]} [filters.priceRange]
  * @param {number} [filters.minRating]
  * @param {string} [filters.hoursFilter] - working-hours bucket (until_22 | until_morning | 24_hours)
+ * @param {Object} [filters.openAt] - open_now / open_at moment (resolveOpenAtMoment)
  * @param {string[]} [filters.features] - attribute keys (delivery | wifi | terrace | parking | live_music | kids_zone | banquet | pets_allowed | smoking)
  * @param {string} [filters.search]
  * @param {string} [filters.sortBy]
@@ -71,6 +72,7 @@ export const getPublicEstablishmentsCatalog = async (filters = {}) => {
     priceRange,
     minRating,
     hoursFilter,
+    openAt,
     features,
     search,
     sortBy,
@@ -93,6 +95,7 @@ export const getPublicEstablishmentsCatalog = async (filters = {}) => {
     priceRange,
     minRating,
     hoursFilter,
+    openAt,
     features,
     sortBy,
     search,
@@ -115,6 +118,7 @@ export const getPublicEstablishmentsCatalog = async (filters = {}) => {
  *
  * @param {Object} filters - Cyrillic values, already validated
  * @param {Object} [filters.bounds] - { minLat, maxLat, minLon, maxLon } viewport rectangle
+ * @param {Object} [filters.openAt] - open_now / open_at moment (resolveOpenAtMoment)
  * @returns {Promise<Object>} { establishments: [mapMarker projection] }
  */
 export const getPublicEstablishmentsMap = async (filters = {}) => {
@@ -125,6 +129,7 @@ export const getPublicEstablishmentsMap = async (filters = {}) => {
     priceRange,
     minRating,
     hoursFilter,
+    openAt,
     search,
     limit = 200,
     bounds = null,
@@ -147,6 +152,7 @@ export const getPublicEstablishmentsMap = async (filters = {}) => {
         priceRange,
         minRating,
         hoursFilter,
+        openAt,
         search,
         limit: safeLimit,
       })
@@ -157,6 +163,7 @@ export const getPublicEstablishmentsMap = async (filters = {}) => {
         priceRange,
         minRating,
         hoursFilter,
+        openAt,
         search,
         limit: safeLimit,
         offset: 0,
@@ -321,6 +328,35 @@ export const getPublicReviews = async (slug, options = {}) => {
   return { reviews, pagination };
 };
 
+/**
+ * Establishments similar to the one identified by slug ("Похожие заведения").
+ *
+ * Used by GET /api/v1/public/establishments/by-slug/:slug/similar.
+ * Scoring lives in searchService.findSimilarEstablishments; this layer
+ * enforces the strict status='active' lookup like the other by-slug endpoints.
+ * No view_count side effect — the rail is fetched alongside the detail.
+ *
+ * @param {string} slug
+ * @param {Object} options - { limit=8 } (max 20)
+ * @returns {Promise<{ establishments: Object[] }>}
+ * @throws {AppError} 404 if establishment not found OR not active
+ */
+export const getSimilarEstablishments = async (slug, options = {}) => {
+  const { limit = 8 } = options;
+
+  const establishment = await EstablishmentModel.findEstablishmentBySlug(slug, true);
+
+  if (!establishment || establishment.status !== 'active') {
+    throw new AppError('Establishment not found', 404, 'NOT_FOUND');
+  }
+
+  const establishments = await searchService.findSimilarEstablishments(establishment, {
+    limit: Math.min(Math.max(limit, 1), 20),
+  });
+
+  return { establishments };
+};
+
 /**
  * Get public metadata: cities, categories, cuisines as { slug, name } pairs.
  *
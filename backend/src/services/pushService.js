@@ -30,6 +30,10 @@ const TYPE_CATEGORY_MAP = {
   booking_declined: 'booking',
   booking_expired: 'booking',
   booking_cancelled: 'booking',
+  booking_modified: 'booking',
+  booking_reminder: 'booking',
+  booking_reconfirm_request: 'booking',
+  waitlist_offer: 'booking',
 
   // Reviews category
   new_review: 'reviews',
@@ -46,6 +50,7 @@ const TYPE_CATEGORY_MAP = {
   establishment_claimed: null,
   review_hidden: null,
   review_deleted: null,
+  booking_needs_outcome: null,
 };
 
 /**
@@ -11,8 +11,11 @@
  */
 
 import * as ReviewModel from '../models/reviewModel.js';
+import * as ReviewPhotoModel from '../models/reviewPhotoModel.js';
 import * as NotificationService from './notificationService.js';
+import * as CloudinaryUtil from '../config/cloudinary.js';
 import { AppError } from '../middleware/errorHandler.js';
+import { MAX_REVIEW_PHOTOS, MAX_REVIEW_PHOTO_BYTES } from '../middleware/upload.js';
 import logger from '../utils/logger.js';
 import { incrementWithExpiry, getCounter } from '../config/redis.js';
 
@@ -21,6 +24,110 @@ import { incrementWithExpiry, getCounter } from '../config/redis.js';
 const RATE_LIMIT_MAX_REVIEWS = 10;
 const RATE_LIMIT_WINDOW_SECONDS = 86400; // 24 hours
 
+// Review photos share the Cloudinary tree of the establishment's own media
+const REVIEW_PHOTO_FOLDER = 'reviews';
+
+/**
+ * Check count, type (mimetype AND extension) and size of review photo files.
+ * The upload middleware already filters them; this keeps the service rules
+ * independent of the transport.
+ *
+ * @param {Object[]} files - Multer files
+ * @throws {AppError} 422 TOO_MANY_PHOTOS / INVALID_FILE_TYPE / FILE_TOO_LARGE
+ */
+const assertValidPhotos = (files) => {
+  if (files.length > MAX_REVIEW_PHOTOS) {
+    throw new AppError(
+      `A review can have at most ${MAX_REVIEW_PHOTOS} photos`,
+      422,
+      'TOO_MANY_PHOTOS',
+    );
+  }
+  for (const file of files) {
+    if (
+      !CloudinaryUtil.isValidImageType(file.mimetype) ||
+      !CloudinaryUtil.hasValidImageExtension(file.originalname)
+    ) {
+      throw new AppError(
+        'Invalid file type. Accepted formats: JPEG, PNG, WebP',
+        422,
+        'INVALID_FILE_TYPE',
+      );
+    }
+    if (file.size > MAX_REVIEW_PHOTO_BYTES) {
+      throw new AppError(
+        'File size exceeds 5MB limit',
+        422,
+        'FILE_TOO_LARGE',
+      );
+    }
+  }
+};
+
+/**
+ * Remove already uploaded photos from Cloudinary after a failed review
+ * creation. Best-effort: failures are only logged.
+ *
+ * @param {Array<{ public_id: string }>} uploaded
+ */
+const discardUploadedPhotos = (uploaded) => {
+  for (const photo of uploaded) {
+    CloudinaryUtil.deleteImage(photo.public_id).catch((err) => {
+      logger.warn('Failed to delete orphaned review photo from Cloudinary', {
+        publicId: photo.public_id,
+        error: err.message,
+      });
+    });
+  }
+};
+
+/**
+ * Upload review photos to Cloudinary, in order.
+ *
+ * @param {Object[]} files - Multer files (disk storage)
+ * @param {string} establishmentId - UUID (folder organization)
+ * @returns {Promise<Array<{ public_id: string, url: string, preview_url: string, thumbnail_url: string }>>}
+ * @throws {AppError} 500 PHOTO_UPLOAD_FAILED (photos uploaded so far are removed)
+ */
+const uploadPhotos = async (files, establishmentId) => {
+  const uploaded = [];
+  try {
+    for (const file of files) {
+      const result = await CloudinaryUtil.uploadImage(file.path, establishmentId, REVIEW_PHOTO_FOLDER);
+      uploaded.push({
+        public_id: result.public_id,
+        ...CloudinaryUtil.generateAllResolutions(result.public_id),
+      });
+    }
+    return uploaded;
+  } catch (error) {
+    discardUploadedPhotos(uploaded);
+    logger.error('Failed to upload review photos', {
+      error: error.message,
+      establishmentId,
+    });
+    throw new AppError('Failed to upload review photos', 500, 'PHOTO_UPLOAD_FAILED');
+  }
+};
+
+/** A review_photos row in response shape. */
+const formatPhoto = (photo) => ({
+  id: photo.id,
+  url: photo.url,
+  preview_url: photo.preview_url,
+  thumbnail_url: photo.thumbnail_url,
+});
+
+/**
+ * Publicly visible photos of the given reviews, grouped by review ID.
+ *
+ * @param {string[]} reviewIds
+ * @returns {Promise<Map<string, Object[]>>}
+ */
+const getVisiblePhotos = async (reviewIds) => ReviewPhotoModel.groupByReviewId(
+  await ReviewPhotoModel.getVisibleByReviewIds(reviewIds),
+);
+
 /**
  * Create a new review for an establishment
  * 
@@ -33,6 +140,8 @@ const RATE_LIMIT_WINDOW_SECONDS = 86400; // 24 hours
  * - User can only have one active review per establishment (enforced by unique constraint)
  * - User cannot exceed rate limit of 10 reviews per day
  * - Review content must meet length requirements (validated at controller level)
+ * - At most MAX_REVIEW_PHOTOS image photos; they are uploaded to Cloudinary
+ *   before the review is written and removed again if creation fails
  * - Aggregate statistics must be updated synchronously
  * 
  * @param {Object} reviewData - The review data
@@ -40,11 +149,14 @@ const RATE_LIMIT_WINDOW_SECONDS = 86400; // 24 hours
  * @param {string} reviewData.establishment_id - UUID of establishment being reviewed
  * @param {number} reviewData.rating - Rating from 1 to 5
  * @param {string} reviewData.content - Review text content
- * @returns {Promise<Object>} Created review with author information
+ * @param {Object[]} [reviewData.photos] - Multer files (disk storage) to attach
+ * @returns {Promise<Object>} Created review with author information and photos
  * @throws {AppError} If validation fails or rate limit exceeded
  */
 export const createReview = async (reviewData) => {
-  const { user_id, establishment_id, rating, content } = reviewData;
+  const { user_id, establishment_id, rating, content, photos = [] } = reviewData;
+
+  assertValidPhotos(photos);
 
   // Step 1: Verify user exists and is active
   const user = await ReviewModel.getUserById(user_id);
@@ -89,16 +201,30 @@ export const createReview = async (reviewData) => {
     );
   }
 
-  // Step 5: Create review and update aggregates in a transaction
+  // Step 5: Upload photos (if any) before anything is written
+  const uploadedPhotos = photos.length > 0 ? await uploadPhotos(photos, establishment_id) : [];
+
+  // Step 6: Create review and update aggregates in a transaction
   // This ensures atomicity - either both operations succeed or both fail
+  let createdReview = null;
+  let photoRows = [];
   try {
-    // Create the review
-    const createdReview = await ReviewModel.createReview({
+    // Create the review; with photos, review and photo rows commit together
+    const reviewFields = {
       user_id,
       establishment_id,
       rating,
       content,
-    });
+    };
+    if (uploadedPhotos.length > 0) {
+      createdReview = await ReviewModel.executeInTransaction(async (client) => {
+        const review = await ReviewModel.createReview(reviewFields, client);
+        photoRows = await ReviewPhotoModel.createPhotos(review.id, uploadedPhotos, client);
+        return review;
+      });
+    } else {
+      createdReview = await ReviewModel.createReview(reviewFields);
+    }
 
     // Update establishment aggregate statistics synchronously
     // Directive specifies synchronous updates for MVP to ensure consistency
@@ -119,10 +245,14 @@ export const createReview = async (reviewData) => {
       userId: user_id,
       establishmentId: establishment_id,
       rating,
+      photoCount: photoRows.length,
     });
 
-    return reviewWithAuthor;
+    return { ...reviewWithAuthor, photos: photoRows.map(formatPhoto) };
   } catch (error) {
+    // Once the review is committed its photos are referenced — keep them
+    if (!createdReview) discardUploadedPhotos(uploadedPhotos);
+
     // Handle specific database errors with better messages
     if (error.code === '23505') {
       // Unique constraint violation - duplicate review
@@ -184,7 +314,8 @@ export const getReviewById = async (reviewId) => {
     throw new AppError('Review not found', 404, 'REVIEW_NOT_FOUND');
   }
 
-  return review;
+  const photos = await getVisiblePhotos([review.id]);
+  return { ...review, photos: (photos.get(review.id) || []).map(formatPhoto) };
 };
 
 /**
@@ -232,6 +363,9 @@ export const getEstablishmentReviews = async (establishmentId, options = {}) =>
     ReviewModel.countReviewsByEstablishment(establishmentId, dateOpts),
   ]);
 
+  // Photos of the page in one query (hidden/deleted reviews never reach here)
+  const photosByReview = await getVisiblePhotos(reviews.map((review) => review.id));
+
   // Calculate pagination metadata
   const totalPages = Math.ceil(totalCount / limit);
   const hasNext = page < totalPages;
@@ -254,6 +388,7 @@ export const getEstablishmentReviews = async (establishmentId, options = {}) =>
       name: review.author_name,
       avatar_url: review.author_avatar,
     },
+    photos: (photosByReview.get(review.id) || []).map(formatPhoto),
   }));
 
   return {
@@ -0,0 +1,112 @@
+/**
+ * Search Event Service
+ *
+ * Records executed searches (smart, list and dish) into search_events for the admin
+ * search analytics, and the result the user opened afterwards.
+ *
+ * Recording is fire-and-forget: the event id is generated here and returned
+ * immediately so the response can carry it for click reporting, while the
+ * insert completes in the background. Coordinates never leave this module —
+ * only a filter summary is stored.
+ */
+
+import { randomUUID } from 'crypto';
+import * as SearchEventModel from '../models/searchEventModel.js';
+
+/** search_events.query_text / normalized_query column width */
+const MAX_QUERY_LENGTH = 200;
+
+/**
+ * Filter keys kept in the stored summary. latitude/longitude are deliberately
+ * absent; `has_location` records only whether the search was location-based.
+ */
+const SUMMARY_KEYS = [
+  'city', 'categories', 'cuisines', 'priceRange', 'minRating', 'features',
+  'hoursFilter', 'sortBy', 'dish', 'priceMaxByn', 'maxDistance', 'search',
+];
+
+/**
+ * Grouping key for reports: lowercase, trimmed, whitespace collapsed, ё → е.
+ *
+ * @param {string|null} query
+ * @returns {string|null} null for empty queries (filter-only searches)
+ */
+export const normalizeSearchQuery = (query) => {
+  if (typeof query !== 'string') return null;
+  const normalized = query.toLowerCase().replace(/ё/g, 'е').trim().replace(/\s+/g, ' ');
+  return normalized ? normalized.slice(0, MAX_QUERY_LENGTH) : null;
+};
+
+/**
+ * Reduce search params to the stored filter summary: drops coordinates,
+ * pagination and empty values; open_now / open_at is kept as a flag.
+ *
+ * @param {object} filters - searchByRadius / searchWithoutLocation params
+ * @returns {object}
+ */
+export const summarizeFilters = (filters = {}) => {
+  const summary = {};
+  for (const key of SUMMARY_KEYS) {
+    const value = filters[key];
+    if (value == null || value === '' || (Array.isArray(value) && value.length === 0)) continue;
+    summary[key] = value;
+  }
+  if (filters.openAt) summary.openAt = true;
+  summary.has_location = filters.latitude != null && filters.longitude != null;
+  return summary;
+};
+
+/**
+ * Record one executed search.
+ *
+ * @param {object} event
+ * @param {'smart'|'list'|'dish'} event.source
+ * @param {string|null} [event.query] - Raw query text as the user typed it
+ * @param {object|null} [event.intent] - Parsed smart-search intent
+ * @param {object} [event.filters] - Search params (summarized before storing)
+ * @param {number} [event.resultCount]
+ * @param {boolean} [event.fallback] - Smart search fell back to plain text search
+ * @param {boolean} [event.cached] - Smart-search intent came from cache
+ * @returns {string} Event id for click reporting
+ */
+export const recordSearchEvent = ({
+  source,
+  query = null,
+  intent = null,
+  filters = {},
+  resultCount = 0,
+  fallback = false,
+  cached = false,
+}) => {
+  const id = randomUUID();
+  const queryText = typeof query === 'string' && query.trim()
+    ? query.trim().slice(0, MAX_QUERY_LENGTH)
+    : null;
+
+  // Not awaited: the model logs and swallows its own errors
+  SearchEventModel.insertSearchEvent({
+    id,
+    source,
+    queryText,
+    normalizedQuery: normalizeSearchQuery(queryText),
+    intent,
+    filters: summarizeFilters(filters),
+    resultCount,
+    isFallback: fallback,
+    isCached: cached,
+  });
+
+  return id;
+};
+
+/**
+ * Record the result opened from a search event (first click only).
+ *
+ * @param {string} eventId
+ * @param {string} establishmentId
+ * @param {number|null} position - 1-based
+ * @returns {Promise<boolean>}
+ */
+export const recordClick = async (eventId, establishmentId, position = null) => {
+  return SearchEventModel.recordClick(eventId, establishmentId, position);
+};
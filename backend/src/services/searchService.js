@@ -3,6 +3,11 @@
  *
  * Handles geospatial search and discovery using PostGIS.
  * Implements radius-based and bounds-based search with filtering.
+ * Text search: Russian full text + pg_trgm typo tolerance over establishments
+ * and menu item names (migration 040), ranked into buildOrderByClause.
+ * Dish search (searchDishes) returns the matched menu items themselves,
+ * grouped by establishment. findSimilarEstablishments powers the
+ * "Похожие заведения" rail.
  */
 
 import pool from '../config/database.js';
@@ -11,70 +16,134 @@ import * as MediaModel from '../models/mediaModel.js';
 import * as EstablishmentModel from '../models/establishmentModel.js';
 import * as PromotionModel from '../models/promotionModel.js';
 import logger from '../utils/logger.js';
+import { resolveOpenAtMoment } from '../utils/openingHours.js';
+import { getSynonymExpansion } from './searchSynonymService.js';
+import { expandCityForQuery } from '../constants/urlSlugs.js';
 import {
   toPublicEstablishment,
   toPublicEstablishmentListing,
 } from '../projections/establishmentProjections.js';
 
 /**
- * Synonym map: common search terms → related categories and cuisines.
- * Enables "пицца" → find "Пиццерия" category + "Итальянская" cuisine, etc.
- * Keys are lowercase for case-insensitive matching.
+ * Minimum pg_trgm word_similarity for a typo-tolerant match. 0.45 lets
+ * "сушы бар" reach "Суши Бар" and "хинкальная" reach "Хинкали" (which
+ * pg_trgm's own 0.6 default misses) while keeping unrelated short words out.
+ * Applied through pg_trgm.word_similarity_threshold (runSearchQueries).
  */
-const SEARCH_SYNONYMS = {
-  // Food → category + cuisine
-  'пицца':    { categories: ['Пиццерия'], cuisines: ['Итальянская'] },
-  'пиццу':    { categories: ['Пиццерия'], cuisines: ['Итальянская'] },
-  'паста':    { categories: ['Ресторан'], cuisines: ['Итальянская'] },
-  'суши':     { categories: [], cuisines: ['Японская', 'Азиатская'] },
-  'ролл':     { categories: [], cuisines: ['Японская', 'Азиатская'] },
-  'роллы':    { categories: [], cuisines: ['Японская', 'Азиатская'] },
-  'бургер':   { categories: ['Фаст-фуд'], cuisines: ['Американская'] },
-  'бургеры':  { categories: ['Фаст-фуд'], cuisines: ['Американская'] },
-  'хинкали':  { categories: [], cuisines: ['Грузинская'] },
-  'хачапури': { categories: [], cuisines: ['Грузинская'] },
-  'шашлык':   { categories: [], cuisines: ['Грузинская'] },
-  'лапша':    { categories: [], cuisines: ['Азиатская'] },
-  'рамен':    { categories: [], cuisines: ['Японская', 'Азиатская'] },
-  'вок':      { categories: [], cuisines: ['Азиатская'] },
-  'стейк':    { categories: ['Ресторан'], cuisines: ['Американская', 'Европейская'] },
-  'кофе':     { categories: ['Кофейня'], cuisines: [] },
-  'торт':     { categories: ['Кондитерская'], cuisines: [] },
-  'выпечка':  { categories: ['Пекарня', 'Кондитерская'], cuisines: [] },
-  'пиво':     { categories: ['Бар', 'Паб'], cuisines: [] },
-  'коктейль': { categories: ['Бар'], cuisines: [] },
-  'кальян':   { categories: ['Кальянная'], cuisines: [] },
-  'драники':  { categories: [], cuisines: ['Народная'] },
-  'веган':    { categories: [], cuisines: ['Вегетарианская'] },
-  'вегетарианское': { categories: [], cuisines: ['Вегетарианская'] },
-};
+const TRIGRAM_MATCH_THRESHOLD = 0.45;
+
+/**
+ * Helper: run search queries in order. When they use the `<%` trigram
+ * operator they share one read-only transaction that sets
+ * pg_trgm.word_similarity_threshold to TRIGRAM_MATCH_THRESHOLD — `<%` reads
+ * its cut-off from that setting and, unlike `word_similarity(...) >= x`, can
+ * use the GIN trigram indexes (idx_establishments_name_trgm,
+ * idx_menu_items_name_trgm).
+ *
+ * @param {Array<[string, Array]>} queries - [text, params] pairs
+ * @param {boolean} useTrigram - Whether the queries contain `<%`
+ * @returns {Promise<Object[]>} Query results, in order
+ */
+async function runSearchQueries(queries, useTrigram) {
+  if (!useTrigram) {
+    const results = [];
+    for (const [text, values] of queries) {
+      results.push(await pool.query(text, values));
+    }
+    return results;
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN READ ONLY');
+    await client.query(
+      "SELECT set_config('pg_trgm.word_similarity_threshold', $1, true)",
+      [String(TRIGRAM_MATCH_THRESHOLD)],
+    );
+    const results = [];
+    for (const [text, values] of queries) {
+      results.push(await client.query(text, values));
+    }
+    await client.query('COMMIT');
+    return results;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Weight of text relevance against the Bayesian rating (0–5, scaled to 0–1)
+ * when results are ordered by rating. Relevance is roughly 0–1.5, so a
+ * strong name match outranks a better-rated loose match.
+ */
+const SEARCH_RELEVANCE_WEIGHT = 2;
+
+/**
+ * SQL for the establishment search document. Must stay identical to the
+ * expression indexed by migration 040 (idx_establishments_search_document).
+ */
+const SEARCH_DOCUMENT_SQL =
+  'establishment_search_document(e.name, e.description, e.categories, e.cuisines)';
 
 /**
  * Helper: Build search conditions for text query.
- * Combines ILIKE on name/description/categories/cuisines with synonym expansion.
+ *
+ * An establishment matches when any of these hit:
+ *   - Russian full-text match on name/categories/cuisines/description
+ *     (stemming: "пиццерии" → "Пиццерия")
+ *   - ILIKE substring on the same fields (partial words, "пиц")
+ *   - trigram word similarity on the name (typos: "сушы бар"), via the
+ *     indexable `<%` operator — run the query through runSearchQueries
+ *   - a non-hidden, available menu item matching by full text or trigram
+ *   - synonym expansion to related categories/cuisines (admin-managed,
+ *     searchSynonymService; a term or phrase anywhere in the text counts)
+ *
+ * Also returns the relevance expression for buildOrderByClause — ts_rank_cd
+ * over the weighted document plus the best name / menu trigram similarity.
+ * It references only params pushed here, so count queries that reuse the
+ * WHERE params stay valid.
  *
  * @param {string} search - User search text
  * @param {Array} conditions - Existing WHERE conditions array (mutated)
  * @param {Array} params - Existing params array (mutated)
  * @param {number} paramIndex - Current parameter index
- * @returns {number} Updated paramIndex
+ * @returns {Promise<{ paramIndex: number, relevance: string }>} Updated
+ *   paramIndex and SQL relevance expression
  */
-function addSearchConditions(search, conditions, params, paramIndex) {
-  const searchLower = search.toLowerCase();
+async function addSearchConditions(search, conditions, params, paramIndex) {
   const likePattern = `%${search}%`;
 
-  // Base ILIKE conditions: name, description, categories text, cuisines text
+  const textParam = paramIndex;
+  const likeParam = paramIndex + 1;
+  params.push(search, likePattern);
+  paramIndex += 2;
+
+  const tsQuery = `websearch_to_tsquery('russian', $${textParam})`;
+
   const orParts = [
-    `e.name ILIKE $${paramIndex}`,
-    `e.description ILIKE $${paramIndex}`,
-    `e.categories::text ILIKE $${paramIndex}`,
-    `e.cuisines::text ILIKE $${paramIndex}`,
+    `${SEARCH_DOCUMENT_SQL} @@ ${tsQuery}`,
+    `e.name ILIKE $${likeParam}`,
+    `e.description ILIKE $${likeParam}`,
+    `e.categories::text ILIKE $${likeParam}`,
+    `e.cuisines::text ILIKE $${likeParam}`,
+    `$${textParam} <% e.name`,
+    `EXISTS (
+      SELECT 1 FROM menu_items mi
+      WHERE mi.establishment_id = e.id
+        AND mi.is_hidden_by_admin = FALSE
+        AND mi.is_available = TRUE
+        AND (
+          to_tsvector('russian', mi.item_name) @@ ${tsQuery}
+          OR $${textParam} <% mi.item_name
+        )
+    )`,
   ];
-  params.push(likePattern);
-  paramIndex++;
 
   // Check synonyms — expand search to related categories/cuisines
-  const synonym = SEARCH_SYNONYMS[searchLower];
+  const synonym = await getSynonymExpansion(search);
   if (synonym) {
     if (synonym.categories && synonym.categories.length > 0) {
       orParts.push(`e.categories && $${paramIndex}::varchar[]`);
@@ -89,7 +158,22 @@ function addSearchConditions(search, conditions, params, paramIndex) {
   }
 
   conditions.push(`(${orParts.join(' OR ')})`);
-  return paramIndex;
+
+  const relevance = `(
+    ts_rank_cd(${SEARCH_DOCUMENT_SQL}, ${tsQuery})
+    + GREATEST(
+      word_similarity($${textParam}, e.name),
+      0.5 * COALESCE((
+        SELECT MAX(word_similarity($${textParam}, mi.item_name))
+        FROM menu_items mi
+        WHERE mi.establishment_id = e.id
+          AND mi.is_hidden_by_admin = FALSE
+          AND mi.is_available = TRUE
+      ), 0)
+    )
+  )`;
+
+  return { paramIndex, relevance };
 }
 
 /**
@@ -118,6 +202,109 @@ const CLOSE_TIME_SQL = `
   ) ct
 `;
 
+/**
+ * Add the "open at" condition (open_now / open_at) to a search query.
+ *
+ * Checks two candidate spans for the Minsk moment: today's hours and
+ * yesterday's (an overnight span such as "18:00-03:00" started yesterday is
+ * still open at 01:30). For each day a special_hours entry for that ISO date
+ * overrides the weekday's working_hours. Overnight follows the web badge rule:
+ * close <= open wraps past midnight. Establishments with no parseable hours
+ * for the moment are excluded — "open now" must not show unknowns.
+ *
+ * @param {Object} moment - From resolveOpenAtMoment()
+ * @param {Array} conditions - Existing WHERE conditions array (mutated)
+ * @param {Array} params - Existing params array (mutated)
+ * @param {number} paramIndex - Current parameter index
+ * @returns {number} Updated paramIndex
+ */
+function addOpenAtCondition(moment, conditions, params, paramIndex) {
+  const dateParam = paramIndex;
+  const dayParam = paramIndex + 1;
+  const prevDateParam = paramIndex + 2;
+  const prevDayParam = paramIndex + 3;
+  const minutesParam = paramIndex + 4;
+
+  conditions.push(`
+    EXISTS (
+      SELECT 1 FROM (VALUES
+        (0, COALESCE(e.special_hours -> $${dateParam}::text, e.working_hours -> $${dayParam}::text)),
+        (-1, COALESCE(e.special_hours -> $${prevDateParam}::text, e.working_hours -> $${prevDayParam}::text))
+      ) AS days(day_offset, val),
+      LATERAL (SELECT
+        CASE jsonb_typeof(val)
+          WHEN 'string' THEN
+            CASE WHEN val #>> '{}' ~ '^[0-9]{1,2}:[0-9]{2} *- *[0-9]{1,2}:[0-9]{2}$'
+              THEN TRIM(SPLIT_PART(val #>> '{}', '-', 1))
+              ELSE NULL END
+          WHEN 'object' THEN
+            CASE WHEN COALESCE(val->>'is_open', 'true') <> 'false'
+              AND val->>'open' ~ '^[0-9]{1,2}:[0-9]{2}$'
+              AND val->>'close' ~ '^[0-9]{1,2}:[0-9]{2}$'
+              THEN val->>'open'
+              ELSE NULL END
+          ELSE NULL
+        END AS open_time,
+        CASE jsonb_typeof(val)
+          WHEN 'string' THEN
+            CASE WHEN val #>> '{}' ~ '^[0-9]{1,2}:[0-9]{2} *- *[0-9]{1,2}:[0-9]{2}$'
+              THEN TRIM(SPLIT_PART(val #>> '{}', '-', 2))
+              ELSE NULL END
+          WHEN 'object' THEN
+            CASE WHEN COALESCE(val->>'is_open', 'true') <> 'false'
+              AND val->>'open' ~ '^[0-9]{1,2}:[0-9]{2}$'
+              AND val->>'close' ~ '^[0-9]{1,2}:[0-9]{2}$'
+              THEN val->>'close'
+              ELSE NULL END
+          ELSE NULL
+        END AS close_time
+      ) span,
+      LATERAL (SELECT
+        CAST(SPLIT_PART(span.open_time, ':', 1) AS INTEGER) * 60
+          + CAST(SPLIT_PART(span.open_time, ':', 2) AS INTEGER) AS open_min,
+        CAST(SPLIT_PART(span.close_time, ':', 1) AS INTEGER) * 60
+          + CAST(SPLIT_PART(span.close_time, ':', 2) AS INTEGER) AS close_min
+      ) mins
+      WHERE span.open_time IS NOT NULL
+      AND (
+        (days.day_offset = 0
+          AND $${minutesParam}::int >= mins.open_min
+          AND (mins.close_min <= mins.open_min OR $${minutesParam}::int < mins.close_min))
+        OR (days.day_offset = -1
+          AND mins.close_min <= mins.open_min
+          AND $${minutesParam}::int < mins.close_min)
+      )
+    )
+  `);
+  params.push(
+    moment.date,
+    moment.dayKey,
+    moment.previousDate,
+    moment.previousDayKey,
+    moment.minutes,
+  );
+  return paramIndex + 5;
+}
+
+/**
+ * Normalize the openAt search param: a moment object passes through, a Date
+ * or ISO string is resolved in Europe/Minsk time.
+ *
+ * @param {Object|Date|string|null} openAt
+ * @returns {Object|null} Moment, or null when no filter was requested
+ */
+function toOpenAtMoment(openAt) {
+  if (!openAt) return null;
+  if (typeof openAt === 'object' && !(openAt instanceof Date) && openAt.dayKey) {
+    return openAt;
+  }
+  const moment = resolveOpenAtMoment(openAt);
+  if (!moment) {
+    throw new AppError('open_at must be a valid ISO datetime', 422, 'VALIDATION_ERROR');
+  }
+  return moment;
+}
+
 /**
  * Bayesian prior: number of "virtual" reviews at the prior rating.
  * Until an establishment accumulates this many real reviews, its
@@ -141,11 +328,16 @@ const BAYESIAN_PRIOR_RATING = 3.5;
  * This prevents 5.0★×1 from outranking 4.8★×200, while avoiding
  * the hard-wall problem of two-tier sorting (3.0★×4 > 5.0★×2).
  *
+ * With a text search, `relevance` (from addSearchConditions) is blended into
+ * the rating sorts — relevance × SEARCH_RELEVANCE_WEIGHT + weighted rating / 5 —
+ * and becomes the first tiebreaker for explicit price and distance sorts.
+ *
  * @param {string} sortBy - Sort option (rating, price_asc, price_desc, distance)
  * @param {boolean} hasDistance - Whether distance_km column is available
+ * @param {string|null} relevance - SQL text relevance expression, or null
  * @returns {string} SQL ORDER BY clause
  */
-function buildOrderByClause(sortBy, hasDistance = false) {
+function buildOrderByClause(sortBy, hasDistance = false, relevance = null) {
   // Convert price range to numeric for sorting — NULL/missing sorts last (ELSE 5)
   const priceToNum = `(CASE e.price_range
     WHEN '$' THEN 1
@@ -158,38 +350,45 @@ function buildOrderByClause(sortBy, hasDistance = false) {
   // Bayesian weighted rating: plavnaya formula bez zhyostkikh porogov
   const weightedRating = `(e.review_count * e.average_rating + ${BAYESIAN_PRIOR_COUNT} * ${BAYESIAN_PRIOR_RATING}) / (e.review_count + ${BAYESIAN_PRIOR_COUNT})`;
 
+  // Rating sorts rank by the blended score; other sorts keep their primary key
+  // and use relevance as the first tiebreaker.
+  const ratingKey = relevance
+    ? `(${relevance} * ${SEARCH_RELEVANCE_WEIGHT} + ${weightedRating} / 5.0)`
+    : weightedRating;
+  const relevanceTiebreak = relevance ? `${relevance} DESC, ` : '';
+
   switch (sortBy) {
     case 'rating':
       if (hasDistance) {
-        return `${weightedRating} DESC, e.review_count DESC, distance_km ASC, e.name ASC`;
+        return `${ratingKey} DESC, e.review_count DESC, distance_km ASC, e.name ASC`;
       }
-      return `${weightedRating} DESC, e.review_count DESC, e.base_score DESC, e.name ASC`;
+      return `${ratingKey} DESC, e.review_count DESC, e.base_score DESC, e.name ASC`;
 
     case 'price_asc':
       if (hasDistance) {
-        return `${priceToNum} ASC, distance_km ASC, ${weightedRating} DESC, e.name ASC`;
+        return `${priceToNum} ASC, ${relevanceTiebreak}distance_km ASC, ${weightedRating} DESC, e.name ASC`;
       }
-      return `${priceToNum} ASC, ${weightedRating} DESC, e.review_count DESC, e.name ASC`;
+      return `${priceToNum} ASC, ${relevanceTiebreak}${weightedRating} DESC, e.review_count DESC, e.name ASC`;
 
     case 'price_desc':
       if (hasDistance) {
-        return `${priceToNum} DESC, distance_km ASC, ${weightedRating} DESC, e.name ASC`;
+        return `${priceToNum} DESC, ${relevanceTiebreak}distance_km ASC, ${weightedRating} DESC, e.name ASC`;
       }
-      return `${priceToNum} DESC, ${weightedRating} DESC, e.review_count DESC, e.name ASC`;
+      return `${priceToNum} DESC, ${relevanceTiebreak}${weightedRating} DESC, e.review_count DESC, e.name ASC`;
 
     case 'distance':
       if (hasDistance) {
-        return `distance_km ASC, e.base_score DESC, ${weightedRating} DESC, e.name ASC`;
+        return `distance_km ASC, ${relevanceTiebreak}e.base_score DESC, ${weightedRating} DESC, e.name ASC`;
       }
       // Fallback to rating if distance not available
-      return `${weightedRating} DESC, e.review_count DESC, e.base_score DESC, e.name ASC`;
+      return `${ratingKey} DESC, e.review_count DESC, e.base_score DESC, e.name ASC`;
 
     default:
       // Default: rating-based (same as 'rating')
       if (hasDistance) {
-        return `${weightedRating} DESC, e.review_count DESC, distance_km ASC, e.name ASC`;
+        return `${ratingKey} DESC, e.review_count DESC, distance_km ASC, e.name ASC`;
       }
-      return `${weightedRating} DESC, e.review_count DESC, e.base_score DESC, e.name ASC`;
+      return `${ratingKey} DESC, e.review_count DESC, e.base_score DESC, e.name ASC`;
   }
 }
 
@@ -233,6 +432,7 @@ async function enrichWithPromotions(establishments) {
  * @param {string[]} params.cuisines - Filter by cuisines
  * @param {string} params.priceRange - Filter by price range ($, $$, $$$, $$$$)
  * @param {number} params.minRating - Minimum average rating (1-5)
+ * @param {Date|string|Object} params.openAt - Only establishments open at this moment (Europe/Minsk); Date/ISO string or resolveOpenAtMoment() result
  * @param {number} params.limit - Results per page (default: 20, max: 100)
  * @param {number} params.offset - Pagination offset (default: 0)
  * @param {string} params.sortBy - Sort order (distance, rating, price_asc, price_desc)
@@ -253,6 +453,7 @@ export async function searchByRadius({
   page = 1,
   sortBy = 'rating',
   hoursFilter = null,
+  openAt = null,
   features = null,
   search = null,
   dish = null,
@@ -396,6 +597,13 @@ export async function searchByRadius({
     }
   }
 
+  // Add open-at filter (open_now / open_at): specific weekday in Minsk time,
+  // overnight spans and special_hours overrides
+  const openAtMoment = toOpenAtMoment(openAt);
+  if (openAtMoment) {
+    paramIndex = addOpenAtCondition(openAtMoment, conditions, params, paramIndex);
+  }
+
   // Add features filter (check attributes JSONB)
   if (features && features.length > 0) {
     features.forEach((feature) => {
@@ -405,15 +613,16 @@ export async function searchByRadius({
     });
   }
 
-  // Add text search filter (ILIKE + synonyms)
+  // Add text search filter (full text + trigram + menu items + synonyms)
+  let relevance = null;
   if (search) {
-    paramIndex = addSearchConditions(search, conditions, params, paramIndex);
+    ({ paramIndex, relevance } = await addSearchConditions(search, conditions, params, paramIndex));
   }
 
   // Segment B: dish-level filter via menu_items. EXISTS excludes establishments
-  // that have no matching, non-hidden menu_item. When priceMaxByn is provided,
-  // either the regular price or an active, in-time-window promotion's discount
-  // price must satisfy the budget.
+  // that have no matching, non-hidden, available menu_item. When priceMaxByn is
+  // provided, either the regular price or an active, in-time-window promotion's
+  // discount price must satisfy the budget.
   if (dish) {
     const dishParam = paramIndex++;
     const priceParam = paramIndex++;
@@ -421,6 +630,7 @@ export async function searchByRadius({
       SELECT 1 FROM menu_items mi
       WHERE mi.establishment_id = e.id
         AND mi.is_hidden_by_admin = FALSE
+        AND mi.is_available = TRUE
         AND mi.item_name ILIKE '%' || $${dishParam} || '%'
         AND (
           $${priceParam}::numeric IS NULL
@@ -477,7 +687,7 @@ export async function searchByRadius({
       FROM nearby_establishments ne
       LEFT JOIN users u ON ne.partner_id = u.id
       WHERE ne.distance_km <= $${paramIndex + 2}
-      ORDER BY ${buildOrderByClause(sortBy, true).replaceAll('e.', 'ne.')}
+      ORDER BY ${buildOrderByClause(sortBy, true, relevance).replaceAll('e.', 'ne.')}
       LIMIT $${paramIndex + 3}
       OFFSET $${paramIndex + 4}
     `;
@@ -507,7 +717,7 @@ export async function searchByRadius({
       FROM establishments e
       LEFT JOIN users u ON e.partner_id = u.id
       WHERE ${whereClause}
-      ORDER BY ${buildOrderByClause(sortBy, true)}
+      ORDER BY ${buildOrderByClause(sortBy, true, relevance)}
       LIMIT $${paramIndex + 2}
       OFFSET $${paramIndex + 3}
     `;
@@ -520,11 +730,12 @@ export async function searchByRadius({
     `;
   }
 
-  const result = await pool.query(query, params);
-
   // Count total results for pagination
   const countParams = useRadiusFilter ? params.slice(0, -2) : params.slice(0, -4);
-  const countResult = await pool.query(countQuery, countParams);
+  const [result, countResult] = await runSearchQueries(
+    [[query, params], [countQuery, countParams]],
+    Boolean(search),
+  );
   const total = parseInt(countResult.rows[0].total);
 
   // Calculate page-based pagination metadata
@@ -574,6 +785,7 @@ export async function searchByRadius({
  * @param {string[]} params.cuisines - Filter by cuisines
  * @param {string} params.priceRange - Filter by price range
  * @param {number} params.minRating - Minimum average rating
+ * @param {Date|string|Object} params.openAt - Only establishments open at this moment (Europe/Minsk); Date/ISO string or resolveOpenAtMoment() result
  * @param {number} params.limit - Results per page (default: 20, max: 100)
  * @param {number} params.offset - Pagination offset (default: 0)
  * @param {number} params.page - Page number for pagination metadata
@@ -590,6 +802,7 @@ export async function searchWithoutLocation({
   page = 1,
   sortBy = 'rating',
   hoursFilter = null,
+  openAt = null,
   features = null,
   search = null,
   dish = null,
@@ -715,6 +928,13 @@ export async function searchWithoutLocation({
     }
   }
 
+  // Add open-at filter (open_now / open_at): specific weekday in Minsk time,
+  // overnight spans and special_hours overrides
+  const openAtMoment = toOpenAtMoment(openAt);
+  if (openAtMoment) {
+    paramIndex = addOpenAtCondition(openAtMoment, conditions, params, paramIndex);
+  }
+
   // Add features filter
   if (features && features.length > 0) {
     features.forEach((feature) => {
@@ -724,9 +944,10 @@ export async function searchWithoutLocation({
     });
   }
 
-  // Add text search filter (ILIKE + synonyms)
+  // Add text search filter (full text + trigram + menu items + synonyms)
+  let relevance = null;
   if (search) {
-    paramIndex = addSearchConditions(search, conditions, params, paramIndex);
+    ({ paramIndex, relevance } = await addSearchConditions(search, conditions, params, paramIndex));
   }
 
   // Segment B: dish-level filter via menu_items. Same semantics as in
@@ -738,6 +959,7 @@ export async function searchWithoutLocation({
       SELECT 1 FROM menu_items mi
       WHERE mi.establishment_id = e.id
         AND mi.is_hidden_by_admin = FALSE
+        AND mi.is_available = TRUE
         AND mi.item_name ILIKE '%' || $${dishParam} || '%'
         AND (
           $${priceParam}::numeric IS NULL
@@ -770,15 +992,13 @@ export async function searchWithoutLocation({
     FROM establishments e
     LEFT JOIN users u ON e.partner_id = u.id
     WHERE ${whereClause}
-    ORDER BY ${buildOrderByClause(sortBy, false)}
+    ORDER BY ${buildOrderByClause(sortBy, false, relevance)}
     LIMIT $${paramIndex}
     OFFSET $${paramIndex + 1}
   `;
 
   params.push(limit, offset);
 
-  const result = await pool.query(query, params);
-
   // Count total results for pagination
   const countQuery = `
     SELECT COUNT(*) as total
@@ -787,7 +1007,10 @@ export async function searchWithoutLocation({
   `;
 
   const countParams = params.slice(0, -2); // Remove limit and offset
-  const countResult = await pool.query(countQuery, countParams);
+  const [result, countResult] = await runSearchQueries(
+    [[query, params], [countQuery, countParams]],
+    Boolean(search),
+  );
   const total = parseInt(countResult.rows[0].total);
 
   // Calculate page-based pagination metadata
@@ -836,6 +1059,7 @@ export async function searchWithoutLocation({
  * @param {string[]} params.cuisines - Filter by cuisines
  * @param {string} params.priceRange - Filter by price range
  * @param {number} params.minRating - Minimum average rating
+ * @param {Date|string|Object} params.openAt - Only establishments open at this moment (Europe/Minsk); Date/ISO string or resolveOpenAtMoment() result
  * @param {number} params.limit - Results limit (default: 100, max: 500 for map)
  * @returns {Promise<Object>} Establishments within bounds
  */
@@ -849,6 +1073,7 @@ export async function searchByBounds({
   priceRange = null,
   minRating = null,
   hoursFilter = null,
+  openAt = null,
   limit = 100,
   search = null,
 }) {
@@ -914,9 +1139,10 @@ export async function searchByBounds({
     paramIndex++;
   }
 
-  // Add text search filter (ILIKE + synonyms)
+  // Add text search filter (full text + trigram + menu items + synonyms)
+  let relevance = null;
   if (search) {
-    paramIndex = addSearchConditions(search, conditions, params, paramIndex);
+    ({ paramIndex, relevance } = await addSearchConditions(search, conditions, params, paramIndex));
   }
 
   // Add hours filter (same logic as searchByRadius)
@@ -974,6 +1200,12 @@ export async function searchByBounds({
     }
   }
 
+  // Add open-at filter (same logic as searchByRadius)
+  const openAtMoment = toOpenAtMoment(openAt);
+  if (openAtMoment) {
+    paramIndex = addOpenAtCondition(openAtMoment, conditions, params, paramIndex);
+  }
+
   const whereClause = conditions.join(' AND ');
 
   const query = `
@@ -985,6 +1217,7 @@ export async function searchByBounds({
     LEFT JOIN users u ON e.partner_id = u.id
     WHERE ${whereClause}
     ORDER BY
+      ${relevance ? `${relevance} DESC,` : ''}
       (e.review_count * e.average_rating + ${BAYESIAN_PRIOR_COUNT} * ${BAYESIAN_PRIOR_RATING}) / (e.review_count + ${BAYESIAN_PRIOR_COUNT}) DESC,
       e.review_count DESC,
       e.name ASC
@@ -993,7 +1226,7 @@ export async function searchByBounds({
 
   params.push(limit);
 
-  const result = await pool.query(query, params);
+  const [result] = await runSearchQueries([[query, params]], Boolean(search));
 
   // Convert latitude/longitude from strings to numbers for JSON serialization
   const rawEstablishments = result.rows.map(row => ({
@@ -1017,6 +1250,484 @@ export async function searchByBounds({
   };
 }
 
+/** Matched dishes attached to each establishment in dish search results. */
+const DISHES_PER_ESTABLISHMENT = 5;
+
+/** Sort orders accepted by searchDishes. */
+export const DISH_SORT_OPTIONS = ['relevance', 'price_asc', 'distance', 'rating'];
+
+/**
+ * Helper: ORDER BY for dish search over the per-establishment group `g`.
+ * Relevance is the best dish's trigram similarity; ties go to the cheaper
+ * dish. 'distance' without coordinates falls back to relevance.
+ *
+ * @param {string} sortBy
+ * @param {boolean} hasDistance
+ * @returns {string}
+ */
+function buildDishOrderByClause(sortBy, hasDistance) {
+  switch (sortBy) {
+    case 'price_asc':
+      return 'g.min_price_byn ASC NULLS LAST, g.best_similarity DESC, e.name ASC';
+    case 'distance':
+      if (hasDistance) {
+        return 'distance_km ASC, g.best_similarity DESC, e.name ASC';
+      }
+      return 'g.best_similarity DESC, g.min_price_byn ASC NULLS LAST, e.name ASC';
+    case 'rating':
+      return 'e.average_rating DESC NULLS LAST, g.best_similarity DESC, e.name ASC';
+    case 'relevance':
+    default:
+      return 'g.best_similarity DESC, g.min_price_byn ASC NULLS LAST, e.name ASC';
+  }
+}
+
+/**
+ * Dish search: returns the matched menu items themselves, grouped by
+ * establishment, instead of the EXISTS-style `dish` filter of
+ * searchByRadius / searchWithoutLocation ("у этого заведения что-то есть").
+ *
+ * A non-hidden, available (not stop-listed) menu item matches on Russian full
+ * text, ILIKE substring or trigram word similarity (`<%`,
+ * idx_menu_items_name_trgm / _tsv) and is ranked by word_similarity. Each item
+ * carries its cheapest active, in-time-window promotion price; `priceMaxByn`
+ * applies to the lower of the two, so "цезарь до 15 рублей" finds a 17 BYN
+ * salad discounted to 14.
+ *
+ * Each establishment is returned in the listing projection plus `dishes`
+ * (up to DISHES_PER_ESTABLISHMENT, best match first), `dish_count` and
+ * `min_price_byn`. Pagination counts establishments, not dishes.
+ *
+ * @param {Object} params - Search parameters
+ * @param {string} params.dish - Dish text (required, 2+ characters)
+ * @param {number} [params.latitude] - Center latitude (with longitude: distance + radius)
+ * @param {number} [params.longitude] - Center longitude
+ * @param {number} [params.radius] - Search radius in km when no city is given (default: 10)
+ * @param {number} [params.maxDistance] - Explicit radius in km, applied even with a city
+ * @param {string|string[]} [params.city] - City filter (array for ё/е variants)
+ * @param {string[]} [params.categories] - Filter by categories
+ * @param {string[]} [params.cuisines] - Filter by cuisines
+ * @param {string[]} [params.features] - Attribute keys that must be true
+ * @param {Date|string|Object} [params.openAt] - Only establishments open at this moment (Europe/Minsk)
+ * @param {string} [params.search] - Extra establishment text filter (smart-search tags)
+ * @param {number} [params.priceMaxByn] - Budget for the dish (regular or promotion price)
+ * @param {string} [params.sortBy] - One of DISH_SORT_OPTIONS (default: relevance)
+ * @param {number} params.limit - Establishments per page (default: 20, max: 100)
+ * @param {number} params.offset - Pagination offset (default: 0)
+ * @param {number} params.page - Page number for pagination metadata
+ * @returns {Promise<Object>} { establishments, pagination }
+ */
+export async function searchDishes({
+  dish,
+  latitude = null,
+  longitude = null,
+  radius = 10,
+  maxDistance = null,
+  city = null,
+  categories = null,
+  cuisines = null,
+  features = null,
+  openAt = null,
+  search = null,
+  priceMaxByn = null,
+  limit = 20,
+  offset = 0,
+  page = 1,
+  sortBy = 'relevance',
+}) {
+  const dishText = typeof dish === 'string' ? dish.trim() : '';
+  if (dishText.length < 2) {
+    throw new AppError('Dish search text must be at least 2 characters', 422, 'VALIDATION_ERROR');
+  }
+
+  const hasLocation = latitude != null && longitude != null;
+  if (hasLocation) {
+    if (latitude < -90 || latitude > 90) {
+      throw new AppError('Latitude must be between -90 and 90', 422, 'VALIDATION_ERROR');
+    }
+    if (longitude < -180 || longitude > 180) {
+      throw new AppError('Longitude must be between -180 and 180', 422, 'VALIDATION_ERROR');
+    }
+    if (radius <= 0 || radius > 1000) {
+      throw new AppError('Radius must be between 0 and 1000 km', 422, 'VALIDATION_ERROR');
+    }
+  }
+
+  if (priceMaxByn != null && !(priceMaxByn > 0)) {
+    throw new AppError('Maximum price must be a positive number', 422, 'VALIDATION_ERROR');
+  }
+
+  if (limit < 1 || limit > 100) {
+    throw new AppError('Limit must be between 1 and 100', 422, 'VALIDATION_ERROR');
+  }
+
+  if (offset < 0) {
+    throw new AppError('Offset must be non-negative', 422, 'VALIDATION_ERROR');
+  }
+
+  // Establishment-level filters (same semantics as searchByRadius)
+  const conditions = ['e.status = $1'];
+  const params = ['active'];
+  let paramIndex = 2;
+
+  if (city) {
+    conditions.push(Array.isArray(city)
+      ? `e.city = ANY($${paramIndex}::varchar[])`
+      : `e.city = $${paramIndex}`);
+    params.push(city);
+    paramIndex++;
+  }
+
+  if (categories && categories.length > 0) {
+    conditions.push(`e.categories && $${paramIndex}::varchar[]`);
+    params.push(categories);
+    paramIndex++;
+  }
+
+  if (cuisines && cuisines.length > 0) {
+    conditions.push(`e.cuisines && $${paramIndex}::varchar[]`);
+    params.push(cuisines);
+    paramIndex++;
+  }
+
+  const openAtMoment = toOpenAtMoment(openAt);
+  if (openAtMoment) {
+    paramIndex = addOpenAtCondition(openAtMoment, conditions, params, paramIndex);
+  }
+
+  if (features && features.length > 0) {
+    features.forEach((feature) => {
+      conditions.push(`(e.attributes->>$${paramIndex})::boolean = true`);
+      params.push(feature);
+      paramIndex++;
+    });
+  }
+
+  if (search) {
+    ({ paramIndex } = await addSearchConditions(search, conditions, params, paramIndex));
+  }
+
+  // Dish match + budget
+  const dishParam = paramIndex;
+  const likeParam = paramIndex + 1;
+  const priceParam = paramIndex + 2;
+  params.push(dishText, `%${dishText}%`, priceMaxByn);
+  paramIndex += 3;
+
+  // Distance: same rule as searchByRadius — radius filter unless a city
+  // scopes the search, explicit maxDistance always filters
+  let distanceSql = null;
+  // Params of the WHERE clause, i.e. of the count query
+  let whereParamCount = params.length;
+  if (hasLocation) {
+    distanceSql = `ST_Distance(
+      ST_MakePoint($${paramIndex}, $${paramIndex + 1})::geography,
+      ST_MakePoint(e.longitude, e.latitude)::geography
+    ) / 1000.0`;
+    params.push(longitude, latitude);
+    paramIndex += 2;
+
+    if (maxDistance != null || !city) {
+      conditions.push(`${distanceSql} <= $${paramIndex}`);
+      params.push(maxDistance ?? radius);
+      paramIndex++;
+      whereParamCount = params.length;
+    }
+    // Otherwise the coordinates only feed distance_km and the distance sort
+  }
+
+  const whereClause = conditions.join(' AND ');
+
+  const groupedCte = `
+    WITH matched AS (
+      SELECT
+        mi.id,
+        mi.establishment_id,
+        mi.item_name,
+        mi.price_byn,
+        promo.id AS promotion_id,
+        promo.title AS promotion_title,
+        promo.discount_price_byn,
+        LEAST(mi.price_byn, promo.discount_price_byn) AS effective_price_byn,
+        word_similarity($${dishParam}, mi.item_name) AS similarity
+      FROM menu_items mi
+      JOIN establishments e ON e.id = mi.establishment_id
+      LEFT JOIN LATERAL (
+        SELECT p.id, p.title, p.discount_price_byn
+        FROM promotions p
+        WHERE p.menu_item_id = mi.id
+          AND p.status = 'active'
+          AND p.valid_from <= CURRENT_DATE
+          AND (p.valid_until IS NULL OR p.valid_until >= CURRENT_DATE)
+          AND (p.valid_from_time IS NULL OR CURRENT_TIME >= p.valid_from_time)
+          AND (p.valid_until_time IS NULL OR CURRENT_TIME <= p.valid_until_time)
+          AND p.discount_price_byn IS NOT NULL
+        ORDER BY p.discount_price_byn ASC
+        LIMIT 1
+      ) promo ON TRUE
+      WHERE ${whereClause}
+        AND mi.is_hidden_by_admin = FALSE
+        AND mi.is_available = TRUE
+        AND (
+          to_tsvector('russian', mi.item_name) @@ websearch_to_tsquery('russian', $${dishParam})
+          OR mi.item_name ILIKE $${likeParam}
+          OR $${dishParam} <% mi.item_name
+        )
+        AND (
+          $${priceParam}::numeric IS NULL
+          OR LEAST(mi.price_byn, promo.discount_price_byn) <= $${priceParam}::numeric
+        )
+    ),
+    grouped AS (
+      SELECT
+        establishment_id,
+        MAX(similarity) AS best_similarity,
+        MIN(effective_price_byn) AS min_price_byn,
+        COUNT(*) AS dish_count
+      FROM matched
+      GROUP BY establishment_id
+    )
+  `;
+
+  const query = `
+    ${groupedCte}
+    SELECT
+      e.*,
+      ${distanceSql ? `${distanceSql} AS distance_km,` : ''}
+      g.best_similarity,
+      g.min_price_byn,
+      g.dish_count,
+      (
+        SELECT json_agg(d)
+        FROM (
+          SELECT
+            m.id, m.item_name, m.price_byn, m.discount_price_byn,
+            m.promotion_id, m.promotion_title, m.effective_price_byn, m.similarity
+          FROM matched m
+          WHERE m.establishment_id = g.establishment_id
+          ORDER BY m.similarity DESC, m.effective_price_byn ASC NULLS LAST, m.item_name ASC
+          LIMIT $${paramIndex + 2}
+        ) d
+      ) AS dishes
+    FROM grouped g
+    JOIN establishments e ON e.id = g.establishment_id
+    ORDER BY ${buildDishOrderByClause(sortBy, hasLocation)}
+    LIMIT $${paramIndex}
+    OFFSET $${paramIndex + 1}
+  `;
+
+  const countQuery = `
+    ${groupedCte}
+    SELECT COUNT(*) AS total FROM grouped
+  `;
+
+  // Postgres rejects a bind with more params than the statement references
+  const countParams = params.slice(0, whereParamCount);
+  params.push(limit, offset, DISHES_PER_ESTABLISHMENT);
+
+  // The dish match itself uses `<%`, so the threshold is always set
+  const [result, countResult] = await runSearchQueries(
+    [[query, params], [countQuery, countParams]],
+    true,
+  );
+  const total = parseInt(countResult.rows[0].total);
+
+  const totalPages = Math.ceil(total / limit);
+
+  const toNumber = (value) => (value != null ? parseFloat(value) : null);
+
+  const rawEstablishments = result.rows.map(row => ({
+    ...row,
+    latitude: parseFloat(row.latitude),
+    longitude: parseFloat(row.longitude),
+    average_rating: row.average_rating ? parseFloat(row.average_rating) : null,
+    review_count: parseInt(row.review_count) || 0,
+  }));
+
+  const enriched = await enrichWithPromotions(rawEstablishments);
+
+  const establishments = enriched.map(row => ({
+    ...toPublicEstablishmentListing(row),
+    dish_count: parseInt(row.dish_count) || 0,
+    min_price_byn: toNumber(row.min_price_byn),
+    dishes: (row.dishes || []).map(d => ({
+      id: d.id,
+      item_name: d.item_name,
+      price_byn: toNumber(d.price_byn),
+      discount_price_byn: toNumber(d.discount_price_byn),
+      effective_price_byn: toNumber(d.effective_price_byn),
+      promotion_id: d.promotion_id || null,
+      promotion_title: d.promotion_title || null,
+      similarity: Math.round(toNumber(d.similarity) * 1000) / 1000,
+    })),
+  }));
+
+  return {
+    establishments,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages,
+      hasNext: page < totalPages,
+      hasPrevious: page > 1,
+    },
+  };
+}
+
+/**
+ * Weights of the "similar places" score components. Each component is 0–1:
+ * category / cuisine / attribute Jaccard overlap, price tier (1 same,
+ * 0.5 adjacent), shared menu item names (10+ = 1) and proximity
+ * (1 / (1 + km / 2): 1 next door, 0.5 at 2 km, 0.2 at 8 km).
+ */
+const SIMILARITY_WEIGHTS = {
+  categories: 3,
+  cuisines: 3,
+  price: 1,
+  attributes: 1,
+  menu: 2,
+  proximity: 2,
+};
+
+/** Shared menu items that count as a full menu match. */
+const SIMILARITY_MENU_CAP = 10;
+
+/**
+ * Helper: Jaccard overlap of two SQL text arrays given the shared array.
+ */
+const jaccardSql = (shared, left, right) => `(
+  cardinality(${shared})::float
+  / GREATEST(cardinality(${left}) + cardinality(${right}) - cardinality(${shared}), 1)
+)`;
+
+/**
+ * Attribute keys switched on in an establishment's attributes JSONB
+ * (booleans or "true" strings, as the features filter accepts).
+ *
+ * @param {Object|null} attributes
+ * @returns {string[]}
+ */
+function enabledAttributeKeys(attributes) {
+  if (!attributes || typeof attributes !== 'object') return [];
+  return Object.keys(attributes)
+    .filter((key) => attributes[key] === true || attributes[key] === 'true')
+    .sort();
+}
+
+/**
+ * Find establishments similar to a given one ("Похожие заведения").
+ *
+ * Content-based: candidates are active establishments in the same city that
+ * share at least one category or cuisine; they are scored on the canon
+ * fields (categories, cuisines, price tier, attributes), menu item names in
+ * common and distance — see SIMILARITY_WEIGHTS.
+ *
+ * @param {Object} establishment - Raw establishment row (id, city, latitude,
+ *   longitude, categories, cuisines, price_range, attributes)
+ * @param {Object} [options]
+ * @param {number} [options.limit=8] - Max results (1-20)
+ * @returns {Promise<Object[]>} Listing projections with distance_km and
+ *   `similarity` { score, shared_categories, shared_cuisines,
+ *   shared_attributes, shared_menu_items, same_price_range }
+ */
+export async function findSimilarEstablishments(establishment, { limit = 8 } = {}) {
+  if (limit < 1 || limit > 20) {
+    throw new AppError('Limit must be between 1 and 20', 422, 'VALIDATION_ERROR');
+  }
+
+  const categories = establishment.categories || [];
+  const cuisines = establishment.cuisines || [];
+  const attributes = enabledAttributeKeys(establishment.attributes);
+
+  const W = SIMILARITY_WEIGHTS;
+  const query = `
+    WITH target_menu AS (
+      SELECT DISTINCT LOWER(TRIM(item_name)) AS name
+      FROM menu_items
+      WHERE establishment_id = $1 AND is_hidden_by_admin = FALSE
+    ),
+    candidates AS (
+      SELECT
+        e.*,
+        ST_Distance(
+          ST_MakePoint($3, $4)::geography,
+          ST_MakePoint(e.longitude, e.latitude)::geography
+        ) / 1000.0 AS distance_km,
+        COALESCE(e.categories, '{}') AS category_list,
+        COALESCE(e.cuisines, '{}') AS cuisine_list,
+        ARRAY(
+          SELECT key FROM jsonb_each(COALESCE(e.attributes, '{}'::jsonb))
+          WHERE value #>> '{}' = 'true'
+        ) AS attribute_list
+      FROM establishments e
+      WHERE e.status = 'active'
+        AND e.id <> $1
+        AND e.city = ANY($2::varchar[])
+        AND (e.categories && $5::varchar[] OR e.cuisines && $6::varchar[])
+    ),
+    overlaps AS (
+      SELECT
+        c.*,
+        ARRAY(SELECT unnest(c.category_list) INTERSECT SELECT unnest($5::varchar[])) AS shared_categories,
+        ARRAY(SELECT unnest(c.cuisine_list) INTERSECT SELECT unnest($6::varchar[])) AS shared_cuisines,
+        ARRAY(SELECT unnest(c.attribute_list) INTERSECT SELECT unnest($7::text[])) AS shared_attributes,
+        (
+          SELECT COUNT(DISTINCT tm.name)
+          FROM menu_items mi
+          JOIN target_menu tm ON tm.name = LOWER(TRIM(mi.item_name))
+          WHERE mi.establishment_id = c.id AND mi.is_hidden_by_admin = FALSE
+        )::int AS shared_menu_items
+      FROM candidates c
+    )
+    SELECT
+      o.*,
+      (
+        ${W.categories} * ${jaccardSql('o.shared_categories', 'o.category_list', '$5::varchar[]')}
+        + ${W.cuisines} * ${jaccardSql('o.shared_cuisines', 'o.cuisine_list', '$6::varchar[]')}
+        + ${W.attributes} * ${jaccardSql('o.shared_attributes', 'o.attribute_list', '$7::text[]')}
+        + ${W.price} * (CASE
+            WHEN o.price_range = $8 THEN 1
+            WHEN ABS(LENGTH(o.price_range) - LENGTH($8)) = 1 THEN 0.5
+            ELSE 0
+          END)
+        + ${W.menu} * LEAST(o.shared_menu_items, ${SIMILARITY_MENU_CAP})::float / ${SIMILARITY_MENU_CAP}
+        + ${W.proximity} / (1 + o.distance_km / 2.0)
+      ) AS similarity_score
+    FROM overlaps o
+    ORDER BY similarity_score DESC, o.distance_km ASC, o.name ASC
+    LIMIT $9
+  `;
+
+  const params = [
+    establishment.id,
+    expandCityForQuery(establishment.city),
+    establishment.longitude,
+    establishment.latitude,
+    categories,
+    cuisines,
+    attributes,
+    establishment.price_range || null,
+    limit,
+  ];
+
+  const result = await pool.query(query, params);
+
+  const enriched = await enrichWithPromotions(result.rows);
+
+  return enriched.map(row => ({
+    ...toPublicEstablishmentListing(row),
+    similarity: {
+      score: Math.round(parseFloat(row.similarity_score) * 1000) / 1000,
+      shared_categories: row.shared_categories || [],
+      shared_cuisines: row.shared_cuisines || [],
+      shared_attributes: row.shared_attributes || [],
+      shared_menu_items: parseInt(row.shared_menu_items) || 0,
+      same_price_range: !!row.price_range && row.price_range === establishment.price_range,
+    },
+  }));
+}
+
 /**
  * Get establishment by ID (public endpoint)
  *
@@ -1105,6 +1816,8 @@ export default {
   searchByRadius,
   searchByBounds,
   searchWithoutLocation,
+  searchDishes,
+  findSimilarEstablishments,
   getEstablishmentById,
   checkSearchHealth,
 };
@@ -0,0 +1,319 @@
+/**
+ * Search Synonym Service
+ *
+ * Admin-managed search synonyms (migration 042): a term or phrase in the
+ * search text ("пицца", "бизнес-ланч") widens the text search to
+ * establishments of the listed categories / cuisines. Read by
+ * searchService.addSearchConditions, so the smart-search fallback gets the
+ * same expansion.
+ *
+ * Active synonyms are cached in-process like badgesService: the list is a few
+ * dozen rows read on every text search, and a minute of staleness is
+ * harmless. Every admin write invalidates the cache, so the admin sees the
+ * effect of an edit immediately on this instance; other instances pick it up
+ * within CACHE_TTL_MS.
+ */
+
+import * as SearchSynonymModel from '../models/searchSynonymModel.js';
+import * as AuditLogModel from '../models/auditLogModel.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { isValidCategory, isValidCuisine } from '../constants/establishmentVocab.js';
+import logger from '../utils/logger.js';
+
+/** Cache lifetime for the active synonym list. */
+export const CACHE_TTL_MS = 60_000;
+
+/** search_synonyms.term column width */
+const MAX_TERM_LENGTH = 100;
+
+let cache = null;
+
+/**
+ * Drop the cached synonym list. Called after every admin write.
+ */
+export const invalidateCache = () => {
+  cache = null;
+};
+
+/**
+ * Normalize a term or search text for matching: lowercase, ё → е,
+ * punctuation except hyphens to spaces, single spaces.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+export const normalizeSynonymTerm = (value) => String(value ?? '')
+  .toLowerCase()
+  .replace(/ё/g, 'е')
+  .replace(/[^a-zа-я0-9-]+/g, ' ')
+  .trim();
+
+/**
+ * Union of the categories / cuisines of every synonym whose term occurs in
+ * the search text as whole words ("хочу пиццу рядом" hits "пиццу", and
+ * "бизнес-ланч в центре" hits the phrase "бизнес-ланч").
+ *
+ * @param {string} search - Raw search text
+ * @param {Array<{ term: string, categories: string[], cuisines: string[] }>} synonyms
+ * @returns {{ categories: string[], cuisines: string[] }|null} null when nothing matched
+ */
+export const matchSynonyms = (search, synonyms) => {
+  const haystack = ` ${normalizeSynonymTerm(search)} `;
+  const categories = new Set();
+  const cuisines = new Set();
+  let matched = false;
+
+  for (const synonym of synonyms) {
+    if (!haystack.includes(` ${synonym.term} `)) continue;
+    matched = true;
+    (synonym.categories || []).forEach((c) => categories.add(c));
+    (synonym.cuisines || []).forEach((c) => cuisines.add(c));
+  }
+
+  return matched ? { categories: [...categories], cuisines: [...cuisines] } : null;
+};
+
+/**
+ * Active synonyms, from cache when fresh. Never throws: search must keep
+ * working without synonyms, so a failed load serves the stale list (or none).
+ *
+ * @returns {Promise<Array<object>>}
+ */
+export const getActiveSynonyms = async () => {
+  const now = Date.now();
+  if (cache && now - cache.at < CACHE_TTL_MS) {
+    return cache.value;
+  }
+
+  try {
+    const value = await SearchSynonymModel.listSynonyms({ activeOnly: true });
+    cache = { at: now, value };
+    return value;
+  } catch (error) {
+    logger.warn('Search synonyms unavailable, searching without them', {
+      error: error.message,
+    });
+    return cache ? cache.value : [];
+  }
+};
+
+/**
+ * Synonym expansion for a search text.
+ *
+ * @param {string} search
+ * @returns {Promise<{ categories: string[], cuisines: string[] }|null>}
+ */
+export const getSynonymExpansion = async (search) => {
+  return matchSynonyms(search, await getActiveSynonyms());
+};
+
+// ============================================================================
+// Admin CRUD
+// ============================================================================
+
+/**
+ * Validate an array of vocabulary values.
+ * @returns {string[]|undefined} deduplicated values, undefined when not provided
+ */
+const validateVocabList = (value, field, isValid) => {
+  if (value === undefined) return undefined;
+  if (!Array.isArray(value)) {
+    throw new AppError(`${field} must be an array`, 422, 'VALIDATION_ERROR');
+  }
+  const invalid = value.filter((v) => !isValid(v));
+  if (invalid.length > 0) {
+    throw new AppError(`Unknown ${field}: ${invalid.join(', ')}`, 422, 'VALIDATION_ERROR');
+  }
+  return [...new Set(value)];
+};
+
+/**
+ * Validate and normalize a create / update payload.
+ *
+ * @param {object} body
+ * @param {{ partial: boolean }} options - partial = update (all fields optional)
+ */
+const validateSynonymInput = (body = {}, { partial }) => {
+  const data = {};
+
+  if (body.term !== undefined || !partial) {
+    if (typeof body.term !== 'string') {
+      throw new AppError('term is required', 422, 'VALIDATION_ERROR');
+    }
+    const term = normalizeSynonymTerm(body.term);
+    if (term.length < 2 || term.length > MAX_TERM_LENGTH || !/[a-zа-я]/.test(term)) {
+      throw new AppError(
+        `term must contain letters and be 2-${MAX_TERM_LENGTH} characters long`,
+        422,
+        'VALIDATION_ERROR',
+      );
+    }
+    data.term = term;
+  }
+
+  data.categories = validateVocabList(body.categories, 'categories', isValidCategory);
+  data.cuisines = validateVocabList(body.cuisines, 'cuisines', isValidCuisine);
+
+  if (body.is_active !== undefined) {
+    if (typeof body.is_active !== 'boolean') {
+      throw new AppError('is_active must be a boolean', 422, 'VALIDATION_ERROR');
+    }
+    data.isActive = body.is_active;
+  }
+
+  return data;
+};
+
+const assertExpandsToSomething = (categories, cuisines) => {
+  if (categories.length + cuisines.length === 0) {
+    throw new AppError(
+      'A synonym needs at least one category or cuisine',
+      422,
+      'VALIDATION_ERROR',
+    );
+  }
+};
+
+/** pg unique violation on idx_search_synonyms_term → readable 409 */
+const rethrowDuplicate = (error, term) => {
+  if (error.code === '23505') {
+    throw new AppError(`Synonym "${term}" already exists`, 409, 'SYNONYM_EXISTS');
+  }
+  throw error;
+};
+
+/**
+ * GET /api/v1/admin/search/synonyms — all synonyms, inactive included.
+ */
+export const listSynonyms = async () => {
+  return SearchSynonymModel.listSynonyms();
+};
+
+/**
+ * POST /api/v1/admin/search/synonyms
+ *
+ * @param {object} body - { term, categories?, cuisines?, is_active? }
+ * @param {{ adminUserId: string, ipAddress?: string, userAgent?: string }} context
+ */
+export const createSynonym = async (body, { adminUserId, ipAddress, userAgent }) => {
+  const data = validateSynonymInput(body, { partial: false });
+  const categories = data.categories || [];
+  const cuisines = data.cuisines || [];
+  assertExpandsToSomething(categories, cuisines);
+
+  let synonym;
+  try {
+    synonym = await SearchSynonymModel.createSynonym({
+      term: data.term,
+      categories,
+      cuisines,
+      isActive: data.isActive ?? true,
+      createdBy: adminUserId,
+    });
+  } catch (error) {
+    rethrowDuplicate(error, data.term);
+  }
+
+  invalidateCache();
+
+  // Non-blocking audit log write
+  AuditLogModel.createAuditLog({
+    user_id: adminUserId,
+    action: 'search_synonym_create',
+    entity_type: 'search_synonym',
+    entity_id: synonym.id,
+    new_data: { term: synonym.term, categories, cuisines, is_active: synonym.is_active },
+    ip_address: ipAddress,
+    user_agent: userAgent,
+  });
+
+  return synonym;
+};
+
+/**
+ * PATCH /api/v1/admin/search/synonyms/:id
+ *
+ * @param {string} id
+ * @param {object} body - any of { term, categories, cuisines, is_active }
+ * @param {{ adminUserId: string, ipAddress?: string, userAgent?: string }} context
+ */
+export const updateSynonym = async (id, body, { adminUserId, ipAddress, userAgent }) => {
+  const data = validateSynonymInput(body, { partial: true });
+
+  const existing = await SearchSynonymModel.findSynonymById(id);
+  if (!existing) {
+    throw new AppError('Synonym not found', 404, 'SYNONYM_NOT_FOUND');
+  }
+
+  assertExpandsToSomething(
+    data.categories ?? existing.categories,
+    data.cuisines ?? existing.cuisines,
+  );
+
+  let synonym;
+  try {
+    synonym = await SearchSynonymModel.updateSynonym(id, data);
+  } catch (error) {
+    rethrowDuplicate(error, data.term);
+  }
+  if (!synonym) {
+    throw new AppError('Synonym not found', 404, 'SYNONYM_NOT_FOUND');
+  }
+
+  invalidateCache();
+
+  AuditLogModel.createAuditLog({
+    user_id: adminUserId,
+    action: 'search_synonym_update',
+    entity_type: 'search_synonym',
+    entity_id: id,
+    old_data: {
+      term: existing.term,
+      categories: existing.categories,
+      cuisines: existing.cuisines,
+      is_active: existing.is_active,
+    },
+    new_data: {
+      term: synonym.term,
+      categories: synonym.categories,
+      cuisines: synonym.cuisines,
+      is_active: synonym.is_active,
+    },
+    ip_address: ipAddress,
+    user_agent: userAgent,
+  });
+
+  return synonym;
+};
+
+/**
+ * DELETE /api/v1/admin/search/synonyms/:id
+ *
+ * @param {string} id
+ * @param {{ adminUserId: string, ipAddress?: string, userAgent?: string }} context
+ */
+export const deleteSynonym = async (id, { adminUserId, ipAddress, userAgent }) => {
+  const deleted = await SearchSynonymModel.deleteSynonym(id);
+  if (!deleted) {
+    throw new AppError('Synonym not found', 404, 'SYNONYM_NOT_FOUND');
+  }
+
+  invalidateCache();
+
+  AuditLogModel.createAuditLog({
+    user_id: adminUserId,
+    action: 'search_synonym_delete',
+    entity_type: 'search_synonym',
+    entity_id: id,
+    old_data: {
+      term: deleted.term,
+      categories: deleted.categories,
+      cuisines: deleted.cuisines,
+      is_active: deleted.is_active,
+    },
+    ip_address: ipAddress,
+    user_agent: userAgent,
+  });
+
+  return { id };
+};
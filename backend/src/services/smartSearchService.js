@@ -6,7 +6,7 @@
  * user intent, then delegates to existing searchService for SQL execution.
  *
  * Pipeline: parseIntent → validate (Zod) → buildFilters → searchByRadius/searchWithoutLocation
- * Fallback: raw query → existing ILIKE + SEARCH_SYNONYMS (transparent to user)
+ * Fallback: raw query → existing full-text + trigram search (transparent to user)
  */
 
 import { z } from 'zod';
@@ -15,18 +15,82 @@ import { getConfig, isAvailable } from '../config/openrouter.js';
 import { setWithExpiry } from '../config/redis.js';
 import redisClient from '../config/redis.js';
 import * as searchService from './searchService.js';
+import * as searchEventService from './searchEventService.js';
 import logger from '../utils/logger.js';
 // Canon shared with the write-path + DB CHECK (CAT-C-2.9). DB stores Cyrillic
 // directly; these drive the AI prompt and Zod enum validation.
-import { VALID_CATEGORIES, VALID_CUISINES } from '../constants/establishmentVocab.js';
+import {
+  VALID_CATEGORIES,
+  VALID_CUISINES,
+  ATTRIBUTE_CANON,
+} from '../constants/establishmentVocab.js';
+import { resolveNextOpenAt } from '../utils/openingHours.js';
+import { resolveLocation, resolveCity } from '../utils/locationResolver.js';
+import { expandCityForQuery } from '../constants/urlSlugs.js';
+
+/** Meal types the AI may emit for meal_type. */
+const MEAL_TYPES = ['breakfast', 'lunch', 'dinner', 'snack'];
+
+/**
+ * meal_type → Minsk time the establishment must be open at (next occurrence).
+ * snack has no time window — any open establishment serves a snack.
+ */
+const MEAL_TYPE_OPEN_TIME = {
+  breakfast: '09:00',
+  lunch: '13:00',
+  dinner: '19:00',
+};
+
+/**
+ * Free-text tag → ATTRIBUTE_CANON key. Safety net for tags the AI left in
+ * `tags` instead of `attributes`; matched by lowercase prefix so word forms
+ * ("террасой", "террасы") hit the same key.
+ */
+const TAG_ATTRIBUTE_PREFIXES = [
+  ['террас', 'terrace'],
+  ['летн', 'terrace'],
+  ['wi-fi', 'wifi'],
+  ['wifi', 'wifi'],
+  ['вайфа', 'wifi'],
+  ['живая музык', 'live_music'],
+  ['живой музык', 'live_music'],
+  ['живую музык', 'live_music'],
+  ['детск', 'kids_zone'],
+  ['парковк', 'parking'],
+  ['доставк', 'delivery'],
+  ['банкет', 'banquet'],
+  ['с собак', 'pets_allowed'],
+  ['с животн', 'pets_allowed'],
+  ['pet friendly', 'pets_allowed'],
+  ['для курящ', 'smoking'],
+  ['курение', 'smoking'],
+  ['доступная сред', 'accessible_environment'],
+  ['для инвалид', 'accessible_environment'],
+  ['пандус', 'accessible_environment'],
+];
+
+/**
+ * Map one free-text tag to an attribute key.
+ * @param {string} tag
+ * @returns {string|null}
+ */
+function tagToAttribute(tag) {
+  const lower = tag.toLowerCase().trim();
+  const hit = TAG_ATTRIBUTE_PREFIXES.find(([prefix]) => lower.startsWith(prefix));
+  return hit ? hit[1] : null;
+}
 
 /**
  * Zod schema for AI response validation.
- * Invalid responses trigger fallback to ILIKE search.
+ * Invalid responses trigger fallback to plain text search.
  *
  * `dish` (Segment B): specific dish/drink the user is looking for. Distinct
  * from `category` (establishment type). Empty string is coerced to null to
  * tolerate LLMs that return "" instead of null.
+ *
+ * `attributes`: ATTRIBUTE_CANON keys (terrace, wifi, live_music…). Optional so
+ * intents cached before the field existed still validate. An unknown
+ * meal_type degrades to null instead of failing the whole intent.
  */
 const intentSchema = z.object({
   cuisine: z.array(z.enum(VALID_CUISINES)).nullable(),
@@ -35,10 +99,11 @@ const intentSchema = z.object({
     .string()
     .nullable()
     .transform((v) => (v == null || v.trim() === '' ? null : v.trim())),
-  meal_type: z.string().nullable(),
+  meal_type: z.enum(MEAL_TYPES).nullable().catch(null),
   price_max: z.number().positive().nullable(),
   location: z.string().nullable(),
   sort: z.enum(['distance', 'rating', 'price_asc']).nullable(),
+  attributes: z.array(z.enum(ATTRIBUTE_CANON)).nullish().transform(v => v ?? []),
   tags: z.array(z.string()).nullable().transform(v => v ?? []),
   error: z.string().nullable(),
 });
@@ -55,8 +120,8 @@ const API_TIMEOUT_MS = 20000;
  */
 const SYSTEM_PROMPT = [
   'Parse restaurant search query into JSON.',
-  'Categories (establishment types): ' + VALID_CATEGORIES.join(', '),
-  'Cuisines: ' + VALID_CUISINES.join(', '),
+  `Categories (establishment types): ${VALID_CATEGORIES.join(', ')}`,
+  `Cuisines: ${VALID_CUISINES.join(', ')}`,
   '',
   'IMPORTANT — distinguish ESTABLISHMENT TYPE from DISH NAME:',
   '- "кофейня рядом" → category="Кофейня", dish=null (user wants a coffee shop)',
@@ -67,8 +132,14 @@ const SYSTEM_PROMPT = [
   '- "кафе с завтраками" → category="Кафе", dish=null, meal_type="breakfast"',
   'If the query contains BOTH a type and a dish, fill both fields.',
   '',
-  'Output JSON: {"category":"one or null","cuisine":["array or null"],"dish":"specific dish or null","meal_type":"breakfast/lunch/dinner/snack or null","price_max":number_or_null,"location":"city or null","sort":"distance/rating/price_asc or null","tags":["keywords"],"error":null}',
-  'Use EXACT category/cuisine names from lists above. Respond with JSON only.',
+  `Attributes (amenities, use these keys only): ${ATTRIBUTE_CANON.join(', ')}`,
+  '- "завтрак с террасой" → meal_type="breakfast", attributes=["terrace"]',
+  '- "бар с живой музыкой" → category="Бар", attributes=["live_music"]',
+  '- "кафе с детской комнатой и парковкой" → category="Кафе", attributes=["kids_zone","parking"]',
+  'Put amenities in attributes, NOT in tags. tags = other keywords only.',
+  '',
+  `Output JSON: {"category":"one or null","cuisine":["array or null"],"dish":"specific dish or null","meal_type":"${MEAL_TYPES.join('/')} or null","price_max":number_or_null,"location":"city, district, street, metro station or landmark as written, or null","sort":"distance/rating/price_asc or null","attributes":["attribute keys"],"tags":["keywords"],"error":null}`,
+  'Use EXACT category/cuisine/attribute names from lists above. Respond with JSON only.',
 ].join('\n');
 
 /**
@@ -219,11 +290,19 @@ export async function parseIntent(query) {
 /**
  * Convert parsed AI intent into parameters for existing search functions.
  *
+ * meal_type becomes an open-at filter (open at the next breakfast / lunch /
+ * dinner time in Minsk); attributes and amenity tags become `features`.
+ * `location` is resolved against the bundled gazetteer: a known district,
+ * street, metro station or landmark becomes a centre + `maxDistance` radius,
+ * a bare city name only scopes `city`. The matched place is returned as
+ * `place` for the response — callers strip it before searching.
+ *
  * @param {object} intent - Validated intent from parseIntent()
  * @param {{ latitude?: number, longitude?: number, city?: string }} context - User context
+ * @param {Date} [now] - Clock for meal_type resolution
  * @returns {object} Parameters compatible with searchByRadius/searchWithoutLocation
  */
-export function buildSmartSearchFilters(intent, context = {}) {
+export function buildSmartSearchFilters(intent, context = {}, now = new Date()) {
   const filters = {};
 
   // Category
@@ -236,7 +315,8 @@ export function buildSmartSearchFilters(intent, context = {}) {
     filters.cuisines = intent.cuisine;
   }
 
-  // Dish (Segment B): routes the query to menu_items JOIN in searchService.
+  // Dish (Segment B): executeSmartSearch switches to dish mode
+  // (searchService.searchDishes) — matched menu items per establishment.
   if (intent.dish) {
     filters.dish = intent.dish;
   }
@@ -258,36 +338,63 @@ export function buildSmartSearchFilters(intent, context = {}) {
     }
   }
 
+  // Location from AI: a city overrides the context city; a district, street,
+  // metro station or landmark from the bundled gazetteer becomes a centre +
+  // radius that replaces the user's own coordinates. Unresolved phrases are
+  // dropped (previously they were passed as a city and matched nothing).
+  const place = intent.location
+    ? resolveLocation(intent.location, { city: context.city })
+    : null;
+  const locationCity = intent.location ? resolveCity(intent.location) : null;
+  const city = place?.city || locationCity || context.city;
+  if (city) {
+    filters.city = expandCityForQuery(city);
+  }
+  if (intent.location && !place && !locationCity) {
+    logger.debug('Smart search location not resolved', { location: intent.location });
+  }
+
+  // Coordinates: resolved place first, then the user's position
+  if (place) {
+    filters.latitude = place.latitude;
+    filters.longitude = place.longitude;
+    filters.maxDistance = place.radiusKm;
+    filters.place = { name: place.name, type: place.type, city: place.city };
+  } else if (context.latitude && context.longitude) {
+    filters.latitude = context.latitude;
+    filters.longitude = context.longitude;
+  }
+
   // Sort — if null, determined by presence of coordinates
   if (intent.sort) {
     filters.sortBy = intent.sort;
   } else {
-    filters.sortBy = (context.latitude && context.longitude) ? 'distance' : 'rating';
+    filters.sortBy = (filters.latitude && filters.longitude) ? 'distance' : 'rating';
   }
 
-  // Location from AI (city override)
-  if (intent.location) {
-    filters.city = intent.location;
-  } else if (context.city) {
-    filters.city = context.city;
+  // Attributes (canonical keys) + amenity tags → features filter; remaining
+  // tags → search text for the existing text search
+  const features = new Set(intent.attributes || []);
+  const searchTags = [];
+  for (const tag of intent.tags || []) {
+    const attribute = tagToAttribute(tag);
+    if (attribute) {
+      features.add(attribute);
+    } else {
+      searchTags.push(tag);
+    }
   }
-
-  // Tags → search text for existing ILIKE + SEARCH_SYNONYMS
-  if (intent.tags && intent.tags.length > 0) {
-    filters.search = intent.tags.join(' ');
+  if (features.size > 0) {
+    filters.features = [...features];
   }
-
-  // meal_type — logged for future use, not applied as filter
-  if (intent.meal_type) {
-    logger.debug('meal_type detected but not applied (Phase 1)', {
-      mealType: intent.meal_type,
-    });
+  if (searchTags.length > 0) {
+    filters.search = searchTags.join(' ');
   }
 
-  // Coordinates passthrough
-  if (context.latitude && context.longitude) {
-    filters.latitude = context.latitude;
-    filters.longitude = context.longitude;
+  // meal_type → must be open at the next meal time (Europe/Minsk)
+  const mealTime = MEAL_TYPE_OPEN_TIME[intent.meal_type];
+  if (mealTime) {
+    filters.openAt = resolveNextOpenAt(mealTime, now);
   }
 
   return filters;
@@ -299,7 +406,12 @@ export function buildSmartSearchFilters(intent, context = {}) {
  * @param {string} query - Natural language query
  * @param {{ latitude?: number, longitude?: number, city?: string }} context
  * @param {{ limit?: number, page?: number }} pagination
- * @returns {Promise<{ intent: object|null, results: object[], total: number, fallback: boolean }>}
+ * A parsed dish switches to dish mode (searchService.searchDishes): results
+ * are still establishments, each carrying its matched `dishes`.
+ *
+ * @returns {Promise<{ intent: object|null, results: object[], total: number, fallback: boolean,
+ *   location: { name: string, type: string, city: string }|null, mode: 'establishments'|'dishes',
+ *   searchEventId: string|null }>}
  */
 export async function executeSmartSearch(query, context = {}, pagination = {}) {
   const { limit = 20, page = 1 } = pagination;
@@ -329,26 +441,37 @@ export async function executeSmartSearch(query, context = {}, pagination = {}) {
   const isFallback = !intent;
 
   let searchResult;
+  let searchParams;
+  let location = null;
+  let mode = 'establishments';
 
   if (intent) {
-    // AI-parsed path
-    const filters = buildSmartSearchFilters(intent, context);
+    // AI-parsed path; the resolved gazetteer place is echoed back, not searched on
+    const { place, ...filters } = buildSmartSearchFilters(intent, context);
+    location = place || null;
 
-    const searchParams = {
+    searchParams = {
       ...filters,
       limit,
       offset,
       page,
     };
 
-    if (filters.latitude && filters.longitude) {
+    if (filters.dish && filters.dish.length >= 2) {
+      // Dish mode: the matched menu items grouped by establishment, ranked by
+      // dish similarity unless the user asked for another order
+      mode = 'dishes';
+      searchParams.sortBy = intent.sort || 'relevance';
+      searchResult = await searchService.searchDishes(searchParams);
+    } else if (filters.latitude && filters.longitude) {
       searchResult = await searchService.searchByRadius(searchParams);
     } else {
       searchResult = await searchService.searchWithoutLocation(searchParams);
     }
   } else {
-    // Fallback: raw query through existing ILIKE + SEARCH_SYNONYMS
-    const fallbackParams = {
+    // Fallback: raw query through existing text search (full text + trigram +
+    // admin-managed synonyms, which match terms anywhere in the sentence)
+    searchParams = {
       search: query,
       city: context.city || null,
       sortBy: (context.latitude && context.longitude) ? 'distance' : 'rating',
@@ -358,35 +481,42 @@ export async function executeSmartSearch(query, context = {}, pagination = {}) {
     };
 
     if (context.latitude && context.longitude) {
-      fallbackParams.latitude = context.latitude;
-      fallbackParams.longitude = context.longitude;
-      searchResult = await searchService.searchByRadius(fallbackParams);
+      searchParams.latitude = context.latitude;
+      searchParams.longitude = context.longitude;
+      searchResult = await searchService.searchByRadius(searchParams);
     } else {
-      searchResult = await searchService.searchWithoutLocation(fallbackParams);
+      searchResult = await searchService.searchWithoutLocation(searchParams);
     }
   }
 
-  // Log for analytics
-  logSearchQuery(query, intent, searchResult.pagination?.total || 0, isFallback, fromCache);
+  // Analytics: first page only, so paging does not count as new searches
+  const resultCount = searchResult.pagination?.total || 0;
+  const searchEventId = page === 1
+    ? searchEventService.recordSearchEvent({
+      source: 'smart',
+      query,
+      intent,
+      filters: searchParams,
+      resultCount,
+      fallback: isFallback,
+      cached: fromCache,
+    })
+    : null;
+
+  logger.info('smart_search_query', {
+    resultCount,
+    fallback: isFallback,
+    fromCache,
+    searchEventId,
+  });
 
   return {
     intent: intent || null,
     results: searchResult.establishments || [],
     pagination: searchResult.pagination || { total: 0, page, limit, totalPages: 0 },
     fallback: isFallback,
+    location,
+    mode,
+    searchEventId,
   };
 }
-
-/**
- * Log search query for analytics (structured logger, no migration needed).
- */
-function logSearchQuery(rawQuery, parsedIntent, resultCount, isFallback, fromCache) {
-  logger.info('smart_search_query', {
-    query: rawQuery,
-    intent: parsedIntent,
-    resultCount,
-    fallback: isFallback,
-    fromCache,
-    timestamp: new Date().toISOString(),
-  });
-}
@@ -7,6 +7,7 @@
  *   POST /api/v1/admin/menu-items/:id/unhide
  *   POST /api/v1/admin/menu-items/:id/dismiss-flag
  *   GET  /api/v1/admin/menu-items/flagged
+ *   GET  /api/v1/admin/menu-items/price-report
  *
  * Follows the pattern of admin-moderation.test.js:
  *   beforeAll  — create admin
@@ -261,6 +262,78 @@ describe('GET /api/v1/admin/menu-items/flagged', () => {
   });
 });
 
+describe('GET /api/v1/admin/menu-items/price-report', () => {
+  async function seedPriceHistory(establishmentId, itemName, priceByn) {
+    await query(
+      `INSERT INTO menu_price_history
+         (establishment_id, normalized_name, item_name, price_byn, source)
+       VALUES ($1, lower($2), $2, $3, 'ocr')`,
+      [establishmentId, itemName, priceByn],
+    );
+  }
+
+  async function seedCafe(city, itemName, priceByn) {
+    const { establishment } = await createPartnerWithEstablishment('active');
+    await query('UPDATE establishments SET city = $2 WHERE id = $1', [establishment.id, city]);
+    await seedMenuItem(establishment.id, { itemName, priceByn });
+    await seedPriceHistory(establishment.id, itemName, priceByn);
+    return establishment;
+  }
+
+  test('averages the current price of a dish per city over live menus', async () => {
+    await seedCafe('Минск', 'Капучино', 6);
+    await seedCafe('Минск', 'Капучино большой', 8);
+    await seedCafe('Гродно', 'Капучино', 5);
+    await seedCafe('Минск', 'Латте', 7);
+    const hidden = await seedCafe('Минск', 'Капучино', 100);
+    await query('UPDATE menu_items SET is_hidden_by_admin = TRUE WHERE establishment_id = $1', [hidden.id]);
+
+    const res = await request(app)
+      .get('/api/v1/admin/menu-items/price-report?q=капучино')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect(res.body.data).toEqual({
+      query: 'капучино',
+      cities: [
+        {
+          city: 'Минск',
+          establishment_count: 2,
+          avg_price_byn: 7,
+          median_price_byn: 7,
+          min_price_byn: 6,
+          max_price_byn: 8,
+        },
+        {
+          city: 'Гродно',
+          establishment_count: 1,
+          avg_price_byn: 5,
+          median_price_byn: 5,
+          min_price_byn: 5,
+          max_price_byn: 5,
+        },
+      ],
+    });
+  });
+
+  test('filters by city and rejects too short queries', async () => {
+    await seedCafe('Минск', 'Капучино', 6);
+    await seedCafe('Гродно', 'Капучино', 5);
+
+    const res = await request(app)
+      .get('/api/v1/admin/menu-items/price-report?q=капучино&city=Гродно')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+    expect(res.body.data.cities.map((c) => c.city)).toEqual(['Гродно']);
+
+    const short = await request(app)
+      .get('/api/v1/admin/menu-items/price-report?q=к')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(422);
+    expect(short.body.error.code).toBe('VALIDATION_ERROR');
+  });
+});
+
 describe('Auth + authorization', () => {
   test('rejects unauthenticated requests', async () => {
     const res = await request(app)
@@ -16,6 +16,8 @@
  *   1 malformed hours · 1 all-closed hours
  *   1 empty menu (media, no items) · 1 OCR-failed (media, no items, failed job)
  *   1 hanging flag (media + flagged menu_item)
+ * plus a "Капучино" on the menus of establishments 1–6 with price history, one
+ * of them priced far above the Минск median.
  */
 
 import { randomUUID } from 'crypto';
@@ -63,7 +65,7 @@ beforeAll(async () => {
   })).accessToken;
 
   // 1) clean baseline — must stay unflagged on every signal
-  await createActive();
+  const clean = await createActive();
 
   // 2) English category → unreachable + category off-canon; also carries attribute keys
   const englishCat = await createActive();
@@ -117,6 +119,23 @@ beforeAll(async () => {
      VALUES ($1, $2, $3, $4, $5::jsonb, false)`,
     [randomUUID(), flagged.id, flaggedMediaId, 'Тестовое блюдо', JSON.stringify({ reason: 'low_confidence' })],
   );
+
+  // 10) price history — a manual "Капучино" on six menus; 30 BYN is 5× the median
+  const cappuccinoPrices = [
+    [clean, 30], [englishCat, 6], [offCuisine, 6], [badCoords, 5.5], [malformed, 6.5], [allClosed, 6],
+  ];
+  for (const [establishment, price] of cappuccinoPrices) {
+    await query(
+      `INSERT INTO menu_items (establishment_id, media_id, source, item_name, price_byn)
+       VALUES ($1, NULL, 'manual', 'Капучино', $2)`,
+      [establishment.id, price],
+    );
+    await query(
+      `INSERT INTO menu_price_history (establishment_id, normalized_name, item_name, price_byn, source)
+       VALUES ($1, 'капучино', 'Капучино', $2, 'manual')`,
+      [establishment.id, price],
+    );
+  }
 });
 
 afterAll(async () => {
@@ -213,9 +232,16 @@ describe('qualityHealthModel signals', () => {
     expect(r.hanging_count).toBe(1);
   });
 
-  test('G — price distribution: deferred stub (statistical, wire at 500)', async () => {
+  test('G — price distribution: the 30 BYN cappuccino is off the city median', async () => {
     const r = await qualityHealthModel.getPriceDistributionAnomalies();
-    expect(r.status).toBe('deferred');
+    expect(r.status).toBe('active');
+    expect(r.anomaly_count).toBe(1);
+    expect(r.samples[0]).toMatchObject({
+      city: 'Минск',
+      item_name: 'Капучино',
+      price_byn: 30,
+      city_median_byn: 6,
+    });
   });
 });
 
@@ -249,6 +275,7 @@ describe('GET /api/v1/admin/quality/health', () => {
     expect(d.working_hours.all_closed_count).toBe(1);
     expect(d.hanging_flags.hanging_count).toBe(1);
     expect(d.attribute_census.non_object_count).toBe(1);
-    expect(d.price_distribution.status).toBe('deferred');
+    expect(d.price_distribution.status).toBe('active');
+    expect(d.price_distribution.anomaly_count).toBe(1);
   });
 });
@@ -7,6 +7,7 @@
  *   #14 GET  /api/v1/admin/reviews                    — all reviews (admin view)
  *   #15 POST /api/v1/admin/reviews/:id/toggle-visibility — toggle visibility
  *   #16 POST /api/v1/admin/reviews/:id/delete          — soft delete
+ *   POST /api/v1/admin/reviews/photos/:photoId/hide|unhide — photo moderation
  *
  * Setup strategy:
  *   beforeAll  — create admin user, reviewer user, active establishment (shared)
@@ -524,3 +525,126 @@ describe('Aggregate recalculation on toggle-visibility (#17)', () => {
     expect(Number(estRow.rows[0].review_count)).toBe(1);
   });
 });
+
+// ============================================================================
+// Review photos — moderation and visibility on the public reviews endpoint
+// ============================================================================
+
+describe('Review photo moderation', () => {
+  const insertPhoto = async (reviewId, position = 0) => {
+    const result = await query(
+      `INSERT INTO review_photos (review_id, url, preview_url, thumbnail_url, position)
+       VALUES ($1, $2, $2, $2, $3)
+       RETURNING *`,
+      [reviewId, `https://res.cloudinary.com/test/${randomUUID()}.jpg`, position],
+    );
+    return result.rows[0];
+  };
+
+  const publicReviews = async () => {
+    const { rows } = await query('SELECT slug FROM establishments WHERE id = $1', [testEstablishmentId]);
+    const response = await request(app)
+      .get(`/api/v1/public/establishments/by-slug/${rows[0].slug}/reviews`)
+      .expect(200);
+    return response.body.data.reviews;
+  };
+
+  test('admin list includes the photos of each review', async () => {
+    const review = await createTestReview(reviewerUserId, testEstablishmentId);
+    const photo = await insertPhoto(review.id);
+
+    const response = await request(app)
+      .get('/api/v1/admin/reviews')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    const listed = response.body.data.find((r) => r.id === review.id);
+    expect(listed.photos).toEqual([
+      expect.objectContaining({ id: photo.id, is_hidden_by_admin: false }),
+    ]);
+  });
+
+  test('hide requires a reason', async () => {
+    const review = await createTestReview(reviewerUserId, testEstablishmentId);
+    const photo = await insertPhoto(review.id);
+
+    const response = await request(app)
+      .post(`/api/v1/admin/reviews/photos/${photo.id}/hide`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({})
+      .expect(400);
+
+    expect(response.body.error.code).toBe('REASON_REQUIRED');
+  });
+
+  test('hidden photo disappears from public reviews and is audit-logged', async () => {
+    const review = await createTestReview(reviewerUserId, testEstablishmentId);
+    const kept = await insertPhoto(review.id, 0);
+    const hidden = await insertPhoto(review.id, 1);
+
+    const response = await request(app)
+      .post(`/api/v1/admin/reviews/photos/${hidden.id}/hide`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ reason: 'Фото не относится к заведению' })
+      .expect(200);
+
+    expect(response.body.data.is_hidden_by_admin).toBe(true);
+
+    const reviews = await publicReviews();
+    const photoIds = reviews.find((r) => r.id === review.id).photos.map((p) => p.id);
+    expect(photoIds).toEqual([kept.id]);
+
+    const auditExists = await checkAuditLogExists(hidden.id, 'review_photo_hide');
+    expect(auditExists).toBe(true);
+  });
+
+  test('unhide restores the photo and is audit-logged', async () => {
+    const review = await createTestReview(reviewerUserId, testEstablishmentId);
+    const photo = await insertPhoto(review.id);
+    await query(
+      "UPDATE review_photos SET is_hidden_by_admin = TRUE, hidden_reason = 'Спам' WHERE id = $1",
+      [photo.id],
+    );
+
+    await request(app)
+      .post(`/api/v1/admin/reviews/photos/${photo.id}/unhide`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    const reviews = await publicReviews();
+    expect(reviews.find((r) => r.id === review.id).photos.map((p) => p.id)).toEqual([photo.id]);
+
+    const auditExists = await checkAuditLogExists(photo.id, 'review_photo_show');
+    expect(auditExists).toBe(true);
+  });
+
+  test('hiding the review hides its photos; showing it brings them back', async () => {
+    const review = await createTestReview(reviewerUserId, testEstablishmentId);
+    const photo = await insertPhoto(review.id);
+
+    await request(app)
+      .post(`/api/v1/admin/reviews/${review.id}/toggle-visibility`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect((await publicReviews()).find((r) => r.id === review.id)).toBeUndefined();
+
+    await request(app)
+      .post(`/api/v1/admin/reviews/${review.id}/toggle-visibility`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .expect(200);
+
+    const reviews = await publicReviews();
+    expect(reviews.find((r) => r.id === review.id).photos.map((p) => p.id)).toEqual([photo.id]);
+  });
+
+  test('should return 404 REVIEW_PHOTO_NOT_FOUND for non-existent photo', async () => {
+    const response = await request(app)
+      .post(`/api/v1/admin/reviews/photos/${randomUUID()}/hide`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ reason: 'Спам' })
+      .expect(404);
+
+    expect(response.body.error.code).toBe('REVIEW_PHOTO_NOT_FOUND');
+  });
+});
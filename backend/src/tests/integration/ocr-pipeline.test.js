@@ -3,8 +3,9 @@
 /**
  * Integration test: OCR menu pipeline end-to-end.
  *
- * Exercises: enqueue → pickNextPending → processJob → menu_items persistence,
- * with pdf-parse and OpenRouter fetch calls mocked at the module boundary.
+ * Exercises: enqueue → pickNextPending → processJob → menu draft staging →
+ * partner publish into menu_items, with pdf-parse and OpenRouter fetch calls
+ * mocked at the module boundary.
  *
  * The real DB is used — migration 024 must be applied to restaurant_guide_test
  * for this suite to run.
@@ -29,9 +30,17 @@ const openrouterModule = await import('../../config/openrouter.js');
 const { pool } = await import('../../config/database.js');
 const ocrJobModel = await import('../../models/ocrJobModel.js');
 const menuItemModel = await import('../../models/menuItemModel.js');
+const menuDraftModel = await import('../../models/menuDraftModel.js');
+const partnerMenuDraftService = await import('../../services/partnerMenuDraftService.js');
 const ocrService = await import('../../services/ocr/ocrService.js');
 const { createPartnerAndGetToken, createTestEstablishment } = await import('../utils/auth.js');
 
+/** Items of all staged drafts of an establishment, in draft item order. */
+const getDraftItems = async (establishmentId) => {
+  const drafts = await menuDraftModel.getByEstablishmentId(establishmentId);
+  return drafts.flatMap((draft) => draft.items.map((item) => ({ ...item, media_id: draft.media_id })));
+};
+
 const OCR_CONFIG = {
   apiKey: 'test-key',
   baseUrl: 'https://test.openrouter.ai/api/v1',
@@ -87,12 +96,53 @@ const buildFetchMock = (structuredItems) => {
   });
 };
 
+/**
+ * Fetch mock for page-level vision OCR. `pages` maps a page number to the text
+ * the vision call returns for its pg_N URL and the items the structurer returns
+ * for that text; `failPages` makes the vision call for those pages fail.
+ * Photos (no pg_N in the URL) count as page 1.
+ */
+const buildPagedFetchMock = (pages, { failPages = [] } = {}) => {
+  let chatCalls = 0;
+  const chat = (content) => ({
+    ok: true,
+    status: 200,
+    json: async () => ({ choices: [{ message: { content } }] }),
+    text: async () => '',
+  });
+
+  const mock = jest.fn(async (url, init = {}) => {
+    if (!url.includes('/chat/completions')) {
+      return { ok: true, status: 200, arrayBuffer: async () => new ArrayBuffer(64) };
+    }
+    chatCalls++;
+    const body = JSON.parse(init.body);
+    const userContent = body.messages[1].content;
+
+    if (Array.isArray(userContent)) {
+      const imageUrl = userContent.find((part) => part.type === 'image_url').image_url.url;
+      const pageNumber = Number(imageUrl.match(/\/pg_(\d+)\//)?.[1] || 1);
+      if (failPages.includes(pageNumber)) {
+        return { ok: false, status: 502, text: async () => `page ${pageNumber} unreadable` };
+      }
+      return chat(pages[pageNumber].text);
+    }
+
+    const page = Object.values(pages).find((p) => p.text === userContent);
+    return chat(JSON.stringify({ items: page.items }));
+  });
+  mock.chatCalls = () => chatCalls;
+  return mock;
+};
+
 describe('OCR pipeline integration', () => {
   let establishment;
+  let partnerId;
   let originalFetch;
 
   beforeAll(async () => {
     const { partner } = await createPartnerAndGetToken();
+    partnerId = partner.id;
     establishment = await createTestEstablishment(partner.id);
   });
 
@@ -161,11 +211,10 @@ describe('OCR pipeline integration', () => {
       flagged_count: 2,
     });
 
-    // Menu items persisted with sanity flags applied
-    const persistedItems = await menuItemModel.getByEstablishmentId(establishment.id, {
-      includeHidden: true,
-    });
+    // Items staged as a draft with sanity flags applied — nothing public yet
+    const persistedItems = await getDraftItems(establishment.id);
     expect(persistedItems).toHaveLength(5);
+    expect(await menuItemModel.getByEstablishmentId(establishment.id)).toHaveLength(0);
 
     const byName = Object.fromEntries(persistedItems.map((it) => [it.item_name, it]));
     expect(byName['Борщ украинский'].sanity_flag).toBeNull();
@@ -189,51 +238,39 @@ describe('OCR pipeline integration', () => {
       numpages: 2,
     });
 
-    const structuredItems = [
-      { item_name: 'Scanned Dish', price_byn: 10, category_raw: null, confidence: 0.85 },
-    ];
-
-    // Two OpenRouter calls happen: vision extract + structurer. For this test we
-    // return the same mock for both — vision gets "raw text", structurer gets items.
-    let chatCallCount = 0;
-    global.fetch = jest.fn(async (url) => {
-      if (url.includes('/chat/completions')) {
-        chatCallCount++;
-        if (chatCallCount === 1) {
-          // Vision call — return raw text
-          return {
-            ok: true,
-            status: 200,
-            json: async () => ({
-              choices: [{ message: { content: 'Scanned Dish — 10 руб' } }],
-            }),
-            text: async () => '',
-          };
-        }
-        // Structurer call
-        return {
-          ok: true,
-          status: 200,
-          json: async () => ({
-            choices: [
-              { message: { content: JSON.stringify({ items: structuredItems }) } },
-            ],
-          }),
-          text: async () => '',
-        };
-      }
-      return { ok: true, status: 200, arrayBuffer: async () => new ArrayBuffer(64) };
+    // Each page: one vision call (text keyed by its pg_N URL) + one structurer call.
+    const fetchMock = buildPagedFetchMock({
+      1: { text: 'Scanned Dish — 10 руб', items: [
+        { item_name: 'Scanned Dish', price_byn: 10, category_raw: null, confidence: 0.85 },
+      ] },
+      2: { text: 'Second Page Dish — 14 руб', items: [
+        { item_name: 'Second Page Dish', price_byn: 14, category_raw: null, confidence: 0.9 },
+      ] },
     });
+    global.fetch = fetchMock;
 
     await ocrJobModel.enqueue({ establishmentId: establishment.id, mediaId });
     const picked = await ocrJobModel.pickNextPending();
     const result = await ocrService.processJob(picked.id);
 
     expect(result.success).toBe(true);
+    expect(result.itemCount).toBe(2);
     const finalJob = await ocrJobModel.getJobStatus(picked.id);
     expect(finalJob.status).toBe('done');
-    expect(finalJob.result_summary.strategy).toBe('vision_pdf_fallback');
-    expect(chatCallCount).toBe(2);
+    expect(finalJob.result_summary).toMatchObject({
+      strategy: 'vision_pdf_fallback',
+      pages_total: 2,
+      pages_done: 2,
+      pages_failed: [],
+      partial: false,
+    });
+    expect(fetchMock.chatCalls()).toBe(4);
+
+    const pages = await ocrJobModel.getPages(picked.id);
+    expect(pages.map((p) => [p.page_number, p.status, p.attempts])).toEqual([
+      [1, 'done', 1],
+      [2, 'done', 1],
+    ]);
   });
 
   test('menu photo (file_type=image) → vision_image strategy, items persisted', async () => {
@@ -287,9 +324,7 @@ describe('OCR pipeline integration', () => {
     // Photos never touch the pdf-parse path.
     expect(pdfParseModule.default).not.toHaveBeenCalled();
 
-    const persistedItems = await menuItemModel.getByEstablishmentId(establishment.id, {
-      includeHidden: true,
-    });
+    const persistedItems = await getDraftItems(establishment.id);
     expect(persistedItems).toHaveLength(1);
     expect(persistedItems[0].item_name).toBe('Фото-блюдо');
     expect(persistedItems[0].media_id).toBe(mediaId);
@@ -368,7 +403,7 @@ describe('OCR pipeline integration', () => {
     expect(parseInt(rows.rows[0].count, 10)).toBe(1);
   });
 
-  test('replaceForMedia: previous items fully replaced, delta detected for price change', async () => {
+  test('draft diff against live items, publish replaces them, delta detected for price change', async () => {
     const { mediaId } = await insertTestMedia(establishment.id, 'pdf');
 
     // Pre-seed menu_items with an item that will appear again with a spiked price
@@ -395,6 +430,20 @@ describe('OCR pipeline integration', () => {
     const picked = await ocrJobModel.pickNextPending();
     await ocrService.processJob(picked.id);
 
+    // Live menu untouched until the partner publishes
+    const liveBefore = await menuItemModel.getByEstablishmentId(establishment.id);
+    expect(liveBefore.map((it) => it.item_name).sort()).toEqual(['Old item removed', 'Борщ']);
+
+    const [draft] = await partnerMenuDraftService.listDrafts(partnerId, establishment.id);
+    expect(draft.counts).toMatchObject({ added: 1, price_changed: 1, removed: 1 });
+    expect(draft.items.find((it) => it.item_name === 'Борщ')).toMatchObject({
+      change: 'price_changed',
+      previous_price_byn: 10,
+    });
+
+    await partnerMenuDraftService.publishDraft(partnerId, establishment.id, draft.id);
+
+    expect(await menuDraftModel.findById(draft.id)).toBeNull();
     const items = await menuItemModel.getByEstablishmentId(establishment.id, {
       includeHidden: true,
     });
@@ -409,4 +458,100 @@ describe('OCR pipeline integration', () => {
     });
     expect(items.find((it) => it.item_name === 'Old item removed')).toBeUndefined();
   });
+
+  describe('page-level vision OCR', () => {
+    const SCANNED_PAGES = {
+      1: { text: 'Борщ — 15 руб\nДраники — 12 руб', items: [
+        { item_name: 'Борщ', price_byn: 15, category_raw: 'Супы', confidence: 0.9 },
+        { item_name: 'Драники', price_byn: 12, category_raw: 'Горячее', confidence: 0.9 },
+      ] },
+      2: { text: 'Салат — 11 руб', items: [
+        { item_name: 'Салат', price_byn: 11, category_raw: 'Салаты', confidence: 0.9 },
+      ] },
+      // Running header repeats page 1's first dish
+      3: { text: 'Борщ — 15 руб\nКвас — 3 руб', items: [
+        { item_name: 'борщ ', price_byn: 15, category_raw: 'Супы', confidence: 0.95 },
+        { item_name: 'Квас', price_byn: 3, category_raw: 'Напитки', confidence: 0.9 },
+      ] },
+    };
+
+    beforeEach(() => {
+      pdfParseModule.default.mockResolvedValue({ text: 'xy', numpages: 3 });
+    });
+
+    test('failed page with attempts left → job re-queued, next run redoes only that page', async () => {
+      const { mediaId } = await insertTestMedia(establishment.id, 'pdf');
+      global.fetch = buildPagedFetchMock(SCANNED_PAGES, { failPages: [2] });
+
+      await ocrJobModel.enqueue({ establishmentId: establishment.id, mediaId });
+      const first = await ocrJobModel.pickNextPending();
+      const firstResult = await ocrService.processJob(first.id);
+
+      expect(firstResult.success).toBe(false);
+      const afterFirst = await ocrJobModel.getJobStatus(first.id);
+      expect(afterFirst.status).toBe('pending');
+      expect(afterFirst.error_message).toMatch(/1 of 3 pages failed/);
+      expect((await ocrJobModel.getPages(first.id)).map((p) => p.status))
+        .toEqual(['done', 'pending', 'done']);
+
+      const retryFetch = buildPagedFetchMock(SCANNED_PAGES);
+      global.fetch = retryFetch;
+      const second = await ocrJobModel.pickNextPending();
+      const secondResult = await ocrService.processJob(second.id);
+
+      expect(secondResult.success).toBe(true);
+      // Vision + structurer for page 2 only
+      expect(retryFetch.chatCalls()).toBe(2);
+
+      const finalJob = await ocrJobModel.getJobStatus(first.id);
+      expect(finalJob.result_summary).toMatchObject({
+        pages_total: 3,
+        pages_done: 3,
+        duplicates_removed: 1,
+        partial: false,
+      });
+
+      const items = await getDraftItems(establishment.id);
+      expect(items.map((it) => it.item_name)).toEqual(['борщ ', 'Драники', 'Салат', 'Квас']);
+    });
+
+    test('page still failing on the last attempt → partial success with the other pages', async () => {
+      const { mediaId } = await insertTestMedia(establishment.id, 'pdf');
+      global.fetch = buildPagedFetchMock(SCANNED_PAGES, { failPages: [2] });
+
+      const job = await ocrJobModel.enqueue({ establishmentId: establishment.id, mediaId });
+      await pool.query('UPDATE ocr_jobs SET attempts = 2 WHERE id = $1', [job.id]);
+      const picked = await ocrJobModel.pickNextPending();
+      const result = await ocrService.processJob(picked.id);
+
+      expect(result.success).toBe(true);
+      expect(result.itemCount).toBe(3);
+
+      const finalJob = await ocrJobModel.getJobStatus(picked.id);
+      expect(finalJob.status).toBe('done');
+      expect(finalJob.result_summary).toMatchObject({
+        pages_total: 3,
+        pages_done: 2,
+        pages_failed: [{ page: 2, error: expect.stringMatching(/502/) }],
+        partial: true,
+      });
+    });
+
+    test('pdf-parse fails → page count from upload metadata, not a 2-page cap', async () => {
+      const { mediaId } = await insertTestMedia(establishment.id, 'pdf');
+      pdfParseModule.default.mockRejectedValue(new Error('parse error'));
+      global.fetch = buildPagedFetchMock(SCANNED_PAGES);
+
+      await ocrJobModel.enqueue({ establishmentId: establishment.id, mediaId, pageCount: 3 });
+      const picked = await ocrJobModel.pickNextPending();
+      await ocrService.processJob(picked.id);
+
+      const finalJob = await ocrJobModel.getJobStatus(picked.id);
+      expect(finalJob.result_summary).toMatchObject({
+        strategy: 'vision_pdf_no_metadata',
+        pages_total: 3,
+        pages_done: 3,
+      });
+    });
+  });
 });
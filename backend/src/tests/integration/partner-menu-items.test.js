@@ -6,6 +6,16 @@
  *   GET   /api/v1/partner/establishments/:id/menu-items
  *   PATCH /api/v1/partner/menu-items/:id
  *   POST  /api/v1/partner/establishments/:id/retry-ocr
+ *   GET   /api/v1/partner/establishments/:id/menu-drafts
+ *   POST  /api/v1/partner/establishments/:id/menu-drafts/:draftId/publish
+ *   DELETE /api/v1/partner/establishments/:id/menu-drafts/:draftId
+ *   POST  /api/v1/partner/establishments/:id/menu-items (manual items)
+ *   PUT   /api/v1/partner/establishments/:id/menu-items/order
+ *   DELETE /api/v1/partner/menu-items/:id
+ *   /api/v1/partner/establishments/:id/menu-sections (CRUD + order)
+ *   GET   /api/v1/partner/establishments/:id/menu/export
+ *   POST  /api/v1/partner/establishments/:id/menu/import
+ *   GET   /api/v1/partner/establishments/:id/menu/price-history
  *
  * Ownership: each partner can only read/modify items belonging to their own
  * establishments. Foreign partners get 404 (not 403, to avoid leaking IDs).
@@ -16,6 +26,7 @@ import { randomUUID } from 'crypto';
 import app from '../../server.js';
 import { clearAllData, query } from '../utils/database.js';
 import { createUserAndGetTokens } from '../utils/auth.js';
+import * as MenuDraftModel from '../../models/menuDraftModel.js';
 
 async function createPartner() {
   return createUserAndGetTokens({
@@ -287,3 +298,484 @@ describe('POST /api/v1/partner/establishments/:id/retry-ocr', () => {
     expect(res.body.error.code).toBe('NO_PDF_MENUS');
   });
 });
+
+describe('partner menu drafts (OCR review)', () => {
+  async function seedDraft(estId, mediaId) {
+    const { draft, items } = await MenuDraftModel.replaceDraftForMedia({
+      establishmentId: estId,
+      mediaId,
+      ocrJobId: null,
+      items: [
+        { item_name: 'Капучино', price_byn: 7.5, confidence: 0.9, sanity_flag: null },
+        {
+          item_name: 'Эспрессо',
+          price_byn: 0.1,
+          confidence: 0.9,
+          sanity_flag: { reason: 'price_below_threshold' },
+        },
+      ],
+    });
+    return { draftId: draft.id, items };
+  }
+
+  test('GET returns the diff against live items of the same media', async () => {
+    const partner = await createPartner();
+    const estId = await createEstablishmentFor(partner.user.id);
+    const mediaId = await seedPdfMedia(estId);
+    await seedMenuItem(estId, mediaId, { itemName: 'Капучино', priceByn: 6.5 });
+    await seedMenuItem(estId, mediaId, { itemName: 'Латте', priceByn: 7 });
+    await seedDraft(estId, mediaId);
+
+    const res = await request(app)
+      .get(`/api/v1/partner/establishments/${estId}/menu-drafts`)
+      .set('Authorization', `Bearer ${partner.accessToken}`)
+      .expect(200);
+
+    expect(res.body.data).toHaveLength(1);
+    expect(res.body.data[0].counts).toEqual({
+      added: 1, price_changed: 1, unchanged: 0, removed: 1, flagged: 1,
+    });
+    expect(res.body.data[0].removed[0].item_name).toBe('Латте');
+  });
+
+  test('publish applies reject/edit/keep and deletes the draft in one go', async () => {
+    const partner = await createPartner();
+    const estId = await createEstablishmentFor(partner.user.id);
+    const mediaId = await seedPdfMedia(estId);
+    const latte = await seedMenuItem(estId, mediaId, { itemName: 'Латте', priceByn: 7 });
+    const { draftId, items } = await seedDraft(estId, mediaId);
+
+    const res = await request(app)
+      .post(`/api/v1/partner/establishments/${estId}/menu-drafts/${draftId}/publish`)
+      .set('Authorization', `Bearer ${partner.accessToken}`)
+      .send({
+        edits: [{ id: items[1].id, price_byn: 5 }],
+        keep_item_ids: [latte.id],
+      })
+      .expect(200);
+
+    expect(res.body.data).toEqual({ published: 2, rejected: 0, edited: 1, kept: 1, removed: 0 });
+
+    const live = await query(
+      'SELECT id, item_name, price_byn, sanity_flag FROM menu_items WHERE media_id = $1 ORDER BY item_name',
+      [mediaId],
+    );
+    expect(live.rows.map((r) => [r.item_name, Number(r.price_byn), r.sanity_flag])).toEqual([
+      ['Капучино', 7.5, null],
+      ['Латте', 7, null],
+      ['Эспрессо', 5, null],
+    ]);
+    expect(live.rows.find((r) => r.item_name === 'Латте').id).toBe(latte.id);
+
+    const drafts = await query('SELECT id FROM menu_drafts WHERE id = $1', [draftId]);
+    expect(drafts.rows).toHaveLength(0);
+  });
+
+  test('DELETE discards the draft and leaves live items untouched', async () => {
+    const partner = await createPartner();
+    const estId = await createEstablishmentFor(partner.user.id);
+    const mediaId = await seedPdfMedia(estId);
+    await seedMenuItem(estId, mediaId, { itemName: 'Латте', priceByn: 7 });
+    const { draftId } = await seedDraft(estId, mediaId);
+
+    await request(app)
+      .delete(`/api/v1/partner/establishments/${estId}/menu-drafts/${draftId}`)
+      .set('Authorization', `Bearer ${partner.accessToken}`)
+      .expect(200);
+
+    const live = await query('SELECT item_name FROM menu_items WHERE media_id = $1', [mediaId]);
+    expect(live.rows.map((r) => r.item_name)).toEqual(['Латте']);
+  });
+
+  test('a foreign partner cannot publish the draft', async () => {
+    const owner = await createPartner();
+    const other = await createPartner();
+    const estId = await createEstablishmentFor(owner.user.id);
+    const mediaId = await seedPdfMedia(estId);
+    const { draftId } = await seedDraft(estId, mediaId);
+
+    const res = await request(app)
+      .post(`/api/v1/partner/establishments/${estId}/menu-drafts/${draftId}/publish`)
+      .set('Authorization', `Bearer ${other.accessToken}`)
+      .expect(404);
+
+    expect(res.body.error.code).toBe('ESTABLISHMENT_NOT_FOUND');
+  });
+});
+
+describe('manual menu authoring and sections', () => {
+  async function createSection(partner, estId, name) {
+    const res = await request(app)
+      .post(`/api/v1/partner/establishments/${estId}/menu-sections`)
+      .set('Authorization', `Bearer ${partner.accessToken}`)
+      .send({ name })
+      .expect(201);
+    return res.body.data;
+  }
+
+  async function createItem(partner, estId, body) {
+    const res = await request(app)
+      .post(`/api/v1/partner/establishments/${estId}/menu-items`)
+      .set('Authorization', `Bearer ${partner.accessToken}`)
+      .send(body)
+      .expect(201);
+    return res.body.data;
+  }
+
+  test('creates sections and manual items; list is ordered by section', async () => {
+    const partner = await createPartner();
+    const estId = await createEstablishmentFor(partner.user.id);
+    const soups = await createSection(partner, estId, 'Супы');
+    const desserts = await createSection(partner, estId, 'Десерты');
+    await createItem(partner, estId, { item_name: 'Торт', price_byn: 8, section_id: desserts.id });
+    const borsch = await createItem(partner, estId, { item_name: 'Борщ', price_byn: 12, section_id: soups.id });
+
+    expect(borsch).toMatchObject({ source: 'manual', media_id: null, section_id: soups.id });
+
+    const res = await request(app)
+      .get(`/api/v1/partner/establishments/${estId}/menu-items`)
+      .set('Authorization', `Bearer ${partner.accessToken}`)
+      .expect(200);
+    expect(res.body.data.map((i) => [i.item_name, i.section_name])).toEqual([
+      ['Борщ', 'Супы'],
+      ['Торт', 'Десерты'],
+    ]);
+  });
+
+  test('a duplicate section name is a conflict', async () => {
+    const partner = await createPartner();
+    const estId = await createEstablishmentFor(partner.user.id);
+    await createSection(partner, estId, 'Супы');
+
+    await request(app)
+      .post(`/api/v1/partner/establishments/${estId}/menu-sections`)
+      .set('Authorization', `Bearer ${partner.accessToken}`)
+      .send({ name: 'Супы' })
+      .expect(409);
+  });
+
+  test('bulk reorder moves items between sections and reorders sections', async () => {
+    const partner = await createPartner();
+    const estId = await createEstablishmentFor(partner.user.id);
+    const soups = await createSection(partner, estId, 'Супы');
+    const desserts = await createSection(partner, estId, 'Десерты');
+    const a = await createItem(partner, estId, { item_name: 'Уха', section_id: soups.id });
+    const b = await createItem(partner, estId, { item_name: 'Щи', section_id: soups.id });
+
+    await request(app)
+      .put(`/api/v1/partner/establishments/${estId}/menu-items/order`)
+      .set('Authorization', `Bearer ${partner.accessToken}`)
+      .send({ items: [{ id: b.id, position: 0 }, { id: a.id, position: 0, section_id: desserts.id }] })
+      .expect(200);
+
+    await request(app)
+      .put(`/api/v1/partner/establishments/${estId}/menu-sections/order`)
+      .set('Authorization', `Bearer ${partner.accessToken}`)
+      .send({ section_ids: [desserts.id, soups.id] })
+      .expect(200);
+
+    const res = await request(app)
+      .get(`/api/v1/partner/establishments/${estId}/menu-items`)
+      .set('Authorization', `Bearer ${partner.accessToken}`)
+      .expect(200);
+    expect(res.body.data.map((i) => [i.item_name, i.section_name])).toEqual([
+      ['Уха', 'Десерты'],
+      ['Щи', 'Супы'],
+    ]);
+  });
+
+  test('deleting a section keeps its items; manual items can be deleted, OCR items cannot', async () => {
+    const partner = await createPartner();
+    const estId = await createEstablishmentFor(partner.user.id);
+    const mediaId = await seedPdfMedia(estId);
+    const ocrItem = await seedMenuItem(estId, mediaId);
+    const soups = await createSection(partner, estId, 'Супы');
+    const manual = await createItem(partner, estId, { item_name: 'Уха', section_id: soups.id });
+
+    await request(app)
+      .delete(`/api/v1/partner/establishments/${estId}/menu-sections/${soups.id}`)
+      .set('Authorization', `Bearer ${partner.accessToken}`)
+      .expect(200);
+    const after = await query('SELECT section_id FROM menu_items WHERE id = $1', [manual.id]);
+    expect(after.rows[0].section_id).toBeNull();
+
+    const refused = await request(app)
+      .delete(`/api/v1/partner/menu-items/${ocrItem.id}`)
+      .set('Authorization', `Bearer ${partner.accessToken}`)
+      .expect(409);
+    expect(refused.body.error.code).toBe('MENU_ITEM_NOT_MANUAL');
+
+    await request(app)
+      .delete(`/api/v1/partner/menu-items/${manual.id}`)
+      .set('Authorization', `Bearer ${partner.accessToken}`)
+      .expect(200);
+    const left = await query('SELECT id FROM menu_items WHERE establishment_id = $1', [estId]);
+    expect(left.rows.map((r) => r.id)).toEqual([ocrItem.id]);
+  });
+
+  test('publishing an OCR draft never overwrites manual items', async () => {
+    const partner = await createPartner();
+    const estId = await createEstablishmentFor(partner.user.id);
+    const mediaId = await seedPdfMedia(estId);
+    await seedMenuItem(estId, mediaId, { itemName: 'Латте', priceByn: 7 });
+    const manual = await createItem(partner, estId, { item_name: 'Сезонный суп', price_byn: 10 });
+    const { draft } = await MenuDraftModel.replaceDraftForMedia({
+      establishmentId: estId,
+      mediaId,
+      ocrJobId: null,
+      items: [{ item_name: 'Капучино', price_byn: 7.5, confidence: 0.9, sanity_flag: null }],
+    });
+
+    await request(app)
+      .post(`/api/v1/partner/establishments/${estId}/menu-drafts/${draft.id}/publish`)
+      .set('Authorization', `Bearer ${partner.accessToken}`)
+      .expect(200);
+
+    const rows = await query(
+      'SELECT id, item_name, source FROM menu_items WHERE establishment_id = $1 ORDER BY item_name',
+      [estId],
+    );
+    expect(rows.rows.map((r) => [r.item_name, r.source])).toEqual([
+      ['Капучино', 'ocr'],
+      ['Сезонный суп', 'manual'],
+    ]);
+    expect(rows.rows[1].id).toBe(manual.id);
+  });
+
+  test('rich fields round-trip to the public menu, with the dish photo', async () => {
+    const partner = await createPartner();
+    const estId = await createEstablishmentFor(partner.user.id);
+    const photoId = await seedPhotoMedia(estId, 'dishes');
+    await createItem(partner, estId, {
+      item_name: 'Драники',
+      price_byn: 9.5,
+      description: 'Со сметаной',
+      portion_size: 250,
+      portion_unit: 'g',
+      dietary_tags: ['vegetarian'],
+      photo_media_id: photoId,
+      is_available: false,
+    });
+
+    const { rows } = await query('SELECT slug FROM establishments WHERE id = $1', [estId]);
+    const res = await request(app)
+      .get(`/api/v1/public/establishments/by-slug/${rows[0].slug}/menu-items`)
+      .expect(200);
+
+    expect(res.body.data.menu_items[0]).toMatchObject({
+      item_name: 'Драники',
+      description: 'Со сметаной',
+      portion_size: 250,
+      portion_unit: 'g',
+      dietary_tags: ['vegetarian'],
+      photo: { url: 'http://test/photo.jpg', thumbnail_url: 'http://test/photo-t.jpg' },
+      is_available: false,
+    });
+  });
+
+  test('an interior photo cannot be a dish photo', async () => {
+    const partner = await createPartner();
+    const estId = await createEstablishmentFor(partner.user.id);
+    const interiorId = await seedPhotoMedia(estId, 'interior');
+
+    const res = await request(app)
+      .post(`/api/v1/partner/establishments/${estId}/menu-items`)
+      .set('Authorization', `Bearer ${partner.accessToken}`)
+      .send({ item_name: 'Драники', photo_media_id: interiorId })
+      .expect(422);
+    expect(res.body.error.code).toBe('INVALID_DISH_PHOTO');
+  });
+
+  test('a foreign partner cannot add items or sections', async () => {
+    const owner = await createPartner();
+    const other = await createPartner();
+    const estId = await createEstablishmentFor(owner.user.id);
+
+    await request(app)
+      .post(`/api/v1/partner/establishments/${estId}/menu-items`)
+      .set('Authorization', `Bearer ${other.accessToken}`)
+      .send({ item_name: 'Hack' })
+      .expect(404);
+    await request(app)
+      .post(`/api/v1/partner/establishments/${estId}/menu-sections`)
+      .set('Authorization', `Bearer ${other.accessToken}`)
+      .send({ name: 'Hack' })
+      .expect(404);
+  });
+});
+
+describe('menu file import / export', () => {
+  const CSV = [
+    'item_name;section;price_byn;portion_size;portion_unit;dietary_tags',
+    'Борщ;Супы;12,50;300;g;gluten_free',
+    'Драники;Горячее;9;;;vegetarian',
+  ].join('\n');
+
+  function importFile(partner, estId, content, { dryRun = false, filename = 'menu.csv' } = {}) {
+    return request(app)
+      .post(`/api/v1/partner/establishments/${estId}/menu/import${dryRun ? '?dry_run=true' : ''}`)
+      .set('Authorization', `Bearer ${partner.accessToken}`)
+      .attach('file', Buffer.from(content, 'utf8'), filename);
+  }
+
+  test('dry run previews the diff without touching the menu', async () => {
+    const partner = await createPartner();
+    const estId = await createEstablishmentFor(partner.user.id);
+
+    const res = await importFile(partner, estId, CSV, { dryRun: true }).expect(200);
+
+    expect(res.body.data).toMatchObject({
+      dry_run: true,
+      valid: true,
+      counts: { added: 2, changed: 0, unchanged: 0, removed: 0, skipped: 0 },
+      diff: { sections: { added: ['Супы', 'Горячее'], removed: [] } },
+    });
+    const { rows } = await query('SELECT COUNT(*)::int AS n FROM menu_items WHERE establishment_id = $1', [estId]);
+    expect(rows[0].n).toBe(0);
+  });
+
+  test('import replaces manual items, keeps OCR items, and export round-trips', async () => {
+    const partner = await createPartner();
+    const estId = await createEstablishmentFor(partner.user.id);
+    const mediaId = await seedPdfMedia(estId);
+    await seedMenuItem(estId, mediaId, { itemName: 'Капучино', categoryRaw: 'Кофе' });
+
+    await importFile(partner, estId, CSV).expect(200);
+    const second = await importFile(
+      partner,
+      estId,
+      'item_name;section;price_byn\nБорщ;Супы;13\nКапучино;Кофе;7',
+    ).expect(200);
+
+    expect(second.body.data.counts).toEqual({
+      added: 0, changed: 1, unchanged: 0, removed: 1, skipped: 1,
+    });
+
+    const list = await request(app)
+      .get(`/api/v1/partner/establishments/${estId}/menu-items`)
+      .set('Authorization', `Bearer ${partner.accessToken}`)
+      .expect(200);
+    expect(list.body.data.map((i) => [i.item_name, i.source, Number(i.price_byn)])).toEqual([
+      ['Борщ', 'manual', 13],
+      ['Капучино', 'ocr', 6.5],
+    ]);
+    expect(list.body.data[0]).toMatchObject({ portion_size: '300.0', dietary_tags: ['gluten_free'] });
+
+    const exported = await request(app)
+      .get(`/api/v1/partner/establishments/${estId}/menu/export?format=csv`)
+      .set('Authorization', `Bearer ${partner.accessToken}`)
+      .expect('Content-Type', /text\/csv/)
+      .expect(200);
+    const preview = await importFile(partner, estId, exported.text, { dryRun: true }).expect(200);
+    expect(preview.body.data.counts).toMatchObject({ changed: 0, removed: 0, unchanged: 1, skipped: 1 });
+  });
+
+  test('a file with row errors is refused as a whole', async () => {
+    const partner = await createPartner();
+    const estId = await createEstablishmentFor(partner.user.id);
+
+    const res = await importFile(partner, estId, 'item_name;price_byn\nБорщ;дорого\nЩи;5').expect(422);
+
+    expect(res.body.error.code).toBe('INVALID_MENU_ROWS');
+    expect(res.body.error.details.errors).toEqual([
+      'row 2: price_byn "дорого" is not a price (e.g. 12.50 or 12,50)',
+    ]);
+  });
+
+  test('rejects other file types and foreign partners', async () => {
+    const owner = await createPartner();
+    const other = await createPartner();
+    const estId = await createEstablishmentFor(owner.user.id);
+
+    const wrongType = await importFile(owner, estId, CSV, { filename: 'menu.xlsx' }).expect(400);
+    expect(wrongType.body.error.code).toBe('INVALID_FILE_TYPE');
+    await importFile(other, estId, CSV).expect(404);
+    await request(app)
+      .get(`/api/v1/partner/establishments/${estId}/menu/export`)
+      .set('Authorization', `Bearer ${other.accessToken}`)
+      .expect(404);
+  });
+});
+
+describe('menu price history', () => {
+  test('manual price edits are tracked and shown on the menu', async () => {
+    const partner = await createPartner();
+    const estId = await createEstablishmentFor(partner.user.id);
+    const created = await request(app)
+      .post(`/api/v1/partner/establishments/${estId}/menu-items`)
+      .set('Authorization', `Bearer ${partner.accessToken}`)
+      .send({ item_name: 'Капучино', price_byn: 12 })
+      .expect(201);
+
+    await request(app)
+      .patch(`/api/v1/partner/menu-items/${created.body.data.id}`)
+      .set('Authorization', `Bearer ${partner.accessToken}`)
+      .send({ description: 'Двойной' })
+      .expect(200);
+    await request(app)
+      .patch(`/api/v1/partner/menu-items/${created.body.data.id}`)
+      .set('Authorization', `Bearer ${partner.accessToken}`)
+      .send({ price_byn: 14 })
+      .expect(200);
+
+    const list = await request(app)
+      .get(`/api/v1/partner/establishments/${estId}/menu-items`)
+      .set('Authorization', `Bearer ${partner.accessToken}`)
+      .expect(200);
+    expect(list.body.data[0].price_change).toMatchObject({
+      previous_price_byn: '12.00',
+      price_byn: '14.00',
+    });
+
+    const changes = await request(app)
+      .get(`/api/v1/partner/establishments/${estId}/menu/price-history`)
+      .set('Authorization', `Bearer ${partner.accessToken}`)
+      .expect(200);
+    expect(changes.body.data).toHaveLength(1);
+    expect(changes.body.meta.total).toBe(1);
+
+    const dish = await request(app)
+      .get(`/api/v1/partner/establishments/${estId}/menu/price-history?item_name=${encodeURIComponent(' капучино')}`)
+      .set('Authorization', `Bearer ${partner.accessToken}`)
+      .expect(200);
+    expect(dish.body.data.map((h) => [h.source, h.previous_price_byn, h.price_byn])).toEqual([
+      ['manual', '12.00', '14.00'],
+      ['manual', null, '12.00'],
+    ]);
+  });
+
+  test('an import records only changed prices', async () => {
+    const partner = await createPartner();
+    const estId = await createEstablishmentFor(partner.user.id);
+    const upload = (content) => request(app)
+      .post(`/api/v1/partner/establishments/${estId}/menu/import`)
+      .set('Authorization', `Bearer ${partner.accessToken}`)
+      .attach('file', Buffer.from(content, 'utf8'), 'menu.csv')
+      .expect(200);
+
+    await upload('item_name;price_byn\nБорщ;12\nЩи;9');
+    await upload('item_name;price_byn\nБорщ;13\nЩи;9');
+
+    const { rows } = await query(
+      `SELECT item_name, previous_price_byn, price_byn, source FROM menu_price_history
+       WHERE establishment_id = $1 ORDER BY recorded_at, item_name`,
+      [estId],
+    );
+    expect(rows.map((r) => [r.item_name, r.previous_price_byn, r.price_byn, r.source])).toEqual([
+      ['Борщ', null, '12.00', 'import'],
+      ['Щи', null, '9.00', 'import'],
+      ['Борщ', '12.00', '13.00', 'import'],
+    ]);
+  });
+
+  test('foreign partners get 404', async () => {
+    const owner = await createPartner();
+    const other = await createPartner();
+    const estId = await createEstablishmentFor(owner.user.id);
+
+    await request(app)
+      .get(`/api/v1/partner/establishments/${estId}/menu/price-history`)
+      .set('Authorization', `Bearer ${other.accessToken}`)
+      .expect(404);
+  });
+});
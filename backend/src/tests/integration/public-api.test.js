@@ -373,6 +373,13 @@ describe('Public API — GET /api/v1/public/establishments?hours_filter', () =>
     expect(n).toContain('Open Til Morning');
     expect(n).toContain('Round The Clock');
   });
+
+  test('invalid open_at → 422 (same as /map)', async () => {
+    await request(app)
+      .get('/api/v1/public/establishments')
+      .query({ open_at: 'tonight' })
+      .expect(422);
+  });
 });
 
 // ============================================================================
@@ -813,6 +820,73 @@ describe('Public API — GET /api/v1/public/establishments/by-slug/:slug/menu-it
   });
 });
 
+// ============================================================================
+// /public/establishments/by-slug/:slug/similar
+// ============================================================================
+
+describe('Public API — GET /api/v1/public/establishments/by-slug/:slug/similar', () => {
+  beforeEach(async () => {
+    const inserted = await query(`
+      INSERT INTO establishments (id, partner_id, name, slug, description, city, address, latitude, longitude, categories, cuisines, price_range, attributes, status, working_hours, created_at, updated_at)
+      VALUES
+        (gen_random_uuid(), $1, 'Хинкальня', 'similar-target', 'Test', 'Минск', 'Test', 53.900, 27.560, ARRAY['Ресторан'], ARRAY['Грузинская'], '$$', '{"wifi": true}'::jsonb, 'active', $2::jsonb, NOW(), NOW()),
+        (gen_random_uuid(), $1, 'Сулико', 'similar-close', 'Test', 'Минск', 'Test', 53.902, 27.561, ARRAY['Ресторан'], ARRAY['Грузинская'], '$$', '{"wifi": true}'::jsonb, 'active', $2::jsonb, NOW(), NOW()),
+        (gen_random_uuid(), $1, 'Бистро', 'similar-loose', 'Test', 'Минск', 'Test', 53.950, 27.700, ARRAY['Ресторан'], ARRAY['Европейская'], '$$$$', '{}'::jsonb, 'active', $2::jsonb, NOW(), NOW()),
+        (gen_random_uuid(), $1, 'Кофейня', 'similar-unrelated', 'Test', 'Минск', 'Test', 53.900, 27.560, ARRAY['Кофейня'], ARRAY['Европейская'], '$', '{}'::jsonb, 'active', $2::jsonb, NOW(), NOW()),
+        (gen_random_uuid(), $1, 'Батуми', 'similar-other-city', 'Test', 'Гродно', 'Test', 53.680, 23.830, ARRAY['Ресторан'], ARRAY['Грузинская'], '$$', '{}'::jsonb, 'active', $2::jsonb, NOW(), NOW()),
+        (gen_random_uuid(), $1, 'Черновик', 'similar-draft', 'Test', 'Минск', 'Test', 53.900, 27.560, ARRAY['Ресторан'], ARRAY['Грузинская'], '$$', '{}'::jsonb, 'draft', $2::jsonb, NOW(), NOW())
+      RETURNING id, slug
+    `, [partnerId, defaultWorkingHours]);
+    const ids = Object.fromEntries(inserted.rows.map((r) => [r.slug, r.id]));
+
+    const media = await query(`
+      INSERT INTO establishment_media (establishment_id, type, file_type, url, thumbnail_url, preview_url)
+      VALUES ($1, 'menu', 'pdf', 'https://cdn.test/a.pdf', 'https://cdn.test/a.jpg', 'https://cdn.test/a.jpg'),
+             ($2, 'menu', 'pdf', 'https://cdn.test/b.pdf', 'https://cdn.test/b.jpg', 'https://cdn.test/b.jpg')
+      RETURNING id, establishment_id
+    `, [ids['similar-target'], ids['similar-close']]);
+    for (const m of media.rows) {
+      await query(`
+        INSERT INTO menu_items (establishment_id, media_id, item_name, price_byn, position)
+        VALUES ($1, $2, 'Хинкали', 3.50, 0), ($1, $2, 'Хачапури по-аджарски', 18.00, 1)
+      `, [m.establishment_id, m.id]);
+    }
+  });
+
+  test('ranks the closest match first and excludes self, other cities, unrelated and non-active', async () => {
+    const response = await request(app)
+      .get('/api/v1/public/establishments/by-slug/similar-target/similar')
+      .expect(200);
+
+    const slugs = response.body.data.establishments.map((e) => e.slug);
+    expect(slugs).toEqual(['similar-close', 'similar-loose']);
+
+    const [closest] = response.body.data.establishments;
+    expect(closest.similarity).toMatchObject({
+      shared_categories: ['Ресторан'],
+      shared_cuisines: ['Грузинская'],
+      shared_attributes: ['wifi'],
+      shared_menu_items: 2,
+      same_price_range: true,
+    });
+    assertNoSensitiveFields(closest);
+  });
+
+  test('respects limit', async () => {
+    const response = await request(app)
+      .get('/api/v1/public/establishments/by-slug/similar-target/similar?limit=1')
+      .expect(200);
+
+    expect(response.body.data.establishments).toHaveLength(1);
+  });
+
+  test('404 for non-active establishment slug', async () => {
+    await request(app)
+      .get('/api/v1/public/establishments/by-slug/similar-draft/similar')
+      .expect(404);
+  });
+});
+
 // ============================================================================
 // /public/establishments/by-slug/:slug/reviews
 // ============================================================================
@@ -251,6 +251,54 @@ describe('Reviews System - Create Review', () => {
   });
 });
 
+describe('Reviews System - Create Review with Photos (multipart)', () => {
+  const jpeg = Buffer.from([0xff, 0xd8, 0xff, 0xe0]);
+
+  test('should accept multipart form fields without photos', async () => {
+    const response = await request(app)
+      .post('/api/v1/reviews')
+      .set('Authorization', `Bearer ${userToken}`)
+      .field('establishmentId', establishmentId)
+      .field('rating', '4')
+      .field('content', longContent)
+      .expect(201);
+
+    expect(response.body.data.review.rating).toBe(4);
+    expect(response.body.data.review.photos).toEqual([]);
+  });
+
+  test('should reject more than 5 photos with TOO_MANY_PHOTOS', async () => {
+    let req = request(app)
+      .post('/api/v1/reviews')
+      .set('Authorization', `Bearer ${userToken}`)
+      .field('establishmentId', establishmentId)
+      .field('rating', '5')
+      .field('content', longContent);
+    for (let i = 0; i < 6; i++) {
+      req = req.attach('photos', jpeg, { filename: `photo-${i}.jpg`, contentType: 'image/jpeg' });
+    }
+
+    const response = await req.expect(400);
+
+    expect(response.body.error.code).toBe('TOO_MANY_PHOTOS');
+    expect(await countRecords('reviews')).toBe(0);
+  });
+
+  test('should reject non-image attachments with INVALID_FILE_TYPE', async () => {
+    const response = await request(app)
+      .post('/api/v1/reviews')
+      .set('Authorization', `Bearer ${userToken}`)
+      .field('establishmentId', establishmentId)
+      .field('rating', '5')
+      .field('content', longContent)
+      .attach('photos', Buffer.from('%PDF-1.4'), { filename: 'menu.pdf', contentType: 'application/pdf' })
+      .expect(400);
+
+    expect(response.body.error.code).toBe('INVALID_FILE_TYPE');
+    expect(await countRecords('reviews')).toBe(0);
+  });
+});
+
 describe('Reviews System - One Review Per User Per Establishment', () => {
   test('should allow first review for establishment', async () => {
     const response = await request(app)
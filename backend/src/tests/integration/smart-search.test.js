@@ -169,7 +169,7 @@ describe('Smart Search - Fallback Mode', () => {
     expect(response.body.data.establishments.some(e => e.name === 'Кофе Тайм')).toBe(true);
   });
 
-  test('should find establishments via SEARCH_SYNONYMS fallback', async () => {
+  test('should find establishments via search synonyms fallback', async () => {
     // Segment B: AI may now return dish="бургер" (category=null) per the
     // dish-vs-category distinction in the new prompt. When that happens,
     // search filters on menu_items, so we seed one so that Бургер Хаус is
@@ -248,6 +248,7 @@ describe('Smart Search - Response Format', () => {
     expect(data).toHaveProperty('establishments');
     expect(data).toHaveProperty('pagination');
     expect(data).toHaveProperty('fallback');
+    expect(['establishments', 'dishes']).toContain(data.mode);
     expect(data.pagination).toHaveProperty('total');
     expect(data.pagination).toHaveProperty('page');
     expect(data.pagination).toHaveProperty('limit');
@@ -20,11 +20,22 @@ export const TEST_STATE_TABLES = [
   'reviews',
   'bookings',
   'booking_settings',
+  'booking_tables',
+  'booking_waitlist',
+  'booking_calendar_feeds',
+  'booking_changes',
+  'search_events',
   'menu_items',
+  'menu_draft_items',
+  'menu_drafts',
+  'menu_sections',
+  'menu_price_history',
+  'review_photos',
   'promotions',
   'notifications',
   'device_tokens',
   'notification_preferences',
+  'ocr_job_pages',
   'ocr_jobs',
   'partner_documents',
   'subscriptions',
@@ -8,8 +8,11 @@
  *   getAggregationType — date range → 'day' | 'week' | 'month'
  *   computeChangePercent — change % with null-safe division
  *   fillDateGaps       — sparse time-series → dense continuous series
+ *   computeRate        — 0..1 share with zero-safe division
  *
- * No database connection. AnalyticsModel is mocked entirely.
+ * Plus getSearchAnalytics rate assembly over a mocked SearchEventModel.
+ *
+ * No database connection. AnalyticsModel and SearchEventModel are mocked entirely.
  * Time frozen at 2026-02-01T00:00:00.000Z for deterministic date assertions.
  *
  * fillDateGaps note: the function uses local midnight (setHours) internally.
@@ -25,6 +28,13 @@ import { jest } from '@jest/globals';
 // imports them at module load time.
 jest.unstable_mockModule('../../models/analyticsModel.js', () => ({}));
 
+jest.unstable_mockModule('../../models/searchEventModel.js', () => ({
+  getSearchTotals: jest.fn(),
+  getSearchTimeline: jest.fn(),
+  getTopQueries: jest.fn(),
+  getZeroResultQueries: jest.fn(),
+}));
+
 jest.unstable_mockModule('../../utils/logger.js', () => ({
   default: {
     info: jest.fn(),
@@ -50,7 +60,10 @@ const {
   getAggregationType,
   computeChangePercent,
   fillDateGaps,
+  computeRate,
+  getSearchAnalytics,
 } = await import('../../services/analyticsService.js');
+const SearchEventModel = await import('../../models/searchEventModel.js');
 
 // ============================================================================
 // Helpers
@@ -309,3 +322,77 @@ describe('fillDateGaps', () => {
     expect(result[2].count).toBe(99); // Jan 3 — last chronologically
   });
 });
+
+// ============================================================================
+// computeRate
+// ============================================================================
+
+describe('computeRate', () => {
+  test('returns a 4-decimal share', () => {
+    expect(computeRate(1, 3)).toBe(0.3333);
+  });
+
+  test('zero total → 0', () => {
+    expect(computeRate(0, 0)).toBe(0);
+  });
+});
+
+// ============================================================================
+// getSearchAnalytics
+// ============================================================================
+
+describe('getSearchAnalytics', () => {
+  const totals = (overrides = {}) => ({
+    total: 200,
+    zero_result: 30,
+    smart_total: 80,
+    smart_fallback: 8,
+    smart_cached: 20,
+    with_results: 170,
+    clicked: 51,
+    avg_click_position: '2.40',
+    ...overrides,
+  });
+
+  test('computes rates over the right denominators', async () => {
+    SearchEventModel.getSearchTotals
+      .mockResolvedValueOnce(totals())
+      .mockResolvedValueOnce(totals({ total: 100 }));
+    SearchEventModel.getSearchTimeline.mockResolvedValue([]);
+    SearchEventModel.getTopQueries.mockResolvedValue([{
+      query: 'суши',
+      searches: 12,
+      avg_results: 3,
+      zero_result_count: 2,
+      clicks: 5,
+      last_searched_at: new Date('2026-10-18T12:00:00Z'),
+    }]);
+
+    const data = await getSearchAnalytics({ period: '7d', limit: 10 });
+
+    expect(data.change_percent).toBe(100);
+    expect(data.zero_result_rate).toBe(0.15);
+    expect(data.smart_search).toEqual({
+      total: 80, fallback_count: 8, fallback_rate: 0.1, cache_hit_rate: 0.25,
+    });
+    // Clicks over searches that showed results: 51 / 170
+    expect(data.clicks).toEqual({ total: 51, click_through_rate: 0.3, avg_position: 2.4 });
+    expect(data.top_queries[0]).toMatchObject({
+      query: 'суши',
+      click_through_rate: 0.5,
+      last_searched_at: '2026-10-18T12:00:00.000Z',
+    });
+    expect(SearchEventModel.getTopQueries).toHaveBeenCalledWith(
+      expect.any(Date), expect.any(Date), 10,
+    );
+  });
+
+  test('wraps model failures in SEARCH_ANALYTICS_FAILED', async () => {
+    SearchEventModel.getSearchTotals.mockRejectedValue(new Error('db down'));
+    SearchEventModel.getSearchTimeline.mockResolvedValue([]);
+    SearchEventModel.getTopQueries.mockResolvedValue([]);
+
+    await expect(getSearchAnalytics({ period: '30d', limit: 20 }))
+      .rejects.toMatchObject({ statusCode: 500, code: 'SEARCH_ANALYTICS_FAILED' });
+  });
+});
@@ -0,0 +1,261 @@
+/* eslint-env jest */
+/* eslint comma-dangle: 0 */
+/**
+ * Unit Tests: bookingCalendarService.js
+ *
+ * Tests single-booking .ics ownership, feed token issue/rotation/revocation
+ * and token-authorised feed rendering (cancelled bookings stay in the feed).
+ */
+
+import { jest } from '@jest/globals';
+import { createHash } from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+
+// ============================================================================
+// Mocks
+// ============================================================================
+
+jest.unstable_mockModule('../../models/bookingModel.js', () => ({
+  getById: jest.fn(),
+  getForCalendarFeed: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../models/bookingCalendarFeedModel.js', () => ({
+  getByEstablishmentId: jest.fn(),
+  upsert: jest.fn(),
+  remove: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../models/establishmentModel.js', () => ({
+  findEstablishmentById: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../models/partnerAnalyticsModel.js', () => ({
+  verifyOwnership: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../middleware/errorHandler.js', () => ({
+  AppError: class AppError extends Error {
+    constructor(message, statusCode, code) {
+      super(message);
+      this.statusCode = statusCode;
+      this.code = code;
+    }
+  },
+}));
+
+const BookingModel = await import('../../models/bookingModel.js');
+const FeedModel = await import('../../models/bookingCalendarFeedModel.js');
+const EstablishmentModel = await import('../../models/establishmentModel.js');
+const AnalyticsModel = await import('../../models/partnerAnalyticsModel.js');
+
+const {
+  getBookingIcs,
+  getFeedStatus,
+  rotateFeedToken,
+  revokeFeed,
+  getFeedIcs,
+} = await import('../../services/bookingCalendarService.js');
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+const EST_ID = uuidv4();
+const USER_ID = uuidv4();
+const PARTNER_ID = uuidv4();
+const BOOKING_ID = uuidv4();
+
+const TOKEN = 'a'.repeat(64);
+const TOKEN_HASH = createHash('sha256').update(TOKEN).digest('hex');
+
+const makeBooking = (overrides = {}) => ({
+  id: BOOKING_ID,
+  establishment_id: EST_ID,
+  user_id: USER_ID,
+  booking_date: '2026-04-10',
+  booking_time: '19:00:00',
+  duration_minutes: 90,
+  guest_count: 3,
+  contact_phone: '+375291234567',
+  status: 'confirmed',
+  comment: null,
+  decline_reason: null,
+  establishment_name: 'Кафе Тест',
+  establishment_address: 'ул. Ленина 1',
+  establishment_city: 'Минск',
+  user_name: 'Иван',
+  created_at: new Date('2026-04-01T10:00:00Z'),
+  updated_at: new Date('2026-04-01T10:00:00Z'),
+  ...overrides,
+});
+
+beforeEach(() => {
+  AnalyticsModel.verifyOwnership.mockResolvedValue(true);
+});
+
+// ============================================================================
+// getBookingIcs
+// ============================================================================
+
+describe('getBookingIcs', () => {
+  it('returns an .ics with the booking as a Minsk-zoned event', async () => {
+    BookingModel.getById.mockResolvedValue(makeBooking());
+
+    const ics = await getBookingIcs(BOOKING_ID, USER_ID);
+
+    expect(ics).toContain('BEGIN:VCALENDAR');
+    expect(ics).toContain(`UID:${BOOKING_ID}@bookings.nirivio.by`);
+    expect(ics).toContain('DTSTART;TZID=Europe/Minsk:20260410T190000');
+    expect(ics).toContain('DTEND;TZID=Europe/Minsk:20260410T203000');
+    expect(ics).toContain('SUMMARY:Бронирование: Кафе Тест');
+    expect(ics).toContain('LOCATION:ул. Ленина 1\\, Минск');
+    expect(ics).toContain('STATUS:CONFIRMED');
+  });
+
+  it('exports a declined booking as cancelled with the reason', async () => {
+    BookingModel.getById.mockResolvedValue(makeBooking({
+      status: 'declined',
+      decline_reason: 'Нет мест',
+      updated_at: new Date('2026-04-01T11:00:00Z'),
+    }));
+
+    const ics = await getBookingIcs(BOOKING_ID, USER_ID);
+
+    expect(ics).toContain('STATUS:CANCELLED');
+    expect(ics).toContain('SEQUENCE:3600');
+    // long DESCRIPTION is folded — unfold before matching
+    expect(ics.replace(/\r\n /g, '')).toContain('Причина: Нет мест');
+  });
+
+  it('falls back to the default duration for legacy bookings', async () => {
+    BookingModel.getById.mockResolvedValue(makeBooking({ duration_minutes: null }));
+
+    const ics = await getBookingIcs(BOOKING_ID, USER_ID);
+
+    expect(ics).toContain('DTEND;TZID=Europe/Minsk:20260410T210000');
+  });
+
+  it('throws NOT_FOUND for unknown booking', async () => {
+    BookingModel.getById.mockResolvedValue(null);
+
+    await expect(getBookingIcs(BOOKING_ID, USER_ID))
+      .rejects.toMatchObject({ statusCode: 404, code: 'NOT_FOUND' });
+  });
+
+  it('throws FORBIDDEN for another user\'s booking', async () => {
+    BookingModel.getById.mockResolvedValue(makeBooking());
+
+    await expect(getBookingIcs(BOOKING_ID, uuidv4()))
+      .rejects.toMatchObject({ statusCode: 403, code: 'FORBIDDEN' });
+  });
+});
+
+// ============================================================================
+// Feed management
+// ============================================================================
+
+describe('feed management', () => {
+  it('reports a disabled feed', async () => {
+    FeedModel.getByEstablishmentId.mockResolvedValue(null);
+
+    const result = await getFeedStatus(EST_ID, PARTNER_ID);
+
+    expect(result).toEqual({ enabled: false, created_at: null });
+  });
+
+  it('issues a fresh token and stores only its hash', async () => {
+    const createdAt = new Date();
+    FeedModel.upsert.mockResolvedValue({ establishment_id: EST_ID, created_at: createdAt });
+
+    const result = await rotateFeedToken(EST_ID, PARTNER_ID);
+
+    expect(result.token).toMatch(/^[0-9a-f]{64}$/);
+    expect(result.created_at).toBe(createdAt);
+    const [estId, storedHash] = FeedModel.upsert.mock.calls[0];
+    expect(estId).toBe(EST_ID);
+    expect(storedHash).toBe(createHash('sha256').update(result.token).digest('hex'));
+    expect(storedHash).not.toBe(result.token);
+  });
+
+  it('rejects partners who do not own the establishment', async () => {
+    AnalyticsModel.verifyOwnership.mockResolvedValue(false);
+
+    await expect(rotateFeedToken(EST_ID, PARTNER_ID))
+      .rejects.toMatchObject({ statusCode: 403, code: 'FORBIDDEN' });
+    expect(FeedModel.upsert).not.toHaveBeenCalled();
+  });
+
+  it('revokes an enabled feed', async () => {
+    FeedModel.remove.mockResolvedValue(true);
+
+    await revokeFeed(EST_ID, PARTNER_ID);
+
+    expect(FeedModel.remove).toHaveBeenCalledWith(EST_ID);
+  });
+
+  it('throws NOT_FOUND when revoking a feed that is not enabled', async () => {
+    FeedModel.remove.mockResolvedValue(false);
+
+    await expect(revokeFeed(EST_ID, PARTNER_ID))
+      .rejects.toMatchObject({ statusCode: 404, code: 'NOT_FOUND' });
+  });
+});
+
+// ============================================================================
+// getFeedIcs
+// ============================================================================
+
+describe('getFeedIcs', () => {
+  beforeEach(() => {
+    FeedModel.getByEstablishmentId.mockResolvedValue({
+      establishment_id: EST_ID,
+      token_hash: TOKEN_HASH,
+    });
+    EstablishmentModel.findEstablishmentById.mockResolvedValue({ id: EST_ID, name: 'Кафе Тест' });
+  });
+
+  it('renders every booking, keeping cancelled ones as CANCELLED events', async () => {
+    BookingModel.getForCalendarFeed.mockResolvedValue([
+      makeBooking(),
+      makeBooking({
+        id: 'b-2',
+        status: 'cancelled',
+        user_name: 'Пётр',
+        comment: 'У окна',
+      }),
+    ]);
+
+    const ics = await getFeedIcs(EST_ID, TOKEN);
+
+    expect(ics).toContain('X-WR-CALNAME:Бронирования — Кафе Тест');
+    expect(ics.match(/BEGIN:VEVENT/g)).toHaveLength(2);
+    expect(ics).toContain('SUMMARY:Иван\\, 3 чел.');
+    expect(ics).toContain('UID:b-2@bookings.nirivio.by');
+    expect(ics).toContain('STATUS:CANCELLED');
+    expect(ics).toContain('Комментарий: У окна');
+
+    const [estId, options] = BookingModel.getForCalendarFeed.mock.calls[0];
+    expect(estId).toBe(EST_ID);
+    expect(options.fromDate).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+  });
+
+  it('answers 404 for a wrong token', async () => {
+    await expect(getFeedIcs(EST_ID, 'b'.repeat(64)))
+      .rejects.toMatchObject({ statusCode: 404, code: 'NOT_FOUND' });
+    expect(BookingModel.getForCalendarFeed).not.toHaveBeenCalled();
+  });
+
+  it('answers 404 for a missing token', async () => {
+    await expect(getFeedIcs(EST_ID, undefined))
+      .rejects.toMatchObject({ statusCode: 404, code: 'NOT_FOUND' });
+    expect(FeedModel.getByEstablishmentId).not.toHaveBeenCalled();
+  });
+
+  it('answers 404 when the feed is disabled', async () => {
+    FeedModel.getByEstablishmentId.mockResolvedValue(null);
+
+    await expect(getFeedIcs(EST_ID, TOKEN))
+      .rejects.toMatchObject({ statusCode: 404, code: 'NOT_FOUND' });
+  });
+});
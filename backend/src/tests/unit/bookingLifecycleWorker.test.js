@@ -0,0 +1,110 @@
+/* eslint-env jest */
+/**
+ * Unit Tests: bookingLifecycleWorker.js
+ *
+ * Covers: tick() runs every sweep in order, isolates sweep failures,
+ * start()/stop() lifecycle, interval fallback.
+ */
+
+import { jest } from '@jest/globals';
+
+// ============================================================================
+// Mocks
+// ============================================================================
+
+jest.unstable_mockModule('../../services/bookingService.js', () => ({
+  processExpiredBookings: jest.fn(),
+  processWaitlist: jest.fn(),
+  processBookingReminders: jest.fn(),
+  processReconfirmRequests: jest.fn(),
+  processPastBookings: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../utils/logger.js', () => ({
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const BookingService = await import('../../services/bookingService.js');
+const { default: logger } = await import('../../utils/logger.js');
+const Worker = await import('../../services/bookingLifecycleWorker.js');
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  BookingService.processExpiredBookings.mockResolvedValue({ expired: 0, notified: 0 });
+  BookingService.processWaitlist.mockResolvedValue({ expiredEntries: 0, expiredOffers: 0, reoffered: 0 });
+  BookingService.processBookingReminders.mockResolvedValue({ reminded: 0 });
+  BookingService.processReconfirmRequests.mockResolvedValue({ requested: 0 });
+  BookingService.processPastBookings.mockResolvedValue({ awaitingOutcome: 0 });
+});
+
+afterEach(async () => {
+  await Worker.stop();
+});
+
+describe('tick', () => {
+  it('runs expiry, waitlist, reminder, reconfirm and outcome sweeps', async () => {
+    await Worker.tick();
+
+    expect(BookingService.processExpiredBookings).toHaveBeenCalledTimes(1);
+    expect(BookingService.processWaitlist).toHaveBeenCalledTimes(1);
+    expect(BookingService.processBookingReminders).toHaveBeenCalledTimes(1);
+    expect(BookingService.processReconfirmRequests).toHaveBeenCalledTimes(1);
+    expect(BookingService.processPastBookings).toHaveBeenCalledTimes(1);
+  });
+
+  it('keeps running later sweeps when one fails', async () => {
+    BookingService.processExpiredBookings.mockRejectedValue(new Error('db down'));
+
+    await expect(Worker.tick()).resolves.toBeUndefined();
+
+    expect(BookingService.processBookingReminders).toHaveBeenCalled();
+    expect(BookingService.processReconfirmRequests).toHaveBeenCalled();
+    expect(BookingService.processPastBookings).toHaveBeenCalled();
+  });
+
+  it('skips a tick while the previous run is in flight', async () => {
+    let release;
+    BookingService.processExpiredBookings.mockReturnValue(new Promise((resolve) => {
+      release = resolve;
+    }));
+
+    const first = Worker.tick();
+    await Worker.tick();
+    expect(Worker.status().busy).toBe(true);
+
+    release({ expired: 0, notified: 0 });
+    await first;
+
+    expect(BookingService.processExpiredBookings).toHaveBeenCalledTimes(1);
+    expect(Worker.status().busy).toBe(false);
+  });
+});
+
+describe('start / stop', () => {
+  it('start() is idempotent and stop() clears the interval', async () => {
+    Worker.start({ intervalMs: 60000 });
+    Worker.start({ intervalMs: 60000 });
+    expect(Worker.status().running).toBe(true);
+
+    await Worker.stop();
+    expect(Worker.status().running).toBe(false);
+  });
+
+  it.each(['abc', '0', '-5'])('falls back to 60000ms for BOOKING_WORKER_INTERVAL_MS=%s', (value) => {
+    const previous = process.env.BOOKING_WORKER_INTERVAL_MS;
+    process.env.BOOKING_WORKER_INTERVAL_MS = value;
+    try {
+      Worker.start();
+    } finally {
+      if (previous === undefined) delete process.env.BOOKING_WORKER_INTERVAL_MS;
+      else process.env.BOOKING_WORKER_INTERVAL_MS = previous;
+    }
+
+    expect(logger.info).toHaveBeenCalledWith('Booking worker started', { intervalMs: 60000 });
+  });
+});
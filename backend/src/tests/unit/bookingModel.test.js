@@ -5,7 +5,9 @@
  *
  * Tests SQL query construction with mocked pool.
  * Covers: create, updateStatus, getById, getByEstablishmentId, getByUserId,
- * getActiveCountForUser, getActiveForEstablishmentAndUser, lazy expiry.
+ * getActiveCountForUser, getActiveForEstablishmentAndUser, getForCapacityWindow,
+ * getForCalendarFeed, partner-entered rows, applyModification, getChanges,
+ * lazy expiry, lifecycle worker sweeps.
  */
 
 import { jest } from '@jest/globals';
@@ -16,9 +18,12 @@ import { v4 as uuidv4 } from 'uuid';
 // ============================================================================
 
 const mockQuery = jest.fn();
+const mockClientQuery = jest.fn();
+const mockRelease = jest.fn();
+const mockConnect = jest.fn();
 
 jest.unstable_mockModule('../../config/database.js', () => ({
-  default: { query: mockQuery },
+  default: { query: mockQuery, connect: mockConnect },
 }));
 
 jest.unstable_mockModule('../../utils/logger.js', () => ({
@@ -52,6 +57,7 @@ const mockBookingRow = {
 
 beforeEach(() => {
   jest.clearAllMocks();
+  mockConnect.mockResolvedValue({ query: mockClientQuery, release: mockRelease });
 });
 
 // ============================================================================
@@ -80,6 +86,47 @@ describe('create', () => {
     expect(sql).toContain('RETURNING *');
   });
 
+  it('defaults app bookings to pending with no partner fields', async () => {
+    mockQuery.mockResolvedValue({ rows: [mockBookingRow] });
+
+    await Model.create({
+      establishmentId: EST_ID,
+      userId: USER_ID,
+      bookingDate: '2026-04-10',
+      bookingTime: '12:00',
+      guestCount: 2,
+      contactPhone: '+375291234567',
+      expiresAt: new Date(),
+    });
+
+    const [, params] = mockQuery.mock.calls[0];
+    expect(params.slice(9)).toEqual(['pending', null, 'app', null, null]);
+  });
+
+  it('inserts a partner-entered booking without a user', async () => {
+    const confirmedAt = new Date();
+    mockQuery.mockResolvedValue({ rows: [{ ...mockBookingRow, user_id: null, source: 'partner' }] });
+
+    await Model.create({
+      establishmentId: EST_ID,
+      bookingDate: '2026-04-10',
+      bookingTime: '19:00',
+      guestCount: 4,
+      contactPhone: '+375291112233',
+      expiresAt: confirmedAt,
+      status: 'confirmed',
+      confirmedAt,
+      source: 'partner',
+      guestName: 'Анна',
+      createdBy: USER_ID,
+    });
+
+    const [sql, params] = mockQuery.mock.calls[0];
+    expect(sql).toContain('source, guest_name, created_by');
+    expect(params[1]).toBeNull();
+    expect(params.slice(9)).toEqual(['confirmed', confirmedAt, 'partner', 'Анна', USER_ID]);
+  });
+
   it('propagates DB errors', async () => {
     mockQuery.mockRejectedValue(new Error('DB error'));
 
@@ -151,6 +198,15 @@ describe('getById', () => {
     expect(sql).toContain('JOIN users');
   });
 
+  it('falls back to guest_name for partner-entered bookings', async () => {
+    mockQuery.mockResolvedValue({ rows: [] });
+
+    await Model.getById(BOOKING_ID);
+    const [sql] = mockQuery.mock.calls[0];
+    expect(sql).toContain('LEFT JOIN users');
+    expect(sql).toContain('COALESCE(u.name, b.guest_name) AS user_name');
+  });
+
   it('returns null when not found', async () => {
     mockQuery.mockResolvedValue({ rows: [] });
 
@@ -259,3 +315,296 @@ describe('getActiveForEstablishmentAndUser', () => {
     expect(result).toBeNull();
   });
 });
+
+// ============================================================================
+// getForCapacityWindow
+// ============================================================================
+
+describe('getForCapacityWindow', () => {
+  it('queries the surrounding days with default statuses', async () => {
+    mockQuery
+      .mockResolvedValueOnce({ rowCount: 0 }) // lazy expiry
+      .mockResolvedValueOnce({ rows: [{ id: BOOKING_ID, day_offset: 0 }] });
+
+    const result = await Model.getForCapacityWindow(EST_ID, '2026-04-10');
+
+    expect(result).toEqual([{ id: BOOKING_ID, day_offset: 0 }]);
+    const [sql, params] = mockQuery.mock.calls[1];
+    expect(sql).toContain('BETWEEN $2::date - 1 AND $2::date + 1');
+    expect(params).toEqual([EST_ID, '2026-04-10', ['pending', 'confirmed'], null]);
+  });
+
+  it('passes status filter and excluded booking', async () => {
+    mockQuery
+      .mockResolvedValueOnce({ rowCount: 0 })
+      .mockResolvedValueOnce({ rows: [] });
+
+    await Model.getForCapacityWindow(EST_ID, '2026-04-10', {
+      statuses: ['confirmed'],
+      excludeBookingId: BOOKING_ID,
+    });
+
+    const [, params] = mockQuery.mock.calls[1];
+    expect(params).toEqual([EST_ID, '2026-04-10', ['confirmed'], BOOKING_ID]);
+  });
+});
+
+// ============================================================================
+// getForCalendarFeed
+// ============================================================================
+
+describe('getForCalendarFeed', () => {
+  it('returns bookings of every status from the given date, in visit order', async () => {
+    mockQuery
+      .mockResolvedValueOnce({ rowCount: 0 }) // lazy expiry
+      .mockResolvedValueOnce({ rows: [mockBookingRow] });
+
+    const result = await Model.getForCalendarFeed(EST_ID, { fromDate: '2026-03-10' });
+
+    expect(result).toEqual([mockBookingRow]);
+    const [sql, params] = mockQuery.mock.calls[1];
+    expect(sql).toContain('b.booking_date >= $2::date');
+    expect(sql).toContain('ORDER BY b.booking_date, b.booking_time');
+    expect(sql).not.toContain('b.status');
+    expect(params).toEqual([EST_ID, '2026-03-10', 1000]);
+  });
+});
+
+// ============================================================================
+// Lifecycle worker sweeps
+// ============================================================================
+
+describe('expireDuePending', () => {
+  it('expires all due pending bookings and returns the count', async () => {
+    mockQuery.mockResolvedValueOnce({ rowCount: 3 });
+
+    const result = await Model.expireDuePending();
+
+    expect(result).toBe(3);
+    const [sql] = mockQuery.mock.calls[0];
+    expect(sql).toContain("SET status = 'expired'");
+    expect(sql).not.toContain('user_id');
+  });
+});
+
+describe('claimExpiredForNotification', () => {
+  it('stamps expiry_notified_at with a skip-locked claim', async () => {
+    mockQuery.mockResolvedValueOnce({ rows: [{ ...mockBookingRow, status: 'expired' }] });
+
+    const result = await Model.claimExpiredForNotification();
+
+    expect(result).toHaveLength(1);
+    const [sql, params] = mockQuery.mock.calls[0];
+    expect(sql).toContain('expiry_notified_at IS NULL');
+    expect(sql).toContain('FOR UPDATE SKIP LOCKED');
+    expect(params).toEqual([100]);
+  });
+});
+
+describe('claimDueReminders', () => {
+  it('uses each establishment\'s reminder lead time against UTC now', async () => {
+    mockQuery.mockResolvedValueOnce({ rows: [] });
+
+    await Model.claimDueReminders(50);
+
+    const [sql, params] = mockQuery.mock.calls[0];
+    expect(sql).toContain("AT TIME ZONE 'Europe/Minsk'");
+    expect(sql).toContain('s.reminder_hours_before > 0');
+    expect(sql).toContain('reminder_sent_at IS NULL');
+    expect(sql).toContain('b.user_id IS NOT NULL');
+    expect(params).toEqual([50]);
+  });
+});
+
+describe('claimDueReconfirmRequests', () => {
+  it('claims opted-in bookings made before the request window', async () => {
+    mockQuery.mockResolvedValueOnce({ rows: [{ ...mockBookingRow, status: 'confirmed' }] });
+
+    const result = await Model.claimDueReconfirmRequests(24);
+
+    expect(result).toHaveLength(1);
+    const [sql, params] = mockQuery.mock.calls[0];
+    expect(sql).toContain('s.reconfirm_enabled = TRUE');
+    expect(sql).toContain('reconfirm_requested_at IS NULL');
+    expect(sql).toContain('b.user_id IS NOT NULL');
+    expect(sql).toContain('b.created_at <');
+    expect(params).toEqual([24, 100]);
+  });
+});
+
+describe('markReconfirmed', () => {
+  it('stamps reconfirmed_at only for an open request', async () => {
+    mockQuery.mockResolvedValueOnce({ rows: [{ ...mockBookingRow, reconfirmed_at: new Date() }] });
+
+    const result = await Model.markReconfirmed(BOOKING_ID);
+
+    expect(result.reconfirmed_at).toBeDefined();
+    const [sql, params] = mockQuery.mock.calls[0];
+    expect(sql).toContain('reconfirmed_at IS NULL');
+    expect(params).toEqual([BOOKING_ID]);
+  });
+
+  it('returns null when there is nothing to reconfirm', async () => {
+    mockQuery.mockResolvedValueOnce({ rows: [] });
+
+    expect(await Model.markReconfirmed(BOOKING_ID)).toBeNull();
+  });
+});
+
+describe('markPastConfirmedAwaitingOutcome', () => {
+  it('moves confirmed bookings past their seating window', async () => {
+    mockQuery.mockResolvedValueOnce({ rows: [{ ...mockBookingRow, status: 'awaiting_outcome' }] });
+
+    const result = await Model.markPastConfirmedAwaitingOutcome();
+
+    expect(result[0].status).toBe('awaiting_outcome');
+    const [sql] = mockQuery.mock.calls[0];
+    expect(sql).toContain("SET status = 'awaiting_outcome'");
+    expect(sql).toContain('COALESCE(b.duration_minutes, s.seating_duration_minutes, 120)');
+    expect(sql).toContain("b.source <> 'walk_in'");
+  });
+});
+
+describe('completePastWalkIns', () => {
+  it('completes walk-ins past their seating window', async () => {
+    mockQuery.mockResolvedValueOnce({ rowCount: 2 });
+
+    const result = await Model.completePastWalkIns();
+
+    expect(result).toBe(2);
+    const [sql, params] = mockQuery.mock.calls[0];
+    expect(sql).toContain("b.source = 'walk_in'");
+    expect(sql).toContain("SET status = 'completed'");
+    expect(params).toEqual([100]);
+  });
+});
+
+describe('applyModification', () => {
+  const change = {
+    expectedStatus: 'confirmed',
+    changedBy: USER_ID,
+    bookingDate: '2026-04-11',
+    bookingTime: '20:00',
+    guestCount: 3,
+    durationMinutes: 120,
+    status: 'pending',
+    expiresAt: new Date('2026-04-09T12:00:00Z'),
+    rescheduled: true,
+  };
+
+  it('updates the booking and records the change in one transaction', async () => {
+    mockClientQuery
+      .mockResolvedValueOnce({}) // BEGIN
+      .mockResolvedValueOnce({
+        rows: [{ booking_date: '2026-04-10', booking_time: '19:00:00', guest_count: 2, status: 'confirmed' }],
+      })
+      .mockResolvedValueOnce({ rows: [{ ...mockBookingRow, status: 'pending' }] })
+      .mockResolvedValueOnce({}) // INSERT booking_changes
+      .mockResolvedValueOnce({}); // COMMIT
+
+    const result = await Model.applyModification(BOOKING_ID, change);
+
+    expect(result.status).toBe('pending');
+    const calls = mockClientQuery.mock.calls;
+    expect(calls[0][0]).toBe('BEGIN');
+    expect(calls[1][0]).toContain('FOR UPDATE');
+    expect(calls[1][1]).toEqual([BOOKING_ID, 'confirmed']);
+    expect(calls[2][0]).toContain('reminder_sent_at = CASE WHEN $8');
+    expect(calls[2][1]).toEqual([
+      BOOKING_ID, '2026-04-11', '20:00', 3, 120, 'pending', change.expiresAt, true,
+    ]);
+    expect(calls[3][0]).toContain('INSERT INTO booking_changes');
+    expect(calls[3][1]).toEqual([
+      BOOKING_ID, USER_ID, '2026-04-10', '19:00:00', 2, 'confirmed',
+      '2026-04-11', '20:00', 3, 'pending',
+    ]);
+    expect(calls[4][0]).toBe('COMMIT');
+    expect(mockRelease).toHaveBeenCalled();
+  });
+
+  it('writes nothing when the booking left the expected status', async () => {
+    mockClientQuery
+      .mockResolvedValueOnce({}) // BEGIN
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({}); // ROLLBACK
+
+    expect(await Model.applyModification(BOOKING_ID, change)).toBeNull();
+    expect(mockClientQuery.mock.calls[2][0]).toBe('ROLLBACK');
+    expect(mockClientQuery).toHaveBeenCalledTimes(3);
+    expect(mockRelease).toHaveBeenCalled();
+  });
+
+  it('rolls back and rethrows on failure', async () => {
+    mockClientQuery
+      .mockResolvedValueOnce({}) // BEGIN
+      .mockRejectedValueOnce(new Error('db down'))
+      .mockResolvedValueOnce({}); // ROLLBACK
+
+    await expect(Model.applyModification(BOOKING_ID, change)).rejects.toThrow('db down');
+    expect(mockClientQuery.mock.calls[2][0]).toBe('ROLLBACK');
+    expect(mockRelease).toHaveBeenCalled();
+  });
+
+  it('runs on the caller\'s transaction without its own BEGIN/COMMIT', async () => {
+    const txQuery = jest.fn()
+      .mockResolvedValueOnce({
+        rows: [{ booking_date: '2026-04-10', booking_time: '19:00:00', guest_count: 2, status: 'confirmed' }],
+      })
+      .mockResolvedValueOnce({ rows: [{ ...mockBookingRow, status: 'pending' }] })
+      .mockResolvedValueOnce({});
+
+    const result = await Model.applyModification(BOOKING_ID, change, { query: txQuery });
+
+    expect(result.status).toBe('pending');
+    expect(txQuery).toHaveBeenCalledTimes(3);
+    expect(txQuery.mock.calls[0][0]).toContain('FOR UPDATE');
+    expect(mockConnect).not.toHaveBeenCalled();
+  });
+});
+
+describe('withSlotLock', () => {
+  it('takes the advisory locks for the date and the next day before the callback', async () => {
+    mockClientQuery.mockResolvedValue({});
+    const callback = jest.fn().mockResolvedValue('done');
+
+    expect(await Model.withSlotLock(EST_ID, '2026-04-10', callback)).toBe('done');
+
+    const calls = mockClientQuery.mock.calls;
+    expect(calls[0][0]).toBe('BEGIN');
+    expect(calls[1][0]).toContain('pg_advisory_xact_lock');
+    expect(calls[1][1]).toEqual([EST_ID, '2026-04-10', 0]);
+    expect(calls[2][1]).toEqual([EST_ID, '2026-04-10', 1]);
+    expect(callback).toHaveBeenCalledWith(expect.objectContaining({ query: mockClientQuery }));
+    expect(calls[3][0]).toBe('COMMIT');
+    expect(mockRelease).toHaveBeenCalled();
+  });
+
+  it('rolls back when the callback throws', async () => {
+    mockClientQuery.mockResolvedValue({});
+
+    await expect(Model.withSlotLock(EST_ID, '2026-04-10', async () => {
+      throw new Error('slot full');
+    })).rejects.toThrow('slot full');
+
+    expect(mockClientQuery.mock.calls.at(-1)[0]).toBe('ROLLBACK');
+    expect(mockRelease).toHaveBeenCalled();
+  });
+});
+
+describe('getChanges / countChanges', () => {
+  it('reads the history oldest first', async () => {
+    mockQuery.mockResolvedValueOnce({ rows: [{ id: 'c1' }] });
+
+    expect(await Model.getChanges(BOOKING_ID)).toEqual([{ id: 'c1' }]);
+    const [sql, params] = mockQuery.mock.calls[0];
+    expect(sql).toContain('FROM booking_changes');
+    expect(sql).toContain('ORDER BY created_at');
+    expect(params).toEqual([BOOKING_ID]);
+  });
+
+  it('counts changes', async () => {
+    mockQuery.mockResolvedValueOnce({ rows: [{ count: 2 }] });
+
+    expect(await Model.countChanges(BOOKING_ID)).toBe(2);
+  });
+});
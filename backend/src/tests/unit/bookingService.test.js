@@ -3,8 +3,10 @@
 /**
  * Unit Tests: bookingService.js
  *
- * Tests booking lifecycle: create, confirm, decline, cancel, no-show, complete.
- * Validates: user limits, working hours, time constraints, status transitions.
+ * Tests booking lifecycle: create, confirm, decline, cancel, no-show, complete,
+ * partner-entered bookings and walk-ins, guest modifications.
+ * Validates: user limits, working hours, time constraints, status transitions,
+ * table-inventory capacity.
  */
 
 import { jest } from '@jest/globals';
@@ -22,12 +24,42 @@ jest.unstable_mockModule('../../models/bookingModel.js', () => ({
   getByUserId: jest.fn(),
   getActiveCountForUser: jest.fn(),
   getActiveForEstablishmentAndUser: jest.fn(),
+  getForCapacityWindow: jest.fn(),
+  expireDuePending: jest.fn(),
+  claimExpiredForNotification: jest.fn(),
+  claimDueReminders: jest.fn(),
+  markPastConfirmedAwaitingOutcome: jest.fn(),
+  completePastWalkIns: jest.fn(),
+  claimDueReconfirmRequests: jest.fn(),
+  markReconfirmed: jest.fn(),
+  applyModification: jest.fn(),
+  getChanges: jest.fn(),
+  countChanges: jest.fn(),
+  withSlotLock: jest.fn(),
 }));
 
 jest.unstable_mockModule('../../models/bookingSettingsModel.js', () => ({
   getByEstablishmentId: jest.fn(),
 }));
 
+jest.unstable_mockModule('../../models/bookingTableModel.js', () => ({
+  getByEstablishmentId: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../models/bookingWaitlistModel.js', () => ({
+  create: jest.fn(),
+  cancel: jest.fn(),
+  offerNext: jest.fn(),
+  markClaimed: jest.fn(),
+  expireDueOffers: jest.fn(),
+  expireStaleWaiting: jest.fn(),
+  getById: jest.fn(),
+  getByUserId: jest.fn(),
+  countOpenForUser: jest.fn(),
+  getOpenForUser: jest.fn(),
+  getActiveOffers: jest.fn(),
+}));
+
 jest.unstable_mockModule('../../models/establishmentModel.js', () => ({
   findEstablishmentById: jest.fn(() => Promise.resolve(null)),
 }));
@@ -35,6 +67,7 @@ jest.unstable_mockModule('../../models/establishmentModel.js', () => ({
 jest.unstable_mockModule('../../models/partnerAnalyticsModel.js', () => ({
   trackBookingRequest: jest.fn(() => Promise.resolve()),
   trackBookingConfirmed: jest.fn(() => Promise.resolve()),
+  verifyOwnership: jest.fn(),
 }));
 
 jest.unstable_mockModule('../../services/notificationService.js', () => ({
@@ -43,6 +76,12 @@ jest.unstable_mockModule('../../services/notificationService.js', () => ({
   notifyBookingDeclined: jest.fn(() => Promise.resolve()),
   notifyBookingExpired: jest.fn(() => Promise.resolve()),
   notifyBookingCancelled: jest.fn(() => Promise.resolve()),
+  notifyBookingReminder: jest.fn(() => Promise.resolve()),
+  notifyBookingNeedsOutcome: jest.fn(() => Promise.resolve()),
+  notifyBookingReconfirmRequest: jest.fn(() => Promise.resolve()),
+  notifyWaitlistOffer: jest.fn(() => Promise.resolve()),
+  notifyBookingModified: jest.fn(() => Promise.resolve()),
+  notifyBookingModificationResult: jest.fn(() => Promise.resolve()),
 }));
 
 jest.unstable_mockModule('../../middleware/errorHandler.js', () => ({
@@ -67,6 +106,8 @@ jest.unstable_mockModule('../../utils/logger.js', () => ({
 // Import after mocking
 const BookingModel = await import('../../models/bookingModel.js');
 const BookingSettingsModel = await import('../../models/bookingSettingsModel.js');
+const BookingTableModel = await import('../../models/bookingTableModel.js');
+const BookingWaitlistModel = await import('../../models/bookingWaitlistModel.js');
 const EstablishmentModel = await import('../../models/establishmentModel.js');
 const AnalyticsModel = await import('../../models/partnerAnalyticsModel.js');
 const NotificationService = await import('../../services/notificationService.js');
@@ -81,6 +122,24 @@ const {
   markCompleted,
   getPartnerBookings,
   getUserBookings,
+  checkSlotCapacity,
+  getAvailability,
+  processExpiredBookings,
+  processBookingReminders,
+  processReconfirmRequests,
+  processPastBookings,
+  reconfirmBooking,
+  offerFreedSlot,
+  joinWaitlist,
+  leaveWaitlist,
+  claimWaitlistOffer,
+  processWaitlist,
+  createPartnerBooking,
+  recordWalkIn,
+  cancelPartnerBooking,
+  modifyBooking,
+  getBookingChanges,
+  getPartnerBookingChanges,
 } = await import('../../services/bookingService.js');
 
 // ============================================================================
@@ -115,8 +174,15 @@ const mockSettings = {
   confirmation_timeout_hours: 4,
   max_days_ahead: 7,
   min_hours_before: 2,
+  seating_duration_minutes: 120,
 };
 
+const mockTables = [
+  { id: 't1', label: '1', seats: 2, is_combinable: false },
+  { id: 't2', label: '2', seats: 4, is_combinable: true },
+  { id: 't3', label: '3', seats: 4, is_combinable: true },
+];
+
 // Get next valid weekday date (Monday=1 ... Friday=5 to match working_hours).
 // Serialize the LOCAL calendar date — NOT toISOString(), which converts to UTC and
 // rolls the date back a day in ahead-of-UTC zones at early-morning local times
@@ -139,6 +205,9 @@ const validBookingData = () => ({
   contactPhone: '+375291234567',
 });
 
+// Stand-in for the withSlotLock transaction client
+const mockClient = { query: jest.fn() };
+
 const mockBooking = {
   id: BOOKING_ID,
   establishment_id: EST_ID,
@@ -160,6 +229,21 @@ beforeEach(() => {
   NotificationService.notifyBookingDeclined.mockImplementation(() => Promise.resolve());
   NotificationService.notifyBookingExpired.mockImplementation(() => Promise.resolve());
   NotificationService.notifyBookingCancelled.mockImplementation(() => Promise.resolve());
+  NotificationService.notifyBookingReminder.mockImplementation(() => Promise.resolve());
+  NotificationService.notifyBookingNeedsOutcome.mockImplementation(() => Promise.resolve());
+  NotificationService.notifyBookingReconfirmRequest.mockImplementation(() => Promise.resolve());
+  NotificationService.notifyWaitlistOffer.mockImplementation(() => Promise.resolve());
+  NotificationService.notifyBookingModified.mockImplementation(() => Promise.resolve());
+  NotificationService.notifyBookingModificationResult.mockImplementation(() => Promise.resolve());
+  // Nobody waiting / no live offers by default
+  BookingWaitlistModel.getActiveOffers.mockResolvedValue([]);
+  BookingWaitlistModel.offerNext.mockResolvedValue(null);
+  // No table inventory by default → capacity not modelled
+  BookingTableModel.getByEstablishmentId.mockResolvedValue([]);
+  BookingModel.getForCapacityWindow.mockResolvedValue([]);
+  AnalyticsModel.verifyOwnership.mockResolvedValue(true);
+  BookingModel.completePastWalkIns.mockResolvedValue(0);
+  BookingModel.withSlotLock.mockImplementation((establishmentId, bookingDate, callback) => callback(mockClient));
 });
 
 // ============================================================================
@@ -246,6 +330,27 @@ describe('createBooking', () => {
       .rejects.toThrow('в рабочие часы');
   });
 
+  it('uses special_hours override for the booking date', async () => {
+    const date = getNextWeekday(1);
+    EstablishmentModel.findEstablishmentById.mockResolvedValue({
+      ...mockEstablishment,
+      special_hours: { [date]: { is_open: false } },
+    });
+    BookingSettingsModel.getByEstablishmentId.mockResolvedValue(mockSettings);
+
+    await expect(createBooking(USER_ID, { ...validBookingData(), date }))
+      .rejects.toThrow('не работает в выбранный день');
+  });
+
+  it('rejects a booking at exactly closing time', async () => {
+    EstablishmentModel.findEstablishmentById.mockResolvedValue(mockEstablishment);
+    BookingSettingsModel.getByEstablishmentId.mockResolvedValue(mockSettings);
+
+    const data = { ...validBookingData(), time: '22:00' };
+    await expect(createBooking(USER_ID, data))
+      .rejects.toMatchObject({ code: 'TIME_OUTSIDE_HOURS' });
+  });
+
   it('rejects when user has 2 active bookings', async () => {
     EstablishmentModel.findEstablishmentById.mockResolvedValue(mockEstablishment);
     BookingSettingsModel.getByEstablishmentId.mockResolvedValue(mockSettings);
@@ -269,6 +374,257 @@ describe('createBooking', () => {
     await expect(createBooking(USER_ID, { establishmentId: EST_ID }))
       .rejects.toThrow('обязательные поля');
   });
+
+  it('stores the seating duration snapshot on the booking', async () => {
+    EstablishmentModel.findEstablishmentById.mockResolvedValue(mockEstablishment);
+    BookingSettingsModel.getByEstablishmentId.mockResolvedValue({ ...mockSettings, seating_duration_minutes: 90 });
+    BookingModel.getActiveCountForUser.mockResolvedValue(0);
+    BookingModel.getActiveForEstablishmentAndUser.mockResolvedValue(null);
+    BookingModel.create.mockResolvedValue({ id: BOOKING_ID, status: 'pending' });
+
+    await createBooking(USER_ID, validBookingData());
+
+    expect(BookingModel.create).toHaveBeenCalledWith(
+      expect.objectContaining({ durationMinutes: 90 }),
+      mockClient,
+    );
+  });
+
+  it('rejects with SLOT_FULL when no table is free for the window', async () => {
+    EstablishmentModel.findEstablishmentById.mockResolvedValue(mockEstablishment);
+    BookingSettingsModel.getByEstablishmentId.mockResolvedValue(mockSettings);
+    BookingModel.getActiveCountForUser.mockResolvedValue(0);
+    BookingModel.getActiveForEstablishmentAndUser.mockResolvedValue(null);
+    BookingTableModel.getByEstablishmentId.mockResolvedValue(mockTables);
+    BookingModel.getForCapacityWindow.mockResolvedValue([
+      { id: 'b1', booking_time: '11:00:00', guest_count: 2, duration_minutes: 120, day_offset: 0 },
+      { id: 'b2', booking_time: '12:30:00', guest_count: 8, duration_minutes: 120, day_offset: 0 },
+    ]);
+
+    await expect(createBooking(USER_ID, validBookingData()))
+      .rejects.toMatchObject({ code: 'SLOT_FULL', statusCode: 409 });
+    expect(BookingModel.create).not.toHaveBeenCalled();
+  });
+
+  it('accepts when overlapping bookings leave a table free', async () => {
+    EstablishmentModel.findEstablishmentById.mockResolvedValue(mockEstablishment);
+    BookingSettingsModel.getByEstablishmentId.mockResolvedValue(mockSettings);
+    BookingModel.getActiveCountForUser.mockResolvedValue(0);
+    BookingModel.getActiveForEstablishmentAndUser.mockResolvedValue(null);
+    BookingTableModel.getByEstablishmentId.mockResolvedValue(mockTables);
+    BookingModel.getForCapacityWindow.mockResolvedValue([
+      { id: 'b1', booking_time: '12:00:00', guest_count: 4, duration_minutes: 120, day_offset: 0 },
+      // Ended before 12:00 — does not overlap
+      { id: 'b2', booking_time: '09:00:00', guest_count: 4, duration_minutes: 120, day_offset: 0 },
+    ]);
+    BookingModel.create.mockResolvedValue({ id: BOOKING_ID, status: 'pending' });
+
+    const result = await createBooking(USER_ID, validBookingData());
+
+    expect(result.id).toBe(BOOKING_ID);
+    expect(BookingModel.getForCapacityWindow).toHaveBeenCalledWith(
+      EST_ID,
+      validBookingData().date,
+      expect.objectContaining({ statuses: ['pending', 'confirmed'] }),
+    );
+  });
+
+  it('checks capacity and inserts inside the slot lock on one client', async () => {
+    EstablishmentModel.findEstablishmentById.mockResolvedValue(mockEstablishment);
+    BookingSettingsModel.getByEstablishmentId.mockResolvedValue(mockSettings);
+    BookingModel.getActiveCountForUser.mockResolvedValue(0);
+    BookingModel.getActiveForEstablishmentAndUser.mockResolvedValue(null);
+    BookingTableModel.getByEstablishmentId.mockResolvedValue(mockTables);
+    BookingModel.create.mockResolvedValue({ id: BOOKING_ID, status: 'pending' });
+
+    await createBooking(USER_ID, validBookingData());
+
+    expect(BookingModel.withSlotLock).toHaveBeenCalledWith(EST_ID, validBookingData().date, expect.any(Function));
+    expect(BookingTableModel.getByEstablishmentId).toHaveBeenCalledWith(
+      EST_ID,
+      { activeOnly: true, client: mockClient },
+    );
+    expect(BookingModel.getForCapacityWindow).toHaveBeenCalledWith(
+      EST_ID,
+      validBookingData().date,
+      expect.objectContaining({ client: mockClient }),
+    );
+    expect(BookingModel.create).toHaveBeenCalledWith(expect.any(Object), mockClient);
+  });
+});
+
+// ============================================================================
+// checkSlotCapacity
+// ============================================================================
+
+describe('checkSlotCapacity', () => {
+  const base = {
+    establishmentId: EST_ID,
+    bookingDate: '2026-04-10',
+    bookingTime: '00:30',
+    guestCount: 2,
+    durationMinutes: 120,
+  };
+
+  it('reports unchecked when no active tables are configured', async () => {
+    const result = await checkSlotCapacity(base);
+
+    expect(result).toEqual({ checked: false, fits: true, totalSeats: null });
+    expect(BookingModel.getForCapacityWindow).not.toHaveBeenCalled();
+  });
+
+  it('sees bookings from the previous evening that run past midnight', async () => {
+    BookingTableModel.getByEstablishmentId.mockResolvedValue([{ id: 't1', seats: 2, is_combinable: false }]);
+    BookingModel.getForCapacityWindow.mockResolvedValue([
+      { id: 'late', booking_time: '23:30:00', guest_count: 2, duration_minutes: null, day_offset: -1 },
+    ]);
+
+    const result = await checkSlotCapacity(base);
+
+    expect(result).toEqual({ checked: true, fits: false, totalSeats: 2 });
+  });
+
+  it('accepts a Date booking_date from pg', async () => {
+    BookingTableModel.getByEstablishmentId.mockResolvedValue([{ id: 't1', seats: 2, is_combinable: false }]);
+
+    await checkSlotCapacity({ ...base, bookingDate: new Date(2026, 3, 10) });
+
+    expect(BookingModel.getForCapacityWindow).toHaveBeenCalledWith(EST_ID, '2026-04-10', expect.any(Object));
+  });
+
+  it('counts seats held by live waitlist offers', async () => {
+    BookingTableModel.getByEstablishmentId.mockResolvedValue([{ id: 't1', seats: 2, is_combinable: false }]);
+    BookingWaitlistModel.getActiveOffers.mockResolvedValue([
+      { id: 'offer', offered_time: '00:00:00', offered_seats: 2, day_offset: 0 },
+    ]);
+
+    const result = await checkSlotCapacity(base);
+
+    expect(result.fits).toBe(false);
+    expect(BookingWaitlistModel.getActiveOffers).toHaveBeenCalledWith(EST_ID, '2026-04-10', null, undefined);
+  });
+
+  it('ignores offers when holdWaitlistOffers is off', async () => {
+    BookingTableModel.getByEstablishmentId.mockResolvedValue([{ id: 't1', seats: 2, is_combinable: false }]);
+
+    const result = await checkSlotCapacity({ ...base, holdWaitlistOffers: false });
+
+    expect(result.fits).toBe(true);
+    expect(BookingWaitlistModel.getActiveOffers).not.toHaveBeenCalled();
+  });
+});
+
+// ============================================================================
+// getAvailability
+// ============================================================================
+
+describe('getAvailability', () => {
+  it('returns the 30-minute slot grid within working hours', async () => {
+    EstablishmentModel.findEstablishmentById.mockResolvedValue(mockEstablishment);
+    BookingSettingsModel.getByEstablishmentId.mockResolvedValue(mockSettings);
+
+    const result = await getAvailability(EST_ID, { date: getNextWeekday(1), guests: 2 });
+
+    expect(result.is_open).toBe(true);
+    expect(result.open).toBe('09:00');
+    expect(result.close).toBe('22:00');
+    expect(result.slots[0]).toEqual({ time: '09:00', available: true, reason: null });
+    expect(result.slots[result.slots.length - 1].time).toBe('21:30');
+    expect(result.slots).toHaveLength(26);
+  });
+
+  it('returns no slots on a closed day', async () => {
+    EstablishmentModel.findEstablishmentById.mockResolvedValue(mockEstablishment);
+    BookingSettingsModel.getByEstablishmentId.mockResolvedValue(mockSettings);
+
+    const result = await getAvailability(EST_ID, { date: getNextWeekday(0), guests: 2 });
+
+    expect(result.is_open).toBe(false);
+    expect(result.slots).toEqual([]);
+  });
+
+  it('honors special_hours over the weekday schedule', async () => {
+    const date = getNextWeekday(0);
+    EstablishmentModel.findEstablishmentById.mockResolvedValue({
+      ...mockEstablishment,
+      special_hours: { [date]: '12:00-14:00' },
+    });
+    BookingSettingsModel.getByEstablishmentId.mockResolvedValue(mockSettings);
+
+    const result = await getAvailability(EST_ID, { date, guests: 2 });
+
+    expect(result.slots.map((slot) => slot.time)).toEqual(['12:00', '12:30', '13:00', '13:30']);
+  });
+
+  it('offers only times createBooking accepts (closing time excluded)', async () => {
+    const date = getNextWeekday(0);
+    EstablishmentModel.findEstablishmentById.mockResolvedValue({
+      ...mockEstablishment,
+      special_hours: { [date]: '12:15-14:00' },
+    });
+    BookingSettingsModel.getByEstablishmentId.mockResolvedValue(mockSettings);
+
+    const result = await getAvailability(EST_ID, { date, guests: 2 });
+
+    expect(result.slots.map((slot) => slot.time)).toEqual(['12:30', '13:00', '13:30']);
+  });
+
+  it('marks slots blocked by seated capacity as full', async () => {
+    EstablishmentModel.findEstablishmentById.mockResolvedValue(mockEstablishment);
+    BookingSettingsModel.getByEstablishmentId.mockResolvedValue(mockSettings);
+    BookingTableModel.getByEstablishmentId.mockResolvedValue([{ id: 't1', seats: 4, is_combinable: false }]);
+    BookingModel.getForCapacityWindow.mockResolvedValue([
+      { id: 'b1', booking_time: '12:00:00', guest_count: 4, duration_minutes: 120, day_offset: 0 },
+    ]);
+
+    const result = await getAvailability(EST_ID, { date: getNextWeekday(1), guests: 2 });
+    const byTime = Object.fromEntries(result.slots.map((slot) => [slot.time, slot]));
+
+    expect(byTime['10:00'].available).toBe(true);
+    expect(byTime['10:30']).toEqual({ time: '10:30', available: false, reason: 'full' });
+    expect(byTime['13:30'].reason).toBe('full');
+    expect(byTime['14:00'].available).toBe(true);
+    // One capacity load for the whole day
+    expect(BookingModel.getForCapacityWindow).toHaveBeenCalledTimes(1);
+  });
+
+  it('marks slots inside min_hours_before as too_soon', async () => {
+    const now = new Date();
+    const yyyy = now.getFullYear();
+    const mm = String(now.getMonth() + 1).padStart(2, '0');
+    const dd = String(now.getDate()).padStart(2, '0');
+    EstablishmentModel.findEstablishmentById.mockResolvedValue({
+      ...mockEstablishment,
+      working_hours: {},
+      special_hours: { [`${yyyy}-${mm}-${dd}`]: '00:00-23:59' },
+    });
+    BookingSettingsModel.getByEstablishmentId.mockResolvedValue({ ...mockSettings, min_hours_before: 24 });
+
+    const result = await getAvailability(EST_ID, { date: `${yyyy}-${mm}-${dd}`, guests: 1 });
+
+    expect(result.slots.every((slot) => slot.reason === 'too_soon')).toBe(true);
+  });
+
+  it('rejects a malformed date', async () => {
+    await expect(getAvailability(EST_ID, { date: '10.04.2026', guests: 2 }))
+      .rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+  });
+
+  it('rejects guests above max_guests_per_booking', async () => {
+    EstablishmentModel.findEstablishmentById.mockResolvedValue(mockEstablishment);
+    BookingSettingsModel.getByEstablishmentId.mockResolvedValue(mockSettings);
+
+    await expect(getAvailability(EST_ID, { date: getNextWeekday(1), guests: 11 }))
+      .rejects.toMatchObject({ code: 'INVALID_GUEST_COUNT' });
+  });
+
+  it('rejects when booking not enabled', async () => {
+    EstablishmentModel.findEstablishmentById.mockResolvedValue(mockEstablishment);
+    BookingSettingsModel.getByEstablishmentId.mockResolvedValue(null);
+
+    await expect(getAvailability(EST_ID, { date: getNextWeekday(1), guests: 2 }))
+      .rejects.toMatchObject({ code: 'BOOKING_NOT_ENABLED' });
+  });
 });
 
 // ============================================================================
@@ -286,11 +642,43 @@ describe('confirmBooking', () => {
     expect(BookingModel.updateStatus).toHaveBeenCalledWith(
       BOOKING_ID,
       expect.objectContaining({ status: 'confirmed' }),
+      mockClient,
     );
     expect(AnalyticsModel.trackBookingConfirmed).toHaveBeenCalledWith(EST_ID);
     expect(NotificationService.notifyBookingConfirmed).toHaveBeenCalled();
   });
 
+  it('rejects with CAPACITY_EXCEEDED when confirmed bookings fill the slot', async () => {
+    BookingModel.getById.mockResolvedValue({ ...mockBooking, status: 'pending', guest_count: 4 });
+    BookingTableModel.getByEstablishmentId.mockResolvedValue([{ id: 't1', seats: 4, is_combinable: false }]);
+    BookingModel.getForCapacityWindow.mockResolvedValue([
+      { id: 'other', booking_time: '12:00:00', guest_count: 3, duration_minutes: 120, day_offset: 0 },
+    ]);
+
+    await expect(confirmBooking(BOOKING_ID, PARTNER_ID, EST_ID))
+      .rejects.toMatchObject({ code: 'CAPACITY_EXCEEDED', statusCode: 409 });
+    expect(BookingModel.getForCapacityWindow).toHaveBeenCalledWith(
+      EST_ID,
+      '2026-04-10',
+      { statuses: ['confirmed'], excludeBookingId: BOOKING_ID, client: mockClient },
+    );
+    expect(BookingModel.updateStatus).not.toHaveBeenCalled();
+  });
+
+  it('confirms over capacity when forced and flags the result', async () => {
+    BookingModel.getById.mockResolvedValue({ ...mockBooking, status: 'pending', guest_count: 4 });
+    BookingTableModel.getByEstablishmentId.mockResolvedValue([{ id: 't1', seats: 4, is_combinable: false }]);
+    BookingModel.getForCapacityWindow.mockResolvedValue([
+      { id: 'other', booking_time: '12:00:00', guest_count: 3, duration_minutes: 120, day_offset: 0 },
+    ]);
+    BookingModel.updateStatus.mockResolvedValue({ ...mockBooking, status: 'confirmed' });
+
+    const result = await confirmBooking(BOOKING_ID, PARTNER_ID, EST_ID, { force: true });
+
+    expect(result.status).toBe('confirmed');
+    expect(result.capacity_exceeded).toBe(true);
+  });
+
   it('rejects confirming non-pending booking', async () => {
     BookingModel.getById.mockResolvedValue({ ...mockBooking, status: 'confirmed' });
 
@@ -332,6 +720,26 @@ describe('declineBooking', () => {
     expect(NotificationService.notifyBookingDeclined).toHaveBeenCalled();
   });
 
+  it('offers the seats the request held to the waitlist', async () => {
+    const date = getNextWeekday(1);
+    BookingModel.getById.mockResolvedValue({
+      ...mockBooking, status: 'pending', booking_date: date, booking_time: '19:00:00', guest_count: 6,
+    });
+    BookingModel.updateStatus.mockResolvedValue({ ...mockBooking, status: 'declined' });
+    BookingSettingsModel.getByEstablishmentId.mockResolvedValue(mockSettings);
+
+    await declineBooking(BOOKING_ID, PARTNER_ID, EST_ID, 'Fully booked');
+    await new Promise((resolve) => setImmediate(resolve));
+
+    expect(BookingWaitlistModel.offerNext).toHaveBeenCalledWith({
+      establishmentId: EST_ID,
+      bookingDate: date,
+      bookingTime: '19:00',
+      seats: 6,
+      claimMinutes: 30,
+    });
+  });
+
   it('rejects decline without reason', async () => {
     await expect(declineBooking(BOOKING_ID, PARTNER_ID, EST_ID, ''))
       .rejects.toThrow('Decline reason is required');
@@ -361,6 +769,26 @@ describe('cancelBooking', () => {
     expect(NotificationService.notifyBookingCancelled).toHaveBeenCalled();
   });
 
+  it('offers the freed slot to the waitlist', async () => {
+    const date = getNextWeekday(1);
+    BookingModel.getById.mockResolvedValue({
+      ...mockBooking, status: 'confirmed', booking_date: date, booking_time: '19:00:00', guest_count: 4,
+    });
+    BookingModel.updateStatus.mockResolvedValue({ ...mockBooking, status: 'cancelled' });
+    BookingSettingsModel.getByEstablishmentId.mockResolvedValue(mockSettings);
+
+    await cancelBooking(BOOKING_ID, USER_ID);
+    await new Promise((resolve) => setImmediate(resolve));
+
+    expect(BookingWaitlistModel.offerNext).toHaveBeenCalledWith({
+      establishmentId: EST_ID,
+      bookingDate: date,
+      bookingTime: '19:00',
+      seats: 4,
+      claimMinutes: 30,
+    });
+  });
+
   it('rejects cancel by different user', async () => {
     BookingModel.getById.mockResolvedValue({ ...mockBooking, status: 'confirmed', user_id: 'other-user' });
 
@@ -395,6 +823,14 @@ describe('markNoShow', () => {
     await expect(markNoShow(BOOKING_ID, PARTNER_ID, EST_ID))
       .rejects.toThrow("Cannot mark no-show for booking with status 'pending'");
   });
+
+  it('marks awaiting_outcome booking as no-show', async () => {
+    BookingModel.getById.mockResolvedValue({ ...mockBooking, status: 'awaiting_outcome' });
+    BookingModel.updateStatus.mockResolvedValue({ ...mockBooking, status: 'no_show' });
+
+    const result = await markNoShow(BOOKING_ID, PARTNER_ID, EST_ID);
+    expect(result.status).toBe('no_show');
+  });
 });
 
 // ============================================================================
@@ -416,6 +852,786 @@ describe('markCompleted', () => {
     await expect(markCompleted(BOOKING_ID, PARTNER_ID, EST_ID))
       .rejects.toThrow("Cannot complete booking with status 'declined'");
   });
+
+  it('marks awaiting_outcome booking as completed', async () => {
+    BookingModel.getById.mockResolvedValue({ ...mockBooking, status: 'awaiting_outcome' });
+    BookingModel.updateStatus.mockResolvedValue({ ...mockBooking, status: 'completed' });
+
+    const result = await markCompleted(BOOKING_ID, PARTNER_ID, EST_ID);
+    expect(result.status).toBe('completed');
+  });
+});
+
+// ============================================================================
+// Partner-entered bookings
+// ============================================================================
+
+const validPartnerBookingData = () => ({
+  date: getNextWeekday(1),
+  time: '19:00',
+  guestCount: 4,
+  guestName: '  Анна  ',
+  contactPhone: '+375291112233',
+  comment: 'Позвонила в обед',
+});
+
+describe('createPartnerBooking', () => {
+  beforeEach(() => {
+    BookingSettingsModel.getByEstablishmentId.mockResolvedValue(mockSettings);
+    BookingModel.create.mockImplementation(async (data) => ({ id: BOOKING_ID, ...data }));
+  });
+
+  it('creates a confirmed booking without a user account', async () => {
+    const result = await createPartnerBooking(EST_ID, PARTNER_ID, validPartnerBookingData());
+
+    expect(result.id).toBe(BOOKING_ID);
+    expect(BookingModel.create).toHaveBeenCalledWith(expect.objectContaining({
+      establishmentId: EST_ID,
+      status: 'confirmed',
+      source: 'partner',
+      guestName: 'Анна',
+      contactPhone: '+375291112233',
+      createdBy: PARTNER_ID,
+      durationMinutes: 120,
+    }), mockClient);
+    expect(BookingModel.create.mock.calls[0][0].userId).toBeUndefined();
+    expect(BookingModel.create.mock.calls[0][0].confirmedAt).toBeInstanceOf(Date);
+    expect(AnalyticsModel.trackBookingRequest).toHaveBeenCalledWith(EST_ID);
+    expect(AnalyticsModel.trackBookingConfirmed).toHaveBeenCalledWith(EST_ID);
+    expect(NotificationService.notifyBookingReceived).not.toHaveBeenCalled();
+  });
+
+  it('works even when app booking is disabled for the establishment', async () => {
+    BookingSettingsModel.getByEstablishmentId.mockResolvedValue(null);
+
+    await createPartnerBooking(EST_ID, PARTNER_ID, validPartnerBookingData());
+
+    expect(BookingModel.create).toHaveBeenCalled();
+  });
+
+  it('rejects partners who do not own the establishment', async () => {
+    AnalyticsModel.verifyOwnership.mockResolvedValue(false);
+
+    await expect(createPartnerBooking(EST_ID, PARTNER_ID, validPartnerBookingData()))
+      .rejects.toMatchObject({ statusCode: 403, code: 'FORBIDDEN' });
+    expect(BookingModel.create).not.toHaveBeenCalled();
+  });
+
+  it('requires guest name and phone', async () => {
+    await expect(createPartnerBooking(EST_ID, PARTNER_ID, {
+      ...validPartnerBookingData(),
+      contactPhone: ' ',
+    })).rejects.toMatchObject({ statusCode: 400, code: 'VALIDATION_ERROR' });
+  });
+
+  it('rejects malformed time and guest count', async () => {
+    await expect(createPartnerBooking(EST_ID, PARTNER_ID, {
+      ...validPartnerBookingData(),
+      time: '25:00',
+    })).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+
+    await expect(createPartnerBooking(EST_ID, PARTNER_ID, {
+      ...validPartnerBookingData(),
+      guestCount: NaN,
+    })).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+  });
+
+  it('rejects a time in the past', async () => {
+    await expect(createPartnerBooking(EST_ID, PARTNER_ID, {
+      ...validPartnerBookingData(),
+      date: '2020-01-01',
+    })).rejects.toMatchObject({ statusCode: 400, code: 'INVALID_DATE' });
+  });
+
+  it('checks capacity against confirmed bookings and refuses a full slot', async () => {
+    BookingTableModel.getByEstablishmentId.mockResolvedValue([mockTables[0]]);
+    BookingModel.getForCapacityWindow.mockResolvedValue([
+      { id: 'other', booking_time: '19:00', guest_count: 2, duration_minutes: 120, day_offset: 0 },
+    ]);
+
+    await expect(createPartnerBooking(EST_ID, PARTNER_ID, validPartnerBookingData()))
+      .rejects.toMatchObject({ statusCode: 409, code: 'CAPACITY_EXCEEDED' });
+    expect(BookingModel.getForCapacityWindow).toHaveBeenCalledWith(
+      EST_ID, expect.any(String), expect.objectContaining({ statuses: ['confirmed'] }),
+    );
+  });
+
+  it('creates over capacity with force and flags it', async () => {
+    BookingTableModel.getByEstablishmentId.mockResolvedValue([mockTables[0]]);
+
+    const result = await createPartnerBooking(
+      EST_ID, PARTNER_ID, validPartnerBookingData(), { force: true },
+    );
+
+    expect(result.capacity_exceeded).toBe(true);
+  });
+});
+
+describe('recordWalkIn', () => {
+  beforeEach(() => {
+    BookingSettingsModel.getByEstablishmentId.mockResolvedValue(mockSettings);
+    BookingModel.create.mockImplementation(async (data) => ({ id: BOOKING_ID, ...data }));
+  });
+
+  it('records a confirmed walk-in at the current Minsk time', async () => {
+    const result = await recordWalkIn(EST_ID, PARTNER_ID, { guestCount: 2 });
+
+    const data = BookingModel.create.mock.calls[0][0];
+    expect(data).toEqual(expect.objectContaining({
+      source: 'walk_in',
+      status: 'confirmed',
+      guestCount: 2,
+      guestName: null,
+      contactPhone: null,
+      createdBy: PARTNER_ID,
+    }));
+    expect(data.bookingDate).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+    expect(data.bookingTime).toMatch(/^\d{2}:\d{2}$/);
+    expect(result.capacity_exceeded).toBeUndefined();
+    expect(AnalyticsModel.trackBookingConfirmed).toHaveBeenCalledWith(EST_ID);
+  });
+
+  it('never refuses a walk-in, but flags an over-full room', async () => {
+    BookingTableModel.getByEstablishmentId.mockResolvedValue([mockTables[0]]);
+
+    const result = await recordWalkIn(EST_ID, PARTNER_ID, { guestCount: 6 });
+
+    expect(result.capacity_exceeded).toBe(true);
+    expect(BookingModel.create).toHaveBeenCalled();
+  });
+
+  it('rejects an invalid guest count', async () => {
+    await expect(recordWalkIn(EST_ID, PARTNER_ID, { guestCount: 0 }))
+      .rejects.toMatchObject({ statusCode: 400, code: 'VALIDATION_ERROR' });
+  });
+});
+
+describe('cancelPartnerBooking', () => {
+  const partnerBooking = {
+    ...mockBooking,
+    user_id: null,
+    source: 'partner',
+    status: 'confirmed',
+  };
+
+  it('cancels a partner-entered booking and offers the slot to the waitlist', async () => {
+    BookingModel.getById.mockResolvedValue(partnerBooking);
+    BookingModel.updateStatus.mockResolvedValue({ ...partnerBooking, status: 'cancelled' });
+    BookingSettingsModel.getByEstablishmentId.mockResolvedValue(mockSettings);
+
+    const result = await cancelPartnerBooking(BOOKING_ID, PARTNER_ID, EST_ID);
+
+    expect(result.status).toBe('cancelled');
+    expect(BookingModel.updateStatus).toHaveBeenCalledWith(BOOKING_ID, expect.objectContaining({
+      status: 'cancelled',
+    }));
+  });
+
+  it('refuses to cancel app bookings', async () => {
+    BookingModel.getById.mockResolvedValue({ ...mockBooking, source: 'app', status: 'confirmed' });
+
+    await expect(cancelPartnerBooking(BOOKING_ID, PARTNER_ID, EST_ID))
+      .rejects.toMatchObject({ statusCode: 400, code: 'NOT_PARTNER_BOOKING' });
+  });
+
+  it('rejects bookings from another establishment', async () => {
+    BookingModel.getById.mockResolvedValue({ ...partnerBooking, establishment_id: uuidv4() });
+
+    await expect(cancelPartnerBooking(BOOKING_ID, PARTNER_ID, EST_ID))
+      .rejects.toMatchObject({ statusCode: 403, code: 'FORBIDDEN' });
+  });
+
+  it('rejects a partner who does not own the establishment', async () => {
+    AnalyticsModel.verifyOwnership.mockResolvedValue(false);
+    BookingModel.getById.mockResolvedValue(partnerBooking);
+
+    await expect(cancelPartnerBooking(BOOKING_ID, uuidv4(), EST_ID))
+      .rejects.toMatchObject({ statusCode: 403, code: 'FORBIDDEN' });
+    expect(BookingModel.getById).not.toHaveBeenCalled();
+    expect(BookingModel.updateStatus).not.toHaveBeenCalled();
+  });
+});
+
+// ============================================================================
+// Lifecycle sweeps
+// ============================================================================
+
+describe('processExpiredBookings', () => {
+  it('expires due bookings and notifies each claimed row once', async () => {
+    BookingModel.expireDuePending.mockResolvedValue(2);
+    BookingModel.claimExpiredForNotification.mockResolvedValue([
+      { ...mockBooking, status: 'expired', partner_id: PARTNER_ID },
+      { ...mockBooking, id: uuidv4(), status: 'expired', partner_id: PARTNER_ID },
+    ]);
+
+    const result = await processExpiredBookings();
+
+    expect(result).toEqual({ expired: 2, notified: 2 });
+    expect(NotificationService.notifyBookingExpired).toHaveBeenCalledTimes(2);
+    expect(NotificationService.notifyBookingExpired).toHaveBeenCalledWith(
+      USER_ID, PARTNER_ID, expect.objectContaining({ status: 'expired' }), EST_ID,
+    );
+  });
+
+  it('does nothing when no bookings are due', async () => {
+    BookingModel.expireDuePending.mockResolvedValue(0);
+    BookingModel.claimExpiredForNotification.mockResolvedValue([]);
+
+    const result = await processExpiredBookings();
+
+    expect(result).toEqual({ expired: 0, notified: 0 });
+    expect(NotificationService.notifyBookingExpired).not.toHaveBeenCalled();
+  });
+});
+
+describe('processBookingReminders', () => {
+  it('claims due reminders and notifies the guest', async () => {
+    BookingModel.claimDueReminders.mockResolvedValue([
+      { ...mockBooking, status: 'confirmed' },
+    ]);
+
+    const result = await processBookingReminders();
+
+    expect(BookingModel.claimDueReminders).toHaveBeenCalled();
+    expect(result).toEqual({ reminded: 1 });
+    expect(NotificationService.notifyBookingReminder).toHaveBeenCalledWith(
+      USER_ID, expect.objectContaining({ status: 'confirmed' }), EST_ID,
+    );
+  });
+});
+
+describe('processReconfirmRequests', () => {
+  it('asks guests to reconfirm bookings starting within 24 hours', async () => {
+    BookingModel.claimDueReconfirmRequests.mockResolvedValue([
+      { ...mockBooking, status: 'confirmed' },
+    ]);
+
+    const result = await processReconfirmRequests();
+
+    expect(BookingModel.claimDueReconfirmRequests).toHaveBeenCalledWith(24);
+    expect(result).toEqual({ requested: 1 });
+    expect(NotificationService.notifyBookingReconfirmRequest).toHaveBeenCalledWith(
+      USER_ID, expect.objectContaining({ id: BOOKING_ID }), EST_ID,
+    );
+  });
+});
+
+describe('reconfirmBooking', () => {
+  const requested = {
+    ...mockBooking,
+    status: 'confirmed',
+    reconfirm_requested_at: new Date(),
+    reconfirmed_at: null,
+  };
+
+  it('records the reconfirmation', async () => {
+    BookingModel.getById.mockResolvedValue(requested);
+    BookingModel.markReconfirmed.mockResolvedValue({ ...requested, reconfirmed_at: new Date() });
+
+    const result = await reconfirmBooking(BOOKING_ID, USER_ID);
+
+    expect(BookingModel.markReconfirmed).toHaveBeenCalledWith(BOOKING_ID);
+    expect(result.reconfirmed_at).toBeInstanceOf(Date);
+  });
+
+  it('is a no-op when already reconfirmed', async () => {
+    BookingModel.getById.mockResolvedValue({ ...requested, reconfirmed_at: new Date() });
+
+    await reconfirmBooking(BOOKING_ID, USER_ID);
+
+    expect(BookingModel.markReconfirmed).not.toHaveBeenCalled();
+  });
+
+  it('rejects another user\'s booking', async () => {
+    BookingModel.getById.mockResolvedValue(requested);
+
+    await expect(reconfirmBooking(BOOKING_ID, uuidv4()))
+      .rejects.toThrow('This booking does not belong to you');
+  });
+
+  it('rejects when no request was sent', async () => {
+    BookingModel.getById.mockResolvedValue({ ...requested, reconfirm_requested_at: null });
+
+    await expect(reconfirmBooking(BOOKING_ID, USER_ID))
+      .rejects.toMatchObject({ code: 'RECONFIRM_NOT_REQUESTED' });
+  });
+
+  it('rejects a booking that is no longer confirmed', async () => {
+    BookingModel.getById.mockResolvedValue({ ...requested, status: 'cancelled' });
+
+    await expect(reconfirmBooking(BOOKING_ID, USER_ID))
+      .rejects.toThrow("Cannot reconfirm booking with status 'cancelled'");
+  });
+});
+
+// ============================================================================
+// modifyBooking
+// ============================================================================
+
+describe('modifyBooking', () => {
+  const monday = getNextWeekday(1);
+  const confirmedBooking = () => ({
+    ...mockBooking,
+    booking_date: monday,
+    booking_time: '19:00:00',
+    guest_count: 4,
+    status: 'confirmed',
+    expires_at: new Date('2026-04-01T10:00:00Z'),
+  });
+
+  beforeEach(() => {
+    EstablishmentModel.findEstablishmentById.mockResolvedValue(mockEstablishment);
+    BookingSettingsModel.getByEstablishmentId.mockResolvedValue(mockSettings);
+    BookingModel.countChanges.mockResolvedValue(0);
+    BookingModel.applyModification.mockImplementation(async (id, change) => ({
+      id,
+      status: change.status,
+      booking_date: change.bookingDate,
+      booking_time: change.bookingTime,
+      guest_count: change.guestCount,
+    }));
+  });
+
+  it('keeps a small same-day change confirmed', async () => {
+    BookingModel.getById.mockResolvedValue(confirmedBooking());
+
+    const result = await modifyBooking(BOOKING_ID, USER_ID, { time: '19:30', guestCount: 3 });
+
+    expect(result.status).toBe('confirmed');
+    expect(result.auto_confirmed).toBe(true);
+    expect(BookingModel.applyModification).toHaveBeenCalledWith(
+      BOOKING_ID,
+      expect.objectContaining({
+        expectedStatus: 'confirmed',
+        changedBy: USER_ID,
+        bookingDate: monday,
+        bookingTime: '19:30',
+        guestCount: 3,
+        status: 'confirmed',
+        rescheduled: true,
+      }),
+      mockClient,
+    );
+    // Confirmed deadline is kept as is
+    expect(BookingModel.applyModification.mock.calls[0][1].expiresAt)
+      .toEqual(new Date('2026-04-01T10:00:00Z'));
+    expect(NotificationService.notifyBookingModified).toHaveBeenCalledWith(
+      PARTNER_ID,
+      expect.objectContaining({ previous_time: '19:00', booking_time: '19:30', guest_count: 3 }),
+      EST_ID,
+      { autoConfirmed: true },
+    );
+    expect(NotificationService.notifyBookingModificationResult).toHaveBeenCalledWith(
+      USER_ID,
+      expect.any(Object),
+      EST_ID,
+      { autoConfirmed: true },
+    );
+  });
+
+  it('returns a larger change to pending with a fresh deadline', async () => {
+    BookingModel.getById.mockResolvedValue(confirmedBooking());
+
+    const before = Date.now();
+    const result = await modifyBooking(BOOKING_ID, USER_ID, { time: '20:30' });
+
+    expect(result.status).toBe('pending');
+    expect(result.auto_confirmed).toBe(false);
+    const { expiresAt } = BookingModel.applyModification.mock.calls[0][1];
+    expect(expiresAt.getTime()).toBeGreaterThanOrEqual(before + 4 * 60 * 60 * 1000);
+    expect(NotificationService.notifyBookingModified).toHaveBeenCalledWith(
+      PARTNER_ID,
+      expect.any(Object),
+      EST_ID,
+      { autoConfirmed: false },
+    );
+  });
+
+  it('returns a growing party to pending even on the same slot', async () => {
+    BookingModel.getById.mockResolvedValue(confirmedBooking());
+
+    const result = await modifyBooking(BOOKING_ID, USER_ID, { guestCount: 6 });
+
+    expect(result.status).toBe('pending');
+    expect(BookingModel.applyModification.mock.calls[0][1].rescheduled).toBe(false);
+  });
+
+  it('keeps a modified pending request pending', async () => {
+    BookingModel.getById.mockResolvedValue({ ...confirmedBooking(), status: 'pending' });
+
+    const result = await modifyBooking(BOOKING_ID, USER_ID, { time: '19:15' });
+
+    expect(result.status).toBe('pending');
+    expect(BookingModel.applyModification.mock.calls[0][1].expectedStatus).toBe('pending');
+  });
+
+  it('re-runs createBooking validation for the new slot', async () => {
+    BookingModel.getById.mockResolvedValue(confirmedBooking());
+
+    await expect(modifyBooking(BOOKING_ID, USER_ID, { time: '23:30' }))
+      .rejects.toMatchObject({ code: 'TIME_OUTSIDE_HOURS' });
+    await expect(modifyBooking(BOOKING_ID, USER_ID, { date: getNextWeekday(0) }))
+      .rejects.toMatchObject({ code: 'CLOSED_DAY' });
+    await expect(modifyBooking(BOOKING_ID, USER_ID, { guestCount: 11 }))
+      .rejects.toMatchObject({ code: 'INVALID_GUEST_COUNT' });
+    expect(BookingModel.applyModification).not.toHaveBeenCalled();
+  });
+
+  it('checks capacity without counting the booking itself', async () => {
+    BookingModel.getById.mockResolvedValue(confirmedBooking());
+    BookingTableModel.getByEstablishmentId.mockResolvedValue([{ id: 't1', seats: 4, is_combinable: false }]);
+    BookingModel.getForCapacityWindow.mockResolvedValue([
+      { id: 'other', booking_time: '20:00:00', guest_count: 2, duration_minutes: 120, day_offset: 0 },
+    ]);
+
+    await expect(modifyBooking(BOOKING_ID, USER_ID, { time: '20:00' }))
+      .rejects.toMatchObject({ statusCode: 409, code: 'SLOT_FULL' });
+    expect(BookingModel.getForCapacityWindow).toHaveBeenCalledWith(
+      EST_ID,
+      monday,
+      expect.objectContaining({ excludeBookingId: BOOKING_ID }),
+    );
+  });
+
+  it('offers the old slot to the waitlist when rescheduled', async () => {
+    BookingModel.getById.mockResolvedValue(confirmedBooking());
+
+    await modifyBooking(BOOKING_ID, USER_ID, { date: getNextWeekday(2) });
+    await new Promise((resolve) => setImmediate(resolve));
+
+    expect(BookingWaitlistModel.offerNext).toHaveBeenCalledWith(
+      expect.objectContaining({ bookingTime: '19:00', seats: 4 }),
+    );
+  });
+
+  it('offers only the released seats when the party shrinks', async () => {
+    BookingModel.getById.mockResolvedValue(confirmedBooking());
+
+    await modifyBooking(BOOKING_ID, USER_ID, { guestCount: 3 });
+    await new Promise((resolve) => setImmediate(resolve));
+
+    expect(BookingWaitlistModel.offerNext).toHaveBeenCalledWith(
+      expect.objectContaining({ seats: 1 }),
+    );
+  });
+
+  it('rejects a change that changes nothing', async () => {
+    BookingModel.getById.mockResolvedValue(confirmedBooking());
+
+    await expect(modifyBooking(BOOKING_ID, USER_ID, { time: '19:00', guestCount: 4 }))
+      .rejects.toMatchObject({ code: 'NO_CHANGES' });
+  });
+
+  it('rejects malformed input', async () => {
+    BookingModel.getById.mockResolvedValue(confirmedBooking());
+
+    await expect(modifyBooking(BOOKING_ID, USER_ID, { time: '7pm' }))
+      .rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+  });
+
+  it('limits the number of changes per booking', async () => {
+    BookingModel.getById.mockResolvedValue(confirmedBooking());
+    BookingModel.countChanges.mockResolvedValue(3);
+
+    await expect(modifyBooking(BOOKING_ID, USER_ID, { time: '19:30' }))
+      .rejects.toMatchObject({ code: 'TOO_MANY_CHANGES' });
+  });
+
+  it('rejects changes once the current visit is too close', async () => {
+    const soon = new Date(Date.now() + 30 * 60 * 1000);
+    const pad = (n) => String(n).padStart(2, '0');
+    BookingModel.getById.mockResolvedValue({
+      ...confirmedBooking(),
+      booking_date: `${soon.getFullYear()}-${pad(soon.getMonth() + 1)}-${pad(soon.getDate())}`,
+      booking_time: `${pad(soon.getHours())}:${pad(soon.getMinutes())}:00`,
+    });
+    BookingSettingsModel.getByEstablishmentId.mockResolvedValue({ ...mockSettings, min_hours_before: 1 });
+
+    await expect(modifyBooking(BOOKING_ID, USER_ID, { date: monday, time: '12:00' }))
+      .rejects.toMatchObject({ code: 'TOO_LATE' });
+  });
+
+  it('reports a concurrent status change', async () => {
+    BookingModel.getById.mockResolvedValue(confirmedBooking());
+    BookingModel.applyModification.mockResolvedValue(null);
+
+    await expect(modifyBooking(BOOKING_ID, USER_ID, { time: '19:30' }))
+      .rejects.toMatchObject({ statusCode: 409, code: 'BOOKING_CHANGED' });
+    expect(NotificationService.notifyBookingModified).not.toHaveBeenCalled();
+  });
+
+  it('rejects bookings of other users and closed bookings', async () => {
+    BookingModel.getById.mockResolvedValue({ ...confirmedBooking(), user_id: uuidv4() });
+    await expect(modifyBooking(BOOKING_ID, USER_ID, { time: '19:30' }))
+      .rejects.toMatchObject({ statusCode: 403 });
+
+    BookingModel.getById.mockResolvedValue({ ...confirmedBooking(), status: 'cancelled' });
+    await expect(modifyBooking(BOOKING_ID, USER_ID, { time: '19:30' }))
+      .rejects.toThrow("Cannot modify booking with status 'cancelled'");
+  });
+});
+
+describe('getBookingChanges / getPartnerBookingChanges', () => {
+  it('returns history to the booking owner', async () => {
+    BookingModel.getById.mockResolvedValue(mockBooking);
+    BookingModel.getChanges.mockResolvedValue([{ id: 'c1' }]);
+
+    expect(await getBookingChanges(BOOKING_ID, USER_ID)).toEqual([{ id: 'c1' }]);
+    await expect(getBookingChanges(BOOKING_ID, uuidv4())).rejects.toMatchObject({ statusCode: 403 });
+  });
+
+  it('returns history to the establishment owner only', async () => {
+    BookingModel.getById.mockResolvedValue(mockBooking);
+    BookingModel.getChanges.mockResolvedValue([]);
+
+    expect(await getPartnerBookingChanges(BOOKING_ID, PARTNER_ID, EST_ID)).toEqual([]);
+    await expect(getPartnerBookingChanges(BOOKING_ID, PARTNER_ID, uuidv4()))
+      .rejects.toMatchObject({ statusCode: 403 });
+
+    AnalyticsModel.verifyOwnership.mockResolvedValue(false);
+    await expect(getPartnerBookingChanges(BOOKING_ID, PARTNER_ID, EST_ID))
+      .rejects.toMatchObject({ statusCode: 403 });
+  });
+});
+
+// ============================================================================
+// Waitlist
+// ============================================================================
+
+describe('offerFreedSlot', () => {
+  const freed = () => ({
+    establishment_id: EST_ID,
+    booking_date: getNextWeekday(1),
+    booking_time: '19:00:00',
+    guest_count: 2,
+  });
+
+  it('offers to the next entry and notifies that guest', async () => {
+    BookingSettingsModel.getByEstablishmentId.mockResolvedValue(mockSettings);
+    const entry = { id: 'w1', user_id: 'waiting-user', establishment_id: EST_ID };
+    BookingWaitlistModel.offerNext.mockResolvedValue(entry);
+
+    const result = await offerFreedSlot(freed());
+
+    expect(result).toBe(entry);
+    expect(NotificationService.notifyWaitlistOffer).toHaveBeenCalledWith('waiting-user', entry, EST_ID);
+  });
+
+  it('does not offer slots that can no longer be booked', async () => {
+    BookingSettingsModel.getByEstablishmentId.mockResolvedValue({ ...mockSettings, min_hours_before: 24 * 8 });
+
+    const result = await offerFreedSlot(freed());
+
+    expect(result).toBeNull();
+    expect(BookingWaitlistModel.offerNext).not.toHaveBeenCalled();
+  });
+
+  it('does nothing when booking is disabled', async () => {
+    BookingSettingsModel.getByEstablishmentId.mockResolvedValue({ ...mockSettings, is_enabled: false });
+
+    expect(await offerFreedSlot(freed())).toBeNull();
+    expect(BookingWaitlistModel.offerNext).not.toHaveBeenCalled();
+  });
+});
+
+describe('joinWaitlist', () => {
+  const validWaitlistData = () => ({
+    establishmentId: EST_ID,
+    date: getNextWeekday(1),
+    timeFrom: '18:00',
+    timeTo: '20:00',
+    guestCount: 2,
+    contactPhone: '+375291234567',
+  });
+
+  beforeEach(() => {
+    EstablishmentModel.findEstablishmentById.mockResolvedValue(mockEstablishment);
+    BookingSettingsModel.getByEstablishmentId.mockResolvedValue(mockSettings);
+    BookingWaitlistModel.getOpenForUser.mockResolvedValue(null);
+    BookingWaitlistModel.countOpenForUser.mockResolvedValue(0);
+    BookingModel.getActiveForEstablishmentAndUser.mockResolvedValue(null);
+  });
+
+  it('creates a waiting entry', async () => {
+    BookingWaitlistModel.create.mockResolvedValue({ id: 'w1', status: 'waiting' });
+
+    const result = await joinWaitlist(USER_ID, validWaitlistData());
+
+    expect(result.status).toBe('waiting');
+    expect(BookingWaitlistModel.create).toHaveBeenCalledWith(expect.objectContaining({
+      establishmentId: EST_ID,
+      userId: USER_ID,
+      timeFrom: '18:00',
+      timeTo: '20:00',
+    }));
+  });
+
+  it('rejects an inverted time window', async () => {
+    await expect(joinWaitlist(USER_ID, { ...validWaitlistData(), timeFrom: '21:00' }))
+      .rejects.toMatchObject({ code: 'INVALID_TIME_WINDOW' });
+  });
+
+  it('rejects a second open entry for the same date', async () => {
+    BookingWaitlistModel.getOpenForUser.mockResolvedValue({ id: 'w0' });
+
+    await expect(joinWaitlist(USER_ID, validWaitlistData()))
+      .rejects.toMatchObject({ code: 'DUPLICATE_WAITLIST' });
+  });
+
+  it('limits open entries per user', async () => {
+    BookingWaitlistModel.countOpenForUser.mockResolvedValue(3);
+
+    await expect(joinWaitlist(USER_ID, validWaitlistData()))
+      .rejects.toMatchObject({ code: 'MAX_WAITLIST_REACHED' });
+  });
+
+  it('rejects when the user already has an active booking there', async () => {
+    BookingModel.getActiveForEstablishmentAndUser.mockResolvedValue(mockBooking);
+
+    await expect(joinWaitlist(USER_ID, validWaitlistData()))
+      .rejects.toMatchObject({ code: 'DUPLICATE_BOOKING' });
+  });
+});
+
+describe('leaveWaitlist', () => {
+  it('cancels an entry and passes a held offer on', async () => {
+    BookingSettingsModel.getByEstablishmentId.mockResolvedValue(mockSettings);
+    BookingWaitlistModel.getById.mockResolvedValue({
+      id: 'w1',
+      user_id: USER_ID,
+      establishment_id: EST_ID,
+      status: 'offered',
+      booking_date: getNextWeekday(1),
+      offered_time: '19:00:00',
+      offered_seats: 2,
+    });
+    BookingWaitlistModel.cancel.mockResolvedValue({ id: 'w1', status: 'cancelled' });
+
+    const result = await leaveWaitlist('w1', USER_ID);
+    await new Promise((resolve) => setImmediate(resolve));
+
+    expect(result.status).toBe('cancelled');
+    expect(BookingWaitlistModel.offerNext).toHaveBeenCalledWith(expect.objectContaining({ seats: 2 }));
+  });
+
+  it('rejects another user\'s entry', async () => {
+    BookingWaitlistModel.getById.mockResolvedValue({ id: 'w1', user_id: 'other', status: 'waiting' });
+
+    await expect(leaveWaitlist('w1', USER_ID)).rejects.toThrow('does not belong to you');
+  });
+});
+
+describe('claimWaitlistOffer', () => {
+  const offered = () => ({
+    id: 'w1',
+    user_id: USER_ID,
+    establishment_id: EST_ID,
+    status: 'offered',
+    booking_date: getNextWeekday(1),
+    offered_time: '12:00:00',
+    offered_seats: 2,
+    guest_count: 2,
+    contact_phone: '+375291234567',
+    offer_expires_at: new Date(Date.now() + 10 * 60 * 1000),
+  });
+
+  it('creates a booking for the offered slot, ignoring its own hold', async () => {
+    BookingWaitlistModel.getById.mockResolvedValue(offered());
+    EstablishmentModel.findEstablishmentById.mockResolvedValue(mockEstablishment);
+    BookingSettingsModel.getByEstablishmentId.mockResolvedValue(mockSettings);
+    BookingModel.getActiveCountForUser.mockResolvedValue(0);
+    BookingModel.getActiveForEstablishmentAndUser.mockResolvedValue(null);
+    BookingTableModel.getByEstablishmentId.mockResolvedValue(mockTables);
+    BookingModel.create.mockResolvedValue({ ...mockBooking, id: 'new-booking' });
+
+    const result = await claimWaitlistOffer('w1', USER_ID);
+
+    expect(result.id).toBe('new-booking');
+    expect(BookingModel.create).toHaveBeenCalledWith(expect.objectContaining({
+      bookingTime: '12:00',
+      guestCount: 2,
+    }), mockClient);
+    expect(BookingWaitlistModel.getActiveOffers).toHaveBeenCalledWith(EST_ID, expect.any(String), 'w1', mockClient);
+    expect(BookingWaitlistModel.markClaimed).toHaveBeenCalledWith('w1', 'new-booking');
+  });
+
+  it('rejects an expired offer', async () => {
+    BookingWaitlistModel.getById.mockResolvedValue({
+      ...offered(),
+      offer_expires_at: new Date(Date.now() - 1000),
+    });
+
+    await expect(claimWaitlistOffer('w1', USER_ID))
+      .rejects.toMatchObject({ code: 'OFFER_EXPIRED' });
+    expect(BookingModel.create).not.toHaveBeenCalled();
+  });
+
+  it('rejects an entry that was not offered', async () => {
+    BookingWaitlistModel.getById.mockResolvedValue({ ...offered(), status: 'waiting' });
+
+    await expect(claimWaitlistOffer('w1', USER_ID))
+      .rejects.toThrow("Cannot claim waitlist entry with status 'waiting'");
+  });
+});
+
+describe('processWaitlist', () => {
+  it('expires stale entries and re-offers unclaimed slots', async () => {
+    BookingSettingsModel.getByEstablishmentId.mockResolvedValue(mockSettings);
+    BookingWaitlistModel.expireStaleWaiting.mockResolvedValue(1);
+    BookingWaitlistModel.expireDueOffers.mockResolvedValue([
+      {
+        id: 'w1',
+        establishment_id: EST_ID,
+        booking_date: getNextWeekday(1),
+        offered_time: '19:00:00',
+        offered_seats: 4,
+      },
+    ]);
+    BookingWaitlistModel.offerNext.mockResolvedValue({ id: 'w2', user_id: 'next', establishment_id: EST_ID });
+
+    const result = await processWaitlist();
+
+    expect(result).toEqual({ expiredEntries: 1, expiredOffers: 1, reoffered: 1 });
+    expect(BookingWaitlistModel.offerNext).toHaveBeenCalledWith(expect.objectContaining({
+      bookingTime: '19:00',
+      seats: 4,
+    }));
+  });
+});
+
+describe('processPastBookings', () => {
+  it('moves past confirmed bookings to awaiting_outcome and asks the partner', async () => {
+    BookingModel.markPastConfirmedAwaitingOutcome.mockResolvedValue([
+      { ...mockBooking, status: 'awaiting_outcome', partner_id: PARTNER_ID },
+    ]);
+
+    const result = await processPastBookings();
+
+    expect(result).toEqual({ awaitingOutcome: 1 });
+    expect(NotificationService.notifyBookingNeedsOutcome).toHaveBeenCalledWith(
+      PARTNER_ID, expect.objectContaining({ status: 'awaiting_outcome' }), EST_ID,
+    );
+  });
+
+  it('does not fail the sweep when a notification rejects', async () => {
+    BookingModel.markPastConfirmedAwaitingOutcome.mockResolvedValue([
+      { ...mockBooking, status: 'awaiting_outcome', partner_id: PARTNER_ID },
+    ]);
+    NotificationService.notifyBookingNeedsOutcome.mockImplementation(
+      () => Promise.reject(new Error('push down')),
+    );
+
+    await expect(processPastBookings()).resolves.toEqual({ awaitingOutcome: 1 });
+  });
+
+  it('completes past walk-ins without asking the partner', async () => {
+    BookingModel.markPastConfirmedAwaitingOutcome.mockResolvedValue([]);
+    BookingModel.completePastWalkIns.mockResolvedValue(2);
+
+    await expect(processPastBookings()).resolves.toEqual({ awaitingOutcome: 0 });
+    expect(BookingModel.completePastWalkIns).toHaveBeenCalled();
+    expect(NotificationService.notifyBookingNeedsOutcome).not.toHaveBeenCalled();
+  });
 });
 
 // ============================================================================
@@ -3,7 +3,8 @@
 /**
  * Unit Tests: bookingSettingsService.js
  *
- * Tests activate/deactivate transactions, settings validation, update logic.
+ * Tests activate/deactivate transactions, settings validation, update logic,
+ * table inventory CRUD.
  */
 
 import { jest } from '@jest/globals';
@@ -23,6 +24,13 @@ jest.unstable_mockModule('../../models/bookingSettingsModel.js', () => ({
   updateEnabled: jest.fn(),
 }));
 
+jest.unstable_mockModule('../../models/bookingTableModel.js', () => ({
+  getByEstablishmentId: jest.fn(),
+  create: jest.fn(),
+  update: jest.fn(),
+  remove: jest.fn(),
+}));
+
 jest.unstable_mockModule('../../config/database.js', () => ({
   default: { query: jest.fn() },
   pool: { query: jest.fn() },
@@ -53,6 +61,7 @@ jest.unstable_mockModule('../../utils/logger.js', () => ({
 }));
 
 const BookingSettingsModel = await import('../../models/bookingSettingsModel.js');
+const BookingTableModel = await import('../../models/bookingTableModel.js');
 const AnalyticsModel = await import('../../models/partnerAnalyticsModel.js');
 const { getClient } = await import('../../config/database.js');
 
@@ -61,6 +70,10 @@ const {
   activate,
   deactivate,
   updateSettings,
+  listTables,
+  createTable,
+  updateTable,
+  deleteTable,
 } = await import('../../services/bookingSettingsService.js');
 
 // ============================================================================
@@ -172,6 +185,43 @@ describe('activate', () => {
       .rejects.toThrow('min_hours_before must be one of');
   });
 
+  it('defaults seating duration to 120 minutes', async () => {
+    BookingSettingsModel.createOrUpdate.mockResolvedValue(mockSettings);
+
+    await activate(EST_ID, PARTNER_ID);
+
+    expect(BookingSettingsModel.createOrUpdate).toHaveBeenCalledWith(
+      expect.objectContaining({ seatingDurationMinutes: 120 }),
+      expect.anything(),
+    );
+  });
+
+  it('validates seating_duration_minutes', async () => {
+    await expect(activate(EST_ID, PARTNER_ID, { seatingDurationMinutes: 45 }))
+      .rejects.toThrow('seating_duration_minutes must be one of');
+  });
+
+  it('defaults to 3h reminders without reconfirmation', async () => {
+    BookingSettingsModel.createOrUpdate.mockResolvedValue(mockSettings);
+
+    await activate(EST_ID, PARTNER_ID);
+
+    expect(BookingSettingsModel.createOrUpdate).toHaveBeenCalledWith(
+      expect.objectContaining({ reminderHoursBefore: 3, reconfirmEnabled: false }),
+      expect.anything(),
+    );
+  });
+
+  it('validates reminder_hours_before', async () => {
+    await expect(activate(EST_ID, PARTNER_ID, { reminderHoursBefore: 5 }))
+      .rejects.toThrow('reminder_hours_before must be one of');
+  });
+
+  it('validates reconfirm_enabled', async () => {
+    await expect(activate(EST_ID, PARTNER_ID, { reconfirmEnabled: 'yes' }))
+      .rejects.toThrow('reconfirm_enabled must be a boolean');
+  });
+
   it('validates max_guests_per_booking >= 1', async () => {
     await expect(activate(EST_ID, PARTNER_ID, { maxGuestsPerBooking: 0 }))
       .rejects.toThrow('max_guests_per_booking must be >= 1');
@@ -229,6 +279,21 @@ describe('updateSettings', () => {
     );
   });
 
+  it('allows turning reminders off and enabling reconfirmation', async () => {
+    BookingSettingsModel.getByEstablishmentId.mockResolvedValue({
+      ...mockSettings,
+      reminder_hours_before: 3,
+      reconfirm_enabled: false,
+    });
+    BookingSettingsModel.createOrUpdate.mockResolvedValue(mockSettings);
+
+    await updateSettings(EST_ID, PARTNER_ID, { reminderHoursBefore: 0, reconfirmEnabled: true });
+
+    expect(BookingSettingsModel.createOrUpdate).toHaveBeenCalledWith(
+      expect.objectContaining({ reminderHoursBefore: 0, reconfirmEnabled: true }),
+    );
+  });
+
   it('throws NOT_FOUND if no existing settings', async () => {
     BookingSettingsModel.getByEstablishmentId.mockResolvedValue(null);
 
@@ -243,3 +308,82 @@ describe('updateSettings', () => {
       .rejects.toThrow('confirmation_timeout_hours must be one of');
   });
 });
+
+// ============================================================================
+// Table inventory
+// ============================================================================
+
+describe('table inventory', () => {
+  const TABLE_ID = uuidv4();
+
+  it('lists tables for an owned establishment', async () => {
+    BookingTableModel.getByEstablishmentId.mockResolvedValue([{ id: TABLE_ID }]);
+
+    const result = await listTables(EST_ID, PARTNER_ID);
+
+    expect(result).toEqual([{ id: TABLE_ID }]);
+    expect(BookingTableModel.getByEstablishmentId).toHaveBeenCalledWith(EST_ID);
+  });
+
+  it('rejects listing if not owner', async () => {
+    AnalyticsModel.verifyOwnership.mockResolvedValue(false);
+
+    await expect(listTables(EST_ID, PARTNER_ID))
+      .rejects.toThrow('not owned by you');
+  });
+
+  it('creates a table with trimmed label and defaults', async () => {
+    BookingTableModel.create.mockResolvedValue({ id: TABLE_ID });
+
+    await createTable(EST_ID, PARTNER_ID, { label: ' 12 ', zone: 'Терраса', seats: 4 });
+
+    expect(BookingTableModel.create).toHaveBeenCalledWith({
+      establishmentId: EST_ID,
+      label: '12',
+      zone: 'Терраса',
+      seats: 4,
+      isCombinable: false,
+      isActive: true,
+    });
+  });
+
+  it('rejects a table without label', async () => {
+    await expect(createTable(EST_ID, PARTNER_ID, { seats: 4 }))
+      .rejects.toThrow('label is required');
+  });
+
+  it('rejects non-integer or out-of-range seats', async () => {
+    await expect(createTable(EST_ID, PARTNER_ID, { label: 'A', seats: 0 }))
+      .rejects.toThrow('seats must be an integer');
+    await expect(createTable(EST_ID, PARTNER_ID, { label: 'A', seats: 2.5 }))
+      .rejects.toThrow('seats must be an integer');
+  });
+
+  it('updates only provided fields', async () => {
+    BookingTableModel.update.mockResolvedValue({ id: TABLE_ID, seats: 6 });
+
+    await updateTable(EST_ID, PARTNER_ID, TABLE_ID, { seats: 6 });
+
+    expect(BookingTableModel.update).toHaveBeenCalledWith(TABLE_ID, EST_ID, {
+      label: undefined,
+      zone: undefined,
+      seats: 6,
+      isCombinable: undefined,
+      isActive: undefined,
+    });
+  });
+
+  it('throws NOT_FOUND when updating a missing table', async () => {
+    BookingTableModel.update.mockResolvedValue(null);
+
+    await expect(updateTable(EST_ID, PARTNER_ID, TABLE_ID, { isActive: false }))
+      .rejects.toThrow('Table not found');
+  });
+
+  it('throws NOT_FOUND when deleting a missing table', async () => {
+    BookingTableModel.remove.mockResolvedValue(false);
+
+    await expect(deleteTable(EST_ID, PARTNER_ID, TABLE_ID))
+      .rejects.toThrow('Table not found');
+  });
+});
@@ -0,0 +1,172 @@
+/* eslint-env jest */
+/**
+ * Unit Tests: bookingWaitlistModel.js
+ *
+ * Tests SQL query construction with mocked pool.
+ * Covers: create, cancel, offerNext, markClaimed, expireDueOffers,
+ * expireStaleWaiting, getActiveOffers.
+ */
+
+import { jest } from '@jest/globals';
+import { v4 as uuidv4 } from 'uuid';
+
+// ============================================================================
+// Mocks
+// ============================================================================
+
+const mockQuery = jest.fn();
+
+jest.unstable_mockModule('../../config/database.js', () => ({
+  default: { query: mockQuery },
+}));
+
+jest.unstable_mockModule('../../utils/logger.js', () => ({
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const Model = await import('../../models/bookingWaitlistModel.js');
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+const EST_ID = uuidv4();
+const USER_ID = uuidv4();
+const ENTRY_ID = uuidv4();
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+// ============================================================================
+// Write operations
+// ============================================================================
+
+describe('create', () => {
+  it('inserts a waiting entry and returns the row', async () => {
+    mockQuery.mockResolvedValueOnce({ rows: [{ id: ENTRY_ID, status: 'waiting' }] });
+
+    const result = await Model.create({
+      establishmentId: EST_ID,
+      userId: USER_ID,
+      bookingDate: '2026-04-10',
+      timeFrom: '18:00',
+      timeTo: '20:00',
+      guestCount: 2,
+      contactPhone: '+375291234567',
+    });
+
+    expect(result.status).toBe('waiting');
+    const [sql, params] = mockQuery.mock.calls[0];
+    expect(sql).toContain('INSERT INTO booking_waitlist');
+    expect(params).toEqual([EST_ID, USER_ID, '2026-04-10', '18:00', '20:00', 2, '+375291234567']);
+  });
+});
+
+describe('cancel', () => {
+  it('only cancels open entries', async () => {
+    mockQuery.mockResolvedValueOnce({ rows: [] });
+
+    const result = await Model.cancel(ENTRY_ID);
+
+    expect(result).toBeNull();
+    const [, params] = mockQuery.mock.calls[0];
+    expect(params).toEqual([ENTRY_ID, ['waiting', 'offered']]);
+  });
+});
+
+describe('offerNext', () => {
+  it('claims the oldest matching entry for the freed slot', async () => {
+    mockQuery.mockResolvedValueOnce({ rows: [{ id: ENTRY_ID, status: 'offered' }] });
+
+    const result = await Model.offerNext({
+      establishmentId: EST_ID,
+      bookingDate: '2026-04-10',
+      bookingTime: '19:00',
+      seats: 4,
+      claimMinutes: 30,
+    });
+
+    expect(result.status).toBe('offered');
+    const [sql, params] = mockQuery.mock.calls[0];
+    expect(sql).toContain('ORDER BY created_at');
+    expect(sql).toContain('FOR UPDATE SKIP LOCKED');
+    expect(sql).toContain('guest_count <= $4');
+    expect(sql).toContain('offered_seats = w.guest_count');
+    expect(params).toEqual([EST_ID, '2026-04-10', '19:00', 4, 30]);
+  });
+
+  it('returns null when nobody is waiting', async () => {
+    mockQuery.mockResolvedValueOnce({ rows: [] });
+
+    const result = await Model.offerNext({
+      establishmentId: EST_ID,
+      bookingDate: '2026-04-10',
+      bookingTime: '19:00',
+      seats: 2,
+      claimMinutes: 30,
+    });
+
+    expect(result).toBeNull();
+  });
+});
+
+describe('markClaimed', () => {
+  it('links the created booking to an offered entry', async () => {
+    const bookingId = uuidv4();
+    mockQuery.mockResolvedValueOnce({ rows: [{ id: ENTRY_ID, status: 'claimed' }] });
+
+    await Model.markClaimed(ENTRY_ID, bookingId);
+
+    const [sql, params] = mockQuery.mock.calls[0];
+    expect(sql).toContain("WHERE id = $1 AND status = 'offered'");
+    expect(params).toEqual([ENTRY_ID, bookingId]);
+  });
+});
+
+describe('expireDueOffers', () => {
+  it('expires offers past their claim window', async () => {
+    mockQuery.mockResolvedValueOnce({ rows: [{ id: ENTRY_ID, status: 'expired' }] });
+
+    const result = await Model.expireDueOffers();
+
+    expect(result).toHaveLength(1);
+    const [sql, params] = mockQuery.mock.calls[0];
+    expect(sql).toContain('offer_expires_at < NOW()');
+    expect(params).toEqual([100]);
+  });
+});
+
+describe('expireStaleWaiting', () => {
+  it('expires waiting entries for past Minsk dates', async () => {
+    mockQuery.mockResolvedValueOnce({ rowCount: 2 });
+
+    const result = await Model.expireStaleWaiting();
+
+    expect(result).toBe(2);
+    const [sql] = mockQuery.mock.calls[0];
+    expect(sql).toContain("AT TIME ZONE 'Europe/Minsk'");
+  });
+});
+
+// ============================================================================
+// Read operations
+// ============================================================================
+
+describe('getActiveOffers', () => {
+  it('reads live offers around the date, excluding the claimed one', async () => {
+    mockQuery.mockResolvedValueOnce({ rows: [] });
+
+    await Model.getActiveOffers(EST_ID, '2026-04-10', ENTRY_ID);
+
+    const [sql, params] = mockQuery.mock.calls[0];
+    expect(sql).toContain('BETWEEN $2::date - 1 AND $2::date + 1');
+    expect(sql).toContain('offer_expires_at > NOW()');
+    expect(params).toEqual([EST_ID, '2026-04-10', ENTRY_ID]);
+  });
+});
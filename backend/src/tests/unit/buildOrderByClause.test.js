@@ -196,6 +196,42 @@ describe('buildOrderByClause', () => {
     });
   });
 
+  // =========================================================================
+  // Text relevance blend
+  // =========================================================================
+
+  describe('text relevance', () => {
+    const relevance = '(ts_rank_cd(doc, q))';
+
+    test('rating sort ranks by relevance blended with weighted rating', () => {
+      const result = buildOrderByClause('rating', false, relevance);
+      expect(result.startsWith(`(${relevance} * 2 + (e.review_count * e.average_rating`)).toBe(true);
+      expect(result).toContain('/ 5.0) DESC');
+    });
+
+    test('default sort blends the same way', () => {
+      expect(buildOrderByClause(undefined, true, relevance))
+        .toBe(buildOrderByClause('rating', true, relevance));
+    });
+
+    test('price sort keeps price first and uses relevance as tiebreaker', () => {
+      const result = buildOrderByClause('price_asc', true, relevance);
+      expect(result.indexOf('ASC')).toBeLessThan(result.indexOf(`${relevance} DESC`));
+      expect(result.indexOf(`${relevance} DESC`)).toBeLessThan(result.indexOf('distance_km ASC'));
+    });
+
+    test('distance sort keeps distance first', () => {
+      const result = buildOrderByClause('distance', true, relevance);
+      expect(result.startsWith(`distance_km ASC, ${relevance} DESC`)).toBe(true);
+    });
+
+    test('null relevance leaves every sort unchanged', () => {
+      ['rating', 'price_asc', 'price_desc', 'distance', undefined].forEach((mode) => {
+        expect(buildOrderByClause(mode, true, null)).toBe(buildOrderByClause(mode, true));
+      });
+    });
+  });
+
   // =========================================================================
   // CTE alias compatibility
   // =========================================================================
@@ -0,0 +1,134 @@
+/* eslint-env jest */
+/* eslint comma-dangle: 0 */
+/**
+ * Unit Tests: ical.js
+ *
+ * Pure iCalendar formatting — no mocks needed. Covers escaping, line folding,
+ * Minsk wall-clock times, status mapping and SEQUENCE growth on updates.
+ */
+
+import {
+  escapeText,
+  foldLine,
+  formatUtc,
+  formatLocal,
+  buildEvent,
+  buildCalendar,
+} from '../../utils/ical.js';
+
+const baseEvent = {
+  id: 'b-1',
+  date: '2026-04-10',
+  time: '19:30:00',
+  durationMinutes: 120,
+  status: 'confirmed',
+  summary: 'Бронирование: Кафе',
+  createdAt: new Date('2026-04-01T10:00:00Z'),
+  updatedAt: new Date('2026-04-01T10:00:00Z'),
+};
+
+describe('ical', () => {
+  describe('escapeText', () => {
+    test('escapes backslash, semicolon, comma and newlines', () => {
+      expect(escapeText('a\\b;c,d\ne')).toBe('a\\\\b\\;c\\,d\\ne');
+    });
+
+    test('treats null as empty', () => {
+      expect(escapeText(null)).toBe('');
+    });
+  });
+
+  describe('foldLine', () => {
+    test('leaves short lines alone', () => {
+      expect(foldLine('SUMMARY:short')).toBe('SUMMARY:short');
+    });
+
+    test('folds at 75 octets without splitting multi-byte characters', () => {
+      const line = `SUMMARY:${'б'.repeat(100)}`;
+      const folded = foldLine(line);
+      const parts = folded.split('\r\n');
+
+      expect(parts.length).toBeGreaterThan(1);
+      for (const part of parts) {
+        expect(Buffer.byteLength(part, 'utf8')).toBeLessThanOrEqual(75);
+      }
+      expect(parts.slice(1).every((p) => p.startsWith(' '))).toBe(true);
+      expect(parts.map((p, i) => (i === 0 ? p : p.slice(1))).join('')).toBe(line);
+    });
+  });
+
+  describe('formatUtc / formatLocal', () => {
+    test('formats UTC timestamps', () => {
+      expect(formatUtc(new Date('2026-04-10T16:30:05.123Z'))).toBe('20260410T163005Z');
+    });
+
+    test('formats Minsk wall-clock time and rolls over midnight', () => {
+      expect(formatLocal('2026-04-10', '19:30')).toBe('20260410T193000');
+      expect(formatLocal('2026-04-10', '23:00:00', 120)).toBe('20260411T010000');
+    });
+
+    test('accepts the local-midnight Date pg returns for DATE columns', () => {
+      expect(formatLocal(new Date(2026, 3, 10), '12:00')).toBe('20260410T120000');
+    });
+  });
+
+  describe('buildEvent', () => {
+    test('emits a Minsk-zoned event with stable UID', () => {
+      const lines = buildEvent(baseEvent);
+
+      expect(lines[0]).toBe('BEGIN:VEVENT');
+      expect(lines).toContain('UID:b-1@bookings.nirivio.by');
+      expect(lines).toContain('DTSTART;TZID=Europe/Minsk:20260410T193000');
+      expect(lines).toContain('DTEND;TZID=Europe/Minsk:20260410T213000');
+      expect(lines).toContain('STATUS:CONFIRMED');
+      expect(lines).toContain('SEQUENCE:0');
+      expect(lines[lines.length - 1]).toBe('END:VEVENT');
+    });
+
+    test('maps pending to TENTATIVE', () => {
+      expect(buildEvent({ ...baseEvent, status: 'pending' })).toContain('STATUS:TENTATIVE');
+    });
+
+    test.each(['cancelled', 'declined', 'expired'])('maps %s to CANCELLED', (status) => {
+      expect(buildEvent({ ...baseEvent, status })).toContain('STATUS:CANCELLED');
+    });
+
+    test('SEQUENCE grows when the booking is updated', () => {
+      const lines = buildEvent({
+        ...baseEvent,
+        status: 'cancelled',
+        updatedAt: new Date('2026-04-01T10:05:00Z'),
+      });
+      expect(lines).toContain('SEQUENCE:300');
+      expect(lines).toContain('LAST-MODIFIED:20260401T100500Z');
+    });
+
+    test('adds optional description and location', () => {
+      const lines = buildEvent({
+        ...baseEvent,
+        description: 'Гостей: 2\nСтатус: подтверждено',
+        location: 'ул. Ленина, 1, Минск',
+      });
+      expect(lines).toContain('DESCRIPTION:Гостей: 2\\nСтатус: подтверждено');
+      expect(lines).toContain('LOCATION:ул. Ленина\\, 1\\, Минск');
+    });
+  });
+
+  describe('buildCalendar', () => {
+    test('wraps events with CRLF line endings and a Minsk VTIMEZONE', () => {
+      const ics = buildCalendar({ name: 'Бронирования', events: [buildEvent(baseEvent)] });
+
+      expect(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+      expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+      expect(ics).toContain('BEGIN:VTIMEZONE\r\nTZID:Europe/Minsk');
+      expect(ics).toContain('X-WR-CALNAME:Бронирования');
+      expect(ics.match(/BEGIN:VEVENT/g)).toHaveLength(1);
+      expect(ics.replace(/\r\n/g, '')).not.toContain('\n');
+    });
+
+    test('omits calendar name for single-booking downloads', () => {
+      const ics = buildCalendar({ events: [] });
+      expect(ics).not.toContain('X-WR-CALNAME');
+    });
+  });
+});
@@ -156,6 +156,31 @@ describe('llmStructurer', () => {
       expect(result.success).toBe(false);
     });
 
+    test('defaults description and portion to null for items without them', () => {
+      const result = ResponseSchema.safeParse({
+        items: [{ item_name: 'A', price_byn: 10, category_raw: null, confidence: 0.9 }],
+      });
+      expect(result.data.items[0]).toMatchObject({
+        description: null,
+        portion_size: null,
+        portion_unit: null,
+      });
+    });
+
+    test('drops a portion without a unit and rejects unknown units', () => {
+      const halfPortion = ResponseSchema.safeParse({
+        items: [{ item_name: 'A', price_byn: 10, category_raw: null, portion_size: 250, confidence: 0.9 }],
+      });
+      expect(halfPortion.data.items[0]).toMatchObject({ portion_size: null, portion_unit: null });
+
+      const badUnit = ResponseSchema.safeParse({
+        items: [{
+          item_name: 'A', price_byn: 10, category_raw: null, portion_size: 1, portion_unit: 'kg', confidence: 0.9,
+        }],
+      });
+      expect(badUnit.success).toBe(false);
+    });
+
     test('rejects negative confidence', () => {
       const result = ResponseSchema.safeParse({
         items: [{ item_name: 'A', price_byn: 10, category_raw: null, confidence: -0.1 }],
@@ -0,0 +1,116 @@
+/* eslint-env jest */
+/* eslint comma-dangle: 0 */
+/**
+ * Unit Tests: locationResolver.js + constants/gazetteer.js
+ *
+ * Pure matching of inflected location phrases against the bundled gazetteer —
+ * no mocks needed. Also guards the dataset itself: every entry must sit inside
+ * its city's CITY_BOUNDS so a typo in coordinates cannot send a search across
+ * the country.
+ */
+
+import { GAZETTEER } from '../../constants/gazetteer.js';
+import { CITY_BOUNDS } from '../../services/establishmentService.js';
+import {
+  toLocationTokens,
+  resolveCity,
+  resolveLocation,
+} from '../../utils/locationResolver.js';
+
+describe('locationResolver', () => {
+  describe('toLocationTokens', () => {
+    test('drops prepositions and "метро", stems endings, folds ё', () => {
+      expect(toLocationTokens('у метро Каменная Горка')).toEqual(['каменн', 'горк']);
+      expect(toLocationTokens('Зелёный Луг')).toEqual(toLocationTokens('зеленом лугу'));
+    });
+
+    test('empty input yields no tokens', () => {
+      expect(toLocationTokens(null)).toEqual([]);
+      expect(toLocationTokens('  на  ')).toEqual([]);
+    });
+  });
+
+  describe('resolveCity', () => {
+    test.each([
+      ['в Гродно', 'Гродно'],
+      ['Могилёв', 'Могилев'],
+      ['около Бреста', 'Брест'],
+      ['на Немиге', null],
+    ])('%p → %p', (phrase, city) => {
+      expect(resolveCity(phrase)).toBe(city);
+    });
+  });
+
+  describe('resolveLocation', () => {
+    test('matches inflected metro names', () => {
+      expect(resolveLocation('у метро Уручье')).toMatchObject({
+        name: 'Уручье', type: 'metro', city: 'Минск', radiusKm: 1,
+      });
+      expect(resolveLocation('возле Площади Победы')).toMatchObject({ name: 'Площадь Победы' });
+    });
+
+    test('longest alias wins over a shorter one inside it', () => {
+      // "Площадь Якуба Коласа" also contains the alias "Якуба Коласа"
+      expect(resolveLocation('на площади Якуба Коласа').name).toBe('Площадь Якуба Коласа');
+    });
+
+    test('metro beats a street of the same name within one city', () => {
+      expect(resolveLocation('на Немиге')).toMatchObject({ name: 'Немига', type: 'metro' });
+    });
+
+    test('a name shared by several cities is ambiguous without scope', () => {
+      expect(resolveLocation('на Советской')).toBeNull();
+    });
+
+    test('city in the phrase or in options scopes the match', () => {
+      expect(resolveLocation('Советская, Гродно')).toMatchObject({ city: 'Гродно', type: 'street' });
+      expect(resolveLocation('в центре', { city: 'Брест' })).toMatchObject({ city: 'Брест' });
+      expect(resolveLocation('в центре', { city: 'Минск' })).toMatchObject({
+        name: 'Центральный район', type: 'district',
+      });
+    });
+
+    test('context city is a preference, a phrase city is binding', () => {
+      expect(resolveLocation('у Брестской крепости', { city: 'Минск' })).toMatchObject({ city: 'Брест' });
+      expect(resolveLocation('Немига, Гродно')).toBeNull();
+    });
+
+    test('bounds become an enclosing centroid + radius', () => {
+      const place = resolveLocation('Фрунзенский район');
+      expect(place).toMatchObject({ latitude: 53.91, longitude: 27.46 });
+      expect(place.radiusKm).toBeGreaterThan(3);
+      expect(place.radiusKm).toBeLessThan(6);
+    });
+
+    test('unknown phrases resolve to null', () => {
+      expect(resolveLocation('где-то рядом с домом')).toBeNull();
+      expect(resolveLocation('')).toBeNull();
+    });
+  });
+
+  describe('GAZETTEER', () => {
+    test.each(GAZETTEER.map((entry) => [entry.city, entry.name, entry]))(
+      '%s / %s lies inside CITY_BOUNDS',
+      (city, name, entry) => {
+        const bounds = CITY_BOUNDS[city];
+        expect(bounds).toBeDefined();
+        const corners = entry.bounds
+          ? [[entry.bounds.latMin, entry.bounds.lonMin], [entry.bounds.latMax, entry.bounds.lonMax]]
+          : [[entry.lat, entry.lon]];
+        for (const [lat, lon] of corners) {
+          expect(lat).toBeGreaterThanOrEqual(bounds.latMin);
+          expect(lat).toBeLessThanOrEqual(bounds.latMax);
+          expect(lon).toBeGreaterThanOrEqual(bounds.lonMin);
+          expect(lon).toBeLessThanOrEqual(bounds.lonMax);
+        }
+      },
+    );
+
+    test('every entry has a known type and a positive radius or bounds', () => {
+      for (const entry of GAZETTEER) {
+        expect(['metro', 'district', 'street', 'landmark']).toContain(entry.type);
+        if (!entry.bounds) expect(entry.radiusKm).toBeGreaterThan(0);
+      }
+    });
+  });
+});
@@ -0,0 +1,86 @@
+/* eslint-env jest */
+/* eslint comma-dangle: 0 */
+/**
+ * Unit Tests: menuItemModel.js — replaceForMedia
+ *
+ * Transaction statements on a mocked pooled client: the published draft is
+ * claimed before any item is touched, and a draft that is already gone rolls
+ * the replacement back.
+ */
+
+import { jest } from '@jest/globals';
+
+const mockClient = { query: jest.fn(), release: jest.fn() };
+
+jest.unstable_mockModule('../../config/database.js', () => ({
+  default: { query: jest.fn(), connect: jest.fn() },
+}));
+
+jest.unstable_mockModule('../../models/menuPriceHistoryModel.js', () => ({
+  recordPrices: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../utils/logger.js', () => ({
+  default: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+}));
+
+const { default: pool } = await import('../../config/database.js');
+const MenuPriceHistoryModel = await import('../../models/menuPriceHistoryModel.js');
+const { replaceForMedia } = await import('../../models/menuItemModel.js');
+
+const ITEM = { item_name: 'Борщ', price_byn: 12, position: 0 };
+
+const statements = () => mockClient.query.mock.calls.map(([sql]) => sql.trim().split(/\s+/).slice(0, 3).join(' '));
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  pool.connect.mockResolvedValue(mockClient);
+  mockClient.query.mockResolvedValue({ rows: [] });
+  MenuPriceHistoryModel.recordPrices.mockResolvedValue([]);
+});
+
+describe('replaceForMedia', () => {
+  test('claims the draft first, then replaces the items and commits', async () => {
+    mockClient.query.mockImplementation(async (sql) => {
+      if (sql.startsWith('DELETE FROM menu_drafts')) return { rows: [{ id: 'draft-1' }] };
+      if (sql.includes('INSERT INTO menu_items')) return { rows: [{ id: 'mi-1', ...ITEM }] };
+      return { rows: [] };
+    });
+
+    const result = await replaceForMedia({
+      establishmentId: 'est-1',
+      mediaId: 'media-1',
+      newItems: [ITEM],
+      draftId: 'draft-1',
+    });
+
+    expect(result.newItems).toEqual([{ id: 'mi-1', ...ITEM }]);
+    expect(mockClient.query.mock.calls[1]).toEqual([
+      'DELETE FROM menu_drafts WHERE id = $1 RETURNING id',
+      ['draft-1'],
+    ]);
+    expect(statements().at(-1)).toBe('COMMIT');
+    expect(mockClient.release).toHaveBeenCalled();
+  });
+
+  test('a draft that is already gone rolls back without touching the items', async () => {
+    const result = await replaceForMedia({
+      establishmentId: 'est-1',
+      mediaId: 'media-1',
+      newItems: [ITEM],
+      draftId: 'draft-1',
+    });
+
+    expect(result).toBeNull();
+    expect(statements()).toEqual(['BEGIN', 'DELETE FROM menu_drafts', 'ROLLBACK']);
+    expect(MenuPriceHistoryModel.recordPrices).not.toHaveBeenCalled();
+    expect(mockClient.release).toHaveBeenCalled();
+  });
+
+  test('without a draft nothing is claimed', async () => {
+    await replaceForMedia({ establishmentId: 'est-1', mediaId: 'media-1', newItems: [] });
+
+    expect(statements()).not.toContain('DELETE FROM menu_drafts');
+    expect(statements().at(-1)).toBe('COMMIT');
+  });
+});
@@ -0,0 +1,112 @@
+/* eslint-env jest */
+/* eslint comma-dangle: 0 */
+/**
+ * Unit Tests: menuPriceHistoryModel.js
+ *
+ * SQL parameters with a mocked pool: batch de-duplication by normalized
+ * name, transaction client pass-through, history filters and the LIKE
+ * escaping of the admin price report query.
+ */
+
+import { jest } from '@jest/globals';
+
+const mockQuery = jest.fn();
+
+jest.unstable_mockModule('../../config/database.js', () => ({
+  default: { query: mockQuery },
+}));
+
+const Model = await import('../../models/menuPriceHistoryModel.js');
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockQuery.mockResolvedValue({ rows: [] });
+});
+
+describe('recordPrices', () => {
+  test('one entry per normalized name (first wins), unpriced items skipped', async () => {
+    await Model.recordPrices({
+      establishmentId: 'est-1',
+      source: 'ocr',
+      items: [
+        { item_name: '  Капучино ', price_byn: '6.50' },
+        { item_name: 'КАПУЧИНО', price_byn: 9 },
+        { item_name: 'Чай  зелёный', price_byn: 3 },
+        { item_name: 'Вода', price_byn: null },
+      ],
+    });
+
+    expect(mockQuery).toHaveBeenCalledTimes(1);
+    const [sql, params] = mockQuery.mock.calls[0];
+    expect(sql).toMatch(/IS DISTINCT FROM v\.price_byn/);
+    expect(params).toEqual([
+      'est-1',
+      ['капучино', 'чай зелёный'],
+      ['Капучино', 'Чай  зелёный'],
+      ['6.50', 3],
+      'ocr',
+    ]);
+  });
+
+  test('runs on the given transaction client and skips empty batches', async () => {
+    const client = { query: jest.fn().mockResolvedValue({ rows: [{ id: 'h-1' }] }) };
+
+    const rows = await Model.recordPrices({
+      establishmentId: 'est-1',
+      source: 'import',
+      items: [{ item_name: 'Борщ', price_byn: 12 }],
+    }, client);
+
+    expect(rows).toEqual([{ id: 'h-1' }]);
+    expect(client.query).toHaveBeenCalledTimes(1);
+    expect(mockQuery).not.toHaveBeenCalled();
+
+    await expect(Model.recordPrices({
+      establishmentId: 'est-1',
+      source: 'manual',
+      items: [{ item_name: 'Вода', price_byn: null }],
+    })).resolves.toEqual([]);
+    expect(mockQuery).not.toHaveBeenCalled();
+  });
+});
+
+describe('getByEstablishmentId', () => {
+  test('filters by dish and to changes only, paginated', async () => {
+    mockQuery
+      .mockResolvedValueOnce({ rows: [{ total: '3' }] })
+      .mockResolvedValueOnce({ rows: [{ id: 'h-1' }] });
+
+    const result = await Model.getByEstablishmentId('est-1', {
+      normalizedName: 'капучино',
+      changesOnly: true,
+      limit: 10,
+      offset: 20,
+    });
+
+    expect(result).toEqual({ items: [{ id: 'h-1' }], total: 3 });
+    const [countSql, countParams] = mockQuery.mock.calls[0];
+    expect(countSql).toMatch(/normalized_name = \$2 AND previous_price_byn IS NOT NULL/);
+    expect(countParams).toEqual(['est-1', 'капучино']);
+    expect(mockQuery.mock.calls[1][1]).toEqual(['est-1', 'капучино', 10, 20]);
+  });
+});
+
+describe('getCityPriceReport', () => {
+  test('matches the normalized query as a substring with LIKE wildcards escaped', async () => {
+    await Model.getCityPriceReport({ query: ' Кофе  50%_ ', city: 'Минск' });
+
+    const [sql, params] = mockQuery.mock.calls[0];
+    expect(params).toEqual(['%кофе 50\\%\\_%', 'Минск']);
+    expect(sql).toMatch(/AND city = \$2/);
+    expect(sql).toMatch(/e\.status = 'active'/);
+  });
+
+  test('tab and newline in a stored name normalize like in JS', async () => {
+    await Model.getCityPriceReport({ query: '\tЧай\nзелёный ', city: 'Минск' });
+
+    const [sql, params] = mockQuery.mock.calls[0];
+    expect(params[0]).toBe('%чай зелёный%');
+    // Whitespace collapsed before btrim, which only strips spaces
+    expect(sql).toContain("lower(btrim(regexp_replace(mi.item_name, '\\s+', ' ', 'g')))");
+  });
+});
@@ -75,6 +75,12 @@ const {
   notifyBookingDeclined,
   notifyBookingExpired,
   notifyBookingCancelled,
+  notifyBookingReminder,
+  notifyBookingReconfirmRequest,
+  notifyBookingNeedsOutcome,
+  notifyBookingModified,
+  notifyBookingModificationResult,
+  notifyWaitlistOffer,
   notifyPromotionNew,
   notifyMenuParsed,
   notifyMenuItemHidden,
@@ -166,6 +172,11 @@ describe('notificationService', () => {
         'booking_declined',
         'booking_expired',
         'booking_cancelled',
+        'booking_modified',
+        'booking_reminder',
+        'booking_reconfirm_request',
+        'booking_needs_outcome',
+        'waitlist_offer',
         'promotion_new',
       ];
 
@@ -914,6 +925,101 @@ describe('notificationService', () => {
         })
       );
     });
+
+    test('should call pushService for booking_reminder', async () => {
+      await notifyBookingReminder(userId, bookingData, establishmentId);
+      expect(PushService.sendPush).toHaveBeenCalledWith(
+        userId,
+        expect.objectContaining({
+          data: expect.objectContaining({ type: 'booking_reminder' }),
+        })
+      );
+    });
+
+    test('should push reconfirm request with bookingId and action', async () => {
+      await notifyBookingReconfirmRequest(userId, bookingData, establishmentId);
+      expect(PushService.sendPush).toHaveBeenCalledWith(
+        userId,
+        expect.objectContaining({
+          data: expect.objectContaining({
+            type: 'booking_reconfirm_request',
+            bookingId: bookingData.id,
+            action: 'reconfirm',
+          }),
+        })
+      );
+    });
+
+    test('should push waitlist offer with entry id and claim action', async () => {
+      const entry = { id: uuidv4(), establishment_name: 'Ресторан', booking_date: '2026-04-10', offered_time: '19:00:00' };
+      await notifyWaitlistOffer(userId, entry, establishmentId);
+      expect(PushService.sendPush).toHaveBeenCalledWith(
+        userId,
+        expect.objectContaining({
+          data: expect.objectContaining({
+            type: 'waitlist_offer',
+            waitlistEntryId: entry.id,
+            action: 'claim',
+          }),
+        })
+      );
+    });
+
+    test('should NOT call pushService for booking_needs_outcome (in-app only)', async () => {
+      await notifyBookingNeedsOutcome(partnerId, bookingData, establishmentId);
+      expect(NotificationModel.create).toHaveBeenCalledWith(
+        expect.objectContaining({ userId: partnerId, type: 'booking_needs_outcome' })
+      );
+      expect(PushService.sendPush).not.toHaveBeenCalled();
+    });
+
+    test('should ask partner to approve a modification that needs approval', async () => {
+      const modified = {
+        ...bookingData,
+        previous_date: '2026-04-10',
+        previous_time: '19:00:00',
+        booking_date: '2026-04-11',
+        booking_time: '20:00',
+        guest_count: 4,
+      };
+      await notifyBookingModified(partnerId, modified, establishmentId, { autoConfirmed: false });
+      expect(NotificationModel.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          userId: partnerId,
+          type: 'booking_modified',
+          message: expect.stringContaining('Подтвердите или отклоните'),
+        })
+      );
+      expect(NotificationModel.create.mock.calls[0][0].message).toContain('10 апреля 19:00 → 11 апреля 20:00');
+      expect(PushService.sendPush).toHaveBeenCalledWith(
+        partnerId,
+        expect.objectContaining({
+          data: expect.objectContaining({ type: 'booking_modified', bookingId: bookingData.id }),
+        })
+      );
+    });
+
+    test('should tell partner an auto-confirmed modification stays confirmed', async () => {
+      await notifyBookingModified(
+        partnerId,
+        { ...bookingData, previous_date: '2026-04-10', previous_time: '19:00' },
+        establishmentId,
+        { autoConfirmed: true },
+      );
+      expect(NotificationModel.create.mock.calls[0][0].message).toContain('остаётся подтверждённой');
+    });
+
+    test('should notify guest of modification result without push', async () => {
+      await notifyBookingModificationResult(userId, bookingData, establishmentId, { autoConfirmed: false });
+      expect(NotificationModel.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          userId,
+          type: 'booking_modified',
+          message: expect.stringContaining('отправлен заведению'),
+        })
+      );
+      expect(PushService.sendPush).not.toHaveBeenCalled();
+    });
   });
 
   // ═══════════════════════════════════════════════════════════════════════
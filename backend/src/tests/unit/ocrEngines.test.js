@@ -0,0 +1,162 @@
+/* eslint-env jest */
+/* eslint comma-dangle: 0 */
+/**
+ * Unit Tests: ocrEngines.js + config/ocr.js
+ *
+ * Engine / structurer fallback chains with every implementation mocked, and
+ * chain selection from OCR_ENGINE / OCR_STRUCTURER.
+ */
+
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('../../utils/logger.js', () => ({
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule('../../config/openrouter.js', () => ({
+  getOcrConfig: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../services/ocr/visionOcrAdapter.js', () => ({
+  extractFromImages: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../services/ocr/tesseractOcrAdapter.js', () => ({
+  extractFromImages: jest.fn(),
+  terminate: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../services/ocr/llmStructurer.js', () => ({
+  structureMenu: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../services/ocr/ruleBasedStructurer.js', () => ({
+  structureMenu: jest.fn(),
+}));
+
+const { getOcrConfig } = await import('../../config/openrouter.js');
+const visionOcrAdapter = await import('../../services/ocr/visionOcrAdapter.js');
+const tesseractOcrAdapter = await import('../../services/ocr/tesseractOcrAdapter.js');
+const llmStructurer = await import('../../services/ocr/llmStructurer.js');
+const ruleBasedStructurer = await import('../../services/ocr/ruleBasedStructurer.js');
+const { getOcrEngineConfig } = await import('../../config/ocr.js');
+const ocrEngines = await import('../../services/ocr/ocrEngines.js');
+
+const ENV_KEYS = ['OCR_ENGINE', 'OCR_STRUCTURER', 'TESSERACT_LANG'];
+const savedEnv = {};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  for (const key of ENV_KEYS) {
+    savedEnv[key] = process.env[key];
+    delete process.env[key];
+  }
+  getOcrConfig.mockReturnValue({ apiKey: 'test-key' });
+});
+
+afterEach(() => {
+  for (const key of ENV_KEYS) {
+    if (savedEnv[key] === undefined) delete process.env[key];
+    else process.env[key] = savedEnv[key];
+  }
+});
+
+describe('getOcrEngineConfig', () => {
+  test('defaults to the OpenRouter pipeline when an API key is set', () => {
+    expect(getOcrEngineConfig()).toMatchObject({
+      engines: ['vision_llm'],
+      structurers: ['llm'],
+      tesseract: { lang: 'rus+eng' },
+    });
+  });
+
+  test('defaults to the local pipeline without an API key', () => {
+    getOcrConfig.mockReturnValue({ apiKey: undefined });
+
+    expect(getOcrEngineConfig()).toMatchObject({ engines: ['tesseract'], structurers: ['rules'] });
+  });
+
+  test('parses chains, dropping unknown and duplicate entries', () => {
+    process.env.OCR_ENGINE = ' Vision_LLM, easyocr, tesseract, vision_llm';
+    process.env.OCR_STRUCTURER = 'bogus';
+
+    expect(getOcrEngineConfig()).toMatchObject({
+      engines: ['vision_llm', 'tesseract'],
+      structurers: ['llm'],
+    });
+  });
+});
+
+describe('extractFromImages', () => {
+  test('returns the first engine result tagged with its name', async () => {
+    visionOcrAdapter.extractFromImages.mockResolvedValue({ rawText: 'Борщ 12', confidenceOverall: 0.9 });
+
+    const result = await ocrEngines.extractFromImages(['https://x/pg_1.jpg']);
+
+    expect(result).toEqual({ rawText: 'Борщ 12', confidenceOverall: 0.9, engine: 'vision_llm' });
+    expect(tesseractOcrAdapter.extractFromImages).not.toHaveBeenCalled();
+  });
+
+  test('falls back to the next engine on error', async () => {
+    process.env.OCR_ENGINE = 'vision_llm,tesseract';
+    visionOcrAdapter.extractFromImages.mockRejectedValue(new Error('upstream 502'));
+    tesseractOcrAdapter.extractFromImages.mockResolvedValue({ rawText: 'Борщ 12', confidenceOverall: 0.7 });
+
+    const result = await ocrEngines.extractFromImages(['https://x/pg_1.jpg']);
+
+    expect(result.engine).toBe('tesseract');
+    expect(tesseractOcrAdapter.extractFromImages).toHaveBeenCalledWith(['https://x/pg_1.jpg']);
+  });
+
+  test('treats empty text as a failure', async () => {
+    process.env.OCR_ENGINE = 'vision_llm,tesseract';
+    visionOcrAdapter.extractFromImages.mockResolvedValue({ rawText: '  ', confidenceOverall: 0 });
+    tesseractOcrAdapter.extractFromImages.mockResolvedValue({ rawText: 'Квас 3', confidenceOverall: 0.6 });
+
+    await expect(ocrEngines.extractFromImages(['u'])).resolves.toMatchObject({ engine: 'tesseract' });
+  });
+
+  test('single-engine failure keeps the engine error', async () => {
+    visionOcrAdapter.extractFromImages.mockResolvedValue({ rawText: '', confidenceOverall: 0 });
+
+    await expect(ocrEngines.extractFromImages(['u'])).rejects.toThrow('vision_llm: OCR produced empty text');
+  });
+
+  test('combines errors when every engine fails', async () => {
+    visionOcrAdapter.extractFromImages.mockRejectedValue(new Error('upstream 502'));
+    tesseractOcrAdapter.extractFromImages.mockRejectedValue(new Error('image fetch failed'));
+
+    await expect(ocrEngines.extractFromImages(['u'], { engines: ['vision_llm', 'tesseract'] }))
+      .rejects.toThrow('All OCR engines failed — vision_llm: upstream 502; tesseract: image fetch failed');
+  });
+});
+
+describe('structureMenu', () => {
+  test('uses the option chain over the configured one', async () => {
+    ruleBasedStructurer.structureMenu.mockResolvedValue([{ item_name: 'Квас' }]);
+
+    const result = await ocrEngines.structureMenu('Квас 3', { structurers: ['rules'] });
+
+    expect(result).toEqual({ items: [{ item_name: 'Квас' }], structurer: 'rules' });
+    expect(llmStructurer.structureMenu).not.toHaveBeenCalled();
+  });
+
+  test('falls back to the rule-based structurer', async () => {
+    process.env.OCR_STRUCTURER = 'llm,rules';
+    llmStructurer.structureMenu.mockRejectedValue(new Error('LLM returned invalid JSON'));
+    ruleBasedStructurer.structureMenu.mockResolvedValue([]);
+
+    await expect(ocrEngines.structureMenu('x')).resolves.toEqual({ items: [], structurer: 'rules' });
+  });
+});
+
+test('shutdown terminates the local worker', async () => {
+  await ocrEngines.shutdown();
+
+  expect(tesseractOcrAdapter.terminate).toHaveBeenCalled();
+});
@@ -7,6 +7,7 @@
  *   - enqueue idempotency (active job returned instead of duplicate creation)
  *   - pickNextPending uses FOR UPDATE SKIP LOCKED (concurrency safety)
  *   - markFailed retry logic (returns to pending vs permanent failure)
+ *   - page sub-tasks: idempotent creation, per-page retry logic
  */
 
 import { jest } from '@jest/globals';
@@ -82,7 +83,23 @@ describe('enqueue', () => {
     expect(mockQuery).toHaveBeenCalledTimes(2);
     const [insertSql, insertParams] = mockQuery.mock.calls[1];
     expect(insertSql).toContain('INSERT INTO ocr_jobs');
-    expect(insertParams).toEqual([ESTABLISHMENT_ID, MEDIA_ID]);
+    expect(insertParams).toEqual([ESTABLISHMENT_ID, MEDIA_ID, null]);
+  });
+
+  test('stores the upload page count on the new job', async () => {
+    mockQuery
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: [{ id: JOB_ID, page_count: 14 }] });
+
+    await Model.enqueue({
+      establishmentId: ESTABLISHMENT_ID,
+      mediaId: MEDIA_ID,
+      pageCount: 14,
+    });
+
+    const [insertSql, insertParams] = mockQuery.mock.calls[1];
+    expect(insertSql).toContain('page_count');
+    expect(insertParams).toEqual([ESTABLISHMENT_ID, MEDIA_ID, 14]);
   });
 
   test('treats processing status as active (idempotent even when mid-processing)', async () => {
@@ -225,3 +242,52 @@ describe('getJobsByEstablishment', () => {
     expect(params).toEqual([ESTABLISHMENT_ID]);
   });
 });
+
+describe('ensurePages', () => {
+  test('inserts one row per page idempotently and returns all pages', async () => {
+    const pages = [{ page_number: 1 }, { page_number: 2 }];
+    mockQuery
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({ rows: pages });
+
+    const result = await Model.ensurePages(JOB_ID, ['https://x/pg_1/a.jpg', 'https://x/pg_2/a.jpg']);
+
+    const [insertSql, insertParams] = mockQuery.mock.calls[0];
+    expect(insertSql).toContain('INSERT INTO ocr_job_pages');
+    expect(insertSql).toContain('($1, 1, $2), ($1, 2, $3)');
+    expect(insertSql).toContain('ON CONFLICT (job_id, page_number) DO NOTHING');
+    expect(insertParams).toEqual([JOB_ID, 'https://x/pg_1/a.jpg', 'https://x/pg_2/a.jpg']);
+
+    const [selectSql] = mockQuery.mock.calls[1];
+    expect(selectSql).toContain('ORDER BY page_number ASC');
+    expect(result).toEqual(pages);
+  });
+});
+
+describe('markPageDone', () => {
+  test('stores raw text and items, counts the attempt', async () => {
+    mockQuery.mockResolvedValueOnce({ rows: [{ id: 'page-1', status: 'done' }] });
+    const items = [{ item_name: 'Борщ', price_byn: 15 }];
+
+    await Model.markPageDone('page-1', { rawText: 'Борщ 15', confidence: 0.85, items });
+
+    const [sql, params] = mockQuery.mock.calls[0];
+    expect(sql).toContain("status = 'done'");
+    expect(sql).toContain('attempts = attempts + 1');
+    expect(sql).toContain('items = $4::jsonb');
+    expect(params).toEqual(['page-1', 'Борщ 15', 0.85, JSON.stringify(items)]);
+  });
+});
+
+describe('markPageFailed — per-page retry logic', () => {
+  test('stays pending until the incremented attempts reach max_attempts', async () => {
+    mockQuery.mockResolvedValueOnce({ rows: [{ id: 'page-1', status: 'pending' }] });
+
+    await Model.markPageFailed('page-1', 'upstream 502');
+
+    const [sql, params] = mockQuery.mock.calls[0];
+    expect(sql).toContain('attempts = attempts + 1');
+    expect(sql).toMatch(/WHEN attempts \+ 1 >= max_attempts THEN 'failed'\s+ELSE 'pending'/);
+    expect(params).toEqual(['page-1', 'upstream 502']);
+  });
+});
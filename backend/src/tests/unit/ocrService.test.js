@@ -0,0 +1,314 @@
+/* eslint-env jest */
+/* eslint comma-dangle: 0 */
+/**
+ * Unit Tests: ocrService.js
+ *
+ * Page-level vision OCR orchestration with models and OCR engines mocked:
+ *   - page merge with de-duplication across pages
+ *   - page count resolution (pdf-parse → upload metadata → probing)
+ *   - retry vs partial success when pages fail
+ */
+
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('../../models/ocrJobModel.js', () => ({
+  getJobStatus: jest.fn(),
+  ensurePages: jest.fn(),
+  markPageDone: jest.fn(),
+  markPageFailed: jest.fn(),
+  markDone: jest.fn(),
+  markFailed: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../models/menuItemModel.js', () => ({
+  getByEstablishmentId: jest.fn(),
+  replaceForMedia: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../models/menuDraftModel.js', () => ({
+  replaceDraftForMedia: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../models/mediaModel.js', () => ({
+  findMediaById: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../services/notificationService.js', () => ({
+  notifyMenuParsed: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../services/ocr/pdfTextExtractor.js', () => ({
+  extractText: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../services/ocr/ocrEngines.js', () => ({
+  extractFromImages: jest.fn(),
+  structureMenu: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../utils/logger.js', () => ({
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const ocrJobModel = await import('../../models/ocrJobModel.js');
+const menuItemModel = await import('../../models/menuItemModel.js');
+const menuDraftModel = await import('../../models/menuDraftModel.js');
+const MediaModel = await import('../../models/mediaModel.js');
+const NotificationService = await import('../../services/notificationService.js');
+const pdfTextExtractor = await import('../../services/ocr/pdfTextExtractor.js');
+const ocrEngines = await import('../../services/ocr/ocrEngines.js');
+const {
+  processJob,
+  mergePageItems,
+  buildPdfPageUrls,
+  probePdfPageCount,
+  PAGE_PROBE_TIMEOUT_MS,
+  MAX_PDF_PAGES,
+} = await import('../../services/ocr/ocrService.js');
+
+const PDF_URL = 'https://res.cloudinary.com/test/image/upload/v1/menu.pdf';
+const MEDIA = { id: 'media-1', file_type: 'pdf', url: PDF_URL };
+const JOB = {
+  id: 'job-1',
+  establishment_id: 'est-1',
+  media_id: 'media-1',
+  attempts: 1,
+  max_attempts: 3,
+  page_count: null,
+};
+
+const page = (number, overrides = {}) => ({
+  id: `page-${number}`,
+  page_number: number,
+  image_url: buildPdfPageUrls(MEDIA, number)[number - 1],
+  status: 'pending',
+  attempts: 0,
+  error_message: null,
+  items: null,
+  ...overrides,
+});
+
+/**
+ * Page rows as persisted by markPageDone / markPageFailed: the mocks echo the
+ * outcome back, failing attempts stay 'pending' while the job may retry.
+ */
+const mockPageUpdates = ({ exhausted = false } = {}) => {
+  ocrJobModel.markPageDone.mockImplementation(async (id, { items }) => ({
+    id, page_number: Number(id.split('-')[1]), status: 'done', items,
+  }));
+  ocrJobModel.markPageFailed.mockImplementation(async (id, errorMessage) => ({
+    id,
+    page_number: Number(id.split('-')[1]),
+    status: exhausted ? 'failed' : 'pending',
+    error_message: errorMessage,
+  }));
+};
+
+const visionFailsOnPage = (failing) => {
+  ocrEngines.extractFromImages.mockImplementation(async ([url]) => {
+    const number = Number(url.match(/pg_(\d+)/)[1]);
+    if (number === failing) throw new Error('upstream 502');
+    return { rawText: `page ${number}`, confidenceOverall: 0.85, engine: 'vision_llm' };
+  });
+  ocrEngines.structureMenu.mockImplementation(async (text) => ({
+    items: [{ item_name: `Dish of ${text}`, price_byn: 10, category_raw: null, confidence: 0.9 }],
+    structurer: 'llm',
+  }));
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  MediaModel.findMediaById.mockResolvedValue(MEDIA);
+  menuItemModel.getByEstablishmentId.mockResolvedValue([]);
+  menuDraftModel.replaceDraftForMedia.mockResolvedValue({ draft: { id: 'draft-1' }, items: [] });
+  NotificationService.notifyMenuParsed.mockResolvedValue(undefined);
+  pdfTextExtractor.extractText.mockResolvedValue({ text: 'xy', pageCount: 3, hasTextLayer: false });
+  ocrJobModel.ensurePages.mockResolvedValue([page(1), page(2), page(3)]);
+});
+
+describe('mergePageItems', () => {
+  test('keeps page order and drops repeats across pages, the more confident one wins', () => {
+    const { items, duplicatesRemoved } = mergePageItems([
+      page(2, { status: 'done', items: [
+        { item_name: 'Борщ  ', price_byn: 15, confidence: 0.95 },
+        { item_name: 'Квас', price_byn: 3, confidence: 0.9 },
+      ] }),
+      page(1, { status: 'done', items: [
+        { item_name: 'Борщ', price_byn: 15, confidence: 0.8 },
+        { item_name: 'Пиво 0,5', price_byn: 6, confidence: 0.9 },
+        { item_name: 'пиво 0,5', price_byn: 9, confidence: 0.9 },
+      ] }),
+      page(3, { status: 'failed', items: null }),
+    ]);
+
+    expect(items.map((it) => [it.item_name, it.price_byn])).toEqual([
+      ['Борщ  ', 15],
+      ['Пиво 0,5', 6],
+      ['пиво 0,5', 9],
+      ['Квас', 3],
+    ]);
+    expect(duplicatesRemoved).toBe(1);
+  });
+});
+
+describe('buildPdfPageUrls', () => {
+  test('renders one pg_N jpg per page, capped at MAX_PDF_PAGES', () => {
+    expect(buildPdfPageUrls(MEDIA, 2)).toEqual([
+      'https://res.cloudinary.com/test/image/upload/pg_1/v1/menu.jpg',
+      'https://res.cloudinary.com/test/image/upload/pg_2/v1/menu.jpg',
+    ]);
+    expect(buildPdfPageUrls(MEDIA, 500)).toHaveLength(MAX_PDF_PAGES);
+  });
+});
+
+describe('probePdfPageCount', () => {
+  let originalFetch;
+  beforeEach(() => { originalFetch = global.fetch; });
+  afterEach(() => { global.fetch = originalFetch; });
+
+  test('counts pages until a render fails', async () => {
+    global.fetch = jest.fn(async (url) => ({ ok: !url.includes('/pg_4/') }));
+
+    await expect(probePdfPageCount(MEDIA)).resolves.toBe(3);
+    expect(global.fetch).toHaveBeenCalledWith(
+      expect.stringContaining('/pg_1/'),
+      { method: 'HEAD', signal: expect.any(AbortSignal) },
+    );
+  });
+
+  test('a render that does not answer in time ends the probe', async () => {
+    jest.useFakeTimers();
+    global.fetch = jest.fn((url, { signal }) => (url.includes('/pg_2/')
+      ? new Promise((_resolve, reject) => {
+        signal.addEventListener('abort', () => reject(new Error('aborted')));
+      })
+      : Promise.resolve({ ok: true })));
+
+    try {
+      const probe = probePdfPageCount(MEDIA);
+      await jest.advanceTimersByTimeAsync(PAGE_PROBE_TIMEOUT_MS);
+
+      await expect(probe).resolves.toBe(1);
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
+
+describe('processJob — page-level vision OCR', () => {
+  test('pdf-parse failure uses the upload page count instead of a fixed cap', async () => {
+    pdfTextExtractor.extractText.mockRejectedValue(new Error('parse error'));
+    ocrJobModel.getJobStatus.mockResolvedValue({ ...JOB, page_count: 12 });
+    ocrJobModel.ensurePages.mockResolvedValue([page(1, { status: 'done', items: [] })]);
+
+    await processJob('job-1');
+
+    const [, urls] = ocrJobModel.ensurePages.mock.calls[0];
+    expect(urls).toHaveLength(12);
+    expect(urls[11]).toContain('/pg_12/');
+  });
+
+  test('a failed page with retries left re-queues the job without persisting', async () => {
+    ocrJobModel.getJobStatus.mockResolvedValue(JOB);
+    mockPageUpdates();
+    visionFailsOnPage(2);
+
+    const result = await processJob('job-1');
+
+    expect(result.success).toBe(false);
+    expect(ocrJobModel.markFailed).toHaveBeenCalledWith(
+      'job-1',
+      '1 of 3 pages failed, retrying: upstream 502',
+    );
+    expect(menuDraftModel.replaceDraftForMedia).not.toHaveBeenCalled();
+  });
+
+  test('done pages from an earlier run are not sent to OCR again', async () => {
+    ocrJobModel.getJobStatus.mockResolvedValue({ ...JOB, attempts: 2 });
+    ocrJobModel.ensurePages.mockResolvedValue([
+      page(1, { status: 'done', items: [{ item_name: 'A', price_byn: 5, confidence: 0.9 }] }),
+      page(2),
+    ]);
+    mockPageUpdates();
+    visionFailsOnPage(null);
+
+    const result = await processJob('job-1');
+
+    expect(result).toMatchObject({ success: true, itemCount: 2 });
+    expect(ocrEngines.extractFromImages).toHaveBeenCalledTimes(1);
+    expect(ocrEngines.extractFromImages.mock.calls[0][0][0]).toContain('/pg_2/');
+  });
+
+  test('on the last attempt a still-failing page yields partial success', async () => {
+    ocrJobModel.getJobStatus.mockResolvedValue({ ...JOB, attempts: 3 });
+    mockPageUpdates({ exhausted: true });
+    visionFailsOnPage(2);
+
+    const result = await processJob('job-1');
+
+    expect(result).toMatchObject({ success: true, itemCount: 2 });
+    expect(menuDraftModel.replaceDraftForMedia).toHaveBeenCalledWith(expect.objectContaining({
+      ocrJobId: 'job-1',
+      items: [
+        expect.objectContaining({ item_name: 'Dish of page 1' }),
+        expect.objectContaining({ item_name: 'Dish of page 3' }),
+      ],
+    }));
+    expect(menuItemModel.replaceForMedia).not.toHaveBeenCalled();
+    expect(ocrJobModel.markDone).toHaveBeenCalledWith('job-1', expect.objectContaining({
+      strategy: 'vision_pdf_fallback',
+      draft_id: 'draft-1',
+      engines: ['vision_llm'],
+      structurers: ['llm'],
+      pages_total: 3,
+      pages_done: 2,
+      pages_failed: [{ page: 2, error: 'upstream 502' }],
+      partial: true,
+    }));
+  });
+
+  test('pdf text layer skips OCR and goes straight to the structurer', async () => {
+    ocrJobModel.getJobStatus.mockResolvedValue(JOB);
+    pdfTextExtractor.extractText.mockResolvedValue({
+      text: 'Борщ ..... 12,50 руб', pageCount: 2, hasTextLayer: true,
+    });
+    ocrEngines.structureMenu.mockResolvedValue({
+      items: [{ item_name: 'Борщ', price_byn: 12.5, category_raw: null, confidence: 0.85 }],
+      structurer: 'rules',
+    });
+
+    const result = await processJob('job-1');
+
+    expect(result).toMatchObject({ success: true, itemCount: 1 });
+    expect(ocrEngines.extractFromImages).not.toHaveBeenCalled();
+    expect(ocrJobModel.markDone).toHaveBeenCalledWith('job-1', expect.objectContaining({
+      strategy: 'pdf_text_layer',
+      engines: [],
+      structurers: ['rules'],
+      pages_total: 2,
+      partial: false,
+    }));
+  });
+
+  test('every page failing on the last attempt fails the job', async () => {
+    ocrJobModel.getJobStatus.mockResolvedValue({ ...JOB, attempts: 3 });
+    ocrJobModel.ensurePages.mockResolvedValue([page(1)]);
+    mockPageUpdates({ exhausted: true });
+    visionFailsOnPage(1);
+
+    const result = await processJob('job-1');
+
+    expect(result.success).toBe(false);
+    expect(ocrJobModel.markFailed).toHaveBeenCalledWith(
+      'job-1',
+      expect.stringContaining('All 1 pages failed'),
+    );
+    expect(ocrJobModel.markDone).not.toHaveBeenCalled();
+  });
+});
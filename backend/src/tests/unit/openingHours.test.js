@@ -0,0 +1,109 @@
+/* eslint-env jest */
+/* eslint comma-dangle: 0 */
+/**
+ * Unit Tests: openingHours.js
+ *
+ * Pure Minsk-time resolution for the open_now / open_at search filter — no
+ * mocks needed. Covers UTC → Minsk conversion, naive wall-clock strings,
+ * previous-day rollover and rejection of malformed input.
+ */
+
+import {
+  toMinskWallClock,
+  resolveOpenAtMoment,
+  resolveOpenAtQuery,
+  resolveNextOpenAt,
+} from '../../utils/openingHours.js';
+
+describe('openingHours', () => {
+  describe('toMinskWallClock', () => {
+    test('shifts UTC by +3 hours', () => {
+      expect(toMinskWallClock(new Date('2026-10-19T09:05:00Z'))).toEqual({
+        year: 2026, month: 10, day: 19, hour: 12, minute: 5,
+      });
+    });
+  });
+
+  describe('resolveOpenAtMoment', () => {
+    test('converts a UTC instant into the next Minsk day after 21:00Z', () => {
+      expect(resolveOpenAtMoment(new Date('2026-10-18T22:30:00Z'))).toEqual({
+        date: '2026-10-19',
+        dayKey: 'monday',
+        minutes: 90,
+        previousDate: '2026-10-18',
+        previousDayKey: 'sunday',
+      });
+    });
+
+    test('reads a naive datetime as Minsk wall clock', () => {
+      expect(resolveOpenAtMoment('2026-10-20T19:30')).toMatchObject({
+        date: '2026-10-20',
+        dayKey: 'tuesday',
+        minutes: 1170,
+      });
+    });
+
+    test('converts an explicit offset', () => {
+      expect(resolveOpenAtMoment('2026-10-20T19:30:00+01:00')).toMatchObject({
+        date: '2026-10-20',
+        minutes: 21 * 60 + 30,
+      });
+    });
+
+    test('rolls the previous day over month and year boundaries', () => {
+      expect(resolveOpenAtMoment('2027-01-01T00:10')).toMatchObject({
+        date: '2027-01-01',
+        dayKey: 'friday',
+        previousDate: '2026-12-31',
+        previousDayKey: 'thursday',
+      });
+    });
+
+    test.each([
+      ['tonight'],
+      ['2026-10-20'],
+      ['2026-02-30T10:00'],
+      ['2026-10-20T25:00'],
+      [''],
+      [null],
+      [new Date('invalid')],
+    ])('returns null for %p', (value) => {
+      expect(resolveOpenAtMoment(value)).toBeNull();
+    });
+  });
+
+  describe('resolveOpenAtQuery', () => {
+    const now = new Date('2026-10-19T09:00:00Z');
+
+    test('open_now uses the injected clock', () => {
+      const { moment, invalid } = resolveOpenAtQuery({ openNow: 'true' }, now);
+      expect(invalid).toBe(false);
+      expect(moment).toMatchObject({ date: '2026-10-19', minutes: 12 * 60 });
+    });
+
+    test('open_at wins over open_now', () => {
+      const { moment } = resolveOpenAtQuery({ openNow: '1', openAt: '2026-10-25T18:00' }, now);
+      expect(moment).toMatchObject({ date: '2026-10-25', dayKey: 'sunday' });
+    });
+
+    test('flags an unparseable open_at', () => {
+      expect(resolveOpenAtQuery({ openAt: 'soon' }, now)).toEqual({ moment: null, invalid: true });
+    });
+
+    test('no params → no filter', () => {
+      expect(resolveOpenAtQuery({ openNow: 'false' }, now)).toEqual({ moment: null, invalid: false });
+    });
+  });
+
+  describe('resolveNextOpenAt', () => {
+    test('keeps today while the time is ahead, rolls over once passed', () => {
+      const now = new Date('2026-12-31T10:00:00Z'); // 13:00 Minsk
+      expect(resolveNextOpenAt('19:00', now)).toMatchObject({ date: '2026-12-31', minutes: 1140 });
+      expect(resolveNextOpenAt('09:00', now)).toMatchObject({ date: '2027-01-01', dayKey: 'friday' });
+    });
+
+    test('returns null for a malformed time', () => {
+      expect(resolveNextOpenAt('9am')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,447 @@
+/* eslint-env jest */
+/* eslint comma-dangle: 0 */
+/**
+ * Unit Tests: manual menu authoring
+ *
+ * partnerMenuItemService (create / delete / reorder / section moves / rich
+ * fields / price history) and partnerMenuSectionService, with models mocked.
+ * Covers the manual-vs-OCR rules and ownership of every referenced item,
+ * section and dish photo.
+ */
+
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('../../utils/logger.js', () => ({
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule('../../models/menuItemModel.js', () => ({
+  getByEstablishmentId: jest.fn(),
+  findById: jest.fn(),
+  createManual: jest.fn(),
+  updateById: jest.fn(),
+  deleteById: jest.fn(),
+  reorder: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../models/menuSectionModel.js', () => ({
+  getByEstablishmentId: jest.fn(),
+  findById: jest.fn(),
+  create: jest.fn(),
+  rename: jest.fn(),
+  deleteById: jest.fn(),
+  reorder: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../models/menuPriceHistoryModel.js', () => ({
+  recordPrices: jest.fn(),
+  getLatestChanges: jest.fn(),
+  getByEstablishmentId: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../models/establishmentModel.js', () => ({
+  checkOwnership: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../models/mediaModel.js', () => ({
+  getOcrEligibleMedia: jest.fn(),
+  findMediaById: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../models/ocrJobModel.js', () => ({
+  enqueue: jest.fn(),
+}));
+
+const MenuItemModel = await import('../../models/menuItemModel.js');
+const MenuSectionModel = await import('../../models/menuSectionModel.js');
+const MenuPriceHistoryModel = await import('../../models/menuPriceHistoryModel.js');
+const EstablishmentModel = await import('../../models/establishmentModel.js');
+const MediaModel = await import('../../models/mediaModel.js');
+const {
+  listMenuItems,
+  createMenuItem,
+  updateMenuItem,
+  deleteMenuItem,
+  reorderMenuItems,
+  getPriceHistory,
+} = await import('../../services/partnerMenuItemService.js');
+const {
+  createSection,
+  renameSection,
+  deleteSection,
+  reorderSections,
+} = await import('../../services/partnerMenuSectionService.js');
+
+const MEDIA = {
+  'dish-1': { id: 'dish-1', establishment_id: 'est-1', type: 'dishes' },
+  'interior-1': { id: 'interior-1', establishment_id: 'est-1', type: 'interior' },
+  'dish-x': { id: 'dish-x', establishment_id: 'est-2', type: 'dishes' },
+};
+
+const PARTNER = 'partner-1';
+const EST = 'est-1';
+
+const OCR_ITEM = { id: 'ocr-1', establishment_id: EST, media_id: 'media-1', source: 'ocr' };
+const MANUAL_ITEM = { id: 'man-1', establishment_id: EST, media_id: null, source: 'manual', section_id: null };
+const SECTIONS = {
+  'sec-1': { id: 'sec-1', establishment_id: EST, name: 'Супы' },
+  'sec-2': { id: 'sec-2', establishment_id: EST, name: 'Десерты' },
+  'sec-x': { id: 'sec-x', establishment_id: 'est-2', name: 'Чужая' },
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  EstablishmentModel.checkOwnership.mockResolvedValue(true);
+  MenuItemModel.getByEstablishmentId.mockResolvedValue([OCR_ITEM, MANUAL_ITEM]);
+  MenuItemModel.findById.mockImplementation(async (id) => (
+    [OCR_ITEM, MANUAL_ITEM].find((item) => item.id === id) || null
+  ));
+  MenuItemModel.createManual.mockImplementation(async ({ item }) => ({ id: 'new-1', ...item }));
+  MenuItemModel.updateById.mockImplementation(async (id, fields) => ({ id, ...fields }));
+  MenuSectionModel.findById.mockImplementation(async (id) => SECTIONS[id] || null);
+  MenuSectionModel.getByEstablishmentId.mockResolvedValue([SECTIONS['sec-1'], SECTIONS['sec-2']]);
+  MenuSectionModel.create.mockImplementation(async ({ name }) => ({ id: 'sec-new', name }));
+  MediaModel.findMediaById.mockImplementation(async (id) => MEDIA[id] || null);
+  MenuPriceHistoryModel.recordPrices.mockResolvedValue([]);
+  MenuPriceHistoryModel.getLatestChanges.mockResolvedValue([]);
+  MenuPriceHistoryModel.getByEstablishmentId.mockResolvedValue({ items: [], total: 0 });
+});
+
+describe('createMenuItem', () => {
+  test('creates a trimmed manual item in a section of the establishment', async () => {
+    const created = await createMenuItem(PARTNER, EST, {
+      item_name: '  Уха ',
+      price_byn: '9.50',
+      section_id: 'sec-1',
+    });
+
+    expect(created).toMatchObject({ item_name: 'Уха', section_id: 'sec-1' });
+    expect(MenuItemModel.createManual).toHaveBeenCalledWith({
+      establishmentId: EST,
+      item: { item_name: 'Уха', price_byn: 9.5, section_id: 'sec-1' },
+    });
+  });
+
+  test.each([
+    [{}, 'VALIDATION_ERROR'],
+    [{ item_name: '   ' }, 'VALIDATION_ERROR'],
+    [{ item_name: 'Уха', price_byn: -2 }, 'INVALID_PRICE'],
+    [{ item_name: 'Уха', section_id: 'sec-x' }, 'INVALID_MENU_SECTION'],
+    [{ item_name: 'Уха', section_id: 'sec-404' }, 'INVALID_MENU_SECTION'],
+  ])('rejects invalid input %#', async (fields, code) => {
+    await expect(createMenuItem(PARTNER, EST, fields)).rejects.toMatchObject({
+      statusCode: 422,
+      code,
+    });
+    expect(MenuItemModel.createManual).not.toHaveBeenCalled();
+  });
+
+  test('rejects a non-owner', async () => {
+    EstablishmentModel.checkOwnership.mockResolvedValue(false);
+
+    await expect(createMenuItem(PARTNER, EST, { item_name: 'Уха' })).rejects.toMatchObject({
+      statusCode: 404,
+      code: 'ESTABLISHMENT_NOT_FOUND',
+    });
+  });
+});
+
+describe('updateMenuItem — sections', () => {
+  test('moves a manual item into a section', async () => {
+    await updateMenuItem(PARTNER, 'man-1', { section_id: 'sec-2' });
+
+    expect(MenuItemModel.updateById).toHaveBeenCalledWith('man-1', {
+      section_id: 'sec-2',
+      sanity_flag: null,
+    });
+  });
+
+  test('an OCR item cannot be put into a section', async () => {
+    await expect(updateMenuItem(PARTNER, 'ocr-1', { section_id: 'sec-2' })).rejects.toMatchObject({
+      statusCode: 409,
+      code: 'MENU_ITEM_NOT_MANUAL',
+    });
+  });
+
+  test('an OCR item can still be edited inline', async () => {
+    await updateMenuItem(PARTNER, 'ocr-1', { price_byn: 4 });
+
+    expect(MenuItemModel.updateById).toHaveBeenCalledWith('ocr-1', { price_byn: 4, sanity_flag: null });
+  });
+});
+
+describe('rich item fields', () => {
+  test('creates an item with description, portion, tags and a dish photo', async () => {
+    await createMenuItem(PARTNER, EST, {
+      item_name: 'Драники',
+      description: '  со сметаной ',
+      portion_size: '250',
+      portion_unit: 'g',
+      dietary_tags: ['vegetarian', 'vegetarian', 'gluten_free'],
+      photo_media_id: 'dish-1',
+      is_available: false,
+    });
+
+    expect(MenuItemModel.createManual.mock.calls[0][0].item).toEqual({
+      item_name: 'Драники',
+      description: 'со сметаной',
+      portion_size: 250,
+      portion_unit: 'g',
+      dietary_tags: ['vegetarian', 'gluten_free'],
+      photo_media_id: 'dish-1',
+      is_available: false,
+      section_id: null,
+    });
+  });
+
+  test.each([
+    [{ dietary_tags: ['halal'] }, 'VALIDATION_ERROR'],
+    [{ dietary_tags: 'vegan' }, 'VALIDATION_ERROR'],
+    [{ portion_size: 250 }, 'VALIDATION_ERROR'],
+    [{ portion_size: 250, portion_unit: 'kg' }, 'VALIDATION_ERROR'],
+    [{ portion_size: -1, portion_unit: 'g' }, 'VALIDATION_ERROR'],
+    [{ is_available: 'no' }, 'VALIDATION_ERROR'],
+    [{ description: 'x'.repeat(1001) }, 'VALIDATION_ERROR'],
+    [{ photo_media_id: 'interior-1' }, 'INVALID_DISH_PHOTO'],
+    [{ photo_media_id: 'dish-x' }, 'INVALID_DISH_PHOTO'],
+  ])('rejects invalid rich fields %#', async (fields, code) => {
+    await expect(updateMenuItem(PARTNER, 'ocr-1', fields)).rejects.toMatchObject({
+      statusCode: 422,
+      code,
+    });
+    expect(MenuItemModel.updateById).not.toHaveBeenCalled();
+  });
+
+  test('an OCR item can be put on the stop-list and lose its portion', async () => {
+    await updateMenuItem(PARTNER, 'ocr-1', {
+      is_available: false,
+      portion_size: null,
+      portion_unit: null,
+      photo_media_id: null,
+    });
+
+    expect(MenuItemModel.updateById).toHaveBeenCalledWith('ocr-1', {
+      is_available: false,
+      portion_size: null,
+      portion_unit: null,
+      photo_media_id: null,
+      sanity_flag: null,
+    });
+  });
+});
+
+describe('deleteMenuItem', () => {
+  test('deletes a manual item', async () => {
+    await deleteMenuItem(PARTNER, 'man-1');
+
+    expect(MenuItemModel.deleteById).toHaveBeenCalledWith('man-1');
+  });
+
+  test('refuses to delete an OCR item', async () => {
+    await expect(deleteMenuItem(PARTNER, 'ocr-1')).rejects.toMatchObject({
+      statusCode: 409,
+      code: 'MENU_ITEM_NOT_MANUAL',
+    });
+    expect(MenuItemModel.deleteById).not.toHaveBeenCalled();
+  });
+
+  test('an item of another partner is not found', async () => {
+    EstablishmentModel.checkOwnership.mockResolvedValue(false);
+
+    await expect(deleteMenuItem(PARTNER, 'man-1')).rejects.toMatchObject({
+      statusCode: 404,
+      code: 'MENU_ITEM_NOT_FOUND',
+    });
+  });
+});
+
+describe('reorderMenuItems', () => {
+  test('passes positions and only explicit section moves to the model', async () => {
+    await reorderMenuItems(PARTNER, EST, [
+      { id: 'ocr-1', position: 1 },
+      { id: 'man-1', position: 0, section_id: 'sec-1' },
+    ]);
+
+    expect(MenuItemModel.reorder).toHaveBeenCalledWith(EST, [
+      { id: 'ocr-1', position: 1 },
+      { id: 'man-1', position: 0, section_id: 'sec-1' },
+    ]);
+  });
+
+  test('section_id null takes a manual item out of its section', async () => {
+    await reorderMenuItems(PARTNER, EST, [{ id: 'man-1', position: 3, section_id: null }]);
+
+    expect(MenuItemModel.reorder).toHaveBeenCalledWith(EST, [
+      { id: 'man-1', position: 3, section_id: null },
+    ]);
+    expect(MenuSectionModel.findById).not.toHaveBeenCalled();
+  });
+
+  test.each([
+    [[], 'INVALID_MENU_ORDER'],
+    ['all', 'INVALID_MENU_ORDER'],
+    [[{ id: 'foreign', position: 0 }], 'INVALID_MENU_ORDER'],
+    [[{ id: 'man-1', position: 0 }, { id: 'man-1', position: 1 }], 'INVALID_MENU_ORDER'],
+    [[{ id: 'man-1', position: -1 }], 'INVALID_MENU_ORDER'],
+    [[{ id: 'man-1', position: 1.5 }], 'INVALID_MENU_ORDER'],
+    [[{ id: 'man-1', position: 0, section_id: 'sec-x' }], 'INVALID_MENU_SECTION'],
+  ])('rejects invalid entries %#', async (entries, code) => {
+    await expect(reorderMenuItems(PARTNER, EST, entries)).rejects.toMatchObject({
+      statusCode: 422,
+      code,
+    });
+    expect(MenuItemModel.reorder).not.toHaveBeenCalled();
+  });
+
+  test('moving an OCR item between sections is refused', async () => {
+    await expect(
+      reorderMenuItems(PARTNER, EST, [{ id: 'ocr-1', position: 0, section_id: 'sec-1' }]),
+    ).rejects.toMatchObject({ statusCode: 409, code: 'MENU_ITEM_NOT_MANUAL' });
+  });
+});
+
+describe('price history', () => {
+  test('listMenuItems attaches the latest price change by normalized name', async () => {
+    MenuItemModel.getByEstablishmentId.mockResolvedValue([
+      { ...MANUAL_ITEM, item_name: ' Капучино ', price_byn: '14.00' },
+      { ...OCR_ITEM, item_name: 'Борщ', price_byn: '9.00' },
+    ]);
+    MenuPriceHistoryModel.getLatestChanges.mockResolvedValue([{
+      normalized_name: 'капучино',
+      previous_price_byn: '12.00',
+      price_byn: '14.00',
+      recorded_at: '2026-03-01T10:00:00.000Z',
+    }]);
+
+    const items = await listMenuItems(PARTNER, EST);
+
+    expect(items[0].price_change).toEqual({
+      previous_price_byn: '12.00',
+      price_byn: '14.00',
+      changed_at: '2026-03-01T10:00:00.000Z',
+    });
+    expect(items[1].price_change).toBeNull();
+  });
+
+  test('a created item records its price as a manual observation', async () => {
+    MenuItemModel.createManual.mockImplementation(async ({ establishmentId, item }) => ({
+      id: 'new-1',
+      establishment_id: establishmentId,
+      ...item,
+    }));
+
+    await createMenuItem(PARTNER, EST, { item_name: 'Уха', price_byn: 9 });
+
+    expect(MenuPriceHistoryModel.recordPrices).toHaveBeenCalledWith({
+      establishmentId: EST,
+      items: [expect.objectContaining({ id: 'new-1', item_name: 'Уха', price_byn: 9 })],
+      source: 'manual',
+    });
+  });
+
+  test('price edits are recorded, other edits are not', async () => {
+    MenuItemModel.updateById.mockImplementation(async (id, fields) => ({
+      ...MANUAL_ITEM,
+      item_name: 'Уха',
+      ...fields,
+    }));
+
+    await updateMenuItem(PARTNER, 'man-1', { description: 'С расстегаем' });
+    expect(MenuPriceHistoryModel.recordPrices).not.toHaveBeenCalled();
+
+    await updateMenuItem(PARTNER, 'man-1', { price_byn: 11 });
+    expect(MenuPriceHistoryModel.recordPrices).toHaveBeenCalledWith({
+      establishmentId: EST,
+      items: [expect.objectContaining({ id: 'man-1', price_byn: 11 })],
+      source: 'manual',
+    });
+  });
+
+  test('a history failure does not fail the edit', async () => {
+    MenuPriceHistoryModel.recordPrices.mockRejectedValue(new Error('db down'));
+
+    const updated = await updateMenuItem(PARTNER, 'man-1', { price_byn: 11 });
+
+    expect(updated.price_byn).toBe(11);
+  });
+
+  test('getPriceHistory: one dish by normalized name, or changes only', async () => {
+    MenuPriceHistoryModel.getByEstablishmentId.mockResolvedValue({ items: [{ id: 'h-1' }], total: 7 });
+
+    const dish = await getPriceHistory(PARTNER, EST, { itemName: '  КАПУЧИНО ', page: 2, perPage: 5 });
+    expect(MenuPriceHistoryModel.getByEstablishmentId).toHaveBeenLastCalledWith(EST, {
+      normalizedName: 'капучино',
+      changesOnly: false,
+      limit: 5,
+      offset: 5,
+    });
+    expect(dish.meta).toEqual({ total: 7, page: 2, per_page: 5, pages: 2 });
+
+    await getPriceHistory(PARTNER, EST, { perPage: 1000 });
+    expect(MenuPriceHistoryModel.getByEstablishmentId).toHaveBeenLastCalledWith(EST, {
+      normalizedName: undefined,
+      changesOnly: true,
+      limit: 100,
+      offset: 0,
+    });
+  });
+
+  test('getPriceHistory checks ownership', async () => {
+    EstablishmentModel.checkOwnership.mockResolvedValue(false);
+
+    await expect(getPriceHistory(PARTNER, EST)).rejects.toMatchObject({
+      statusCode: 404,
+      code: 'ESTABLISHMENT_NOT_FOUND',
+    });
+    expect(MenuPriceHistoryModel.getByEstablishmentId).not.toHaveBeenCalled();
+  });
+});
+
+describe('partnerMenuSectionService', () => {
+  test('createSection trims the name', async () => {
+    await createSection(PARTNER, EST, '  Супы ');
+
+    expect(MenuSectionModel.create).toHaveBeenCalledWith({ establishmentId: EST, name: 'Супы' });
+  });
+
+  test('createSection rejects an empty or too long name', async () => {
+    await expect(createSection(PARTNER, EST, ' ')).rejects.toMatchObject({ code: 'VALIDATION_ERROR' });
+    await expect(createSection(PARTNER, EST, 'x'.repeat(101))).rejects.toMatchObject({
+      code: 'VALIDATION_ERROR',
+    });
+  });
+
+  test('a section of another establishment is not found', async () => {
+    await expect(renameSection(PARTNER, EST, 'sec-x', 'Новое')).rejects.toMatchObject({
+      statusCode: 404,
+      code: 'MENU_SECTION_NOT_FOUND',
+    });
+    await expect(deleteSection(PARTNER, EST, 'sec-x')).rejects.toMatchObject({
+      code: 'MENU_SECTION_NOT_FOUND',
+    });
+    expect(MenuSectionModel.deleteById).not.toHaveBeenCalled();
+  });
+
+  test('reorderSections applies a complete permutation', async () => {
+    await reorderSections(PARTNER, EST, ['sec-2', 'sec-1']);
+
+    expect(MenuSectionModel.reorder).toHaveBeenCalledWith(EST, ['sec-2', 'sec-1']);
+  });
+
+  test.each([
+    [['sec-1']],
+    [['sec-1', 'sec-1']],
+    [['sec-1', 'sec-x']],
+    [null],
+  ])('reorderSections rejects anything but a full permutation %#', async (ids) => {
+    await expect(reorderSections(PARTNER, EST, ids)).rejects.toMatchObject({
+      statusCode: 422,
+      code: 'INVALID_SECTION_ORDER',
+    });
+  });
+});
@@ -0,0 +1,251 @@
+/* eslint-env jest */
+/* eslint comma-dangle: 0 */
+/**
+ * Unit Tests: partnerMenuDraftService.js
+ *
+ * Diff of an OCR draft against the live menu and the bulk publish decisions
+ * (reject / edit / keep removed), with models mocked.
+ */
+
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('../../utils/logger.js', () => ({
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule('../../models/menuDraftModel.js', () => ({
+  getByEstablishmentId: jest.fn(),
+  findById: jest.fn(),
+  deleteById: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../models/menuItemModel.js', () => ({
+  getByEstablishmentId: jest.fn(),
+  replaceForMedia: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../models/establishmentModel.js', () => ({
+  checkOwnership: jest.fn(),
+}));
+
+const MenuDraftModel = await import('../../models/menuDraftModel.js');
+const MenuItemModel = await import('../../models/menuItemModel.js');
+const EstablishmentModel = await import('../../models/establishmentModel.js');
+const {
+  buildMenuDiff,
+  listDrafts,
+  publishDraft,
+  discardDraft,
+} = await import('../../services/partnerMenuDraftService.js');
+
+const PARTNER = 'partner-1';
+const EST = 'est-1';
+
+const LIVE = [
+  { id: 'live-1', media_id: 'media-1', item_name: 'Борщ', price_byn: '12.50' },
+  { id: 'live-2', media_id: 'media-1', item_name: 'Солянка', price_byn: '14.00' },
+  { id: 'live-3', media_id: 'media-1', item_name: 'Квас', price_byn: '3.00' },
+  { id: 'live-9', media_id: 'media-2', item_name: 'Пицца', price_byn: '20.00' },
+];
+
+const DRAFT = {
+  id: 'draft-1',
+  establishment_id: EST,
+  media_id: 'media-1',
+  ocr_job_id: 'job-1',
+  items: [
+    { id: 'd-1', item_name: 'борщ ', price_byn: '12.50', category_raw: 'Супы', confidence: '0.90', sanity_flag: null },
+    { id: 'd-2', item_name: 'Солянка', price_byn: '16.00', category_raw: 'Супы', confidence: '0.90', sanity_flag: null },
+    {
+      id: 'd-3',
+      item_name: 'Драники',
+      price_byn: '0.10',
+      category_raw: 'Горячее',
+      confidence: '0.90',
+      sanity_flag: { reason: 'price_below_threshold' },
+    },
+  ],
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  EstablishmentModel.checkOwnership.mockResolvedValue(true);
+  MenuDraftModel.findById.mockResolvedValue(DRAFT);
+  MenuItemModel.getByEstablishmentId.mockResolvedValue(LIVE);
+  MenuItemModel.replaceForMedia.mockResolvedValue({ previousItems: [], newItems: [] });
+});
+
+describe('buildMenuDiff', () => {
+  test('classifies draft items and lists live items the draft lost', () => {
+    const diff = buildMenuDiff(DRAFT.items, LIVE.slice(0, 3));
+
+    expect(diff.items.map((item) => [item.id, item.change, item.live_item_id, item.previous_price_byn])).toEqual([
+      ['d-1', 'unchanged', 'live-1', 12.5],
+      ['d-2', 'price_changed', 'live-2', 14],
+      ['d-3', 'added', null, null],
+    ]);
+    expect(diff.removed.map((item) => item.id)).toEqual(['live-3']);
+    expect(diff.counts).toEqual({ added: 1, price_changed: 1, unchanged: 1, removed: 1, flagged: 1 });
+  });
+
+  test('a price appearing where the live item had none counts as changed', () => {
+    const diff = buildMenuDiff(
+      [{ id: 'd-1', item_name: 'Раки', price_byn: '30.00' }],
+      [{ id: 'live-1', item_name: 'Раки', price_byn: null }],
+    );
+
+    expect(diff.items[0]).toMatchObject({ change: 'price_changed', previous_price_byn: null });
+  });
+
+  test('an empty draft removes every live item', () => {
+    expect(buildMenuDiff([], LIVE.slice(0, 2)).counts).toMatchObject({ added: 0, removed: 2 });
+  });
+});
+
+describe('listDrafts', () => {
+  test('diffs each draft against the live items of its own media only', async () => {
+    MenuDraftModel.getByEstablishmentId.mockResolvedValue([DRAFT]);
+
+    const [draft] = await listDrafts(PARTNER, EST);
+
+    expect(draft).toMatchObject({ id: 'draft-1', media_id: 'media-1', ocr_job_id: 'job-1' });
+    expect(draft.removed.map((item) => item.id)).toEqual(['live-3']);
+    expect(MenuItemModel.getByEstablishmentId).toHaveBeenCalledWith(EST, { includeHidden: true });
+  });
+
+  test('rejects a non-owner', async () => {
+    EstablishmentModel.checkOwnership.mockResolvedValue(false);
+
+    await expect(listDrafts(PARTNER, EST)).rejects.toMatchObject({
+      statusCode: 404,
+      code: 'ESTABLISHMENT_NOT_FOUND',
+    });
+  });
+});
+
+describe('publishDraft', () => {
+  test('empty decisions accept the whole draft and drop lost live items', async () => {
+    const result = await publishDraft(PARTNER, EST, 'draft-1');
+
+    expect(result).toEqual({ published: 3, rejected: 0, edited: 0, kept: 0, removed: 1 });
+    expect(MenuItemModel.replaceForMedia).toHaveBeenCalledWith({
+      establishmentId: EST,
+      mediaId: 'media-1',
+      newItems: [
+        expect.objectContaining({ item_name: 'борщ ', position: 0 }),
+        expect.objectContaining({ item_name: 'Солянка', price_byn: '16.00', position: 1 }),
+        expect.objectContaining({ item_name: 'Драники', sanity_flag: { reason: 'price_below_threshold' } }),
+      ],
+      keepItemIds: [],
+      draftId: 'draft-1',
+    });
+  });
+
+  test('applies rejects, edits and kept live items', async () => {
+    const result = await publishDraft(PARTNER, EST, 'draft-1', {
+      rejectItemIds: ['d-2'],
+      edits: [{ id: 'd-3', price_byn: '10.50', item_name: ' Драники со сметаной ' }],
+      keepItemIds: ['live-3', 'live-3'],
+    });
+
+    expect(result).toEqual({ published: 2, rejected: 1, edited: 1, kept: 1, removed: 0 });
+    const { newItems, keepItemIds } = MenuItemModel.replaceForMedia.mock.calls[0][0];
+    expect(keepItemIds).toEqual(['live-3']);
+    expect(newItems).toHaveLength(2);
+    expect(newItems[1]).toMatchObject({
+      item_name: 'Драники со сметаной',
+      price_byn: 10.5,
+      sanity_flag: null,
+      position: 1,
+    });
+  });
+
+  test('matched items keep partner-owned attributes of the live item', async () => {
+    MenuItemModel.getByEstablishmentId.mockResolvedValue([
+      {
+        ...LIVE[0],
+        description: 'на говяжьем бульоне',
+        portion_size: '300.0',
+        portion_unit: 'g',
+        dietary_tags: ['spicy'],
+        photo_media_id: 'dish-1',
+        is_available: false,
+      },
+      ...LIVE.slice(1),
+    ]);
+
+    await publishDraft(PARTNER, EST, 'draft-1', {
+      edits: [{ id: 'd-3', description: 'с грибами', portion_size: 200, portion_unit: 'g' }],
+    });
+
+    const { newItems } = MenuItemModel.replaceForMedia.mock.calls[0][0];
+    expect(newItems[0]).toMatchObject({
+      description: 'на говяжьем бульоне',
+      portion_size: '300.0',
+      portion_unit: 'g',
+      dietary_tags: ['spicy'],
+      photo_media_id: 'dish-1',
+      is_available: false,
+    });
+    expect(newItems[2]).toMatchObject({ description: 'с грибами', portion_size: 200, portion_unit: 'g' });
+    expect(newItems[2]).not.toHaveProperty('dietary_tags');
+  });
+
+  test.each([
+    [{ edits: [{ id: 'd-1', portion_size: 100 }] }, 'INVALID_DRAFT_EDIT'],
+    [{ rejectItemIds: ['d-404'] }, 'INVALID_DRAFT_DECISION'],
+    [{ keepItemIds: ['live-1'] }, 'INVALID_DRAFT_DECISION'],
+    [{ keepItemIds: ['live-9'] }, 'INVALID_DRAFT_DECISION'],
+    [{ rejectItemIds: ['d-1'], edits: [{ id: 'd-1', price_byn: 5 }] }, 'INVALID_DRAFT_DECISION'],
+    [{ edits: [{ id: 'd-1' }] }, 'INVALID_DRAFT_EDIT'],
+    [{ edits: [{ id: 'd-1', item_name: '  ' }] }, 'INVALID_DRAFT_EDIT'],
+    [{ edits: [{ id: 'd-1', price_byn: -1 }] }, 'INVALID_PRICE'],
+    [{ edits: 'all' }, 'INVALID_DRAFT_DECISION'],
+  ])('rejects invalid decisions %#', async (decisions, code) => {
+    await expect(publishDraft(PARTNER, EST, 'draft-1', decisions)).rejects.toMatchObject({
+      statusCode: 422,
+      code,
+    });
+    expect(MenuItemModel.replaceForMedia).not.toHaveBeenCalled();
+  });
+
+  test('a draft replaced or published after it was read is a 409', async () => {
+    MenuItemModel.replaceForMedia.mockResolvedValue(null);
+
+    await expect(publishDraft(PARTNER, EST, 'draft-1')).rejects.toMatchObject({
+      statusCode: 409,
+      code: 'MENU_DRAFT_STALE',
+    });
+  });
+
+  test('a draft of another establishment is not found', async () => {
+    MenuDraftModel.findById.mockResolvedValue({ ...DRAFT, establishment_id: 'est-2' });
+
+    await expect(publishDraft(PARTNER, EST, 'draft-1')).rejects.toMatchObject({
+      statusCode: 404,
+      code: 'MENU_DRAFT_NOT_FOUND',
+    });
+  });
+});
+
+describe('discardDraft', () => {
+  test('deletes the draft and leaves the live menu alone', async () => {
+    await discardDraft(PARTNER, EST, 'draft-1');
+
+    expect(MenuDraftModel.deleteById).toHaveBeenCalledWith('draft-1');
+    expect(MenuItemModel.replaceForMedia).not.toHaveBeenCalled();
+  });
+
+  test('unknown draft is not found', async () => {
+    MenuDraftModel.findById.mockResolvedValue(null);
+
+    await expect(discardDraft(PARTNER, EST, 'draft-404')).rejects.toMatchObject({
+      code: 'MENU_DRAFT_NOT_FOUND',
+    });
+  });
+});
@@ -0,0 +1,346 @@
+/* eslint-env jest */
+/* eslint comma-dangle: 0 */
+/**
+ * Unit Tests: menu file import / export
+ *
+ * menuFileContract (strict CSV / JSON parsing, row-level errors, round trip
+ * through stringifyCsv) and partnerMenuImportService (diff against the
+ * current menu, dry run, manual-only replacement), with models mocked.
+ */
+
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('../../utils/logger.js', () => ({
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule('../../models/menuItemModel.js', () => ({
+  getByEstablishmentId: jest.fn(),
+  replaceManualMenu: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../models/menuSectionModel.js', () => ({
+  getByEstablishmentId: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../models/establishmentModel.js', () => ({
+  checkOwnership: jest.fn(),
+}));
+
+const MenuItemModel = await import('../../models/menuItemModel.js');
+const MenuSectionModel = await import('../../models/menuSectionModel.js');
+const EstablishmentModel = await import('../../models/establishmentModel.js');
+const { parseMenuFile, serializeMenuFile, MAX_IMPORT_ROWS } = await import(
+  '../../services/menuFileContract.js'
+);
+const { exportMenu, importMenu } = await import('../../services/partnerMenuImportService.js');
+const { parseCsv, stringifyCsv } = await import('../../utils/csv.js');
+
+const PARTNER = 'partner-1';
+const EST = 'est-1';
+
+const HEADER = 'item_name;section;price_byn;description;portion_size;portion_unit;dietary_tags;is_available';
+
+const csv = (...lines) => [HEADER, ...lines].join('\n');
+
+const liveItem = (overrides) => ({
+  id: 'item-1',
+  establishment_id: EST,
+  source: 'manual',
+  item_name: 'Борщ',
+  section_name: 'Супы',
+  category_raw: null,
+  price_byn: '12.50',
+  description: null,
+  portion_size: '300.0',
+  portion_unit: 'g',
+  dietary_tags: [],
+  is_available: true,
+  ...overrides,
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  EstablishmentModel.checkOwnership.mockResolvedValue(true);
+  MenuItemModel.getByEstablishmentId.mockResolvedValue([]);
+  MenuSectionModel.getByEstablishmentId.mockResolvedValue([]);
+  MenuItemModel.replaceManualMenu.mockResolvedValue({ inserted: 0, updated: 0, deleted: 0 });
+});
+
+describe('stringifyCsv', () => {
+  test('quotes delimiters, quotes and line breaks so parseCsv reads the rows back', () => {
+    const rows = [{ a: 'x;y', b: 'say "hi"' }, { a: 'line\nbreak', b: null }];
+    const text = stringifyCsv(['a', 'b'], rows);
+
+    expect(text.charCodeAt(0)).toBe(0xfeff);
+    expect(parseCsv(text)).toEqual({
+      headers: ['a', 'b'],
+      rows: [{ a: 'x;y', b: 'say "hi"' }, { a: 'line\nbreak', b: '' }],
+      delimiter: ';',
+    });
+  });
+});
+
+describe('parseMenuFile — CSV', () => {
+  test('parses typed values: decimal comma, | tags, ru yes/no tokens, empty cells', () => {
+    const { items, errors } = parseMenuFile(csv(
+      'Борщ;Супы;12,50;Со сметаной;300;g;gluten_free|spicy;да',
+      'Морс;;3;;0,5;ml;;нет',
+      'Хлеб;;;;;;;',
+    ), 'csv');
+
+    expect(errors).toEqual([]);
+    expect(items).toEqual([
+      {
+        row: 2,
+        item: {
+          item_name: 'Борщ',
+          section: 'Супы',
+          price_byn: 12.5,
+          description: 'Со сметаной',
+          portion_size: 300,
+          portion_unit: 'g',
+          dietary_tags: ['gluten_free', 'spicy'],
+          is_available: true,
+        },
+      },
+      expect.objectContaining({
+        row: 3,
+        item: expect.objectContaining({ section: null, portion_size: 0.5, is_available: false }),
+      }),
+      expect.objectContaining({
+        row: 4,
+        item: expect.objectContaining({ price_byn: null, dietary_tags: [], is_available: true }),
+      }),
+    ]);
+  });
+
+  test('only columns present in the header are set', () => {
+    const { items } = parseMenuFile('item_name,price_byn\nБорщ,12\n', 'csv');
+
+    expect(items[0].item).toEqual({ item_name: 'Борщ', price_byn: 12 });
+  });
+
+  test('collects every row error instead of stopping at the first', () => {
+    const { items, errors } = parseMenuFile(csv(
+      'Щи;Супы;5;;;;;',
+      'Борщ;Супы;12.505;;;;;',
+      ';Супы;5;;;;;',
+      'Салат;;5;;200;;;',
+      'Чай;;2;;;;halal;может быть',
+      'щи ;супы;6;;;;;',
+    ), 'csv');
+
+    expect(items).toEqual([]);
+    expect(errors).toEqual([
+      'row 3: price_byn "12.505" is not a price (e.g. 12.50 or 12,50)',
+      'row 4: item_name must be a non-empty string up to 255 characters',
+      'row 5: portion_size and portion_unit must be set (or cleared) together',
+      'row 6: is_available "может быть" is not a yes/no value',
+      expect.stringMatching(/^row 6: unknown dietary tag\(s\) halal/),
+      'row 7: duplicates row 2 (same item_name in the same section)',
+    ]);
+  });
+
+  test.each([
+    ['an unknown column', 'item_name;price;section\nБорщ;1;Супы', /unknown column\(s\) price/],
+    ['a missing item_name column', 'section;price_byn\nСупы;1', /missing required column\(s\) item_name/],
+    ['a duplicated column', 'item_name;section;section\nБорщ;a;b', /duplicate column\(s\) section/],
+    ['a ragged row', 'item_name;section\nБорщ;Супы;лишнее', /has 3 fields, expected 2/],
+    ['a header without rows', `${HEADER}\n`, /no items/],
+  ])('rejects the whole file for %s', (_label, text, message) => {
+    expect(() => parseMenuFile(text, 'csv')).toThrow(
+      expect.objectContaining({ statusCode: 422, code: 'INVALID_MENU_FILE', message: expect.stringMatching(message) }),
+    );
+  });
+
+  test(`rejects more than ${MAX_IMPORT_ROWS} rows`, () => {
+    const rows = Array.from({ length: MAX_IMPORT_ROWS + 1 }, (_, i) => `Блюдо ${i}`);
+    expect(() => parseMenuFile(['item_name', ...rows].join('\n'), 'csv')).toThrow(
+      expect.objectContaining({ code: 'INVALID_MENU_FILE' }),
+    );
+  });
+});
+
+describe('parseMenuFile — JSON', () => {
+  test('accepts typed items and applies the same validation', () => {
+    const { items, errors } = parseMenuFile(JSON.stringify({
+      items: [
+        { item_name: 'Борщ', section: 'Супы', price_byn: 12.5, dietary_tags: ['vegan'] },
+        { item_name: 'Чай', price_byn: '2', colour: 'red' },
+        { item_name: 'Морс', price_byn: '3' },
+        { item_name: 'Сок', dietary_tags: 'vegan' },
+      ],
+    }), 'json');
+
+    expect(items).toEqual([]);
+    expect(errors).toEqual([
+      'row 2: unknown key(s) colour',
+      'row 3: price_byn must be a number or null',
+      expect.stringMatching(/^row 4: dietary_tags must be an array/),
+    ]);
+  });
+
+  test('rejects a document without an items array', () => {
+    expect(() => parseMenuFile('[{"item_name":"Борщ"}]', 'json')).toThrow(
+      expect.objectContaining({ code: 'INVALID_MENU_FILE' }),
+    );
+    expect(() => parseMenuFile('{"items": [', 'json')).toThrow(/invalid JSON/);
+  });
+});
+
+describe('serializeMenuFile', () => {
+  const exported = [{
+    item_name: 'Борщ; домашний',
+    section: 'Супы',
+    price_byn: 12.5,
+    description: null,
+    portion_size: 300,
+    portion_unit: 'g',
+    dietary_tags: ['gluten_free', 'spicy'],
+    is_available: false,
+  }];
+
+  test.each(['csv', 'json'])('%s export parses back to the same item', (format) => {
+    const { items, errors } = parseMenuFile(serializeMenuFile(exported, format), format);
+
+    expect(errors).toEqual([]);
+    expect(items[0].item).toEqual(exported[0]);
+  });
+});
+
+describe('partnerMenuImportService.importMenu', () => {
+  test('dry run returns the diff and writes nothing', async () => {
+    MenuItemModel.getByEstablishmentId.mockResolvedValue([
+      liveItem({ id: 'same', item_name: 'Борщ' }),
+      liveItem({ id: 'pricier', item_name: 'Солянка', price_byn: '10.00' }),
+      liveItem({ id: 'gone', item_name: 'Уха' }),
+      liveItem({
+        id: 'ocr-1', source: 'ocr', section_name: null, category_raw: 'Напитки', item_name: 'Чай',
+      }),
+    ]);
+    MenuSectionModel.getByEstablishmentId.mockResolvedValue([
+      { id: 'sec-1', name: 'Супы' },
+      { id: 'sec-2', name: 'Салаты' },
+    ]);
+
+    const result = await importMenu(PARTNER, EST, {
+      format: 'csv',
+      dryRun: true,
+      content: csv(
+        'Борщ;супы;12.50;;300;g;;',
+        'Солянка;Супы;11;;300;g;;',
+        'Чай;Напитки;2;;;;;',
+        'Драники;Горячее;9;;;;vegetarian;',
+      ),
+    });
+
+    expect(MenuItemModel.replaceManualMenu).not.toHaveBeenCalled();
+    expect(result.dry_run).toBe(true);
+    expect(result.valid).toBe(true);
+    expect(result.counts).toEqual({ added: 1, changed: 1, unchanged: 1, removed: 1, skipped: 1 });
+    expect(result.diff.changed[0]).toEqual({
+      row: 3,
+      id: 'pricier',
+      item_name: 'Солянка',
+      section: 'Супы',
+      changes: { price_byn: { from: 10, to: 11 } },
+    });
+    expect(result.diff.skipped).toEqual([{ row: 4, id: 'ocr-1', item_name: 'Чай' }]);
+    expect(result.diff.removed).toEqual([{ id: 'gone', item_name: 'Уха', section: 'Супы' }]);
+    expect(result.diff.sections).toEqual({ added: ['Горячее'], removed: ['Салаты'] });
+  });
+
+  test('applies the plan: matched items keep their id, sections keep existing spelling', async () => {
+    MenuItemModel.getByEstablishmentId.mockResolvedValue([
+      liveItem({ id: 'same', photo_media_id: 'dish-1' }),
+      liveItem({ id: 'gone', item_name: 'Уха' }),
+    ]);
+    MenuSectionModel.getByEstablishmentId.mockResolvedValue([{ id: 'sec-1', name: 'Супы' }]);
+
+    const result = await importMenu(PARTNER, EST, {
+      format: 'csv',
+      content: 'item_name;section;price_byn\nБорщ;супы;13\nЩи;супы;8\nКомпот;;2',
+    });
+
+    expect(result.dry_run).toBe(false);
+    expect(MenuItemModel.replaceManualMenu).toHaveBeenCalledWith({
+      establishmentId: EST,
+      sections: ['Супы'],
+      items: [
+        { id: 'same', section: 'Супы', position: 0, fields: { item_name: 'Борщ', price_byn: 13 } },
+        { section: 'Супы', position: 1, fields: { item_name: 'Щи', price_byn: 8 } },
+        { section: null, position: 0, fields: { item_name: 'Компот', price_byn: 2 } },
+      ],
+      deleteIds: ['gone'],
+    });
+  });
+
+  test('dry run reports row errors with 200; a real import refuses them with 422', async () => {
+    const content = csv('Борщ;Супы;дорого;;;;;');
+
+    const preview = await importMenu(PARTNER, EST, { format: 'csv', content, dryRun: true });
+    expect(preview).toEqual({
+      dry_run: true,
+      valid: false,
+      errors: ['row 2: price_byn "дорого" is not a price (e.g. 12.50 or 12,50)'],
+      diff: null,
+      counts: null,
+    });
+
+    await expect(importMenu(PARTNER, EST, { format: 'csv', content })).rejects.toMatchObject({
+      statusCode: 422,
+      code: 'INVALID_MENU_ROWS',
+      details: { errors: preview.errors },
+    });
+    expect(MenuItemModel.replaceManualMenu).not.toHaveBeenCalled();
+  });
+
+  test('rejects an unknown format and a foreign establishment', async () => {
+    await expect(importMenu(PARTNER, EST, { format: 'xlsx', content: 'x' })).rejects.toMatchObject({
+      code: 'INVALID_MENU_FILE',
+    });
+
+    EstablishmentModel.checkOwnership.mockResolvedValue(false);
+    await expect(importMenu(PARTNER, EST, { format: 'csv', content: 'item_name\nБорщ' })).rejects.toMatchObject({
+      statusCode: 404,
+      code: 'ESTABLISHMENT_NOT_FOUND',
+    });
+  });
+});
+
+describe('partnerMenuImportService.exportMenu', () => {
+  test('exports visible items with OCR categories as sections', async () => {
+    MenuItemModel.getByEstablishmentId.mockResolvedValue([
+      liveItem({ dietary_tags: ['spicy'] }),
+      liveItem({
+        id: 'ocr-1', source: 'ocr', section_name: null, category_raw: 'Напитки',
+        item_name: 'Чай', price_byn: null, portion_size: null, portion_unit: null,
+      }),
+    ]);
+
+    const file = await exportMenu(PARTNER, EST, 'csv');
+
+    expect(MenuItemModel.getByEstablishmentId).toHaveBeenCalledWith(EST, { includeHidden: false });
+    expect(file.contentType).toBe('text/csv; charset=utf-8');
+    expect(file.filename).toBe(`menu-${EST}.csv`);
+    expect(parseCsv(file.content).rows).toEqual([
+      {
+        item_name: 'Борщ',
+        section: 'Супы',
+        price_byn: '12.50',
+        description: '',
+        portion_size: '300',
+        portion_unit: 'g',
+        dietary_tags: 'spicy',
+        is_available: 'да',
+      },
+      expect.objectContaining({ item_name: 'Чай', section: 'Напитки', price_byn: '' }),
+    ]);
+  });
+});
@@ -0,0 +1,238 @@
+/* eslint-env jest */
+/* eslint comma-dangle: 0 */
+/**
+ * Unit Tests: personalizationService.js
+ *
+ * Taste profile building, the deterministic for_you score with its
+ * explanation, and the candidate-pool re-ranking. Models are mocked.
+ */
+
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('../../models/favoriteModel.js', () => ({
+  getUserFavorites: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../models/reviewModel.js', () => ({
+  findRatingsByUser: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../models/bookingModel.js', () => ({
+  getCompletedVisitsByUser: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../config/database.js', () => ({
+  default: { query: jest.fn() },
+}));
+
+const FavoriteModel = await import('../../models/favoriteModel.js');
+const ReviewModel = await import('../../models/reviewModel.js');
+const BookingModel = await import('../../models/bookingModel.js');
+const {
+  buildTasteProfile,
+  scoreEstablishment,
+  rankForProfile,
+  searchForYou,
+  FOR_YOU_CANDIDATE_POOL,
+} = await import('../../services/personalizationService.js');
+
+const GEORGIAN = {
+  establishment_id: 'src-1',
+  name: 'Хинкальня',
+  categories: ['Ресторан'],
+  cuisines: ['Грузинская'],
+  price_range: '$$',
+};
+
+const SUSHI = {
+  establishment_id: 'src-2',
+  name: 'Суши Мастер',
+  categories: ['Ресторан'],
+  cuisines: ['Японская'],
+  price_range: '$$$',
+};
+
+const listing = (overrides) => ({
+  id: 'est',
+  name: 'Заведение',
+  categories: ['Кафе'],
+  cuisines: ['Европейская'],
+  price_range: '$$',
+  average_rating: 4.5,
+  review_count: 20,
+  ...overrides,
+});
+
+describe('personalizationService', () => {
+  describe('buildTasteProfile', () => {
+    test('weights favorites, ratings and visits and normalizes affinities', () => {
+      const profile = buildTasteProfile({
+        favorites: [GEORGIAN],
+        ratings: [{ ...GEORGIAN, rating: 5 }, { ...SUSHI, rating: 1 }],
+        visits: [{ ...GEORGIAN, visit_count: 7 }],
+      });
+
+      // 3 (favorite) + 2 (5 stars) + 3 (visits capped at 3)
+      expect(profile.sources.get('src-1')).toMatchObject({ weight: 8, favorite: true, rating: 5, visits: 7 });
+      expect(profile.sources.get('src-2')).toMatchObject({ weight: -2, favorite: false });
+      expect(profile.cuisines.get('Грузинская')).toBe(1);
+      expect(profile.cuisines.get('Японская')).toBe(-0.25);
+      // Shared category: 8 - 2
+      expect(profile.categories.get('Ресторан')).toBe(1);
+      expect(profile.priceRanges.get('$$$')).toBe(-0.25);
+      expect(profile.isEmpty).toBe(false);
+    });
+
+    test('is empty without signals', () => {
+      const profile = buildTasteProfile({});
+      expect(profile.isEmpty).toBe(true);
+      expect(profile.cuisines.size).toBe(0);
+    });
+  });
+
+  describe('scoreEstablishment', () => {
+    const profile = buildTasteProfile({
+      favorites: [GEORGIAN],
+      ratings: [{ ...SUSHI, rating: 1 }],
+    });
+
+    test('explains a match by the liked establishment', () => {
+      const result = scoreEstablishment(
+        listing({ id: 'est-1', categories: ['Кафе'], cuisines: ['Грузинская'] }),
+        profile,
+      );
+
+      expect(result.explanation).toEqual({
+        type: 'similar_to_favorite',
+        text: 'Потому что вам нравится «Хинкальня»',
+        source: { id: 'src-1', name: 'Хинкальня' },
+      });
+    });
+
+    test('is deterministic and ranks liked cuisine above disliked', () => {
+      const georgian = listing({ id: 'est-1', cuisines: ['Грузинская'] });
+      const japanese = listing({ id: 'est-2', cuisines: ['Японская'] });
+
+      const first = scoreEstablishment(georgian, profile);
+      expect(scoreEstablishment(georgian, profile)).toEqual(first);
+      expect(first.score).toBeGreaterThan(scoreEstablishment(japanese, profile).score);
+    });
+
+    test('pushes down an establishment the user rated badly, without explanation', () => {
+      const disliked = scoreEstablishment(listing({ id: 'src-2', cuisines: ['Японская'] }), profile);
+      const neutral = scoreEstablishment(listing({ id: 'est-3' }), profile);
+
+      expect(disliked.score).toBeLessThan(neutral.score);
+      expect(disliked.explanation).toBeNull();
+      expect(neutral.explanation).toBeNull();
+    });
+
+    test('marks the user\'s own favorite', () => {
+      const result = scoreEstablishment(listing({ id: 'src-1', cuisines: ['Грузинская'] }), profile);
+      expect(result.explanation).toEqual({ type: 'favorite', text: 'В вашем избранном', source: null });
+    });
+
+    test('penalizes distance up to 20 km', () => {
+      const near = scoreEstablishment(listing({ id: 'est-1', distance_km: 1 }), profile);
+      const far = scoreEstablishment(listing({ id: 'est-1', distance_km: 20 }), profile);
+      const farther = scoreEstablishment(listing({ id: 'est-1', distance_km: 50 }), profile);
+
+      expect(near.score - far.score).toBeCloseTo(0.95);
+      expect(farther.score).toBe(far.score);
+    });
+  });
+
+  describe('rankForProfile', () => {
+    test('sorts by score and keeps the original order on ties', () => {
+      const profile = buildTasteProfile({ favorites: [GEORGIAN] });
+      const ranked = rankForProfile([
+        listing({ id: 'a' }),
+        listing({ id: 'b' }),
+        listing({ id: 'c', cuisines: ['Грузинская'] }),
+      ], profile);
+
+      expect(ranked.map((e) => e.id)).toEqual(['c', 'a', 'b']);
+      expect(ranked[0]).toHaveProperty('personalization_score');
+      expect(ranked[0].explanation.type).toBe('similar_to_favorite');
+    });
+  });
+
+  describe('searchForYou', () => {
+    const candidates = [
+      listing({ id: 'a' }),
+      listing({ id: 'b', cuisines: ['Грузинская'] }),
+      listing({ id: 'c' }),
+    ];
+
+    const mockSignals = (favorites = []) => {
+      FavoriteModel.getUserFavorites.mockResolvedValue(favorites);
+      ReviewModel.findRatingsByUser.mockResolvedValue([]);
+      BookingModel.getCompletedVisitsByUser.mockResolvedValue([]);
+    };
+
+    test('re-ranks the candidate pool and slices the requested page', async () => {
+      mockSignals([{
+        establishment_id: 'src-1',
+        establishment_name: 'Хинкальня',
+        establishment_categories: ['Ресторан'],
+        establishment_cuisines: ['Грузинская'],
+        establishment_price_range: '$$',
+      }]);
+      const search = jest.fn().mockResolvedValue({
+        establishments: candidates,
+        pagination: { total: 3 },
+      });
+
+      const result = await searchForYou(search, { city: 'Минск', limit: 2, offset: 0, page: 1 }, 'user-1');
+
+      expect(FavoriteModel.getUserFavorites).toHaveBeenCalledWith('user-1', { limit: 100 });
+      expect(search).toHaveBeenCalledWith({
+        city: 'Минск',
+        sortBy: 'rating',
+        limit: FOR_YOU_CANDIDATE_POOL,
+        offset: 0,
+        page: 1,
+      });
+      expect(result.personalized).toBe(true);
+      expect(result.establishments.map((e) => e.id)).toEqual(['b', 'a']);
+      expect(result.pagination).toEqual({
+        page: 1, limit: 2, total: 3, totalPages: 2, hasNext: true, hasPrevious: false,
+      });
+    });
+
+    test('falls back to the rating order for anonymous users', async () => {
+      const search = jest.fn().mockResolvedValue({ establishments: candidates, pagination: { total: 3 } });
+
+      const result = await searchForYou(search, { limit: 20, offset: 0, page: 1 }, null);
+
+      expect(search).toHaveBeenCalledWith({ limit: 20, offset: 0, page: 1, sortBy: 'rating' });
+      expect(result.personalized).toBe(false);
+      expect(FavoriteModel.getUserFavorites).not.toHaveBeenCalled();
+    });
+
+    test('falls back when the profile cannot be loaded', async () => {
+      FavoriteModel.getUserFavorites.mockRejectedValue(new Error('db down'));
+      ReviewModel.findRatingsByUser.mockResolvedValue([]);
+      BookingModel.getCompletedVisitsByUser.mockResolvedValue([]);
+      const search = jest.fn().mockResolvedValue({ establishments: candidates, pagination: { total: 3 } });
+
+      const result = await searchForYou(search, { limit: 20, offset: 0, page: 1 }, 'user-1');
+
+      expect(result.personalized).toBe(false);
+      expect(result.establishments).toBe(candidates);
+    });
+
+    test('continues a page straddling the pool with SQL-ordered results', async () => {
+      mockSignals([{ establishment_id: 'src-1', establishment_name: 'Хинкальня', establishment_cuisines: ['Грузинская'] }]);
+      const pool = Array.from({ length: FOR_YOU_CANDIDATE_POOL }, (_, i) => listing({ id: `p${i}` }));
+      const search = jest.fn()
+        .mockResolvedValueOnce({ establishments: pool, pagination: { total: 150 } })
+        .mockResolvedValueOnce({ establishments: [listing({ id: 'p100' }), listing({ id: 'p101' })], pagination: { total: 150 } });
+
+      const result = await searchForYou(search, { limit: 4, offset: 98, page: 25 }, 'user-1');
+
+      expect(search).toHaveBeenLastCalledWith({ limit: 2, offset: 100, page: 25, sortBy: 'rating' });
+      expect(result.establishments.map((e) => e.id)).toEqual(['p98', 'p99', 'p100', 'p101']);
+    });
+  });
+});
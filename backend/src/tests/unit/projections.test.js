@@ -342,6 +342,28 @@ describe('toPublicReview — review projection', () => {
     };
     const result = toPublicReview(rawRow);
     expect(result.author).toEqual({ id: 'user-2', name: 'Петр', avatar_url: 'avatar2.jpg' });
+    expect(result.photos).toEqual([]);
+  });
+
+  test('keeps only the renditions of each photo', () => {
+    const result = toPublicReview({
+      ...formattedReview,
+      photos: [{
+        id: 'photo-1',
+        review_id: 'rev-1',
+        url: 'http://img/full.jpg',
+        preview_url: 'http://img/preview.jpg',
+        thumbnail_url: 'http://img/thumb.jpg',
+        is_hidden_by_admin: false,
+        hidden_reason: null,
+      }],
+    });
+    expect(result.photos).toEqual([{
+      id: 'photo-1',
+      url: 'http://img/full.jpg',
+      preview_url: 'http://img/preview.jpg',
+      thumbnail_url: 'http://img/thumb.jpg',
+    }]);
   });
 
   test('returns null for null input', () => {
@@ -503,4 +525,42 @@ describe('toPublicMenuItem — menu item projection', () => {
     const result = toPublicMenuItem(withoutFlag);
     expect(result.quality_tier).toBe('clean');
   });
+
+  test('emits rich fields with safe defaults and hides the photo FK', () => {
+    const rich = toPublicMenuItem({
+      ...rawItem,
+      description: 'со сметаной',
+      portion_size: '250.0',
+      portion_unit: 'g',
+      dietary_tags: ['vegetarian'],
+      photo_media_id: 'media-photo-LEAK',
+      photo_url: 'http://img/full.jpg',
+      photo_thumbnail_url: 'http://img/thumb.jpg',
+      is_available: false,
+    });
+    expect(rich).toMatchObject({
+      description: 'со сметаной',
+      portion_size: 250,
+      portion_unit: 'g',
+      dietary_tags: ['vegetarian'],
+      photo: { url: 'http://img/full.jpg', thumbnail_url: 'http://img/thumb.jpg' },
+      is_available: false,
+    });
+    expect(rich).not.toHaveProperty('photo_media_id');
+
+    expect(toPublicMenuItem(rawItem)).toMatchObject({
+      description: null,
+      portion_size: null,
+      portion_unit: null,
+      dietary_tags: [],
+      photo: null,
+      is_available: true,
+    });
+  });
+
+  test('section name of a manual item takes the place of category_raw', () => {
+    const manual = { ...rawItem, media_id: null, section_name: 'Супы', category_raw: null };
+    expect(toPublicMenuItem(manual).category_raw).toBe('Супы');
+    expect(toPublicMenuItem({ ...rawItem, section_name: null }).category_raw).toBe('Основные блюда');
+  });
 });
@@ -264,7 +264,8 @@ describe('pushService', () => {
     test('booking types map to booking category', () => {
       const bookingTypes = [
         'booking_received', 'booking_confirmed', 'booking_declined',
-        'booking_expired', 'booking_cancelled',
+        'booking_expired', 'booking_cancelled', 'booking_reminder',
+        'booking_reconfirm_request', 'booking_modified', 'waitlist_offer',
       ];
       bookingTypes.forEach((type) => {
         expect(TYPE_CATEGORY_MAP[type]).toBe('booking');
@@ -290,6 +291,7 @@ describe('pushService', () => {
       expect(TYPE_CATEGORY_MAP['establishment_claimed']).toBeNull();
       expect(TYPE_CATEGORY_MAP['review_hidden']).toBeNull();
       expect(TYPE_CATEGORY_MAP['review_deleted']).toBeNull();
+      expect(TYPE_CATEGORY_MAP['booking_needs_outcome']).toBeNull();
     });
   });
 
@@ -116,6 +116,7 @@ describe('reviewController', () => {
           created_at: '2026-05-01T10:00:00.000Z',
           updated_at: '2026-05-01T10:00:00.000Z',
           author: { id: 'user-1', name: 'Иван', avatar_url: null },
+          photos: [],
         },
       },
     });
@@ -0,0 +1,329 @@
+/* eslint-env jest */
+/* eslint comma-dangle: 0 */
+/**
+ * Unit Tests: review photos
+ *
+ * reviewService.createReview with photos (limits, Cloudinary upload, one
+ * transaction for review + photo rows, cleanup of uploads on failure),
+ * adminReviewService photo moderation (reason, audit log) and the
+ * visibility rules of reviewPhotoModel's public query.
+ */
+
+import { jest } from '@jest/globals';
+
+const mockQuery = jest.fn();
+
+jest.unstable_mockModule('../../config/database.js', () => ({
+  default: { query: mockQuery },
+}));
+
+jest.unstable_mockModule('../../models/reviewModel.js', () => ({
+  getUserById: jest.fn(),
+  establishmentExists: jest.fn(),
+  findExistingReview: jest.fn(),
+  createReview: jest.fn(),
+  updateEstablishmentAggregates: jest.fn(),
+  findReviewById: jest.fn(),
+  executeInTransaction: jest.fn(),
+  softDeleteReview: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../models/adminReviewModel.js', () => ({
+  getAdminReviews: jest.fn(),
+  countAdminReviews: jest.fn(),
+  toggleReviewVisibility: jest.fn(),
+  getReviewForAdmin: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../models/auditLogModel.js', () => ({
+  createAuditLog: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../services/notificationService.js', () => ({
+  notifyNewReview: jest.fn(),
+  notifyReviewModerated: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../config/cloudinary.js', () => ({
+  uploadImage: jest.fn(),
+  generateAllResolutions: jest.fn(),
+  deleteImage: jest.fn(),
+  isValidImageType: jest.fn(),
+  hasValidImageExtension: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../config/redis.js', () => ({
+  incrementWithExpiry: jest.fn(),
+  getCounter: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../utils/logger.js', () => ({
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+const ReviewModel = await import('../../models/reviewModel.js');
+const AdminReviewModel = await import('../../models/adminReviewModel.js');
+const AuditLogModel = await import('../../models/auditLogModel.js');
+const NotificationService = await import('../../services/notificationService.js');
+const CloudinaryUtil = await import('../../config/cloudinary.js');
+const { getCounter } = await import('../../config/redis.js');
+const ReviewPhotoModel = await import('../../models/reviewPhotoModel.js');
+const { createReview } = await import('../../services/reviewService.js');
+const adminReviewService = await import('../../services/adminReviewService.js');
+
+const photoFile = (name) => ({
+  path: `/tmp/uploads/${name}`,
+  originalname: name,
+  mimetype: 'image/jpeg',
+  size: 1024,
+});
+
+const photoRow = (overrides = {}) => ({
+  id: 'photo-1',
+  review_id: 'review-1',
+  url: 'https://res.cloudinary.com/full.jpg',
+  preview_url: 'https://res.cloudinary.com/preview.jpg',
+  thumbnail_url: 'https://res.cloudinary.com/thumb.jpg',
+  position: 0,
+  is_hidden_by_admin: false,
+  hidden_reason: null,
+  ...overrides,
+});
+
+const client = { query: jest.fn() };
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockQuery.mockResolvedValue({ rows: [] });
+  client.query.mockResolvedValue({ rows: [] });
+
+  ReviewModel.getUserById.mockResolvedValue({ id: 'user-1', is_active: true });
+  ReviewModel.establishmentExists.mockResolvedValue(true);
+  ReviewModel.findExistingReview.mockResolvedValue(null);
+  ReviewModel.createReview.mockResolvedValue({ id: 'review-1' });
+  ReviewModel.findReviewById.mockResolvedValue({ id: 'review-1', author_name: 'Анна' });
+  ReviewModel.executeInTransaction.mockImplementation((callback) => callback(client));
+  getCounter.mockResolvedValue(0);
+  NotificationService.notifyNewReview.mockResolvedValue(undefined);
+
+  CloudinaryUtil.isValidImageType.mockReturnValue(true);
+  CloudinaryUtil.hasValidImageExtension.mockReturnValue(true);
+  CloudinaryUtil.uploadImage.mockImplementation(async (filePath) => ({
+    public_id: `pid-${filePath.split('/').pop()}`,
+  }));
+  CloudinaryUtil.generateAllResolutions.mockImplementation((publicId) => ({
+    url: `full/${publicId}`,
+    preview_url: `preview/${publicId}`,
+    thumbnail_url: `thumb/${publicId}`,
+  }));
+  CloudinaryUtil.deleteImage.mockResolvedValue({ result: 'ok' });
+});
+
+const reviewData = (photos) => ({
+  user_id: 'user-1',
+  establishment_id: 'est-1',
+  rating: 5,
+  content: 'Отличное место',
+  photos,
+});
+
+describe('reviewService.createReview with photos', () => {
+  test('uploads in order and stores review and photos in one transaction', async () => {
+    client.query.mockResolvedValueOnce({
+      rows: [
+        photoRow({ id: 'p-2', position: 1, url: 'full/pid-b.jpg' }),
+        photoRow({ id: 'p-1', position: 0, url: 'full/pid-a.jpg' }),
+      ],
+    });
+
+    const review = await createReview(reviewData([photoFile('a.jpg'), photoFile('b.jpg')]));
+
+    expect(CloudinaryUtil.uploadImage.mock.calls).toEqual([
+      ['/tmp/uploads/a.jpg', 'est-1', 'reviews'],
+      ['/tmp/uploads/b.jpg', 'est-1', 'reviews'],
+    ]);
+    expect(ReviewModel.createReview).toHaveBeenCalledWith(
+      expect.objectContaining({ rating: 5 }),
+      client,
+    );
+    const [sql, params] = client.query.mock.calls[0];
+    expect(sql).toMatch(/INSERT INTO review_photos/);
+    expect(params).toEqual([
+      'review-1',
+      ['full/pid-a.jpg', 'full/pid-b.jpg'],
+      ['preview/pid-a.jpg', 'preview/pid-b.jpg'],
+      ['thumb/pid-a.jpg', 'thumb/pid-b.jpg'],
+      [0, 1],
+    ]);
+    expect(review.photos.map((photo) => photo.id)).toEqual(['p-1', 'p-2']);
+    expect(review.photos[0]).not.toHaveProperty('is_hidden_by_admin');
+    expect(CloudinaryUtil.deleteImage).not.toHaveBeenCalled();
+  });
+
+  test('rejects more than five photos before anything is uploaded', async () => {
+    const files = ['1', '2', '3', '4', '5', '6'].map((n) => photoFile(`${n}.jpg`));
+
+    await expect(createReview(reviewData(files))).rejects.toMatchObject({
+      statusCode: 422,
+      code: 'TOO_MANY_PHOTOS',
+    });
+    expect(CloudinaryUtil.uploadImage).not.toHaveBeenCalled();
+    expect(ReviewModel.getUserById).not.toHaveBeenCalled();
+  });
+
+  test('rejects a file whose extension is not an image', async () => {
+    CloudinaryUtil.hasValidImageExtension.mockReturnValue(false);
+
+    await expect(createReview(reviewData([photoFile('a.exe')]))).rejects.toMatchObject({
+      statusCode: 422,
+      code: 'INVALID_FILE_TYPE',
+    });
+    expect(CloudinaryUtil.uploadImage).not.toHaveBeenCalled();
+  });
+
+  test('rejects a photo over the 5MB upload limit', async () => {
+    const file = { ...photoFile('big.jpg'), size: 5 * 1024 * 1024 + 1 };
+
+    await expect(createReview(reviewData([file]))).rejects.toMatchObject({
+      statusCode: 422,
+      code: 'FILE_TOO_LARGE',
+      message: 'File size exceeds 5MB limit',
+    });
+    expect(CloudinaryUtil.uploadImage).not.toHaveBeenCalled();
+  });
+
+  test('a failed upload removes the photos uploaded so far', async () => {
+    CloudinaryUtil.uploadImage
+      .mockResolvedValueOnce({ public_id: 'pid-a' })
+      .mockRejectedValueOnce(new Error('Cloudinary down'));
+
+    await expect(createReview(reviewData([photoFile('a.jpg'), photoFile('b.jpg')])))
+      .rejects.toMatchObject({ statusCode: 500, code: 'PHOTO_UPLOAD_FAILED' });
+    expect(CloudinaryUtil.deleteImage).toHaveBeenCalledWith('pid-a');
+    expect(ReviewModel.executeInTransaction).not.toHaveBeenCalled();
+  });
+
+  test('a failed review insert removes the uploaded photos', async () => {
+    ReviewModel.executeInTransaction.mockRejectedValue(
+      Object.assign(new Error('duplicate'), { code: '23505' }),
+    );
+
+    await expect(createReview(reviewData([photoFile('a.jpg')]))).rejects.toMatchObject({
+      statusCode: 409,
+      code: 'DUPLICATE_REVIEW',
+    });
+    expect(CloudinaryUtil.deleteImage).toHaveBeenCalledWith('pid-a.jpg');
+  });
+
+  test('a review without photos skips upload and transaction', async () => {
+    const review = await createReview(reviewData(undefined));
+
+    expect(review.photos).toEqual([]);
+    expect(ReviewModel.createReview).toHaveBeenCalledTimes(1);
+    expect(ReviewModel.createReview.mock.calls[0]).toHaveLength(1);
+    expect(ReviewModel.executeInTransaction).not.toHaveBeenCalled();
+    expect(CloudinaryUtil.uploadImage).not.toHaveBeenCalled();
+  });
+});
+
+describe('reviewPhotoModel.getVisibleByReviewIds', () => {
+  test('only returns photos of visible, non-deleted reviews that are not hidden', async () => {
+    await ReviewPhotoModel.getVisibleByReviewIds(['review-1']);
+
+    const [sql, params] = mockQuery.mock.calls[0];
+    expect(sql).toMatch(/JOIN reviews r ON r\.id = p\.review_id/);
+    expect(sql).toMatch(/r\.is_visible = TRUE/);
+    expect(sql).toMatch(/r\.is_deleted = FALSE/);
+    expect(sql).toMatch(/p\.is_hidden_by_admin = FALSE/);
+    expect(params).toEqual([['review-1']]);
+  });
+
+  test('skips the query for an empty page', async () => {
+    await expect(ReviewPhotoModel.getVisibleByReviewIds([])).resolves.toEqual([]);
+    expect(mockQuery).not.toHaveBeenCalled();
+  });
+});
+
+describe('adminReviewService photo moderation', () => {
+  const meta = { ipAddress: '127.0.0.1', userAgent: 'jest' };
+
+  test('getReviews attaches every photo, hidden ones included', async () => {
+    AdminReviewModel.getAdminReviews.mockResolvedValue([{ id: 'review-1' }, { id: 'review-2' }]);
+    AdminReviewModel.countAdminReviews.mockResolvedValue(2);
+    mockQuery.mockResolvedValueOnce({
+      rows: [photoRow({ is_hidden_by_admin: true, hidden_reason: 'Реклама' })],
+    });
+
+    const { reviews } = await adminReviewService.getReviews();
+
+    expect(mockQuery.mock.calls[0][0]).not.toMatch(/is_hidden_by_admin = FALSE/);
+    expect(reviews[0].photos).toEqual([
+      expect.objectContaining({ id: 'photo-1', is_hidden_by_admin: true }),
+    ]);
+    expect(reviews[1].photos).toEqual([]);
+  });
+
+  test('hidePhoto requires a reason', async () => {
+    await expect(adminReviewService.hidePhoto('photo-1', 'admin-1', '  ', meta))
+      .rejects.toMatchObject({ statusCode: 400, code: 'REASON_REQUIRED' });
+    expect(mockQuery).not.toHaveBeenCalled();
+  });
+
+  test('hidePhoto hides the photo and writes the audit log', async () => {
+    mockQuery
+      .mockResolvedValueOnce({ rows: [photoRow()] })
+      .mockResolvedValueOnce({ rows: [photoRow({ is_hidden_by_admin: true, hidden_reason: 'Реклама' })] });
+
+    const result = await adminReviewService.hidePhoto('photo-1', 'admin-1', ' Реклама ', meta);
+
+    expect(result.is_hidden_by_admin).toBe(true);
+    expect(mockQuery.mock.calls[1][1]).toEqual(['photo-1', true, 'Реклама']);
+    expect(AuditLogModel.createAuditLog).toHaveBeenCalledWith({
+      user_id: 'admin-1',
+      action: 'review_photo_hide',
+      entity_type: 'review_photo',
+      entity_id: 'photo-1',
+      old_data: { is_hidden_by_admin: false, review_id: 'review-1' },
+      new_data: { is_hidden_by_admin: true, reason: 'Реклама' },
+      ip_address: '127.0.0.1',
+      user_agent: 'jest',
+    });
+  });
+
+  test('hidePhoto refuses a missing or already hidden photo', async () => {
+    mockQuery.mockResolvedValueOnce({ rows: [] });
+    await expect(adminReviewService.hidePhoto('missing', 'admin-1', 'Спам', meta))
+      .rejects.toMatchObject({ statusCode: 404, code: 'REVIEW_PHOTO_NOT_FOUND' });
+
+    mockQuery.mockResolvedValueOnce({ rows: [photoRow({ is_hidden_by_admin: true })] });
+    await expect(adminReviewService.hidePhoto('photo-1', 'admin-1', 'Спам', meta))
+      .rejects.toMatchObject({ statusCode: 400, code: 'REVIEW_PHOTO_ALREADY_HIDDEN' });
+    expect(AuditLogModel.createAuditLog).not.toHaveBeenCalled();
+  });
+
+  test('unhidePhoto shows the photo again and writes the audit log', async () => {
+    mockQuery
+      .mockResolvedValueOnce({ rows: [photoRow({ is_hidden_by_admin: true, hidden_reason: 'Спам' })] })
+      .mockResolvedValueOnce({ rows: [photoRow()] });
+
+    await adminReviewService.unhidePhoto('photo-1', 'admin-1', meta);
+
+    expect(mockQuery.mock.calls[1][1]).toEqual(['photo-1', false, null]);
+    expect(AuditLogModel.createAuditLog).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'review_photo_show',
+      entity_type: 'review_photo',
+      old_data: { is_hidden_by_admin: true, reason: 'Спам', review_id: 'review-1' },
+    }));
+  });
+
+  test('unhidePhoto refuses a photo that is not hidden', async () => {
+    mockQuery.mockResolvedValueOnce({ rows: [photoRow()] });
+
+    await expect(adminReviewService.unhidePhoto('photo-1', 'admin-1', meta))
+      .rejects.toMatchObject({ statusCode: 400, code: 'REVIEW_PHOTO_NOT_HIDDEN' });
+  });
+});
@@ -30,6 +30,11 @@ jest.unstable_mockModule('../../models/reviewModel.js', () => ({
   countReviewsByUser: jest.fn(),
 }));
 
+jest.unstable_mockModule('../../models/reviewPhotoModel.js', () => ({
+  getVisibleByReviewIds: jest.fn(),
+  groupByReviewId: jest.fn(),
+}));
+
 jest.unstable_mockModule('../../config/redis.js', () => ({
   incrementWithExpiry: jest.fn(),
   getCounter: jest.fn(),
@@ -45,6 +50,7 @@ jest.unstable_mockModule('../../utils/logger.js', () => ({
 
 // Import after mocking
 const ReviewModel = await import('../../models/reviewModel.js');
+const ReviewPhotoModel = await import('../../models/reviewPhotoModel.js');
 const { incrementWithExpiry, getCounter } = await import('../../config/redis.js');
 const logger = (await import('../../utils/logger.js')).default;
 
@@ -64,6 +70,8 @@ import { createMockUser, createMockReview } from '../mocks/helpers.js';
 describe('reviewService', () => {
   beforeEach(() => {
     jest.clearAllMocks();
+    ReviewPhotoModel.getVisibleByReviewIds.mockResolvedValue([]);
+    ReviewPhotoModel.groupByReviewId.mockReturnValue(new Map());
   });
 
   describe('createReview', () => {
@@ -92,7 +100,7 @@ describe('reviewService', () => {
     test('should create review with valid data', async () => {
       const result = await createReview(validReviewData);
 
-      expect(result).toEqual(mockReview);
+      expect(result).toEqual({ ...mockReview, photos: [] });
 
       // Verify user validation
       expect(ReviewModel.getUserById).toHaveBeenCalledWith('user-123');
@@ -253,7 +261,7 @@ describe('reviewService', () => {
 
       const result = await createReview(validReviewData);
 
-      expect(result).toEqual(reviewWithAuthor);
+      expect(result).toEqual({ ...reviewWithAuthor, photos: [] });
       expect(ReviewModel.findReviewById).toHaveBeenCalledWith(mockReview.id);
     });
   });
@@ -505,7 +513,7 @@ describe('reviewService', () => {
 
       const result = await getReviewById('review-1');
 
-      expect(result).toEqual(review);
+      expect(result).toEqual({ ...review, photos: [] });
       expect(ReviewModel.findReviewById).toHaveBeenCalledWith('review-1');
     });
 
@@ -0,0 +1,127 @@
+/* eslint-env jest */
+/* eslint comma-dangle: 0 */
+/**
+ * Unit Tests: ruleBasedStructurer.js
+ *
+ * Line-pattern menu parsing: price notations, section headings, wrapped dish
+ * names, skipped contact lines and notation-based confidence.
+ */
+
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('../../utils/logger.js', () => ({
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const {
+  parseMenuLine,
+  parsePortion,
+  structureMenu,
+  CONFIDENCE_EXPLICIT,
+  CONFIDENCE_DASH,
+  CONFIDENCE_BARE,
+} = await import('../../services/ocr/ruleBasedStructurer.js');
+
+describe('parseMenuLine', () => {
+  test.each([
+    ['Борщ украинский ........ 12,50 руб', 'Борщ украинский', 12.5, null, null, CONFIDENCE_EXPLICIT],
+    ['Драники 9 BYN', 'Драники', 9, null, null, CONFIDENCE_EXPLICIT],
+    ['Салат «Цезарь» 250 г — 14', 'Салат «Цезарь»', 14, 250, 'g', CONFIDENCE_DASH],
+    ['Морс клюквенный 0,5 л 4.20', 'Морс клюквенный', 4.2, 500, 'ml', CONFIDENCE_DASH],
+    ['Пельмени 15', 'Пельмени', 15, null, null, CONFIDENCE_BARE],
+  ])('%s', (line, name, price, portionSize, portionUnit, confidence) => {
+    expect(parseMenuLine(line)).toEqual({
+      item_name: name,
+      price_byn: price,
+      portion_size: portionSize,
+      portion_unit: portionUnit,
+      confidence,
+    });
+  });
+
+  test('seasonal price keeps the item with a null price', () => {
+    expect(parseMenuLine('Раки — по сезону')).toEqual({
+      item_name: 'Раки', price_byn: null, portion_size: null, portion_unit: null, confidence: CONFIDENCE_DASH,
+    });
+  });
+
+  test('lines without a price or without a name are not items', () => {
+    expect(parseMenuLine('Горячие блюда')).toBeNull();
+    expect(parseMenuLine('12 15')).toBeNull();
+  });
+});
+
+describe('parsePortion', () => {
+  test.each([
+    ['Стейк 150/30 гр.', 180, 'g'],
+    ['Торт 1 кг', 1000, 'g'],
+    ['Вино 150 мл', 150, 'ml'],
+    ['Роллы 6 шт', null, null],
+    ['Борщ', null, null],
+  ])('%s', (name, size, unit) => {
+    expect(parsePortion(name)).toEqual({ portion_size: size, portion_unit: unit });
+  });
+});
+
+describe('structureMenu', () => {
+  test('assigns section headings as category_raw', async () => {
+    const items = await structureMenu([
+      'СУПЫ',
+      'Борщ ...... 12,50 руб',
+      'Солянка ...... 14 руб',
+      'Десерты:',
+      'Чизкейк — 9,90',
+    ].join('\n'));
+
+    const noExtras = { description: null, portion_size: null, portion_unit: null };
+    expect(items).toEqual([
+      { item_name: 'Борщ', price_byn: 12.5, category_raw: 'СУПЫ', ...noExtras, confidence: CONFIDENCE_EXPLICIT },
+      { item_name: 'Солянка', price_byn: 14, category_raw: 'СУПЫ', ...noExtras, confidence: CONFIDENCE_EXPLICIT },
+      { item_name: 'Чизкейк', price_byn: 9.9, category_raw: 'Десерты', ...noExtras, confidence: CONFIDENCE_DASH },
+    ]);
+  });
+
+  test('joins a dish name wrapped onto the next line', async () => {
+    const items = await structureMenu([
+      'Горячее',
+      'Филе судака',
+      'с овощами гриль — 28',
+    ].join('\n'));
+
+    expect(items).toEqual([
+      {
+        item_name: 'Филе судака с овощами гриль',
+        price_byn: 28,
+        category_raw: 'Горячее',
+        description: null,
+        portion_size: null,
+        portion_unit: null,
+        confidence: CONFIDENCE_DASH,
+      },
+    ]);
+  });
+
+  test('skips hours, phones, addresses, links and page markers', async () => {
+    const items = await structureMenu([
+      '--- PAGE 1 ---',
+      'Пн-Вс 10:00 - 23:00',
+      'тел. +375 29 123-45-67',
+      'ул. Ленина 5',
+      'www.cafe.by',
+      'Квас ...... 3 руб',
+    ].join('\n'));
+
+    expect(items).toHaveLength(1);
+    expect(items[0]).toMatchObject({ item_name: 'Квас', price_byn: 3, category_raw: null });
+  });
+
+  test('empty text yields no items', async () => {
+    await expect(structureMenu('')).resolves.toEqual([]);
+    await expect(structureMenu('   \n ')).resolves.toEqual([]);
+  });
+});
@@ -8,13 +8,29 @@ jest.unstable_mockModule('../../services/searchService.js', () => ({
   searchByRadius: jest.fn(),
   searchByBounds: jest.fn(),
   searchWithoutLocation: jest.fn(),
-  checkSearchHealth: jest.fn()
+  searchDishes: jest.fn(),
+  checkSearchHealth: jest.fn(),
+  DISH_SORT_OPTIONS: ['relevance', 'price_asc', 'distance', 'rating']
+}));
+
+jest.unstable_mockModule('../../services/searchEventService.js', () => ({
+  recordSearchEvent: jest.fn(),
+  recordClick: jest.fn()
+}));
+
+jest.unstable_mockModule('../../services/personalizationService.js', () => ({
+  FOR_YOU_SORT: 'for_you',
+  searchForYou: jest.fn()
 }));
 
 const searchService = await import('../../services/searchService.js');
+const personalizationService = await import('../../services/personalizationService.js');
+const searchEventService = await import('../../services/searchEventService.js');
 const {
   searchEstablishments,
+  searchDishes,
   searchMap,
+  trackSearchClick,
   searchHealth
 } = await import('../../controllers/searchController.js');
 
@@ -106,6 +122,179 @@ describe('searchController', () => {
       });
       expect(next).not.toHaveBeenCalled();
     });
+
+    test('should pass open_at as a Minsk moment', async () => {
+      const req = { query: { open_at: '2026-10-20T19:30' } };
+      const res = createRes();
+      const next = jest.fn();
+      searchService.searchWithoutLocation.mockResolvedValue({ establishments: [], pagination: {} });
+
+      await searchEstablishments(req, res, next);
+
+      expect(searchService.searchWithoutLocation).toHaveBeenCalledWith(
+        expect.objectContaining({
+          openAt: expect.objectContaining({ date: '2026-10-20', dayKey: 'tuesday', minutes: 1170 }),
+        })
+      );
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    test('should reject invalid open_at', async () => {
+      const req = { query: { open_at: 'tonight' } };
+      const res = createRes();
+      const next = jest.fn();
+
+      await searchEstablishments(req, res, next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(AppError));
+      expect(next.mock.calls[0][0].code).toBe('VALIDATION_ERROR');
+      expect(searchService.searchWithoutLocation).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('sort_by=for_you', () => {
+    test('routes to personalized ranking with the signed-in user', async () => {
+      const req = {
+        query: { latitude: '53.9', longitude: '27.5', sort_by: 'for_you' },
+        user: { userId: 'user-1' },
+      };
+      const res = createRes();
+      const next = jest.fn();
+      personalizationService.searchForYou.mockResolvedValue({
+        establishments: [], pagination: { total: 0 }, personalized: true,
+      });
+
+      await searchEstablishments(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(personalizationService.searchForYou).toHaveBeenCalledWith(
+        searchService.searchByRadius,
+        expect.objectContaining({ latitude: 53.9, longitude: 27.5, sortBy: 'for_you' }),
+        'user-1',
+      );
+      expect(searchService.searchByRadius).not.toHaveBeenCalled();
+      expect(res.json.mock.calls[0][0].data.personalized).toBe(true);
+    });
+
+    test('passes a null user for anonymous requests', async () => {
+      const req = { query: { sort_by: 'for_you' } };
+      personalizationService.searchForYou.mockResolvedValue({
+        establishments: [], pagination: { total: 0 }, personalized: false,
+      });
+
+      await searchEstablishments(req, createRes(), jest.fn());
+
+      expect(personalizationService.searchForYou).toHaveBeenCalledWith(
+        searchService.searchWithoutLocation,
+        expect.any(Object),
+        null,
+      );
+    });
+  });
+
+  describe('search events', () => {
+    test('records the first page and returns its event id', async () => {
+      const req = { query: { latitude: '53.9', longitude: '27.5', search: ' суши ' } };
+      const res = createRes();
+      const next = jest.fn();
+      searchService.searchByRadius.mockResolvedValue({ establishments: [], pagination: { total: 0 } });
+      searchEventService.recordSearchEvent.mockReturnValue('event-1');
+
+      await searchEstablishments(req, res, next);
+
+      expect(searchEventService.recordSearchEvent).toHaveBeenCalledWith({
+        source: 'list',
+        query: 'суши',
+        filters: expect.objectContaining({ latitude: 53.9, longitude: 27.5, search: 'суши' }),
+        resultCount: 0,
+      });
+      expect(res.json.mock.calls[0][0].data.searchEventId).toBe('event-1');
+    });
+
+    test('does not record later pages', async () => {
+      const req = { query: { page: '3' } };
+      const res = createRes();
+      searchService.searchWithoutLocation.mockResolvedValue({ establishments: [], pagination: {} });
+
+      await searchEstablishments(req, res, jest.fn());
+
+      expect(searchEventService.recordSearchEvent).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('searchDishes', () => {
+    test('passes parsed params to the dish search and records the first page', async () => {
+      const req = {
+        query: { q: ' цезарь ', max_price: '15', city: 'Минск', sort_by: 'price_asc', page: '1', limit: '10' },
+      };
+      const res = createRes();
+      const next = jest.fn();
+      searchService.searchDishes.mockResolvedValue({ establishments: [], pagination: { total: 3 } });
+      searchEventService.recordSearchEvent.mockReturnValue('event-2');
+
+      await searchDishes(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(searchService.searchDishes).toHaveBeenCalledWith(expect.objectContaining({
+        dish: 'цезарь',
+        priceMaxByn: 15,
+        city: 'Минск',
+        sortBy: 'price_asc',
+        latitude: null,
+        longitude: null,
+        limit: 10,
+        offset: 0,
+        page: 1,
+      }));
+      expect(searchEventService.recordSearchEvent).toHaveBeenCalledWith(expect.objectContaining({
+        source: 'dish',
+        query: 'цезарь',
+        resultCount: 3,
+      }));
+      expect(res.json.mock.calls[0][0].data.searchEventId).toBe('event-2');
+    });
+
+    test.each([
+      [{}],
+      [{ q: 'цезарь', max_price: 'дёшево' }],
+      [{ q: 'цезарь', sort_by: 'popular' }],
+      [{ q: 'цезарь', latitude: '53.9' }],
+    ])('rejects %p', async (query) => {
+      const next = jest.fn();
+
+      await searchDishes({ query }, createRes(), next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(AppError));
+      expect(next.mock.calls[0][0].code).toBe('VALIDATION_ERROR');
+      expect(searchService.searchDishes).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('trackSearchClick', () => {
+    test('records the click with a parsed position', async () => {
+      const req = { body: { searchEventId: 'event-1', establishmentId: 'est-1', position: '2' } };
+      const res = createRes();
+      const next = jest.fn();
+
+      await trackSearchClick(req, res, next);
+
+      expect(searchEventService.recordClick).toHaveBeenCalledWith('event-1', 'est-1', 2);
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    test.each([
+      [{ establishmentId: 'est-1' }],
+      [{ searchEventId: 'event-1', establishmentId: 'est-1', position: 0 }],
+    ])('rejects %p', async (body) => {
+      const next = jest.fn();
+
+      await trackSearchClick({ body }, createRes(), next);
+
+      expect(next).toHaveBeenCalledWith(expect.any(AppError));
+      expect(next.mock.calls[0][0].statusCode).toBe(400);
+      expect(searchEventService.recordClick).not.toHaveBeenCalled();
+    });
   });
 
   describe('searchMap', () => {
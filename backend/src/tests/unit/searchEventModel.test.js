@@ -0,0 +1,103 @@
+/* eslint-env jest */
+/* eslint comma-dangle: 0 */
+/**
+ * Unit Tests: searchEventModel.js
+ *
+ * SQL construction with a mocked pool. Writes must swallow errors so a failed
+ * analytics insert never fails the search that produced it.
+ */
+
+import { jest } from '@jest/globals';
+
+const mockQuery = jest.fn();
+
+jest.unstable_mockModule('../../config/database.js', () => ({
+  default: { query: mockQuery },
+}));
+
+jest.unstable_mockModule('../../utils/logger.js', () => ({
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const Model = await import('../../models/searchEventModel.js');
+
+const START = new Date('2026-10-01T00:00:00Z');
+const END = new Date('2026-10-19T00:00:00Z');
+
+describe('insertSearchEvent', () => {
+  const event = {
+    id: 'event-1',
+    source: 'smart',
+    queryText: 'Суши',
+    normalizedQuery: 'суши',
+    intent: { dish: 'суши' },
+    filters: { has_location: false },
+    resultCount: 0,
+    isFallback: true,
+    isCached: false,
+  };
+
+  it('serializes intent and filters as JSON', async () => {
+    mockQuery.mockResolvedValue({ rows: [] });
+    await Model.insertSearchEvent(event);
+    const [sql, params] = mockQuery.mock.calls[0];
+    expect(sql).toContain('INSERT INTO search_events');
+    expect(params).toEqual([
+      'event-1', 'smart', 'Суши', 'суши', '{"dish":"суши"}', '{"has_location":false}', 0, true, false,
+    ]);
+  });
+
+  it('does not throw when the insert fails', async () => {
+    mockQuery.mockRejectedValue(new Error('connection lost'));
+    await expect(Model.insertSearchEvent(event)).resolves.toBeUndefined();
+  });
+});
+
+describe('recordClick', () => {
+  it('records only the first click', async () => {
+    mockQuery.mockResolvedValue({ rowCount: 1 });
+    await expect(Model.recordClick('event-1', 'est-1', 2)).resolves.toBe(true);
+    const [sql, params] = mockQuery.mock.calls[0];
+    expect(sql).toContain('clicked_at IS NULL');
+    expect(params).toEqual(['event-1', 'est-1', 2]);
+  });
+
+  it('returns false for unknown events and on errors', async () => {
+    mockQuery.mockResolvedValueOnce({ rowCount: 0 });
+    await expect(Model.recordClick('missing', 'est-1', null)).resolves.toBe(false);
+    mockQuery.mockRejectedValueOnce(new Error('invalid input syntax for type uuid'));
+    await expect(Model.recordClick('not-a-uuid', 'est-1', null)).resolves.toBe(false);
+  });
+});
+
+describe('reports', () => {
+  it('getTopQueries skips filter-only searches and applies the limit', async () => {
+    mockQuery.mockResolvedValue({ rows: [] });
+    await Model.getTopQueries(START, END, 20);
+    const [sql, params] = mockQuery.mock.calls[0];
+    expect(sql).toContain('normalized_query IS NOT NULL');
+    expect(params).toEqual([START, END, 20]);
+  });
+
+  it('getZeroResultQueries filters on result_count = 0', async () => {
+    mockQuery.mockResolvedValue({ rows: [] });
+    await Model.getZeroResultQueries(START, END, 5);
+    expect(mockQuery.mock.calls[0][0]).toContain('result_count = 0');
+  });
+
+  it('getSearchTimeline truncates to the aggregation', async () => {
+    mockQuery.mockResolvedValue({ rows: [] });
+    await Model.getSearchTimeline(START, END, 'week');
+    expect(mockQuery.mock.calls[0][0]).toContain("DATE_TRUNC('week', created_at)");
+  });
+
+  it('report errors propagate', async () => {
+    mockQuery.mockRejectedValue(new Error('boom'));
+    await expect(Model.getSearchTotals(START, END)).rejects.toThrow('boom');
+  });
+});
@@ -0,0 +1,124 @@
+/* eslint-env jest */
+/* eslint comma-dangle: 0 */
+/**
+ * Unit Tests: searchEventService.js
+ *
+ * Query normalization, the coordinate-free filter summary and the
+ * fire-and-forget recording contract. SearchEventModel is mocked.
+ */
+
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('../../models/searchEventModel.js', () => ({
+  insertSearchEvent: jest.fn(),
+  recordClick: jest.fn(),
+}));
+
+const SearchEventModel = await import('../../models/searchEventModel.js');
+const {
+  normalizeSearchQuery,
+  summarizeFilters,
+  recordSearchEvent,
+  recordClick,
+} = await import('../../services/searchEventService.js');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/;
+
+describe('searchEventService', () => {
+  describe('normalizeSearchQuery', () => {
+    test('lowercases, folds ё and collapses whitespace', () => {
+      expect(normalizeSearchQuery('  Пиццерия   на  НЕМИГЕ ')).toBe('пиццерия на немиге');
+      expect(normalizeSearchQuery('Тёплый салат')).toBe('теплый салат');
+    });
+
+    test.each([[''], ['   '], [null], [undefined]])('returns null for %p', (value) => {
+      expect(normalizeSearchQuery(value)).toBeNull();
+    });
+  });
+
+  describe('summarizeFilters', () => {
+    test('drops coordinates, pagination and empty values', () => {
+      const summary = summarizeFilters({
+        latitude: 53.9,
+        longitude: 27.56,
+        radius: 10,
+        maxDistance: 1,
+        city: ['Минск'],
+        categories: ['Пиццерия'],
+        cuisines: [],
+        minRating: null,
+        limit: 20,
+        offset: 0,
+        page: 1,
+        sortBy: 'distance',
+        openAt: { date: '2026-10-19', dayKey: 'monday', minutes: 540 },
+      });
+
+      expect(summary).toEqual({
+        city: ['Минск'],
+        categories: ['Пиццерия'],
+        maxDistance: 1,
+        sortBy: 'distance',
+        openAt: true,
+        has_location: true,
+      });
+    });
+
+    test('flags searches without a location', () => {
+      expect(summarizeFilters({ search: 'суши' })).toEqual({ search: 'суши', has_location: false });
+    });
+  });
+
+  describe('recordSearchEvent', () => {
+    test('returns an id immediately and inserts the summarized event', () => {
+      const id = recordSearchEvent({
+        source: 'smart',
+        query: ' Кофе рядом ',
+        intent: { dish: 'кофе' },
+        filters: { dish: 'кофе', latitude: 53.9, longitude: 27.56 },
+        resultCount: 4,
+        cached: true,
+      });
+
+      expect(id).toMatch(UUID_PATTERN);
+      expect(SearchEventModel.insertSearchEvent).toHaveBeenCalledWith({
+        id,
+        source: 'smart',
+        queryText: 'Кофе рядом',
+        normalizedQuery: 'кофе рядом',
+        intent: { dish: 'кофе' },
+        filters: { dish: 'кофе', has_location: true },
+        resultCount: 4,
+        isFallback: false,
+        isCached: true,
+      });
+    });
+
+    test('filter-only list searches store no query text', () => {
+      recordSearchEvent({ source: 'list', query: null, filters: { categories: ['Бар'] } });
+
+      expect(SearchEventModel.insertSearchEvent).toHaveBeenCalledWith(expect.objectContaining({
+        queryText: null,
+        normalizedQuery: null,
+        intent: null,
+        resultCount: 0,
+      }));
+    });
+
+    test('truncates query text to the column width', () => {
+      recordSearchEvent({ source: 'list', query: 'а'.repeat(300) });
+
+      const [event] = SearchEventModel.insertSearchEvent.mock.calls[0];
+      expect(event.queryText).toHaveLength(200);
+    });
+  });
+
+  describe('recordClick', () => {
+    test('passes through to the model', async () => {
+      SearchEventModel.recordClick.mockResolvedValue(true);
+
+      await expect(recordClick('event-1', 'est-1', 3)).resolves.toBe(true);
+      expect(SearchEventModel.recordClick).toHaveBeenCalledWith('event-1', 'est-1', 3);
+    });
+  });
+});
@@ -14,19 +14,32 @@
 
 import { jest } from '@jest/globals';
 
-// Mock database
+// Mock database. Text searches run on a pooled client inside a transaction
+// (runSearchQueries); the client records the transaction statements and hands
+// the search queries to pool.query, so assertions read the same call list.
+const mockTxQuery = jest.fn();
+const mockRelease = jest.fn();
 jest.unstable_mockModule('../../config/database.js', () => ({
   default: {
     query: jest.fn(),
+    connect: jest.fn(),
   },
 }));
 
+// Synonyms come from the admin-managed table via an in-process cache
+jest.unstable_mockModule('../../services/searchSynonymService.js', () => ({
+  getSynonymExpansion: jest.fn(),
+}));
+
 // Import after mocking
 const pool = (await import('../../config/database.js')).default;
+const { getSynonymExpansion } = await import('../../services/searchSynonymService.js');
 
 const {
   searchByRadius,
   searchByBounds,
+  searchDishes,
+  findSimilarEstablishments,
   checkSearchHealth,
 } = await import('../../services/searchService.js');
 
@@ -35,6 +48,13 @@ import { createMockEstablishment } from '../mocks/helpers.js';
 describe('searchService', () => {
   beforeEach(() => {
     jest.clearAllMocks();
+    mockTxQuery.mockResolvedValue({});
+    pool.connect.mockResolvedValue({
+      query: (text, values) => (/^(BEGIN|COMMIT|ROLLBACK)|set_config/.test(text)
+        ? mockTxQuery(text, values)
+        : pool.query(text, values)),
+      release: mockRelease,
+    });
   });
 
   describe('searchByRadius', () => {
@@ -387,6 +407,294 @@ describe('searchService', () => {
       const params = pool.query.mock.calls[0][1];
       expect(params[0]).toBe('active');
     });
+
+    test('should filter by open_at in Minsk time with previous-day overnight span', async () => {
+      pool.query.mockResolvedValue({ rows: [], rowCount: 0 });
+      pool.query.mockResolvedValue({ rows: [{ total: '0' }], rowCount: 1 });
+
+      // 2026-10-18 22:30Z = Monday 2026-10-19 01:30 in Minsk
+      await searchByRadius({ ...validParams, openAt: new Date('2026-10-18T22:30:00Z') });
+
+      const query = pool.query.mock.calls[0][0];
+      expect(query).toContain('e.special_hours -> $2::text, e.working_hours -> $3::text');
+      expect(query).toContain('e.special_hours -> $4::text, e.working_hours -> $5::text');
+      expect(query).toContain('mins.close_min <= mins.open_min');
+
+      const params = pool.query.mock.calls[0][1];
+      expect(params.slice(1, 6)).toEqual(['2026-10-19', 'monday', '2026-10-18', 'sunday', 90]);
+    });
+
+    test('should search text via Russian full text, trigram and menu items', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [], rowCount: 0 });
+      pool.query.mockResolvedValueOnce({ rows: [{ total: '0' }], rowCount: 1 });
+
+      await searchByRadius({ ...validParams, search: 'пиццерии' });
+
+      const query = pool.query.mock.calls[0][0];
+      expect(query).toContain(
+        "establishment_search_document(e.name, e.description, e.categories, e.cuisines) @@ websearch_to_tsquery('russian', $2)"
+      );
+      expect(query).toContain('$2 <% e.name');
+      expect(query).toContain('$2 <% mi.item_name');
+      expect(query).not.toContain('word_similarity($2, e.name) >=');
+      expect(query).toContain("to_tsvector('russian', mi.item_name)");
+      // Relevance blended into the rating sort (CTE alias applied)
+      expect(query).toMatch(/ORDER BY \(\(\s+ts_rank_cd\(establishment_search_document\(ne\.name/);
+
+      const params = pool.query.mock.calls[0][1];
+      expect(params.slice(1, 3)).toEqual(['пиццерии', '%пиццерии%']);
+
+      // Both queries share a read-only transaction with the trigram threshold set
+      expect(mockTxQuery.mock.calls.map(([text]) => text)).toEqual([
+        'BEGIN READ ONLY',
+        "SELECT set_config('pg_trgm.word_similarity_threshold', $1, true)",
+        'COMMIT',
+      ]);
+      expect(mockTxQuery.mock.calls[1][1]).toEqual(['0.45']);
+      expect(mockRelease).toHaveBeenCalled();
+
+      // Count query reuses the WHERE params without the ORDER BY
+      const countQuery = pool.query.mock.calls[1][0];
+      expect(countQuery).toContain('websearch_to_tsquery');
+      expect(countQuery).not.toContain('ts_rank_cd');
+    });
+
+    test('should expand a matched synonym to categories and cuisines', async () => {
+      getSynonymExpansion.mockResolvedValue({ categories: ['Пиццерия'], cuisines: ['Итальянская'] });
+      pool.query.mockResolvedValueOnce({ rows: [], rowCount: 0 });
+      pool.query.mockResolvedValueOnce({ rows: [{ total: '0' }], rowCount: 1 });
+
+      await searchByRadius({ ...validParams, search: 'хочу пиццу' });
+
+      expect(getSynonymExpansion).toHaveBeenCalledWith('хочу пиццу');
+      const query = pool.query.mock.calls[0][0];
+      expect(query).toContain('e.categories && $4::varchar[]');
+      expect(query).toContain('e.cuisines && $5::varchar[]');
+      const params = pool.query.mock.calls[0][1];
+      expect(params.slice(3, 5)).toEqual([['Пиццерия'], ['Итальянская']]);
+    });
+
+    test('should skip stop-listed menu items in text and dish matching', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [], rowCount: 0 });
+      pool.query.mockResolvedValueOnce({ rows: [{ total: '0' }], rowCount: 1 });
+
+      await searchByRadius({ ...validParams, search: 'пицца', dish: 'маргарита' });
+
+      const query = pool.query.mock.calls[0][0];
+      // Text EXISTS, relevance subquery and dish EXISTS all require is_available
+      expect(query).toMatch(/mi\.is_available = TRUE\s+AND \(\s+to_tsvector\('russian', mi\.item_name\)/);
+      expect(query).toMatch(/MAX\(word_similarity\(\$2, mi\.item_name\)\)[^)]*mi\.is_available = TRUE/);
+      expect(query).toMatch(/mi\.is_available = TRUE\s+AND mi\.item_name ILIKE/);
+    });
+
+    test('should reject an unparseable openAt', async () => {
+      await expect(
+        searchByRadius({ ...validParams, openAt: 'tomorrow evening' })
+      ).rejects.toMatchObject({
+        statusCode: 422,
+        code: 'VALIDATION_ERROR',
+      });
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('searchDishes', () => {
+    test('should rank matched menu items by trigram similarity and group by establishment', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [], rowCount: 0 });
+      pool.query.mockResolvedValueOnce({ rows: [{ total: '0' }], rowCount: 1 });
+
+      await searchDishes({ dish: ' цезарь ', priceMaxByn: 15, city: 'Минск' });
+
+      const [query, params] = pool.query.mock.calls[0];
+      expect(query).toContain('word_similarity($3, mi.item_name) AS similarity');
+      expect(query).toContain('mi.item_name ILIKE $4');
+      expect(query).toContain('$3 <% mi.item_name');
+      expect(query).toContain('mi.is_hidden_by_admin = FALSE');
+      expect(query).toContain('mi.is_available = TRUE');
+      // Cheapest active promotion per item; budget applies to the lower price
+      expect(query).toContain('LEFT JOIN LATERAL');
+      expect(query).toContain('LEAST(mi.price_byn, promo.discount_price_byn) <= $5::numeric');
+      expect(query).toContain('GROUP BY establishment_id');
+      expect(query).toContain('ORDER BY g.best_similarity DESC, g.min_price_byn ASC NULLS LAST');
+      expect(params).toEqual(['active', 'Минск', 'цезарь', '%цезарь%', 15, 20, 0, 5]);
+      // `<%` reads its cut-off from the per-transaction setting
+      expect(mockTxQuery).toHaveBeenCalledWith(
+        "SELECT set_config('pg_trgm.word_similarity_threshold', $1, true)",
+        ['0.45'],
+      );
+
+      // Count query counts establishments with the same WHERE params
+      const [countQuery, countParams] = pool.query.mock.calls[1];
+      expect(countQuery).toContain('SELECT COUNT(*) AS total FROM grouped');
+      expect(countParams).toEqual(params.slice(0, -3));
+    });
+
+    test('should return establishments with their matched dishes', async () => {
+      pool.query.mockResolvedValueOnce({
+        rows: [{
+          ...createMockEstablishment(),
+          distance_km: '1.2',
+          dish_count: '2',
+          min_price_byn: '14.00',
+          dishes: [
+            {
+              id: 'mi-1',
+              item_name: 'Салат Цезарь с курицей',
+              price_byn: 17,
+              discount_price_byn: 14,
+              effective_price_byn: 14,
+              promotion_id: 'promo-1',
+              promotion_title: 'Цезарь дня',
+              similarity: 1,
+            },
+            {
+              id: 'mi-2',
+              item_name: 'Цезарь с креветками',
+              price_byn: 15.5,
+              discount_price_byn: null,
+              effective_price_byn: 15.5,
+              promotion_id: null,
+              promotion_title: null,
+              similarity: 0.8571428,
+            },
+          ],
+        }],
+        rowCount: 1,
+      });
+      pool.query.mockResolvedValueOnce({ rows: [{ total: '1' }], rowCount: 1 });
+
+      const result = await searchDishes({
+        dish: 'цезарь', latitude: 53.9, longitude: 27.5, sortBy: 'distance',
+      });
+
+      const query = pool.query.mock.calls[0][0];
+      expect(query).toContain('AS distance_km');
+      expect(query).toContain('ORDER BY distance_km ASC');
+
+      const [establishment] = result.establishments;
+      expect(establishment).toMatchObject({ distance_km: 1.2, dish_count: 2, min_price_byn: 14 });
+      expect(establishment.dishes).toEqual([
+        {
+          id: 'mi-1',
+          item_name: 'Салат Цезарь с курицей',
+          price_byn: 17,
+          discount_price_byn: 14,
+          effective_price_byn: 14,
+          promotion_id: 'promo-1',
+          promotion_title: 'Цезарь дня',
+          similarity: 1,
+        },
+        {
+          id: 'mi-2',
+          item_name: 'Цезарь с креветками',
+          price_byn: 15.5,
+          discount_price_byn: null,
+          effective_price_byn: 15.5,
+          promotion_id: null,
+          promotion_title: null,
+          similarity: 0.857,
+        },
+      ]);
+      expect(result.pagination).toMatchObject({ total: 1, totalPages: 1 });
+    });
+
+    test('should bind only the referenced params when a city scopes a located search', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [], rowCount: 0 });
+      pool.query.mockResolvedValueOnce({ rows: [{ total: '0' }], rowCount: 1 });
+
+      await searchDishes({ dish: 'цезарь', city: 'Минск', latitude: 53.9, longitude: 27.5 });
+
+      const highestParam = (sql) => Math.max(...[...sql.matchAll(/\$(\d+)/g)].map(([, n]) => Number(n)));
+      const [query, params] = pool.query.mock.calls[0];
+      const [countQuery, countParams] = pool.query.mock.calls[1];
+      // No radius filter: coordinates are used by distance_km only
+      expect(countQuery).not.toContain('ST_Distance');
+      expect(highestParam(countQuery)).toBe(countParams.length);
+      expect(highestParam(query)).toBe(params.length);
+      expect(params).toContain(27.5);
+      expect(countParams).not.toContain(27.5);
+    });
+
+    test('should reject a too short dish text', async () => {
+      await expect(searchDishes({ dish: 'ц' })).rejects.toMatchObject({
+        statusCode: 422,
+        code: 'VALIDATION_ERROR',
+      });
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('findSimilarEstablishments', () => {
+    const target = {
+      id: 'target-id',
+      city: 'Могилев',
+      latitude: 53.9,
+      longitude: 30.33,
+      categories: ['Ресторан'],
+      cuisines: ['Грузинская'],
+      price_range: '$$',
+      attributes: { wifi: true, terrace: 'true', parking: false },
+    };
+
+    test('scores same-city candidates on canon fields, menu overlap and distance', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [], rowCount: 0 });
+
+      await findSimilarEstablishments(target, { limit: 6 });
+
+      const [query, params] = pool.query.mock.calls[0];
+      expect(query).toContain('e.id <> $1');
+      expect(query).toContain('e.city = ANY($2::varchar[])');
+      expect(query).toContain('e.categories && $5::varchar[] OR e.cuisines && $6::varchar[]');
+      expect(query).toContain('JOIN target_menu tm ON tm.name = LOWER(TRIM(mi.item_name))');
+      expect(query).toContain('ORDER BY similarity_score DESC, o.distance_km ASC');
+      expect(params).toEqual([
+        'target-id',
+        ['Могилев', 'Могилёв'],
+        30.33,
+        53.9,
+        ['Ресторан'],
+        ['Грузинская'],
+        ['terrace', 'wifi'],
+        '$$',
+        6,
+      ]);
+    });
+
+    test('returns listings with a similarity breakdown', async () => {
+      pool.query.mockResolvedValueOnce({
+        rows: [{
+          ...createMockEstablishment(),
+          price_range: '$$',
+          distance_km: '0.8',
+          similarity_score: '9.1234',
+          shared_categories: ['Ресторан'],
+          shared_cuisines: ['Грузинская'],
+          shared_attributes: ['wifi'],
+          shared_menu_items: 4,
+        }],
+        rowCount: 1,
+      });
+
+      const [similar] = await findSimilarEstablishments(target);
+
+      expect(similar).toMatchObject({ distance_km: 0.8 });
+      expect(similar.similarity).toEqual({
+        score: 9.123,
+        shared_categories: ['Ресторан'],
+        shared_cuisines: ['Грузинская'],
+        shared_attributes: ['wifi'],
+        shared_menu_items: 4,
+        same_price_range: true,
+      });
+      expect(similar).not.toHaveProperty('attribute_list');
+    });
+
+    test('should validate limit range', async () => {
+      await expect(findSimilarEstablishments(target, { limit: 50 })).rejects.toMatchObject({
+        statusCode: 422,
+        code: 'VALIDATION_ERROR',
+      });
+    });
   });
 
   describe('searchByBounds', () => {
@@ -428,6 +736,23 @@ describe('searchService', () => {
       expect(params).toContain(27.55); // maxLon
     });
 
+    test('should apply open_at filter with naive Minsk datetime', async () => {
+      pool.query.mockResolvedValue({ rows: [], rowCount: 0 });
+
+      await searchByBounds({
+        minLat: 53.85,
+        maxLat: 53.95,
+        minLon: 27.45,
+        maxLon: 27.55,
+        openAt: '2026-12-31T23:15',
+      });
+
+      const query = pool.query.mock.calls[0][0];
+      expect(query).toContain('e.special_hours ->');
+      const params = pool.query.mock.calls[0][1];
+      expect(params).toEqual(expect.arrayContaining(['2026-12-31', 'thursday', '2026-12-30', 'wednesday', 1395]));
+    });
+
     test('should validate bounds parameters', async () => {
       await expect(
         searchByBounds({ minLat: 53.9, maxLat: 53.8, minLon: 27.4, maxLon: 27.6 })
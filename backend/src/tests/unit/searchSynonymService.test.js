@@ -0,0 +1,226 @@
+/* eslint-env jest */
+/* eslint comma-dangle: 0 */
+/**
+ * Unit Tests: searchSynonymService.js
+ *
+ * Phrase matching, the in-process cache (TTL, invalidation on write, stale
+ * fallback when the table is unreachable) and admin CRUD validation + audit.
+ * SearchSynonymModel and AuditLogModel are mocked.
+ */
+
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('../../models/searchSynonymModel.js', () => ({
+  listSynonyms: jest.fn(),
+  findSynonymById: jest.fn(),
+  createSynonym: jest.fn(),
+  updateSynonym: jest.fn(),
+  deleteSynonym: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../models/auditLogModel.js', () => ({
+  createAuditLog: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../utils/logger.js', () => ({
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const SearchSynonymModel = await import('../../models/searchSynonymModel.js');
+const AuditLogModel = await import('../../models/auditLogModel.js');
+const {
+  CACHE_TTL_MS,
+  invalidateCache,
+  normalizeSynonymTerm,
+  matchSynonyms,
+  getSynonymExpansion,
+  createSynonym,
+  updateSynonym,
+  deleteSynonym,
+} = await import('../../services/searchSynonymService.js');
+
+const PIZZA = { id: 's1', term: 'пиццу', categories: ['Пиццерия'], cuisines: ['Итальянская'], is_active: true };
+const LUNCH = { id: 's2', term: 'бизнес-ланч', categories: ['Кафе', 'Столовая'], cuisines: [], is_active: true };
+const ITALIAN = { id: 's3', term: 'паста', categories: ['Ресторан'], cuisines: ['Итальянская'], is_active: true };
+
+const CONTEXT = { adminUserId: 'admin-1', ipAddress: '127.0.0.1', userAgent: 'jest' };
+
+beforeEach(() => {
+  invalidateCache();
+});
+
+describe('normalizeSynonymTerm', () => {
+  test('lowercases, folds ё, keeps hyphens, drops other punctuation', () => {
+    expect(normalizeSynonymTerm('  Бизнес-Ланч!  ')).toBe('бизнес-ланч');
+    expect(normalizeSynonymTerm('Тёплый,  салат')).toBe('теплый салат');
+  });
+});
+
+describe('matchSynonyms', () => {
+  test('matches whole words anywhere in the text', () => {
+    expect(matchSynonyms('Хочу пиццу рядом', [PIZZA])).toEqual({
+      categories: ['Пиццерия'], cuisines: ['Итальянская'],
+    });
+  });
+
+  test('does not match inside a longer word', () => {
+    expect(matchSynonyms('пиццерия', [PIZZA])).toBeNull();
+  });
+
+  test('matches multi-word and hyphenated phrases', () => {
+    expect(matchSynonyms('бизнес-ланч в центре', [LUNCH])).toMatchObject({ categories: ['Кафе', 'Столовая'] });
+    expect(matchSynonyms('бизнес ланч', [LUNCH])).toBeNull();
+  });
+
+  test('unions and deduplicates several matches', () => {
+    expect(matchSynonyms('паста и пиццу', [PIZZA, ITALIAN])).toEqual({
+      categories: ['Пиццерия', 'Ресторан'],
+      cuisines: ['Итальянская'],
+    });
+  });
+});
+
+describe('getSynonymExpansion cache', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('loads active synonyms once within the TTL', async () => {
+    SearchSynonymModel.listSynonyms.mockResolvedValue([PIZZA]);
+
+    await getSynonymExpansion('пиццу');
+    await getSynonymExpansion('пиццу');
+
+    expect(SearchSynonymModel.listSynonyms).toHaveBeenCalledTimes(1);
+    expect(SearchSynonymModel.listSynonyms).toHaveBeenCalledWith({ activeOnly: true });
+  });
+
+  test('reloads after the TTL', async () => {
+    jest.useFakeTimers();
+    SearchSynonymModel.listSynonyms.mockResolvedValue([PIZZA]);
+
+    await getSynonymExpansion('пиццу');
+    jest.advanceTimersByTime(CACHE_TTL_MS + 1);
+    await getSynonymExpansion('пиццу');
+
+    expect(SearchSynonymModel.listSynonyms).toHaveBeenCalledTimes(2);
+  });
+
+  test('serves the stale list when the reload fails, nothing when there is none', async () => {
+    jest.useFakeTimers();
+    SearchSynonymModel.listSynonyms.mockResolvedValueOnce([PIZZA]);
+    await getSynonymExpansion('пиццу');
+    jest.advanceTimersByTime(CACHE_TTL_MS + 1);
+    SearchSynonymModel.listSynonyms.mockRejectedValueOnce(new Error('relation does not exist'));
+
+    await expect(getSynonymExpansion('пиццу')).resolves.toMatchObject({ categories: ['Пиццерия'] });
+
+    invalidateCache();
+    SearchSynonymModel.listSynonyms.mockRejectedValueOnce(new Error('relation does not exist'));
+    await expect(getSynonymExpansion('пиццу')).resolves.toBeNull();
+  });
+});
+
+describe('createSynonym', () => {
+  test('normalizes the term, invalidates the cache and audit-logs', async () => {
+    SearchSynonymModel.listSynonyms.mockResolvedValue([]);
+    await getSynonymExpansion('шаурма');
+    SearchSynonymModel.createSynonym.mockResolvedValue({
+      id: 's9', term: 'шаурма', categories: ['Фаст-фуд'], cuisines: ['Восточная'], is_active: true,
+    });
+
+    await createSynonym({ term: ' Шаурма ', categories: ['Фаст-фуд'], cuisines: ['Восточная'] }, CONTEXT);
+
+    expect(SearchSynonymModel.createSynonym).toHaveBeenCalledWith({
+      term: 'шаурма',
+      categories: ['Фаст-фуд'],
+      cuisines: ['Восточная'],
+      isActive: true,
+      createdBy: 'admin-1',
+    });
+    expect(AuditLogModel.createAuditLog).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'search_synonym_create',
+      entity_type: 'search_synonym',
+      entity_id: 's9',
+      user_id: 'admin-1',
+    }));
+
+    await getSynonymExpansion('шаурма');
+    expect(SearchSynonymModel.listSynonyms).toHaveBeenCalledTimes(2);
+  });
+
+  test.each([
+    [{ categories: ['Кафе'] }, 'term is required'],
+    [{ term: '!', categories: ['Кафе'] }, 'term must contain letters'],
+    [{ term: 'шаурма', categories: ['Шаурмичная'] }, 'Unknown categories: Шаурмичная'],
+    [{ term: 'шаурма', cuisines: 'Восточная' }, 'cuisines must be an array'],
+    [{ term: 'шаурма' }, 'at least one category or cuisine'],
+  ])('rejects %p', async (body, message) => {
+    await expect(createSynonym(body, CONTEXT)).rejects.toMatchObject({ statusCode: 422 });
+    await expect(createSynonym(body, CONTEXT)).rejects.toThrow(message);
+    expect(SearchSynonymModel.createSynonym).not.toHaveBeenCalled();
+  });
+
+  test('maps a duplicate term to 409', async () => {
+    SearchSynonymModel.createSynonym.mockRejectedValue(Object.assign(new Error('dup'), { code: '23505' }));
+
+    await expect(createSynonym({ term: 'пиццу', categories: ['Пиццерия'] }, CONTEXT))
+      .rejects.toMatchObject({ statusCode: 409, code: 'SYNONYM_EXISTS' });
+    expect(AuditLogModel.createAuditLog).not.toHaveBeenCalled();
+  });
+});
+
+describe('updateSynonym', () => {
+  test('keeps untouched fields and logs before / after', async () => {
+    SearchSynonymModel.findSynonymById.mockResolvedValue(PIZZA);
+    SearchSynonymModel.updateSynonym.mockResolvedValue({ ...PIZZA, is_active: false });
+
+    await updateSynonym('s1', { is_active: false }, CONTEXT);
+
+    expect(SearchSynonymModel.updateSynonym).toHaveBeenCalledWith('s1', {
+      categories: undefined, cuisines: undefined, isActive: false,
+    });
+    expect(AuditLogModel.createAuditLog).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'search_synonym_update',
+      old_data: expect.objectContaining({ is_active: true }),
+      new_data: expect.objectContaining({ is_active: false }),
+    }));
+  });
+
+  test('refuses to empty both lists', async () => {
+    SearchSynonymModel.findSynonymById.mockResolvedValue(LUNCH);
+
+    await expect(updateSynonym('s2', { categories: [] }, CONTEXT))
+      .rejects.toMatchObject({ statusCode: 422 });
+  });
+
+  test('404 for an unknown id', async () => {
+    SearchSynonymModel.findSynonymById.mockResolvedValue(null);
+
+    await expect(updateSynonym('missing', { is_active: true }, CONTEXT))
+      .rejects.toMatchObject({ statusCode: 404, code: 'SYNONYM_NOT_FOUND' });
+  });
+});
+
+describe('deleteSynonym', () => {
+  test('deletes and audit-logs the removed row', async () => {
+    SearchSynonymModel.deleteSynonym.mockResolvedValue(PIZZA);
+
+    await expect(deleteSynonym('s1', CONTEXT)).resolves.toEqual({ id: 's1' });
+    expect(AuditLogModel.createAuditLog).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'search_synonym_delete',
+      old_data: expect.objectContaining({ term: 'пиццу' }),
+    }));
+  });
+
+  test('404 for an unknown id', async () => {
+    SearchSynonymModel.deleteSynonym.mockResolvedValue(null);
+
+    await expect(deleteSynonym('missing', CONTEXT)).rejects.toMatchObject({ statusCode: 404 });
+  });
+});
@@ -6,6 +6,9 @@
  * Segment B introduces `dish` and routes `price_max` based on its presence:
  *   - With dish:    price_max → priceMaxByn (literal BYN on menu_items.price_byn)
  *   - Without dish: price_max → priceRange (legacy subjective tier mapping)
+ *
+ * meal_type → openAt (next meal time in Minsk); attributes + amenity tags →
+ * features.
  */
 
 import { buildSmartSearchFilters } from '../../services/smartSearchService.js';
@@ -142,3 +145,128 @@ describe('buildSmartSearchFilters — price routing with/without dish', () => {
     expect(filters.priceRange).toBeUndefined();
   });
 });
+
+describe('buildSmartSearchFilters — meal_type and amenities', () => {
+  const baseIntent = {
+    dish: null,
+    category: null,
+    cuisine: null,
+    price_max: null,
+    meal_type: null,
+    location: null,
+    sort: null,
+    attributes: [],
+    tags: [],
+    error: null,
+  };
+  // Monday 2026-10-19 08:00 in Minsk
+  const morning = new Date('2026-10-19T05:00:00Z');
+
+  test('breakfast becomes open_at today 09:00 Minsk when still ahead', () => {
+    const filters = buildSmartSearchFilters({ ...baseIntent, meal_type: 'breakfast' }, {}, morning);
+
+    expect(filters.openAt).toMatchObject({ date: '2026-10-19', dayKey: 'monday', minutes: 540 });
+  });
+
+  test('breakfast after 09:00 rolls over to tomorrow', () => {
+    const evening = new Date('2026-10-19T17:00:00Z');
+    const filters = buildSmartSearchFilters({ ...baseIntent, meal_type: 'breakfast' }, {}, evening);
+
+    expect(filters.openAt).toMatchObject({ date: '2026-10-20', dayKey: 'tuesday', minutes: 540 });
+  });
+
+  test('snack adds no time constraint', () => {
+    const filters = buildSmartSearchFilters({ ...baseIntent, meal_type: 'snack' }, {}, morning);
+
+    expect(filters.openAt).toBeUndefined();
+  });
+
+  test('"завтрак с террасой": canonical attribute → features', () => {
+    const filters = buildSmartSearchFilters(
+      { ...baseIntent, meal_type: 'breakfast', attributes: ['terrace'] },
+      {},
+      morning,
+    );
+
+    expect(filters.features).toEqual(['terrace']);
+    expect(filters.search).toBeUndefined();
+  });
+
+  test('"бар с живой музыкой": amenity tag maps to a feature instead of search text', () => {
+    const filters = buildSmartSearchFilters({
+      ...baseIntent,
+      category: 'Бар',
+      tags: ['живой музыкой', 'уютный'],
+    });
+
+    expect(filters.categories).toEqual(['Бар']);
+    expect(filters.features).toEqual(['live_music']);
+    expect(filters.search).toBe('уютный');
+  });
+
+  test('deduplicates attributes and tags, tolerates intents cached without attributes', () => {
+    const cached = { ...baseIntent, tags: ['Wi-Fi', 'wifi'] };
+    delete cached.attributes;
+    const filters = buildSmartSearchFilters(cached);
+
+    expect(filters.features).toEqual(['wifi']);
+  });
+});
+
+describe('buildSmartSearchFilters — gazetteer locations', () => {
+  const baseIntent = {
+    dish: null,
+    category: 'Пиццерия',
+    cuisine: null,
+    price_max: null,
+    meal_type: null,
+    location: null,
+    sort: null,
+    attributes: [],
+    tags: [],
+    error: null,
+  };
+
+  test('"пиццерия на Немиге" searches around the metro station', () => {
+    const filters = buildSmartSearchFilters({ ...baseIntent, location: 'на Немиге' });
+
+    expect(filters).toMatchObject({
+      latitude: 53.9056,
+      longitude: 27.5537,
+      maxDistance: 1,
+      city: ['Минск'],
+      sortBy: 'distance',
+      place: { name: 'Немига', type: 'metro', city: 'Минск' },
+    });
+  });
+
+  test('a resolved place overrides the user position', () => {
+    const filters = buildSmartSearchFilters(
+      { ...baseIntent, location: 'у Брестской крепости' },
+      { latitude: 53.9, longitude: 27.56, city: 'Минск' },
+    );
+
+    expect(filters.latitude).toBe(52.083);
+    expect(filters.city).toEqual(['Брест']);
+  });
+
+  test('a bare city only scopes the city filter', () => {
+    const filters = buildSmartSearchFilters({ ...baseIntent, location: 'Могилёв' });
+
+    expect(filters.city).toEqual(expect.arrayContaining(['Могилев', 'Могилёв']));
+    expect(filters.latitude).toBeUndefined();
+    expect(filters.place).toBeUndefined();
+    expect(filters.sortBy).toBe('rating');
+  });
+
+  test('an unresolved phrase keeps the context city and coordinates', () => {
+    const filters = buildSmartSearchFilters(
+      { ...baseIntent, location: 'где-то рядом с домом' },
+      { latitude: 53.9, longitude: 27.56, city: 'Минск' },
+    );
+
+    expect(filters).toMatchObject({ latitude: 53.9, longitude: 27.56, city: ['Минск'] });
+    expect(filters.maxDistance).toBeUndefined();
+    expect(filters.place).toBeUndefined();
+  });
+});
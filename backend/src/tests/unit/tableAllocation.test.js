@@ -0,0 +1,93 @@
+/* eslint-env jest */
+/* eslint comma-dangle: 0 */
+/**
+ * Unit Tests: tableAllocation.js
+ *
+ * Pure seat-capacity math — no mocks needed. Covers time parsing, window
+ * overlap, greedy single/combined allocation and the overlap-aware check.
+ */
+
+import {
+  timeToMinutes,
+  windowsOverlap,
+  allocateParties,
+  checkCapacity,
+} from '../../utils/tableAllocation.js';
+
+const table = (id, seats, isCombinable = false) => ({ id, seats, is_combinable: isCombinable });
+
+describe('tableAllocation', () => {
+  describe('timeToMinutes', () => {
+    test('parses HH:MM and pg HH:MM:SS', () => {
+      expect(timeToMinutes('19:30')).toBe(1170);
+      expect(timeToMinutes('07:05:00')).toBe(425);
+    });
+
+    test('returns null for garbage', () => {
+      expect(timeToMinutes('abc')).toBeNull();
+      expect(timeToMinutes(null)).toBeNull();
+    });
+  });
+
+  describe('windowsOverlap', () => {
+    test('half-open: back-to-back windows do not overlap', () => {
+      expect(windowsOverlap(600, 120, 720, 120)).toBe(false);
+    });
+
+    test('partial overlap', () => {
+      expect(windowsOverlap(600, 120, 690, 120)).toBe(true);
+    });
+  });
+
+  describe('allocateParties', () => {
+    test('seats each party at the smallest fitting table', () => {
+      const result = allocateParties([table('a', 6), table('b', 2), table('c', 4)], [2, 4, 6]);
+      expect(result).toEqual({ fits: true, unseated: [] });
+    });
+
+    test('combines combinable tables for a large party', () => {
+      const tables = [table('a', 4, true), table('b', 4, true), table('c', 2)];
+      expect(allocateParties(tables, [8, 2]).fits).toBe(true);
+    });
+
+    test('never combines non-combinable tables', () => {
+      const tables = [table('a', 4), table('b', 4)];
+      expect(allocateParties(tables, [6])).toEqual({ fits: false, unseated: [6] });
+    });
+
+    test('a combined table is not reused by the next party', () => {
+      const tables = [table('a', 4, true), table('b', 4, true)];
+      expect(allocateParties(tables, [8, 1]).fits).toBe(false);
+    });
+  });
+
+  describe('checkCapacity', () => {
+    const tables = [table('a', 2), table('b', 4)];
+
+    test('ignores bookings outside the requested window', () => {
+      const result = checkCapacity({
+        tables,
+        bookings: [
+          { startMinutes: 600, durationMinutes: 120, guestCount: 4 },
+          { startMinutes: 1200, durationMinutes: 120, guestCount: 2 },
+        ],
+        startMinutes: 900,
+        durationMinutes: 120,
+        guestCount: 4,
+      });
+      expect(result).toEqual({ fits: true, totalSeats: 6, overlappingCount: 0 });
+    });
+
+    test('rejects when overlapping bookings hold the only fitting table', () => {
+      const result = checkCapacity({
+        tables,
+        bookings: [{ startMinutes: 840, durationMinutes: 120, guestCount: 3 }],
+        startMinutes: 900,
+        durationMinutes: 120,
+        guestCount: 4,
+      });
+      expect(result.fits).toBe(false);
+      expect(result.overlappingCount).toBe(1);
+    });
+  });
+});
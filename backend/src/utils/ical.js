@@ -0,0 +1,174 @@
+/**
+ * iCalendar (RFC 5545) builder for bookings.
+ *
+ * Booking date/time are Minsk wall-clock values, so events are emitted with
+ * TZID=Europe/Minsk and a fixed VTIMEZONE (UTC+3, no DST since 2011) —
+ * calendar apps then show the right time wherever the phone is.
+ *
+ * Updates: each event keeps a stable UID (booking id) and a SEQUENCE that
+ * grows with every row update, so a re-downloaded .ics or a feed refresh
+ * replaces the earlier copy; cancelled/declined bookings are emitted with
+ * STATUS:CANCELLED so clients strike them instead of leaving stale entries.
+ *
+ * Pure functions, no I/O — unit-testable in isolation.
+ */
+
+const PRODID = '-//Nirivio//Bookings//RU';
+const TZID = 'Europe/Minsk';
+const UID_DOMAIN = 'bookings.nirivio.by';
+
+const VTIMEZONE = [
+  'BEGIN:VTIMEZONE',
+  `TZID:${TZID}`,
+  'BEGIN:STANDARD',
+  'DTSTART:19700101T000000',
+  'TZOFFSETFROM:+0300',
+  'TZOFFSETTO:+0300',
+  'TZNAME:+03',
+  'END:STANDARD',
+  'END:VTIMEZONE',
+];
+
+// Booking status → VEVENT STATUS
+const STATUS_MAP = {
+  pending: 'TENTATIVE',
+  confirmed: 'CONFIRMED',
+  awaiting_outcome: 'CONFIRMED',
+  completed: 'CONFIRMED',
+  no_show: 'CONFIRMED',
+  declined: 'CANCELLED',
+  cancelled: 'CANCELLED',
+  expired: 'CANCELLED',
+};
+
+/**
+ * Escape a TEXT value (RFC 5545 §3.3.11).
+ */
+export const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Fold a content line to 75 octets (RFC 5545 §3.1), never splitting a
+ * multi-byte UTF-8 character.
+ */
+export const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char, 'utf8');
+    // continuation lines carry a leading space, so they hold 74 octets of content
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + charBytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+/**
+ * Date → "YYYYMMDDTHHMMSSZ".
+ */
+export const formatUtc = (date) => new Date(date).toISOString()
+  .replace(/[-:]/g, '')
+  .replace(/\.\d{3}/, '');
+
+/**
+ * Minsk wall-clock date + "HH:MM[:SS]" shifted by minutes → "YYYYMMDDTHHMMSS".
+ * The date is "YYYY-MM-DD" or the local-midnight Date pg returns for DATE
+ * columns. Arithmetic runs in UTC so the server time zone never leaks in.
+ */
+export const formatLocal = (date, time, addMinutes = 0) => {
+  const [y, mo, d] = date instanceof Date
+    ? [date.getFullYear(), date.getMonth() + 1, date.getDate()]
+    : String(date).slice(0, 10).split('-').map((p) => parseInt(p, 10));
+  const [h, mi] = String(time).split(':').map((p) => parseInt(p, 10));
+  const dt = new Date(Date.UTC(y, mo - 1, d, h, mi + addMinutes));
+  return dt.toISOString().slice(0, 19).replace(/[-:]/g, '');
+};
+
+/**
+ * Build one VEVENT for a booking.
+ *
+ * @param {object} params
+ * @param {string} params.id - booking id (UID)
+ * @param {string|Date} params.date - booking_date (Minsk)
+ * @param {string} params.time - "HH:MM" or "HH:MM:SS" (Minsk)
+ * @param {number} params.durationMinutes
+ * @param {string} params.status - booking status
+ * @param {string} params.summary
+ * @param {string} [params.description]
+ * @param {string} [params.location]
+ * @param {Date|string} params.createdAt
+ * @param {Date|string} params.updatedAt
+ * @returns {string[]} unfolded content lines
+ */
+export const buildEvent = ({
+  id,
+  date,
+  time,
+  durationMinutes,
+  status,
+  summary,
+  description,
+  location,
+  createdAt,
+  updatedAt,
+}) => {
+  const sequence = Math.max(
+    0,
+    Math.floor((new Date(updatedAt) - new Date(createdAt)) / 1000),
+  );
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${id}@${UID_DOMAIN}`,
+    `DTSTAMP:${formatUtc(updatedAt)}`,
+    `LAST-MODIFIED:${formatUtc(updatedAt)}`,
+    `SEQUENCE:${sequence}`,
+    `DTSTART;TZID=${TZID}:${formatLocal(date, time)}`,
+    `DTEND;TZID=${TZID}:${formatLocal(date, time, durationMinutes)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    `STATUS:${STATUS_MAP[status] || 'CONFIRMED'}`,
+  ];
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (location) lines.push(`LOCATION:${escapeText(location)}`);
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * Wrap events into a VCALENDAR document.
+ *
+ * @param {object} params
+ * @param {string} [params.name] - calendar display name (feeds)
+ * @param {Array<string[]>} params.events - buildEvent() results
+ * @returns {string} CRLF-terminated .ics body
+ */
+export const buildCalendar = ({ name, events }) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+  ];
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+    lines.push(`X-WR-TIMEZONE:${TZID}`);
+  }
+  lines.push(...VTIMEZONE);
+  for (const event of events) {
+    lines.push(...event);
+  }
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
@@ -0,0 +1,164 @@
+/**
+ * Location Resolver — match smart-search location phrases against the bundled
+ * gazetteer (constants/gazetteer.js) and the city list.
+ *
+ * Russian location phrases come inflected ("на Немиге", "у Национальной
+ * библиотеки", "в Гродно"), so both the phrase and every alias go through the
+ * same light normalization: lowercase, ё → е, split on non-letters, drop
+ * prepositions / "метро", strip one inflectional ending. An alias matches when
+ * its tokens appear as a contiguous run in the phrase; longer aliases win.
+ *
+ * Pure functions, no I/O — unit-testable in isolation.
+ */
+
+import { GAZETTEER } from '../constants/gazetteer.js';
+import { CITY_SLUG_MAP, citySlugToCyrillic } from '../constants/urlSlugs.js';
+
+const KM_PER_DEGREE_LAT = 111.32;
+
+// Words that carry no location meaning ("у метро", "возле", "рядом с")
+const STOP_WORDS = new Set([
+  'на', 'в', 'во', 'у', 'к', 'с', 'со', 'около', 'возле', 'рядом', 'недалеко',
+  'от', 'близ', 'напротив', 'метро', 'м', 'ст', 'станция', 'г', 'город',
+]);
+
+// Longest first, so "ому" is stripped before "у"
+const ENDINGS = [
+  'ами', 'ями', 'ого', 'его', 'ому', 'ему', 'ыми', 'ими',
+  'ой', 'ей', 'ий', 'ый', 'ая', 'яя', 'ое', 'ее', 'ые', 'ие', 'ую', 'юю',
+  'ом', 'ем', 'ах', 'ях', 'ам', 'ям', 'ов', 'ев',
+  'ы', 'и', 'а', 'я', 'е', 'о', 'у', 'ю', 'ь', 'й',
+];
+
+const MIN_STEM_LENGTH = 3;
+
+/**
+ * Strip one inflectional ending, keeping at least MIN_STEM_LENGTH letters.
+ * @param {string} word - lowercase, ё already replaced
+ * @returns {string}
+ */
+const stem = (word) => {
+  for (const ending of ENDINGS) {
+    if (word.endsWith(ending) && word.length - ending.length >= MIN_STEM_LENGTH) {
+      return word.slice(0, -ending.length);
+    }
+  }
+  return word;
+};
+
+/**
+ * Normalize a phrase into comparable stems.
+ *
+ * @param {string} phrase
+ * @returns {string[]} e.g. "у метро Каменная Горка" → ['каменн', 'горк']
+ */
+export const toLocationTokens = (phrase) => String(phrase || '')
+  .toLowerCase()
+  .replace(/ё/g, 'е')
+  .split(/[^a-zа-я0-9]+/)
+  .filter((word) => word && !STOP_WORDS.has(word))
+  .map(stem);
+
+/**
+ * @returns {boolean} true when `needle` occurs as a contiguous run in `haystack`
+ */
+const containsRun = (haystack, needle) => {
+  if (needle.length === 0 || needle.length > haystack.length) return false;
+  for (let i = 0; i + needle.length <= haystack.length; i++) {
+    if (needle.every((token, j) => haystack[i + j] === token)) return true;
+  }
+  return false;
+};
+
+/**
+ * Centroid + radius for an entry; bounds become their enclosing circle.
+ */
+const toCircle = (entry) => {
+  if (!entry.bounds) {
+    return { latitude: entry.lat, longitude: entry.lon, radiusKm: entry.radiusKm };
+  }
+  const { latMin, latMax, lonMin, lonMax } = entry.bounds;
+  const latitude = Math.round(((latMin + latMax) / 2) * 1e4) / 1e4;
+  const longitude = Math.round(((lonMin + lonMax) / 2) * 1e4) / 1e4;
+  const halfHeightKm = ((latMax - latMin) / 2) * KM_PER_DEGREE_LAT;
+  const halfWidthKm = ((lonMax - lonMin) / 2) * KM_PER_DEGREE_LAT * Math.cos(latitude * Math.PI / 180);
+  const radiusKm = Math.round(Math.hypot(halfHeightKm, halfWidthKm) * 10) / 10;
+  return { latitude, longitude, radiusKm };
+};
+
+// Pre-tokenized aliases, built once at module load
+const INDEX = GAZETTEER.map((entry) => ({
+  entry,
+  aliases: [entry.name, ...entry.aliases].map(toLocationTokens).filter((t) => t.length > 0),
+}));
+
+const CITY_INDEX = Object.keys(CITY_SLUG_MAP).map((name) => ({
+  tokens: toLocationTokens(name),
+  city: citySlugToCyrillic(CITY_SLUG_MAP[name]),
+}));
+
+/**
+ * Find a city mentioned in a phrase ("в Гродно", "Могилёв").
+ *
+ * @param {string} phrase
+ * @returns {string|null} Canonical Cyrillic city (Могилев without ё)
+ */
+export const resolveCity = (phrase) => {
+  const tokens = toLocationTokens(phrase);
+  const hit = CITY_INDEX.find(({ tokens: cityTokens }) => containsRun(tokens, cityTokens));
+  return hit ? hit.city : null;
+};
+
+/**
+ * Best-scoring entries for the phrase tokens, optionally limited to one city.
+ * @returns {object[]} ties included, in list order
+ */
+const findBest = (tokens, city) => {
+  let best = [];
+  let bestScore = 0;
+  for (const { entry, aliases } of INDEX) {
+    if (city && entry.city !== city) continue;
+    const score = Math.max(0, ...aliases.filter((alias) => containsRun(tokens, alias)).map((a) => a.length));
+    if (score === 0) continue;
+    if (score > bestScore) {
+      best = [entry];
+      bestScore = score;
+    } else if (score === bestScore) {
+      best.push(entry);
+    }
+  }
+  return best;
+};
+
+/**
+ * Resolve a location phrase to a gazetteer place.
+ *
+ * City scope: a city named in the phrase is binding; `options.city` (the
+ * user's current city) is only preferred — "у Брестской крепости" from Minsk
+ * still finds Brest. Without a scope, a phrase that matches places in several
+ * cities ("Советская") is ambiguous and resolves to null rather than guessing.
+ *
+ * @param {string} phrase - e.g. "на Немиге", "у метро Уручье"
+ * @param {{ city?: string }} [options] - context city (canonical Cyrillic)
+ * @returns {{ name: string, type: string, city: string, latitude: number,
+ *   longitude: number, radiusKm: number }|null}
+ */
+export const resolveLocation = (phrase, options = {}) => {
+  const tokens = toLocationTokens(phrase);
+  if (tokens.length === 0) return null;
+
+  const phraseCity = resolveCity(phrase);
+  const contextCity = resolveCity(options.city);
+
+  let best = findBest(tokens, phraseCity || contextCity);
+  if (best.length === 0 && !phraseCity && contextCity) {
+    best = findBest(tokens, null);
+  }
+
+  if (best.length === 0) return null;
+  if (new Set(best.map((entry) => entry.city)).size > 1) return null;
+
+  // Same city, same score: list order decides (metro before street of the same name)
+  const [entry] = best;
+  return { name: entry.name, type: entry.type, city: entry.city, ...toCircle(entry) };
+};
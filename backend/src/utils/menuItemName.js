@@ -0,0 +1,25 @@
+/**
+ * Menu item name normalization — the identity of a dish across menu versions.
+ *
+ * Used by the OCR sanity checker (price delta between runs), the menu file
+ * import (matching rows to live items) and the menu price history. The SQL
+ * twin, for queries over stored item names, is normalizedNameSql.
+ */
+
+/**
+ * Lowercase + trim + collapse whitespace.
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+export const normalizeItemName = (name) => name.toLowerCase().trim().replace(/\s+/g, ' ');
+
+/**
+ * SQL expression equivalent to normalizeItemName for a column reference.
+ * Whitespace is collapsed before btrim, which only strips spaces — so leading
+ * or trailing tabs and newlines go as well, as with String#trim.
+ *
+ * @param {string} column - e.g. 'mi.item_name'
+ * @returns {string}
+ */
+export const normalizedNameSql = (column) => `lower(btrim(regexp_replace(${column}, '\\s+', ' ', 'g')))`;
@@ -0,0 +1,147 @@
+/**
+ * Opening Hours — resolve an "open at" instant for the search filter
+ * (searchService open_now / open_at).
+ *
+ * working_hours (keyed by weekday) and special_hours (keyed by ISO date) hold
+ * Europe/Minsk wall-clock times, so the instant is converted to Minsk date,
+ * weekday and minute of day. The previous day's keys come along too: an
+ * overnight span that started yesterday ("18:00-03:00") is still open at
+ * 01:30 today.
+ *
+ * Pure functions, no I/O — unit-testable in isolation.
+ */
+
+const TIME_ZONE = 'Europe/Minsk';
+
+// Indexed by getUTCDay() (0=Sun), same keys as working_hours
+const DAY_KEYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// "YYYY-MM-DDTHH:MM[:SS[.sss]]" without an offset — read as Minsk wall clock
+const NAIVE_DATETIME_RE = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::\d{2}(?:\.\d+)?)?$/;
+
+const minskFormatter = new Intl.DateTimeFormat('en-CA', {
+  timeZone: TIME_ZONE,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  hourCycle: 'h23',
+});
+
+const isoDate = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Build the moment from wall-clock parts; null when the date does not exist
+ * (e.g. 2026-02-30) or the time is out of range.
+ */
+const buildMoment = (year, month, day, hour, minute) => {
+  if (hour > 23 || minute > 59) return null;
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+
+  const previous = new Date(Date.UTC(year, month - 1, day - 1));
+  return {
+    date: isoDate(date),
+    dayKey: DAY_KEYS[date.getUTCDay()],
+    minutes: hour * 60 + minute,
+    previousDate: isoDate(previous),
+    previousDayKey: DAY_KEYS[previous.getUTCDay()],
+  };
+};
+
+/**
+ * Minsk wall-clock parts of an instant.
+ *
+ * @param {Date} instant
+ * @returns {{ year: number, month: number, day: number, hour: number, minute: number }}
+ */
+export const toMinskWallClock = (instant) => {
+  const parts = {};
+  for (const { type, value } of minskFormatter.formatToParts(instant)) {
+    parts[type] = parseInt(value, 10);
+  }
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+  };
+};
+
+/**
+ * Resolve an open_at value into the Minsk moment the search filter checks.
+ *
+ * Accepts a Date, an ISO datetime with offset or "Z" (converted to Minsk), or
+ * a naive ISO datetime "2026-10-20T19:30" (already Minsk wall clock — what a
+ * user picking "tonight at 19:30" means).
+ *
+ * @param {Date|string} value
+ * @returns {{ date: string, dayKey: string, minutes: number,
+ *   previousDate: string, previousDayKey: string }|null} null when unparseable
+ */
+export const resolveOpenAtMoment = (value) => {
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) return null;
+    const { year, month, day, hour, minute } = toMinskWallClock(value);
+    return buildMoment(year, month, day, hour, minute);
+  }
+
+  if (typeof value !== 'string' || value.trim() === '') return null;
+  const trimmed = value.trim();
+
+  const naive = NAIVE_DATETIME_RE.exec(trimmed);
+  if (naive) {
+    const [, year, month, day, hour, minute] = naive.map((part) => parseInt(part, 10));
+    return buildMoment(year, month, day, hour, minute);
+  }
+
+  // Only full ISO datetimes with an offset; Date.parse accepts far more
+  if (!/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/.test(trimmed)) {
+    return null;
+  }
+  return resolveOpenAtMoment(new Date(trimmed));
+};
+
+/**
+ * Resolve the open_now / open_at query params into a moment.
+ * open_at wins when both are sent; open_now accepts "true" / "1".
+ *
+ * @param {{ openNow?: string, openAt?: string }} query - raw query values
+ * @param {Date} [now] - injectable clock for open_now
+ * @returns {{ moment: Object|null, invalid: boolean }} invalid when open_at
+ *   was sent but could not be parsed (callers decide 422 vs soft-ignore)
+ */
+export const resolveOpenAtQuery = ({ openNow, openAt } = {}, now = new Date()) => {
+  if (openAt !== undefined && openAt !== '') {
+    const moment = resolveOpenAtMoment(openAt);
+    return { moment, invalid: moment === null };
+  }
+  if (openNow === 'true' || openNow === '1') {
+    return { moment: resolveOpenAtMoment(now), invalid: false };
+  }
+  return { moment: null, invalid: false };
+};
+
+/**
+ * Next occurrence of a Minsk wall-clock time — today if it has not passed yet,
+ * otherwise tomorrow. Used by smart search to turn a meal ("завтрак") into an
+ * open_at moment.
+ *
+ * @param {string} time - "HH:MM"
+ * @param {Date} [now]
+ * @returns {Object|null} Moment as from resolveOpenAtMoment, null for bad time
+ */
+export const resolveNextOpenAt = (time, now = new Date()) => {
+  const current = resolveOpenAtMoment(now);
+  const target = /^(\d{2}):(\d{2})$/.exec(time || '');
+  if (!current || !target) return null;
+
+  const targetMinutes = parseInt(target[1], 10) * 60 + parseInt(target[2], 10);
+  const [year, month, day] = current.date.split('-').map((part) => parseInt(part, 10));
+  const dayShift = targetMinutes < current.minutes ? 1 : 0;
+  const date = new Date(Date.UTC(year, month - 1, day + dayShift));
+  return resolveOpenAtMoment(`${isoDate(date)}T${time}`);
+};
@@ -0,0 +1,105 @@
+/**
+ * Table Allocation — pure seat-capacity math for bookings.
+ *
+ * Answers one question: given an establishment's table inventory and the
+ * parties that already hold a time window, can one more party be seated?
+ *
+ * Deliberately conservative (FP>FN — a partner would rather see "slot full"
+ * than a second party at the same table):
+ *   - Every booking whose window overlaps the requested window is treated as
+ *     concurrent with every other, even if two of them never overlap each other.
+ *   - Allocation is greedy (largest party first): smallest single table that
+ *     fits, otherwise free combinable tables, largest first, until the party fits.
+ *
+ * Pure functions, no I/O — unit-testable in isolation.
+ */
+
+/**
+ * Convert "HH:MM" or "HH:MM:SS" (pg TIME) to minutes since midnight.
+ *
+ * @param {string} time
+ * @returns {number|null} null when unparseable
+ */
+export const timeToMinutes = (time) => {
+  if (typeof time !== 'string') return null;
+  const [h, m] = time.split(':').map((part) => parseInt(part, 10));
+  if (!Number.isInteger(h) || !Number.isInteger(m)) return null;
+  return h * 60 + m;
+};
+
+/**
+ * Half-open interval overlap: [startA, startA+durA) vs [startB, startB+durB).
+ */
+export const windowsOverlap = (startA, durA, startB, durB) =>
+  startA < startB + durB && startB < startA + durA;
+
+/**
+ * Seat a list of parties at the given tables.
+ *
+ * @param {Array<{ id: string, seats: number, is_combinable: boolean }>} tables - active tables
+ * @param {number[]} partySizes - guest counts
+ * @returns {{ fits: boolean, unseated: number[] }}
+ */
+export const allocateParties = (tables, partySizes) => {
+  const free = [...tables].sort((a, b) => a.seats - b.seats);
+  const parties = [...partySizes].sort((a, b) => b - a);
+  const unseated = [];
+
+  for (const size of parties) {
+    const singleIndex = free.findIndex((t) => t.seats >= size);
+    if (singleIndex !== -1) {
+      free.splice(singleIndex, 1);
+      continue;
+    }
+
+    const combinable = free
+      .filter((t) => t.is_combinable)
+      .sort((a, b) => b.seats - a.seats);
+    const picked = [];
+    let seats = 0;
+    for (const table of combinable) {
+      if (seats >= size) break;
+      picked.push(table);
+      seats += table.seats;
+    }
+
+    if (seats >= size) {
+      for (const table of picked) {
+        free.splice(free.indexOf(table), 1);
+      }
+    } else {
+      unseated.push(size);
+    }
+  }
+
+  return { fits: unseated.length === 0, unseated };
+};
+
+/**
+ * Check whether a new party fits alongside bookings that hold overlapping windows.
+ *
+ * @param {object} params
+ * @param {Array} params.tables - active table rows
+ * @param {Array<{ startMinutes: number, durationMinutes: number, guestCount: number }>} params.bookings
+ *   existing bookings; startMinutes is relative to midnight of the requested date
+ *   (negative for the previous day, >= 1440 for the next day)
+ * @param {number} params.startMinutes - requested start
+ * @param {number} params.durationMinutes - requested seating duration
+ * @param {number} params.guestCount - requested party size
+ * @returns {{ fits: boolean, totalSeats: number, overlappingCount: number }}
+ */
+export const checkCapacity = ({ tables, bookings, startMinutes, durationMinutes, guestCount }) => {
+  const overlapping = bookings.filter((b) =>
+    windowsOverlap(startMinutes, durationMinutes, b.startMinutes, b.durationMinutes));
+
+  const { fits } = allocateParties(
+    tables,
+    [...overlapping.map((b) => b.guestCount), guestCount],
+  );
+
+  return {
+    fits,
+    totalSeats: tables.reduce((sum, t) => sum + t.seats, 0),
+    overlappingCount: overlapping.length,
+  };
+};
@@ -14,6 +14,11 @@ class Booking {
   final DateTime expiresAt;
   final DateTime? confirmedAt;
   final DateTime? cancelledAt;
+  final DateTime? reconfirmRequestedAt;
+  final DateTime? reconfirmedAt;
+
+  /// 'app', 'partner' (phone reservation) or 'walk_in'
+  final String source;
   final DateTime createdAt;
   final DateTime updatedAt;
 
@@ -38,6 +43,9 @@ class Booking {
     required this.expiresAt,
     this.confirmedAt,
     this.cancelledAt,
+    this.reconfirmRequestedAt,
+    this.reconfirmedAt,
+    this.source = 'app',
     required this.createdAt,
     required this.updatedAt,
     this.userName,
@@ -54,8 +62,19 @@ class Booking {
   bool get isExpired => status == 'expired';
   bool get isNoShow => status == 'no_show';
   bool get isCompleted => status == 'completed';
+
+  /// Seating window passed, partner has not marked completed / no-show yet
+  bool get isAwaitingOutcome => status == 'awaiting_outcome';
   bool get isActive => isPending || isConfirmed;
 
+  /// Entered by the partner (phone reservation or walk-in) — no app guest
+  bool get isPartnerEntered => source != 'app';
+  bool get isWalkIn => source == 'walk_in';
+
+  /// Venue asked the guest to reconfirm and the guest has not answered yet
+  bool get needsReconfirm =>
+      isConfirmed && reconfirmRequestedAt != null && reconfirmedAt == null;
+
   /// Time remaining until expiry (for pending bookings)
   Duration get timeUntilExpiry => expiresAt.difference(DateTime.now());
   bool get isExpiringSoon =>
@@ -85,6 +104,13 @@ class Booking {
       cancelledAt: json['cancelled_at'] != null
           ? DateTime.parse(json['cancelled_at'] as String)
           : null,
+      reconfirmRequestedAt: json['reconfirm_requested_at'] != null
+          ? DateTime.parse(json['reconfirm_requested_at'] as String)
+          : null,
+      reconfirmedAt: json['reconfirmed_at'] != null
+          ? DateTime.parse(json['reconfirmed_at'] as String)
+          : null,
+      source: json['source'] as String? ?? 'app',
       createdAt: DateTime.parse(
         json['created_at'] as String? ?? DateTime.now().toIso8601String(),
       ),
@@ -153,6 +179,8 @@ class Booking {
         return 'Неявка';
       case 'completed':
         return 'Завершена';
+      case 'awaiting_outcome':
+        return 'Ждёт отметки';
       default:
         return status;
     }
@@ -8,6 +8,8 @@ class BookingSettings {
   final int confirmationTimeoutHours;
   final int maxDaysAhead;
   final int minHoursBefore;
+  final int reminderHoursBefore; // 0 = reminders off
+  final bool reconfirmEnabled;
   final DateTime createdAt;
   final DateTime updatedAt;
 
@@ -19,6 +21,8 @@ class BookingSettings {
     this.confirmationTimeoutHours = 4,
     this.maxDaysAhead = 7,
     this.minHoursBefore = 2,
+    this.reminderHoursBefore = 3,
+    this.reconfirmEnabled = false,
     required this.createdAt,
     required this.updatedAt,
   });
@@ -35,6 +39,8 @@ class BookingSettings {
           json['confirmation_timeout_hours'] as int? ?? 4,
       maxDaysAhead: json['max_days_ahead'] as int? ?? 7,
       minHoursBefore: json['min_hours_before'] as int? ?? 2,
+      reminderHoursBefore: json['reminder_hours_before'] as int? ?? 3,
+      reconfirmEnabled: json['reconfirm_enabled'] as bool? ?? false,
       createdAt: DateTime.parse(
         json['created_at'] as String? ?? DateTime.now().toIso8601String(),
       ),
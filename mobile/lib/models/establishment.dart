@@ -50,6 +50,7 @@ String _toRussian(String value, Map<String, String> mapping) {
 class Establishment {
   final String id;  // UUID from backend (String for new API, kept for compatibility)
   final String name;
+  final String? slug; // Public URL slug (null in mock data)
   final String? description;
   final String category;  // Primary category (first from categories array)
   final List<String>? categories;  // All categories
@@ -79,6 +80,7 @@ class Establishment {
   Establishment({
     required this.id,
     required this.name,
+    this.slug,
     this.description,
     required this.category,
     this.categories,
@@ -125,6 +127,7 @@ class Establishment {
     return Establishment(
       id: json['id'].toString(),  // UUID as String
       name: json['name'] as String,
+      slug: json['slug'] as String?,
       description: json['description'] as String?,
       category: categoriesList.isNotEmpty ? categoriesList.first : 'Ресторан',
       categories: categoriesList,
@@ -181,6 +184,7 @@ class Establishment {
     return {
       'id': id,
       'name': name,
+      'slug': slug,
       'description': description,
       'category': category,
       'cuisine': cuisine,
@@ -277,6 +281,7 @@ class Establishment {
   Establishment copyWith({
     String? id,
     String? name,
+    String? slug,
     String? description,
     String? category,
     List<String>? categories,
@@ -302,6 +307,7 @@ class Establishment {
     return Establishment(
       id: id ?? this.id,
       name: name ?? this.name,
+      slug: slug ?? this.slug,
       description: description ?? this.description,
       category: category ?? this.category,
       categories: categories ?? this.categories,
@@ -386,6 +392,58 @@ class EstablishmentMedia {
   }
 }
 
+/// "Похожие заведения" entry — listing + backend `similarity` breakdown
+/// (GET /api/v1/public/establishments/by-slug/:slug/similar)
+class SimilarEstablishment {
+  final Establishment establishment;
+  final List<String> sharedCategories;
+  final List<String> sharedCuisines;
+  final int sharedMenuItems;
+
+  SimilarEstablishment({
+    required this.establishment,
+    this.sharedCategories = const [],
+    this.sharedCuisines = const [],
+    this.sharedMenuItems = 0,
+  });
+
+  factory SimilarEstablishment.fromJson(Map<String, dynamic> json) {
+    final similarity = json['similarity'] as Map<String, dynamic>? ?? const {};
+    List<String> names(String key, Map<String, String> mapping) =>
+        (similarity[key] as List? ?? const [])
+            .map((e) => _toRussian(e.toString(), mapping))
+            .toList();
+
+    return SimilarEstablishment(
+      establishment: Establishment.fromJson(json),
+      sharedCategories: names('shared_categories', _categoryToRussian),
+      sharedCuisines: names('shared_cuisines', _cuisineToRussian),
+      sharedMenuItems: similarity['shared_menu_items'] as int? ?? 0,
+    );
+  }
+
+  /// «Тоже грузинская кухня · 800 м» — strongest shared trait + distance,
+  /// same wording as the web rail.
+  String get reason {
+    final parts = <String>[];
+    if (sharedCuisines.isNotEmpty) {
+      parts.add('Тоже ${sharedCuisines.first.toLowerCase()} кухня');
+    } else if (sharedCategories.isNotEmpty) {
+      parts.add('Тоже ${sharedCategories.first.toLowerCase()}');
+    }
+    if (sharedMenuItems > 0) {
+      parts.add('похожее меню');
+    }
+    final km = establishment.distance;
+    if (km != null) {
+      parts.add(km < 1
+          ? '${(km * 10).round().clamp(1, 9) * 100} м'
+          : '${km.toStringAsFixed(1).replaceAll('.', ',')} км');
+    }
+    return parts.join(' · ');
+  }
+}
+
 /// Paginated response for establishment lists
 class PaginatedEstablishments {
   final List<Establishment> data;
@@ -0,0 +1,103 @@
+import 'package:restaurant_guide_mobile/models/partner_menu_item.dart';
+
+/// How a draft item differs from the live menu of the same media.
+enum DraftChange { added, priceChanged, unchanged }
+
+/// One item of an OCR draft, annotated with its diff against live items.
+/// Rows of menu_draft_items (backend partnerMenuDraftService.buildMenuDiff).
+class PartnerMenuDraftItem {
+  final String id;
+  final String itemName;
+  final double? priceByn;
+  final String? categoryRaw;
+  final Map<String, dynamic>? sanityFlag;
+  final DraftChange change;
+
+  /// Live price before this draft; set for priceChanged/unchanged items.
+  final double? previousPriceByn;
+
+  PartnerMenuDraftItem({
+    required this.id,
+    required this.itemName,
+    required this.priceByn,
+    required this.categoryRaw,
+    required this.sanityFlag,
+    required this.change,
+    required this.previousPriceByn,
+  });
+
+  bool get hasSanityFlag => sanityFlag != null && sanityFlag!.isNotEmpty;
+
+  factory PartnerMenuDraftItem.fromJson(Map<String, dynamic> json) {
+    return PartnerMenuDraftItem(
+      id: json['id'] as String,
+      itemName: json['item_name'] as String,
+      priceByn: _parseDouble(json['price_byn']),
+      categoryRaw: json['category_raw'] as String?,
+      sanityFlag: json['sanity_flag'] is Map<String, dynamic>
+          ? json['sanity_flag'] as Map<String, dynamic>
+          : null,
+      change: _parseChange(json['change']),
+      previousPriceByn: _parseDouble(json['previous_price_byn']),
+    );
+  }
+
+  static DraftChange _parseChange(dynamic value) {
+    switch (value) {
+      case 'price_changed':
+        return DraftChange.priceChanged;
+      case 'unchanged':
+        return DraftChange.unchanged;
+      default:
+        return DraftChange.added;
+    }
+  }
+}
+
+/// OCR result awaiting partner review — one per menu media. Nothing in it is
+/// public until the partner publishes it.
+///   GET /api/v1/partner/establishments/:id/menu-drafts
+class PartnerMenuDraft {
+  final String id;
+  final String mediaId;
+  final DateTime? createdAt;
+  final List<PartnerMenuDraftItem> items;
+
+  /// Live items of the media the new OCR run did not find; removed on
+  /// publish unless kept.
+  final List<PartnerMenuItem> removed;
+
+  PartnerMenuDraft({
+    required this.id,
+    required this.mediaId,
+    required this.createdAt,
+    required this.items,
+    required this.removed,
+  });
+
+  int get addedCount =>
+      items.where((i) => i.change == DraftChange.added).length;
+  int get priceChangedCount =>
+      items.where((i) => i.change == DraftChange.priceChanged).length;
+  int get flaggedCount => items.where((i) => i.hasSanityFlag).length;
+
+  factory PartnerMenuDraft.fromJson(Map<String, dynamic> json) {
+    return PartnerMenuDraft(
+      id: json['id'] as String,
+      mediaId: json['media_id'] as String,
+      createdAt: DateTime.tryParse(json['created_at']?.toString() ?? ''),
+      items: (json['items'] as List? ?? [])
+          .map((e) => PartnerMenuDraftItem.fromJson(e as Map<String, dynamic>))
+          .toList(),
+      removed: (json['removed'] as List? ?? [])
+          .map((e) => PartnerMenuItem.fromJson(e as Map<String, dynamic>))
+          .toList(),
+    );
+  }
+}
+
+double? _parseDouble(dynamic v) {
+  if (v == null) return null;
+  if (v is num) return v.toDouble();
+  return double.tryParse(v.toString());
+}
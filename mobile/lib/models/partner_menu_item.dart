@@ -2,10 +2,25 @@
 /// Table: menu_items (Component 8, Segment A).
 ///
 /// Phase 1: partner sees only non-hidden items (filter applied in partnerMenuItemService).
+/// Manually added items (source 'manual') have no media and may sit in a
+/// partner-defined section.
 class PartnerMenuItem {
   final String id;
   final String establishmentId;
-  final String mediaId;
+  final String? mediaId;
+  final String source;
+  final String? sectionId;
+  final String? sectionName;
+  final String? description;
+  final double? portionSize;
+
+  /// 'g' or 'ml'; null together with [portionSize].
+  final String? portionUnit;
+  final List<String> dietaryTags;
+  final String? photoMediaId;
+
+  /// false = on the stop-list (shown greyed out on the public menu).
+  final bool isAvailable;
   final String itemName;
   final double? priceByn;
   final String? categoryRaw;
@@ -13,26 +28,52 @@ class PartnerMenuItem {
   final Map<String, dynamic>? sanityFlag;
   final int position;
 
+  /// Latest recorded price change of this dish (menu_price_history), if any.
+  final PartnerMenuPriceChange? priceChange;
+
   PartnerMenuItem({
     required this.id,
     required this.establishmentId,
     required this.mediaId,
+    this.source = 'ocr',
+    this.sectionId,
+    this.sectionName,
+    this.description,
+    this.portionSize,
+    this.portionUnit,
+    this.dietaryTags = const [],
+    this.photoMediaId,
+    this.isAvailable = true,
     required this.itemName,
     required this.priceByn,
     required this.categoryRaw,
     required this.confidence,
     required this.sanityFlag,
     required this.position,
+    this.priceChange,
   });
 
   bool get hasSanityFlag =>
       sanityFlag != null && sanityFlag!.isNotEmpty;
 
+  bool get isManual => source == 'manual';
+
   factory PartnerMenuItem.fromJson(Map<String, dynamic> json) {
     return PartnerMenuItem(
       id: json['id'] as String,
       establishmentId: json['establishment_id'] as String,
-      mediaId: json['media_id'] as String,
+      mediaId: json['media_id'] as String?,
+      source: json['source'] as String? ?? 'ocr',
+      sectionId: json['section_id'] as String?,
+      sectionName: json['section_name'] as String?,
+      description: json['description'] as String?,
+      portionSize: _parseDouble(json['portion_size']),
+      portionUnit: json['portion_unit'] as String?,
+      dietaryTags: (json['dietary_tags'] as List? ?? [])
+          .map((e) => e.toString())
+          .toList(),
+      photoMediaId: json['photo_media_id'] as String?,
+      isAvailable: json['is_available'] as bool? ?? true,
       itemName: json['item_name'] as String,
       priceByn: _parseDouble(json['price_byn']),
       categoryRaw: json['category_raw'] as String?,
@@ -41,6 +82,10 @@ class PartnerMenuItem {
           ? json['sanity_flag'] as Map<String, dynamic>
           : null,
       position: (json['position'] as num?)?.toInt() ?? 0,
+      priceChange: json['price_change'] is Map<String, dynamic>
+          ? PartnerMenuPriceChange.fromJson(
+              json['price_change'] as Map<String, dynamic>)
+          : null,
     );
   }
 
@@ -49,17 +94,28 @@ class PartnerMenuItem {
     double? priceByn,
     String? categoryRaw,
     Map<String, dynamic>? sanityFlag,
+    PartnerMenuPriceChange? priceChange,
   }) {
     return PartnerMenuItem(
       id: id,
       establishmentId: establishmentId,
       mediaId: mediaId,
+      source: source,
+      sectionId: sectionId,
+      sectionName: sectionName,
+      description: description,
+      portionSize: portionSize,
+      portionUnit: portionUnit,
+      dietaryTags: dietaryTags,
+      photoMediaId: photoMediaId,
+      isAvailable: isAvailable,
       itemName: itemName ?? this.itemName,
       priceByn: priceByn ?? this.priceByn,
       categoryRaw: categoryRaw ?? this.categoryRaw,
       confidence: confidence,
       sanityFlag: sanityFlag,
       position: position,
+      priceChange: priceChange ?? this.priceChange,
     );
   }
 
@@ -69,3 +125,28 @@ class PartnerMenuItem {
     return double.tryParse(v.toString());
   }
 }
+
+/// A dish price change: "12.00 → 14.00 BYN" on [changedAt].
+class PartnerMenuPriceChange {
+  final double previousPriceByn;
+  final double priceByn;
+  final DateTime changedAt;
+
+  PartnerMenuPriceChange({
+    required this.previousPriceByn,
+    required this.priceByn,
+    required this.changedAt,
+  });
+
+  bool get isIncrease => priceByn > previousPriceByn;
+
+  factory PartnerMenuPriceChange.fromJson(Map<String, dynamic> json) {
+    return PartnerMenuPriceChange(
+      previousPriceByn:
+          PartnerMenuItem._parseDouble(json['previous_price_byn']) ?? 0,
+      priceByn: PartnerMenuItem._parseDouble(json['price_byn']) ?? 0,
+      changedAt: DateTime.tryParse(json['changed_at']?.toString() ?? '') ??
+          DateTime.now(),
+    );
+  }
+}
@@ -0,0 +1,82 @@
+/// Waitlist entry for a fully booked or declined slot.
+/// Maps to backend booking_waitlist table.
+class WaitlistEntry {
+  final String id;
+  final String establishmentId;
+  final String bookingDate;
+  final String timeFrom;
+  final String timeTo;
+  final int guestCount;
+  final String status;
+  final String? offeredTime;
+  final DateTime? offerExpiresAt;
+  final String? claimedBookingId;
+  final DateTime createdAt;
+
+  // Display fields from API joins
+  final String? establishmentName;
+
+  const WaitlistEntry({
+    required this.id,
+    required this.establishmentId,
+    required this.bookingDate,
+    required this.timeFrom,
+    required this.timeTo,
+    required this.guestCount,
+    required this.status,
+    this.offeredTime,
+    this.offerExpiresAt,
+    this.claimedBookingId,
+    required this.createdAt,
+    this.establishmentName,
+  });
+
+  bool get isWaiting => status == 'waiting';
+  bool get isOffered => status == 'offered';
+  bool get isOpen => isWaiting || isOffered;
+
+  /// Offer still claimable (server re-checks on claim)
+  bool get canClaim =>
+      isOffered &&
+      offerExpiresAt != null &&
+      offerExpiresAt!.isAfter(DateTime.now());
+
+  factory WaitlistEntry.fromJson(Map<String, dynamic> json) {
+    return WaitlistEntry(
+      id: (json['id'] ?? '').toString(),
+      establishmentId: (json['establishment_id'] ?? '').toString(),
+      bookingDate: (json['booking_date'] ?? '').toString(),
+      timeFrom: _shortTime(json['time_from']),
+      timeTo: _shortTime(json['time_to']),
+      guestCount: json['guest_count'] as int? ?? 1,
+      status: json['status'] as String? ?? 'waiting',
+      offeredTime:
+          json['offered_time'] != null ? _shortTime(json['offered_time']) : null,
+      offerExpiresAt: json['offer_expires_at'] != null
+          ? DateTime.parse(json['offer_expires_at'] as String)
+          : null,
+      claimedBookingId: json['claimed_booking_id'] as String?,
+      createdAt: DateTime.parse(
+        json['created_at'] as String? ?? DateTime.now().toIso8601String(),
+      ),
+      establishmentName: json['establishment_name'] as String?,
+    );
+  }
+
+  /// Formatted date for display: "7 апреля"
+  String get formattedDate {
+    const months = [
+      '', 'января', 'февраля', 'марта', 'апреля', 'мая', 'июня',
+      'июля', 'августа', 'сентября', 'октября', 'ноября', 'декабря',
+    ];
+    final dt = DateTime.tryParse(bookingDate);
+    if (dt == null) return bookingDate;
+    return '${dt.day} ${months[dt.month]}';
+  }
+
+  /// "21:00:00" → "21:00"
+  static String _shortTime(dynamic value) {
+    final parts = (value ?? '').toString().split(':');
+    return parts.length >= 2 ? '${parts[0]}:${parts[1]}' : parts.first;
+  }
+}
@@ -1,6 +1,7 @@
 import 'package:flutter/foundation.dart';
 import 'package:dio/dio.dart';
 import 'package:restaurant_guide_mobile/models/booking.dart';
+import 'package:restaurant_guide_mobile/models/waitlist_entry.dart';
 import 'package:restaurant_guide_mobile/services/account_scope.dart';
 import 'package:restaurant_guide_mobile/services/api_client.dart';
 
@@ -20,6 +21,7 @@ class BookingProvider with ChangeNotifier {
     _confirmedBookings = [];
     _historyBookings = [];
     _userBookings = [];
+    _userWaitlist = [];
     _isLoading = false;
     _error = null;
     notifyListeners();
@@ -63,11 +65,13 @@ class BookingProvider with ChangeNotifier {
 
         _pendingBookings =
             allBookings.where((b) => b.isPending).toList();
-        _confirmedBookings =
-            allBookings.where((b) => b.isConfirmed).toList();
+        // awaiting_outcome stays with confirmed so the partner can mark it
+        _confirmedBookings = allBookings
+            .where((b) => b.isConfirmed || b.isAwaitingOutcome)
+            .toList();
         _historyBookings = allBookings
             .where((b) =>
-                !b.isPending && !b.isConfirmed)
+                !b.isPending && !b.isConfirmed && !b.isAwaitingOutcome)
             .toList();
       }
     } catch (e) {
@@ -163,6 +167,105 @@ class BookingProvider with ChangeNotifier {
     }
   }
 
+  /// Enter a phone reservation (guest without an app account).
+  /// Created confirmed; [force] books over a full slot.
+  Future<bool> createPartnerBooking(
+    String establishmentId, {
+    required String date,
+    required String time,
+    required int guestCount,
+    required String guestName,
+    required String contactPhone,
+    String? comment,
+    bool force = false,
+  }) async {
+    try {
+      final response = await _apiClient.post(
+        '/api/v1/partner/bookings/$establishmentId',
+        data: {
+          'date': date,
+          'time': time,
+          'guest_count': guestCount,
+          'guest_name': guestName,
+          'contact_phone': contactPhone,
+          if (comment != null && comment.isNotEmpty) 'comment': comment,
+          if (force) 'force': true,
+        },
+      );
+
+      if (response.statusCode == 201) {
+        await loadPartnerBookings(establishmentId);
+        return true;
+      }
+      _error = 'Не удалось добавить бронь';
+      notifyListeners();
+      return false;
+    } catch (e) {
+      _error = _isCapacityExceeded(e)
+          ? 'Нет свободных столов на это время'
+          : 'Ошибка добавления брони';
+      notifyListeners();
+      return false;
+    }
+  }
+
+  /// Record a party seated without a reservation (current time).
+  Future<bool> recordWalkIn(
+    String establishmentId, {
+    required int guestCount,
+    String? guestName,
+    String? contactPhone,
+  }) async {
+    try {
+      final response = await _apiClient.post(
+        '/api/v1/partner/bookings/$establishmentId/walk-ins',
+        data: {
+          'guest_count': guestCount,
+          if (guestName != null && guestName.isNotEmpty) 'guest_name': guestName,
+          if (contactPhone != null && contactPhone.isNotEmpty)
+            'contact_phone': contactPhone,
+        },
+      );
+
+      if (response.statusCode == 201) {
+        await loadPartnerBookings(establishmentId);
+        return true;
+      }
+      return false;
+    } catch (e) {
+      _error = 'Ошибка записи гостя';
+      notifyListeners();
+      return false;
+    }
+  }
+
+  /// Cancel a booking the partner entered (phone guest called to cancel)
+  Future<bool> cancelPartnerBooking(
+      String establishmentId, String bookingId) async {
+    try {
+      final response = await _apiClient.put(
+        '/api/v1/partner/bookings/$establishmentId/$bookingId/cancel',
+      );
+
+      if (response.statusCode == 200) {
+        await loadPartnerBookings(establishmentId);
+        return true;
+      }
+      return false;
+    } catch (e) {
+      _error = 'Ошибка отмены брони';
+      notifyListeners();
+      return false;
+    }
+  }
+
+  bool _isCapacityExceeded(Object e) =>
+      e is DioException &&
+      e.response?.statusCode == 409 &&
+      e.response?.data is Map &&
+      ((e.response!.data as Map)['error'] is Map) &&
+      ((e.response!.data as Map)['error'] as Map)['code'] == 'CAPACITY_EXCEEDED';
+
   // ==========================================================================
   // User-facing methods
   // ==========================================================================
@@ -267,4 +370,178 @@ class BookingProvider with ChangeNotifier {
       return false;
     }
   }
+
+  /// Answer a day-before "please reconfirm" request with "I'm coming"
+  Future<bool> reconfirmBooking(String bookingId) async {
+    try {
+      final response = await _apiClient.put(
+        '/api/v1/bookings/$bookingId/reconfirm',
+      );
+
+      if (response.statusCode == 200) {
+        await loadUserBookings();
+        return true;
+      }
+      _error = 'Не удалось подтвердить визит';
+      notifyListeners();
+      return false;
+    } catch (e) {
+      _error = 'Ошибка подтверждения';
+      notifyListeners();
+      return false;
+    }
+  }
+
+  /// Change date / time / guest count of an active booking.
+  /// Small changes stay confirmed; others go back to the venue for approval.
+  Future<bool> modifyBooking(
+    String bookingId, {
+    required String date,
+    required String time,
+    required int guestCount,
+  }) async {
+    _error = null;
+    try {
+      final response = await _apiClient.put(
+        '/api/v1/bookings/$bookingId/modify',
+        data: {
+          'date': date,
+          'time': time,
+          'guestCount': guestCount,
+        },
+      );
+
+      if (response.statusCode == 200) {
+        await loadUserBookings();
+        return true;
+      }
+      _error = 'Не удалось изменить бронь';
+      notifyListeners();
+      return false;
+    } catch (e) {
+      String message = 'Ошибка изменения брони';
+      if (e is DioException && e.response?.data is Map) {
+        final serverMsg = (e.response!.data as Map)['message'];
+        if (serverMsg is String) message = serverMsg;
+      }
+      _error = message;
+      notifyListeners();
+      return false;
+    }
+  }
+
+  // ==========================================================================
+  // Waitlist (user)
+  // ==========================================================================
+
+  List<WaitlistEntry> _userWaitlist = [];
+  List<WaitlistEntry> get userOpenWaitlist =>
+      _userWaitlist.where((w) => w.isOpen).toList();
+
+  /// Load user's waitlist entries
+  Future<void> loadUserWaitlist() async {
+    try {
+      final response = await _apiClient.get('/api/v1/bookings/waitlist/my');
+
+      if (response.statusCode == 200 && response.data is Map<String, dynamic>) {
+        final data = (response.data as Map<String, dynamic>)['data'];
+        final items = data is List ? data : [];
+        _userWaitlist = items
+            .map((w) => WaitlistEntry.fromJson(w as Map<String, dynamic>))
+            .toList();
+        notifyListeners();
+      }
+    } catch (e) {
+      _error = 'Ошибка загрузки листа ожидания';
+      notifyListeners();
+    }
+  }
+
+  /// Join the waitlist for the same date/party as a declined booking,
+  /// within an hour either side of the requested time.
+  Future<bool> joinWaitlistFor(Booking booking) async {
+    final parts = booking.formattedTime.split(':');
+    final minutes = (int.tryParse(parts.first) ?? 0) * 60 +
+        (parts.length > 1 ? int.tryParse(parts[1]) ?? 0 : 0);
+    String fmt(int m) =>
+        '${(m ~/ 60).toString().padLeft(2, '0')}:${(m % 60).toString().padLeft(2, '0')}';
+
+    try {
+      final response = await _apiClient.post(
+        '/api/v1/bookings/waitlist',
+        data: {
+          'establishmentId': booking.establishmentId,
+          'date': booking.bookingDate.split('T').first,
+          'timeFrom': fmt((minutes - 60).clamp(0, 23 * 60 + 59)),
+          'timeTo': fmt((minutes + 60).clamp(0, 23 * 60 + 59)),
+          'guestCount': booking.guestCount,
+          'contactPhone': booking.contactPhone,
+        },
+      );
+
+      if (response.statusCode == 201) {
+        await loadUserWaitlist();
+        return true;
+      }
+      _error = 'Не удалось встать в лист ожидания';
+      notifyListeners();
+      return false;
+    } catch (e) {
+      String message = 'Ошибка листа ожидания';
+      if (e is DioException && e.response?.data is Map) {
+        final serverMsg = (e.response!.data as Map)['message'];
+        if (serverMsg is String) message = serverMsg;
+      }
+      _error = message;
+      notifyListeners();
+      return false;
+    }
+  }
+
+  /// Claim an offered slot — creates a pending booking
+  Future<bool> claimWaitlistOffer(String entryId) async {
+    try {
+      final response = await _apiClient.post(
+        '/api/v1/bookings/waitlist/$entryId/claim',
+      );
+
+      if (response.statusCode == 201) {
+        await Future.wait([loadUserBookings(), loadUserWaitlist()]);
+        return true;
+      }
+      _error = 'Не удалось забронировать';
+      notifyListeners();
+      return false;
+    } catch (e) {
+      String message = 'Ошибка бронирования';
+      if (e is DioException && e.response?.data is Map) {
+        final serverMsg = (e.response!.data as Map)['message'];
+        if (serverMsg is String) message = serverMsg;
+      }
+      _error = message;
+      await loadUserWaitlist();
+      return false;
+    }
+  }
+
+  /// Leave the waitlist
+  Future<bool> leaveWaitlist(String entryId) async {
+    try {
+      final response = await _apiClient.put(
+        '/api/v1/bookings/waitlist/$entryId/cancel',
+      );
+
+      if (response.statusCode == 200) {
+        await loadUserWaitlist();
+        return true;
+      }
+      _error = 'Не удалось выйти из листа ожидания';
+      notifyListeners();
+      return false;
+    } catch (e) {
+      _error = 'Ошибка листа ожидания';
+      notifyListeners();
+      return false;
+    }
+  }
 }
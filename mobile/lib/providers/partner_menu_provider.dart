@@ -1,5 +1,6 @@
 import 'dart:async';
 import 'package:flutter/foundation.dart';
+import 'package:restaurant_guide_mobile/models/partner_menu_draft.dart';
 import 'package:restaurant_guide_mobile/models/partner_menu_item.dart';
 import 'package:restaurant_guide_mobile/services/account_scope.dart';
 import 'package:restaurant_guide_mobile/services/partner_menu_service.dart';
@@ -13,11 +14,15 @@ const Duration _pollingInterval = Duration(seconds: 30);
 ///   - SUCCESS:   items present
 ///   - EMPTY:     items empty (covers both "no PDF" and "OCR in progress" —
 ///                retry button surfaces 400 NO_PDF_MENUS if applicable)
+///
+/// Independently of those, [drafts] holds finished OCR results awaiting the
+/// partner's review — they only reach [items] once published.
 class PartnerMenuProvider with ChangeNotifier {
   final PartnerMenuService _service;
 
   String? _currentEstablishmentId;
   List<PartnerMenuItem> _items = [];
+  List<PartnerMenuDraft> _drafts = [];
   bool _isLoading = false;
   String? _error;
   Timer? _pollingTimer;
@@ -33,6 +38,7 @@ class PartnerMenuProvider with ChangeNotifier {
     stopPolling();
     _currentEstablishmentId = null;
     _items = [];
+    _drafts = [];
     _isLoading = false;
     _error = null;
     notifyListeners();
@@ -43,6 +49,8 @@ class PartnerMenuProvider with ChangeNotifier {
   bool get isLoading => _isLoading;
   String? get error => _error;
   bool get hasItems => _items.isNotEmpty;
+  List<PartnerMenuDraft> get drafts => _drafts;
+  bool get hasDrafts => _drafts.isNotEmpty;
 
   /// Items grouped by category_raw, preserving insertion order.
   /// Uncategorized items collected under the empty-string key.
@@ -65,6 +73,7 @@ class PartnerMenuProvider with ChangeNotifier {
     if (_currentEstablishmentId != establishmentId) {
       _currentEstablishmentId = establishmentId;
       _items = [];
+      _drafts = [];
       _error = null;
     }
     await fetchMenuItems();
@@ -95,7 +104,8 @@ class PartnerMenuProvider with ChangeNotifier {
   // Data fetch
   // ============================================================================
 
-  /// Fetch menu items. `silent` suppresses isLoading flag (for background polls).
+  /// Fetch menu items and pending OCR drafts. `silent` suppresses isLoading
+  /// flag (for background polls).
   Future<void> fetchMenuItems({bool silent = false}) async {
     final id = _currentEstablishmentId;
     if (id == null) return;
@@ -110,6 +120,11 @@ class PartnerMenuProvider with ChangeNotifier {
       final fetched = await _service.fetchMenuItems(id);
       _items = fetched;
       _error = null;
+      try {
+        _drafts = await _service.fetchMenuDrafts(id);
+      } catch (_) {
+        // Drafts are secondary — keep the last known ones, items still show.
+      }
     } catch (e) {
       if (!silent) {
         _error = 'Не удалось загрузить позиции меню';
@@ -156,7 +171,21 @@ class PartnerMenuProvider with ChangeNotifier {
         priceByn: priceByn,
         categoryRaw: categoryRaw,
       );
-      _items = List.of(_items)..[index] = updated;
+      // The PATCH response carries no price_change; mirror what the backend
+      // just recorded in the price history.
+      final priceChanged = original.priceByn != null &&
+          updated.priceByn != null &&
+          updated.priceByn != original.priceByn;
+      _items = List.of(_items)
+        ..[index] = updated.copyWith(
+          priceChange: priceChanged
+              ? PartnerMenuPriceChange(
+                  previousPriceByn: original.priceByn!,
+                  priceByn: updated.priceByn!,
+                  changedAt: DateTime.now(),
+                )
+              : original.priceChange,
+        );
       notifyListeners();
       return true;
     } catch (e) {
@@ -168,6 +197,54 @@ class PartnerMenuProvider with ChangeNotifier {
     }
   }
 
+  // ============================================================================
+  // OCR draft review
+  // ============================================================================
+
+  /// Publish a draft (see PartnerMenuService.publishDraft), then refresh.
+  /// Returns the number of published items, or null on failure.
+  Future<int?> publishDraft(
+    String draftId, {
+    List<String> rejectItemIds = const [],
+    List<String> keepItemIds = const [],
+  }) async {
+    final id = _currentEstablishmentId;
+    if (id == null) return null;
+
+    try {
+      final published = await _service.publishDraft(
+        id,
+        draftId,
+        rejectItemIds: rejectItemIds,
+        keepItemIds: keepItemIds,
+      );
+      _drafts = _drafts.where((d) => d.id != draftId).toList();
+      await fetchMenuItems(silent: true);
+      return published;
+    } catch (e) {
+      _error = 'Не удалось опубликовать меню';
+      notifyListeners();
+      return null;
+    }
+  }
+
+  /// Reject a whole draft. Returns true on success.
+  Future<bool> discardDraft(String draftId) async {
+    final id = _currentEstablishmentId;
+    if (id == null) return false;
+
+    try {
+      await _service.discardDraft(id, draftId);
+      _drafts = _drafts.where((d) => d.id != draftId).toList();
+      notifyListeners();
+      return true;
+    } catch (e) {
+      _error = 'Не удалось отклонить результат распознавания';
+      notifyListeners();
+      return false;
+    }
+  }
+
   // ============================================================================
   // Retry OCR
   // ============================================================================
@@ -54,6 +54,7 @@ class _EstablishmentDetailScreenState extends State<EstablishmentDetailScreen> {
   Establishment? _establishment;
   List<Review> _reviews = [];
   int _totalReviews = 0;
+  List<SimilarEstablishment> _similar = [];
   bool _isLoading = true;
   String? _error;
 
@@ -117,6 +118,8 @@ class _EstablishmentDetailScreenState extends State<EstablishmentDetailScreen> {
         _totalReviews = reviewsResponse.meta.total;
         _isLoading = false;
       });
+
+      _loadSimilar(establishment);
     } catch (e) {
       setState(() {
         _error = 'Не удалось загрузить данные';
@@ -125,6 +128,20 @@ class _EstablishmentDetailScreenState extends State<EstablishmentDetailScreen> {
     }
   }
 
+  /// Load the «Похожие заведения» rail. Secondary content: a failure just
+  /// leaves the rail hidden.
+  Future<void> _loadSimilar(Establishment establishment) async {
+    final slug = establishment.slug;
+    if (slug == null) return;
+    try {
+      final similar = await _establishmentsService.getSimilarEstablishments(slug);
+      if (!mounted) return;
+      setState(() => _similar = similar);
+    } catch (e) {
+      // Rail stays hidden
+    }
+  }
+
   /// Toggle favorite status
   void _toggleFavorite() {
     final authProvider = context.read<AuthProvider>();
@@ -231,6 +248,9 @@ class _EstablishmentDetailScreenState extends State<EstablishmentDetailScreen> {
             // Map section
             _buildMapSection(),
 
+            // Similar places rail (hidden when nothing similar was found)
+            if (_similar.isNotEmpty) _buildSimilarSection(),
+
             // Booking CTA (only when booking enabled)
             if (_establishment?.bookingEnabled == true) _buildBookingCTA(),
 
@@ -1636,6 +1656,96 @@ class _EstablishmentDetailScreenState extends State<EstablishmentDetailScreen> {
     );
   }
 
+  /// Build «Похожие заведения» horizontal rail — a way out for visitors of a
+  /// closed or fully booked place.
+  Widget _buildSimilarSection() {
+    return Container(
+      width: double.infinity,
+      padding: const EdgeInsets.only(top: 20, bottom: 20),
+      color: _backgroundColor,
+      child: Column(
+        crossAxisAlignment: CrossAxisAlignment.start,
+        children: [
+          Padding(
+            padding: const EdgeInsets.symmetric(horizontal: 20),
+            child: Text(
+              'Похожие заведения',
+              style: TextStyle(
+                fontFamily: AppTheme.fontDisplayFamily,
+                fontSize: 30,
+                fontWeight: FontWeight.w400,
+                color: AppTheme.textPrimary,
+              ),
+            ),
+          ),
+          const SizedBox(height: 14),
+          SizedBox(
+            height: 196,
+            child: ListView.separated(
+              scrollDirection: Axis.horizontal,
+              padding: const EdgeInsets.symmetric(horizontal: 20),
+              itemCount: _similar.length,
+              separatorBuilder: (_, __) => const SizedBox(width: 12),
+              itemBuilder: (context, index) =>
+                  _buildSimilarCard(_similar[index]),
+            ),
+          ),
+        ],
+      ),
+    );
+  }
+
+  Widget _buildSimilarCard(SimilarEstablishment similar) {
+    final establishment = similar.establishment;
+    final imageUrl = establishment.thumbnailUrl;
+
+    return GestureDetector(
+      onTap: () => Navigator.of(context, rootNavigator: true)
+          .pushNamed('/establishment/${establishment.id}'),
+      child: SizedBox(
+        width: 180,
+        child: Column(
+          crossAxisAlignment: CrossAxisAlignment.start,
+          children: [
+            ClipRRect(
+              borderRadius: BorderRadius.circular(16),
+              child: SizedBox(
+                width: 180,
+                height: 120,
+                child: imageUrl != null
+                    ? CachedNetworkImage(
+                        imageUrl: imageUrl,
+                        fit: BoxFit.cover,
+                        errorWidget: (_, __, ___) =>
+                            Container(color: AppTheme.strokeGrey),
+                      )
+                    : Container(color: AppTheme.strokeGrey),
+              ),
+            ),
+            const SizedBox(height: 8),
+            Text(
+              establishment.name,
+              maxLines: 1,
+              overflow: TextOverflow.ellipsis,
+              style: const TextStyle(
+                fontSize: 16,
+                fontWeight: FontWeight.w600,
+                color: AppTheme.textPrimary,
+              ),
+            ),
+            const SizedBox(height: 4),
+            Text(
+              similar.reason,
+              maxLines: 2,
+              overflow: TextOverflow.ellipsis,
+              style: const TextStyle(fontSize: 13, color: _greyText),
+            ),
+          ],
+        ),
+      ),
+    );
+  }
+
   /// Build booking CTA button between map and reviews
   Widget _buildBookingCTA() {
     return Container(
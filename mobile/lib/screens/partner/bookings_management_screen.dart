@@ -9,6 +9,7 @@ import 'package:restaurant_guide_mobile/widgets/canon_app_bar.dart';
 
 /// Partner bookings management screen.
 /// Three sections: pending requests, confirmed, history.
+/// The "+" button enters phone reservations and walk-ins.
 class BookingsManagementScreen extends StatefulWidget {
   final String establishmentId;
   final String establishmentName;
@@ -56,6 +57,11 @@ class _BookingsManagementScreenState extends State<BookingsManagementScreen> {
     return Scaffold(
       backgroundColor: AppTheme.backgroundWarm,
       appBar: const CanonAppBar(title: 'Бронирования'),
+      floatingActionButton: FloatingActionButton(
+        onPressed: _showAddMenu,
+        backgroundColor: AppTheme.primaryOrange,
+        child: const Icon(Icons.add, color: Colors.white),
+      ),
       body: Consumer<BookingProvider>(
         builder: (context, provider, _) {
           if (provider.isLoading && provider.pendingBookings.isEmpty) {
@@ -344,14 +350,28 @@ class _BookingsManagementScreenState extends State<BookingsManagementScreen> {
                   style: const TextStyle(fontSize: 15),
                 ),
                 Text(
-                  '${booking.guestCount} гост.',
+                  booking.isWalkIn
+                      ? '${booking.guestCount} гост. • без брони'
+                      : booking.isPartnerEntered
+                          ? '${booking.guestCount} гост. • по телефону'
+                          : '${booking.guestCount} гост.',
                   style: const TextStyle(fontSize: 13, color: AppTheme.textGrey),
                 ),
               ],
             ),
           ),
+          // Phone guests cancel by calling — the partner cancels for them
+          if (booking.isPartnerEntered && !booking.isWalkIn && !isPast)
+            TextButton(
+              onPressed: () => _cancelPartnerBooking(booking),
+              style: TextButton.styleFrom(
+                foregroundColor: AppTheme.errorRed,
+                textStyle: const TextStyle(fontSize: 13),
+              ),
+              child: const Text('Отменить'),
+            ),
           // No-show button (only after time passed)
-          if (isPast)
+          if (isPast && !booking.isWalkIn)
             TextButton(
               onPressed: () => _markNoShow(booking),
               style: TextButton.styleFrom(
@@ -582,6 +602,227 @@ class _BookingsManagementScreenState extends State<BookingsManagementScreen> {
     ).then((_) => controller.dispose());
   }
 
+  void _showAddMenu() {
+    showModalBottomSheet(
+      context: context,
+      builder: (ctx) => SafeArea(
+        child: Column(
+          mainAxisSize: MainAxisSize.min,
+          children: [
+            ListTile(
+              leading: const Icon(Icons.phone_in_talk),
+              title: const Text('Бронь по телефону'),
+              onTap: () {
+                Navigator.pop(ctx);
+                _showPhoneBookingDialog();
+              },
+            ),
+            ListTile(
+              leading: const Icon(Icons.directions_walk),
+              title: const Text('Гость без брони'),
+              onTap: () {
+                Navigator.pop(ctx);
+                _showWalkInDialog();
+              },
+            ),
+          ],
+        ),
+      ),
+    );
+  }
+
+  void _showPhoneBookingDialog() {
+    final nameController = TextEditingController();
+    final phoneController = TextEditingController(text: '+375');
+    final commentController = TextEditingController();
+    var guestCount = 2;
+    var date = DateTime.now();
+    var time = TimeOfDay.now();
+
+    String two(int v) => v.toString().padLeft(2, '0');
+
+    showDialog(
+      context: context,
+      builder: (ctx) => StatefulBuilder(
+        builder: (ctx, setDialogState) => AlertDialog(
+          title: const Text('Бронь по телефону'),
+          content: SingleChildScrollView(
+            child: Column(
+              mainAxisSize: MainAxisSize.min,
+              children: [
+                TextField(
+                  controller: nameController,
+                  decoration: const InputDecoration(labelText: 'Имя гостя'),
+                  textCapitalization: TextCapitalization.words,
+                ),
+                TextField(
+                  controller: phoneController,
+                  decoration: const InputDecoration(labelText: 'Телефон'),
+                  keyboardType: TextInputType.phone,
+                ),
+                const SizedBox(height: 12),
+                Row(
+                  children: [
+                    Expanded(
+                      child: TextButton.icon(
+                        icon: const Icon(Icons.calendar_today, size: 16),
+                        label: Text('${two(date.day)}.${two(date.month)}'),
+                        onPressed: () async {
+                          final picked = await showDatePicker(
+                            context: ctx,
+                            initialDate: date,
+                            firstDate: DateTime.now(),
+                            lastDate:
+                                DateTime.now().add(const Duration(days: 365)),
+                          );
+                          if (picked != null) {
+                            setDialogState(() => date = picked);
+                          }
+                        },
+                      ),
+                    ),
+                    Expanded(
+                      child: TextButton.icon(
+                        icon: const Icon(Icons.access_time, size: 16),
+                        label: Text('${two(time.hour)}:${two(time.minute)}'),
+                        onPressed: () async {
+                          final picked = await showTimePicker(
+                            context: ctx,
+                            initialTime: time,
+                          );
+                          if (picked != null) {
+                            setDialogState(() => time = picked);
+                          }
+                        },
+                      ),
+                    ),
+                  ],
+                ),
+                _buildGuestCountStepper(
+                  guestCount,
+                  (value) => setDialogState(() => guestCount = value),
+                ),
+                TextField(
+                  controller: commentController,
+                  decoration:
+                      const InputDecoration(labelText: 'Комментарий'),
+                ),
+              ],
+            ),
+          ),
+          actions: [
+            TextButton(
+              onPressed: () => Navigator.pop(ctx),
+              child: const Text('Отмена'),
+            ),
+            ElevatedButton(
+              onPressed: () async {
+                final name = nameController.text.trim();
+                final phone = phoneController.text.trim();
+                if (name.isEmpty || phone.length < 5) return;
+                Navigator.pop(ctx);
+                final provider = context.read<BookingProvider>();
+                final ok = await provider.createPartnerBooking(
+                  widget.establishmentId,
+                  date: '${date.year}-${two(date.month)}-${two(date.day)}',
+                  time: '${two(time.hour)}:${two(time.minute)}',
+                  guestCount: guestCount,
+                  guestName: name,
+                  contactPhone: phone,
+                  comment: commentController.text.trim(),
+                );
+                if (!ok && mounted && provider.error != null) {
+                  ScaffoldMessenger.of(context).showSnackBar(
+                    SnackBar(content: Text(provider.error!)),
+                  );
+                }
+              },
+              style: AppTheme.canonCtaM(),
+              child: const Text('Добавить'),
+            ),
+          ],
+        ),
+      ),
+    ).then((_) {
+      nameController.dispose();
+      phoneController.dispose();
+      commentController.dispose();
+    });
+  }
+
+  void _showWalkInDialog() {
+    final nameController = TextEditingController();
+    var guestCount = 2;
+
+    showDialog(
+      context: context,
+      builder: (ctx) => StatefulBuilder(
+        builder: (ctx, setDialogState) => AlertDialog(
+          title: const Text('Гость без брони'),
+          content: Column(
+            mainAxisSize: MainAxisSize.min,
+            children: [
+              _buildGuestCountStepper(
+                guestCount,
+                (value) => setDialogState(() => guestCount = value),
+              ),
+              TextField(
+                controller: nameController,
+                decoration:
+                    const InputDecoration(labelText: 'Имя (необязательно)'),
+              ),
+            ],
+          ),
+          actions: [
+            TextButton(
+              onPressed: () => Navigator.pop(ctx),
+              child: const Text('Отмена'),
+            ),
+            ElevatedButton(
+              onPressed: () async {
+                Navigator.pop(ctx);
+                await context.read<BookingProvider>().recordWalkIn(
+                      widget.establishmentId,
+                      guestCount: guestCount,
+                      guestName: nameController.text.trim(),
+                    );
+              },
+              style: AppTheme.canonCtaM(),
+              child: const Text('Записать'),
+            ),
+          ],
+        ),
+      ),
+    ).then((_) => nameController.dispose());
+  }
+
+  Widget _buildGuestCountStepper(int value, ValueChanged<int> onChanged) {
+    return Row(
+      mainAxisAlignment: MainAxisAlignment.spaceBetween,
+      children: [
+        const Text('Гостей'),
+        Row(
+          children: [
+            IconButton(
+              icon: const Icon(Icons.remove_circle_outline),
+              onPressed: value > 1 ? () => onChanged(value - 1) : null,
+            ),
+            Text('$value', style: const TextStyle(fontSize: 16)),
+            IconButton(
+              icon: const Icon(Icons.add_circle_outline),
+              onPressed: value < 100 ? () => onChanged(value + 1) : null,
+            ),
+          ],
+        ),
+      ],
+    );
+  }
+
+  Future<void> _cancelPartnerBooking(Booking booking) async {
+    final provider = context.read<BookingProvider>();
+    await provider.cancelPartnerBooking(widget.establishmentId, booking.id);
+  }
+
   Future<void> _markNoShow(Booking booking) async {
     final provider = context.read<BookingProvider>();
     await provider.markNoShow(widget.establishmentId, booking.id);
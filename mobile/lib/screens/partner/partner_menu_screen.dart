@@ -2,6 +2,7 @@ import 'package:flutter/material.dart';
 import 'package:flutter/services.dart';
 import 'package:provider/provider.dart';
 import 'package:restaurant_guide_mobile/config/theme.dart';
+import 'package:restaurant_guide_mobile/models/partner_menu_draft.dart';
 import 'package:restaurant_guide_mobile/models/partner_menu_item.dart';
 import 'package:restaurant_guide_mobile/providers/partner_menu_provider.dart';
 
@@ -9,6 +10,11 @@ import 'package:restaurant_guide_mobile/providers/partner_menu_provider.dart';
 /// Component 8, Segment C, Block 1.
 ///
 /// Mounted via EditEstablishmentScreen → "Меню" row.
+///
+/// Finished OCR results are not public until reviewed: each pending draft
+/// shows a banner above the list that opens the review sheet (accept all,
+/// uncheck items to reject, keep items the new recognition lost, or reject
+/// the whole result).
 class PartnerMenuScreen extends StatefulWidget {
   final String establishmentId;
 
@@ -54,27 +60,42 @@ class _PartnerMenuScreenState extends State<PartnerMenuScreen> {
       ),
       body: Consumer<PartnerMenuProvider>(
         builder: (context, provider, _) {
-          if (provider.isLoading && provider.items.isEmpty) {
-            return const Center(
-              child: CircularProgressIndicator(color: _primary),
-            );
-          }
-
-          if (provider.error != null && provider.items.isEmpty) {
-            return _buildErrorState(provider);
-          }
+          final content = _buildContent(provider);
+          if (!provider.hasDrafts) return content;
 
-          if (provider.items.isEmpty) {
-            return _buildEmptyState();
-          }
-
-          return _buildList(provider);
+          return Column(
+            children: [
+              ...provider.drafts.map((draft) => _DraftBanner(
+                    draft: draft,
+                    onReview: () => _openDraftReview(draft),
+                  )),
+              Expanded(child: content),
+            ],
+          );
         },
       ),
       bottomNavigationBar: _buildRetryBar(),
     );
   }
 
+  Widget _buildContent(PartnerMenuProvider provider) {
+    if (provider.isLoading && provider.items.isEmpty) {
+      return const Center(
+        child: CircularProgressIndicator(color: _primary),
+      );
+    }
+
+    if (provider.error != null && provider.items.isEmpty) {
+      return _buildErrorState(provider);
+    }
+
+    if (provider.items.isEmpty) {
+      return _buildEmptyState();
+    }
+
+    return _buildList(provider);
+  }
+
   // ============================================================================
   // States
   // ============================================================================
@@ -231,6 +252,55 @@ class _PartnerMenuScreenState extends State<PartnerMenuScreen> {
     }
   }
 
+  // ============================================================================
+  // OCR draft review
+  // ============================================================================
+
+  Future<void> _openDraftReview(PartnerMenuDraft draft) async {
+    final decision = await showModalBottomSheet<_DraftDecision>(
+      context: context,
+      isScrollControlled: true,
+      backgroundColor: _bg,
+      shape: const RoundedRectangleBorder(
+        borderRadius: BorderRadius.vertical(top: Radius.circular(16)),
+      ),
+      builder: (ctx) => _DraftReviewSheet(draft: draft),
+    );
+
+    if (decision == null || !mounted) return;
+
+    final provider = context.read<PartnerMenuProvider>();
+    final messenger = ScaffoldMessenger.of(context);
+
+    String? successText;
+    if (decision.discard) {
+      if (await provider.discardDraft(draft.id)) {
+        successText = 'Результат распознавания отклонён';
+      }
+    } else {
+      final published = await provider.publishDraft(
+        draft.id,
+        rejectItemIds: decision.rejectItemIds,
+        keepItemIds: decision.keepItemIds,
+      );
+      if (published != null) {
+        successText = 'Опубликовано позиций: $published';
+      }
+    }
+
+    if (!mounted) return;
+
+    messenger.showSnackBar(
+      SnackBar(
+        content: Text(successText ?? provider.error ?? 'Не удалось сохранить'),
+        backgroundColor:
+            successText != null ? AppTheme.statusGreen : Colors.red,
+        behavior: SnackBarBehavior.floating,
+      ),
+    );
+    if (successText == null) provider.clearError();
+  }
+
   // ============================================================================
   // Retry OCR
   // ============================================================================
@@ -326,6 +396,237 @@ class _PartnerMenuScreenState extends State<PartnerMenuScreen> {
   }
 }
 
+// ============================================================================
+// OCR draft banner + review sheet
+// ============================================================================
+
+class _DraftBanner extends StatelessWidget {
+  final PartnerMenuDraft draft;
+  final VoidCallback onReview;
+
+  const _DraftBanner({required this.draft, required this.onReview});
+
+  @override
+  Widget build(BuildContext context) {
+    final parts = <String>[
+      if (draft.addedCount > 0) 'новых ${draft.addedCount}',
+      if (draft.priceChangedCount > 0) 'цен изменилось ${draft.priceChangedCount}',
+      if (draft.removed.isNotEmpty) 'пропало ${draft.removed.length}',
+      if (draft.flaggedCount > 0) 'требуют внимания ${draft.flaggedCount}',
+    ];
+
+    return Container(
+      margin: const EdgeInsets.fromLTRB(16, 8, 16, 0),
+      padding: const EdgeInsets.all(12),
+      decoration: BoxDecoration(
+        color: AppTheme.primaryOrangeDark.withValues(alpha: 0.08),
+        borderRadius: BorderRadius.circular(AppTheme.radiusMedium),
+        border: Border.all(
+            color: AppTheme.primaryOrangeDark.withValues(alpha: 0.3)),
+      ),
+      child: Row(
+        children: [
+          const Icon(Icons.fact_check_outlined,
+              color: AppTheme.primaryOrangeDark),
+          const SizedBox(width: 12),
+          Expanded(
+            child: Column(
+              crossAxisAlignment: CrossAxisAlignment.start,
+              children: [
+                Text(
+                  'Распознано позиций: ${draft.items.length} — ждут проверки',
+                  style: const TextStyle(
+                    fontSize: 14,
+                    fontWeight: FontWeight.w600,
+                    color: AppTheme.textPrimary,
+                  ),
+                ),
+                if (parts.isNotEmpty) ...[
+                  const SizedBox(height: 2),
+                  Text(
+                    parts.join(' · '),
+                    style:
+                        const TextStyle(fontSize: 12, color: AppTheme.textGrey),
+                  ),
+                ],
+              ],
+            ),
+          ),
+          TextButton(
+            onPressed: onReview,
+            style: TextButton.styleFrom(
+                foregroundColor: AppTheme.primaryOrangeDark),
+            child: const Text('Проверить'),
+          ),
+        ],
+      ),
+    );
+  }
+}
+
+class _DraftDecision {
+  final bool discard;
+  final List<String> rejectItemIds;
+  final List<String> keepItemIds;
+
+  const _DraftDecision.publish({
+    required this.rejectItemIds,
+    required this.keepItemIds,
+  }) : discard = false;
+
+  const _DraftDecision.discard()
+      : discard = true,
+        rejectItemIds = const [],
+        keepItemIds = const [];
+}
+
+class _DraftReviewSheet extends StatefulWidget {
+  final PartnerMenuDraft draft;
+
+  const _DraftReviewSheet({required this.draft});
+
+  @override
+  State<_DraftReviewSheet> createState() => _DraftReviewSheetState();
+}
+
+class _DraftReviewSheetState extends State<_DraftReviewSheet> {
+  final Set<String> _rejected = {};
+  final Set<String> _kept = {};
+
+  static String _price(double? value) =>
+      value == null ? '—' : '${value.toStringAsFixed(2)} BYN';
+
+  static String _changeLabel(PartnerMenuDraftItem item) {
+    switch (item.change) {
+      case DraftChange.added:
+        return 'Новая · ${_price(item.priceByn)}';
+      case DraftChange.priceChanged:
+        return '${_price(item.previousPriceByn)} → ${_price(item.priceByn)}';
+      case DraftChange.unchanged:
+        return 'Без изменений · ${_price(item.priceByn)}';
+    }
+  }
+
+  @override
+  Widget build(BuildContext context) {
+    final draft = widget.draft;
+    final changed =
+        draft.items.where((i) => i.change != DraftChange.unchanged).toList();
+    final unchangedCount = draft.items.length - changed.length;
+
+    return DraggableScrollableSheet(
+      expand: false,
+      initialChildSize: 0.85,
+      maxChildSize: 0.95,
+      builder: (context, scrollController) => Column(
+        children: [
+          Expanded(
+            child: ListView(
+              controller: scrollController,
+              padding: const EdgeInsets.fromLTRB(20, 16, 20, 8),
+              children: [
+                const Text(
+                  'Проверка распознанного меню',
+                  style: TextStyle(
+                    fontSize: 18,
+                    fontWeight: FontWeight.w600,
+                    color: AppTheme.textPrimary,
+                  ),
+                ),
+                const SizedBox(height: 4),
+                Text(
+                  'Снимите отметку с позиций, которые не нужно публиковать. '
+                  'Без изменений: $unchangedCount.',
+                  style:
+                      const TextStyle(fontSize: 13, color: AppTheme.textGrey),
+                ),
+                const SizedBox(height: 8),
+                ...changed.map((item) => CheckboxListTile(
+                      contentPadding: EdgeInsets.zero,
+                      activeColor: AppTheme.primaryOrangeDark,
+                      value: !_rejected.contains(item.id),
+                      onChanged: (checked) => setState(() {
+                        if (checked == true) {
+                          _rejected.remove(item.id);
+                        } else {
+                          _rejected.add(item.id);
+                        }
+                      }),
+                      title: Text(item.itemName),
+                      subtitle: Text(
+                        item.hasSanityFlag
+                            ? '${_changeLabel(item)} · требует внимания'
+                            : _changeLabel(item),
+                      ),
+                    )),
+                if (draft.removed.isNotEmpty) ...[
+                  const Padding(
+                    padding: EdgeInsets.fromLTRB(0, 16, 0, 4),
+                    child: Text(
+                      'Не найдены в новом распознавании — отметьте, '
+                      'чтобы оставить',
+                      style: TextStyle(
+                        fontSize: 14,
+                        fontWeight: FontWeight.w600,
+                        color: AppTheme.textPrimary,
+                      ),
+                    ),
+                  ),
+                  ...draft.removed.map((item) => CheckboxListTile(
+                        contentPadding: EdgeInsets.zero,
+                        activeColor: AppTheme.primaryOrangeDark,
+                        value: _kept.contains(item.id),
+                        onChanged: (checked) => setState(() {
+                          if (checked == true) {
+                            _kept.add(item.id);
+                          } else {
+                            _kept.remove(item.id);
+                          }
+                        }),
+                        title: Text(item.itemName),
+                        subtitle: Text(_price(item.priceByn)),
+                      )),
+                ],
+              ],
+            ),
+          ),
+          SafeArea(
+            top: false,
+            child: Padding(
+              padding: const EdgeInsets.fromLTRB(20, 8, 20, 12),
+              child: Row(
+                children: [
+                  TextButton(
+                    onPressed: () => Navigator.pop(
+                        context, const _DraftDecision.discard()),
+                    style: TextButton.styleFrom(foregroundColor: Colors.red),
+                    child: const Text('Отклонить всё'),
+                  ),
+                  const Spacer(),
+                  ElevatedButton(
+                    onPressed: () => Navigator.pop(
+                      context,
+                      _DraftDecision.publish(
+                        rejectItemIds: _rejected.toList(),
+                        keepItemIds: _kept.toList(),
+                      ),
+                    ),
+                    style: ElevatedButton.styleFrom(
+                      backgroundColor: AppTheme.primaryOrangeDark,
+                      foregroundColor: AppTheme.textOnPrimary,
+                    ),
+                    child: const Text('Опубликовать'),
+                  ),
+                ],
+              ),
+            ),
+          ),
+        ],
+      ),
+    );
+  }
+}
+
 // ============================================================================
 // Card widget
 // ============================================================================
@@ -388,6 +689,18 @@ class _MenuItemCardState extends State<_MenuItemCard> {
                             ),
                           ),
                         ],
+                        if (item.priceChange != null) ...[
+                          const SizedBox(height: 2),
+                          Text(
+                            _formatPriceChange(item.priceChange!),
+                            style: TextStyle(
+                              fontSize: 12,
+                              color: item.priceChange!.isIncrease
+                                  ? AppTheme.primaryOrange
+                                  : AppTheme.textGrey,
+                            ),
+                          ),
+                        ],
                         if (item.hasSanityFlag) ...[
                           const SizedBox(height: 8),
                           GestureDetector(
@@ -463,6 +776,14 @@ class _MenuItemCardState extends State<_MenuItemCard> {
     );
   }
 
+  static String _formatPriceChange(PartnerMenuPriceChange change) {
+    final date = change.changedAt.toLocal();
+    String two(int v) => v.toString().padLeft(2, '0');
+    return 'Цена изменилась: ${change.previousPriceByn.toStringAsFixed(2)} → '
+        '${change.priceByn.toStringAsFixed(2)} BYN · '
+        '${two(date.day)}.${two(date.month)}.${date.year}';
+  }
+
   static String _formatSanityFlag(Map<String, dynamic> flag) {
     // Show key:value pairs; human-readable labels for known keys.
     const labels = {
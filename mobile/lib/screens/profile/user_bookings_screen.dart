@@ -3,10 +3,11 @@ import 'package:provider/provider.dart';
 import 'package:url_launcher/url_launcher.dart';
 import 'package:restaurant_guide_mobile/config/theme.dart';
 import 'package:restaurant_guide_mobile/models/booking.dart';
+import 'package:restaurant_guide_mobile/models/waitlist_entry.dart';
 import 'package:restaurant_guide_mobile/providers/booking_provider.dart';
 import 'package:restaurant_guide_mobile/widgets/canon_app_bar.dart';
 
-/// User's bookings screen — active and history.
+/// User's bookings screen — waitlist, active and history.
 class UserBookingsScreen extends StatefulWidget {
   const UserBookingsScreen({super.key});
 
@@ -19,7 +20,9 @@ class _UserBookingsScreenState extends State<UserBookingsScreen> {
   void initState() {
     super.initState();
     WidgetsBinding.instance.addPostFrameCallback((_) {
-      context.read<BookingProvider>().loadUserBookings();
+      final provider = context.read<BookingProvider>();
+      provider.loadUserBookings();
+      provider.loadUserWaitlist();
     });
   }
 
@@ -34,10 +37,11 @@ class _UserBookingsScreenState extends State<UserBookingsScreen> {
             return const Center(child: CircularProgressIndicator());
           }
 
+          final waitlist = provider.userOpenWaitlist;
           final active = provider.userActiveBookings;
           final history = provider.userHistoryBookings;
 
-          if (active.isEmpty && history.isEmpty) {
+          if (waitlist.isEmpty && active.isEmpty && history.isEmpty) {
             return const Center(
               child: Column(
                 mainAxisSize: MainAxisSize.min,
@@ -55,10 +59,20 @@ class _UserBookingsScreenState extends State<UserBookingsScreen> {
           }
 
           return RefreshIndicator(
-            onRefresh: () => provider.loadUserBookings(),
+            onRefresh: () => Future.wait([
+              provider.loadUserBookings(),
+              provider.loadUserWaitlist(),
+            ]),
             child: ListView(
               padding: const EdgeInsets.all(16),
               children: [
+                if (waitlist.isNotEmpty) ...[
+                  const Text('Лист ожидания',
+                      style: AppTheme.canonSubsectionHeader),
+                  const SizedBox(height: 12),
+                  ...waitlist.map((w) => _buildWaitlistCard(w)),
+                  const SizedBox(height: 24),
+                ],
                 if (active.isNotEmpty) ...[
                   const Text('Активные',
                       style: AppTheme.canonSubsectionHeader),
@@ -140,6 +154,52 @@ class _UserBookingsScreenState extends State<UserBookingsScreen> {
                 style: TextStyle(fontSize: 13),
               ),
             ),
+          ] else if (booking.needsReconfirm) ...[
+            // Venue asked to reconfirm (day before)
+            Container(
+              padding: const EdgeInsets.all(12),
+              decoration: BoxDecoration(
+                color: AppTheme.primaryOrange.withValues(alpha: 0.08),
+                borderRadius: BorderRadius.circular(AppTheme.radiusSmall),
+              ),
+              child: const Text(
+                'Заведение просит подтвердить визит. Вы придёте?',
+                style: TextStyle(fontSize: 13),
+              ),
+            ),
+            const SizedBox(height: 12),
+            Row(
+              children: [
+                Expanded(
+                  child: OutlinedButton(
+                    onPressed: () => _cancelBooking(booking),
+                    style: OutlinedButton.styleFrom(
+                      foregroundColor: AppTheme.errorRed,
+                      side: const BorderSide(color: AppTheme.errorRed),
+                      shape: RoundedRectangleBorder(
+                        borderRadius: BorderRadius.circular(AppTheme.radiusSmall),
+                      ),
+                    ),
+                    child: const Text('Отменить'),
+                  ),
+                ),
+                const SizedBox(width: 12),
+                Expanded(
+                  child: ElevatedButton(
+                    onPressed: () => context
+                        .read<BookingProvider>()
+                        .reconfirmBooking(booking.id),
+                    style: ElevatedButton.styleFrom(
+                      backgroundColor: AppTheme.statusGreen,
+                      shape: RoundedRectangleBorder(
+                        borderRadius: BorderRadius.circular(AppTheme.radiusSmall),
+                      ),
+                    ),
+                    child: const Text('Приду'),
+                  ),
+                ),
+              ],
+            ),
           ] else ...[
             // Confirmed
             Container(
@@ -169,6 +229,96 @@ class _UserBookingsScreenState extends State<UserBookingsScreen> {
               ),
             ),
           ],
+          const SizedBox(height: 4),
+          Center(
+            child: TextButton.icon(
+              onPressed: () => _showModifyDialog(booking),
+              icon: const Icon(Icons.edit_calendar, size: 18),
+              label: const Text('Изменить дату, время или гостей'),
+            ),
+          ),
+        ],
+      ),
+    );
+  }
+
+  // =========================================================================
+  // Waitlist cards
+  // =========================================================================
+
+  Widget _buildWaitlistCard(WaitlistEntry entry) {
+    final canClaim = entry.canClaim;
+    final statusColor = canClaim ? AppTheme.statusGreen : AppTheme.textGrey;
+    final dateLabel = entry.formattedDate;
+
+    return Container(
+      margin: const EdgeInsets.only(bottom: 12),
+      padding: const EdgeInsets.all(16),
+      decoration: AppTheme.canonCardDecoration(
+        borderColor: statusColor.withValues(alpha: 0.3),
+      ),
+      child: Column(
+        crossAxisAlignment: CrossAxisAlignment.start,
+        children: [
+          Row(
+            mainAxisAlignment: MainAxisAlignment.spaceBetween,
+            children: [
+              Expanded(
+                child: Text(
+                  entry.establishmentName ?? 'Заведение',
+                  style: const TextStyle(
+                    fontSize: 16,
+                    fontWeight: FontWeight.w600,
+                  ),
+                ),
+              ),
+              _buildStatusBadge(
+                canClaim ? 'Место свободно' : 'В ожидании',
+                statusColor,
+              ),
+            ],
+          ),
+          const SizedBox(height: 8),
+          Text(
+            canClaim
+                ? '$dateLabel • ${entry.offeredTime} • ${entry.guestCount} гост.'
+                : '$dateLabel • ${entry.timeFrom}–${entry.timeTo} • ${entry.guestCount} гост.',
+            style: const TextStyle(fontSize: 13, color: AppTheme.textGrey),
+          ),
+          const SizedBox(height: 12),
+          Row(
+            children: [
+              Expanded(
+                child: OutlinedButton(
+                  onPressed: () =>
+                      context.read<BookingProvider>().leaveWaitlist(entry.id),
+                  style: OutlinedButton.styleFrom(
+                    foregroundColor: AppTheme.textDark,
+                    side: const BorderSide(color: AppTheme.strokeGrey),
+                    shape: RoundedRectangleBorder(
+                      borderRadius: BorderRadius.circular(AppTheme.radiusSmall),
+                    ),
+                  ),
+                  child: const Text('Выйти'),
+                ),
+              ),
+              if (canClaim) ...[
+                const SizedBox(width: 12),
+                Expanded(
+                  child: ElevatedButton(
+                    onPressed: () => _claimWaitlistOffer(entry),
+                    style: ElevatedButton.styleFrom(
+                      backgroundColor: AppTheme.statusGreen,
+                      shape: RoundedRectangleBorder(
+                        borderRadius: BorderRadius.circular(AppTheme.radiusSmall),
+                      ),
+                    ),
+                    child: const Text('Забронировать'),
+                  ),
+                ),
+              ],
+            ],
+          ),
         ],
       ),
     );
@@ -241,6 +391,17 @@ class _UserBookingsScreenState extends State<UserBookingsScreen> {
                 child: const Text('Выбрать другое время'),
               ),
             ),
+            const SizedBox(height: 8),
+            SizedBox(
+              width: double.infinity,
+              child: TextButton(
+                onPressed: () => _joinWaitlist(booking),
+                style: TextButton.styleFrom(
+                  foregroundColor: AppTheme.textDark,
+                ),
+                child: const Text('Встать в лист ожидания'),
+              ),
+            ),
           ],
 
           // Expired — retry + call
@@ -355,6 +516,151 @@ class _UserBookingsScreenState extends State<UserBookingsScreen> {
     }
   }
 
+  void _showModifyDialog(Booking booking) {
+    String two(int v) => v.toString().padLeft(2, '0');
+
+    final timeParts = booking.bookingTime.split(':');
+    var date = DateTime.tryParse(booking.bookingDate.substring(0, 10)) ??
+        DateTime.now();
+    var time = TimeOfDay(
+      hour: int.tryParse(timeParts[0]) ?? 12,
+      minute: timeParts.length > 1 ? int.tryParse(timeParts[1]) ?? 0 : 0,
+    );
+    var guestCount = booking.guestCount;
+
+    showDialog(
+      context: context,
+      builder: (ctx) => StatefulBuilder(
+        builder: (ctx, setDialogState) => AlertDialog(
+          title: const Text('Изменить бронь'),
+          content: Column(
+            mainAxisSize: MainAxisSize.min,
+            children: [
+              Row(
+                children: [
+                  Expanded(
+                    child: TextButton.icon(
+                      icon: const Icon(Icons.calendar_today, size: 16),
+                      label: Text('${two(date.day)}.${two(date.month)}'),
+                      onPressed: () async {
+                        final picked = await showDatePicker(
+                          context: ctx,
+                          initialDate: date,
+                          firstDate: DateTime.now(),
+                          lastDate:
+                              DateTime.now().add(const Duration(days: 90)),
+                        );
+                        if (picked != null) {
+                          setDialogState(() => date = picked);
+                        }
+                      },
+                    ),
+                  ),
+                  Expanded(
+                    child: TextButton.icon(
+                      icon: const Icon(Icons.access_time, size: 16),
+                      label: Text('${two(time.hour)}:${two(time.minute)}'),
+                      onPressed: () async {
+                        final picked = await showTimePicker(
+                          context: ctx,
+                          initialTime: time,
+                        );
+                        if (picked != null) {
+                          setDialogState(() => time = picked);
+                        }
+                      },
+                    ),
+                  ),
+                ],
+              ),
+              Row(
+                mainAxisAlignment: MainAxisAlignment.spaceBetween,
+                children: [
+                  const Text('Гостей'),
+                  Row(
+                    children: [
+                      IconButton(
+                        icon: const Icon(Icons.remove_circle_outline),
+                        onPressed: guestCount > 1
+                            ? () => setDialogState(() => guestCount--)
+                            : null,
+                      ),
+                      Text('$guestCount', style: const TextStyle(fontSize: 16)),
+                      IconButton(
+                        icon: const Icon(Icons.add_circle_outline),
+                        onPressed: () => setDialogState(() => guestCount++),
+                      ),
+                    ],
+                  ),
+                ],
+              ),
+              const SizedBox(height: 8),
+              const Text(
+                'Небольшой перенос в тот же день остаётся подтверждённым, '
+                'остальные изменения заведение подтвердит заново.',
+                style: TextStyle(fontSize: 12, color: AppTheme.textGrey),
+              ),
+            ],
+          ),
+          actions: [
+            TextButton(
+              onPressed: () => Navigator.pop(ctx),
+              child: const Text('Отмена'),
+            ),
+            ElevatedButton(
+              onPressed: () async {
+                Navigator.pop(ctx);
+                final provider = context.read<BookingProvider>();
+                final ok = await provider.modifyBooking(
+                  booking.id,
+                  date: '${date.year}-${two(date.month)}-${two(date.day)}',
+                  time: '${two(time.hour)}:${two(time.minute)}',
+                  guestCount: guestCount,
+                );
+                if (!mounted) return;
+                ScaffoldMessenger.of(context).showSnackBar(
+                  SnackBar(
+                    content: Text(ok
+                        ? 'Бронь изменена'
+                        : provider.error ?? 'Не удалось изменить бронь'),
+                  ),
+                );
+              },
+              style: AppTheme.canonCtaM(),
+              child: const Text('Сохранить'),
+            ),
+          ],
+        ),
+      ),
+    );
+  }
+
+  Future<void> _joinWaitlist(Booking booking) async {
+    final provider = context.read<BookingProvider>();
+    final ok = await provider.joinWaitlistFor(booking);
+    if (!mounted) return;
+    ScaffoldMessenger.of(context).showSnackBar(
+      SnackBar(
+        content: Text(ok
+            ? 'Сообщим, если место освободится'
+            : provider.error ?? 'Не удалось встать в лист ожидания'),
+      ),
+    );
+  }
+
+  Future<void> _claimWaitlistOffer(WaitlistEntry entry) async {
+    final provider = context.read<BookingProvider>();
+    final ok = await provider.claimWaitlistOffer(entry.id);
+    if (!mounted) return;
+    ScaffoldMessenger.of(context).showSnackBar(
+      SnackBar(
+        content: Text(ok
+            ? 'Бронь отправлена в заведение'
+            : provider.error ?? 'Не удалось забронировать'),
+      ),
+    );
+  }
+
   void _navigateToEstablishment(Booking booking) {
     Navigator.of(context, rootNavigator: true).pushNamed(
       '/establishment/${booking.establishmentId}',
@@ -259,6 +259,32 @@ class EstablishmentsService {
     }
   }
 
+  /// Get "Похожие заведения" for an establishment
+  ///
+  /// [slug] - Establishment public slug
+  /// [limit] - Max results (backend caps at 20)
+  Future<List<SimilarEstablishment>> getSimilarEstablishments(
+    String slug, {
+    int limit = 8,
+  }) async {
+    if (useMockData) {
+      return [];
+    }
+
+    final response = await _apiClient.get(
+      '/api/v1/public/establishments/by-slug/$slug/similar',
+      queryParameters: {'limit': limit},
+    );
+
+    if (response.statusCode == 200 && response.data is Map<String, dynamic>) {
+      final data = response.data['data'] as Map<String, dynamic>;
+      return (data['establishments'] as List)
+          .map((e) => SimilarEstablishment.fromJson(e as Map<String, dynamic>))
+          .toList();
+    }
+    throw Exception('Unexpected response format');
+  }
+
   // ============================================================================
   // Partner Registration Operations (requires authentication)
   // ============================================================================
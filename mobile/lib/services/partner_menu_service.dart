@@ -1,4 +1,5 @@
 import 'package:dio/dio.dart';
+import 'package:restaurant_guide_mobile/models/partner_menu_draft.dart';
 import 'package:restaurant_guide_mobile/models/partner_menu_item.dart';
 import 'package:restaurant_guide_mobile/services/api_client.dart';
 
@@ -50,6 +51,9 @@ class RetryOcrResult {
 ///   GET   /api/v1/partner/establishments/:id/menu-items
 ///   PATCH /api/v1/partner/menu-items/:id
 ///   POST  /api/v1/partner/establishments/:id/retry-ocr
+///   GET   /api/v1/partner/establishments/:id/menu-drafts
+///   POST  /api/v1/partner/establishments/:id/menu-drafts/:draftId/publish
+///   DELETE /api/v1/partner/establishments/:id/menu-drafts/:draftId
 class PartnerMenuService {
   final ApiClient _apiClient;
 
@@ -144,4 +148,56 @@ class PartnerMenuService {
       );
     }
   }
+
+  /// OCR results awaiting review, each with its diff against the live menu.
+  Future<List<PartnerMenuDraft>> fetchMenuDrafts(String establishmentId) async {
+    final response = await _apiClient
+        .get('/api/v1/partner/establishments/$establishmentId/menu-drafts');
+
+    if (response.statusCode != 200 || response.data is! Map<String, dynamic>) {
+      throw Exception('Не удалось загрузить результаты распознавания');
+    }
+
+    final data = response.data as Map<String, dynamic>;
+    final list = data['data'] as List? ?? [];
+    return list
+        .map((e) => PartnerMenuDraft.fromJson(e as Map<String, dynamic>))
+        .toList();
+  }
+
+  /// Publish a draft: every item except [rejectItemIds] goes live; live items
+  /// the draft lost are removed except [keepItemIds]. Returns the number of
+  /// published items. Throws on failure.
+  Future<int> publishDraft(
+    String establishmentId,
+    String draftId, {
+    List<String> rejectItemIds = const [],
+    List<String> keepItemIds = const [],
+  }) async {
+    final response = await _apiClient.post(
+      '/api/v1/partner/establishments/$establishmentId/menu-drafts/$draftId/publish',
+      data: {
+        'reject_item_ids': rejectItemIds,
+        'keep_item_ids': keepItemIds,
+      },
+    );
+
+    if (response.statusCode != 200 || response.data is! Map<String, dynamic>) {
+      throw Exception('Не удалось опубликовать меню');
+    }
+    final result = (response.data as Map<String, dynamic>)['data']
+            as Map<String, dynamic>? ??
+        {};
+    return (result['published'] as num?)?.toInt() ?? 0;
+  }
+
+  /// Reject a whole draft; the live menu stays as it is. Throws on failure.
+  Future<void> discardDraft(String establishmentId, String draftId) async {
+    final response = await _apiClient.delete(
+      '/api/v1/partner/establishments/$establishmentId/menu-drafts/$draftId',
+    );
+    if (response.statusCode != 200) {
+      throw Exception('Не удалось отклонить результат распознавания');
+    }
+  }
 }
@@ -1,4 +1,5 @@
 import 'package:flutter_test/flutter_test.dart';
+import 'package:restaurant_guide_mobile/models/partner_menu_draft.dart';
 import 'package:restaurant_guide_mobile/models/partner_menu_item.dart';
 import 'package:restaurant_guide_mobile/providers/partner_menu_provider.dart';
 import 'package:restaurant_guide_mobile/services/partner_menu_service.dart';
@@ -15,6 +16,11 @@ class _FakeMenuService implements PartnerMenuService {
   RetryOcrResult retryResult =
       RetryOcrResult.success(enqueuedJobs: 1, totalPdfs: 1);
 
+  List<PartnerMenuDraft> draftsResult = [];
+  Exception? publishThrow;
+  List<String>? lastRejected;
+  List<String>? lastKept;
+
   int fetchCalls = 0;
   int updateCalls = 0;
 
@@ -41,6 +47,65 @@ class _FakeMenuService implements PartnerMenuService {
   Future<RetryOcrResult> retryOcr(String establishmentId) async {
     return retryResult;
   }
+
+  @override
+  Future<List<PartnerMenuDraft>> fetchMenuDrafts(String establishmentId) async {
+    return draftsResult;
+  }
+
+  @override
+  Future<int> publishDraft(
+    String establishmentId,
+    String draftId, {
+    List<String> rejectItemIds = const [],
+    List<String> keepItemIds = const [],
+  }) async {
+    if (publishThrow != null) throw publishThrow!;
+    lastRejected = rejectItemIds;
+    lastKept = keepItemIds;
+    draftsResult = draftsResult.where((d) => d.id != draftId).toList();
+    return 1;
+  }
+
+  @override
+  Future<void> discardDraft(String establishmentId, String draftId) async {
+    draftsResult = draftsResult.where((d) => d.id != draftId).toList();
+  }
+}
+
+PartnerMenuDraft _draft(String id) {
+  return PartnerMenuDraft.fromJson({
+    'id': id,
+    'media_id': 'media-1',
+    'created_at': '2026-10-19T10:00:00Z',
+    'items': [
+      {
+        'id': 'd-1',
+        'item_name': 'Латте',
+        'price_byn': '7.50',
+        'change': 'price_changed',
+        'previous_price_byn': 6.5,
+        'sanity_flag': null,
+      },
+      {
+        'id': 'd-2',
+        'item_name': 'Раф',
+        'price_byn': '8.00',
+        'change': 'added',
+        'sanity_flag': {'reason': 'low_confidence'},
+      },
+    ],
+    'removed': [
+      {
+        'id': 'live-1',
+        'establishment_id': 'est-1',
+        'media_id': 'media-1',
+        'item_name': 'Какао',
+        'price_byn': '5.00',
+        'position': 0,
+      },
+    ],
+  });
 }
 
 PartnerMenuItem _item(String id, {String name = 'Кофе', double price = 5.0}) {
@@ -126,6 +191,45 @@ void main() {
       expect(provider.items.first.priceByn, 5.0);
     });
 
+    test('price_change is parsed and a price edit records a new one',
+        () async {
+      final fake = _FakeMenuService();
+      fake.fetchResult = [
+        PartnerMenuItem.fromJson({
+          'id': '1',
+          'establishment_id': 'est-1',
+          'media_id': null,
+          'source': 'manual',
+          'item_name': 'Капучино',
+          'price_byn': '14.00',
+          'position': 0,
+          'price_change': {
+            'previous_price_byn': '12.00',
+            'price_byn': '14.00',
+            'changed_at': '2026-10-01T09:00:00Z',
+          },
+        }),
+        _item('2', name: 'Латте', price: 7.0),
+      ];
+      fake.updateResult = _item('2', name: 'Латте', price: 8.0);
+
+      final provider = PartnerMenuProvider(service: fake);
+      await provider.loadForEstablishment('est-1');
+      provider.stopPolling();
+
+      final change = provider.items.first.priceChange!;
+      expect(change.previousPriceByn, 12.0);
+      expect(change.priceByn, 14.0);
+      expect(change.changedAt, DateTime.utc(2026, 10, 1, 9));
+      expect(change.isIncrease, true);
+
+      await provider.updateItem('2', priceByn: 8.0);
+
+      final edited = provider.items[1].priceChange!;
+      expect(edited.previousPriceByn, 7.0);
+      expect(edited.priceByn, 8.0);
+    });
+
     test('retryOcr surfaces rate limit with retry-after', () async {
       final fake = _FakeMenuService();
       fake.fetchResult = [];
@@ -170,5 +274,71 @@ void main() {
       expect(groups['Напитки']!.length, 1);
       expect(groups['Десерты']!.length, 1);
     });
+
+    test('drafts are loaded with the items and parsed with their diff',
+        () async {
+      final fake = _FakeMenuService();
+      fake.draftsResult = [_draft('draft-1')];
+
+      final provider = PartnerMenuProvider(service: fake);
+      await provider.loadForEstablishment('est-1');
+      provider.stopPolling();
+
+      expect(provider.hasDrafts, true);
+      final draft = provider.drafts.first;
+      expect(draft.addedCount, 1);
+      expect(draft.priceChangedCount, 1);
+      expect(draft.flaggedCount, 1);
+      expect(draft.items.first.previousPriceByn, 6.5);
+      expect(draft.removed.single.itemName, 'Какао');
+    });
+
+    test('publishDraft forwards decisions and drops the draft', () async {
+      final fake = _FakeMenuService();
+      fake.draftsResult = [_draft('draft-1')];
+
+      final provider = PartnerMenuProvider(service: fake);
+      await provider.loadForEstablishment('est-1');
+      provider.stopPolling();
+
+      final published = await provider.publishDraft(
+        'draft-1',
+        rejectItemIds: ['d-2'],
+        keepItemIds: ['live-1'],
+      );
+
+      expect(published, 1);
+      expect(fake.lastRejected, ['d-2']);
+      expect(fake.lastKept, ['live-1']);
+      expect(provider.hasDrafts, false);
+    });
+
+    test('publishDraft failure keeps the draft and sets error', () async {
+      final fake = _FakeMenuService();
+      fake.draftsResult = [_draft('draft-1')];
+      fake.publishThrow = Exception('422');
+
+      final provider = PartnerMenuProvider(service: fake);
+      await provider.loadForEstablishment('est-1');
+      provider.stopPolling();
+
+      expect(await provider.publishDraft('draft-1'), isNull);
+      expect(provider.hasDrafts, true);
+      expect(provider.error, isNotNull);
+    });
+
+    test('discardDraft removes the draft, items untouched', () async {
+      final fake = _FakeMenuService();
+      fake.fetchResult = [_item('1')];
+      fake.draftsResult = [_draft('draft-1')];
+
+      final provider = PartnerMenuProvider(service: fake);
+      await provider.loadForEstablishment('est-1');
+      provider.stopPolling();
+
+      expect(await provider.discardDraft('draft-1'), true);
+      expect(provider.hasDrafts, false);
+      expect(provider.items.length, 1);
+    });
   });
 }
@@ -12,6 +12,9 @@
  *   2. 'needs_caution'  → "уточнить" indicator shown; EXCLUDED from JSON-LD.
  *   3. Empty items + PDF (file_type='pdf', type='menu') → PDF fallback link.
  *   4. Empty items + no PDF → graceful empty-state «Меню пока не загружено.»
+ *   5. Rich item → portion / dietary tags / description / thumbnail rendered;
+ *      description, image and suitableForDiet carried into JSON-LD.
+ *   6. Unavailable item → «нет в наличии» instead of price; EXCLUDED from JSON-LD.
  */
 import { render, screen } from '@testing-library/react';
 
@@ -24,6 +27,12 @@ const item = (over: Partial<PublicMenuItem>): PublicMenuItem => ({
   item_name: 'Борщ',
   price_byn: 12.5,
   category_raw: 'Супы',
+  description: null,
+  portion_size: null,
+  portion_unit: null,
+  dietary_tags: [],
+  photo: null,
+  is_available: true,
   position: 0,
   quality_tier: 'clean',
   ...over,
@@ -104,6 +113,64 @@ describe('MenuBlock — quality-tier presentation', () => {
   });
 });
 
+describe('MenuBlock — rich items and availability', () => {
+  it('renders portion, dietary tags, description and thumbnail; JSON-LD carries them', () => {
+    const { container } = render(
+      <MenuBlock
+        menuItems={[
+          item({
+            id: 'r1',
+            item_name: 'Драники',
+            description: 'Со сметаной и зеленью',
+            portion_size: 250,
+            portion_unit: 'g',
+            dietary_tags: ['vegetarian', 'spicy'],
+            photo: {
+              url: 'https://res.cloudinary.com/demo/draniki.jpg',
+              thumbnail_url: 'https://res.cloudinary.com/demo/draniki-t.jpg',
+            },
+          }),
+        ]}
+        menuPhotos={[]}
+        pdfFallbacks={[]}
+        establishmentName='Васильки'
+      />,
+    );
+
+    expect(screen.getByText('250 г · вегетарианское · острое')).toBeInTheDocument();
+    expect(screen.getByText('Со сметаной и зеленью')).toBeInTheDocument();
+    expect(screen.getByRole('img', { name: 'Драники' })).toBeInTheDocument();
+
+    const menuItem = parseJsonLd(container).hasMenuSection[0].hasMenuItem[0];
+    expect(menuItem.description).toBe('Со сметаной и зеленью');
+    expect(menuItem.image).toBe('https://res.cloudinary.com/demo/draniki.jpg');
+    // spicy has no schema.org diet — only vegetarian is emitted.
+    expect(menuItem.suitableForDiet).toEqual(['https://schema.org/VegetarianDiet']);
+  });
+
+  it('unavailable item: «нет в наличии» instead of the price and EXCLUDED from the JSON-LD', () => {
+    const { container } = render(
+      <MenuBlock
+        menuItems={[
+          item({ id: 'a1', item_name: 'Окрошка', price_byn: 9 }),
+          item({ id: 'a2', item_name: 'Уха', price_byn: 14, is_available: false }),
+        ]}
+        menuPhotos={[]}
+        pdfFallbacks={[]}
+        establishmentName='Васильки'
+      />,
+    );
+
+    expect(screen.getByText('Уха')).toBeInTheDocument();
+    expect(screen.getByText('нет в наличии')).toBeInTheDocument();
+    expect(screen.queryByText('14 BYN')).not.toBeInTheDocument();
+
+    const names = jsonLdItemNames(parseJsonLd(container));
+    expect(names).toContain('Окрошка');
+    expect(names).not.toContain('Уха');
+  });
+});
+
 describe('MenuBlock — empty-state / PDF fallback', () => {
   it('empty items + a PDF (file_type=pdf, type=menu): renders a link to the PDF, no JSON-LD', () => {
     const { container } = render(
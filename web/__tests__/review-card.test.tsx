@@ -6,7 +6,7 @@
  * prop. Date formatting goes through the real `formatDateRu` helper, so the
  * asserted string ('12 мая') is the genuine contract output for the fixture.
  */
-import { render, screen } from '@testing-library/react';
+import { fireEvent, render, screen } from '@testing-library/react';
 
 import { ReviewCard } from '@/components/establishment/ReviewCard';
 import type { PublicReview } from '@/lib/api/types';
@@ -75,4 +75,33 @@ describe('ReviewCard — sync Server Component', () => {
     rerender(<ReviewCard review={{ ...baseReview, is_edited: true }} />);
     expect(screen.getByText(/изменён/)).toBeInTheDocument();
   });
+
+  // Review photos: a thumbnail strip whose tiles open the shared Lightbox.
+  it('renders no photo strip for a review without photos', () => {
+    render(<ReviewCard review={{ ...baseReview, photos: [] }} />);
+
+    expect(
+      screen.queryByRole('button', { name: /Открыть фото/ }),
+    ).not.toBeInTheDocument();
+  });
+
+  it('renders a thumbnail per photo that opens the lightbox at that photo', () => {
+    const photos = [1, 2].map((n) => ({
+      id: `photo-${n}`,
+      url: `https://res.cloudinary.com/full-${n}.jpg`,
+      preview_url: `https://res.cloudinary.com/preview-${n}.jpg`,
+      thumbnail_url: `https://res.cloudinary.com/thumb-${n}.jpg`,
+    }));
+    render(<ReviewCard review={{ ...baseReview, photos }} />);
+
+    const second = screen.getByRole('button', { name: 'Открыть фото 2 из 2' });
+    expect(
+      screen.getByRole('button', { name: 'Открыть фото 1 из 2' }),
+    ).toBeInTheDocument();
+
+    fireEvent.click(second);
+
+    expect(screen.getByRole('dialog')).toBeInTheDocument();
+    expect(screen.getByText('2 / 2')).toBeInTheDocument();
+  });
 });
@@ -75,6 +75,20 @@ describe('createReviewAction — success', () => {
   });
 });
 
+describe('createReviewAction — photo codes', () => {
+  it('maps the photo codes to Russian texts', async () => {
+    createReviewMock.mockRejectedValue(
+      new ApiError(400, 'Too many', 'TOO_MANY_PHOTOS'),
+    );
+
+    const result = await createReviewAction(INPUT);
+
+    expect(result).toMatchObject({ ok: false, code: 'TOO_MANY_PHOTOS' });
+    expect((result as { message: string }).message).toMatch(/не больше 5 фото/);
+    expect(revalidatePathMock).not.toHaveBeenCalled();
+  });
+});
+
 describe('createReviewAction — error mapping (never revalidates)', () => {
   it('maps 429 RATE_LIMIT_EXCEEDED to «Слишком часто…» (NOT DAILY_QUOTA)', async () => {
     createReviewMock.mockRejectedValue(
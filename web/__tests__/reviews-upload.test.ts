@@ -0,0 +1,146 @@
+/**
+ * @jest-environment node
+ */
+/*
+ * Review-with-photos create: the /api/reviews Route Handler (same-origin guard,
+ * streaming proxy to POST /api/v1/reviews, literal revalidation on success, raw
+ * create row never returned) and the client helper createReviewWithPhotos
+ * (multipart form to the handler, backend error envelope → the action's
+ * Russian {ok:false} result). The proxy and global fetch are mocked.
+ */
+jest.mock('next/cache', () => ({ revalidatePath: jest.fn() }));
+jest.mock('@/lib/partner/media-proxy', () => ({
+  proxyMediaUpload: jest.fn(),
+}));
+
+import { revalidatePath } from 'next/cache';
+
+import { POST } from '@/app/api/reviews/route';
+import { proxyMediaUpload } from '@/lib/partner/media-proxy';
+import { createReviewWithPhotos } from '@/lib/reviews/upload';
+
+const proxyMock = proxyMediaUpload as jest.Mock;
+const revalidatePathMock = revalidatePath as jest.Mock;
+
+const DETAIL_PATH = '/minsk/restorany/some-slug';
+
+function makeRequest(origin: string): Request {
+  const headers: Record<string, string> = { origin, host: 'localhost:3000' };
+  return {
+    url: `http://localhost:3000/api/reviews?detailPath=${encodeURIComponent(DETAIL_PATH)}`,
+    headers: { get: (k: string) => headers[k.toLowerCase()] ?? null },
+  } as unknown as Request;
+}
+
+function jsonResponse(body: unknown, status: number): Response {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'content-type': 'application/json' },
+  });
+}
+
+beforeEach(() => jest.clearAllMocks());
+
+describe('POST /api/reviews', () => {
+  it('blocks a cross-origin upload before the proxy runs', async () => {
+    const res = await POST(makeRequest('http://evil.example'));
+
+    expect(res.status).toBe(403);
+    expect(proxyMock).not.toHaveBeenCalled();
+  });
+
+  it('streams to the backend, revalidates the detail page, drops the raw row', async () => {
+    proxyMock.mockResolvedValue(
+      jsonResponse({ success: true, data: { user_id: 'u-1', author_email: 'a@b.c' } }, 201),
+    );
+    const req = makeRequest('http://localhost:3000');
+
+    const res = await POST(req);
+
+    expect(proxyMock).toHaveBeenCalledWith(req, '/api/v1/reviews');
+    expect(res.status).toBe(201);
+    expect(await res.json()).toEqual({ success: true });
+    expect(revalidatePathMock).toHaveBeenCalledWith(DETAIL_PATH);
+  });
+
+  it('passes a backend rejection through without revalidating', async () => {
+    proxyMock.mockResolvedValue(
+      jsonResponse({ success: false, error: { code: 'FILE_TOO_LARGE' } }, 400),
+    );
+
+    const res = await POST(makeRequest('http://localhost:3000'));
+
+    expect(res.status).toBe(400);
+    expect(await res.json()).toEqual({ success: false, error: { code: 'FILE_TOO_LARGE' } });
+    expect(revalidatePathMock).not.toHaveBeenCalled();
+  });
+});
+
+describe('createReviewWithPhotos', () => {
+  const originalFetch = global.fetch;
+  const fetchMock = jest.fn();
+  beforeAll(() => { global.fetch = fetchMock; });
+  afterAll(() => { global.fetch = originalFetch; });
+
+  const photo = new File(['jpeg'], 'a.jpg', { type: 'image/jpeg' });
+  const INPUT = {
+    establishmentId: 'est-1',
+    rating: 4,
+    content: 'С фото',
+    photos: [photo],
+    detailPath: DETAIL_PATH,
+  };
+
+  it('posts the multipart form to the Route Handler', async () => {
+    fetchMock.mockResolvedValue(jsonResponse({ success: true }, 201));
+
+    await expect(createReviewWithPhotos(INPUT)).resolves.toEqual({ ok: true });
+
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toBe(`/api/reviews?detailPath=${encodeURIComponent(DETAIL_PATH)}`);
+    expect(init.method).toBe('POST');
+    const form = init.body as FormData;
+    expect(form.get('establishmentId')).toBe('est-1');
+    expect(form.get('rating')).toBe('4');
+    expect(form.get('content')).toBe('С фото');
+    expect(form.getAll('photos')).toHaveLength(1);
+  });
+
+  it('maps a backend photo code to the Russian text', async () => {
+    fetchMock.mockResolvedValue(
+      jsonResponse({ success: false, error: { code: 'FILE_TOO_LARGE' } }, 422),
+    );
+
+    await expect(createReviewWithPhotos(INPUT)).resolves.toEqual({
+      ok: false,
+      code: 'FILE_TOO_LARGE',
+      message: 'Каждое фото должно быть не больше 5 МБ.',
+    });
+  });
+
+  it('maps 422 validation details to per-field texts', async () => {
+    fetchMock.mockResolvedValue(
+      jsonResponse({
+        success: false,
+        error: { code: 'VALIDATION_ERROR', details: [{ field: 'content', message: 'x' }] },
+      }, 422),
+    );
+
+    const result = await createReviewWithPhotos(INPUT);
+
+    expect(result).toMatchObject({
+      ok: false,
+      code: 'VALIDATION_ERROR',
+      fieldErrors: { content: 'Текст отзыва: от 1 до 1000 символов.' },
+    });
+  });
+
+  it('reports a network failure', async () => {
+    fetchMock.mockRejectedValue(new TypeError('Failed to fetch'));
+
+    await expect(createReviewWithPhotos(INPUT)).resolves.toMatchObject({
+      ok: false,
+      code: 'NETWORK',
+    });
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * SimilarEstablishments — «Похожие заведения» rail (SYNC Server Component).
+ *
+ * Shape-contract cases:
+ *   1. Empty list → renders nothing (no heading).
+ *   2. Cards link to each establishment's own canonical URL.
+ *   3. similarityReason: shared cuisine first, else category; menu overlap and
+ *      distance appended.
+ *
+ * The FavoritesProvider / FavoriteButton islands are stubbed — their
+ * behaviour lives in favorites-provider / favorite-button tests.
+ */
+import type { ReactNode } from 'react';
+import { render, screen } from '@testing-library/react';
+
+import {
+  SimilarEstablishments,
+  similarityReason,
+} from '@/components/establishment/SimilarEstablishments';
+import type { PublicSimilarEstablishment } from '@/lib/api/types';
+
+jest.mock('@/components/favorites/FavoritesProvider', () => ({
+  FavoritesProvider: ({ children }: { children: ReactNode }) => <>{children}</>,
+}));
+jest.mock('@/components/favorites/FavoriteButton', () => ({
+  FavoriteButton: () => null,
+}));
+jest.mock('@/components/catalog/OpenStatusBadge', () => ({
+  OpenStatusBadge: () => null,
+}));
+
+function makeSimilar(
+  over: Partial<PublicSimilarEstablishment> = {},
+): PublicSimilarEstablishment {
+  return {
+    id: 'e1',
+    slug: 'suliko',
+    name: 'Сулико',
+    description: null,
+    city: 'Минск',
+    city_slug: 'minsk',
+    address: 'ул. Тестовая, 1',
+    latitude: 53.9,
+    longitude: 27.56,
+    phone: null,
+    website: null,
+    categories: ['Ресторан'],
+    category_slug: 'restaurants',
+    cuisines: ['Грузинская'],
+    price_range: '$$',
+    working_hours: null,
+    attributes: null,
+    status: 'active',
+    primary_image_url: null,
+    review_count: 0,
+    average_rating: null,
+    favorite_count: 0,
+    booking_enabled: false,
+    has_promotion: false,
+    promotion_count: 0,
+    published_at: null,
+    created_at: '2026-05-12T10:00:00.000Z',
+    updated_at: '2026-05-12T10:00:00.000Z',
+    distance_km: 0.8,
+    distance: 0.8,
+    similarity: {
+      score: 9.1,
+      shared_categories: ['Ресторан'],
+      shared_cuisines: ['Грузинская'],
+      shared_attributes: [],
+      shared_menu_items: 0,
+      same_price_range: true,
+    },
+    ...over,
+  };
+}
+
+describe('SimilarEstablishments', () => {
+  it('renders nothing for an empty list', () => {
+    const { container } = render(
+      <SimilarEstablishments
+        establishments={[]}
+        fallbackCitySlug="minsk"
+        fallbackCategorySlug="restaurants"
+      />,
+    );
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  it('renders the rail with a canonical link per establishment', () => {
+    render(
+      <SimilarEstablishments
+        establishments={[makeSimilar()]}
+        fallbackCitySlug="grodno"
+        fallbackCategorySlug="cafes"
+      />,
+    );
+
+    expect(screen.getByRole('heading', { name: 'Похожие заведения' })).toBeInTheDocument();
+    expect(screen.getByRole('link')).toHaveAttribute('href', '/minsk/restaurants/suliko');
+    expect(screen.getByText('Тоже грузинская кухня · 800 м')).toBeInTheDocument();
+  });
+});
+
+describe('similarityReason', () => {
+  it('falls back to the shared category and appends menu overlap and km distance', () => {
+    const establishment = makeSimilar({
+      distance_km: 2.35,
+      similarity: {
+        score: 5,
+        shared_categories: ['Ресторан'],
+        shared_cuisines: [],
+        shared_attributes: [],
+        shared_menu_items: 3,
+        same_price_range: false,
+      },
+    });
+
+    expect(similarityReason(establishment)).toBe('Тоже ресторан · похожее меню · 2,4 км');
+  });
+});
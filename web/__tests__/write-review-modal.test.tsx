@@ -7,16 +7,24 @@
  *
  * Slice 2: edit mode (editTarget prop) — pre-fill, retitle, and routing to
  * updateReviewAction — is covered alongside the unchanged create contract.
+ *
+ * Review photos (create only): picked Files go to createReviewWithPhotos (the
+ * Route Handler upload) instead of the action, and the client guard mirrors
+ * the backend count/type limits.
  */
-import { render, screen } from '@testing-library/react';
+import { fireEvent, render, screen } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
 
 const mockCreate = jest.fn();
 const mockUpdate = jest.fn();
+const mockCreateWithPhotos = jest.fn();
 jest.mock('@/lib/reviews/actions', () => ({
   createReviewAction: (...args: unknown[]) => mockCreate(...args),
   updateReviewAction: (...args: unknown[]) => mockUpdate(...args),
 }));
+jest.mock('@/lib/reviews/upload', () => ({
+  createReviewWithPhotos: (...args: unknown[]) => mockCreateWithPhotos(...args),
+}));
 
 import { WriteReviewModal } from '@/components/establishment/WriteReviewModal';
 
@@ -111,6 +119,113 @@ it('renders a mapped summary error and keeps the modal open on failure', async (
   expect(mockOnSuccess).not.toHaveBeenCalled();
 });
 
+describe('photos', () => {
+  const jpeg = (name: string) =>
+    new File(['jpeg'], name, { type: 'image/jpeg' });
+
+  async function fillForm() {
+    await userEvent.click(screen.getByRole('button', { name: 'Оценка 4 из 5' }));
+    await userEvent.type(screen.getByLabelText('Отзыв'), 'С фото');
+  }
+
+  it('sends the picked photos through the upload, not the action', async () => {
+    mockCreateWithPhotos.mockResolvedValue({ ok: true });
+    renderModal();
+    await fillForm();
+
+    const photos = [jpeg('a.jpg'), jpeg('b.jpg')];
+    await userEvent.upload(screen.getByLabelText('Добавить фото'), photos);
+    expect(screen.getByText('a.jpg')).toBeInTheDocument();
+    await userEvent.click(screen.getByRole('button', { name: 'Опубликовать' }));
+
+    expect(mockCreateWithPhotos).toHaveBeenCalledWith({
+      establishmentId: 'est-1',
+      rating: 4,
+      content: 'С фото',
+      photos,
+      detailPath: '/minsk/restorany/some-slug',
+    });
+    expect(mockCreate).not.toHaveBeenCalled();
+    expect(mockOnSuccess).toHaveBeenCalled();
+  });
+
+  it('renders a mapped upload error and keeps the modal open', async () => {
+    mockCreateWithPhotos.mockResolvedValue({
+      ok: false,
+      code: 'FILE_TOO_LARGE',
+      message: 'Каждое фото должно быть не больше 5 МБ.',
+    });
+    renderModal();
+    await fillForm();
+
+    await userEvent.upload(screen.getByLabelText('Добавить фото'), [jpeg('a.jpg')]);
+    await userEvent.click(screen.getByRole('button', { name: 'Опубликовать' }));
+
+    expect(
+      await screen.findByText('Каждое фото должно быть не больше 5 МБ.'),
+    ).toBeInTheDocument();
+    expect(mockOnSuccess).not.toHaveBeenCalled();
+  });
+
+  it('removes a picked photo before submit', async () => {
+    mockCreate.mockResolvedValue({ ok: true });
+    renderModal();
+    await fillForm();
+
+    await userEvent.upload(screen.getByLabelText('Добавить фото'), [jpeg('a.jpg')]);
+    await userEvent.click(screen.getByRole('button', { name: 'Убрать фото a.jpg' }));
+    await userEvent.click(screen.getByRole('button', { name: 'Опубликовать' }));
+
+    expect(mockCreate.mock.calls[0][0]).not.toHaveProperty('photos');
+    expect(mockCreateWithPhotos).not.toHaveBeenCalled();
+  });
+
+  it('blocks more than 5 photos and non-image files', async () => {
+    renderModal();
+    await fillForm();
+
+    await userEvent.upload(
+      screen.getByLabelText('Добавить фото'),
+      ['1', '2', '3', '4', '5', '6'].map((n) => jpeg(`${n}.jpg`)),
+    );
+    await userEvent.click(screen.getByRole('button', { name: 'Опубликовать' }));
+    expect(screen.getByText('Не больше 5 фото.')).toBeInTheDocument();
+
+    for (let i = 0; i < 6; i += 1) {
+      await userEvent.click(
+        screen.getByRole('button', { name: `Убрать фото ${i + 1}.jpg` }),
+      );
+    }
+    // fireEvent bypasses the input's `accept` filter, as a drag-in would.
+    fireEvent.change(screen.getByLabelText('Добавить фото'), {
+      target: { files: [new File(['%PDF'], 'menu.pdf', { type: 'application/pdf' })] },
+    });
+    await userEvent.click(screen.getByRole('button', { name: 'Опубликовать' }));
+
+    expect(
+      screen.getByText('Фото должны быть в формате JPEG, PNG или WebP.'),
+    ).toBeInTheDocument();
+    expect(mockCreate).not.toHaveBeenCalled();
+    expect(mockCreateWithPhotos).not.toHaveBeenCalled();
+  });
+
+  it('offers no photo picker in edit mode', () => {
+    render(
+      <WriteReviewModal
+        open
+        onOpenChange={mockOnOpenChange}
+        establishmentId="est-1"
+        establishmentName="Цифровой мир"
+        detailPath="/minsk/restorany/some-slug"
+        onSuccess={mockOnSuccess}
+        editTarget={{ reviewId: 'r-1', rating: 3, content: 'Текст' }}
+      />,
+    );
+
+    expect(screen.queryByLabelText('Добавить фото')).not.toBeInTheDocument();
+  });
+});
+
 describe('edit mode (editTarget)', () => {
   it('pre-fills the stars + content and retitles to «Редактировать отзыв» / «Сохранить»', () => {
     renderEditModal();
@@ -8,6 +8,7 @@ import {
   getBySlug,
   getMenuItems,
   getReviews,
+  getSimilar,
 } from '@/lib/api/endpoints/establishments';
 import {
   getMetadata,
@@ -35,14 +36,16 @@ import { MenuBlock } from '@/components/establishment/MenuBlock';
 import { PromotionBanner } from '@/components/establishment/PromotionBanner';
 import { RestaurantSchema } from '@/components/establishment/RestaurantSchema';
 import { ReviewCarousel } from '@/components/establishment/ReviewCarousel';
+import { SimilarEstablishments } from '@/components/establishment/SimilarEstablishments';
 
 /*
  * /[city]/[category]/[slug] — Establishment detail composite (Brief 4).
  *
  * Server Component. Validates city+category slugs, fetches the full detail
  * via getBySlug (404 → notFound() through Next's not-found.tsx boundary),
- * then in parallel fetches menu items + reviews. Composes seven sections
- * into a Booking-inspired two-column layout (single-column on mobile).
+ * then in parallel fetches menu items + reviews + similar places. Composes
+ * seven sections into a Booking-inspired two-column layout (single-column on
+ * mobile), with the «Похожие заведения» rail full-width below.
  *
  * `getCachedBySlug` wraps `getBySlug` in React.cache so both
  * `generateMetadata` and the page body share a single backend roundtrip per
@@ -149,9 +152,10 @@ export default async function EstablishmentPage({
   }
   const { establishment } = detailResult;
 
-  // 3. Parallel fetches: menu + reviews + metadata. Menu/reviews tolerate
-  //    soft failures (return empty) — the page is still useful without them.
-  const [menuItemsResult, reviewsResult, meta] = await Promise.all([
+  // 3. Parallel fetches: menu + reviews + similar + metadata. Menu/reviews/
+  //    similar tolerate soft failures (return empty) — the page is still
+  //    useful without them.
+  const [menuItemsResult, reviewsResult, similarResult, meta] = await Promise.all([
     getMenuItems(slug).catch(() => ({ menu_items: [] })),
     getReviews(slug, { limit: 5 }).catch(() => ({
       reviews: [],
@@ -164,6 +168,7 @@ export default async function EstablishmentPage({
         hasPrevious: false,
       },
     })),
+    getSimilar(slug, { limit: 8 }).catch(() => ({ establishments: [] })),
     getMetadata(),
   ]);
 
@@ -349,6 +354,16 @@ export default async function EstablishmentPage({
         </aside>
       </div>
 
+      {/* «Похожие заведения» — full-width rail below the two-column grid;
+          renders nothing when the backend found no similar places. */}
+      <section id='similar' className='scroll-mt-16'>
+        <SimilarEstablishments
+          establishments={similarResult.establishments}
+          fallbackCitySlug={city}
+          fallbackCategorySlug={category}
+        />
+      </section>
+
       {/* In-page interactive-map overlay (D-2A) — one per page; the MapPreview
           triggers (main column + sidebar) open it via ?map=1. Suspense: it reads
           useSearchParams and this page is ISR (prod-build requirement). */}
@@ -0,0 +1,36 @@
+import { revalidatePath } from 'next/cache';
+
+import { proxyMediaUpload } from '@/lib/partner/media-proxy';
+import { assertSameOrigin } from '@/lib/partner/same-origin';
+
+/*
+ * Review-with-photos create proxy. Streams the multipart review (fields +
+ * up to 5 photos × 5 MB) to the backend POST /api/v1/reviews with the Bearer
+ * injected server-side — the photos never pass through a Server Action, so the
+ * 1 MB Server Action body cap stays at its default for every other action.
+ * Text-only reviews keep using createReviewAction.
+ *
+ * On success the literal detail page (`?detailPath=`) is revalidated, as the
+ * action does, and the raw create row (findReviewById — leaks user_id /
+ * author_email) is replaced by a bare `{ success: true }`. Failures pass the
+ * backend envelope through for the client-side error mapping.
+ */
+
+export const runtime = 'nodejs';
+export const dynamic = 'force-dynamic';
+
+export async function POST(request: Request): Promise<Response> {
+  const blocked = assertSameOrigin(request);
+  if (blocked) return blocked;
+
+  const upstream = await proxyMediaUpload(request, '/api/v1/reviews');
+  if (!upstream.ok) return upstream;
+
+  const detailPath = new URL(request.url).searchParams.get('detailPath');
+  if (detailPath?.startsWith('/')) revalidatePath(detailPath);
+
+  return new Response(JSON.stringify({ success: true }), {
+    status: upstream.status,
+    headers: { 'content-type': 'application/json' },
+  });
+}
@@ -124,6 +124,7 @@ export function MediaSection({
         thumbnail_url: r.media.thumbnail_url,
         preview_url: r.media.preview_url,
         file_name: file.name,
+        pages: r.media.pages,
       });
     }
     if (added.length) patch({ menuPdfs: [...form.menuPdfs, ...added] });
@@ -3,8 +3,11 @@
  *
  * Three menu surfaces, all inline:
  *   1. Text menu (OCR) — warm-beige card, grouped by category with a brand
- *      icon-tile header, items as «name …(dotted leader)… price» rows. A
- *      disclaimer chip flags the auto-extraction. JSON-LD emits CLEAN items only.
+ *      icon-tile header, items as «name …(dotted leader)… price» rows, with
+ *      an optional dish thumbnail and a line of portion / dietary tags and the
+ *      description underneath. Unavailable items stay listed, greyed out, with
+ *      «нет в наличии» instead of the price. A disclaimer chip flags the
+ *      auto-extraction. JSON-LD emits CLEAN, available items only.
  *   2. Photo menu — 4-up grid (3:4) with a «+N» overlay on the last tile; a
  *      click opens the in-page lightbox over the FULL photo set (client island;
  *      tiles stay server-rendered).
@@ -23,7 +26,7 @@ import {
   LightboxTrigger,
   type LightboxPhoto,
 } from '@/components/establishment/Lightbox';
-import type { PublicMenuItem, PublicMedia } from '@/lib/api/types';
+import type { DietaryTag, PublicMenuItem, PublicMedia } from '@/lib/api/types';
 
 type MenuBlockProps = {
   menuItems: PublicMenuItem[];
@@ -47,7 +50,9 @@ export function MenuBlock({
   const multiplePdfs = pdfFallbacks.length > 1;
 
   const groups = hasItems ? groupByCategory(menuItems) : [];
-  const cleanItems = menuItems.filter((i) => i.quality_tier === 'clean');
+  const cleanItems = menuItems.filter(
+    (i) => i.quality_tier === 'clean' && i.is_available,
+  );
   const jsonLd = buildMenuJsonLd(establishmentName, cleanItems);
 
   const shownPhotos = menuPhotos.slice(0, 4);
@@ -78,32 +83,63 @@ export function MenuBlock({
                 </h3>
               ) : null}
               <ul>
-                {group.items.map((item) => (
-                  <li
-                    key={item.id}
-                    className='flex items-baseline gap-2.5 border-t border-figma-divider py-[11px]'
-                  >
-                    <span className='text-[15px] text-foreground'>
-                      {item.item_name}
-                      {item.quality_tier === 'needs_caution' ? (
-                        <span
-                          title='Эта позиция требует уточнения у заведения'
-                          className='ml-2 inline-flex items-center gap-1 rounded-xs bg-background px-1.5 py-0.5 text-caption-s font-medium text-figma-text-dark'
-                        >
-                          <AlertCircle className='size-3' aria-hidden='true' />
-                          уточнить
-                        </span>
+                {group.items.map((item) => {
+                  const details = [
+                    formatPortion(item.portion_size, item.portion_unit),
+                    ...item.dietary_tags.map((tag) => DIETARY_TAG_LABELS[tag]),
+                  ].filter(Boolean);
+                  return (
+                    <li
+                      key={item.id}
+                      className={`flex gap-3 border-t border-figma-divider py-[11px]${
+                        item.is_available ? '' : ' opacity-60'
+                      }`}
+                    >
+                      {item.photo ? (
+                        <Image
+                          src={item.photo.thumbnail_url}
+                          alt={item.item_name}
+                          width={48}
+                          height={48}
+                          className='size-12 shrink-0 rounded-m object-cover'
+                        />
                       ) : null}
-                    </span>
-                    <span
-                      aria-hidden='true'
-                      className='-translate-y-[3px] flex-1 border-b border-dotted border-[#CFC8BC]'
-                    />
-                    <span className='whitespace-nowrap text-[15px] font-semibold text-foreground'>
-                      {formatPrice(item.price_byn)}
-                    </span>
-                  </li>
-                ))}
+                      <div className='flex min-w-0 flex-1 flex-col gap-1'>
+                        <div className='flex items-baseline gap-2.5'>
+                          <span className='text-[15px] text-foreground'>
+                            {item.item_name}
+                            {item.quality_tier === 'needs_caution' ? (
+                              <span
+                                title='Эта позиция требует уточнения у заведения'
+                                className='ml-2 inline-flex items-center gap-1 rounded-xs bg-background px-1.5 py-0.5 text-caption-s font-medium text-figma-text-dark'
+                              >
+                                <AlertCircle className='size-3' aria-hidden='true' />
+                                уточнить
+                              </span>
+                            ) : null}
+                          </span>
+                          <span
+                            aria-hidden='true'
+                            className='-translate-y-[3px] flex-1 border-b border-dotted border-[#CFC8BC]'
+                          />
+                          <span className='whitespace-nowrap text-[15px] font-semibold text-foreground'>
+                            {item.is_available ? formatPrice(item.price_byn) : 'нет в наличии'}
+                          </span>
+                        </div>
+                        {details.length > 0 ? (
+                          <p className='text-caption-s text-muted-foreground'>
+                            {details.join(' · ')}
+                          </p>
+                        ) : null}
+                        {item.description ? (
+                          <p className='text-body-s text-muted-foreground'>
+                            {item.description}
+                          </p>
+                        ) : null}
+                      </div>
+                    </li>
+                  );
+                })}
               </ul>
             </div>
           ))}
@@ -226,6 +262,33 @@ function groupByCategory(items: PublicMenuItem[]): Group[] {
   }));
 }
 
+const DIETARY_TAG_LABELS: Record<DietaryTag, string> = {
+  vegetarian: 'вегетарианское',
+  vegan: 'веганское',
+  gluten_free: 'без глютена',
+  lactose_free: 'без лактозы',
+  spicy: 'острое',
+  contains_nuts: 'содержит орехи',
+};
+
+/** Tags with a schema.org RestrictedDiet counterpart. */
+const SCHEMA_DIETS: Partial<Record<DietaryTag, string>> = {
+  vegetarian: 'https://schema.org/VegetarianDiet',
+  vegan: 'https://schema.org/VeganDiet',
+  gluten_free: 'https://schema.org/GlutenFreeDiet',
+  lactose_free: 'https://schema.org/LowLactoseDiet',
+};
+
+/** «250 г» / «500 мл», decimal comma; null when the menu gives no portion. */
+function formatPortion(
+  size: number | null,
+  unit: PublicMenuItem['portion_unit'],
+): string | null {
+  if (size == null || unit == null) return null;
+  const amount = String(size).replace('.', ',');
+  return `${amount} ${unit === 'g' ? 'г' : 'мл'}`;
+}
+
 /** «14 BYN» for whole prices, «14,50 BYN» otherwise; «—» when null. */
 function formatPrice(byn: number | null): string {
   if (byn == null) return '—';
@@ -262,6 +325,11 @@ function buildMenuJsonLd(
         hasMenuItem: items.map((item) => ({
           '@type': 'MenuItem',
           name: item.item_name,
+          ...(item.description && { description: item.description }),
+          ...(item.photo && { image: item.photo.url }),
+          ...(schemaDiets(item).length > 0 && {
+            suitableForDiet: schemaDiets(item),
+          }),
           ...(item.price_byn != null && {
             offers: {
               '@type': 'Offer',
@@ -274,3 +342,10 @@ function buildMenuJsonLd(
     ),
   };
 }
+
+function schemaDiets(item: PublicMenuItem): string[] {
+  return item.dietary_tags.flatMap((tag) => {
+    const diet = SCHEMA_DIETS[tag];
+    return diet ? [diet] : [];
+  });
+}
@@ -2,6 +2,11 @@ import Image from 'next/image';
 import { Star } from 'lucide-react';
 import type { ReactNode } from 'react';
 
+import {
+  LightboxProvider,
+  LightboxTrigger,
+  type LightboxPhoto,
+} from '@/components/establishment/Lightbox';
 import type { PublicReview } from '@/lib/api/types';
 import { formatDateRu } from '@/lib/establishment-helpers';
 import { cn } from '@/lib/utils';
@@ -9,8 +14,9 @@ import { cn } from '@/lib/utils';
 /**
  * ReviewCard — Server Component. Shared by the detail-page ReviewCarousel
  * (compact, clamped) and the /reviews route (full). Warm-beige card: colored
- * initial avatar + author + date, star rating on the right, body, and an
- * optional partner response with a brand left-rule.
+ * initial avatar + author + date, star rating on the right, body, the
+ * review's photos (thumbnail strip → Lightbox) and an optional partner
+ * response with a brand left-rule.
  *
  * `actions` is an optional footer slot: the detail carousel injects the
  * own-review edit/delete island (Slice 2) into every card — the island decides
@@ -101,6 +107,8 @@ export function ReviewCard({
         </p>
       ) : null}
 
+      <ReviewPhotos review={review} />
+
       {review.partner_response ? (
         <div className='flex flex-col gap-1 rounded-r-[10px] border-l-2 border-brand bg-background p-3'>
           <div className='text-caption-m font-semibold text-brand'>
@@ -122,6 +130,45 @@ export function ReviewCard({
   );
 }
 
+function ReviewPhotos({ review }: { review: PublicReview }) {
+  const photos = review.photos ?? [];
+  if (photos.length === 0) return null;
+
+  return (
+    <LightboxProvider
+      photos={photos.map(
+        (p): LightboxPhoto => ({
+          id: p.id,
+          url: p.url,
+          previewUrl: p.preview_url,
+          thumbnailUrl: p.thumbnail_url,
+          caption: null,
+        }),
+      )}
+      label={`Фото к отзыву — ${review.author.name}`}
+    >
+      <div className='flex gap-2'>
+        {photos.map((photo, idx) => (
+          <LightboxTrigger
+            key={photo.id}
+            index={idx}
+            aria-label={`Открыть фото ${idx + 1} из ${photos.length}`}
+            className='relative size-16 shrink-0 overflow-hidden rounded-m bg-muted'
+          >
+            <Image
+              src={photo.thumbnail_url}
+              alt={`Фото к отзыву — ${review.author.name}`}
+              fill
+              sizes='64px'
+              className='object-cover'
+            />
+          </LightboxTrigger>
+        ))}
+      </div>
+    </LightboxProvider>
+  );
+}
+
 function StarRating({ rating }: { rating: number }) {
   return (
     <div
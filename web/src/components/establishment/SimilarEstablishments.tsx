@@ -0,0 +1,78 @@
+/**
+ * SimilarEstablishments — «Похожие заведения» rail on the detail page.
+ *
+ * Server Component. Horizontal scroll-snap rail of the reused catalog
+ * EstablishmentCard (one FavoritesProvider batch for the whole rail), each
+ * with a one-line reason derived from the backend `similarity` breakdown.
+ * Renders nothing when the backend found no similar places — the rail is a
+ * way out for visitors of a closed or fully booked place, not a fixture.
+ */
+
+import { FavoritesProvider } from '@/components/favorites/FavoritesProvider';
+import { EstablishmentCard } from '@/components/catalog/EstablishmentCard';
+import type { PublicSimilarEstablishment } from '@/lib/api/types';
+import { normalizeCategory, normalizeCuisine } from '@/lib/working-hours';
+
+/**
+ * «Тоже грузинская кухня · 800 м» — strongest shared trait + distance.
+ */
+export function similarityReason(establishment: PublicSimilarEstablishment): string {
+  const { similarity } = establishment;
+  const parts: string[] = [];
+
+  if (similarity.shared_cuisines.length > 0) {
+    parts.push(`Тоже ${normalizeCuisine(similarity.shared_cuisines[0]).toLowerCase()} кухня`);
+  } else if (similarity.shared_categories.length > 0) {
+    parts.push(`Тоже ${normalizeCategory(similarity.shared_categories[0]).toLowerCase()}`);
+  }
+  if (similarity.shared_menu_items > 0) {
+    parts.push('похожее меню');
+  }
+  if (establishment.distance_km != null) {
+    parts.push(formatDistance(establishment.distance_km));
+  }
+
+  return parts.join(' · ');
+}
+
+function formatDistance(km: number): string {
+  if (km < 1) return `${Math.max(Math.round(km * 10) * 100, 100)} м`;
+  return `${km.toFixed(1).replace('.', ',')} км`;
+}
+
+export function SimilarEstablishments({
+  establishments,
+  fallbackCitySlug,
+  fallbackCategorySlug,
+}: {
+  establishments: PublicSimilarEstablishment[];
+  fallbackCitySlug: string;
+  fallbackCategorySlug: string;
+}) {
+  if (establishments.length === 0) return null;
+
+  return (
+    <div className='flex flex-col gap-m'>
+      <h2 className='text-display-s font-display'>Похожие заведения</h2>
+      <FavoritesProvider establishmentIds={establishments.map((e) => e.id)}>
+        <ul className='flex snap-x snap-mandatory gap-m overflow-x-auto pb-s'>
+          {establishments.map((establishment) => (
+            <li
+              key={establishment.id}
+              className='flex w-[300px] shrink-0 snap-start flex-col gap-s sm:w-[340px]'
+            >
+              <EstablishmentCard
+                establishment={establishment}
+                fallbackCitySlug={fallbackCitySlug}
+                fallbackCategorySlug={fallbackCategorySlug}
+              />
+              <p className='text-body-s text-muted-foreground'>
+                {similarityReason(establishment)}
+              </p>
+            </li>
+          ))}
+        </ul>
+      </FavoritesProvider>
+    </div>
+  );
+}
@@ -1,6 +1,6 @@
 'use client';
 
-import { Star } from 'lucide-react';
+import { ImagePlus, Star, X } from 'lucide-react';
 import { useState } from 'react';
 
 import { Button } from '@/components/ui/button';
@@ -13,6 +13,7 @@ import {
 } from '@/components/ui/dialog';
 import { Textarea } from '@/components/ui/textarea';
 import { createReviewAction, updateReviewAction } from '@/lib/reviews/actions';
+import { createReviewWithPhotos } from '@/lib/reviews/upload';
 import { cn } from '@/lib/utils';
 
 /*
@@ -27,9 +28,18 @@ import { cn } from '@/lib/utils';
  * `editTarget` prop pre-fills the fields, retitles to «Редактировать отзыв» /
  * «Сохранить», and routes submit to updateReviewAction. Without it the Slice-1
  * create contract is byte-for-byte unchanged.
+ *
+ * Photos are create-only (the backend attaches them on POST /reviews only):
+ * up to MAX_PHOTOS images, pre-checked against the backend limits
+ * (upload.js uploadReviewPhotos). A review with photos is posted through the
+ * /api/reviews Route Handler (createReviewWithPhotos), not the action, so the
+ * Files never hit the Server Action body cap.
  */
 
 const MAX_CONTENT = 1000;
+const MAX_PHOTOS = 5;
+const MAX_PHOTO_BYTES = 5 * 1024 * 1024;
+const PHOTO_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
 
 export type ReviewEditTarget = {
   reviewId: string;
@@ -57,6 +67,7 @@ export function WriteReviewModal({
   const [rating, setRating] = useState(editTarget?.rating ?? 0);
   const [hover, setHover] = useState<number | null>(null);
   const [content, setContent] = useState(editTarget?.content ?? '');
+  const [photos, setPhotos] = useState<File[]>([]);
   const [pending, setPending] = useState(false);
   const [error, setError] = useState<{
     message?: string;
@@ -77,6 +88,7 @@ export function WriteReviewModal({
       setRating(editTarget?.rating ?? 0);
       setHover(null);
       setContent(editTarget?.content ?? '');
+      setPhotos([]);
       setPending(false);
       setError(null);
     }
@@ -84,6 +96,11 @@ export function WriteReviewModal({
 
   const trimmed = content.trim();
 
+  function handlePhotosPicked(files: FileList | null) {
+    if (!files) return;
+    setPhotos((current) => [...current, ...Array.from(files)]);
+  }
+
   async function handleSubmit() {
     // Client-side guard mirrors the backend validator (rating 1–5 int, content
     // 1–1000 trimmed) so the common cases never round-trip; the server mapping
@@ -97,6 +114,13 @@ export function WriteReviewModal({
     } else if (content.length > MAX_CONTENT) {
       fieldErrors.content = `Не более ${MAX_CONTENT} символов.`;
     }
+    if (photos.length > MAX_PHOTOS) {
+      fieldErrors.photos = `Не больше ${MAX_PHOTOS} фото.`;
+    } else if (photos.some((photo) => !PHOTO_TYPES.includes(photo.type))) {
+      fieldErrors.photos = 'Фото должны быть в формате JPEG, PNG или WebP.';
+    } else if (photos.some((photo) => photo.size > MAX_PHOTO_BYTES)) {
+      fieldErrors.photos = 'Каждое фото должно быть не больше 5 МБ.';
+    }
     if (Object.keys(fieldErrors).length > 0) {
       setError({ fieldErrors });
       return;
@@ -111,12 +135,20 @@ export function WriteReviewModal({
           content: trimmed,
           detailPath,
         })
-      : await createReviewAction({
-          establishmentId,
-          rating,
-          content: trimmed,
-          detailPath,
-        });
+      : photos.length > 0
+        ? await createReviewWithPhotos({
+            establishmentId,
+            rating,
+            content: trimmed,
+            photos,
+            detailPath,
+          })
+        : await createReviewAction({
+            establishmentId,
+            rating,
+            content: trimmed,
+            detailPath,
+          });
     setPending(false);
 
     if (result.ok) {
@@ -128,6 +160,7 @@ export function WriteReviewModal({
 
   const ratingError = error?.fieldErrors?.rating;
   const contentError = error?.fieldErrors?.content;
+  const photosError = error?.fieldErrors?.photos;
   const summaryError = error?.message && !error.fieldErrors ? error.message : null;
   const litUpTo = hover ?? rating;
 
@@ -214,6 +247,57 @@ export function WriteReviewModal({
           </div>
         </div>
 
+        {/* Photos — create only */}
+        {editTarget ? null : (
+          <div className='flex flex-col gap-1.5'>
+            <span className='text-label-m text-foreground'>
+              Фото (до {MAX_PHOTOS})
+            </span>
+            {photos.length > 0 ? (
+              <ul className='flex flex-col gap-1'>
+                {photos.map((photo, idx) => (
+                  <li
+                    key={`${photo.name}-${idx}`}
+                    className='flex items-center justify-between gap-2 text-caption-l text-foreground'
+                  >
+                    <span className='truncate'>{photo.name}</span>
+                    <button
+                      type='button'
+                      aria-label={`Убрать фото ${photo.name}`}
+                      onClick={() =>
+                        setPhotos((current) => current.filter((_, i) => i !== idx))
+                      }
+                      className='rounded-sm p-0.5 text-figma-text-grey outline-none focus-visible:ring-3 focus-visible:ring-ring/50'
+                    >
+                      <X className='size-4' aria-hidden='true' />
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            ) : null}
+            {photos.length < MAX_PHOTOS ? (
+              <label className='flex w-fit cursor-pointer items-center gap-1.5 text-caption-l font-medium text-brand'>
+                <ImagePlus className='size-4' aria-hidden='true' />
+                Добавить фото
+                <input
+                  type='file'
+                  accept={PHOTO_TYPES.join(',')}
+                  multiple
+                  className='sr-only'
+                  onChange={(e) => {
+                    handlePhotosPicked(e.target.files);
+                    // Same file can be picked again after removing it.
+                    e.target.value = '';
+                  }}
+                />
+              </label>
+            ) : null}
+            {photosError ? (
+              <p className='text-caption-l text-destructive'>{photosError}</p>
+            ) : null}
+          </div>
+        )}
+
         {summaryError ? (
           <p aria-live='polite' className='text-caption-l text-destructive'>
             {summaryError}
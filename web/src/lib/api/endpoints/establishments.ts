@@ -7,6 +7,7 @@ import type {
   PublicEstablishmentMapMarker,
   PublicReview,
   PublicMenuItem,
+  PublicSimilarEstablishment,
   PaginationMeta,
 } from '../types';
 
@@ -19,6 +20,7 @@ import type {
  *   GET /establishments/by-slug/:slug                  — full detail
  *   GET /establishments/by-slug/:slug/menu-items
  *   GET /establishments/by-slug/:slug/reviews
+ *   GET /establishments/by-slug/:slug/similar          — "Похожие заведения"
  *
  * Parameter names match backend convention exactly (snake_case where
  * backend expects snake — sort_by, hours_filter). Arrays (cuisines,
@@ -38,6 +40,10 @@ export type CatalogParams = {
   features?: string[];
   minRating?: number;
   hours_filter?: 'until_22' | 'until_morning' | '24_hours';
+  /** Only establishments open right now (Europe/Minsk, overnight + special_hours aware). */
+  open_now?: boolean;
+  /** Only establishments open at this ISO datetime; naive values are Minsk wall clock. */
+  open_at?: string;
   search?: string;
   sort_by?: string;
   limit?: number;
@@ -68,6 +74,10 @@ export type MapParams = {
   priceRange?: string[];
   minRating?: number;
   hours_filter?: 'until_22' | 'until_morning' | '24_hours';
+  /** Only establishments open right now (Europe/Minsk, overnight + special_hours aware). */
+  open_now?: boolean;
+  /** Only establishments open at this ISO datetime; naive values are Minsk wall clock. */
+  open_at?: string;
   search?: string;
   limit?: number;
   /**
@@ -142,6 +152,27 @@ export async function getReviews(
   );
 }
 
+// ============================================================================
+// Similar establishments by slug
+// ============================================================================
+
+export type SimilarParams = {
+  limit?: number;
+};
+
+export type SimilarResponse = {
+  establishments: PublicSimilarEstablishment[];
+};
+
+export async function getSimilar(
+  slug: string,
+  params: SimilarParams = {},
+): Promise<SimilarResponse> {
+  return serverFetch<SimilarResponse>(
+    `/api/v1/public/establishments/by-slug/${encodeURIComponent(slug)}/similar${buildQuery(params)}`,
+  );
+}
+
 // ============================================================================
 // Helpers
 // ============================================================================
@@ -14,6 +14,8 @@ import { authedFetch } from '@/lib/auth/session';
  * a mismatch is a SILENT 422):
  *   CREATE → POST /api/v1/reviews  body { establishmentId, rating, content }
  *     establishmentId: UUID (camelCase) · rating: int 1–5 · content: 1–1000 (trimmed)
+ *     With photos: multipart/form-data, same fields + `photos` — streamed by
+ *     the /api/reviews Route Handler, not sent from here
  *   UPDATE → PUT /api/v1/reviews/:id  body { rating?, content? } (≥1 required)
  *   DELETE → DELETE /api/v1/reviews/:id  (path param only, no body)
  *
@@ -66,6 +66,21 @@ export type PublicEstablishmentListing = {
   distance?: number;
 };
 
+/**
+ * "Похожие заведения" entry — listing + backend `similarity` breakdown
+ * (searchService.findSimilarEstablishments). distance_km is always present.
+ */
+export type PublicSimilarEstablishment = PublicEstablishmentListing & {
+  similarity: {
+    score: number;
+    shared_categories: string[];
+    shared_cuisines: string[];
+    shared_attributes: string[];
+    shared_menu_items: number;
+    same_price_range: boolean;
+  };
+};
+
 /** Full detail — backend `toPublicEstablishment`. Listing + media[] + promotions[] + email + special_hours + view_count. */
 export type PublicEstablishmentDetail = PublicEstablishmentListing & {
   email: string | null;
@@ -132,6 +147,17 @@ export type PublicPromotion = {
   status: string;
 };
 
+/**
+ * Review photo — backend `toPublicReview` photos[]. Only photos of visible
+ * reviews that an admin has not hidden ever reach the public projection.
+ */
+export type PublicReviewPhoto = {
+  id: string;
+  url: string;
+  preview_url: string;
+  thumbnail_url: string;
+};
+
 /** Review — backend `toPublicReview`. Author wrapper hides user_id leak. */
 export type PublicReview = {
   id: string;
@@ -148,15 +174,36 @@ export type PublicReview = {
     name: string;
     avatar_url: string | null;
   };
+  /** Always present on the backend; optional for pre-photo cached payloads. */
+  photos?: PublicReviewPhoto[];
 };
 
+export type DietaryTag =
+  | 'vegetarian'
+  | 'vegan'
+  | 'gluten_free'
+  | 'lactose_free'
+  | 'spicy'
+  | 'contains_nuts';
+
 /** Menu item — backend `toPublicMenuItem`. Excludes is_hidden_by_admin/sanity_flag/confidence. */
 export type PublicMenuItem = {
   id: string;
   establishment_id: string;
   item_name: string;
   price_byn: number | null;
+  /** Section heading; for manual items in a partner section, the section name. */
   category_raw: string | null;
+  description: string | null;
+  /** Portion in `portion_unit`; both null when the menu does not say. */
+  portion_size: number | null;
+  portion_unit: 'g' | 'ml' | null;
+  /** Backend constants/menuItemVocab.DIETARY_TAGS. */
+  dietary_tags: DietaryTag[];
+  /** Dish photo (establishment_media type 'dishes'), null without one. */
+  photo: { url: string; thumbnail_url: string } | null;
+  /** false = temporarily unavailable (stop-list); still listed, greyed out. */
+  is_available: boolean;
   position: number;
   /**
    * Two-tier OCR quality signal (Brief 4 / CAT-C-2.7 augmentation).
@@ -442,6 +489,8 @@ export type TempMediaResponse = {
   preview_url: string;
   public_id: string;
   file_type: 'image' | 'pdf';
+  /** PDF page count from the upload (PDF path only). */
+  pages?: number;
 };
 
 /**
@@ -453,6 +502,8 @@ export type MenuPdfPayload = {
   thumbnail_url: string;
   preview_url: string;
   file_name: string;
+  /** Temp-upload `pages`, handed to the OCR job so it need not probe renders. */
+  pages?: number;
 };
 
 /** Canonical per-day working hours (Q10). Midnight = '00:00' (2-digit). */
@@ -38,6 +38,7 @@ export type WizardPdf = {
   thumbnail_url: string;
   preview_url: string;
   file_name: string;
+  pages?: number;
 };
 
 /** Per-day hours as edited in the form (separate from the wire DayHours shape). */
@@ -0,0 +1,107 @@
+import type { ReviewActionResult } from '@/lib/reviews/actions';
+
+/*
+ * Review error mapping shared by the Server Actions (actions.ts) and the
+ * review-with-photos upload (upload.ts), which reaches the backend through a
+ * Route Handler instead of an action and so sees the raw error envelope.
+ */
+
+/**
+ * Per-field Russian texts keyed by the backend validator's field names
+ * (content / rating). The backend validator texts are English and never surface
+ * in the UI — mirror of auth/actions.ts FIELD_TEXTS_RU for the review fields.
+ */
+const FIELD_TEXTS_RU: Record<string, string> = {
+  content: 'Текст отзыва: от 1 до 1000 символов.',
+  rating: 'Поставьте оценку от 1 до 5.',
+};
+
+const VALIDATION_SUMMARY_RU = 'Проверьте правильность заполнения полей.';
+
+/** `{ok:false}` result for a backend rejection (code + status + 422 details). */
+export function reviewFailure(
+  code: string | undefined,
+  status: number,
+  details: unknown,
+  messageFor: (code: string | undefined, status: number) => string,
+): ReviewActionResult {
+  if (code === 'VALIDATION_ERROR') {
+    return {
+      ok: false,
+      code: 'VALIDATION_ERROR',
+      message: VALIDATION_SUMMARY_RU,
+      fieldErrors: mapValidationDetails(details),
+    };
+  }
+  return {
+    ok: false,
+    code: code ?? `HTTP_${status}`,
+    message: messageFor(code, status),
+  };
+}
+
+export const NETWORK_FAILURE: ReviewActionResult = {
+  ok: false,
+  code: 'NETWORK',
+  message: 'Сеть недоступна. Попробуйте позже.',
+};
+
+/**
+ * The backend `validate` middleware (errorHandler.js:198) emits `details` as an
+ * ARRAY `[{field, message, value}, …]` (express-validator `.array()`, wired at
+ * reviewRoutes.js:60) — NOT a `{field: [messages]}` object. Only the `field` key
+ * is trusted; the English validator message is replaced with the Russian
+ * per-field text. Verified against the real wire (Phase 3.5).
+ */
+function mapValidationDetails(
+  details: unknown,
+): Record<string, string> | undefined {
+  if (!Array.isArray(details)) return undefined;
+  const fieldErrors: Record<string, string> = {};
+  for (const entry of details) {
+    const field =
+      entry && typeof entry === 'object' && 'field' in entry
+        ? String((entry as { field: unknown }).field)
+        : undefined;
+    if (field && field in FIELD_TEXTS_RU) {
+      fieldErrors[field] = FIELD_TEXTS_RU[field];
+    }
+  }
+  return Object.keys(fieldErrors).length > 0 ? fieldErrors : undefined;
+}
+
+export function messageForCreateCode(
+  code: string | undefined,
+  status: number,
+): string {
+  switch (code) {
+    case 'DUPLICATE_REVIEW':
+      // One-per-establishment. The CTA normally hides create when the user's
+      // review is in the loaded set; this is the graceful fallback when it isn't
+      // (own review beyond the top-5 — Discovery). Also reached after a delete:
+      // deletion is terminal (R2), the tombstone still trips this 409.
+      return 'Вы уже оставили отзыв на это заведение.';
+    case 'RATE_LIMIT_EXCEEDED':
+      // Backend emits RATE_LIMIT_EXCEEDED (NOT the mobile DAILY_QUOTA_EXCEEDED,
+      // which is a latent mobile bug — Discovery).
+      return 'Слишком часто, попробуйте позже.';
+    case 'ESTABLISHMENT_NOT_FOUND':
+      return 'Заведение не найдено.';
+    // Photo codes: the modal pre-checks count/type/size, so these are the
+    // server-side backstop (upload.js filter, reviewService limits).
+    case 'TOO_MANY_PHOTOS':
+      return 'К отзыву можно приложить не больше 5 фото.';
+    case 'INVALID_FILE_TYPE':
+      return 'Фото должны быть в формате JPEG, PNG или WebP.';
+    case 'FILE_TOO_LARGE':
+      return 'Каждое фото должно быть не больше 5 МБ.';
+    case 'PHOTO_UPLOAD_FAILED':
+      return 'Не удалось загрузить фото. Попробуйте позже.';
+    case 'NO_SESSION':
+      // The CTA gates on auth, so this should not be reached from the modal.
+      return 'Войдите, чтобы оставить отзыв.';
+    default:
+      if (status === 429) return 'Слишком часто, попробуйте позже.';
+      return 'Не удалось отправить отзыв. Попробуйте позже.';
+  }
+}
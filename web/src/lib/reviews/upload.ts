@@ -0,0 +1,49 @@
+import type { CreateReviewResult } from '@/lib/reviews/actions';
+import {
+  messageForCreateCode,
+  NETWORK_FAILURE,
+  reviewFailure,
+} from '@/lib/reviews/messages';
+
+/*
+ * Client-side create for a review WITH photos. Posts the multipart form to the
+ * /api/reviews Route Handler, which streams it to the backend — NOT a Server
+ * Action: up to 5 × 5 MB of photos would need the Server Action body cap raised
+ * for every action in the app (same reasoning as partner/upload.ts).
+ * Text-only reviews go through createReviewAction. Returns the action's result
+ * shape so the modal handles both paths alike.
+ */
+export async function createReviewWithPhotos(input: {
+  establishmentId: string;
+  rating: number;
+  content: string;
+  photos: File[];
+  detailPath: string;
+}): Promise<CreateReviewResult> {
+  const fd = new FormData();
+  fd.append('establishmentId', input.establishmentId);
+  fd.append('rating', String(input.rating));
+  fd.append('content', input.content);
+  for (const photo of input.photos) fd.append('photos', photo);
+
+  try {
+    const res = await fetch(
+      `/api/reviews?detailPath=${encodeURIComponent(input.detailPath)}`,
+      { method: 'POST', body: fd },
+    );
+    const json = (await res.json().catch(() => null)) as {
+      success?: boolean;
+      error?: { code?: string; details?: unknown };
+    } | null;
+
+    if (res.ok && json?.success) return { ok: true };
+    return reviewFailure(
+      json?.error?.code,
+      res.status,
+      json?.error?.details,
+      messageForCreateCode,
+    );
+  } catch {
+    return NETWORK_FAILURE;
+  }
+}